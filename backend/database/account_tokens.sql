@@ -0,0 +1,56 @@
+-- Forgot-password and email verification. Both flows email a 6-digit code:
+--   * password reset (POST /api/auth/password-reset/request → /confirm, and the same under
+--     /api/vendor/auth/) sets a new password and signs out every session of the account;
+--   * email verification (POST /api/auth/verify-email/request → /confirm) sets
+--     users.email_verified_at, which customers need before they can book.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run. Safe to re-run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Only a SHA-256 hash of each code is stored. A code is single-use, expires (backend env
+-- PASSWORD_RESET_CODE_MINUTES, EMAIL_VERIFICATION_CODE_MINUTES), allows a few wrong guesses, and
+-- requesting a new one voids the older ones.
+--
+-- Accounts that exist when this runs count as verified, so current customers can keep booking.
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Only on the first run (account_tokens not created yet), so a re-run never verifies new sign-ups
+UPDATE public.users
+  SET email_verified_at = coalesce(created_at, now())
+  WHERE email_verified_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = 'account_tokens'
+    );
+
+CREATE TABLE IF NOT EXISTS public.account_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_type TEXT NOT NULL,
+  account_id UUID NOT NULL,
+  purpose TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT account_tokens_account_type_check CHECK (account_type IN ('user', 'vendor')),
+  CONSTRAINT account_tokens_purpose_check CHECK (purpose IN ('password_reset', 'email_verification'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_account
+  ON public.account_tokens (account_type, account_id, purpose, created_at DESC);
+
+-- No policies: clients must never read code hashes; only the backend issues and checks codes
+ALTER TABLE public.account_tokens ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN public.users.email_verified_at IS
+  'When the customer confirmed their email with a code; NULL = unverified, cannot book';
+COMMENT ON TABLE public.account_tokens IS
+  'Emailed one-time codes for password reset and email verification';
+COMMENT ON COLUMN public.account_tokens.account_id IS
+  'users.id (account_type user) or vendors.id (account_type vendor)';
+COMMENT ON COLUMN public.account_tokens.token_hash IS
+  'SHA-256 of the code (hex); the code itself is only ever in the email';
+COMMENT ON COLUMN public.account_tokens.used_at IS
+  'When the code was used, or voided by a newer code or too many wrong guesses';
@@ -0,0 +1,56 @@
+-- Admin roles and the admin audit log. Every /api/admin/* route checks the caller's role
+-- (requireAdminRole in server.js), and each change an admin makes is written to admin_audit_log.
+-- Run once in Supabase (after admins.sql): Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Roles:
+--   super_admin  everything, including managing admins and reading the audit log
+--   support      vendors, places, bookings, reviews and refunds
+--   finance      coupons, commission rates, ledger, payouts and refunds
+-- Every role sees the dashboard. Existing admins (role 'admin') become super_admin.
+
+ALTER TABLE public.admins DROP CONSTRAINT IF EXISTS admins_role_check;
+
+UPDATE public.admins SET role = 'super_admin' WHERE role = 'admin';
+
+ALTER TABLE public.admins
+  ALTER COLUMN role SET DEFAULT 'support',
+  ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES public.admins (id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ,
+  ADD CONSTRAINT admins_role_check CHECK (role IN ('super_admin', 'support', 'finance'));
+
+CREATE TABLE IF NOT EXISTS public.admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID REFERENCES public.admins (id) ON DELETE SET NULL,
+  admin_email TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  details JSONB,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created
+  ON public.admin_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin
+  ON public.admin_audit_log (admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target
+  ON public.admin_audit_log (target_type, target_id);
+
+-- No policies: the audit log is written by admin routes and read from the admin panel, both
+-- through the backend
+ALTER TABLE public.admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN public.admins.role IS
+  'super_admin, support or finance (see admin_roles_audit.sql for what each may do)';
+COMMENT ON COLUMN public.admins.created_by IS
+  'Admin who granted access; NULL when added in the SQL editor';
+COMMENT ON TABLE public.admin_audit_log IS
+  'One row per change made through the admin API, newest read first; never updated';
+COMMENT ON COLUMN public.admin_audit_log.admin_email IS
+  'Copied from admins so the row still names the admin after their account is removed';
+COMMENT ON COLUMN public.admin_audit_log.action IS
+  'What was done, e.g. coupon.create, booking.refund, admin.update';
+COMMENT ON COLUMN public.admin_audit_log.details IS
+  'Request fields and results worth keeping (never passwords or tokens)';
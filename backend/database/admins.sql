@@ -0,0 +1,31 @@
+-- Admin accounts. /api/admin/* routes (except login) take a Supabase Auth access token and only
+-- accept it when the signed-in user has an active row here (requireAdminAuth in server.js); a
+-- customer or vendor token gets 403.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Grant admin access to an existing Supabase Auth user:
+--   INSERT INTO public.admins (auth_user_id, email)
+--   SELECT id, email FROM auth.users WHERE email = 'someone@example.com';
+-- Revoke it with: UPDATE public.admins SET is_active = false WHERE email = 'someone@example.com';
+
+CREATE TABLE IF NOT EXISTS public.admins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  auth_user_id UUID NOT NULL UNIQUE REFERENCES auth.users (id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'admin',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT admins_role_check CHECK (role IN ('admin'))
+);
+
+-- No policies: admin accounts are only looked up by the backend's admin auth
+ALTER TABLE public.admins ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.admins IS
+  'Supabase Auth users allowed to call /api/admin/* routes';
+COMMENT ON COLUMN public.admins.role IS
+  'Admin role; every admin currently has full access';
+COMMENT ON COLUMN public.admins.is_active IS
+  'false revokes access without deleting the row';
@@ -0,0 +1,90 @@
+-- Signed-in devices for customers and vendors. Every app login is a Supabase Auth session
+-- (auth.sessions, one refresh token chain each); the apps label theirs with device details
+-- (POST /api/users/sessions/current, /api/vendor/sessions/current) so Password & Security can list
+-- them, sign one out, or sign out everywhere. Changing the password signs out every other session.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run. Safe to re-run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Deleting a row from auth.sessions also deletes its refresh tokens, and Supabase Auth rejects
+-- access tokens whose session is gone, so a revoked device is signed out on its next request.
+-- auth.sessions is not exposed through PostgREST, hence the two service-role-only functions below.
+
+CREATE TABLE IF NOT EXISTS public.auth_session_devices (
+  session_id UUID PRIMARY KEY REFERENCES auth.sessions (id) ON DELETE CASCADE,
+  auth_user_id UUID NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  app TEXT NOT NULL,
+  device_name TEXT,
+  platform TEXT,
+  os_version TEXT,
+  app_version TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT auth_session_devices_app_check CHECK (app IN ('user', 'vendor'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_session_devices_user
+  ON public.auth_session_devices (auth_user_id);
+
+-- No policies: devices are listed and revoked through the backend's session routes
+ALTER TABLE public.auth_session_devices ENABLE ROW LEVEL SECURITY;
+
+-- Live sessions of one auth user. last_active_at is the last token refresh (apps refresh about
+-- hourly while open), or the sign-in time for a session that has not refreshed yet.
+CREATE OR REPLACE FUNCTION public.list_auth_sessions(p_auth_user_id uuid)
+RETURNS TABLE (
+  id uuid,
+  created_at timestamptz,
+  last_active_at timestamptz,
+  user_agent text,
+  ip text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    s.id,
+    s.created_at,
+    GREATEST(s.created_at, s.updated_at, s.refreshed_at AT TIME ZONE 'UTC'),
+    s.user_agent,
+    host(s.ip)
+  FROM auth.sessions s
+  WHERE s.user_id = p_auth_user_id
+    AND (s.not_after IS NULL OR s.not_after > now())
+  ORDER BY 3 DESC;
+$$;
+
+-- Sign out sessions of one auth user: the ones in p_session_ids (NULL = all of them), except
+-- p_except_session_id. Returns how many were signed out.
+CREATE OR REPLACE FUNCTION public.revoke_auth_sessions(
+  p_auth_user_id uuid,
+  p_session_ids uuid[] DEFAULT NULL,
+  p_except_session_id uuid DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  DELETE FROM auth.sessions s
+  WHERE s.user_id = p_auth_user_id
+    AND (p_session_ids IS NULL OR s.id = ANY (p_session_ids))
+    AND (p_except_session_id IS NULL OR s.id <> p_except_session_id);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.list_auth_sessions(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.list_auth_sessions(uuid) TO service_role;
+REVOKE ALL ON FUNCTION public.revoke_auth_sessions(uuid, uuid[], uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_auth_sessions(uuid, uuid[], uuid) TO service_role;
+
+COMMENT ON TABLE public.auth_session_devices IS
+  'Device details the apps report for their Supabase Auth session; removed with the session';
+COMMENT ON COLUMN public.auth_session_devices.app IS
+  'user (customer app) or vendor (vendor app)';
@@ -0,0 +1,72 @@
+-- Booking lifecycle: one set of booking statuses (kept in bookings.payment_status) and a history of
+-- every status change in booking_events, shown on the booking detail screens of both apps.
+-- See "Booking lifecycle" in server.js for the allowed transitions.
+-- Run once in Supabase (after bookings_cancellation_refunds.sql): Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Statuses:
+--   PENDING         slot held while the customer pays (until the sweeper expires it or the customer closes checkout)
+--   SUCCESS         paid in the app, or a vendor's manual booking
+--   FAILED          payment failed; the customer may try again
+--   EXPIRED         hold lapsed, or checkout closed, without payment
+--   CHECKED_IN      the guest arrived (marked by the vendor)
+--   COMPLETED       the booking took place (vendor, or automatically a while after it ended)
+--   NO_SHOW         the guest never came (marked by the vendor)
+--   CANCELLED       cancelled with nothing to refund
+--   REFUND_PENDING  cancelled or refunded, refund on its way
+--   REFUNDED        refund processed
+--
+-- Older rows used PAID / CONFIRMED (manual bookings) and mixed case; they are normalised below.
+
+UPDATE public.bookings
+SET payment_status = 'SUCCESS'
+WHERE upper(payment_status) IN ('PAID', 'CONFIRMED');
+
+UPDATE public.bookings
+SET payment_status = upper(payment_status)
+WHERE payment_status <> upper(payment_status);
+
+-- NOT VALID: checked for new and updated rows only, so unexpected legacy values do not block the migration
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_payment_status_check;
+ALTER TABLE public.bookings ADD CONSTRAINT bookings_payment_status_check CHECK (payment_status IN (
+  'PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'CHECKED_IN', 'COMPLETED', 'NO_SHOW',
+  'CANCELLED', 'REFUND_PENDING', 'REFUNDED'
+)) NOT VALID;
+
+CREATE TABLE IF NOT EXISTS public.booking_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings (id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor TEXT NOT NULL DEFAULT 'system',
+  actor_id TEXT,
+  note TEXT,
+  metadata JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT booking_events_actor_check
+    CHECK (actor IN ('user', 'vendor', 'admin', 'system', 'razorpay'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_events_booking_created
+  ON public.booking_events (booking_id, created_at);
+
+-- Existing bookings start their history at their current status
+INSERT INTO public.booking_events (booking_id, from_status, to_status, actor, note, created_at)
+SELECT b.id, NULL, b.payment_status, 'system', 'Status when booking history started', now()
+FROM public.bookings b
+WHERE b.payment_status IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM public.booking_events e WHERE e.booking_id = b.id);
+
+-- No policies: the backend shows a booking's history to its customer, its vendor and admins
+ALTER TABLE public.booking_events ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.booking_events IS
+  'Status history of a booking: one row per status change, oldest first';
+COMMENT ON COLUMN public.booking_events.from_status IS
+  'Status before the change; NULL for the row written when the booking was created';
+COMMENT ON COLUMN public.booking_events.actor IS
+  'Who made the change: user (customer), vendor, admin, system (sweeps) or razorpay (webhooks)';
+COMMENT ON COLUMN public.booking_events.actor_id IS
+  'users.id / vendors.id / admin id of the actor, when there is one';
+COMMENT ON COLUMN public.bookings.payment_status IS
+  'Booking lifecycle status (see booking_events.sql); the name predates check-in and completion';
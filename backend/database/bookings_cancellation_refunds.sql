@@ -0,0 +1,17 @@
+-- Customer cancellations with Razorpay refunds (POST /api/bookings/:bookingId/cancel).
+-- New payment_status values: CANCELLED (no refund due), REFUND_PENDING, REFUNDED.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS refund_percent NUMERIC;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS refund_amount NUMERIC;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS razorpay_refund_id TEXT;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS refund_status TEXT;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.bookings.refund_status IS 'Razorpay refund status: pending | processed | failed.';
+
+-- Per-place policy: { "tiers": [{ "hours_before": 24, "refund_percent": 100 }, ...] }.
+-- NULL = backend default (DEFAULT_CANCELLATION_POLICY in server.js).
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS cancellation_policy JSONB;
@@ -0,0 +1,21 @@
+-- Slot holds for PENDING bookings (see expireStaleBookingHolds in server.js).
+-- create-and-order sets hold_expires_at = now() + BOOKING_HOLD_MINUTES; the backend sweeper
+-- reconciles expired holds with Razorpay and marks unpaid ones EXPIRED. A PENDING booking keeps its
+-- slot until then, so a payment that is still being authorized never loses it.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ;
+
+-- PENDING bookings from before this column have no hold; expire theirs now so the next sweep
+-- reconciles them with Razorpay (paid ones are confirmed, abandoned ones free their slot)
+UPDATE public.bookings
+SET hold_expires_at = now()
+WHERE payment_status = 'PENDING'
+  AND hold_expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_pending_hold_expires_at
+  ON public.bookings (hold_expires_at)
+  WHERE payment_status = 'PENDING';
+
+COMMENT ON COLUMN public.bookings.hold_expires_at IS 'When the sweeper reconciles a PENDING booking with Razorpay (and expires it if unpaid); only read while the booking is PENDING. PENDING rows from before this column were backfilled to the migration time.';
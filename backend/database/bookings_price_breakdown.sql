@@ -0,0 +1,11 @@
+-- Server-computed price breakdown for each booking (see computeBookingQuote in server.js).
+-- amount_paid remains the charged total; these columns record how it was built.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS subtotal_amount NUMERIC;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS service_fee_amount NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS tax_amount NUMERIC NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.bookings.subtotal_amount IS 'avg_price × hours (× guests when charge_per_guest), before fees and taxes.';
+COMMENT ON COLUMN public.bookings.service_fee_amount IS 'Platform service fee charged to the customer (BOOKING_SERVICE_FEE_PERCENT).';
+COMMENT ON COLUMN public.bookings.tax_amount IS 'Tax on subtotal + service fee (BOOKING_TAX_PERCENT).';
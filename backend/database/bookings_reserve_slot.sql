@@ -0,0 +1,345 @@
+-- Atomic slot reservation for POST /bookings/create-and-order (see reserveBookingSlot in server.js).
+-- Run in Supabase: Dashboard → SQL Editor → New query → Run. Safe to re-run; re-run it whenever
+-- this file changes (later migrations note when that is required).
+--
+-- booking_slot_conflicts(p_booking, p_holding_statuses, p_exclude_booking_id) checks p_booking's
+-- range (place_id, booking_date_time, duration, number_of_guests, resource_id) without locking;
+-- callers hold the place lock:
+--   1. Rejects ranges that overlap a vendor block in place_blocks (always, even when overlapping
+--      bookings are allowed).
+--   With a resource_id in p_booking (place_resources.sql), the checks below only look at bookings on
+--   that resource (plus older bookings without one), and the resource's guest_capacity, when set,
+--   replaces the place's capacity settings.
+--   2. When places.guest_capacity is set, walks the requested range slot by slot (slot_minutes) and
+--      rejects it if any slot's number_of_guests across bookings in p_holding_statuses, plus the new
+--      booking's, would exceed that slot's capacity (capacity_overrides, else guest_capacity).
+--   3. Otherwise, unless places.allow_overlapping_bookings is true, looks for bookings in
+--      p_holding_statuses whose [booking_date_time, + duration_minutes) comes within
+--      places.buffer_minutes of the requested range.
+--   A PENDING row holds its slot until the backend sweeper moves it on (expireStaleBookingHolds
+--   checks Razorpay first), even once hold_expires_at has passed. p_exclude_booking_id leaves one
+--   booking out of the checks (the one being re-checked).
+-- Returns the conflicts as a JSON array, or NULL when there are none. Each conflict is
+--   { kind: "booking", id, booking_date_time, duration_minutes }, { kind: "block", id, starts_at, ends_at }
+--   or { kind: "capacity", slot_start, capacity, remaining }.
+--
+-- reserve_booking(p_booking, p_holding_statuses):
+--   Takes a transaction-scoped advisory lock per place, so concurrent reservations for the same
+--   place run one after another, and checks booking_slot_conflicts().
+--   With a coupon_id in p_booking (coupons.sql), also takes a per-coupon advisory lock and rejects
+--   the booking when the coupon's usage_limit or per_user_limit (for p_booking.user_id) is already
+--   used up by bookings in p_holding_statuses.
+--   Inserts p_booking (any bookings columns, as JSON) only when there is no conflict.
+-- Returns { "booking": <row or null>, "conflicts": [...] }; coupon conflicts are
+--   { kind: "coupon", reason: "usage_limit" | "per_user_limit" }.
+--
+-- claim_booking_slot(p_booking_id, p_from_status, p_patch, p_holding_statuses):
+--   For a booking that gave its slot up (EXPIRED, FAILED) and now needs it again: a payment captured
+--   late, or a retried payment. Under the same place lock, checks booking_slot_conflicts() for the
+--   booking's own range and applies p_patch (any bookings columns, as JSON, including the new
+--   payment_status) only when there is no conflict and payment_status is still p_from_status.
+--   Returns { "booking": <updated row or null>, "conflicts": [...] }.
+--
+-- Requires place_blocks (place_blocks_manual_bookings.sql), the slot columns (places_slot_settings.sql),
+-- the capacity columns (places_guest_capacity.sql), place_resources (place_resources.sql) and
+-- coupons (coupons.sql).
+-- Rows without duration_minutes fall back to duration_hours * 60.
+
+CREATE INDEX IF NOT EXISTS idx_bookings_place_booking_date_time
+  ON public.bookings (place_id, booking_date_time);
+
+CREATE OR REPLACE FUNCTION public.booking_slot_conflicts(
+  p_booking jsonb,
+  p_holding_statuses text[],
+  p_exclude_booking_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_place_id uuid := (p_booking ->> 'place_id')::uuid;
+  v_resource_id uuid := (p_booking ->> 'resource_id')::uuid;
+  v_resource_capacity integer;
+  v_start timestamptz := (p_booking ->> 'booking_date_time')::timestamptz;
+  v_minutes integer := COALESCE(
+    (p_booking ->> 'duration_minutes')::integer,
+    GREATEST(1, COALESCE((p_booking ->> 'duration_hours')::integer, 1)) * 60
+  );
+  v_end timestamptz := v_start + make_interval(mins => v_minutes);
+  v_guests integer := GREATEST(1, COALESCE((p_booking ->> 'number_of_guests')::integer, 1));
+  v_allow_overlap boolean;
+  v_buffer interval;
+  v_capacity integer;
+  v_capacity_overrides jsonb;
+  v_slot interval;
+  v_tz text;
+  v_conflicts jsonb;
+BEGIN
+  IF v_place_id IS NULL OR v_start IS NULL THEN
+    RAISE EXCEPTION 'place_id and booking_date_time are required';
+  END IF;
+
+  SELECT allow_overlapping_bookings,
+         make_interval(mins => COALESCE(buffer_minutes, 0)),
+         guest_capacity,
+         COALESCE(capacity_overrides, '[]'::jsonb),
+         make_interval(mins => COALESCE(slot_minutes, 60)),
+         COALESCE(timezone, 'UTC')
+    INTO v_allow_overlap, v_buffer, v_capacity, v_capacity_overrides, v_slot, v_tz
+    FROM public.places
+   WHERE id = v_place_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Place % not found', v_place_id;
+  END IF;
+
+  IF v_resource_id IS NOT NULL THEN
+    SELECT r.guest_capacity
+      INTO v_resource_capacity
+      FROM public.place_resources r
+     WHERE r.id = v_resource_id
+       AND r.place_id = v_place_id
+       AND r.is_active;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Resource % not found for place %', v_resource_id, v_place_id;
+    END IF;
+    IF v_resource_capacity IS NOT NULL THEN
+      v_capacity := v_resource_capacity;
+      v_capacity_overrides := '[]'::jsonb;
+    END IF;
+  END IF;
+
+  SELECT jsonb_agg(
+           jsonb_build_object(
+             'kind', 'block',
+             'id', k.id,
+             'starts_at', k.starts_at,
+             'ends_at', k.ends_at
+           )
+           ORDER BY k.starts_at
+         )
+    INTO v_conflicts
+    FROM public.place_blocks k
+   WHERE k.place_id = v_place_id
+     AND k.starts_at < v_end
+     AND k.ends_at > v_start;
+
+  IF v_conflicts IS NOT NULL THEN
+    RETURN v_conflicts;
+  END IF;
+
+  IF v_capacity IS NOT NULL THEN
+    SELECT jsonb_agg(
+             jsonb_build_object(
+               'kind', 'capacity',
+               'slot_start', x.slot_start,
+               'capacity', x.capacity,
+               'remaining', GREATEST(0, x.capacity - x.taken)
+             )
+             ORDER BY x.slot_start
+           )
+      INTO v_conflicts
+      FROM (
+        SELECT s.slot_start,
+               COALESCE(
+                 (SELECT (o ->> 'capacity')::integer
+                    FROM jsonb_array_elements(v_capacity_overrides) AS o
+                   WHERE (s.slot_start AT TIME ZONE v_tz)::time >= (o ->> 'start')::time
+                     AND (s.slot_start AT TIME ZONE v_tz)::time < (o ->> 'end')::time
+                   LIMIT 1),
+                 v_capacity
+               ) AS capacity,
+               COALESCE(
+                 (SELECT SUM(GREATEST(1, COALESCE(b.number_of_guests, 1)))
+                    FROM public.bookings b
+                   WHERE b.place_id = v_place_id
+                     AND (v_resource_id IS NULL OR b.resource_id IS NULL OR b.resource_id = v_resource_id)
+                     AND b.payment_status = ANY (p_holding_statuses)
+                     AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id)
+                     AND b.booking_date_time < s.slot_start + v_slot
+                     AND b.booking_date_time
+                         + make_interval(mins => COALESCE(b.duration_minutes, GREATEST(1, COALESCE(b.duration_hours, 1)) * 60))
+                         > s.slot_start),
+                 0
+               ) AS taken
+          FROM generate_series(v_start, v_end - interval '1 second', v_slot) AS s (slot_start)
+      ) x
+     WHERE x.taken + v_guests > x.capacity;
+
+    RETURN v_conflicts;
+  END IF;
+
+  IF v_allow_overlap IS TRUE THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT jsonb_agg(
+           jsonb_build_object(
+             'kind', 'booking',
+             'id', b.id,
+             'booking_date_time', b.booking_date_time,
+             'duration_minutes', COALESCE(b.duration_minutes, GREATEST(1, COALESCE(b.duration_hours, 1)) * 60)
+           )
+           ORDER BY b.booking_date_time
+         )
+    INTO v_conflicts
+    FROM public.bookings b
+   WHERE b.place_id = v_place_id
+     AND (v_resource_id IS NULL OR b.resource_id IS NULL OR b.resource_id = v_resource_id)
+     AND b.payment_status = ANY (p_holding_statuses)
+     AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id)
+     AND b.booking_date_time < v_end + v_buffer
+     AND b.booking_date_time
+         + make_interval(mins => COALESCE(b.duration_minutes, GREATEST(1, COALESCE(b.duration_hours, 1)) * 60))
+         + v_buffer > v_start;
+
+  RETURN v_conflicts;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reserve_booking(
+  p_booking jsonb,
+  p_holding_statuses text[]
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_place_id uuid := (p_booking ->> 'place_id')::uuid;
+  v_coupon_id uuid := (p_booking ->> 'coupon_id')::uuid;
+  v_user_id uuid := (p_booking ->> 'user_id')::uuid;
+  v_usage_limit integer;
+  v_per_user_limit integer;
+  v_uses integer;
+  v_user_uses integer;
+  v_conflicts jsonb;
+  v_cols text;
+  v_inserted jsonb;
+BEGIN
+  IF v_place_id IS NULL OR (p_booking ->> 'booking_date_time') IS NULL THEN
+    RAISE EXCEPTION 'place_id and booking_date_time are required';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtextextended('booking:' || v_place_id::text, 0));
+
+  v_conflicts := public.booking_slot_conflicts(p_booking, p_holding_statuses);
+  IF v_conflicts IS NOT NULL THEN
+    RETURN jsonb_build_object('booking', NULL, 'conflicts', v_conflicts);
+  END IF;
+
+  IF v_coupon_id IS NOT NULL THEN
+    -- Place lock first, then coupon lock, so concurrent reservations never wait on each other in a cycle
+    PERFORM pg_advisory_xact_lock(hashtextextended('coupon:' || v_coupon_id::text, 0));
+
+    SELECT c.usage_limit, c.per_user_limit
+      INTO v_usage_limit, v_per_user_limit
+      FROM public.coupons c
+     WHERE c.id = v_coupon_id;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Coupon % not found', v_coupon_id;
+    END IF;
+
+    SELECT COUNT(*),
+           COUNT(*) FILTER (WHERE b.user_id = v_user_id)
+      INTO v_uses, v_user_uses
+      FROM public.bookings b
+     WHERE b.coupon_id = v_coupon_id
+       AND b.payment_status = ANY (p_holding_statuses);
+
+    IF v_usage_limit IS NOT NULL AND v_uses >= v_usage_limit THEN
+      RETURN jsonb_build_object(
+        'booking', NULL,
+        'conflicts', jsonb_build_array(jsonb_build_object('kind', 'coupon', 'reason', 'usage_limit'))
+      );
+    END IF;
+    IF v_per_user_limit IS NOT NULL AND v_user_uses >= v_per_user_limit THEN
+      RETURN jsonb_build_object(
+        'booking', NULL,
+        'conflicts', jsonb_build_array(jsonb_build_object('kind', 'coupon', 'reason', 'per_user_limit'))
+      );
+    END IF;
+  END IF;
+
+  -- Insert only the columns present in p_booking so table defaults still apply
+  SELECT string_agg(quote_ident(k), ', ') INTO v_cols
+    FROM jsonb_object_keys(p_booking) AS k;
+
+  EXECUTE format(
+    'INSERT INTO public.bookings (%1$s) '
+    'SELECT %1$s FROM jsonb_populate_record(NULL::public.bookings, $1) '
+    'RETURNING to_jsonb(bookings.*)',
+    v_cols
+  )
+  INTO v_inserted
+  USING p_booking;
+
+  RETURN jsonb_build_object('booking', v_inserted, 'conflicts', '[]'::jsonb);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.claim_booking_slot(
+  p_booking_id uuid,
+  p_from_status text,
+  p_patch jsonb,
+  p_holding_statuses text[]
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_place_id uuid;
+  v_booking jsonb;
+  v_conflicts jsonb;
+  v_sets text;
+  v_updated jsonb;
+BEGIN
+  SELECT b.place_id INTO v_place_id FROM public.bookings b WHERE b.id = p_booking_id;
+  IF v_place_id IS NULL THEN
+    RETURN jsonb_build_object('booking', NULL, 'conflicts', '[]'::jsonb);
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtextextended('booking:' || v_place_id::text, 0));
+
+  SELECT to_jsonb(b.*) INTO v_booking
+    FROM public.bookings b
+   WHERE b.id = p_booking_id
+     AND b.payment_status = p_from_status;
+  IF v_booking IS NULL THEN
+    RETURN jsonb_build_object('booking', NULL, 'conflicts', '[]'::jsonb);
+  END IF;
+
+  v_conflicts := public.booking_slot_conflicts(v_booking, p_holding_statuses, p_booking_id);
+  IF v_conflicts IS NOT NULL THEN
+    RETURN jsonb_build_object('booking', NULL, 'conflicts', v_conflicts);
+  END IF;
+
+  -- Set only the columns present in p_patch
+  SELECT string_agg(format('%1$I = r.%1$I', k), ', ') INTO v_sets
+    FROM jsonb_object_keys(p_patch) AS k;
+
+  EXECUTE format(
+    'UPDATE public.bookings AS b SET %s '
+    'FROM jsonb_populate_record(NULL::public.bookings, $1) AS r '
+    'WHERE b.id = $2 AND b.payment_status = $3 '
+    'RETURNING to_jsonb(b.*)',
+    v_sets
+  )
+  INTO v_updated
+  USING p_patch, p_booking_id, p_from_status;
+
+  RETURN jsonb_build_object('booking', v_updated, 'conflicts', '[]'::jsonb);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.booking_slot_conflicts(jsonb, text[], uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.booking_slot_conflicts(jsonb, text[], uuid) TO service_role;
+REVOKE ALL ON FUNCTION public.reserve_booking(jsonb, text[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_booking(jsonb, text[]) TO service_role;
+REVOKE ALL ON FUNCTION public.claim_booking_slot(uuid, text, jsonb, text[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_booking_slot(uuid, text, jsonb, text[]) TO service_role;
@@ -0,0 +1,75 @@
+-- Promo codes / discount coupons. Platform-wide codes are created through /api/admin/coupons,
+-- place-specific ones by vendors through /api/vendor/coupons; users apply them in the user app's
+-- BookingModal (/api/bookings/quote, /bookings/create-and-order).
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run, then re-run
+-- bookings_reserve_slot.sql (reserve_booking() now enforces usage_limit / per_user_limit).
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- A coupon discounts the booking subtotal (before the service fee and taxes, which are then
+-- charged on the discounted subtotal):
+--   - 'percent': discount_value % of the subtotal, capped at max_discount when set;
+--   - 'flat': discount_value off.
+-- Either way at least ₹1 of the subtotal is left to pay (Razorpay's minimum order).
+-- min_spend is checked against the undiscounted subtotal. A use is a booking that still holds its
+-- slot (PENDING hold, PAID, CONFIRMED, SUCCESS), so expired holds and cancellations free it again.
+-- Codes are stored upper-case; a place's own code wins over a platform code with the same text.
+
+CREATE TABLE IF NOT EXISTS public.coupons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL,
+  description TEXT,
+  discount_type TEXT NOT NULL,
+  discount_value NUMERIC(10, 2) NOT NULL,
+  max_discount NUMERIC(10, 2),
+  min_spend NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  place_id UUID REFERENCES public.places (id) ON DELETE CASCADE,
+  usage_limit INTEGER,
+  per_user_limit INTEGER,
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT coupons_code_check CHECK (code ~ '^[A-Z0-9_-]{3,30}$'),
+  CONSTRAINT coupons_discount_type_check CHECK (discount_type IN ('percent', 'flat')),
+  CONSTRAINT coupons_discount_value_check CHECK (
+    discount_value > 0 AND (discount_type <> 'percent' OR discount_value <= 100)
+  ),
+  CONSTRAINT coupons_max_discount_check CHECK (max_discount IS NULL OR max_discount > 0),
+  CONSTRAINT coupons_min_spend_check CHECK (min_spend >= 0),
+  CONSTRAINT coupons_usage_limit_check CHECK (usage_limit IS NULL OR usage_limit >= 1),
+  CONSTRAINT coupons_per_user_limit_check CHECK (per_user_limit IS NULL OR per_user_limit >= 1),
+  CONSTRAINT coupons_window_check CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- One platform code per text, and one per text within each place
+CREATE UNIQUE INDEX IF NOT EXISTS coupons_platform_code_key
+  ON public.coupons (code) WHERE place_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS coupons_place_code_key
+  ON public.coupons (place_id, code) WHERE place_id IS NOT NULL;
+
+-- No policies: apps only see a coupon's discount once the backend has validated the code, so
+-- codes cannot be listed
+ALTER TABLE public.coupons ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES public.coupons (id) ON DELETE SET NULL;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS discount_amount NUMERIC NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_coupon_id
+  ON public.bookings (coupon_id, user_id)
+  WHERE coupon_id IS NOT NULL;
+
+COMMENT ON TABLE public.coupons IS
+  'Promo codes; place_id NULL = platform-wide';
+COMMENT ON COLUMN public.coupons.max_discount IS
+  'Cap on a percent discount; NULL = no cap';
+COMMENT ON COLUMN public.coupons.usage_limit IS
+  'Total bookings that may use the code; NULL = unlimited';
+COMMENT ON COLUMN public.coupons.per_user_limit IS
+  'Bookings per user that may use the code; NULL = unlimited';
+COMMENT ON COLUMN public.bookings.coupon_code IS
+  'Code as applied, kept even if the coupon is later deleted';
+COMMENT ON COLUMN public.bookings.discount_amount IS
+  'Coupon discount taken off subtotal_amount before the service fee and taxes.';
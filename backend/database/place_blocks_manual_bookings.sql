@@ -0,0 +1,98 @@
+-- Vendor-blocked time ranges and offline (walk-in / phone) bookings.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run,
+-- then re-run bookings_reserve_slot.sql so reservations also reject blocked ranges.
+--
+-- place_blocks: [starts_at, ends_at) ranges in which a place takes no bookings (maintenance,
+-- private events). Honoured by /api/bookings/booked-slots, reserve_booking() and the user app
+-- booking grid, even for places that allow overlapping bookings.
+--
+-- Manual bookings are ordinary bookings rows with booking_source = 'VENDOR' and
+-- payment_status = 'CONFIRMED'; they have no user_id, so the guest's name/phone are stored
+-- on the row.
+
+CREATE TABLE IF NOT EXISTS public.place_blocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  place_id UUID NOT NULL REFERENCES public.places (id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT place_blocks_range_check CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_place_blocks_place_starts_at
+  ON public.place_blocks (place_id, starts_at);
+
+-- Backend (service role) only, like vendor_notifications
+ALTER TABLE public.place_blocks ENABLE ROW LEVEL SECURITY;
+
+-- Manual bookings have no app user
+ALTER TABLE public.bookings
+  ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS booking_source TEXT NOT NULL DEFAULT 'APP',
+  ADD COLUMN IF NOT EXISTS guest_name TEXT,
+  ADD COLUMN IF NOT EXISTS guest_phone TEXT,
+  ADD COLUMN IF NOT EXISTS booking_notes TEXT;
+
+COMMENT ON COLUMN public.bookings.booking_source IS 'APP = booked and paid in the user app; VENDOR = entered by the vendor (walk-in / phone, paid offline).';
+COMMENT ON COLUMN public.bookings.guest_name IS 'Guest name for VENDOR bookings, which have no user_id.';
+
+-- reserve_place_block(p_block, p_holding_statuses): the counterpart of reserve_booking() for
+-- blocks. Takes the same per-place advisory lock, refuses to block hours that already hold a
+-- booking (any status in p_holding_statuses, expired PENDING holds excluded), otherwise inserts.
+-- Returns { "block": <row or null>, "conflicts": [{ id, booking_ref_number, booking_date_time, duration_minutes }] }.
+CREATE OR REPLACE FUNCTION public.reserve_place_block(
+  p_block jsonb,
+  p_holding_statuses text[]
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_place_id uuid := (p_block ->> 'place_id')::uuid;
+  v_start timestamptz := (p_block ->> 'starts_at')::timestamptz;
+  v_end timestamptz := (p_block ->> 'ends_at')::timestamptz;
+  v_conflicts jsonb;
+  v_inserted jsonb;
+BEGIN
+  IF v_place_id IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start THEN
+    RAISE EXCEPTION 'place_id and a valid starts_at/ends_at range are required';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtextextended('booking:' || v_place_id::text, 0));
+
+  SELECT jsonb_agg(
+           jsonb_build_object(
+             'id', b.id,
+             'booking_ref_number', b.booking_ref_number,
+             'booking_date_time', b.booking_date_time,
+             'duration_minutes', COALESCE(b.duration_minutes, GREATEST(1, COALESCE(b.duration_hours, 1)) * 60)
+           )
+           ORDER BY b.booking_date_time
+         )
+    INTO v_conflicts
+    FROM public.bookings b
+   WHERE b.place_id = v_place_id
+     AND b.payment_status = ANY (p_holding_statuses)
+     AND b.booking_date_time < v_end
+     AND b.booking_date_time
+         + make_interval(mins => COALESCE(b.duration_minutes, GREATEST(1, COALESCE(b.duration_hours, 1)) * 60)) > v_start;
+
+  IF v_conflicts IS NOT NULL THEN
+    RETURN jsonb_build_object('block', NULL, 'conflicts', v_conflicts);
+  END IF;
+
+  INSERT INTO public.place_blocks (place_id, starts_at, ends_at, reason)
+  VALUES (v_place_id, v_start, v_end, NULLIF(p_block ->> 'reason', ''))
+  RETURNING to_jsonb(place_blocks.*) INTO v_inserted;
+
+  RETURN jsonb_build_object('block', v_inserted, 'conflicts', '[]'::jsonb);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.reserve_place_block(jsonb, text[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_place_block(jsonb, text[]) TO service_role;
@@ -0,0 +1,58 @@
+-- Bookable resources inside a place (badminton courts, bowling lanes, meeting rooms), each sold
+-- on its own. Managed from the vendor app (/api/vendor/resources); read by /api/bookings/booked-slots,
+-- /api/bookings/quote, /bookings/create-and-order and the user app's BookingModal.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run, then re-run
+-- bookings_reserve_slot.sql (reserve_booking() now checks availability per resource).
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- A place without active resources books exactly as before. Once it has resources:
+--   - every new booking has a resource_id (the user picks one, or the backend assigns the cheapest
+--     free one);
+--   - avg_price, hours and guest_capacity fall back to the place's values when NULL on the
+--     resource; slot settings, buffer, special dates and overlap rules stay place-wide;
+--   - bookings only conflict with bookings on the same resource, except older bookings without a
+--     resource_id, which hold every resource;
+--   - place_blocks still close the whole place.
+-- Resources are archived (is_active = false) rather than deleted so past bookings keep their name.
+
+CREATE TABLE IF NOT EXISTS public.place_resources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  place_id UUID NOT NULL REFERENCES public.places (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  avg_price NUMERIC(10, 2),
+  hours JSONB,
+  guest_capacity INTEGER,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT place_resources_avg_price_check CHECK (avg_price IS NULL OR avg_price > 0),
+  CONSTRAINT place_resources_guest_capacity_check
+    CHECK (guest_capacity IS NULL OR guest_capacity BETWEEN 1 AND 10000)
+);
+
+CREATE INDEX IF NOT EXISTS idx_place_resources_place_sort
+  ON public.place_resources (place_id, sort_order);
+
+-- No policies: vendors manage resources through /api/vendor/resources and customers read them
+-- through the booking routes
+ALTER TABLE public.place_resources ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS resource_id UUID REFERENCES public.place_resources (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_resource_booking_date_time
+  ON public.bookings (resource_id, booking_date_time)
+  WHERE resource_id IS NOT NULL;
+
+COMMENT ON TABLE public.place_resources IS
+  'Independently bookable units of a place (courts, lanes, rooms)';
+COMMENT ON COLUMN public.place_resources.avg_price IS
+  'Hourly price; NULL = places.avg_price';
+COMMENT ON COLUMN public.place_resources.hours IS
+  'Weekly hours in the places.hours format; NULL = places.hours';
+COMMENT ON COLUMN public.place_resources.guest_capacity IS
+  'Guests per slot; NULL = the place''s guest_capacity / capacity_overrides';
+COMMENT ON COLUMN public.bookings.resource_id IS
+  'Booked resource (place_resources); NULL for places without resources';
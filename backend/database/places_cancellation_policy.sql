@@ -0,0 +1,8 @@
+-- Vendor-configurable cancellation policies (PATCH /api/vendor/place, normalizeCancellationPolicy).
+-- The column itself is added by bookings_cancellation_refunds.sql; this documents the stored shape.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS cancellation_policy JSONB;
+
+COMMENT ON COLUMN public.places.cancellation_policy IS
+  '{ "preset": "flexible" | "moderate" | "strict" | "custom", "tiers": [{ "hours_before": int, "refund_percent": int }] } — tiers sorted by hours_before desc. NULL = moderate preset.';
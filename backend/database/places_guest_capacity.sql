@@ -0,0 +1,30 @@
+-- Guest capacity for shared venues (water parks, pools, play areas).
+-- Read by getCapacitySettings() in server.js, /api/bookings/booked-slots and the user app's BookingModal.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run, then re-run
+-- bookings_reserve_slot.sql (reserve_booking() now enforces capacity).
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- guest_capacity: how many guests a single slot can hold. NULL keeps the old behaviour, where
+--   allow_overlapping_bookings decides between one booking per slot and unlimited bookings.
+--   When set, every slot takes bookings until their number_of_guests add up to the capacity
+--   (allow_overlapping_bookings and buffer_minutes are then ignored).
+-- capacity_overrides: per-slot capacities for parts of the day, as
+--   [{ "start": "HH:mm", "end": "HH:mm", "capacity": n }] in venue-local time, applied every day.
+--   A slot uses the first entry whose [start, end) contains its start time, else guest_capacity.
+
+ALTER TABLE public.places
+  ADD COLUMN IF NOT EXISTS guest_capacity integer,
+  ADD COLUMN IF NOT EXISTS capacity_overrides jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_guest_capacity_check;
+ALTER TABLE public.places ADD CONSTRAINT places_guest_capacity_check
+  CHECK (guest_capacity IS NULL OR guest_capacity BETWEEN 1 AND 10000);
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_capacity_overrides_check;
+ALTER TABLE public.places ADD CONSTRAINT places_capacity_overrides_check
+  CHECK (jsonb_typeof(capacity_overrides) = 'array');
+
+COMMENT ON COLUMN public.places.guest_capacity IS
+  'Guests per slot; NULL = one booking per slot (or unlimited with allow_overlapping_bookings)';
+COMMENT ON COLUMN public.places.capacity_overrides IS
+  'Per-slot capacities: [{ start: "HH:mm", end: "HH:mm", capacity }] in venue-local time';
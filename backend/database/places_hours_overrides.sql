@@ -0,0 +1,9 @@
+-- Date-specific opening hours (holidays, special hours) that override the weekly schedule.
+-- Written by PATCH /api/vendor/place (normalizeHoursOverrides); read by availability checks,
+-- occupancy analytics and the vendor calendar via getOpeningWindowForDate.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+
+ALTER TABLE public.places ADD COLUMN IF NOT EXISTS hours_overrides JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN public.places.hours_overrides IS
+  '[{ "date": "YYYY-MM-DD", "closed": true, "label"?: text } | { "date", "closed": false, "open": "HH:mm", "close": "HH:mm", "label"?: text }] — venue-local dates, sorted, one entry per date.';
@@ -0,0 +1,29 @@
+-- Dynamic pricing (peak hours, weekends, seasons, group sizes) on top of places.avg_price.
+-- Read by computeBookingQuote() / hourlyPriceAt() in server.js, /api/bookings/booked-slots (per-slot
+-- prices for the user app's BookingModal) and formatListingPrice in the user app ("from $X").
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- pricing_rules: ordered array of rules; each slot of a booking is priced by the FIRST rule that
+-- matches it, or avg_price when none does:
+--   {
+--     "label": "Weekend evenings",          -- optional, shown to the vendor
+--     "days": [0, 6],                       -- weekdays, 0 = Sunday; empty / missing = every day
+--     "start": "18:00", "end": "22:00",     -- venue-local slot start window; missing = all day
+--     "from": "2025-12-20", "to": "2026-01-05", -- inclusive venue-local dates; missing = always
+--     "min_guests": 10, "max_guests": null, -- guest-count tier; missing = any group size
+--     "type": "multiplier" | "fixed",
+--     "value": 1.5                          -- multiplier of avg_price, or a fixed hourly price
+--   }
+-- Prices are per hour (per person per hour with charge_per_guest). Resources with their own
+-- avg_price use it as the base for multipliers; fixed prices apply to every resource.
+
+ALTER TABLE public.places
+  ADD COLUMN IF NOT EXISTS pricing_rules jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_pricing_rules_check;
+ALTER TABLE public.places ADD CONSTRAINT places_pricing_rules_check
+  CHECK (jsonb_typeof(pricing_rules) = 'array');
+
+COMMENT ON COLUMN public.places.pricing_rules IS
+  'Ordered pricing rules: [{ label, days, start, end, from, to, min_guests, max_guests, type, value }]; first match prices a slot';
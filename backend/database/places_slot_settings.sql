@@ -0,0 +1,43 @@
+-- Per-place slot length, booking length limits and turnover buffer, plus minute-based booking durations.
+-- Read by getSlotSettings() in server.js and the user app's BookingModal.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run, then re-run
+-- bookings_reserve_slot.sql and place_blocks_manual_bookings.sql (their functions now use duration_minutes).
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+
+ALTER TABLE public.places
+  ADD COLUMN IF NOT EXISTS slot_minutes integer NOT NULL DEFAULT 60,
+  ADD COLUMN IF NOT EXISTS min_duration_minutes integer,
+  ADD COLUMN IF NOT EXISTS max_duration_minutes integer,
+  ADD COLUMN IF NOT EXISTS buffer_minutes integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_slot_minutes_check;
+ALTER TABLE public.places ADD CONSTRAINT places_slot_minutes_check
+  CHECK (slot_minutes BETWEEN 15 AND 240 AND slot_minutes % 15 = 0);
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_booking_length_check;
+ALTER TABLE public.places ADD CONSTRAINT places_booking_length_check
+  CHECK (
+    (min_duration_minutes IS NULL OR min_duration_minutes % slot_minutes = 0)
+    AND (max_duration_minutes IS NULL OR max_duration_minutes % slot_minutes = 0)
+    AND (min_duration_minutes IS NULL OR max_duration_minutes IS NULL
+         OR max_duration_minutes >= min_duration_minutes)
+    AND (max_duration_minutes IS NULL OR max_duration_minutes <= 1440)
+  );
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_buffer_minutes_check;
+ALTER TABLE public.places ADD CONSTRAINT places_buffer_minutes_check
+  CHECK (buffer_minutes BETWEEN 0 AND 120);
+
+COMMENT ON COLUMN public.places.slot_minutes IS 'Length of one bookable slot; start times step by this from opening time.';
+COMMENT ON COLUMN public.places.min_duration_minutes IS 'Shortest booking (multiple of slot_minutes). NULL = one slot.';
+COMMENT ON COLUMN public.places.max_duration_minutes IS 'Longest booking when allow_multiple_hours_booking is on. NULL = 24 hours.';
+COMMENT ON COLUMN public.places.buffer_minutes IS 'Turnover time kept free between two bookings (not applied to vendor blocks).';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS duration_minutes integer;
+
+UPDATE public.bookings
+SET duration_minutes = GREATEST(1, COALESCE(duration_hours, 1)) * 60
+WHERE duration_minutes IS NULL;
+
+COMMENT ON COLUMN public.bookings.duration_minutes IS 'Booked length in minutes (authoritative). duration_hours is kept rounded up for older readers.';
@@ -0,0 +1,108 @@
+-- Place verification (KYC). New places start as DRAFT and stay out of the public catalogue
+-- (GET /api/places, /api/places/by-ids, /api/places/:placeId and booking) until an admin approves
+-- them. The vendor uploads a GST certificate, PAN card and proof of ownership or lease
+-- (POST /api/vendor/verification/documents) and submits them for review; an admin approves or
+-- rejects with reasons (/api/admin/verifications/*). A rejected place can re-upload and resubmit.
+-- Run once in Supabase (after rls_policies.sql): Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Storage: create a PRIVATE bucket named vendor_documents (Dashboard → Storage → New bucket,
+-- "Public bucket" off). Files live at <place_id>/<doc_type>-<timestamp>.jpg and are only read by
+-- the backend, which hands admins short-lived signed URLs.
+--
+--   DRAFT ──submit──▶ PENDING_REVIEW ──approve──▶ APPROVED
+--                          │
+--                          └──reject──▶ REJECTED ──submit──▶ PENDING_REVIEW
+--
+-- Places that already exist when this runs are APPROVED so live listings stay visible.
+
+ALTER TABLE public.places
+  ADD COLUMN IF NOT EXISTS verification_status TEXT NOT NULL DEFAULT 'APPROVED',
+  ADD COLUMN IF NOT EXISTS verification_submitted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS verification_reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS verification_reviewed_by UUID REFERENCES public.admins (id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS verification_rejection_reasons TEXT[];
+
+ALTER TABLE public.places ALTER COLUMN verification_status SET DEFAULT 'DRAFT';
+
+ALTER TABLE public.places DROP CONSTRAINT IF EXISTS places_verification_status_check;
+ALTER TABLE public.places ADD CONSTRAINT places_verification_status_check
+  CHECK (verification_status IN ('DRAFT', 'PENDING_REVIEW', 'APPROVED', 'REJECTED'));
+
+CREATE INDEX IF NOT EXISTS idx_places_verification_status
+  ON public.places (verification_status, verification_submitted_at);
+
+CREATE TABLE IF NOT EXISTS public.place_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  place_id UUID NOT NULL REFERENCES public.places (id) ON DELETE CASCADE,
+  doc_type TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'submitted',
+  rejection_reason TEXT,
+  uploaded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  reviewed_at TIMESTAMPTZ,
+  CONSTRAINT place_documents_doc_type_check CHECK (doc_type IN ('gst', 'pan', 'ownership_proof')),
+  CONSTRAINT place_documents_status_check CHECK (status IN ('submitted', 'accepted', 'rejected')),
+  CONSTRAINT place_documents_place_doc_type_key UNIQUE (place_id, doc_type)
+);
+
+-- No policies: verification documents (GST, PAN, ownership proof) are private; the backend shows
+-- them to the place's vendor and to admins
+ALTER TABLE public.place_documents ENABLE ROW LEVEL SECURITY;
+
+-- The anon-key catalogue read follows the API: approved places, plus the vendor's own place.
+DROP POLICY IF EXISTS "places_select_public" ON public.places;
+CREATE POLICY "places_select_public"
+  ON public.places FOR SELECT
+  TO anon, authenticated
+  USING (
+    verification_status = 'APPROVED'
+    OR EXISTS (
+      SELECT 1 FROM public.vendors v
+      WHERE v.place_id = places.id
+        AND v.auth_user_id = auth.uid()
+    )
+  );
+
+-- places_update_vendor_owner lets a vendor update its own row with the anon key; only the backend
+-- may change the verification columns.
+CREATE OR REPLACE FUNCTION public.places_guard_verification()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF coalesce(auth.role(), 'service_role') <> 'service_role' AND (
+    NEW.verification_status IS DISTINCT FROM OLD.verification_status
+    OR NEW.verification_submitted_at IS DISTINCT FROM OLD.verification_submitted_at
+    OR NEW.verification_reviewed_at IS DISTINCT FROM OLD.verification_reviewed_at
+    OR NEW.verification_reviewed_by IS DISTINCT FROM OLD.verification_reviewed_by
+    OR NEW.verification_rejection_reasons IS DISTINCT FROM OLD.verification_rejection_reasons
+  ) THEN
+    RAISE EXCEPTION 'verification fields can only be changed by Spotnere';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS places_guard_verification ON public.places;
+CREATE TRIGGER places_guard_verification
+  BEFORE UPDATE ON public.places
+  FOR EACH ROW EXECUTE FUNCTION public.places_guard_verification();
+
+-- Verification notifications are not about a booking
+ALTER TABLE public.vendor_notifications ALTER COLUMN booking_id DROP NOT NULL;
+
+COMMENT ON COLUMN public.places.verification_status IS
+  'DRAFT, PENDING_REVIEW, APPROVED or REJECTED; only APPROVED places are listed and bookable';
+COMMENT ON COLUMN public.places.verification_submitted_at IS
+  'When the vendor last submitted documents for review';
+COMMENT ON COLUMN public.places.verification_reviewed_by IS
+  'Admin who last approved or rejected the place';
+COMMENT ON COLUMN public.places.verification_rejection_reasons IS
+  'Reasons shown to the vendor after a rejection; cleared on resubmission';
+COMMENT ON TABLE public.place_documents IS
+  'Latest verification document of each type per place; re-uploading replaces the row and file';
+COMMENT ON COLUMN public.place_documents.storage_path IS
+  'Path in the private vendor_documents bucket';
+COMMENT ON COLUMN public.place_documents.rejection_reason IS
+  'Why the admin asked for this document again (status rejected)';
@@ -0,0 +1,46 @@
+-- Razorpay webhook deliveries, one row per event id (the X-Razorpay-Event-Id header). Razorpay
+-- retries a delivery until it gets a 2xx and may send the same event more than once, so
+-- /webhooks/razorpay records each event here first and skips ones already handled; a retry no
+-- longer re-sends the vendor's "New booking" notification and push.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Lifecycle:
+--   processing   claimed by a delivery; a retry of the same event gets 409 until it finishes
+--                (or is taken over once the claim is stale, e.g. the server restarted mid-way)
+--   processed    changed a booking, refund or payout
+--   ignored      nothing to do: unknown order, unhandled event, or a late / out-of-order status
+--                (e.g. payment.failed after the booking was already paid)
+--   failed       the handler threw; the next delivery of the event runs it again
+
+CREATE TABLE IF NOT EXISTS public.razorpay_webhook_events (
+  event_id TEXT PRIMARY KEY,
+  event TEXT NOT NULL,
+  entity_id TEXT,
+  payload JSONB,
+  status TEXT NOT NULL DEFAULT 'processing',
+  attempts INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  event_created_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT razorpay_webhook_events_status_check
+    CHECK (status IN ('processing', 'processed', 'ignored', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_entity
+  ON public.razorpay_webhook_events (entity_id);
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_failed
+  ON public.razorpay_webhook_events (received_at)
+  WHERE status = 'failed';
+
+-- No policies: Razorpay event ids and payloads are only for the backend's webhook deduplication
+ALTER TABLE public.razorpay_webhook_events ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.razorpay_webhook_events IS
+  'Razorpay webhook events received on /webhooks/razorpay, for deduplicating redeliveries';
+COMMENT ON COLUMN public.razorpay_webhook_events.event_id IS
+  'X-Razorpay-Event-Id, or the SHA-256 of the body when the header is missing';
+COMMENT ON COLUMN public.razorpay_webhook_events.entity_id IS
+  'Payment, refund, payout or order id the event is about';
@@ -0,0 +1,94 @@
+-- Platform commission and vendor payout ledger. One vendor_ledger_entries row per paid booking,
+-- written when the payment is captured (webhook, /payments/razorpay/verify or the hold sweep; see
+-- recordBookingLedgerEntry in server.js) and adjusted when the customer cancels with a refund.
+-- Read by GET /api/vendor/earnings (the vendor app's PaymentInfoScreen) and the admin ledger routes.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- How a booking's money splits (all amounts INR):
+--   gross_amount    = what the customer paid = booking_amount - discount + service fee + tax
+--   vendor_earnings = booking_amount - (discount_amount when the vendor's own coupon funded it)
+--                     - commission_amount (commission_percent of that)
+--   net_payable     = vendor_earnings - vendor_refund_amount (vendor's share of refunds, pro rata)
+--                     until paid out; later refunds become refund adjustment entries
+--                     (vendor_ledger_refund_adjustments.sql)
+-- The service fee, tax (remitted by the platform), gateway fees and platform-coupon discounts are
+-- the platform's. commission_percent is copied onto each entry, so later rate changes do not
+-- rewrite history. Bookings paid before this migration have no entry.
+--
+-- commission_rates: a vendor's own rate wins over its place's category rate, which wins over the
+-- PLATFORM_COMMISSION_PERCENT env default.
+
+CREATE TABLE IF NOT EXISTS public.commission_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id UUID REFERENCES public.vendors (id) ON DELETE CASCADE,
+  category TEXT,
+  commission_percent NUMERIC(5, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT commission_rates_scope_check CHECK ((vendor_id IS NULL) <> (category IS NULL)),
+  CONSTRAINT commission_rates_category_check CHECK (category IS NULL OR category = lower(category)),
+  CONSTRAINT commission_rates_percent_check CHECK (commission_percent BETWEEN 0 AND 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS commission_rates_vendor_key
+  ON public.commission_rates (vendor_id) WHERE vendor_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS commission_rates_category_key
+  ON public.commission_rates (category) WHERE category IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.vendor_ledger_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings (id),
+  vendor_id UUID REFERENCES public.vendors (id) ON DELETE SET NULL,
+  place_id UUID REFERENCES public.places (id) ON DELETE SET NULL,
+  currency TEXT NOT NULL DEFAULT 'INR',
+  gross_amount NUMERIC(12, 2) NOT NULL,
+  booking_amount NUMERIC(12, 2) NOT NULL,
+  discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  discount_funded_by TEXT,
+  service_fee_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  commission_percent NUMERIC(5, 2) NOT NULL,
+  commission_amount NUMERIC(12, 2) NOT NULL,
+  gateway_fee_amount NUMERIC(12, 2),
+  gateway_tax_amount NUMERIC(12, 2),
+  vendor_earnings NUMERIC(12, 2) NOT NULL,
+  refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  vendor_refund_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  net_payable NUMERIC(12, 2) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  settled_at TIMESTAMPTZ,
+  settlement_ref TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT vendor_ledger_entries_booking_key UNIQUE (booking_id),
+  CONSTRAINT vendor_ledger_entries_status_check CHECK (status IN ('pending', 'settled', 'refunded')),
+  CONSTRAINT vendor_ledger_entries_discount_funded_by_check
+    CHECK (discount_funded_by IS NULL OR discount_funded_by IN ('platform', 'vendor'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_ledger_entries_vendor_status
+  ON public.vendor_ledger_entries (vendor_id, status, captured_at DESC);
+
+-- No policies: commission rates are set by admins and ledger entries written on payment; vendors
+-- and admins read both through the backend
+ALTER TABLE public.commission_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.vendor_ledger_entries ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.commission_rates IS
+  'Platform commission overrides: one per vendor or per (lower-case) place category';
+COMMENT ON TABLE public.vendor_ledger_entries IS
+  'Money split of each paid booking between the vendor and the platform';
+COMMENT ON COLUMN public.vendor_ledger_entries.booking_amount IS
+  'Booking price before coupon discount, fees and taxes (bookings.subtotal_amount)';
+COMMENT ON COLUMN public.vendor_ledger_entries.discount_funded_by IS
+  'platform (platform-wide coupon) or vendor (the place''s own coupon); NULL without a discount';
+COMMENT ON COLUMN public.vendor_ledger_entries.gateway_fee_amount IS
+  'Razorpay fee including its GST (gateway_tax_amount); NULL when the payment was not fetched';
+COMMENT ON COLUMN public.vendor_ledger_entries.net_payable IS
+  'What the vendor is owed for the booking after refunds';
+COMMENT ON COLUMN public.vendor_ledger_entries.status IS
+  'pending (owed), settled (paid out; settled_at / settlement_ref) or refunded (nothing owed)';
+COMMENT ON COLUMN public.bookings.amount_received_by_vendor IS
+  'Vendor''s net payable from vendor_ledger_entries; NULL until the ledger entry is written';
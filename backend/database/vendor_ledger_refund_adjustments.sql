@@ -0,0 +1,36 @@
+-- Refund adjustments: recovering the vendor's share of a refund made after its booking's ledger
+-- entry was paid out (settled, or claimed by a vendor_payouts row).
+-- Run once in Supabase (after vendor_payouts.sql): Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- A paid-out entry keeps the net_payable it was paid with; applyLedgerRefund in server.js only
+-- adds the refund to its refunded_amount / vendor_refund_amount and writes a refund_adjustment
+-- entry: no booking_id, adjusts_entry_id = the paid-out entry, net_payable = minus the vendor's
+-- share of the refund, status pending. Payouts sum every pending entry, so the next one nets it
+-- off, and settled totals never shrink.
+
+ALTER TABLE public.vendor_ledger_entries
+  ADD COLUMN IF NOT EXISTS entry_type TEXT NOT NULL DEFAULT 'booking',
+  ADD COLUMN IF NOT EXISTS adjusts_entry_id UUID REFERENCES public.vendor_ledger_entries (id);
+
+ALTER TABLE public.vendor_ledger_entries
+  ALTER COLUMN booking_id DROP NOT NULL;
+
+ALTER TABLE public.vendor_ledger_entries
+  DROP CONSTRAINT IF EXISTS vendor_ledger_entries_entry_type_check;
+ALTER TABLE public.vendor_ledger_entries
+  ADD CONSTRAINT vendor_ledger_entries_entry_type_check CHECK (
+    (entry_type = 'booking' AND booking_id IS NOT NULL AND adjusts_entry_id IS NULL)
+    OR (entry_type = 'refund_adjustment' AND booking_id IS NULL AND adjusts_entry_id IS NOT NULL)
+  );
+
+CREATE INDEX IF NOT EXISTS idx_vendor_ledger_entries_adjusts_entry_id
+  ON public.vendor_ledger_entries (adjusts_entry_id)
+  WHERE adjusts_entry_id IS NOT NULL;
+
+COMMENT ON COLUMN public.vendor_ledger_entries.entry_type IS
+  'booking (one per paid booking) or refund_adjustment (negative, recovers a refund after payout)';
+COMMENT ON COLUMN public.vendor_ledger_entries.adjusts_entry_id IS
+  'For a refund_adjustment: the paid-out booking entry whose refund it recovers';
+COMMENT ON COLUMN public.vendor_ledger_entries.net_payable IS
+  'What the vendor is owed for the entry: after refunds until paid out, then as paid; negative for a refund_adjustment';
@@ -0,0 +1,66 @@
+-- Automated vendor payouts through RazorpayX. runVendorPayouts in server.js batches each vendor's
+-- pending ledger entries (vendor_ledger.sql) into one vendor_payouts row per cycle and pays it to
+-- the vendor's fund account (vendors.razorpay_fa_ref, created by PATCH /api/vendor/profile).
+-- Status follows Razorpay's payout.* webhooks (subscribe them on /webhooks/razorpay with the same
+-- secret), with a polling fallback. Payouts stay off until RAZORPAYX_ACCOUNT_NUMBER is set.
+-- Run once in Supabase (after vendor_ledger.sql): Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Lifecycle:
+--   created     row written and entries claimed, Razorpay not yet reached (retried with the same
+--               idempotency key, the row id)
+--   queued / pending / processing   accepted by Razorpay, money not yet with the vendor
+--   processed   paid: the claimed entries become settled (settlement_ref = UTR)
+--   failed / rejected / cancelled / reversed   not paid: the entries are released (payout_id
+--               cleared, a reversed payout's entries back to pending) and go into the next cycle
+-- An entry with a payout_id is in a payout; the manual settle route and the scheduler skip it.
+
+CREATE TABLE IF NOT EXISTS public.vendor_payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id UUID NOT NULL REFERENCES public.vendors (id) ON DELETE CASCADE,
+  fund_account_ref TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'INR',
+  entry_count INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'created',
+  razorpay_payout_id TEXT,
+  utr TEXT,
+  failure_reason TEXT,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT vendor_payouts_status_check CHECK (status IN (
+    'created', 'queued', 'pending', 'processing', 'processed',
+    'failed', 'rejected', 'cancelled', 'reversed'
+  )),
+  CONSTRAINT vendor_payouts_amount_check CHECK (amount >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_payouts_razorpay_payout_id_key
+  ON public.vendor_payouts (razorpay_payout_id) WHERE razorpay_payout_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_vendor_payouts_vendor_created
+  ON public.vendor_payouts (vendor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vendor_payouts_open
+  ON public.vendor_payouts (status, updated_at)
+  WHERE status IN ('created', 'queued', 'pending', 'processing');
+
+ALTER TABLE public.vendor_ledger_entries
+  ADD COLUMN IF NOT EXISTS payout_id UUID REFERENCES public.vendor_payouts (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_ledger_entries_payout_id
+  ON public.vendor_ledger_entries (payout_id)
+  WHERE payout_id IS NOT NULL;
+
+-- No policies: vendors see their payouts through /api/vendor/payouts; payouts are written by
+-- the payout run and RazorpayX webhooks only
+ALTER TABLE public.vendor_payouts ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.vendor_payouts IS
+  'One RazorpayX payout of a vendor''s pending ledger entries';
+COMMENT ON COLUMN public.vendor_payouts.mode IS
+  'RazorpayX payout mode for the fund account (UPI for a VPA)';
+COMMENT ON COLUMN public.vendor_payouts.utr IS
+  'Bank reference of a processed payout, shown to the vendor';
+COMMENT ON COLUMN public.vendor_ledger_entries.payout_id IS
+  'Payout the entry is being (or was) paid in; NULL = not yet in a payout';
@@ -0,0 +1,37 @@
+-- Bank-account payouts next to UPI. PATCH /api/vendor/profile now creates a RazorpayX fund account
+-- for each payout method the vendor fills in (a VPA for upi_id, a bank account for
+-- account_holder_name / account_number / ifsc_code) and points razorpay_fa_ref, the account
+-- runVendorPayouts pays, at the one for the vendor's payout_method.
+-- Run once in Supabase (after vendor_payouts.sql): Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+--
+-- Vendors that only had a UPI fund account keep it: it is copied to razorpay_vpa_fa_ref and their
+-- payout_method becomes 'upi'.
+
+-- The code has always written razorpay_fa_ref (vendors_razorpay_fa_id.sql added razorpay_fa_id)
+ALTER TABLE public.vendors ADD COLUMN IF NOT EXISTS razorpay_fa_ref TEXT;
+ALTER TABLE public.vendors ADD COLUMN IF NOT EXISTS razorpay_vpa_fa_ref TEXT;
+ALTER TABLE public.vendors ADD COLUMN IF NOT EXISTS razorpay_bank_fa_ref TEXT;
+ALTER TABLE public.vendors ADD COLUMN IF NOT EXISTS payout_method TEXT;
+ALTER TABLE public.vendors ADD COLUMN IF NOT EXISTS bank_name TEXT;
+ALTER TABLE public.vendors ADD COLUMN IF NOT EXISTS bank_branch TEXT;
+
+ALTER TABLE public.vendors DROP CONSTRAINT IF EXISTS vendors_payout_method_check;
+ALTER TABLE public.vendors ADD CONSTRAINT vendors_payout_method_check
+  CHECK (payout_method IS NULL OR payout_method IN ('upi', 'bank_account'));
+
+UPDATE public.vendors
+SET razorpay_vpa_fa_ref = razorpay_fa_ref,
+    payout_method = 'upi'
+WHERE razorpay_fa_ref IS NOT NULL
+  AND razorpay_vpa_fa_ref IS NULL
+  AND payout_method IS NULL;
+
+COMMENT ON COLUMN public.vendors.razorpay_fa_ref IS
+  'RazorpayX fund account payouts go to: the vpa or bank one, per payout_method';
+COMMENT ON COLUMN public.vendors.payout_method IS
+  'Primary payout method chosen by the vendor: upi or bank_account';
+COMMENT ON COLUMN public.vendors.bank_name IS
+  'Bank of ifsc_code from the bundled IFSC dataset (backend/data); NULL when not recognised';
+COMMENT ON COLUMN public.vendor_payouts.mode IS
+  'RazorpayX payout mode: UPI to a VPA, IMPS (NEFT above the IMPS limit) to a bank account';
@@ -0,0 +1,15 @@
+-- Vendor suspension from the admin panel (PATCH /api/admin/vendors/:vendorId/status, audited as
+-- vendor.suspend / vendor.reactivate). A suspended vendor cannot sign in to the vendor app or call
+-- the vendor API, their Supabase Auth user is banned and signed out, and runVendorPayouts holds
+-- their payouts. Their place stays listed; rejecting its verification takes it down.
+-- Run once in Supabase: Dashboard → SQL Editor → New query → Run.
+-- If PostgREST still errors, wait ~1 min or Project Settings → API → Reload schema.
+
+ALTER TABLE public.vendors
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+COMMENT ON COLUMN public.vendors.suspended_at IS
+  'When an admin suspended the vendor; NULL while the account is active';
+COMMENT ON COLUMN public.vendors.suspension_reason IS
+  'Why the vendor was suspended (shown to admins); cleared on reactivation';
@@ -0,0 +1,120 @@
+// Builds data/ifsc/, the branch dataset lookupIfsc in server.js reads, from Razorpay's open IFSC
+// dataset (IFSC.csv, one row per branch, published with each release of
+// https://github.com/razorpay/ifsc). npm start runs it first when the dataset is missing; the
+// server does not start without it.
+//
+//   npm run build:ifsc                      # download IFSC.csv of IFSC_RELEASE
+//   npm run build:ifsc -- ./IFSC.csv        # or build from a CSV already on disk
+//   npm run build:ifsc -- --if-missing      # only when data/ifsc/index.json is not there yet
+//
+// One gzipped file per bank code, data/ifsc/HDFC.json.gz = { "HDFC0000001": [branch, city, state,
+// address] }, so the server only inflates the banks it is asked about; data/ifsc/index.json
+// ({ release, builtAt, banks: { HDFC: branchCount } }) is written last and marks a complete build.
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { gzipSync, constants } from "node:zlib";
+
+const IFSC_RELEASE = process.env.IFSC_RELEASE || "v2.0.50";
+const SOURCE_URL = `https://github.com/razorpay/ifsc/releases/download/${IFSC_RELEASE}/IFSC.csv`;
+const OUT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../data/ifsc");
+const INDEX_PATH = path.join(OUT_DIR, "index.json");
+
+/** Rows of a CSV document (RFC 4180: quoted fields may hold commas, quotes and newlines). */
+function* parseCsv(text) {
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      yield row;
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    yield row;
+  }
+}
+
+async function readSource(source) {
+  if (!/^https?:\/\//.test(source)) return readFileSync(source, "utf8");
+  console.log(`Downloading ${source}`);
+  const res = await fetch(source);
+  if (!res.ok) throw new Error(`GET ${source} failed (${res.status})`);
+  return res.text();
+}
+
+const clean = (value) => {
+  const text = String(value || "").replace(/\s+/g, " ").trim();
+  return text && text.toUpperCase() !== "NA" ? text : null;
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--if-missing") && existsSync(INDEX_PATH)) return;
+  const source = args.find((arg) => !arg.startsWith("--")) || SOURCE_URL;
+  const rows = parseCsv(await readSource(source));
+  const header = rows.next().value.map((h) => h.trim().toUpperCase());
+  const col = (name) => {
+    const i = header.indexOf(name);
+    if (i === -1) throw new Error(`${source} has no ${name} column`);
+    return i;
+  };
+  const [ifscCol, branchCol, cityCol, stateCol, addressCol] =
+    ["IFSC", "BRANCH", "CITY", "STATE", "ADDRESS"].map(col);
+
+  const banks = new Map();
+  for (const row of rows) {
+    const ifsc = clean(row[ifscCol])?.toUpperCase();
+    if (!ifsc || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) continue;
+    const bankCode = ifsc.slice(0, 4);
+    if (!banks.has(bankCode)) banks.set(bankCode, {});
+    banks.get(bankCode)[ifsc] = [row[branchCol], row[cityCol], row[stateCol], row[addressCol]].map(clean);
+  }
+  if (banks.size === 0) throw new Error(`${source} has no branches`);
+
+  rmSync(OUT_DIR, { recursive: true, force: true });
+  mkdirSync(OUT_DIR, { recursive: true });
+  const counts = {};
+  let bytes = 0;
+  for (const [bankCode, branches] of [...banks].sort(([a], [b]) => a.localeCompare(b))) {
+    const gz = gzipSync(JSON.stringify(branches), { level: constants.Z_BEST_COMPRESSION });
+    writeFileSync(path.join(OUT_DIR, `${bankCode}.json.gz`), gz);
+    counts[bankCode] = Object.keys(branches).length;
+    bytes += gz.length;
+  }
+  const release = source === SOURCE_URL ? IFSC_RELEASE : path.basename(source);
+  writeFileSync(INDEX_PATH, `${JSON.stringify({ release, builtAt: new Date().toISOString(), banks: counts })}\n`);
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  console.log(
+    `Wrote ${total} branches of ${banks.size} banks to ${path.relative(process.cwd(), OUT_DIR)} ` +
+      `(${(bytes / 1024 / 1024).toFixed(1)} MB)`,
+  );
+}
+
+main().catch((err) => {
+  console.error("❌", err.message || err);
+  process.exit(1);
+});
@@ -21,12 +21,17 @@ dotenv.config({
 import express from "express";
 import cors from "cors";
 import crypto from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { promisify } from "node:util";
+import { gunzip } from "node:zlib";
 import Razorpay from "razorpay";
-import { createClient } from "@supabase/supabase-js";
+import { createClient, isAuthRetryableFetchError } from "@supabase/supabase-js";
 import { DateTime } from "luxon";
 import bcrypt from "bcrypt";
 import rateLimit from "express-rate-limit";
-import { body, param, validationResult } from "express-validator";
+import nodemailer from "nodemailer";
+import { body, param, query, validationResult } from "express-validator";
 
 const app = express();
 
@@ -42,12 +47,77 @@ const {
   CORS_ORIGIN,
 } = process.env;
 
+// Booking price add-ons, as a percentage (e.g. "2.5"). Tax applies to subtotal + service fee.
+const BOOKING_SERVICE_FEE_PERCENT =
+  Number(process.env.BOOKING_SERVICE_FEE_PERCENT) || 0;
+const BOOKING_TAX_PERCENT = Number(process.env.BOOKING_TAX_PERCENT) || 0;
+
+// Default platform commission on the vendor's share of each booking, as a percentage; overridden per
+// vendor or place category in commission_rates
+const PLATFORM_COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT) || 0;
+
+// RazorpayX vendor payouts (vendor_payouts.sql); off until RAZORPAYX_ACCOUNT_NUMBER is set. A vendor
+// is paid at most once every VENDOR_PAYOUT_CYCLE_DAYS, for ledger entries captured at least
+// VENDOR_PAYOUT_HOLD_DAYS ago, once they add up to VENDOR_PAYOUT_MIN_AMOUNT (INR).
+// RAZORPAY_API_URL can point at a local mock of the payouts API.
+const RAZORPAYX_ACCOUNT_NUMBER = process.env.RAZORPAYX_ACCOUNT_NUMBER || "";
+const RAZORPAY_API_URL = process.env.RAZORPAY_API_URL || "https://api.razorpay.com/v1";
+const VENDOR_PAYOUT_CYCLE_DAYS = Number(process.env.VENDOR_PAYOUT_CYCLE_DAYS) || 7;
+const VENDOR_PAYOUT_HOLD_DAYS = Number(process.env.VENDOR_PAYOUT_HOLD_DAYS) || 2;
+const VENDOR_PAYOUT_MIN_AMOUNT = Number(process.env.VENDOR_PAYOUT_MIN_AMOUNT) || 100;
+
+// AES-256-GCM key for vendor payout details at rest (see "Field encryption"): 32 bytes, base64
+// or hex encoded. Generate one with: openssl rand -base64 32
+const VENDOR_DATA_ENCRYPTION_KEY = process.env.VENDOR_DATA_ENCRYPTION_KEY || "";
+
+// How long a PENDING booking holds its slot before the sweeper may expire it
+const BOOKING_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 15;
+const BOOKING_HOLD_SWEEP_INTERVAL_MS =
+  Number(process.env.BOOKING_HOLD_SWEEP_INTERVAL_MS) || 60 * 1000;
+// Vendors can check a guest in from this long before the booking starts
+const BOOKING_CHECK_IN_EARLY_MINUTES = Number(process.env.BOOKING_CHECK_IN_EARLY_MINUTES) || 60;
+// Paid bookings still open this long after they end are completed by the sweeper (until then the
+// vendor can still mark a no-show)
+const BOOKING_AUTO_COMPLETE_HOURS = Number(process.env.BOOKING_AUTO_COMPLETE_HOURS) || 24;
+
+// Outgoing email (see "Mail"). MAIL_TRANSPORT "smtp" (the default) sends through SMTP_HOST; point
+// it at a local SMTP stand-in (e.g. MailHog) to catch mail in development and tests. "log" prints
+// each message, reset codes included, to the server log, so it has to be asked for by name and is
+// for local development only.
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "smtp";
+const MAIL_FROM = process.env.MAIL_FROM || "Spotnere <no-reply@spotnere.com>";
+
+// How long emailed one-time codes stay valid (account_tokens.sql)
+const PASSWORD_RESET_CODE_MINUTES = Number(process.env.PASSWORD_RESET_CODE_MINUTES) || 30;
+const EMAIL_VERIFICATION_CODE_MINUTES =
+  Number(process.env.EMAIL_VERIFICATION_CODE_MINUTES) || 24 * 60;
+
 if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
   console.error(
     "❌ Missing Razorpay env vars (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)",
   );
   process.exit(1);
 }
+const vendorDataKey = /^[0-9a-f]{64}$/i.test(VENDOR_DATA_ENCRYPTION_KEY)
+  ? Buffer.from(VENDOR_DATA_ENCRYPTION_KEY, "hex")
+  : Buffer.from(VENDOR_DATA_ENCRYPTION_KEY, "base64");
+if (vendorDataKey.length !== 32) {
+  console.error(
+    "❌ Missing or invalid VENDOR_DATA_ENCRYPTION_KEY (32 bytes, base64 or hex; openssl rand -base64 32)",
+  );
+  process.exit(1);
+}
+if (MAIL_TRANSPORT !== "smtp" && MAIL_TRANSPORT !== "log") {
+  console.error(`❌ Invalid MAIL_TRANSPORT "${MAIL_TRANSPORT}" (smtp or log)`);
+  process.exit(1);
+}
+if (MAIL_TRANSPORT === "smtp" && !SMTP_HOST) {
+  console.error(
+    "❌ Missing SMTP_HOST for outgoing email (MAIL_TRANSPORT=log prints it instead, local development only)",
+  );
+  process.exit(1);
+}
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
   console.error(
     "❌ Missing Supabase env vars (SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY)",
@@ -65,6 +135,13 @@ const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
   auth: { persistSession: false },
 });
 
+// Signing in or refreshing stores the session on the client it ran on; a throwaway client keeps
+// that session from replacing the service role on supabaseAdmin
+const createSessionClient = () =>
+  createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
 // ---------- Middleware ----------
 app.use(
   cors({
@@ -83,63 +160,42 @@ app.post(
         return res.status(500).send("Webhook secret not configured");
       }
 
-      const signature = req.headers["x-razorpay-signature"];
-      const expected = crypto
-        .createHmac("sha256", RAZORPAY_WEBHOOK_SECRET)
-        .update(req.body)
-        .digest("hex");
-
-      if (expected !== signature) {
+      if (
+        !hmacSignatureMatches(
+          RAZORPAY_WEBHOOK_SECRET,
+          req.body,
+          req.headers["x-razorpay-signature"],
+        )
+      ) {
         return res.status(400).send("Invalid signature");
       }
 
       const event = JSON.parse(req.body.toString("utf8"));
-      const paymentEntity = event?.payload?.payment?.entity;
-      const orderEntity = event?.payload?.order?.entity;
-      const orderId = paymentEntity?.order_id || orderEntity?.id || null;
-
-      if (!orderId) {
-        return res.json({ received: true, ignored: true });
+      const eventId =
+        req.headers["x-razorpay-event-id"] ||
+        crypto.createHash("sha256").update(req.body).digest("hex");
+
+      // Redeliveries of an event that was already handled (or is being handled) do nothing
+      const claim = await claimWebhookEvent(eventId, event);
+      if (claim === "duplicate") {
+        return res.json({ received: true, duplicate: true });
       }
-
-      const booking = await findBookingByOrderId(orderId);
-      if (!booking) {
-        return res.json({ received: true, ignored: true });
+      if (claim === "in_progress") {
+        return res.status(409).send("Event is being processed");
       }
 
-      const rpStatus = paymentEntity?.status;
-      const finalStatus =
-        rpStatus === "captured"
-          ? "SUCCESS"
-          : rpStatus === "failed"
-            ? "FAILED"
-            : "PENDING";
-
-      const updatedBooking = await updateBookingById(booking.id, {
-        payment_status: finalStatus,
-        razorpay_payment_id: paymentEntity?.id || booking.razorpay_payment_id,
-        transaction_id: paymentEntity?.id || booking.transaction_id,
-        payment_method: paymentEntity?.method || booking.payment_method,
-        paid_at:
-          finalStatus === "SUCCESS"
-            ? new Date().toISOString()
-            : booking.paid_at,
-        amount_received_by_vendor:
-          finalStatus === "SUCCESS"
-            ? Number(paymentEntity?.amount || booking.amount_paid * 100) / 100
-            : booking.amount_received_by_vendor,
-        payment_error:
-          finalStatus === "FAILED"
-            ? paymentEntity?.error_description ||
-              paymentEntity?.error_reason ||
-              "Payment failed"
-            : null,
-      });
-
-      if (finalStatus === "SUCCESS" && updatedBooking) {
-        await insertVendorNotificationForBooking(updatedBooking);
+      let outcome;
+      try {
+        outcome = await handleRazorpayEvent(event);
+      } catch (handlerErr) {
+        await finishWebhookEvent(eventId, "failed", handlerErr);
+        throw handlerErr;
       }
+      await finishWebhookEvent(eventId, outcome);
 
+      if (outcome === "ignored") {
+        return res.json({ received: true, ignored: true });
+      }
       return res.json({ received: true });
     } catch (err) {
       console.error("webhook error:", err);
@@ -219,7 +275,35 @@ const v = {
 };
 
 // ---------- JWT Auth Middleware ----------
+
+/**
+ * Supabase Auth session id (session_id claim) of an access token, or null. Only read after
+ * auth.getUser has accepted the token, so the payload is not verified again here.
+ */
+function sessionIdFromToken(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+    return typeof payload.session_id === "string" ? payload.session_id : null;
+  } catch {
+    return null;
+  }
+}
+
+const AUTH_UNAVAILABLE_MESSAGE = "Sign-in is temporarily unavailable. Please try again.";
+
+/**
+ * Whether auth.getUser failed because Supabase Auth could not answer (network error, 5xx, rate
+ * limit) rather than because the token is invalid or revoked. The middlewares answer the first
+ * with 503, which the apps retry, and keep 401 (which signs the apps out) for bad tokens.
+ */
+function isAuthServiceError(error) {
+  return isAuthRetryableFetchError(error) || error?.status >= 500 || error?.status === 429;
+}
+
+const VENDOR_SUSPENDED_MESSAGE = "This vendor account is suspended. Please contact Spotnere support.";
+
 // Verifies the Supabase JWT from Authorization header and injects req.vendorAuth.
+// Suspended vendors (vendors_suspension.sql) are refused.
 // Routes that require auth use: app.get("/path", requireVendorAuth, handler)
 async function requireVendorAuth(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -230,6 +314,10 @@ async function requireVendorAuth(req, res, next) {
 
   try {
     const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    if (error && isAuthServiceError(error)) {
+      console.error("[Auth middleware] Supabase Auth unavailable:", error.message);
+      return res.status(503).json({ error: AUTH_UNAVAILABLE_MESSAGE });
+    }
     if (error || !user) {
       return res.status(401).json({ error: "Invalid or expired token" });
     }
@@ -237,24 +325,30 @@ async function requireVendorAuth(req, res, next) {
     // Look up vendor by auth_user_id
     const { data: vendor, error: vendorErr } = await supabaseAdmin
       .from("vendors")
-      .select("id, place_id, vendor_email")
+      .select("id, place_id, vendor_email, suspended_at")
       .eq("auth_user_id", user.id)
       .maybeSingle();
 
-    if (vendorErr || !vendor) {
+    if (vendorErr) throw vendorErr;
+    if (!vendor) {
       return res.status(403).json({ error: "No vendor account linked to this token" });
     }
+    if (vendor.suspended_at) {
+      return res.status(403).json({ error: VENDOR_SUSPENDED_MESSAGE, suspended: true });
+    }
 
     req.vendorAuth = {
       authUserId: user.id,
+      sessionId: sessionIdFromToken(token),
       vendorId: vendor.id,
       placeId: vendor.place_id,
       email: vendor.vendor_email,
     };
     next();
   } catch (err) {
+    // Not the token's fault (a lookup failed): 503 so the apps keep the session and retry
     console.error("[Auth middleware] Error:", err?.message);
-    return res.status(401).json({ error: "Authentication failed" });
+    return res.status(503).json({ error: AUTH_UNAVAILABLE_MESSAGE });
   }
 }
 
@@ -268,6 +362,10 @@ async function requireUserAuth(req, res, next) {
 
   try {
     const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    if (error && isAuthServiceError(error)) {
+      console.error("[Auth middleware] Supabase Auth unavailable:", error.message);
+      return res.status(503).json({ error: AUTH_UNAVAILABLE_MESSAGE });
+    }
     if (error || !user) {
       return res.status(401).json({ error: "Invalid or expired token" });
     }
@@ -275,35 +373,113 @@ async function requireUserAuth(req, res, next) {
     // Look up the user by auth_user_id to get the actual users.id
     const { data: dbUser, error: dbErr } = await supabaseAdmin
       .from("users")
-      .select("id, email")
+      .select("id, email, email_verified_at")
       .eq("auth_user_id", user.id)
       .maybeSingle();
-    if (dbErr || !dbUser) {
+    if (dbErr) throw dbErr;
+    if (!dbUser) {
       return res.status(403).json({ error: "User account not found" });
     }
 
     req.userAuth = {
       authUserId: user.id,
+      sessionId: sessionIdFromToken(token),
       userId: dbUser.id,
       email: dbUser.email,
+      emailVerified: !!dbUser.email_verified_at,
+    };
+    next();
+  } catch (err) {
+    // Not the token's fault (a lookup failed): 503 so the apps keep the session and retry
+    console.error("[Auth middleware] Error:", err?.message);
+    return res.status(503).json({ error: AUTH_UNAVAILABLE_MESSAGE });
+  }
+}
+
+// Customer routes that need a confirmed email address (account_tokens.sql); goes after
+// requireUserAuth. The app offers email verification when it sees emailVerificationRequired.
+function requireVerifiedEmail(req, res, next) {
+  if (req.userAuth?.emailVerified) return next();
+  return res.status(403).json({
+    error: "Please verify your email address before booking.",
+    emailVerificationRequired: true,
+  });
+}
+
+// Admin routes: the token must belong to an active row in admins (see database/admins.sql).
+// Injects req.adminAuth; add requireAdminRole for routes that not every role may use.
+async function requireAdminAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Missing or invalid authorization header" });
+  }
+  const token = authHeader.slice(7);
+
+  try {
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    if (error && isAuthServiceError(error)) {
+      console.error("[Auth middleware] Supabase Auth unavailable:", error.message);
+      return res.status(503).json({ error: AUTH_UNAVAILABLE_MESSAGE });
+    }
+    if (error || !user) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    const { data: admin, error: adminErr } = await supabaseAdmin
+      .from("admins")
+      .select("id, email, role")
+      .eq("auth_user_id", user.id)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (adminErr) throw adminErr;
+    if (!admin) {
+      return res.status(403).json({ error: "No admin account linked to this token" });
+    }
+
+    req.adminAuth = {
+      authUserId: user.id,
+      adminId: admin.id,
+      email: admin.email,
+      role: admin.role,
     };
     next();
   } catch (err) {
+    // Not the token's fault (a lookup failed): 503 so the apps keep the session and retry
     console.error("[Auth middleware] Error:", err?.message);
-    return res.status(401).json({ error: "Authentication failed" });
+    return res.status(503).json({ error: AUTH_UNAVAILABLE_MESSAGE });
   }
 }
 
+// Limits an admin route to some roles (admin_roles_audit.sql); super_admin passes every check.
+// app.get("/api/admin/path", requireAdminAuth, requireAdminRole("finance"), handler)
+const requireAdminRole = (...roles) => (req, res, next) => {
+  const role = req.adminAuth?.role;
+  if (role === "super_admin" || roles.includes(role)) return next();
+  return res.status(403).json({ error: "Your admin role does not allow this" });
+};
+
 // ---------- Helpers ----------
 const inrToPaise = (amountInr) => Math.round(Number(amountInr) * 100);
 
+/** Whether `signature` is the hex HMAC-SHA256 of `payload`, compared in constant time. */
+function hmacSignatureMatches(secret, payload, signature) {
+  if (typeof signature !== "string") return false;
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(payload).digest("hex"),
+  );
+  const received = Buffer.from(signature);
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
 function verifyCheckoutSignature({ orderId, paymentId, signature }) {
-  const body = `${orderId}|${paymentId}`;
-  const expected = crypto
-    .createHmac("sha256", RAZORPAY_KEY_SECRET)
-    .update(body)
-    .digest("hex");
-  return expected === signature;
+  return hmacSignatureMatches(
+    RAZORPAY_KEY_SECRET,
+    `${orderId}|${paymentId}`,
+    signature,
+  );
 }
 
 async function updateBookingById(bookingId, patch) {
@@ -385,41 +561,30 @@ async function sendExpoPushNotification(pushToken, title, body, data = {}) {
 }
 
 /**
- * Insert a vendor notification when payment succeeds.
- * Fetches vendor_id and push_token from vendors by place_id, inserts into vendor_notifications,
- * and sends a push notification if push_token exists.
+ * Insert a vendor notification for the vendor of a place and send a push notification if the
+ * vendor has a push_token. bookingId links the notification to a booking when there is one.
  */
-async function insertVendorNotificationForBooking(booking) {
-  if (!booking?.place_id || !booking?.id) return;
+async function notifyVendorOfPlace(placeId, { type, title, body, bookingId = null }) {
+  if (!placeId) return;
 
   const { data: vendor, error: vendorError } = await supabaseAdmin
     .from("vendors")
     .select("id, push_token")
-    .eq("place_id", booking.place_id)
+    .eq("place_id", placeId)
     .maybeSingle();
 
   if (vendorError || !vendor?.id) {
-    console.warn("Could not find vendor for place_id:", booking.place_id);
+    console.warn("Could not find vendor for place_id:", placeId);
     return;
   }
 
-  const bookingDate = booking.booking_date_time
-    ? new Date(booking.booking_date_time).toLocaleString("en-IN", {
-        dateStyle: "medium",
-        timeStyle: "short",
-      })
-    : "scheduled";
-
-  const title = "New booking";
-  const body = `You have a new booking for ${bookingDate}. Amount: ₹${Number(booking.amount_paid || 0).toLocaleString("en-IN")}`;
-
   const { error: insertError } = await supabaseAdmin
     .from("vendor_notifications")
     .insert({
       vendor_id: vendor.id,
-      place_id: booking.place_id,
-      booking_id: booking.id,
-      type: "NEW_BOOKING",
+      place_id: placeId,
+      booking_id: bookingId,
+      type,
       title,
       body,
     });
@@ -433,7 +598,7 @@ async function insertVendorNotificationForBooking(booking) {
       vendor.push_token,
       title,
       body,
-      { type: "NEW_BOOKING", bookingId: booking.id, placeId: booking.place_id },
+      bookingId ? { type, bookingId, placeId } : { type, placeId },
     );
     if (!pushResult.success) {
       console.warn("Push notification failed:", pushResult.error);
@@ -441,6 +606,32 @@ async function insertVendorNotificationForBooking(booking) {
   }
 }
 
+/**
+ * Insert a vendor notification for a booking event (type e.g. NEW_BOOKING, BOOKING_CANCELLED).
+ */
+async function notifyVendorAboutBooking(booking, { type, title, body }) {
+  if (!booking?.place_id || !booking?.id) return;
+  await notifyVendorOfPlace(booking.place_id, { type, title, body, bookingId: booking.id });
+}
+
+const formatBookingDateForVendor = (booking) =>
+  booking.booking_date_time
+    ? new Date(booking.booking_date_time).toLocaleString("en-IN", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : "scheduled";
+
+/** Insert a vendor notification when payment succeeds. */
+async function insertVendorNotificationForBooking(booking) {
+  if (!booking) return;
+  await notifyVendorAboutBooking(booking, {
+    type: "NEW_BOOKING",
+    title: "New booking",
+    body: `You have a new booking for ${formatBookingDateForVendor(booking)}. Amount: ₹${Number(booking.amount_paid || 0).toLocaleString("en-IN")}`,
+  });
+}
+
 // ---------- Helpers ----------
 
 const IANA_TO_ABBR = {
@@ -504,23 +695,27 @@ function localToUtc(localIso, timezone) {
   return dt.toUTC().toISO();
 }
 
+/** Minutes since local midnight → slot label matching the user app grid ("6:00 AM", "10:30 PM"). */
+function minutesToSlotLabel(mins) {
+  const h24 = Math.floor(mins / 60) % 24;
+  const m = mins % 60;
+  const period = h24 >= 12 ? "PM" : "AM";
+  const hour12 = h24 === 0 ? 12 : h24 > 12 ? h24 - 12 : h24;
+  return `${hour12}:${String(m).padStart(2, "0")} ${period}`;
+}
+
 /**
- * UTC ISO → venue-local slot labels matching the user app grid ("6:00 AM", "10:30 PM").
+ * UTC ISO → venue-local labels of the slots a booking covers, `slotMinutes` apart.
  */
-function utcToVenueSlotStrings(utcIso, timezone, durationHours) {
+function utcToVenueSlotStrings(utcIso, timezone, durationMinutes, slotMinutes = DEFAULT_SLOT_MINUTES) {
   const tz = timezone || "UTC";
   const dt = DateTime.fromISO(utcIso).setZone(tz);
   if (!dt.isValid) return [];
   const startMins = dt.hour * 60 + dt.minute;
-  const n = Math.max(1, Number(durationHours) || 1);
+  const n = Math.max(1, Math.ceil((Number(durationMinutes) || slotMinutes) / slotMinutes));
   const out = [];
   for (let i = 0; i < n; i++) {
-    const slotMins = startMins + i * 60;
-    const h24 = Math.floor(slotMins / 60) % 24;
-    const m = slotMins % 60;
-    const period = h24 >= 12 ? "PM" : "AM";
-    const hour12 = h24 === 0 ? 12 : h24 > 12 ? h24 - 12 : h24;
-    out.push(`${hour12}:${String(m).padStart(2, "0")} ${period}`);
+    out.push(minutesToSlotLabel(startMins + i * slotMinutes));
   }
   return out;
 }
@@ -540,1814 +735,8384 @@ function formatInVenueTimezone(isoStr, timezone) {
   return { dateFormatted, timeFormatted, tzAbbr };
 }
 
-// ---------- Routes ----------
-app.get("/health", (_, res) => res.json({ ok: true }));
-
-/**
- * GET /api/bookings/booked-slots?placeId=...&date=YYYY-MM-DD
- * Calendar day is interpreted in the place's timezone. Loads booking_date_time (UTC) from DB,
- * converts each row to venue-local 1-hour slot labels (same strings as the booking modal grid).
- * date: YYYY-MM-DD = local calendar date at the venue (not UTC date).
- */
-app.get("/api/bookings/booked-slots", async (req, res) => {
-  try {
-    const { placeId, date } = req.query;
-    if (!placeId || !date) {
-      return res.status(400).json({ error: "placeId and date (YYYY-MM-DD) are required" });
-    }
+// ---------- Pricing ----------
 
-    // Look up the venue timezone so we can convert the local date to UTC range
-    const { data: placeRow } = await supabaseAdmin
-      .from("places")
-      .select("timezone")
-      .eq("id", placeId)
-      .single();
-    const tz = placeRow?.timezone || "UTC";
+/** Columns needed to price a booking server-side. */
+const PLACE_PRICING_COLUMNS =
+  "id, name, avg_price, timezone, charge_per_guest, allow_multiple_hours_booking, " +
+  "slot_minutes, min_duration_minutes, max_duration_minutes, buffer_minutes, pricing_rules, " +
+  "verification_status";
 
-    const dayStartUtc = localToUtc(`${date}T00:00:00`, tz);
-    const dayEndUtc = localToUtc(`${date}T23:59:59`, tz);
+const roundMoney = (n) => Math.round(Number(n) * 100) / 100;
 
-    const { data: bookings, error } = await supabaseAdmin
-      .from("bookings")
-      .select("booking_date_time, duration_hours")
-      .eq("place_id", placeId)
-      .gte("booking_date_time", dayStartUtc)
-      .lte("booking_date_time", dayEndUtc)
-      .in("payment_status", [
-        "PAID",
-        "CONFIRMED",
-        "SUCCESS",
-        "PENDING",
-      ]);
+// Pricing rules (places.pricing_rules; see places_pricing_rules.sql)
+const MAX_PRICING_RULES = 30;
+const MAX_PRICING_LABEL = 60;
+const PRICING_RULE_TYPES = ["multiplier", "fixed"];
+const MIN_PRICE_MULTIPLIER = 0.1;
+const MAX_PRICE_MULTIPLIER = 10;
+const MAX_FIXED_PRICE = 999999;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
-    if (error) {
-      console.error("booked-slots error:", error);
-      return res.status(500).json({ error: "Failed to fetch booked slots" });
+/**
+ * Validate and canonicalise places.pricing_rules from the vendor app. Keeps the vendor's order
+ * (the first matching rule wins). See places_pricing_rules.sql for the rule shape.
+ * Throws an Error with a user-facing message when invalid.
+ */
+function normalizePricingRules(input) {
+  if (input == null) return [];
+  if (!Array.isArray(input)) throw new Error("pricing_rules must be an array");
+  if (input.length > MAX_PRICING_RULES) {
+    throw new Error(`At most ${MAX_PRICING_RULES} pricing rules are allowed`);
+  }
+  return input.map((raw, i) => {
+    const name = `Pricing rule ${i + 1}`;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new Error(`${name} must be an object`);
     }
-
-    // UTC from DB → venue timezone (e.g. IST) → same slot strings as the booking modal grid
-    const bookedSlots = new Set();
-    for (const b of bookings || []) {
-      for (const slot of utcToVenueSlotStrings(
-        b.booking_date_time,
-        tz,
-        b.duration_hours,
-      )) {
-        bookedSlots.add(slot);
-      }
+    const label = raw.label == null ? "" : String(raw.label).trim();
+    if (label.length > MAX_PRICING_LABEL) {
+      throw new Error(`${name}: label too long (max ${MAX_PRICING_LABEL} chars)`);
     }
 
-    return res.json({ bookedSlots: [...bookedSlots] });
-  } catch (err) {
-    console.error("booked-slots error:", err);
-    return res.status(500).json({ error: "Internal server error" });
-  }
-});
-
-/**
- * POST /bookings/create-and-order
- * Creates booking row (PENDING) + Razorpay order. Returns order details for checkout.
- * body: { userId, placeId, bookingDateTimeLocal, timezone, amountInr, currency?, number_of_guests?, duration_hours? }
- *        OR legacy: { ..., bookingDateTime (UTC ISO string) }
- * bookingDateTimeLocal: "2025-01-27T10:00:00" (venue local, no Z)
- * timezone: IANA string e.g. "Asia/Kolkata"
- */
-app.post("/bookings/create-and-order", requireUserAuth, async (req, res) => {
-  try {
-    const userId = req.userAuth.userId;
-    const {
-      placeId,
-      bookingDateTimeLocal,
-      timezone,
-      bookingDateTime: legacyBookingDateTime,
-      amountInr,
-      currency,
-      number_of_guests,
-      duration_hours,
-    } = req.body;
+    const days = raw.days == null ? [] : raw.days;
+    if (!Array.isArray(days) || !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new Error(`${name}: days must be weekday numbers from 0 (Sunday) to 6`);
+    }
 
-    let bookingDateTime = legacyBookingDateTime;
-    if (bookingDateTimeLocal) {
-      const { data: placeForTz } = await supabaseAdmin
-        .from("places")
-        .select("timezone")
-        .eq("id", placeId)
-        .maybeSingle();
-      const venueTz = placeForTz?.timezone || timezone || "UTC";
-      bookingDateTime = localToUtc(bookingDateTimeLocal, venueTz);
-      if (!bookingDateTime) {
-        return res.status(400).json({
-          error: "Invalid bookingDateTimeLocal or venue timezone",
-        });
+    const start = raw.start || null;
+    const end = raw.end || null;
+    if ((start == null) !== (end == null)) {
+      throw new Error(`${name}: set both a start and an end time, or neither`);
+    }
+    if (start != null) {
+      if (!HH_MM_RE.test(start) || !HH_MM_RE.test(end)) {
+        throw new Error(`${name}: times must be HH:mm`);
       }
+      if (end <= start) throw new Error(`${name}: end time must be after start time`);
     }
 
-    if (!placeId || !bookingDateTime) {
-      return res.status(400).json({
-        error: "placeId and bookingDateTimeLocal+timezone (or bookingDateTime) are required",
-      });
+    const from = raw.from || null;
+    const to = raw.to || null;
+    for (const date of [from, to]) {
+      if (date != null && (!ISO_DATE_RE.test(date) || !DateTime.fromISO(date).isValid)) {
+        throw new Error(`${name}: dates must be YYYY-MM-DD`);
+      }
     }
-    if (!amountInr || Number(amountInr) <= 0) {
-      return res.status(400).json({ error: "amountInr must be > 0" });
+    if (from != null && to != null && to < from) {
+      throw new Error(`${name}: end date must not be before start date`);
     }
 
-    const amountPaise = inrToPaise(amountInr);
-    const payCurrency = currency || "INR";
-
-    // Generate unique booking ref (SPT-{timestamp}-{random})
-    const bookingRefNumber = `SPT-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
-
-    // 1) Create booking row (payment_status = PENDING)
-    const insertPayload = {
-      user_id: userId,
-      place_id: placeId,
-      booking_date_time: bookingDateTime,
-      booking_ref_number: bookingRefNumber,
-      amount_paid: Number(amountInr),
-      currency_paid: payCurrency,
-      payment_status: "PENDING",
+    const toGuests = (value, label) => {
+      if (value == null || value === "") return null;
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > 1000) {
+        throw new Error(`${name}: ${label} must be between 1 and 1000`);
+      }
+      return n;
     };
-    if (number_of_guests != null && !isNaN(Number(number_of_guests))) {
-      insertPayload.number_of_guests = Number(number_of_guests);
+    const minGuests = toGuests(raw.min_guests, "minimum guests");
+    const maxGuests = toGuests(raw.max_guests, "maximum guests");
+    if (minGuests != null && maxGuests != null && maxGuests < minGuests) {
+      throw new Error(`${name}: maximum guests must not be below minimum guests`);
     }
-    // Number of 1-hour slots selected (client sends selectedTimeSlots.length); default 1
-    const slotCount = Math.max(1, Math.floor(Number(duration_hours)) || 1);
-    insertPayload.duration_hours = slotCount;
-    const { data: booking, error: insertError } = await supabaseAdmin
-      .from("bookings")
-      .insert(insertPayload)
-      .select("*")
-      .single();
 
-    if (insertError) {
-      console.error("create-booking error:", insertError);
-      return res.status(500).json({
-        error: "Failed to create booking",
-        details: insertError.message,
-      });
+    const type = String(raw.type || "");
+    if (!PRICING_RULE_TYPES.includes(type)) {
+      throw new Error(`${name}: type must be multiplier or fixed`);
+    }
+    const value = Number(raw.value);
+    if (
+      type === "multiplier" &&
+      !(value >= MIN_PRICE_MULTIPLIER && value <= MAX_PRICE_MULTIPLIER)
+    ) {
+      throw new Error(
+        `${name}: multiplier must be between ${MIN_PRICE_MULTIPLIER} and ${MAX_PRICE_MULTIPLIER}`,
+      );
+    }
+    if (type === "fixed" && !(value > 0 && value <= MAX_FIXED_PRICE)) {
+      throw new Error(`${name}: price must be more than 0`);
     }
 
-    // 2) Create Razorpay order (receipt max 40 chars)
-    const order = await razorpay.orders.create({
-      amount: amountPaise,
-      currency: payCurrency,
-      receipt: bookingRefNumber,
-      notes: { bookingId: booking.id },
-    });
+    return {
+      label: label || null,
+      days: [...new Set(days)].sort((a, b) => a - b),
+      start,
+      end,
+      from,
+      to,
+      min_guests: minGuests,
+      max_guests: maxGuests,
+      type,
+      value: type === "fixed" ? roundMoney(value) : value,
+    };
+  });
+}
 
-    // 3) Update booking with razorpay_order_id
-    await updateBookingById(booking.id, {
-      razorpay_order_id: order.id,
-    });
+/** A place's pricing rules, skipping any stored entry that no longer validates. */
+function getPricingRules(place) {
+  const list = Array.isArray(place?.pricing_rules) ? place.pricing_rules : [];
+  return list.flatMap((rule) => {
+    try {
+      return normalizePricingRules([rule]);
+    } catch {
+      return [];
+    }
+  });
+}
 
-    return res.json({
-      keyId: RAZORPAY_KEY_ID,
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      bookingId: booking.id,
-    });
-  } catch (err) {
-    console.error("create-and-order error:", err);
-    return res.status(500).json({
-      error: "Failed to create booking and order",
-      details: err?.message || String(err),
-    });
+/**
+ * Whether a rule applies to a slot starting at localStart (venue-zoned DateTime, or null when the
+ * booking time is unknown) for a group of `guests`. Rules tied to days, times or dates never match
+ * an unknown time.
+ */
+function pricingRuleMatches(rule, localStart, guests) {
+  if (rule.min_guests != null && guests < rule.min_guests) return false;
+  if (rule.max_guests != null && guests > rule.max_guests) return false;
+  const timed = rule.days.length > 0 || rule.start != null || rule.from != null || rule.to != null;
+  if (!timed) return true;
+  if (!localStart) return false;
+  if (rule.days.length > 0 && !rule.days.includes(localStart.weekday % 7)) return false;
+  if (rule.start != null) {
+    const hhmm = localStart.toFormat("HH:mm");
+    if (hhmm < rule.start || hhmm >= rule.end) return false;
   }
-});
+  const date = localStart.toISODate();
+  if (rule.from != null && date < rule.from) return false;
+  if (rule.to != null && date > rule.to) return false;
+  return true;
+}
 
 /**
- * DELETE /bookings/:bookingId/cancel
- * Deletes a PENDING booking (e.g. when user cancels payment).
+ * Hourly price of a slot starting at localStart (see pricingRuleMatches) for `guests`:
+ * { price, rule } with the first matching rule, or avg_price and rule null.
  */
-app.delete("/bookings/:bookingId/cancel", async (req, res) => {
-  try {
-    const { bookingId } = req.params;
-    if (!bookingId)
-      return res.status(400).json({ error: "bookingId is required" });
+function hourlyPriceAt(place, localStart, guests = 1) {
+  const base = Number(place?.avg_price) || 0;
+  const rule = getPricingRules(place).find((r) => pricingRuleMatches(r, localStart, guests));
+  if (!rule) return { price: roundMoney(base), rule: null };
+  return {
+    price: roundMoney(rule.type === "fixed" ? rule.value : base * rule.value),
+    rule,
+  };
+}
 
-    const { data: booking, error: fetchError } = await supabaseAdmin
-      .from("bookings")
-      .select("id, payment_status")
-      .eq("id", bookingId)
-      .single();
+/**
+ * Authoritative booking price from the place row. The app only displays this; it never
+ * computes its own total. Throws a 400-style error (err.status) on invalid input.
+ * avg_price is per hour, so a 90-minute booking costs 1.5 × avg_price. durationMinutes wins
+ * over the legacy durationHours; with neither, the place's minimum booking length is used.
+ * Each slot is priced on its own by the place's pricing rules (hourlyPriceAt), which needs
+ * bookingStart (UTC ISO); without it only guest-count rules apply. unitPrice is the hourly price,
+ * averaged over the slots when priceVaries; slotPrices lists each slot's price when bookingStart
+ * is given. A coupon (already checked with couponRejection) takes `discount` off the subtotal; the
+ * service fee and taxes are charged on what is left.
+ * @returns {{ unitPrice, basePrice, priceVaries, slotPrices, durationMinutes, hourCount, guests,
+ *   chargePerGuest, subtotal, discount, couponCode, serviceFee, serviceFeePercent, taxes, taxPercent,
+ *   total, currency }}
+ */
+function computeBookingQuote(
+  place,
+  { durationMinutes, durationHours, numberOfGuests, bookingStart, coupon } = {},
+) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+
+  const unitPrice = Number(place?.avg_price);
+  if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+    fail("This place has no bookable price set");
+  }
 
-    if (fetchError || !booking) {
-      return res.status(404).json({ error: "Booking not found" });
-    }
-    if (booking.payment_status !== "PENDING") {
-      return res.status(400).json({
-        error: "Can only cancel PENDING bookings",
-      });
+  const settings = getSlotSettings(place);
+  let minutes = settings.minDurationMinutes;
+  if (durationMinutes != null) minutes = Math.floor(Number(durationMinutes));
+  else if (durationHours != null) minutes = Math.floor(Number(durationHours)) * 60;
+  const durationError = checkBookingDuration(settings, minutes);
+  if (durationError) fail(durationError);
+  const hourCount = minutes / 60;
+
+  const chargePerGuest = place.charge_per_guest === true;
+  let guests = 1;
+  if (chargePerGuest) {
+    guests = Math.floor(Number(numberOfGuests));
+    if (!Number.isFinite(guests) || guests < 1) {
+      fail("number_of_guests is required for this place");
     }
+    if (guests > 1000) fail("number_of_guests is too large");
+  } else if (numberOfGuests != null && Number(numberOfGuests) > 0) {
+    guests = Math.floor(Number(numberOfGuests));
+  }
 
-    const { error: deleteError } = await supabaseAdmin
-      .from("bookings")
-      .delete()
-      .eq("id", bookingId);
+  const start = bookingStart
+    ? DateTime.fromISO(bookingStart, { zone: "utc" }).setZone(place.timezone || "UTC")
+    : null;
+  if (start && !start.isValid) fail("Invalid booking time");
+  const slotPrices = [];
+  for (let offset = 0; offset < minutes; offset += settings.slotMinutes) {
+    const slotStart = start ? start.plus({ minutes: offset }) : null;
+    const { price, rule } = hourlyPriceAt(place, slotStart, guests);
+    slotPrices.push({
+      label: slotStart ? minutesToSlotLabel(slotStart.hour * 60 + slotStart.minute) : null,
+      minutes: Math.min(settings.slotMinutes, minutes - offset),
+      unitPrice: price,
+      rule: rule ? rule.label || "Special price" : null,
+    });
+  }
+  const hourlyTotal = slotPrices.reduce((sum, s) => sum + (s.unitPrice * s.minutes) / 60, 0);
+  const priceVaries = slotPrices.some((s) => s.unitPrice !== slotPrices[0].unitPrice);
+
+  const subtotal = roundMoney(hourlyTotal * (chargePerGuest ? guests : 1));
+  const discount = coupon ? couponDiscount(coupon, subtotal) : 0;
+  const discounted = roundMoney(subtotal - discount);
+  const serviceFee = roundMoney((discounted * BOOKING_SERVICE_FEE_PERCENT) / 100);
+  const taxes = roundMoney(((discounted + serviceFee) * BOOKING_TAX_PERCENT) / 100);
+  const total = roundMoney(discounted + serviceFee + taxes);
+
+  return {
+    unitPrice: priceVaries ? roundMoney(hourlyTotal / hourCount) : slotPrices[0].unitPrice,
+    basePrice: roundMoney(unitPrice),
+    priceVaries,
+    slotPrices: start ? slotPrices : [],
+    durationMinutes: minutes,
+    hourCount,
+    guests,
+    chargePerGuest,
+    subtotal,
+    discount,
+    couponCode: coupon ? coupon.code : null,
+    serviceFee,
+    serviceFeePercent: BOOKING_SERVICE_FEE_PERCENT,
+    taxes,
+    taxPercent: BOOKING_TAX_PERCENT,
+    total,
+    currency: "INR",
+  };
+}
 
-    if (deleteError) {
-      console.error("cancel-booking error:", deleteError);
-      return res.status(500).json({ error: "Failed to cancel booking" });
-    }
+async function fetchPlaceForPricing(placeId) {
+  const { data, error } = await supabaseAdmin
+    .from("places")
+    .select(PLACE_PRICING_COLUMNS)
+    .eq("id", placeId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
 
-    return res.json({ cancelled: true });
-  } catch (err) {
-    console.error("cancel-booking error:", err);
-    return res.status(500).json({ error: "Failed to cancel booking" });
-  }
-});
+// ---------- Booking lifecycle ----------
 
 /**
- * POST /payments/razorpay/create-order
- * body: { bookingId, amountInr, currency? }
- * Creates Razorpay order + stores order id in bookings.
+ * Booking statuses, kept in bookings.payment_status (booking_events.sql describes each). Every
+ * change goes through transitionBookingStatus, which only follows BOOKING_STATUS_TRANSITIONS and
+ * records the change in booking_events.
  */
-app.post("/payments/razorpay/create-order", async (req, res) => {
-  try {
-    const { bookingId, amountInr, currency } = req.body;
-
-    if (!bookingId)
-      return res.status(400).json({ error: "bookingId is required" });
-    if (!amountInr || Number(amountInr) <= 0)
-      return res.status(400).json({ error: "amountInr must be > 0" });
-
-    const amountPaise = inrToPaise(amountInr);
-    const payCurrency = currency || "INR";
+const BOOKING_STATUSES = [
+  "PENDING",
+  "SUCCESS",
+  "FAILED",
+  "EXPIRED",
+  "CHECKED_IN",
+  "COMPLETED",
+  "NO_SHOW",
+  "CANCELLED",
+  "REFUND_PENDING",
+  "REFUNDED",
+];
 
-    const receipt =
-      String(bookingId).length <= 40
-        ? `booking_${bookingId}`
-        : `bk_${String(bookingId).replace(/-/g, "").slice(0, 32)}`;
-    const order = await razorpay.orders.create({
-      amount: amountPaise,
-      currency: payCurrency,
-      receipt,
-      notes: { bookingId },
-    });
+/**
+ * Allowed status changes. Payments and refunds are reported late, out of order and more than once
+ * (webhooks, the verify call, sweeps), so a booking only moves forward: a payment.failed after the
+ * booking was paid, or a refund.created after the refund was processed, changes nothing. A
+ * PENDING booking becomes EXPIRED when its hold lapses or the customer closes checkout. FAILED
+ * and EXPIRED bookings no longer hold their slot but can still be paid (another attempt on the
+ * same order, or a capture after the hold expired: the money was taken); markBookingPaid re-checks
+ * the slot and refunds the payment when it was taken meanwhile. A FAILED booking also goes back
+ * to PENDING for a new order.
+ */
+const BOOKING_STATUS_TRANSITIONS = {
+  PENDING: ["SUCCESS", "FAILED", "EXPIRED"],
+  FAILED: ["PENDING", "SUCCESS", "REFUND_PENDING"],
+  EXPIRED: ["SUCCESS", "REFUND_PENDING"],
+  SUCCESS: ["CHECKED_IN", "COMPLETED", "NO_SHOW", "CANCELLED", "REFUND_PENDING", "REFUNDED"],
+  CHECKED_IN: ["COMPLETED", "REFUND_PENDING", "REFUNDED"],
+  COMPLETED: ["REFUND_PENDING", "REFUNDED"],
+  NO_SHOW: ["REFUND_PENDING", "REFUNDED"],
+  CANCELLED: ["REFUND_PENDING", "REFUNDED"],
+  REFUND_PENDING: ["REFUNDED"],
+  REFUNDED: [],
+};
 
-    // Update booking row: set order id + mark pending + store amount/currency
-    await updateBookingById(bookingId, {
-      razorpay_order_id: order.id,
-      payment_status: "PENDING",
-      amount_paid: Number(amountInr),
-      currency_paid: payCurrency,
-      payment_error: null,
-    });
+/** Paid bookings that were not cancelled: vendor revenue. */
+const PAID_BOOKING_STATUSES = ["SUCCESS", "CHECKED_IN", "COMPLETED", "NO_SHOW"];
 
-    return res.json({
-      keyId: RAZORPAY_KEY_ID,
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      bookingId,
-    });
-  } catch (err) {
-    console.error("create-order error:", err);
-    return res.status(500).json({ error: "Failed to create order" });
+/** Statuses that hold a slot (shown as booked, block overlapping reservations). */
+const SLOT_HOLDING_STATUSES = ["PENDING", ...PAID_BOOKING_STATUSES];
+
+/** Values written before the lifecycle existed (booking_events.sql rewrites them). */
+const LEGACY_BOOKING_STATUSES = { PAID: "SUCCESS", CONFIRMED: "SUCCESS" };
+
+const BOOKING_EVENT_ACTORS = ["user", "vendor", "admin", "system", "razorpay"];
+const BOOKING_EVENT_COLUMNS = "id, booking_id, from_status, to_status, actor, note, created_at";
+
+/** A stored status as one of BOOKING_STATUSES (upper case, legacy values mapped). */
+function normalizeBookingStatus(status) {
+  const upper = String(status || "").toUpperCase();
+  return LEGACY_BOOKING_STATUSES[upper] || upper;
+}
+
+function isBookingTransitionAllowed(from, to) {
+  return (BOOKING_STATUS_TRANSITIONS[normalizeBookingStatus(from)] || []).includes(to);
+}
+
+/**
+ * Add a row to the booking's history. Logged, not thrown: the status change already happened.
+ * `from` is null for the row written when the booking is created.
+ */
+async function recordBookingEvent(bookingId, from, to, { actor = "system", actorId = null, note = null, metadata = null } = {}) {
+  const { error } = await supabaseAdmin.from("booking_events").insert({
+    booking_id: bookingId,
+    from_status: from ? normalizeBookingStatus(from) : null,
+    to_status: to,
+    actor: BOOKING_EVENT_ACTORS.includes(actor) ? actor : "system",
+    actor_id: actorId ? String(actorId) : null,
+    note: note ? String(note).slice(0, MAX_LONG) : null,
+    metadata,
+  });
+  if (error) {
+    console.error("[Bookings] Could not record event for booking", bookingId, error.message);
   }
-});
+}
 
 /**
- * POST /payments/razorpay/verify
- * body: { bookingId, razorpay_order_id, razorpay_payment_id, razorpay_signature }
- * Verifies signature + fetches payment status from Razorpay + updates bookings.
+ * Move a booking to `status` if BOOKING_STATUS_TRANSITIONS allows it, writing `patch` with it and
+ * recording the change as done by `actor` (see recordBookingEvent). Conditional on the status we
+ * read, so each change is applied once however many webhooks, verify calls and sweeps report it;
+ * `where(query)` may add conditions. Returns the updated row, or null when nothing changed.
  */
-app.post("/payments/razorpay/verify", async (req, res) => {
-  const log = (msg, data) =>
-    console.log(
-      "[verify]",
-      msg,
-      data !== undefined ? JSON.stringify(data) : "",
-    );
+async function transitionBookingStatus(booking, status, { patch = {}, where = null, ...event } = {}) {
+  if (!isBookingTransitionAllowed(booking.payment_status, status)) return null;
+  let q = supabaseAdmin
+    .from("bookings")
+    .update({ ...patch, payment_status: status, updated_at: new Date().toISOString() })
+    .eq("id", booking.id)
+    .eq("payment_status", booking.payment_status);
+  if (where) q = where(q);
+  const { data, error } = await q.select("*").maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  await recordBookingEvent(booking.id, booking.payment_status, status, event);
+  return data;
+}
 
-  try {
-    const {
-      bookingId,
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-    } = req.body;
+/** A booking's history, oldest first. */
+async function fetchBookingEvents(bookingId) {
+  const { data, error } = await supabaseAdmin
+    .from("booking_events")
+    .select(BOOKING_EVENT_COLUMNS)
+    .eq("booking_id", bookingId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
 
-    log("request received", {
-      bookingId,
-      razorpay_order_id: razorpay_order_id || null,
-      razorpay_payment_id: razorpay_payment_id || null,
-      razorpay_signature: razorpay_signature
-        ? `present, length=${razorpay_signature.length}`
-        : "missing",
-    });
+/** History row as returned to the apps (who acted, not their id). */
+function formatBookingEvent(event) {
+  return {
+    id: event.id,
+    fromStatus: event.from_status,
+    toStatus: event.to_status,
+    actor: event.actor,
+    note: event.note,
+    createdAt: event.created_at,
+  };
+}
 
-    log("RAZORPAY_KEY_SECRET exists", {
-      exists: !!process.env.RAZORPAY_KEY_SECRET,
-    });
+// ---------- Availability ----------
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Same fallback the user app grid uses when a place has no hours configured
+const DEFAULT_OPEN_MINS = 9 * 60;
+const DEFAULT_CLOSE_MINS = 22 * 60;
+
+// Slot settings (places.slot_minutes etc.; see places_slot_settings.sql)
+const DEFAULT_SLOT_MINUTES = 60;
+const SLOT_MINUTES_STEP = 15;
+const MIN_SLOT_MINUTES = 15;
+const MAX_SLOT_MINUTES = 240;
+const MAX_BUFFER_MINUTES = 120;
+const MAX_BOOKING_MINUTES = 24 * 60;
+const SLOT_SETTING_COLUMNS = [
+  "slot_minutes",
+  "min_duration_minutes",
+  "max_duration_minutes",
+  "buffer_minutes",
+];
+
+const isValidSlotMinutes = (n) =>
+  Number.isInteger(n) &&
+  n >= MIN_SLOT_MINUTES &&
+  n <= MAX_SLOT_MINUTES &&
+  n % SLOT_MINUTES_STEP === 0;
 
-    if (!bookingId) {
-      log("error: bookingId required");
-      return res.status(400).json({ error: "bookingId is required" });
-    }
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      log("error: missing Razorpay fields");
-      return res.status(400).json({ error: "Missing Razorpay fields" });
-    }
+/**
+ * Effective slot settings of a place, with defaults for unset columns:
+ * { slotMinutes, minDurationMinutes, maxDurationMinutes, bufferMinutes }.
+ * Places without allow_multiple_hours_booking only take bookings of exactly the minimum length.
+ */
+function getSlotSettings(place) {
+  const configured = Number(place?.slot_minutes);
+  const slotMinutes = isValidSlotMinutes(configured) ? configured : DEFAULT_SLOT_MINUTES;
+  const toSlots = (mins, round) => round(mins / slotMinutes) * slotMinutes;
+  const minDurationMinutes = Math.max(
+    slotMinutes,
+    toSlots(Number(place?.min_duration_minutes) || slotMinutes, Math.ceil),
+  );
+  const maxDurationMinutes =
+    place?.allow_multiple_hours_booking === true
+      ? Math.max(
+          minDurationMinutes,
+          toSlots(
+            Math.min(MAX_BOOKING_MINUTES, Number(place?.max_duration_minutes) || MAX_BOOKING_MINUTES),
+            Math.floor,
+          ),
+        )
+      : minDurationMinutes;
+  const bufferMinutes = Math.min(
+    MAX_BUFFER_MINUTES,
+    Math.max(0, Math.floor(Number(place?.buffer_minutes) || 0)),
+  );
+  return { slotMinutes, minDurationMinutes, maxDurationMinutes, bufferMinutes };
+}
 
-    // 1) Signature verify
-    const sigOk = verifyCheckoutSignature({
-      orderId: razorpay_order_id,
-      paymentId: razorpay_payment_id,
-      signature: razorpay_signature,
-    });
-    log("signature comparison result", { sigOk });
+/** "90 minutes" → "1 h 30 min", "120" → "2 hours" (for error messages). */
+function describeMinutes(mins) {
+  if (mins < 60) return `${mins} minutes`;
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  if (m === 0) return `${h} hour${h === 1 ? "" : "s"}`;
+  return `${h} h ${m} min`;
+}
 
-    if (!sigOk) {
-      await updateBookingById(bookingId, {
-        payment_status: "FAILED",
-        razorpay_payment_id,
-        razorpay_signature,
-        transaction_id: razorpay_payment_id,
-        payment_error: "Signature mismatch",
-      });
-      return res
-        .status(400)
-        .json({ status: "FAILED", reason: "Signature mismatch" });
-    }
+/** Why `minutes` is not a valid booking length for these slot settings, or null. */
+function checkBookingDuration(settings, minutes) {
+  if (!Number.isInteger(minutes) || minutes <= 0) return "Invalid booking duration";
+  if (minutes % settings.slotMinutes !== 0) {
+    return `Booking length must be a multiple of ${describeMinutes(settings.slotMinutes)}`;
+  }
+  if (settings.minDurationMinutes === settings.maxDurationMinutes) {
+    return minutes === settings.minDurationMinutes
+      ? null
+      : `Bookings here last exactly ${describeMinutes(settings.minDurationMinutes)}`;
+  }
+  if (minutes < settings.minDurationMinutes) {
+    return `The minimum booking is ${describeMinutes(settings.minDurationMinutes)}`;
+  }
+  if (minutes > settings.maxDurationMinutes) {
+    return `The maximum booking is ${describeMinutes(settings.maxDurationMinutes)}`;
+  }
+  return null;
+}
 
-    // 2) Fetch payment from Razorpay (extra safety); if fetch fails, trust signature
-    let payment = null;
-    try {
-      payment = await razorpay.payments.fetch(razorpay_payment_id);
-      log("Razorpay fetch ok", { status: payment?.status });
-    } catch (fetchErr) {
-      log("Razorpay fetch failed (trusting signature)", {
-        message: fetchErr?.message,
-        code: fetchErr?.code,
-      });
+/**
+ * Validate vendor-submitted slot settings (any subset of slot_minutes, min_duration_minutes,
+ * max_duration_minutes, buffer_minutes) merged over the current place row. Returns the columns
+ * to write; throws an Error with a user-facing message when invalid.
+ */
+function normalizeSlotSettings(input, current = {}) {
+  const merged = { ...current, ...input };
+  const int = (val, name) => {
+    if (val == null || val === "") return null;
+    const n = Number(val);
+    if (!Number.isInteger(n)) throw new Error(`${name} must be a whole number of minutes`);
+    return n;
+  };
+  const slotMinutes = int(merged.slot_minutes, "Slot length") ?? DEFAULT_SLOT_MINUTES;
+  if (!isValidSlotMinutes(slotMinutes)) {
+    throw new Error(
+      `Slot length must be ${MIN_SLOT_MINUTES}–${MAX_SLOT_MINUTES} minutes in steps of ${SLOT_MINUTES_STEP}`,
+    );
+  }
+  const minDuration = int(merged.min_duration_minutes, "Minimum duration");
+  const maxDuration = int(merged.max_duration_minutes, "Maximum duration");
+  for (const [value, label] of [[minDuration, "Minimum duration"], [maxDuration, "Maximum duration"]]) {
+    if (value == null) continue;
+    if (value <= 0 || value % slotMinutes !== 0) {
+      throw new Error(`${label} must be a multiple of the slot length (${slotMinutes} minutes)`);
     }
+    if (value > MAX_BOOKING_MINUTES) throw new Error(`${label} cannot exceed 24 hours`);
+  }
+  if (minDuration != null && maxDuration != null && maxDuration < minDuration) {
+    throw new Error("Maximum duration must be at least the minimum duration");
+  }
+  const buffer = int(merged.buffer_minutes, "Buffer") ?? 0;
+  if (buffer < 0 || buffer > MAX_BUFFER_MINUTES) {
+    throw new Error(`Buffer must be between 0 and ${MAX_BUFFER_MINUTES} minutes`);
+  }
+  return {
+    slot_minutes: slotMinutes,
+    min_duration_minutes: minDuration,
+    max_duration_minutes: maxDuration,
+    buffer_minutes: buffer,
+  };
+}
 
-    const finalStatus = payment
-      ? payment.status === "captured"
-        ? "SUCCESS"
-        : payment.status === "failed"
-          ? "FAILED"
-          : "PENDING"
-      : "SUCCESS"; // signature valid => trust payment succeeded
+/** Booked length of a bookings row in minutes (rows from before duration_minutes use duration_hours). */
+function bookingDurationMinutes(booking) {
+  const minutes = Number(booking?.duration_minutes);
+  if (Number.isInteger(minutes) && minutes > 0) return minutes;
+  return Math.max(1, Number(booking?.duration_hours) || 1) * 60;
+}
 
-    log("updating booking", { finalStatus });
+/** Slot start times (minutes since local midnight) in an opening window; every slot ends by closing. */
+function slotStartsInWindow(window, slotMinutes) {
+  const starts = [];
+  if (!window) return starts;
+  for (let m = window.openMins; m + slotMinutes <= window.closeMins; m += slotMinutes) {
+    starts.push(m);
+  }
+  return starts;
+}
 
-    const fullPatch = {
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-      transaction_id: razorpay_payment_id,
-      payment_method: payment?.method || null,
-      payment_status: finalStatus,
-      paid_at: finalStatus === "SUCCESS" ? new Date().toISOString() : null,
-      amount_received_by_vendor:
-        finalStatus === "SUCCESS" && payment?.amount
-          ? Number(payment.amount) / 100
-          : null,
-      payment_error:
-        finalStatus === "FAILED"
-          ? payment?.error_description || "Payment failed"
-          : null,
-    };
+// Guest capacity (places.guest_capacity / capacity_overrides; see places_guest_capacity.sql)
+const MAX_GUEST_CAPACITY = 10000;
+const MAX_CAPACITY_OVERRIDES = 24;
+const CAPACITY_SETTING_COLUMNS = ["guest_capacity", "capacity_overrides"];
 
-    let booking;
-    try {
-      booking = await updateBookingById(bookingId, fullPatch);
-    } catch (updateErr) {
-      log("DB update failed (full patch)", {
-        error: updateErr?.message,
-        code: updateErr?.code,
-        details: updateErr?.details,
-      });
-      try {
-        const minimalPatch = {
-          razorpay_order_id,
-          razorpay_payment_id,
-          transaction_id: razorpay_payment_id,
-          payment_status: finalStatus,
-        };
-        if (finalStatus === "SUCCESS") {
-          minimalPatch.paid_at = new Date().toISOString();
-        }
-        booking = await updateBookingById(bookingId, minimalPatch);
-      } catch (minimalErr) {
-        log("DB update failed (minimal patch)", {
-          error: minimalErr?.message,
-          code: minimalErr?.code,
-          details: minimalErr?.details,
-        });
-        throw minimalErr;
-      }
-    }
+/**
+ * Capacity settings of a place: { capacity, overrides }. capacity is null for places without a
+ * guest capacity (one booking per slot, or unlimited with allow_overlapping_bookings); overrides
+ * are { start, end, startMins, endMins, capacity } parts of the day with their own capacity.
+ */
+function getCapacitySettings(place) {
+  const configured = Number(place?.guest_capacity);
+  const capacity =
+    Number.isInteger(configured) && configured >= 1 ? Math.min(configured, MAX_GUEST_CAPACITY) : null;
+  const overrides = (Array.isArray(place?.capacity_overrides) ? place.capacity_overrides : [])
+    .map((o) => ({
+      start: o?.start,
+      end: o?.end,
+      startMins: parseTimeToMinutes(o?.start),
+      endMins: parseTimeToMinutes(o?.end),
+      capacity: Number(o?.capacity),
+    }))
+    .filter(
+      (o) =>
+        HH_MM_RE.test(o.start || "") &&
+        HH_MM_RE.test(o.end || "") &&
+        o.endMins > o.startMins &&
+        Number.isInteger(o.capacity) &&
+        o.capacity >= 0,
+    );
+  return { capacity, overrides: capacity == null ? [] : overrides };
+}
 
-    if (finalStatus === "SUCCESS" && booking) {
-      try {
-        await insertVendorNotificationForBooking(booking);
-      } catch (notifErr) {
-        log("vendor notification failed (non-fatal)", {
-          err: notifErr?.message,
-        });
+/** Guests the slot starting at `startMins` (minutes since local midnight) holds, or null without a capacity. */
+function slotCapacity(capacitySettings, startMins) {
+  if (capacitySettings.capacity == null) return null;
+  const override = capacitySettings.overrides.find(
+    (o) => startMins >= o.startMins && startMins < o.endMins,
+  );
+  return override ? override.capacity : capacitySettings.capacity;
+}
+
+/**
+ * Validate vendor-submitted guest_capacity / capacity_overrides merged over the current place row.
+ * Returns the columns to write; throws an Error with a user-facing message when invalid.
+ */
+function normalizeCapacitySettings(input, current = {}) {
+  const merged = { ...current, ...input };
+  let capacity = null;
+  if (merged.guest_capacity != null && merged.guest_capacity !== "") {
+    capacity = Number(merged.guest_capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_GUEST_CAPACITY) {
+      throw new Error(`Guest capacity must be a whole number between 1 and ${MAX_GUEST_CAPACITY}`);
+    }
+  }
+  const raw = merged.capacity_overrides ?? [];
+  if (!Array.isArray(raw)) throw new Error("Capacity overrides must be a list");
+  if (capacity == null) {
+    // Clearing the capacity also drops the stored per-slot capacities
+    if (Array.isArray(input.capacity_overrides) && input.capacity_overrides.length > 0) {
+      throw new Error("Set a guest capacity before adding per-slot capacities");
+    }
+    return { guest_capacity: null, capacity_overrides: [] };
+  }
+  if (raw.length > MAX_CAPACITY_OVERRIDES) {
+    throw new Error(`At most ${MAX_CAPACITY_OVERRIDES} capacity overrides are allowed`);
+  }
+  const overrides = raw
+    .map((o) => {
+      const start = typeof o?.start === "string" ? o.start.trim() : "";
+      const end = typeof o?.end === "string" ? o.end.trim() : "";
+      if (!HH_MM_RE.test(start) || !HH_MM_RE.test(end)) {
+        throw new Error("Capacity override times must be HH:mm");
+      }
+      if (parseTimeToMinutes(end) <= parseTimeToMinutes(start)) {
+        throw new Error(`Capacity override ${start}–${end} must end after it starts`);
+      }
+      const n = Number(o?.capacity);
+      if (!Number.isInteger(n) || n < 0 || n > MAX_GUEST_CAPACITY) {
+        throw new Error(`Capacity for ${start}–${end} must be between 0 and ${MAX_GUEST_CAPACITY}`);
       }
+      return { start, end, capacity: n };
+    })
+    .sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 1; i < overrides.length; i++) {
+    if (overrides[i].start < overrides[i - 1].end) {
+      throw new Error(
+        `Capacity overrides ${overrides[i - 1].start}–${overrides[i - 1].end} and ${overrides[i].start}–${overrides[i].end} overlap`,
+      );
     }
-
-    log("verify success", { finalStatus, bookingId: booking?.id });
-    return res.json({
-      status: finalStatus,
-      bookingId: booking.id,
-      razorpay_payment_id,
-      razorpay_order_id,
-      method: payment?.method,
-      gateway_status: payment?.status,
-    });
-  } catch (err) {
-    const errMsg = err?.message || String(err);
-    console.error("[verify] error:", errMsg);
-    console.error("[verify] stack:", err?.stack);
-    return res.status(500).json({
-      error: "Verification failed",
-      details: errMsg,
-    });
   }
-});
+  return { guest_capacity: capacity, capacity_overrides: overrides };
+}
+
+/** Guests a bookings row counts against capacity (at least 1). */
+const bookingGuests = (booking) => Math.max(1, Math.floor(Number(booking?.number_of_guests) || 1));
 
 /**
- * GET /payments/razorpay/status?bookingId=...
- * Handy for polling from app if needed.
+ * Availability of each slot on the grid of a venue-local day (dayStart: zoned DateTime), given the
+ * slot-holding bookings and vendor blocks that reach into it. Returns
+ * [{ label, startMins, price, capacity, remaining, booked, available }], price being the slot's
+ * hourly price for one guest (see hourlyPriceAt):
+ * - capacity-based places: capacity / remaining are guest counts, booked means full;
+ * - other places: capacity / remaining are null and booked means a booking (widened by
+ *   buffer_minutes) overlaps the slot, which only makes it unavailable without
+ *   allow_overlapping_bookings.
+ * Blocked slots are never available.
  */
-app.get("/payments/razorpay/status", async (req, res) => {
-  try {
-    const { bookingId } = req.query;
-    if (!bookingId)
-      return res.status(400).json({ error: "bookingId is required" });
+function computeDaySlots(place, dayStart, bookings, blocks) {
+  const settings = getSlotSettings(place);
+  const capacitySettings = getCapacitySettings(place);
+  const capacityBased = capacitySettings.capacity != null;
+  const held = (bookings || []).map((b) => ({
+    ...bookingHeldRange(b, capacityBased ? 0 : settings.bufferMinutes),
+    guests: bookingGuests(b),
+  }));
+  const blocked = (blocks || []).map((k) => ({
+    start: DateTime.fromISO(k.starts_at, { zone: "utc" }),
+    end: DateTime.fromISO(k.ends_at, { zone: "utc" }),
+  }));
+
+  return slotStartsInWindow(getOpeningWindowForDate(place, dayStart), settings.slotMinutes).map(
+    (m) => {
+      const slotStart = dayStart.plus({ minutes: m });
+      const slotEnd = slotStart.plus({ minutes: settings.slotMinutes });
+      const overlaps = (r) => slotStart < r.end && slotEnd > r.start;
+      const isBlocked = blocked.some(overlaps);
+      const overlapping = held.filter(overlaps);
+      const slot = {
+        label: minutesToSlotLabel(m),
+        startMins: m,
+        price: hourlyPriceAt(place, slotStart).price,
+      };
+      if (!capacityBased) {
+        const booked = overlapping.length > 0;
+        return {
+          ...slot,
+          capacity: null,
+          remaining: null,
+          booked,
+          available: !isBlocked && (!booked || place.allow_overlapping_bookings === true),
+        };
+      }
+      const capacity = slotCapacity(capacitySettings, m);
+      const taken = overlapping.reduce((sum, r) => sum + r.guests, 0);
+      const remaining = Math.max(0, capacity - taken);
+      return {
+        ...slot,
+        capacity,
+        remaining: isBlocked ? 0 : remaining,
+        booked: remaining === 0,
+        available: !isBlocked && remaining > 0,
+      };
+    },
+  );
+}
 
-    const { data, error } = await supabaseAdmin
-      .from("bookings")
-      .select(
-        "id,payment_status,razorpay_order_id,razorpay_payment_id,paid_at,payment_error",
-      )
-      .eq("id", bookingId)
-      .single();
+/** Full place row (pricing, hours, booking preferences) for validating a new booking. */
+async function fetchPlaceForBooking(placeId) {
+  const { data, error } = await supabaseAdmin
+    .from("places")
+    .select("*")
+    .eq("id", placeId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
 
-    if (error) throw error;
-    return res.json(data);
-  } catch (err) {
-    console.error("status error:", err);
-    return res.status(500).json({ error: "Failed to fetch status" });
+/** Opening-hours object from a place row; mirrors resolvePlaceHours in the user app. */
+function resolvePlaceHours(place) {
+  const tryParse = (val) => {
+    if (val == null || val === "") return null;
+    if (typeof val === "string") {
+      try {
+        const parsed = JSON.parse(val);
+        return parsed !== null && typeof parsed === "object" ? parsed : null;
+      } catch {
+        return null;
+      }
+    }
+    return typeof val === "object" ? val : null;
+  };
+  for (const h of [
+    tryParse(place?.hours),
+    tryParse(place?.opening_hours_json),
+    tryParse(place?.opening_hours),
+  ]) {
+    if (h && Object.keys(h).length > 0) return h;
   }
-});
-
-// ---------- API Routes (moved from userapp) ----------
+  return null;
+}
 
-/** Columns on `places` for booking/pricing rules (use in partial selects; full reads use select("*")). */
-const PLACE_BOOKING_PREF_COLUMNS =
-  "charge_per_guest, allow_multiple_hours_booking, allow_overlapping_bookings";
+/** "9:00 AM", "21:00", "06:00:00" → minutes since midnight (same rules as BookingModal). */
+function parseTimeToMinutes(str) {
+  if (!str || typeof str !== "string") return 0;
+  const s = str
+    .trim()
+    .toUpperCase()
+    .replace(/^(\d{1,2}:\d{2}):\d{2}(?:\.\d+)?(?=\s|$|[AP]M)/i, "$1");
+  const match = s.match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/);
+  if (!match) return 0;
+  let h = parseInt(match[1], 10);
+  const m = parseInt(match[2] || "0", 10);
+  const period = match[3];
+  if (period === "PM" && h !== 12) h += 12;
+  if (period === "AM" && h === 12) h = 0;
+  return Math.min(24 * 60 - 1, Math.max(0, h * 60 + m));
+}
 
 /**
- * GET /api/places?country=...
- * Fetch places filtered by country.
- * Rows include `charge_per_guest`, `allow_multiple_hours_booking`, `allow_overlapping_bookings` among all place columns.
+ * Opening window for a weekday (0 = Sunday) as { openMins, closeMins }.
+ * Returns null when the place is closed that day; the 9 AM–10 PM default when no hours are set.
  */
-app.get("/api/places", async (req, res) => {
-  try {
-    const { country } = req.query;
-    let query = supabaseAdmin.from("places").select("*");
-    if (country) query = query.eq("country", country);
-    const { data, error } = await query;
-    if (error) throw error;
-    return res.json(data || []);
-  } catch (err) {
-    console.error("api/places error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch places" });
+function getOpeningWindowForWeekday(place, dayIndex) {
+  const hours = resolvePlaceHours(place);
+  if (!hours) return { openMins: DEFAULT_OPEN_MINS, closeMins: DEFAULT_CLOSE_MINS };
+  const dayName = WEEKDAY_NAMES[dayIndex];
+  const raw = hours[dayName] || hours[dayName.toLowerCase()] || hours[dayIndex];
+  if (!raw) return null;
+
+  let openStr = null;
+  let closeStr = null;
+  if (typeof raw === "string") {
+    if (raw.trim().toLowerCase() === "closed") return null;
+    const parts = raw.split("-").map((p) => p.trim());
+    if (parts.length >= 2) [openStr, closeStr] = parts;
+  } else if (Array.isArray(raw)) {
+    if (raw.length >= 2) [openStr, closeStr] = raw.map(String);
+  } else if (typeof raw === "object") {
+    if (
+      String(raw.open || "").toLowerCase() === "closed" ||
+      String(raw.close || "").toLowerCase() === "closed" ||
+      raw.open == null ||
+      raw.close == null ||
+      raw.open === "" ||
+      raw.close === ""
+    ) {
+      return null;
+    }
+    openStr = String(raw.open);
+    closeStr = String(raw.close);
   }
-});
+  if (!openStr || !closeStr) return null;
+  const openMins = parseTimeToMinutes(openStr);
+  const closeMins = parseTimeToMinutes(closeStr);
+  if (closeMins <= openMins) return null;
+  return { openMins, closeMins };
+}
+
+const MAX_HOURS_OVERRIDES = 100;
+const HH_MM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 /**
- * POST /api/places/by-ids
- * body: { placeIds: string[], country?: string }
- * Fetch places by IDs.
- * Rows include booking preference columns on `places`.
+ * Validate and canonicalise places.hours_overrides from the vendor app: date-specific
+ * exceptions to the weekly schedule (holidays, late openings).
+ * Each entry is { date: "YYYY-MM-DD", closed: true, label? } or
+ * { date, closed: false, open: "HH:mm", close: "HH:mm", label? }. Sorted by date; one per date.
+ * Throws an Error with a user-facing message when invalid.
  */
-app.post("/api/places/by-ids", async (req, res) => {
-  try {
-    const { placeIds, country } = req.body || {};
-    if (!placeIds || !Array.isArray(placeIds) || placeIds.length === 0) {
-      return res.status(400).json({ error: "placeIds array is required" });
-    }
-    let query = supabaseAdmin.from("places").select("*").in("id", placeIds);
-    if (country) query = query.eq("country", country);
-    const { data, error } = await query;
-    if (error) throw error;
-    return res.json(data || []);
-  } catch (err) {
-    console.error("api/places/by-ids error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch places" });
+function normalizeHoursOverrides(input) {
+  if (input == null) return [];
+  if (!Array.isArray(input)) throw new Error("hours_overrides must be an array");
+  if (input.length > MAX_HOURS_OVERRIDES) {
+    throw new Error(`At most ${MAX_HOURS_OVERRIDES} special dates are allowed`);
   }
-});
+  const seen = new Set();
+  const out = input.map((o) => {
+    const date = String(o?.date || "");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !DateTime.fromISO(date).isValid) {
+      throw new Error("Each special date needs a valid date (YYYY-MM-DD)");
+    }
+    if (seen.has(date)) throw new Error(`${date} is listed more than once`);
+    seen.add(date);
+    const label = o.label == null ? null : String(o.label).trim().slice(0, MAX_SHORT) || null;
+    if (o.closed === true) return { date, closed: true, label };
+    const open = String(o.open || "");
+    const close = String(o.close || "");
+    if (!HH_MM_RE.test(open) || !HH_MM_RE.test(close)) {
+      throw new Error(`Special hours for ${date} need open and close times (HH:mm)`);
+    }
+    if (parseTimeToMinutes(close) <= parseTimeToMinutes(open)) {
+      throw new Error(`Closing time must be after opening time on ${date}`);
+    }
+    return { date, closed: false, open, close, label };
+  });
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** The hours override for a venue-local date ("YYYY-MM-DD"), or null. */
+function getHoursOverrideForDate(place, isoDate) {
+  const list = Array.isArray(place?.hours_overrides) ? place.hours_overrides : [];
+  return list.find((o) => o?.date === isoDate) || null;
+}
 
 /**
- * GET /api/places/:placeId
- * Fetch single place (all columns, including booking preference flags).
+ * Opening window for a venue-local calendar day (luxon DateTime in the venue zone):
+ * a date-specific override wins over the weekly schedule. null when closed.
  */
-app.get("/api/places/:placeId", async (req, res) => {
-  try {
-    const { placeId } = req.params;
-    const { data, error } = await supabaseAdmin
-      .from("places")
-      .select("*")
-      .eq("id", placeId)
-      .single();
-    if (error) throw error;
-    return res.json(data);
-  } catch (err) {
-    console.error("api/places/:placeId error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch place" });
+function getOpeningWindowForDate(place, localDate) {
+  const override = getHoursOverrideForDate(place, localDate.toISODate());
+  if (override) {
+    if (override.closed) return null;
+    const openMins = parseTimeToMinutes(override.open);
+    const closeMins = parseTimeToMinutes(override.close);
+    return closeMins > openMins ? { openMins, closeMins } : null;
   }
-});
+  return getOpeningWindowForWeekday(place, localDate.weekday % 7);
+}
 
 /**
- * GET /api/places/:placeId/reviews
- * Fetch reviews for a place.
+ * Validate that [start, start + minutes) lies inside the venue's opening window for that local day,
+ * starts on the place's slot grid and is not in the past. Returns an error message, or null when
+ * the booking fits. allowStarted lets vendors record walk-ins whose slot has already begun today.
  */
-app.get("/api/places/:placeId/reviews", async (req, res) => {
-  try {
-    const { placeId } = req.params;
-    const { data, error } = await supabaseAdmin
-      .from("reviews")
-      .select(
-        `
-        user_id,
-        place_id,
-        review,
-        rating,
-        created_at,
-        user:users!user_id(first_name, last_name)
-      `,
-      )
-      .eq("place_id", placeId)
-      .order("created_at", { ascending: false });
-    if (error) {
-      const { data: fallback } = await supabaseAdmin
-        .from("reviews")
-        .select("user_id, place_id, review, rating, created_at")
-        .eq("place_id", placeId)
-        .order("created_at", { ascending: false });
-      return res.json(fallback || []);
-    }
-    return res.json(data || []);
-  } catch (err) {
-    console.error("api/places/:placeId/reviews error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch reviews" });
+function checkBookingWithinOpeningHours(
+  place,
+  bookingDateTimeUtc,
+  durationMinutes,
+  { allowStarted = false } = {},
+) {
+  const tz = place?.timezone || "UTC";
+  const start = DateTime.fromISO(bookingDateTimeUtc).setZone(tz);
+  if (!start.isValid) return "Invalid booking time";
+  const now = DateTime.now().setZone(tz);
+  const earliest = allowStarted ? now.startOf("day") : now;
+  if (start < earliest) return "Booking time is in the past";
+
+  const window = getOpeningWindowForDate(place, start);
+  if (!window) return "The place is closed on this day";
+
+  const startMins = start.hour * 60 + start.minute;
+  const endMins = startMins + durationMinutes;
+  if (startMins < window.openMins || endMins > window.closeMins) {
+    return "Selected time is outside the place's opening hours";
   }
-});
+  const { slotMinutes } = getSlotSettings(place);
+  if ((startMins - window.openMins) % slotMinutes !== 0) {
+    return `Bookings start every ${describeMinutes(slotMinutes)} from opening time`;
+  }
+  return null;
+}
 
 /**
- * GET /api/places/:placeId/gallery
- * Fetch gallery images.
+ * Vendor blocks (place_blocks) overlapping [fromUtcIso, toUtcIso), oldest first.
  */
-app.get("/api/places/:placeId/gallery", async (req, res) => {
-  try {
-    const { placeId } = req.params;
-    const { data, error } = await supabaseAdmin
-      .from("gallery_images")
-      .select("id, gallery_image_url")
-      .eq("place_id", placeId)
-      .order("created_at", { ascending: true });
-    if (error) throw error;
-    return res.json(data || []);
-  } catch (err) {
-    console.error("api/places/:placeId/gallery error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch gallery" });
-  }
-});
+async function fetchPlaceBlocks(placeId, fromUtcIso, toUtcIso) {
+  const { data, error } = await supabaseAdmin
+    .from("place_blocks")
+    .select("id, starts_at, ends_at, reason")
+    .eq("place_id", placeId)
+    .lt("starts_at", toUtcIso)
+    .gt("ends_at", fromUtcIso)
+    .order("starts_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
 
 /**
- * GET /api/places/:placeId/vendor
- * Fetch vendor for a place.
+ * Clip a UTC [start, end) range to the venue-local day starting at `dayStart` (zoned DateTime).
+ * Returns { startMins, endMins } (minutes since local midnight, end ≤ 1440) or null if disjoint.
  */
-app.get("/api/places/:placeId/vendor", async (req, res) => {
-  try {
-    const { placeId } = req.params;
-    const { data, error } = await supabaseAdmin
-      .from("vendors")
-      .select(
-        "business_name, vendor_full_name, vendor_phone_number, vendor_email, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, upi_id",
-      )
-      .eq("place_id", placeId)
-      .maybeSingle();
-    if (error) throw error;
-    return res.json(data || null);
-  } catch (err) {
-    console.error("api/places/:placeId/vendor error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch vendor" });
-  }
-});
+function rangeToLocalDayMinutes(startUtcIso, endUtcIso, dayStart) {
+  const dayEnd = dayStart.plus({ days: 1 });
+  const start = DateTime.max(DateTime.fromISO(startUtcIso, { zone: "utc" }), dayStart);
+  const end = DateTime.min(DateTime.fromISO(endUtcIso, { zone: "utc" }), dayEnd);
+  if (!(start < end)) return null;
+  return {
+    startMins: Math.round(start.diff(dayStart, "minutes").minutes),
+    endMins: Math.round(end.diff(dayStart, "minutes").minutes),
+  };
+}
 
 /**
- * POST /api/places/:placeId/reviews
- * body: { userId, review, rating }
- * Add review and update place rating.
+ * Slot labels of a requested booking that overlap the UTC range [rangeStart, rangeEnd) — a vendor
+ * block, or another booking widened by the place's buffer. Used for 409 conflictingSlots, since
+ * neither need line up with the slot grid.
  */
-app.post("/api/places/:placeId/reviews", requireUserAuth, async (req, res) => {
-  try {
-    const { placeId } = req.params;
-    const userId = req.userAuth.userId;
-    const { review, rating } = req.body || {};
-    if (!review || !rating) {
-      return res
-        .status(400)
-        .json({ error: "review and rating are required" });
-    }
-    const insertPayload = {
-      user_id: userId,
-      place_id: placeId,
-      review: String(review).trim(),
-      rating: Number(rating),
-    };
-    const { data: inserted, error: insertError } = await supabaseAdmin
-      .from("reviews")
-      .insert([insertPayload])
-      .select()
-      .single();
-    if (insertError) throw insertError;
+function requestedSlotsInRange(bookingDateTimeUtc, durationMinutes, slotMinutes, rangeStart, rangeEnd, timezone) {
+  const start = DateTime.fromISO(bookingDateTimeUtc, { zone: "utc" });
+  return utcToVenueSlotStrings(bookingDateTimeUtc, timezone, durationMinutes, slotMinutes).filter(
+    (_, i) => {
+      const slotStart = start.plus({ minutes: i * slotMinutes });
+      return slotStart < rangeEnd && slotStart.plus({ minutes: slotMinutes }) > rangeStart;
+    },
+  );
+}
 
-    const { data: allReviews } = await supabaseAdmin
-      .from("reviews")
-      .select("rating")
-      .eq("place_id", placeId);
-    const avgRating =
-      allReviews && allReviews.length > 0
-        ? allReviews.reduce((sum, r) => sum + parseFloat(r.rating ?? 0), 0) /
-          allReviews.length
-        : 0;
-    const roundedAvg = Math.round(avgRating * 10) / 10;
-    await supabaseAdmin
-      .from("places")
-      .update({ rating: roundedAvg })
-      .eq("id", placeId);
+/** UTC [start, end) a slot-holding booking keeps unavailable to others: its own time plus the buffer either side. */
+function bookingHeldRange(booking, bufferMinutes) {
+  const start = DateTime.fromISO(booking.booking_date_time, { zone: "utc" });
+  return {
+    start: start.minus({ minutes: bufferMinutes }),
+    end: start.plus({ minutes: bookingDurationMinutes(booking) + bufferMinutes }),
+  };
+}
 
-    return res.json(inserted);
-  } catch (err) {
-    console.error("api/places/:placeId/reviews POST error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to add review" });
+/**
+ * 409 body for a reserve_booking() rejection: the requested slots each conflict touches
+ * (`conflictingSlots`) and, when only guest capacity is short, `spotsLeft` (the fewest spots left
+ * across the conflicting slots).
+ */
+function bookingConflictResponse(place, bookingDateTime, durationMinutes, conflicts) {
+  const { slotMinutes, bufferMinutes } = getSlotSettings(place);
+  const conflictingSlots = [
+    ...new Set(
+      conflicts.flatMap((c) => {
+        let range;
+        if (c.kind === "block") {
+          range = {
+            start: DateTime.fromISO(c.starts_at, { zone: "utc" }),
+            end: DateTime.fromISO(c.ends_at, { zone: "utc" }),
+          };
+        } else if (c.kind === "capacity") {
+          const slotStart = DateTime.fromISO(c.slot_start, { zone: "utc" });
+          range = { start: slotStart, end: slotStart.plus({ minutes: slotMinutes }) };
+        } else {
+          range = bookingHeldRange(c, bufferMinutes);
+        }
+        return requestedSlotsInRange(
+          bookingDateTime,
+          durationMinutes,
+          slotMinutes,
+          range.start,
+          range.end,
+          place.timezone,
+        );
+      }),
+    ),
+  ];
+  const blocked = conflicts.some((c) => c.kind === "block");
+  const capacityConflicts = conflicts.filter((c) => c.kind === "capacity");
+  if (!blocked && capacityConflicts.length > 0) {
+    const spotsLeft = Math.min(...capacityConflicts.map((c) => Number(c.remaining) || 0));
+    return {
+      error:
+        spotsLeft > 0
+          ? `Only ${spotsLeft} spot${spotsLeft === 1 ? "" : "s"} left at the selected time. Please reduce the number of guests or pick another time.`
+          : "The selected time just filled up. Please pick another time.",
+      conflictingSlots,
+      spotsLeft,
+    };
   }
-});
+  return {
+    error: blocked
+      ? "Some of the selected hours are unavailable. Please pick another time."
+      : "Some of the selected hours were just booked. Please pick another time.",
+    conflictingSlots,
+  };
+}
 
 /**
- * GET /api/favorites?userId=...
- * Fetch favorite place IDs and places (full place rows include booking preference columns).
+ * Insert a booking row through the reserve_booking() Postgres function, which takes a per-place
+ * advisory lock, checks overlapping slot-holding bookings (unless the place allows overlaps) and
+ * inserts in the same transaction. Returns { booking, conflicts }; booking is null on conflict.
  */
-app.get("/api/favorites", requireUserAuth, async (req, res) => {
-  try {
-    const userId = req.userAuth.userId;
-    const { country } = req.query;
-    const { data: userPlaces, error: upError } = await supabaseAdmin
-      .from("user_places")
-      .select("fav_place_id")
-      .eq("user_id", userId);
-    if (upError) throw upError;
-    if (!userPlaces || userPlaces.length === 0) return res.json([]);
-    const favoriteIds = userPlaces.map((u) => u.fav_place_id);
-    let query = supabaseAdmin.from("places").select("*").in("id", favoriteIds);
-    if (country) query = query.eq("country", country);
-    const { data: places, error } = await query;
-    if (error) throw error;
-    return res.json(places || []);
-  } catch (err) {
-    console.error("api/favorites error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to fetch favorites" });
+async function reserveBookingSlot(insertPayload) {
+  const { data, error } = await supabaseAdmin.rpc("reserve_booking", {
+    p_booking: insertPayload,
+    p_holding_statuses: SLOT_HOLDING_STATUSES,
+  });
+  if (error) throw error;
+  return {
+    booking: data?.booking || null,
+    conflicts: Array.isArray(data?.conflicts) ? data.conflicts : [],
+  };
+}
+
+/**
+ * transitionBookingStatus for a booking that gave its slot up (EXPIRED or FAILED) and needs it
+ * again, through claim_booking_slot(): the booking's range is re-checked under reserve_booking()'s
+ * place lock and the status changes only if the slot is still free. Returns { booking, conflicts };
+ * booking is null on conflict, or when the status changed meanwhile (conflicts empty).
+ */
+async function reclaimBookingSlot(booking, status, { patch = {}, ...event } = {}) {
+  if (!isBookingTransitionAllowed(booking.payment_status, status)) {
+    return { booking: null, conflicts: [] };
   }
-});
+  const { data, error } = await supabaseAdmin.rpc("claim_booking_slot", {
+    p_booking_id: booking.id,
+    p_from_status: booking.payment_status,
+    p_patch: { ...patch, payment_status: status, updated_at: new Date().toISOString() },
+    p_holding_statuses: SLOT_HOLDING_STATUSES,
+  });
+  if (error) throw error;
+  const claimed = data?.booking || null;
+  if (claimed) await recordBookingEvent(booking.id, booking.payment_status, status, event);
+  return {
+    booking: claimed,
+    conflicts: Array.isArray(data?.conflicts) ? data.conflicts : [],
+  };
+}
 
 /**
- * POST /api/favorites
- * body: { userId, placeId }
+ * Insert a vendor block through reserve_place_block(), which shares reserve_booking()'s per-place
+ * lock and refuses ranges that already hold a booking. Returns { block, conflicts }.
  */
-app.post("/api/favorites", requireUserAuth, async (req, res) => {
-  try {
-    const userId = req.userAuth.userId;
-    const { placeId } = req.body || {};
-    if (!placeId) {
-      return res.status(400).json({ error: "placeId is required" });
-    }
-    const { error } = await supabaseAdmin
-      .from("user_places")
-      .insert([{ user_id: userId, fav_place_id: placeId }]);
-    if (error) {
-      if (error.code === "23505") return res.json({ success: true });
-      throw error;
-    }
-    return res.json({ success: true });
-  } catch (err) {
-    console.error("api/favorites POST error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to save favorite" });
+async function reservePlaceBlock(blockPayload) {
+  const { data, error } = await supabaseAdmin.rpc("reserve_place_block", {
+    p_block: blockPayload,
+    p_holding_statuses: SLOT_HOLDING_STATUSES,
+  });
+  if (error) throw error;
+  return {
+    block: data?.block || null,
+    conflicts: Array.isArray(data?.conflicts) ? data.conflicts : [],
+  };
+}
+
+/** Unique human-facing booking reference (SPT-{timestamp}-{random}); fits Razorpay's 40-char receipt. */
+const generateBookingRefNumber = () =>
+  `SPT-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// ---------- Resources ----------
+
+/** Columns of place_resources (courts, lanes, rooms; see place_resources.sql). */
+const PLACE_RESOURCE_COLUMNS =
+  "id, place_id, name, description, avg_price, hours, guest_capacity, sort_order, is_active";
+const MAX_PLACE_RESOURCES = 50;
+const HOURS_DAY_KEYS = WEEKDAY_NAMES.map((d) => d.toLowerCase());
+
+/** A place's resources in display order; archived ones only with includeArchived. */
+async function fetchPlaceResources(placeId, { includeArchived = false } = {}) {
+  let q = supabaseAdmin
+    .from("place_resources")
+    .select(PLACE_RESOURCE_COLUMNS)
+    .eq("place_id", placeId);
+  if (!includeArchived) q = q.eq("is_active", true);
+  const { data, error } = await q
+    .order("sort_order", { ascending: true })
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The place row as one of its resources sees it: the resource's price, hours and guest capacity
+ * replace the place's where set, so getSlotSettings, computeBookingQuote, computeDaySlots and
+ * checkBookingWithinOpeningHours work unchanged. Special dates (hours_overrides) stay place-wide.
+ */
+function placeForResource(place, resource) {
+  if (!resource) return place;
+  const merged = { ...place };
+  if (resource.avg_price != null) merged.avg_price = resource.avg_price;
+  if (resource.hours) {
+    merged.hours = resource.hours;
+    merged.opening_hours_json = null;
+    merged.opening_hours = null;
   }
-});
+  if (resource.guest_capacity != null) {
+    merged.guest_capacity = resource.guest_capacity;
+    merged.capacity_overrides = [];
+  }
+  return merged;
+}
+
+const resourcePrice = (place, resource) =>
+  roundMoney(Number(placeForResource(place, resource).avg_price) || 0);
+
+/** Order in which auto-assignment tries resources: cheapest first, then display order. */
+const autoAssignOrder = (place, resources) =>
+  [...resources].sort(
+    (a, b) => resourcePrice(place, a) - resourcePrice(place, b) || a.sort_order - b.sort_order,
+  );
 
 /**
- * DELETE /api/favorites
- * body: { userId, placeId }
+ * Resource as returned to the apps: price is what it costs (the place's price when the resource has
+ * none), ownPrice / hours / guestCapacity are the resource's own settings (null = the place's).
  */
-app.delete("/api/favorites", requireUserAuth, async (req, res) => {
-  try {
-    const userId = req.userAuth.userId;
+function formatResource(place, resource) {
+  return {
+    id: resource.id,
+    name: resource.name,
+    description: resource.description || null,
+    price: resourcePrice(place, resource),
+    ownPrice: resource.avg_price != null ? Number(resource.avg_price) : null,
+    hours: resource.hours || null,
+    guestCapacity: resource.guest_capacity ?? null,
+    sortOrder: resource.sort_order,
+    isActive: resource.is_active,
+  };
+}
+
+/** The slot-holding bookings that hold a resource: its own, plus older ones without a resource. */
+const bookingsForResource = (bookings, resourceId) =>
+  (bookings || []).filter((b) => b.resource_id == null || b.resource_id === resourceId);
+
+/**
+ * Resources a new booking may go on, in the order to try them: the requested one, or every active
+ * resource in auto-assign order. [null] for places without resources; null when resourceId is not
+ * an active resource of the place.
+ */
+async function bookingResourceCandidates(place, resourceId) {
+  const resources = await fetchPlaceResources(place.id);
+  if (resourceId) {
+    const resource = resources.find((r) => r.id === resourceId);
+    return resource ? [resource] : null;
+  }
+  return resources.length > 0 ? autoAssignOrder(place, resources) : [null];
+}
+
+/**
+ * "Any resource" availability from each resource's computeDaySlots: a slot is available when some
+ * resource has it free. capacity / remaining come from the free resource with the most spots left,
+ * since one booking lands on a single resource; freeResources counts the resources with it free.
+ * price is the cheapest free resource's, as auto-assignment picks the cheapest.
+ */
+function mergeResourceSlots(slotsPerResource) {
+  const byStart = new Map();
+  slotsPerResource.flat().forEach((slot) => {
+    if (!byStart.has(slot.startMins)) byStart.set(slot.startMins, []);
+    byStart.get(slot.startMins).push(slot);
+  });
+  return [...byStart.keys()]
+    .sort((a, b) => a - b)
+    .map((startMins) => {
+      const entries = byStart.get(startMins);
+      const free = entries.filter((s) => s.available);
+      const spots = (s) => s.remaining ?? Infinity;
+      const best = free.reduce((a, s) => (a == null || spots(s) > spots(a) ? s : a), null);
+      const priced = free.length > 0 ? free : entries;
+      return {
+        label: entries[0].label,
+        startMins,
+        price: Math.min(...priced.map((s) => s.price)),
+        capacity: best ? best.capacity : entries[0].capacity,
+        remaining: best ? best.remaining : entries[0].capacity != null ? 0 : null,
+        booked: entries.every((s) => s.booked),
+        available: free.length > 0,
+        freeResources: free.length,
+      };
+    });
+}
+
+/**
+ * Validate a resource's weekly hours from the vendor app: null (use the place's hours) or
+ * { monday: { open: "HH:mm", close: "HH:mm" } | { open: "closed", close: "closed" }, ... }.
+ * Missing weekdays are closed. Throws an Error with a user-facing message when invalid.
+ */
+function normalizeResourceHours(input) {
+  if (input == null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Hours must be an object keyed by weekday");
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(input)) {
+    const day = key.toLowerCase();
+    if (!HOURS_DAY_KEYS.includes(day)) throw new Error(`Unknown weekday "${key}" in hours`);
+    const open = String(value?.open ?? "");
+    const close = String(value?.close ?? "");
+    if (open === "closed" || close === "closed") {
+      out[day] = { open: "closed", close: "closed" };
+      continue;
+    }
+    if (!HH_MM_RE.test(open) || !HH_MM_RE.test(close)) {
+      throw new Error(`Hours for ${day} need open and close times (HH:mm)`);
+    }
+    if (parseTimeToMinutes(close) <= parseTimeToMinutes(open)) {
+      throw new Error(`Closing time must be after opening time on ${day}`);
+    }
+    out[day] = { open, close };
+  }
+  return out;
+}
+
+// ---------- Coupons ----------
+
+/** Columns of coupons (promo codes; see coupons.sql). */
+const COUPON_COLUMNS =
+  "id, code, description, discount_type, discount_value, max_discount, min_spend, place_id, " +
+  "usage_limit, per_user_limit, starts_at, ends_at, is_active, created_at";
+const COUPON_CODE_RE = /^[A-Z0-9_-]{3,30}$/;
+const COUPON_DISCOUNT_TYPES = ["percent", "flat"];
+const MAX_PLACE_COUPONS = 50;
+const MAX_COUPON_USES = 1000000;
+// Razorpay rejects orders under ₹1, so a discount always leaves at least this much of the subtotal
+const MIN_DISCOUNTED_SUBTOTAL = 1;
+
+/** reserve_booking()'s coupon conflict reasons, as shown to the user. */
+const COUPON_LIMIT_MESSAGES = {
+  usage_limit: "This coupon has reached its usage limit.",
+  per_user_limit: "You have already used this coupon the maximum number of times.",
+};
+
+/** Canonical form of a user-entered code ("  summer10 " → "SUMMER10"). */
+const normalizeCouponCode = (code) => String(code ?? "").trim().toUpperCase();
+
+/**
+ * Discount a coupon takes off `subtotal`: discount_value % (capped at max_discount) or a flat
+ * discount_value, always leaving MIN_DISCOUNTED_SUBTOTAL to pay. min_spend is checked by
+ * couponRejection, not here.
+ */
+function couponDiscount(coupon, subtotal) {
+  let discount =
+    coupon.discount_type === "percent"
+      ? (subtotal * Number(coupon.discount_value)) / 100
+      : Number(coupon.discount_value);
+  if (coupon.max_discount != null) discount = Math.min(discount, Number(coupon.max_discount));
+  return roundMoney(Math.max(0, Math.min(discount, subtotal - MIN_DISCOUNTED_SUBTOTAL)));
+}
+
+/**
+ * Why `coupon` cannot be applied to a booking with this undiscounted subtotal, as a user-facing
+ * message, or null when it can. uses / userUses come from countCouponUses; userUses is skipped
+ * when unknown (quotes are not signed in). reserve_booking() re-checks the limits atomically.
+ */
+function couponRejection(coupon, { subtotal, uses = 0, userUses = null, now = DateTime.utc() }) {
+  if (!coupon.is_active) return "This coupon code is not valid.";
+  if (coupon.starts_at && DateTime.fromISO(coupon.starts_at, { zone: "utc" }) > now) {
+    return "This coupon is not active yet.";
+  }
+  if (coupon.ends_at && DateTime.fromISO(coupon.ends_at, { zone: "utc" }) <= now) {
+    return "This coupon has expired.";
+  }
+  const minSpend = Number(coupon.min_spend) || 0;
+  if (subtotal < minSpend) {
+    return `Spend at least ₹${roundMoney(minSpend)} before fees to use this coupon.`;
+  }
+  if (coupon.usage_limit != null && uses >= coupon.usage_limit) {
+    return COUPON_LIMIT_MESSAGES.usage_limit;
+  }
+  if (coupon.per_user_limit != null && userUses != null && userUses >= coupon.per_user_limit) {
+    return COUPON_LIMIT_MESSAGES.per_user_limit;
+  }
+  return null;
+}
+
+/**
+ * The active coupon a user-entered code refers to at a place: the place's own code, else a
+ * platform-wide one. null when there is none (or the code is malformed).
+ */
+async function fetchCouponForPlace(code, placeId) {
+  const normalized = normalizeCouponCode(code);
+  if (!COUPON_CODE_RE.test(normalized)) return null;
+  const { data, error } = await supabaseAdmin
+    .from("coupons")
+    .select(COUPON_COLUMNS)
+    .eq("code", normalized)
+    .eq("is_active", true)
+    .or(`place_id.is.null,place_id.eq.${placeId}`);
+  if (error) throw error;
+  const matches = data || [];
+  return matches.find((c) => c.place_id === placeId) || matches[0] || null;
+}
+
+/**
+ * Bookings currently using a coupon (the same rule as reserve_booking(): slot-holding statuses).
+ * userUses is the count for userId, or null without one.
+ */
+async function countCouponUses(couponId, userId = null) {
+  const usesQuery = () =>
+    supabaseAdmin
+      .from("bookings")
+      .select("id", { count: "exact", head: true })
+      .eq("coupon_id", couponId)
+      .in("payment_status", SLOT_HOLDING_STATUSES);
+  const [all, mine] = await Promise.all([
+    usesQuery(),
+    userId ? usesQuery().eq("user_id", userId) : Promise.resolve(null),
+  ]);
+  if (all.error) throw all.error;
+  if (mine?.error) throw mine.error;
+  return { uses: all.count || 0, userUses: mine ? mine.count || 0 : null };
+}
+
+/** Current uses per coupon id for a list of coupons (admin / vendor lists). */
+async function countUsesByCoupon(couponIds) {
+  const counts = Object.fromEntries(couponIds.map((id) => [id, 0]));
+  if (couponIds.length === 0) return counts;
+  const { data, error } = await supabaseAdmin
+    .from("bookings")
+    .select("coupon_id")
+    .in("coupon_id", couponIds)
+    .in("payment_status", SLOT_HOLDING_STATUSES);
+  if (error) throw error;
+  (data || []).forEach((b) => {
+    counts[b.coupon_id] += 1;
+  });
+  return counts;
+}
+
+/** Cross-field problems with a coupon row (after a PATCH is merged in), or null. */
+function couponRowError(row) {
+  if (row.discount_type === "percent" && Number(row.discount_value) > 100) {
+    return "A percentage discount cannot be more than 100";
+  }
+  if (row.starts_at && row.ends_at && new Date(row.ends_at) <= new Date(row.starts_at)) {
+    return "End date must be after start date";
+  }
+  return null;
+}
+
+/** Coupon as returned to the admin panel and vendor app. */
+function formatCoupon(coupon, uses = 0) {
+  const money = (n) => (n != null ? Number(n) : null);
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    description: coupon.description || null,
+    discountType: coupon.discount_type,
+    discountValue: money(coupon.discount_value),
+    maxDiscount: money(coupon.max_discount),
+    minSpend: money(coupon.min_spend) || 0,
+    placeId: coupon.place_id || null,
+    usageLimit: coupon.usage_limit ?? null,
+    perUserLimit: coupon.per_user_limit ?? null,
+    startsAt: coupon.starts_at || null,
+    endsAt: coupon.ends_at || null,
+    isActive: coupon.is_active,
+    uses,
+    createdAt: coupon.created_at,
+  };
+}
+
+// ---------- Ledger ----------
+
+/** Columns of vendor_ledger_entries (one per paid booking; see vendor_ledger.sql). */
+const LEDGER_ENTRY_COLUMNS =
+  "id, booking_id, vendor_id, place_id, currency, gross_amount, booking_amount, discount_amount, " +
+  "discount_funded_by, service_fee_amount, tax_amount, commission_percent, commission_amount, " +
+  "gateway_fee_amount, gateway_tax_amount, vendor_earnings, refunded_amount, vendor_refund_amount, " +
+  "net_payable, status, captured_at, settled_at, settlement_ref, payout_id, entry_type, adjusts_entry_id, " +
+  "updated_at";
+/** Embeds for listing entries: the booking, or for a refund adjustment the adjusted entry's booking. */
+const LEDGER_ENTRY_EMBEDS =
+  "booking:bookings!booking_id ( booking_ref_number, booking_date_time ), " +
+  "adjusts:adjusts_entry_id ( booking_id, booking:bookings!booking_id ( booking_ref_number, booking_date_time ) )";
+const LEDGER_STATUSES = ["pending", "settled", "refunded"];
+
+const paiseToInr = (paise) => (paise != null ? roundMoney(Number(paise) / 100) : null);
+
+/**
+ * Commission percent for a vendor: its own commission_rates row, else the one for its place's
+ * category, else PLATFORM_COMMISSION_PERCENT.
+ */
+async function resolveCommissionPercent(vendorId, category) {
+  const normalizedCategory = category ? String(category).trim().toLowerCase() : "";
+  const [byVendor, byCategory] = await Promise.all([
+    vendorId
+      ? supabaseAdmin
+          .from("commission_rates")
+          .select("commission_percent")
+          .eq("vendor_id", vendorId)
+          .maybeSingle()
+      : { data: null },
+    normalizedCategory
+      ? supabaseAdmin
+          .from("commission_rates")
+          .select("commission_percent")
+          .eq("category", normalizedCategory)
+          .maybeSingle()
+      : { data: null },
+  ]);
+  if (byVendor.error) throw byVendor.error;
+  if (byCategory.error) throw byCategory.error;
+  const rate = byVendor.data || byCategory.data;
+  return rate ? Number(rate.commission_percent) : PLATFORM_COMMISSION_PERCENT;
+}
+
+/**
+ * How a paid booking's money splits between vendor and platform (vendor_ledger_entries columns,
+ * without ids or gateway fees). grossAmount is the captured amount, amount_paid when unknown.
+ * Bookings from before the price breakdown columns derive the booking amount from the total.
+ */
+function computeLedgerSplit(booking, { commissionPercent, discountFundedBy, grossAmount }) {
+  const discount = roundMoney(Number(booking.discount_amount) || 0);
+  const serviceFee = roundMoney(Number(booking.service_fee_amount) || 0);
+  const tax = roundMoney(Number(booking.tax_amount) || 0);
+  const gross = roundMoney(grossAmount ?? (Number(booking.amount_paid) || 0));
+  const bookingAmount =
+    booking.subtotal_amount != null
+      ? roundMoney(Number(booking.subtotal_amount))
+      : roundMoney(gross - serviceFee - tax + discount);
+  const fundedBy = discount > 0 ? discountFundedBy || "platform" : null;
+  const vendorBase = bookingAmount - (fundedBy === "vendor" ? discount : 0);
+  const commission = roundMoney((vendorBase * commissionPercent) / 100);
+  const earnings = roundMoney(vendorBase - commission);
+  return {
+    gross_amount: gross,
+    booking_amount: bookingAmount,
+    discount_amount: discount,
+    discount_funded_by: fundedBy,
+    service_fee_amount: serviceFee,
+    tax_amount: tax,
+    commission_percent: commissionPercent,
+    commission_amount: commission,
+    vendor_earnings: earnings,
+    net_payable: earnings,
+  };
+}
+
+/**
+ * Whether an entry's net_payable was paid out, or is being: it is settled or in a payout. Its
+ * amounts then stay as paid, and refunds are recovered through refund adjustment entries.
+ */
+const isLedgerEntryPaidOut = (entry) => entry.status === "settled" || !!entry.payout_id;
+
+/**
+ * Ledger patch after refunding `refundAmount` more of a booking to the customer. The vendor gives
+ * up the same share of its earnings as the refund is of the gross. An entry that is not paid out
+ * yet owes that much less and becomes refunded once nothing is owed; a paid-out one only records
+ * the refund (see ledgerRefundAdjustmentRow).
+ */
+function ledgerRefundPatch(entry, refundAmount) {
+  const gross = Number(entry.gross_amount) || 0;
+  const earnings = Number(entry.vendor_earnings) || 0;
+  const refunded = roundMoney(Math.min(gross, (Number(entry.refunded_amount) || 0) + refundAmount));
+  const vendorRefund = gross > 0 ? roundMoney((earnings * refunded) / gross) : 0;
+  if (isLedgerEntryPaidOut(entry)) {
+    return { refunded_amount: refunded, vendor_refund_amount: vendorRefund };
+  }
+  // Only this refund's share: earlier ones may already be in refund adjustments (the entry was
+  // in a payout that failed and released it)
+  const netPayable = roundMoney(
+    Number(entry.net_payable) - (vendorRefund - (Number(entry.vendor_refund_amount) || 0)),
+  );
+  return {
+    refunded_amount: refunded,
+    vendor_refund_amount: vendorRefund,
+    net_payable: netPayable,
+    status: netPayable <= 0 ? "refunded" : entry.status,
+  };
+}
+
+/**
+ * Refund adjustment entry recovering `amount` from the vendor after a refund on a paid-out entry:
+ * a pending entry with a negative net_payable, which the vendor's next payout nets off. It takes
+ * the adjusted entry's captured_at, so the payout hold does not delay it.
+ */
+function ledgerRefundAdjustmentRow(entry, amount) {
+  return {
+    entry_type: "refund_adjustment",
+    adjusts_entry_id: entry.id,
+    vendor_id: entry.vendor_id,
+    place_id: entry.place_id,
+    currency: entry.currency,
+    gross_amount: 0,
+    booking_amount: 0,
+    commission_percent: entry.commission_percent,
+    commission_amount: 0,
+    vendor_earnings: 0,
+    net_payable: -amount,
+    captured_at: entry.captured_at,
+  };
+}
+
+/**
+ * Write the ledger entry for a booking whose payment was just captured, and set
+ * bookings.amount_received_by_vendor to its net payable. `payment` is the Razorpay payment entity
+ * when available (captured amount and gateway fees). Idempotent: webhook, verify and the hold
+ * sweep may all report the same payment, and the first entry wins.
+ */
+async function recordBookingLedgerEntry(booking, payment = null) {
+  const { data: existing, error: existingErr } = await supabaseAdmin
+    .from("vendor_ledger_entries")
+    .select(LEDGER_ENTRY_COLUMNS)
+    .eq("booking_id", booking.id)
+    .maybeSingle();
+  if (existingErr) throw existingErr;
+  if (existing) return existing;
+
+  const [vendorRes, placeRes, couponRes] = await Promise.all([
+    supabaseAdmin.from("vendors").select("id").eq("place_id", booking.place_id).maybeSingle(),
+    supabaseAdmin.from("places").select("category").eq("id", booking.place_id).maybeSingle(),
+    booking.coupon_id
+      ? supabaseAdmin.from("coupons").select("place_id").eq("id", booking.coupon_id).maybeSingle()
+      : { data: null },
+  ]);
+  for (const r of [vendorRes, placeRes, couponRes]) {
+    if (r.error) throw r.error;
+  }
+  const vendorId = vendorRes.data?.id || null;
+  const commissionPercent = await resolveCommissionPercent(vendorId, placeRes.data?.category);
+
+  const row = {
+    booking_id: booking.id,
+    vendor_id: vendorId,
+    place_id: booking.place_id,
+    currency: booking.currency_paid || "INR",
+    ...computeLedgerSplit(booking, {
+      commissionPercent,
+      discountFundedBy: couponRes.data?.place_id ? "vendor" : "platform",
+      grossAmount: paiseToInr(payment?.amount) ?? undefined,
+    }),
+    gateway_fee_amount: paiseToInr(payment?.fee),
+    gateway_tax_amount: paiseToInr(payment?.tax),
+    captured_at: booking.paid_at || new Date().toISOString(),
+  };
+  const { data: inserted, error } = await supabaseAdmin
+    .from("vendor_ledger_entries")
+    .upsert(row, { onConflict: "booking_id", ignoreDuplicates: true })
+    .select(LEDGER_ENTRY_COLUMNS);
+  if (error) throw error;
+
+  // Empty when a concurrent call wrote the entry first
+  let entry = inserted?.[0];
+  if (!entry) {
+    const { data: winner, error: winnerErr } = await supabaseAdmin
+      .from("vendor_ledger_entries")
+      .select(LEDGER_ENTRY_COLUMNS)
+      .eq("booking_id", booking.id)
+      .single();
+    if (winnerErr) throw winnerErr;
+    entry = winner;
+  }
+  await updateBookingById(booking.id, { amount_received_by_vendor: entry.net_payable });
+  return entry;
+}
+
+/**
+ * recordBookingLedgerEntry for the payment paths, which must not fail because of the ledger;
+ * recordMissingLedgerEntries retries anything that fails here.
+ */
+async function recordLedgerEntrySafely(booking, payment = null) {
+  try {
+    await recordBookingLedgerEntry(booking, payment);
+  } catch (err) {
+    console.error("[Ledger] Could not record entry for booking", booking?.id, err?.message || err);
+  }
+}
+
+/** Tries applyLedgerRefund makes before giving up on an entry that keeps changing under it. */
+const LEDGER_REFUND_ATTEMPTS = 5;
+
+/**
+ * Reduce the vendor's share of a booking after `refundAmount` was refunded to the customer, and
+ * keep bookings.amount_received_by_vendor in step. No-op for bookings without a ledger entry.
+ * When the entry is paid out, its amounts stay as paid and a refund adjustment entry recovers the
+ * vendor's share of this refund from the next payout.
+ * The update is conditional on the entry we read, so a concurrent refund, payout claim or
+ * settlement is never overwritten: we read the entry again and retry.
+ */
+async function applyLedgerRefund(bookingId, refundAmount) {
+  for (let attempt = 0; attempt < LEDGER_REFUND_ATTEMPTS; attempt++) {
+    const { data: entry, error } = await supabaseAdmin
+      .from("vendor_ledger_entries")
+      .select(LEDGER_ENTRY_COLUMNS)
+      .eq("booking_id", bookingId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!entry) return null;
+    const patch = ledgerRefundPatch(entry, refundAmount);
+    const { data: updated, error: updateErr } = await supabaseAdmin
+      .from("vendor_ledger_entries")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", entry.id)
+      .eq("updated_at", entry.updated_at)
+      .eq("refunded_amount", entry.refunded_amount)
+      .select(LEDGER_ENTRY_COLUMNS)
+      .maybeSingle();
+    if (updateErr) throw updateErr;
+    if (updated) {
+      const clawback = roundMoney(
+        Number(updated.vendor_refund_amount) - (Number(entry.vendor_refund_amount) || 0),
+      );
+      if (isLedgerEntryPaidOut(entry) && clawback > 0) {
+        const { error: adjustErr } = await supabaseAdmin
+          .from("vendor_ledger_entries")
+          .insert(ledgerRefundAdjustmentRow(updated, clawback));
+        if (adjustErr) {
+          console.error("[Ledger] Could not record refund adjustment", entry.id, clawback, adjustErr.message);
+          throw adjustErr;
+        }
+      }
+      await updateBookingById(bookingId, {
+        amount_received_by_vendor: roundMoney(
+          Number(updated.vendor_earnings) - Number(updated.vendor_refund_amount),
+        ),
+      });
+      return updated;
+    }
+  }
+  throw new Error(
+    `Ledger entry for booking ${bookingId} kept changing; refund of ${refundAmount} not applied`,
+  );
+}
+
+/**
+ * Totals for an earnings statement from ledger rows (any subset of LEDGER_ENTRY_COLUMNS). Refund
+ * adjustments count in pending/settled (they are negative), not as bookings.
+ */
+function summarizeLedger(entries) {
+  const sum = (list, key) => roundMoney(list.reduce((s, e) => s + (Number(e[key]) || 0), 0));
+  const withStatus = (status) => entries.filter((e) => e.status === status);
+  return {
+    pending: sum(withStatus("pending"), "net_payable"),
+    settled: sum(withStatus("settled"), "net_payable"),
+    refunded: sum(entries, "vendor_refund_amount"),
+    gross: sum(entries, "gross_amount"),
+    commission: sum(entries, "commission_amount"),
+    bookingCount: entries.filter((e) => e.entry_type !== "refund_adjustment").length,
+  };
+}
+
+/** Ledger entry as returned to the vendor app and admin panel. */
+function formatLedgerEntry(entry) {
+  const money = (n) => (n != null ? Number(n) : null);
+  return {
+    id: entry.id,
+    entryType: entry.entry_type || "booking",
+    adjustsEntryId: entry.adjusts_entry_id || null,
+    bookingId: entry.booking_id || entry.adjusts?.booking_id || null,
+    bookingRef: (entry.booking || entry.adjusts?.booking)?.booking_ref_number || null,
+    bookingDateTime: (entry.booking || entry.adjusts?.booking)?.booking_date_time || null,
+    vendorId: entry.vendor_id,
+    placeId: entry.place_id,
+    currency: entry.currency,
+    grossAmount: money(entry.gross_amount),
+    bookingAmount: money(entry.booking_amount),
+    discountAmount: money(entry.discount_amount),
+    discountFundedBy: entry.discount_funded_by,
+    serviceFeeAmount: money(entry.service_fee_amount),
+    taxAmount: money(entry.tax_amount),
+    commissionPercent: money(entry.commission_percent),
+    commissionAmount: money(entry.commission_amount),
+    gatewayFeeAmount: money(entry.gateway_fee_amount),
+    gatewayTaxAmount: money(entry.gateway_tax_amount),
+    vendorEarnings: money(entry.vendor_earnings),
+    refundedAmount: money(entry.refunded_amount),
+    vendorRefundAmount: money(entry.vendor_refund_amount),
+    netPayable: money(entry.net_payable),
+    status: entry.status,
+    capturedAt: entry.captured_at,
+    settledAt: entry.settled_at,
+    settlementRef: entry.settlement_ref,
+    payoutId: entry.payout_id || null,
+  };
+}
+
+// ---------- Field encryption ----------
+
+// Vendor payout details are stored as "enc:v1:" + base64(iv | auth tag | ciphertext), AES-256-GCM
+// with VENDOR_DATA_ENCRYPTION_KEY. Values without the prefix are legacy plaintext:
+// encryptLegacyVendorPayoutDetails rewrites them at startup.
+const ENCRYPTED_FIELD_PREFIX = "enc:v1:";
+const ENCRYPTED_VENDOR_FIELDS = ["account_number", "ifsc_code", "upi_id"];
+
+const isEncryptedField = (value) =>
+  typeof value === "string" && value.startsWith(ENCRYPTED_FIELD_PREFIX);
+
+/** Encrypt a field value; empty values and already encrypted ones are returned as they are. */
+function encryptField(value) {
+  if (value == null || value === "" || isEncryptedField(value)) return value;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", vendorDataKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  return ENCRYPTED_FIELD_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+/** Decrypt a value written by encryptField; legacy plaintext passes through. Throws if tampered with. */
+function decryptField(value) {
+  if (!isEncryptedField(value)) return value;
+  const raw = Buffer.from(value.slice(ENCRYPTED_FIELD_PREFIX.length), "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", vendorDataKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+}
+
+/** Copy of a vendors row (or patch) with ENCRYPTED_VENDOR_FIELDS run through `fn`. */
+function mapVendorFields(row, fn) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const f of ENCRYPTED_VENDOR_FIELDS) {
+    if (f in out) out[f] = fn(out[f]);
+  }
+  return out;
+}
+const encryptVendorFields = (row) => mapVendorFields(row, encryptField);
+const decryptVendorFields = (row) => mapVendorFields(row, decryptField);
+
+/** "XXXX1234": all but the last four characters hidden. */
+function maskTail(value) {
+  if (!value) return value || null;
+  const str = String(value);
+  return `XXXX${str.length > 4 ? str.slice(-4) : ""}`;
+}
+
+/** "naXXXX@okhdfcbank": the UPI handle stays, the name is hidden past two characters. */
+function maskUpi(value) {
+  if (!value) return value || null;
+  const [name, handle] = String(value).split("@");
+  return `${name.slice(0, 2)}XXXX${handle ? `@${handle}` : ""}`;
+}
+
+/** Payout details of a decrypted vendors row as shown without re-authentication. */
+const maskVendorPayoutDetails = (row) => ({
+  ...row,
+  account_number: maskTail(row.account_number),
+  ifsc_code: maskTail(row.ifsc_code),
+  upi_id: maskUpi(row.upi_id),
+});
+
+/**
+ * Check the vendor's password before payout details are revealed or changed. Resolves to null
+ * when it matches, else to { status, body } for the response.
+ */
+async function checkVendorReauth(vendorId, password) {
+  if (!password) {
+    return {
+      status: 403,
+      body: { error: "Enter your password to continue", reauthRequired: true },
+    };
+  }
+  const { data: vendor, error } = await supabaseAdmin
+    .from("vendors")
+    .select("password_hash")
+    .eq("id", vendorId)
+    .single();
+  if (error) throw error;
+  if (!(await vendorVerifyPassword(password, vendor?.password_hash))) {
+    return {
+      status: 400,
+      body: { error: "Current password is incorrect", reauthRequired: true },
+    };
+  }
+  return null;
+}
+
+/**
+ * Encrypt payout details saved before field encryption. Runs once at startup, in batches; a
+ * failure is logged and retried on the next start.
+ */
+async function encryptLegacyVendorPayoutDetails() {
+  try {
+    let total = 0;
+    for (;;) {
+      const { data: legacy, error } = await supabaseAdmin
+        .from("vendors")
+        .select(`id, ${ENCRYPTED_VENDOR_FIELDS.join(", ")}`)
+        .or(ENCRYPTED_VENDOR_FIELDS.map((f) => `${f}.not.like.${ENCRYPTED_FIELD_PREFIX}*`).join(","))
+        .limit(200);
+      if (error) throw error;
+      if (!legacy || legacy.length === 0) break;
+      for (const { id, ...fields } of legacy) {
+        // Empty strings become NULL so they do not match the filter again
+        const { error: updateErr } = await supabaseAdmin
+          .from("vendors")
+          .update(mapVendorFields(fields, (value) => encryptField(value) || null))
+          .eq("id", id);
+        if (updateErr) throw updateErr;
+      }
+      total += legacy.length;
+    }
+    if (total > 0) console.log("[Encryption] Encrypted payout details of", total, "vendors");
+  } catch (err) {
+    console.error("[Encryption] Legacy payout details not encrypted:", err?.message || err);
+  }
+}
+
+// ---------- Bank details ----------
+
+const IFSC_RE = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const UPI_RE = /^[\w.-]{2,}@[a-zA-Z]{2,}$/;
+const ACCOUNT_NUMBER_RE = /^\d{9,18}$/;
+const PAYOUT_METHODS = ["upi", "bank_account"];
+const BANK_ACCOUNT_FIELDS = ["account_holder_name", "account_number", "ifsc_code"];
+// vendors column holding each method's RazorpayX fund account
+const FUND_ACCOUNT_COLUMNS = { upi: "razorpay_vpa_fa_ref", bank_account: "razorpay_bank_fa_ref" };
+// IMPS transfers are capped at ₹5 lakh; bigger payouts to a bank account go by NEFT
+const IMPS_LIMIT = 500000;
+
+// Bank names by IFSC bank code (its first four characters), and branches by IFSC from the
+// dataset `npm run build:ifsc` builds from Razorpay's open IFSC data (npm start builds it when
+// missing): IFSC_BRANCHES_DIR/index.json lists the bank codes, and IFSC_BRANCHES_DIR/HDFC.json.gz
+// holds { "HDFC0000001": [branch, city, state, address] }. A bank's file is only inflated on its
+// first lookup, then kept.
+const IFSC_BANKS = JSON.parse(readFileSync(path.resolve(__dirname, "data/ifsc_banks.json"), "utf8"));
+const IFSC_BRANCHES_DIR = process.env.IFSC_BRANCHES_DIR || path.resolve(__dirname, "data/ifsc");
+if (!existsSync(path.join(IFSC_BRANCHES_DIR, "index.json"))) {
+  console.error(`❌ Missing IFSC branch dataset (${IFSC_BRANCHES_DIR}/index.json): run npm run build:ifsc`);
+  process.exit(1);
+}
+const IFSC_BRANCH_BANKS = new Set(
+  Object.keys(JSON.parse(readFileSync(path.join(IFSC_BRANCHES_DIR, "index.json"), "utf8")).banks),
+);
+const gunzipAsync = promisify(gunzip);
+// bankCode → Promise of that bank's branches
+const ifscBranchesByBank = new Map();
+
+function ifscBranchesOf(bankCode) {
+  if (!IFSC_BRANCH_BANKS.has(bankCode)) return Promise.resolve({});
+  if (!ifscBranchesByBank.has(bankCode)) {
+    const loading = readFile(path.join(IFSC_BRANCHES_DIR, `${bankCode}.json.gz`))
+      .then((gz) => gunzipAsync(gz))
+      .then((json) => JSON.parse(json.toString("utf8")));
+    // A failed read is retried on the next lookup
+    loading.catch(() => ifscBranchesByBank.delete(bankCode));
+    ifscBranchesByBank.set(bankCode, loading);
+  }
+  return ifscBranchesByBank.get(bankCode);
+}
+
+/**
+ * Bank and branch of an IFSC code: { ifsc, bankCode, bank, branch, city, state, address }, or
+ * null when the code is malformed. bank / branch are null when the datasets do not know them.
+ */
+async function lookupIfsc(code) {
+  const ifsc = String(code || "").trim().toUpperCase();
+  if (!IFSC_RE.test(ifsc)) return null;
+  const bankCode = ifsc.slice(0, 4);
+  const branches = await ifscBranchesOf(bankCode);
+  const [branch = null, city = null, state = null, address = null] = branches[ifsc] || [];
+  return { ifsc, bankCode, bank: IFSC_BANKS[bankCode] || null, branch, city, state, address };
+}
+
+/** Whether a vendor row has everything a bank-account fund account needs. */
+const hasBankAccount = (vendor) =>
+  BANK_ACCOUNT_FIELDS.every((f) => vendor?.[f] && String(vendor[f]).trim());
+
+/** Details a payout method cannot work without, as a user-facing message, or null when complete. */
+function missingPayoutDetails(method, vendor) {
+  if (method === "upi" && !(vendor?.upi_id && vendor.upi_id.trim())) {
+    return "Add a UPI ID to receive payouts by UPI";
+  }
+  if (method === "bank_account" && !hasBankAccount(vendor)) {
+    return "Add the account holder name, account number and IFSC code to receive payouts by bank transfer";
+  }
+  return null;
+}
+
+/** RazorpayX transfer mode for a payout: UPI to a VPA; IMPS to a bank account, NEFT above the IMPS limit. */
+function payoutModeFor(method, amount) {
+  if (method !== "bank_account") return "UPI";
+  return amount > IMPS_LIMIT ? "NEFT" : "IMPS";
+}
+
+/** Create a RazorpayX fund account for `method` from the vendor's details and return its id. */
+async function createFundAccount(contactRef, method, vendor) {
+  const payload =
+    method === "upi"
+      ? {
+          account_type: "vpa",
+          contact_id: contactRef,
+          vpa: { address: vendor.upi_id.trim() },
+        }
+      : {
+          account_type: "bank_account",
+          contact_id: contactRef,
+          bank_account: {
+            name: vendor.account_holder_name.trim(),
+            ifsc: vendor.ifsc_code.trim().toUpperCase(),
+            account_number: vendor.account_number.trim(),
+          },
+        };
+  const fundAccount = await razorpayXRequest("POST", "/fund_accounts", payload);
+  return fundAccount.id;
+}
+
+/**
+ * Bring a vendor's fund accounts in line with its saved details after a profile update; `changed`
+ * lists the fields that were PATCHed. Fund accounts cannot be edited, so changed details get a new
+ * one and the old one is deactivated. razorpay_fa_ref (what runVendorPayouts pays) then points at
+ * the fund account of the payout method, which defaults to the first method set up.
+ * Razorpay failures are logged, not thrown: the details stay saved and the next save retries.
+ * Returns { payoutMethod, fundAccountLinked }.
+ */
+async function syncVendorFundAccounts(vendorId, changed) {
+  const { data, error } = await supabaseAdmin
+    .from("vendors")
+    .select(
+      "razorpay_contact_ref, razorpay_fa_ref, razorpay_vpa_fa_ref, razorpay_bank_fa_ref, payout_method, account_holder_name, account_number, ifsc_code, upi_id",
+    )
+    .eq("id", vendorId)
+    .single();
+  if (error) throw error;
+  const vendor = decryptVendorFields(data);
+
+  const patch = {};
+  const refs = { upi: vendor.razorpay_vpa_fa_ref, bank_account: vendor.razorpay_bank_fa_ref };
+  const detailsChanged = {
+    upi: changed.includes("upi_id"),
+    bank_account: BANK_ACCOUNT_FIELDS.some((f) => changed.includes(f)),
+  };
+  for (const method of PAYOUT_METHODS) {
+    const complete = !missingPayoutDetails(method, vendor);
+    const stale = refs[method] && (detailsChanged[method] || !complete);
+    const needed = complete && (!refs[method] || detailsChanged[method]);
+    if (!stale && !needed) continue;
+    if (needed && !vendor.razorpay_contact_ref) {
+      console.warn("[Razorpay] No contact for vendor", vendorId, "- cannot create fund account");
+      continue;
+    }
+    try {
+      const newRef = needed
+        ? await createFundAccount(vendor.razorpay_contact_ref, method, vendor)
+        : null;
+      if (refs[method]) {
+        await razorpayXRequest("PATCH", `/fund_accounts/${refs[method]}`, { active: false }).catch(
+          (deactivateErr) =>
+            console.warn("[Razorpay] Could not deactivate fund account", refs[method], deactivateErr?.message),
+        );
+      }
+      refs[method] = newRef;
+      patch[FUND_ACCOUNT_COLUMNS[method]] = newRef;
+      if (newRef) console.log("[Razorpay] Fund account created:", method, newRef);
+    } catch (faErr) {
+      console.warn("[Razorpay] Fund account creation failed:", method, faErr?.message || faErr);
+    }
+  }
+
+  const payoutMethod = vendor.payout_method || PAYOUT_METHODS.find((m) => refs[m]) || null;
+  if (payoutMethod !== vendor.payout_method) patch.payout_method = payoutMethod;
+  const faRef = (payoutMethod && refs[payoutMethod]) || null;
+  if (faRef !== vendor.razorpay_fa_ref) patch.razorpay_fa_ref = faRef;
+
+  if (Object.keys(patch).length > 0) {
+    const { error: updateErr } = await supabaseAdmin
+      .from("vendors")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", vendorId);
+    if (updateErr) throw updateErr;
+  }
+  return { payoutMethod, fundAccountLinked: !!faRef };
+}
+
+// ---------- Payouts ----------
+
+/** Columns of vendor_payouts (one RazorpayX payout per vendor per cycle; see vendor_payouts.sql). */
+const PAYOUT_COLUMNS =
+  "id, vendor_id, fund_account_ref, mode, amount, currency, entry_count, status, " +
+  "razorpay_payout_id, utr, failure_reason, processed_at, created_at, updated_at";
+// Not yet paid, but the entries stay claimed
+const PAYOUT_OPEN_STATUSES = ["created", "queued", "pending", "processing"];
+// Not paid; the entries are released into the next cycle
+const PAYOUT_FAILED_STATUSES = ["failed", "rejected", "cancelled", "reversed"];
+const PAYOUT_STATUSES = [...PAYOUT_OPEN_STATUSES, "processed", ...PAYOUT_FAILED_STATUSES];
+// Open payouts Razorpay has not told us about for this long are polled
+const PAYOUT_POLL_AFTER_MS = 30 * 60 * 1000;
+
+let payoutRunRunning = false;
+
+/**
+ * Call the RazorpayX REST API (payouts are not in the razorpay SDK) and resolve to the parsed
+ * body. A non-2xx answer rejects with an Error carrying the HTTP `status`.
+ */
+async function razorpayXRequest(method, path, payload = null, headers = {}) {
+  const auth = Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString("base64");
+  const res = await fetch(`${RAZORPAY_API_URL}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Basic ${auth}`,
+      ...headers,
+    },
+    body: payload ? JSON.stringify(payload) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(
+      data?.error?.description || `Razorpay ${method} ${path} failed (${res.status})`,
+    );
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Whether a status change may be applied. Razorpay webhooks can arrive late or out of order, so
+ * a payout never goes back to an open status, and only a processed payout can still be reversed.
+ */
+function isPayoutTransitionAllowed(from, to) {
+  if (from === to) return false;
+  if (PAYOUT_OPEN_STATUSES.includes(from)) return to !== "created";
+  return from === "processed" && to === "reversed";
+}
+
+/** Give a payout's ledger entries back to the next cycle (a reversed payout's entries are owed again). */
+async function releasePayoutEntries(payoutId) {
+  const now = new Date().toISOString();
+  const { error: unsettleErr } = await supabaseAdmin
+    .from("vendor_ledger_entries")
+    .update({ status: "pending", settled_at: null, settlement_ref: null, updated_at: now })
+    .eq("payout_id", payoutId)
+    .eq("status", "settled");
+  if (unsettleErr) throw unsettleErr;
+  const { error } = await supabaseAdmin
+    .from("vendor_ledger_entries")
+    .update({ payout_id: null, updated_at: now })
+    .eq("payout_id", payoutId);
+  if (error) throw error;
+}
+
+/**
+ * Move a payout to `status` and settle or release its ledger entries to match. `details` may hold
+ * razorpay_payout_id, utr and failure_reason. Conditional on the status we read, so a concurrent
+ * webhook and poll apply each change once. Returns the updated row, or null when nothing changed.
+ */
+async function transitionPayout(payout, status, details = {}) {
+  if (!isPayoutTransitionAllowed(payout.status, status)) return null;
+  const now = new Date().toISOString();
+  const patch = { ...details, status, updated_at: now };
+  if (status === "processed") patch.processed_at = now;
+  const { data: updated, error } = await supabaseAdmin
+    .from("vendor_payouts")
+    .update(patch)
+    .eq("id", payout.id)
+    .eq("status", payout.status)
+    .select(PAYOUT_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!updated) return null;
+
+  if (status === "processed") {
+    const { error: settleErr } = await supabaseAdmin
+      .from("vendor_ledger_entries")
+      .update({
+        status: "settled",
+        settled_at: now,
+        settlement_ref: updated.utr || updated.razorpay_payout_id,
+        updated_at: now,
+      })
+      .eq("payout_id", payout.id)
+      .eq("status", "pending");
+    if (settleErr) throw settleErr;
+  } else if (PAYOUT_FAILED_STATUSES.includes(status)) {
+    await releasePayoutEntries(payout.id);
+  }
+  console.log("[Payouts]", payout.id, payout.status, "→", status);
+  return updated;
+}
+
+/**
+ * Apply a Razorpay payout entity (webhook payload or API response) to its vendor_payouts row,
+ * found by reference_id (our id) or the Razorpay payout id. Unknown payouts are ignored.
+ */
+async function applyRazorpayPayout(rpPayout) {
+  if (!rpPayout?.id || !PAYOUT_STATUSES.includes(rpPayout.status)) return null;
+  let q = supabaseAdmin.from("vendor_payouts").select(PAYOUT_COLUMNS);
+  q = rpPayout.reference_id
+    ? q.eq("id", rpPayout.reference_id)
+    : q.eq("razorpay_payout_id", rpPayout.id);
+  const { data: payout, error } = await q.maybeSingle();
+  if (error) throw error;
+  if (!payout) return null;
+  return transitionPayout(payout, rpPayout.status, {
+    razorpay_payout_id: rpPayout.id,
+    utr: rpPayout.utr || payout.utr,
+    failure_reason: PAYOUT_FAILED_STATUSES.includes(rpPayout.status)
+      ? rpPayout.status_details?.description || rpPayout.failure_reason || null
+      : null,
+  });
+}
+
+/**
+ * Send a created payout to RazorpayX. The row id is the idempotency key, so retrying after a
+ * timeout cannot pay twice. Razorpay refusing the payout (4xx) fails it and releases its entries;
+ * network and 5xx errors leave it created for the next run.
+ */
+async function submitVendorPayout(payout) {
+  try {
+    const rpPayout = await razorpayXRequest(
+      "POST",
+      "/payouts",
+      {
+        account_number: RAZORPAYX_ACCOUNT_NUMBER,
+        fund_account_id: payout.fund_account_ref,
+        amount: inrToPaise(payout.amount),
+        currency: payout.currency,
+        mode: payout.mode,
+        purpose: "payout",
+        queue_if_low_balance: true,
+        reference_id: payout.id,
+        narration: "Spotnere payout",
+        notes: { vendor_id: payout.vendor_id },
+      },
+      { "X-Payout-Idempotency": payout.id },
+    );
+    return await applyRazorpayPayout({ ...rpPayout, reference_id: payout.id });
+  } catch (err) {
+    if (err.status >= 400 && err.status < 500) {
+      return transitionPayout(payout, "failed", { failure_reason: err.message });
+    }
+    console.warn("[Payouts] Could not submit payout", payout.id, err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Batch a vendor's unclaimed pending entries captured before `cutoff` into a new payout and
+ * submit it. Refund adjustments are pending entries too, so their negative amounts come off it. Entries are claimed with a conditional update, so each is paid at most once; when
+ * the claimed total is under VENDOR_PAYOUT_MIN_AMOUNT the claim is undone.
+ */
+async function createVendorPayout(vendor, cutoff) {
+  const { data: payout, error } = await supabaseAdmin
+    .from("vendor_payouts")
+    .insert({
+      vendor_id: vendor.id,
+      fund_account_ref: vendor.razorpay_fa_ref,
+      mode: payoutModeFor(vendor.payout_method, 0),
+    })
+    .select(PAYOUT_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  const { data: claimed, error: claimErr } = await supabaseAdmin
+    .from("vendor_ledger_entries")
+    .update({ payout_id: payout.id, updated_at: new Date().toISOString() })
+    .eq("vendor_id", vendor.id)
+    .eq("status", "pending")
+    .is("payout_id", null)
+    .lte("captured_at", cutoff)
+    .select("net_payable");
+  if (claimErr) {
+    await supabaseAdmin.from("vendor_payouts").delete().eq("id", payout.id);
+    throw claimErr;
+  }
+
+  const amount = roundMoney((claimed || []).reduce((s, e) => s + Number(e.net_payable || 0), 0));
+  if (amount < VENDOR_PAYOUT_MIN_AMOUNT) {
+    await releasePayoutEntries(payout.id);
+    await supabaseAdmin.from("vendor_payouts").delete().eq("id", payout.id);
+    return null;
+  }
+  const { data: ready, error: amountErr } = await supabaseAdmin
+    .from("vendor_payouts")
+    .update({
+      amount,
+      mode: payoutModeFor(vendor.payout_method, amount),
+      entry_count: claimed.length,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", payout.id)
+    .select(PAYOUT_COLUMNS)
+    .single();
+  if (amountErr) throw amountErr;
+  return (await submitVendorPayout(ready)) || ready;
+}
+
+/**
+ * Poll Razorpay for open payouts whose webhook has not arrived, and resubmit created ones.
+ */
+async function reconcileOpenPayouts() {
+  const { data: open, error } = await supabaseAdmin
+    .from("vendor_payouts")
+    .select(PAYOUT_COLUMNS)
+    .in("status", PAYOUT_OPEN_STATUSES)
+    .lt("updated_at", new Date(Date.now() - PAYOUT_POLL_AFTER_MS).toISOString())
+    .limit(50);
+  if (error) throw error;
+
+  for (const payout of open || []) {
+    try {
+      if (payout.status === "created" || !payout.razorpay_payout_id) {
+        await submitVendorPayout(payout);
+      } else {
+        const rpPayout = await razorpayXRequest("GET", `/payouts/${payout.razorpay_payout_id}`);
+        await applyRazorpayPayout({ ...rpPayout, reference_id: payout.id });
+      }
+    } catch (payoutErr) {
+      console.warn("[Payouts] Could not reconcile payout", payout.id, payoutErr?.message || payoutErr);
+    }
+  }
+}
+
+/**
+ * Pay every vendor that is due: it has a fund account, is not suspended, has no open payout and
+ * no payout in the last VENDOR_PAYOUT_CYCLE_DAYS (unless `force`), and has at least
+ * VENDOR_PAYOUT_MIN_AMOUNT pending in entries captured VENDOR_PAYOUT_HOLD_DAYS ago. `vendorId` limits the run to one vendor.
+ * Returns the payouts created; does nothing while payouts are not configured.
+ */
+async function runVendorPayouts({ vendorId = null, force = false } = {}) {
+  if (!RAZORPAYX_ACCOUNT_NUMBER || payoutRunRunning) return [];
+  payoutRunRunning = true;
+  const created = [];
+  try {
+    await reconcileOpenPayouts();
+
+    const cutoff = new Date(Date.now() - VENDOR_PAYOUT_HOLD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    let q = supabaseAdmin
+      .from("vendor_ledger_entries")
+      .select("vendor_id, net_payable")
+      .eq("status", "pending")
+      .is("payout_id", null)
+      .not("vendor_id", "is", null)
+      .lte("captured_at", cutoff)
+      .limit(5000);
+    if (vendorId) q = q.eq("vendor_id", vendorId);
+    const { data: unpaid, error } = await q;
+    if (error) throw error;
+
+    const owed = new Map();
+    for (const e of unpaid || []) {
+      owed.set(e.vendor_id, (owed.get(e.vendor_id) || 0) + Number(e.net_payable || 0));
+    }
+    const dueIds = [...owed].filter(([, total]) => total >= VENDOR_PAYOUT_MIN_AMOUNT).map(([id]) => id);
+    if (dueIds.length === 0) return created;
+
+    const cycleStart = new Date(Date.now() - VENDOR_PAYOUT_CYCLE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const [vendorsRes, recentRes] = await Promise.all([
+      supabaseAdmin
+        .from("vendors")
+        .select("id, razorpay_fa_ref, payout_method")
+        .in("id", dueIds)
+        .not("razorpay_fa_ref", "is", null)
+        .is("suspended_at", null),
+      supabaseAdmin
+        .from("vendor_payouts")
+        .select("vendor_id, status, created_at")
+        .in("vendor_id", dueIds)
+        .not("status", "in", `(${PAYOUT_FAILED_STATUSES.join(",")})`)
+        .or(`created_at.gte.${cycleStart},status.in.(${PAYOUT_OPEN_STATUSES.join(",")})`),
+    ]);
+    if (vendorsRes.error) throw vendorsRes.error;
+    if (recentRes.error) throw recentRes.error;
+
+    const blocked = new Set(
+      (recentRes.data || [])
+        .filter((p) => !force || PAYOUT_OPEN_STATUSES.includes(p.status))
+        .map((p) => p.vendor_id),
+    );
+    for (const vendor of vendorsRes.data || []) {
+      if (blocked.has(vendor.id)) continue;
+      try {
+        const payout = await createVendorPayout(vendor, cutoff);
+        if (payout) created.push(payout);
+      } catch (vendorErr) {
+        console.error("[Payouts] Could not pay vendor", vendor.id, vendorErr?.message || vendorErr);
+      }
+    }
+  } catch (err) {
+    console.error("[Payouts] Run failed:", err?.message || err);
+  } finally {
+    payoutRunRunning = false;
+  }
+  return created;
+}
+
+/** Payout as returned to the vendor app and admin panel. */
+function formatPayout(payout) {
+  return {
+    id: payout.id,
+    vendorId: payout.vendor_id,
+    amount: Number(payout.amount),
+    currency: payout.currency,
+    mode: payout.mode,
+    entryCount: payout.entry_count,
+    status: payout.status,
+    utr: payout.utr,
+    failureReason: payout.failure_reason,
+    createdAt: payout.created_at,
+    processedAt: payout.processed_at,
+  };
+}
+
+// ---------- Cancellations & refunds ----------
+
+/** Statuses a customer may cancel with a refund (payment captured, booking still upcoming). */
+const CANCELLABLE_PAID_STATUSES = ["SUCCESS"];
+
+/**
+ * Refund tiers by hours before the booking starts. The first tier whose hours_before is met
+ * applies; cancelling later than every tier refunds nothing.
+ * Vendors pick a preset or "custom" tiers; places without a policy get DEFAULT_CANCELLATION_PRESET.
+ */
+const CANCELLATION_POLICY_PRESETS = {
+  flexible: [{ hours_before: 2, refund_percent: 100 }],
+  moderate: [
+    { hours_before: 24, refund_percent: 100 },
+    { hours_before: 6, refund_percent: 50 },
+  ],
+  strict: [
+    { hours_before: 168, refund_percent: 100 },
+    { hours_before: 48, refund_percent: 50 },
+  ],
+};
+const DEFAULT_CANCELLATION_PRESET = "moderate";
+const MAX_CANCELLATION_TIERS = 5;
+const MAX_CANCELLATION_HOURS_BEFORE = 720;
+
+/**
+ * Validate and canonicalise a cancellation policy from the vendor app.
+ * Presets always use the server's tiers; custom tiers are checked and sorted (largest
+ * hours_before first). Throws an Error with a user-facing message when invalid.
+ * @returns {{ preset: string, tiers: { hours_before: number, refund_percent: number }[] }}
+ */
+function normalizeCancellationPolicy(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("cancellation_policy must be an object");
+  }
+  const preset = String(input.preset || "custom").toLowerCase();
+  if (CANCELLATION_POLICY_PRESETS[preset]) {
+    return {
+      preset,
+      tiers: CANCELLATION_POLICY_PRESETS[preset].map((t) => ({ ...t })),
+    };
+  }
+  if (preset !== "custom") {
+    throw new Error("cancellation_policy.preset must be flexible, moderate, strict or custom");
+  }
+  if (
+    !Array.isArray(input.tiers) ||
+    input.tiers.length === 0 ||
+    input.tiers.length > MAX_CANCELLATION_TIERS
+  ) {
+    throw new Error(`Custom policies need 1 to ${MAX_CANCELLATION_TIERS} refund tiers`);
+  }
+  const tiers = input.tiers.map((t) => {
+    const hours = Number(t?.hours_before);
+    const percent = Number(t?.refund_percent);
+    if (
+      !Number.isInteger(hours) ||
+      hours < 0 ||
+      hours > MAX_CANCELLATION_HOURS_BEFORE
+    ) {
+      throw new Error(
+        `Tier hours must be a whole number between 0 and ${MAX_CANCELLATION_HOURS_BEFORE}`,
+      );
+    }
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+      throw new Error("Tier refund must be a whole percentage between 0 and 100");
+    }
+    return { hours_before: hours, refund_percent: percent };
+  });
+  tiers.sort((a, b) => b.hours_before - a.hours_before);
+  for (let i = 1; i < tiers.length; i++) {
+    if (tiers[i].hours_before === tiers[i - 1].hours_before) {
+      throw new Error("Each tier must use a different number of hours");
+    }
+    if (tiers[i].refund_percent > tiers[i - 1].refund_percent) {
+      throw new Error("Refunds cannot increase closer to the booking time");
+    }
+  }
+  return { preset: "custom", tiers };
+}
+
+/** The policy in force for a place; stored policies are re-normalised so bad rows fall back. */
+function resolveCancellationPolicy(place) {
+  if (place?.cancellation_policy) {
+    try {
+      return normalizeCancellationPolicy(place.cancellation_policy);
+    } catch (err) {
+      console.warn(
+        "[Cancel] Invalid cancellation_policy on place",
+        place.id,
+        err.message,
+      );
+    }
+  }
+  return normalizeCancellationPolicy({ preset: DEFAULT_CANCELLATION_PRESET });
+}
+
+/**
+ * Refund owed if `booking` is cancelled at `now` under `policy`.
+ * @returns {{ hoursBeforeStart: number, refundPercent: number, refundAmount: number }}
+ */
+function computeCancellationRefund(booking, policy, now = DateTime.utc()) {
+  const start = DateTime.fromISO(booking.booking_date_time, { zone: "utc" });
+  const hoursBeforeStart = start.diff(now, "hours").hours;
+  const tiers = [...(policy?.tiers || [])].sort(
+    (a, b) => Number(b.hours_before) - Number(a.hours_before),
+  );
+  const tier = tiers.find((t) => hoursBeforeStart >= Number(t.hours_before));
+  const refundPercent = tier
+    ? Math.min(100, Math.max(0, Number(tier.refund_percent) || 0))
+    : 0;
+  const refundAmount = roundMoney(
+    (Number(booking.amount_paid || 0) * refundPercent) / 100,
+  );
+  return {
+    hoursBeforeStart: Math.floor(hoursBeforeStart * 10) / 10,
+    refundPercent,
+    refundAmount,
+  };
+}
+
+/** Map a Razorpay refund entity status to the booking's payment_status. */
+const refundStatusToBookingStatus = (refundStatus) =>
+  refundStatus === "processed" ? "REFUNDED" : "REFUND_PENDING";
+
+/**
+ * Refund `amount` (INR) of a booking already moved to REFUND_PENDING: adjusts the vendor ledger
+ * (unless `applyLedger` is false, e.g. when retrying a refund that failed) and creates the
+ * Razorpay refund. When Razorpay refuses, the booking stays REFUND_PENDING with
+ * refund_status=failed so it can be retried. Returns the updated booking.
+ */
+async function issueBookingRefund(booking, amount, { reason, applyLedger = true } = {}) {
+  if (applyLedger) {
+    try {
+      await applyLedgerRefund(booking.id, amount);
+    } catch (ledgerErr) {
+      console.error("[Refunds] Ledger refund failed:", booking.id, ledgerErr?.message || ledgerErr);
+    }
+  }
+  if (!booking.razorpay_payment_id) {
+    console.error("[Refunds] Paid booking has no razorpay_payment_id:", booking.id);
+    return updateBookingById(booking.id, {
+      refund_status: "failed",
+      payment_error: "Refund could not be issued automatically",
+    });
+  }
+  try {
+    const rpRefund = await razorpay.payments.refund(booking.razorpay_payment_id, {
+      amount: inrToPaise(amount),
+      speed: "normal",
+      notes: { bookingId: booking.id, reason },
+    });
+    const refundFields = {
+      razorpay_refund_id: rpRefund?.id || null,
+      refund_status: rpRefund?.status || "pending",
+      refunded_at: rpRefund?.status === "processed" ? new Date().toISOString() : null,
+      payment_error: null,
+    };
+    // Instant refunds are processed already; a webhook may have got there first
+    return (
+      (refundStatusToBookingStatus(rpRefund?.status) === "REFUNDED" &&
+        (await transitionBookingStatus(booking, "REFUNDED", {
+          patch: refundFields,
+          actor: "razorpay",
+          note: "Refund processed",
+        }))) ||
+      (await updateBookingById(booking.id, refundFields))
+    );
+  } catch (refundErr) {
+    console.error("[Refunds] Razorpay refund failed:", refundErr?.error || refundErr);
+    return updateBookingById(booking.id, {
+      refund_status: "failed",
+      payment_error:
+        refundErr?.error?.description || "Refund could not be issued automatically",
+    });
+  }
+}
+
+// ---------- Payment webhooks ----------
+
+const REFUND_BOOKING_STATUSES = ["REFUND_PENDING", "REFUNDED"];
+const RAZORPAY_PAYMENT_EVENTS = ["payment.authorized", "payment.captured", "payment.failed", "order.paid"];
+const RAZORPAY_REFUND_EVENTS = ["refund.created", "refund.processed", "refund.failed"];
+
+/** A redelivery may take over an event still marked processing after this long (crashed handler). */
+const WEBHOOK_EVENT_STALE_MS = 5 * 60 * 1000;
+
+/** What follows a booking becoming paid: its ledger entry and the vendor's notification. */
+async function onBookingPaid(booking, payment = null) {
+  await recordLedgerEntrySafely(booking, payment);
+  try {
+    await insertVendorNotificationForBooking(booking);
+  } catch (err) {
+    console.warn("[Payments] Vendor notification failed (non-fatal):", booking.id, err?.message);
+  }
+}
+
+/**
+ * Mark a booking paid by `payment` (the Razorpay payment entity, or null when only the checkout
+ * signature vouches for it); `patch` adds or overrides booking fields. A PENDING booking still
+ * holds its slot. An EXPIRED or FAILED one gets it back through reclaimBookingSlot, and when
+ * someone else booked it meanwhile the payment is refunded in full instead (REFUND_PENDING, or
+ * REFUNDED once Razorpay processes it). Returns the updated booking, or null when nothing changed.
+ */
+async function markBookingPaid(booking, payment, { patch = {}, ...event } = {}) {
+  const paidPatch = {
+    razorpay_payment_id: payment?.id || booking.razorpay_payment_id,
+    transaction_id: payment?.id || booking.transaction_id,
+    payment_method: payment?.method || booking.payment_method,
+    paid_at: new Date().toISOString(),
+    payment_error: null,
+    ...patch,
+  };
+  let paid;
+  let conflicts = [];
+  if (SLOT_HOLDING_STATUSES.includes(normalizeBookingStatus(booking.payment_status))) {
+    paid = await transitionBookingStatus(booking, "SUCCESS", { patch: paidPatch, ...event });
+  } else {
+    ({ booking: paid, conflicts } = await reclaimBookingSlot(booking, "SUCCESS", {
+      patch: paidPatch,
+      ...event,
+    }));
+  }
+  if (paid) {
+    await onBookingPaid(paid, payment);
+    return paid;
+  }
+  if (conflicts.length === 0) return null;
+
+  const amount = roundMoney(Number(booking.amount_paid) || 0);
+  const claimed = await transitionBookingStatus(booking, "REFUND_PENDING", {
+    patch: {
+      ...paidPatch,
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: "The slot was booked by someone else before the payment arrived",
+      refund_percent: 100,
+      refund_amount: amount,
+    },
+    ...event,
+    note: "Paid after the slot was booked by someone else; refunded in full",
+    metadata: { ...event.metadata, conflicts },
+  });
+  if (!claimed) return null;
+  console.warn("[Payments] Late payment for a taken slot, refunding:", booking.id);
+  // No ledger entry to adjust: the booking was never paid
+  return issueBookingRefund(claimed, amount, { reason: "slot_unavailable", applyLedger: false });
+}
+
+/**
+ * Record a webhook event before handling it. Returns "claimed" when this delivery should handle
+ * it, "duplicate" when it was already handled, or "in_progress" when another delivery is on it.
+ * A failed event, or one stuck in processing for WEBHOOK_EVENT_STALE_MS, is claimed again.
+ */
+async function claimWebhookEvent(eventId, event) {
+  const payload = event?.payload || {};
+  const entity =
+    payload.refund?.entity || payload.payout?.entity || payload.payment?.entity || payload.order?.entity;
+  const { error } = await supabaseAdmin.from("razorpay_webhook_events").insert({
+    event_id: eventId,
+    event: String(event?.event || "unknown"),
+    entity_id: entity?.id || null,
+    payload,
+    event_created_at: event?.created_at ? new Date(event.created_at * 1000).toISOString() : null,
+  });
+  if (!error) return "claimed";
+  if (error.code !== "23505") throw error;
+
+  const { data: existing, error: fetchErr } = await supabaseAdmin
+    .from("razorpay_webhook_events")
+    .select("status, attempts, updated_at")
+    .eq("event_id", eventId)
+    .single();
+  if (fetchErr) throw fetchErr;
+  if (existing.status === "processed" || existing.status === "ignored") return "duplicate";
+  const stale = Date.now() - new Date(existing.updated_at).getTime() >= WEBHOOK_EVENT_STALE_MS;
+  if (existing.status === "processing" && !stale) return "in_progress";
+
+  const { data: reclaimed, error: claimErr } = await supabaseAdmin
+    .from("razorpay_webhook_events")
+    .update({
+      status: "processing",
+      attempts: existing.attempts + 1,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("event_id", eventId)
+    .eq("status", existing.status)
+    .eq("attempts", existing.attempts)
+    .select("event_id")
+    .maybeSingle();
+  if (claimErr) throw claimErr;
+  return reclaimed ? "claimed" : "in_progress";
+}
+
+/** Store how a claimed event ended. Logged, not thrown: the booking changes already happened. */
+async function finishWebhookEvent(eventId, status, err = null) {
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from("razorpay_webhook_events")
+    .update({
+      status,
+      last_error: err ? String(err?.message || err).slice(0, MAX_LONG) : null,
+      processed_at: status === "failed" ? null : now,
+      updated_at: now,
+    })
+    .eq("event_id", eventId);
+  if (error) {
+    console.error("[Webhook] Could not update event", eventId, error.message);
+  }
+}
+
+/**
+ * Apply a payment.* / order.paid event to the booking of its order. Captured (or the order paid)
+ * marks the booking paid (markBookingPaid), failed makes it FAILED; authorized changes nothing
+ * until capture.
+ * @returns {Promise<"processed"|"ignored">}
+ */
+async function applyRazorpayPaymentEvent(eventName, payment, order) {
+  const orderId = payment?.order_id || order?.id || null;
+  if (!orderId) return "ignored";
+  const booking = await findBookingByOrderId(orderId);
+  if (!booking) return "ignored";
+
+  if (eventName === "order.paid" || payment?.status === "captured") {
+    const paid = await markBookingPaid(booking, payment, {
+      actor: "razorpay",
+      note: "Payment received",
+      metadata: { event: eventName, paymentId: payment?.id || null },
+    });
+    return paid ? "processed" : "ignored";
+  }
+
+  if (payment?.status === "failed") {
+    const paymentError = payment.error_description || payment.error_reason || "Payment failed";
+    const failed = await transitionBookingStatus(booking, "FAILED", {
+      patch: {
+        razorpay_payment_id: payment.id || booking.razorpay_payment_id,
+        transaction_id: payment.id || booking.transaction_id,
+        payment_method: payment.method || booking.payment_method,
+        payment_error: paymentError,
+      },
+      actor: "razorpay",
+      note: paymentError,
+      metadata: { event: eventName, paymentId: payment.id || null },
+    });
+    return failed ? "processed" : "ignored";
+  }
+
+  return "ignored";
+}
+
+/**
+ * Apply a refund.* event to the booking of the refunded payment. Refunds from the cancel route
+ * (notes.bookingId) are already on the booking and ledger, so only their status moves; refunds
+ * made elsewhere (e.g. the Razorpay dashboard) are added to refund_amount and the ledger the
+ * first time one of their events arrives. Only an outside refund that brings refund_amount up to
+ * amount_paid cancels the booking (and frees its slot); a partial one is recorded and the booking
+ * keeps its status.
+ * @returns {Promise<"processed"|"ignored">}
+ */
+async function applyRazorpayRefundEvent(eventName, refund) {
+  if (!refund?.id || !refund.payment_id) return "ignored";
+  const { data: booking, error } = await supabaseAdmin
+    .from("bookings")
+    .select("*")
+    .eq("razorpay_payment_id", refund.payment_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!booking) return "ignored";
+  const now = new Date().toISOString();
+
+  if (eventName === "refund.failed") {
+    const { data: failed, error: failErr } = await supabaseAdmin
+      .from("bookings")
+      .update({
+        refund_status: "failed",
+        payment_error: refund.error_description || "Refund could not be processed",
+        updated_at: now,
+      })
+      .eq("id", booking.id)
+      .eq("payment_status", "REFUND_PENDING")
+      .or(`razorpay_refund_id.is.null,razorpay_refund_id.eq.${refund.id}`)
+      .select("id")
+      .maybeSingle();
+    if (failErr) throw failErr;
+    return failed ? "processed" : "ignored";
+  }
+
+  const processed = eventName === "refund.processed";
+  const external = !refund.notes?.bookingId && booking.razorpay_refund_id !== refund.id;
+  const amount = external ? roundMoney((Number(refund.amount) || 0) / 100) : 0;
+  const refundedTotal = roundMoney((Number(booking.refund_amount) || 0) + amount);
+  // An outside refund of part of the payment (a goodwill credit, say) is not a cancellation
+  const partial =
+    !refund.notes?.bookingId && refundedTotal < roundMoney(Number(booking.amount_paid) || 0);
+  const status = refundStatusToBookingStatus(processed ? "processed" : "pending");
+  const moves = !partial && isBookingTransitionAllowed(booking.payment_status, status);
+  if (partial) {
+    // A later event of a partial refund only moves its refund_status forward
+    if (!external && (!processed || booking.refund_status === "processed")) return "ignored";
+  } else if (
+    // Already there or past it; only a refund we have not seen yet still changes the booking
+    !moves &&
+    (!external || !REFUND_BOOKING_STATUSES.includes(normalizeBookingStatus(booking.payment_status)))
+  ) {
+    return "ignored";
+  }
+
+  const patch = {
+    razorpay_refund_id: refund.id,
+    refund_status: processed ? "processed" : "pending",
+  };
+  if (processed) patch.refunded_at = now;
+  if (external) patch.refund_amount = refundedTotal;
+  // Claims an outside refund: a concurrent event for it finds the id already set
+  const claimRefund = (q) =>
+    external ? q.or(`razorpay_refund_id.is.null,razorpay_refund_id.neq.${refund.id}`) : q;
+
+  let updated;
+  if (moves) {
+    updated = await transitionBookingStatus(booking, status, {
+      patch,
+      where: claimRefund,
+      actor: "razorpay",
+      note: external
+        ? `Refund of ${amount} ${refund.currency || "INR"} issued outside the app`
+        : processed
+          ? "Refund processed"
+          : "Refund initiated",
+      metadata: { event: eventName, refundId: refund.id },
+    });
+  } else {
+    const { data, error: updateErr } = await claimRefund(
+      supabaseAdmin
+        .from("bookings")
+        .update({ ...patch, updated_at: now })
+        .eq("id", booking.id)
+        .eq("payment_status", booking.payment_status),
+    )
+      .select("id")
+      .maybeSingle();
+    if (updateErr) throw updateErr;
+    updated = data;
+    if (updated && partial && external) {
+      const current = normalizeBookingStatus(booking.payment_status);
+      await recordBookingEvent(booking.id, current, current, {
+        actor: "razorpay",
+        note: `Partial refund of ${amount} ${refund.currency || "INR"} issued outside the app`,
+        metadata: { event: eventName, refundId: refund.id },
+      });
+    }
+  }
+  if (!updated) return "ignored";
+
+  if (amount > 0) {
+    try {
+      await applyLedgerRefund(booking.id, amount);
+    } catch (ledgerErr) {
+      console.error("[Webhook] Ledger refund failed:", booking.id, ledgerErr?.message || ledgerErr);
+    }
+  }
+  return "processed";
+}
+
+/**
+ * Handle one verified webhook event: payment.* / order.paid, refund.* and RazorpayX payout.*.
+ * @returns {Promise<"processed"|"ignored">}
+ */
+async function handleRazorpayEvent(event) {
+  const name = String(event?.event || "");
+  const payload = event?.payload || {};
+  if (name.startsWith("payout.")) {
+    return (await applyRazorpayPayout(payload.payout?.entity)) ? "processed" : "ignored";
+  }
+  if (RAZORPAY_REFUND_EVENTS.includes(name)) {
+    return applyRazorpayRefundEvent(name, payload.refund?.entity);
+  }
+  if (RAZORPAY_PAYMENT_EVENTS.includes(name)) {
+    return applyRazorpayPaymentEvent(name, payload.payment?.entity, payload.order?.entity);
+  }
+  return "ignored";
+}
+
+// ---------- Analytics ----------
+
+
+/**
+ * Vendor dashboard ranges. Each is `count` buckets of `unit` ending with the current one,
+ * compared against the same-length window immediately before it.
+ */
+const REVENUE_RANGES = {
+  today: { unit: "hours", step: 3, count: 8, label: "HH:mm" },
+  week: { unit: "days", step: 1, count: 7, label: "ccc" },
+  month: { unit: "weeks", step: 1, count: 4, label: "LLL d" },
+  year: { unit: "months", step: 1, count: 12, label: "LLL" },
+};
+
+/**
+ * Bucket boundaries for `range` in the venue timezone.
+ * @returns {{ buckets: { start: DateTime, end: DateTime, label: string }[], start: DateTime, end: DateTime, previousStart: DateTime }}
+ */
+function buildAnalyticsBuckets(range, timezone, now = DateTime.now()) {
+  const cfg = REVENUE_RANGES[range];
+  const local = now.setZone(timezone || "UTC");
+  const end =
+    range === "year"
+      ? local.startOf("month").plus({ months: 1 })
+      : local.startOf("day").plus({ days: 1 });
+  const span = { [cfg.unit]: cfg.step * cfg.count };
+  const start = end.minus(span);
+  const buckets = [];
+  for (let i = 0; i < cfg.count; i++) {
+    const bStart = start.plus({ [cfg.unit]: cfg.step * i });
+    buckets.push({
+      start: bStart,
+      end: bStart.plus({ [cfg.unit]: cfg.step }),
+      label: bStart.toFormat(cfg.label),
+    });
+  }
+  return { buckets, start, end, previousStart: start.minus(span) };
+}
+
+/** Percentage change from `previous` to `current`, one decimal; null when there is no baseline. */
+function percentChange(current, previous) {
+  if (!previous) return current ? null : 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+/** Bookings that actually occupy the venue (paid; unpaid holds are excluded). */
+const OCCUPANCY_STATUSES = SLOT_HOLDING_STATUSES.filter((s) => s !== "PENDING");
+
+/** Days looked back (ending today, venue time) for each occupancy range. */
+const OCCUPANCY_RANGE_DAYS = { week: 7, month: 28, quarter: 91 };
+
+// Heatmap rows start on Monday like the vendor app's hours editor; values are luxon weekdays
+const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+const PEAK_SLOT_COUNT = 3;
+
+const ratio = (booked, open) =>
+  open > 0 ? Math.round((booked / open) * 1000) / 1000 : 0;
+
+const hourLabel = (hour) => DateTime.fromObject({ hour }).toFormat("h a");
+
+/**
+ * Hourly slot utilisation of a place over `days` local days ending today.
+ * A slot is one opening hour on one date (whatever the place's booking slot length); it counts as
+ * booked when any occupying booking (start + duration) touches it, so overlapping bookings never
+ * push a slot past 100%.
+ * Utilisation values are 0–1 ratios.
+ */
+function computeOccupancy(place, bookings, days, now = DateTime.now()) {
+  const tz = place?.timezone || "UTC";
+  const end = now.setZone(tz).startOf("day").plus({ days: 1 });
+  const start = end.minus({ days });
+
+  // date → Set of booked hours
+  const bookedByDate = new Map();
+  (bookings || []).forEach((b) => {
+    const at = DateTime.fromISO(b.booking_date_time, { zone: "utc" }).setZone(tz);
+    if (!at.isValid || at < start || at >= end) return;
+    const startMins = at.hour * 60 + at.minute;
+    const endMins = startMins + bookingDurationMinutes(b);
+    for (let h = Math.floor(startMins / 60); h * 60 < endMins; h++) {
+      const slot = at.startOf("day").plus({ hours: h });
+      const key = slot.toISODate();
+      if (!bookedByDate.has(key)) bookedByDate.set(key, new Set());
+      bookedByDate.get(key).add(slot.hour);
+    }
+  });
+
+  const cell = () => ({ openSlots: 0, bookedSlots: 0 });
+  const dayStats = [];
+  const weekdayStats = new Map(HEATMAP_WEEKDAYS.map((w) => [w, cell()]));
+  const hourStats = new Map();
+  const heat = new Map(); // "weekday:hour" → cell
+
+  for (let d = start; d < end; d = d.plus({ days: 1 })) {
+    const dateKey = d.toISODate();
+    const stats = { date: dateKey, label: d.toFormat("LLL d"), ...cell() };
+    const window = getOpeningWindowForDate(place, d);
+    if (window) {
+      const booked = bookedByDate.get(dateKey) || new Set();
+      const firstHour = Math.floor(window.openMins / 60);
+      const lastHour = Math.ceil(window.closeMins / 60) - 1;
+      for (let h = firstHour; h <= lastHour; h++) {
+        const isBooked = booked.has(h) ? 1 : 0;
+        const heatKey = `${d.weekday}:${h}`;
+        if (!hourStats.has(h)) hourStats.set(h, cell());
+        if (!heat.has(heatKey)) heat.set(heatKey, cell());
+        for (const target of [stats, weekdayStats.get(d.weekday), hourStats.get(h), heat.get(heatKey)]) {
+          target.openSlots += 1;
+          target.bookedSlots += isBooked;
+        }
+      }
+    }
+    dayStats.push({ ...stats, utilisation: ratio(stats.bookedSlots, stats.openSlots) });
+  }
+
+  const hours = [...hourStats.keys()].sort((a, b) => a - b);
+  const weekdayLabel = (w) => DateTime.fromObject({ weekday: w }).toFormat("ccc");
+  const cells = [];
+  HEATMAP_WEEKDAYS.forEach((w) => {
+    hours.forEach((h) => {
+      const c = heat.get(`${w}:${h}`);
+      if (c) {
+        cells.push({
+          weekday: weekdayLabel(w),
+          hour: h,
+          label: `${weekdayLabel(w)} ${hourLabel(h)}`,
+          utilisation: ratio(c.bookedSlots, c.openSlots),
+        });
+      }
+    });
+  });
+  const byUtilisation = [...cells].sort((a, b) => b.utilisation - a.utilisation);
+  const openSlots = dayStats.reduce((sum, d) => sum + d.openSlots, 0);
+  const bookedSlots = dayStats.reduce((sum, d) => sum + d.bookedSlots, 0);
+
+  return {
+    from: start.toISODate(),
+    to: end.minus({ days: 1 }).toISODate(),
+    openSlots,
+    bookedSlots,
+    utilisation: ratio(bookedSlots, openSlots),
+    days: dayStats,
+    weekdays: HEATMAP_WEEKDAYS.map((w) => {
+      const c = weekdayStats.get(w);
+      return { weekday: weekdayLabel(w), ...c, utilisation: ratio(c.bookedSlots, c.openSlots) };
+    }),
+    hours: hours.map((h) => {
+      const c = hourStats.get(h);
+      return { hour: h, label: hourLabel(h), ...c, utilisation: ratio(c.bookedSlots, c.openSlots) };
+    }),
+    heatmap: {
+      rows: HEATMAP_WEEKDAYS.map(weekdayLabel),
+      columns: hours.map(hourLabel),
+      // null where the venue was never open at that weekday/hour
+      values: HEATMAP_WEEKDAYS.map((w) =>
+        hours.map((h) => {
+          const c = heat.get(`${w}:${h}`);
+          return c ? ratio(c.bookedSlots, c.openSlots) : null;
+        }),
+      ),
+    },
+    peakSlots: byUtilisation.filter((c) => c.utilisation > 0).slice(0, PEAK_SLOT_COUNT),
+    deadSlots: byUtilisation.reverse().slice(0, PEAK_SLOT_COUNT),
+  };
+}
+
+// ---------- Place verification ----------
+
+/** places.verification_status values; places_verification.sql has the state diagram. */
+const PLACE_VERIFICATION_STATUSES = ["DRAFT", "PENDING_REVIEW", "APPROVED", "REJECTED"];
+/** Documents a vendor uploads before submitting a place for review. */
+const PLACE_DOCUMENT_TYPES = ["gst", "pan", "ownership_proof"];
+const PLACE_DOCUMENT_LABELS = {
+  gst: "GST certificate",
+  pan: "PAN card",
+  ownership_proof: "Proof of ownership or lease",
+};
+/** Private bucket; documents are only ever read through signed URLs. */
+const DOCUMENTS_BUCKET = "vendor_documents";
+const DOCUMENT_URL_TTL_SECONDS = 10 * 60;
+const PLACE_VERIFICATION_COLUMNS =
+  "verification_status, verification_submitted_at, verification_reviewed_at, verification_rejection_reasons";
+
+/** Whether a place row is visible in the public catalogue and open for booking. */
+const isPlaceListed = (place) => place?.verification_status === "APPROVED";
+
+async function fetchPlaceDocuments(placeId) {
+  const { data, error } = await supabaseAdmin
+    .from("place_documents")
+    .select("id, doc_type, storage_path, status, rejection_reason, uploaded_at, reviewed_at")
+    .eq("place_id", placeId);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Verification state of a place for the vendor app and admin panel: status, rejection reasons and
+ * one entry per required document (uploaded or not). canSubmit is true when every document is
+ * uploaded, none is flagged for re-upload and the place is not already under review or approved.
+ * With `signedUrls` (doc id → URL), uploaded documents include a url the admin can open.
+ */
+function formatPlaceVerification(place, documents, signedUrls = null) {
+  const docs = PLACE_DOCUMENT_TYPES.map((type) => {
+    const doc = documents.find((d) => d.doc_type === type);
+    return {
+      type,
+      label: PLACE_DOCUMENT_LABELS[type],
+      uploaded: !!doc,
+      status: doc?.status ?? null,
+      rejectionReason: doc?.rejection_reason ?? null,
+      uploadedAt: doc?.uploaded_at ?? null,
+      ...(signedUrls ? { url: (doc && signedUrls[doc.id]) || null } : {}),
+    };
+  });
+  const status = place.verification_status;
+  return {
+    status,
+    submittedAt: place.verification_submitted_at ?? null,
+    reviewedAt: place.verification_reviewed_at ?? null,
+    rejectionReasons: place.verification_rejection_reasons || [],
+    documents: docs,
+    canSubmit:
+      (status === "DRAFT" || status === "REJECTED") &&
+      docs.every((d) => d.uploaded && d.status !== "rejected"),
+  };
+}
+
+/** Short-lived signed URLs for the admin to view documents: { [docId]: url }. */
+async function signPlaceDocuments(documents) {
+  const urls = {};
+  await Promise.all(
+    documents.map(async (doc) => {
+      const { data, error } = await supabaseAdmin.storage
+        .from(DOCUMENTS_BUCKET)
+        .createSignedUrl(doc.storage_path, DOCUMENT_URL_TTL_SECONDS);
+      if (error) console.warn("Could not sign document", doc.id, error.message);
+      urls[doc.id] = data?.signedUrl || null;
+    }),
+  );
+  return urls;
+}
+
+// ---------- Admin ----------
+
+/** Admin roles (admin_roles_audit.sql describes what each may do). */
+const ADMIN_ROLES = ["super_admin", "support", "finance"];
+const ADMIN_COLUMNS = "id, email, role, is_active, created_by, last_login_at, created_at";
+const ADMIN_AUDIT_COLUMNS =
+  "id, admin_id, admin_email, action, target_type, target_id, details, ip_address, created_at";
+
+/**
+ * Write a change made by req.adminAuth to admin_audit_log. Logged, not thrown: the change already
+ * happened. `details` holds the request fields worth keeping; never pass passwords or tokens.
+ */
+async function recordAdminAction(req, action, { targetType = null, targetId = null, details = null } = {}) {
+  const { error } = await supabaseAdmin.from("admin_audit_log").insert({
+    admin_id: req.adminAuth?.adminId || null,
+    admin_email: req.adminAuth?.email || null,
+    action,
+    target_type: targetType,
+    target_id: targetId ? String(targetId) : null,
+    details,
+    ip_address: req.ip || null,
+  });
+  if (error) {
+    console.error("[Admin] Could not record audit entry", action, targetId, error.message);
+  }
+}
+
+/** Admin account as returned to the admin panel. */
+function formatAdmin(admin) {
+  return {
+    id: admin.id,
+    email: admin.email,
+    role: admin.role,
+    isActive: admin.is_active,
+    createdBy: admin.created_by ?? null,
+    lastLoginAt: admin.last_login_at ?? null,
+    createdAt: admin.created_at,
+  };
+}
+
+function formatAdminAuditEntry(entry) {
+  return {
+    id: entry.id,
+    adminId: entry.admin_id,
+    adminEmail: entry.admin_email,
+    action: entry.action,
+    targetType: entry.target_type,
+    targetId: entry.target_id,
+    details: entry.details,
+    ipAddress: entry.ip_address,
+    createdAt: entry.created_at,
+  };
+}
+
+/** Supabase Auth session as returned by the admin login and refresh routes. */
+function formatAdminSession(session) {
+  return {
+    accessToken: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: session.expires_at ? new Date(session.expires_at * 1000).toISOString() : null,
+  };
+}
+
+/** The active admins row of a Supabase Auth user, or null. */
+async function fetchActiveAdmin(authUserId) {
+  const { data, error } = await supabaseAdmin
+    .from("admins")
+    .select(ADMIN_COLUMNS)
+    .eq("auth_user_id", authUserId)
+    .eq("is_active", true)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// ---------- Sessions ----------
+
+/** Device fields the apps send for their session (POST /api/users|vendor/sessions/current). */
+const sessionDeviceValidators = [
+  v.shortStr("deviceName", "Device name"),
+  v.shortStr("platform", "Platform"),
+  v.shortStr("osVersion", "OS version"),
+  v.shortStr("appVersion", "App version"),
+];
+
+/**
+ * Live Supabase Auth sessions of an auth user with the device details the apps reported, most
+ * recently active first. `current` marks the session of the calling token.
+ */
+async function listAuthSessions(authUserId, currentSessionId) {
+  const { data: sessions, error } = await supabaseAdmin.rpc("list_auth_sessions", {
+    p_auth_user_id: authUserId,
+  });
+  if (error) throw error;
+  const ids = (sessions || []).map((s) => s.id);
+  const { data: devices, error: devicesErr } = ids.length
+    ? await supabaseAdmin
+        .from("auth_session_devices")
+        .select("session_id, app, device_name, platform, os_version, app_version")
+        .in("session_id", ids)
+    : { data: [] };
+  if (devicesErr) throw devicesErr;
+  return (sessions || []).map((s) => {
+    const device = (devices || []).find((d) => d.session_id === s.id);
+    return {
+      id: s.id,
+      current: s.id === currentSessionId,
+      app: device?.app ?? null,
+      deviceName: device?.device_name || s.user_agent || null,
+      platform: device?.platform ?? null,
+      osVersion: device?.os_version ?? null,
+      appVersion: device?.app_version ?? null,
+      ipAddress: s.ip ?? null,
+      createdAt: s.created_at,
+      lastActiveAt: s.last_active_at,
+    };
+  });
+}
+
+/**
+ * Sign out sessions of an auth user: `sessionIds` (default all) except `exceptSessionId`.
+ * Their refresh tokens stop working at once and their access tokens on the next request.
+ * @returns {Promise<number>} how many sessions were signed out
+ */
+async function revokeAuthSessions(authUserId, { sessionIds = null, exceptSessionId = null } = {}) {
+  const { data, error } = await supabaseAdmin.rpc("revoke_auth_sessions", {
+    p_auth_user_id: authUserId,
+    p_session_ids: sessionIds,
+    p_except_session_id: exceptSessionId,
+  });
+  if (error) throw error;
+  return data ?? 0;
+}
+
+/** Store the device details for the calling session (auth = req.userAuth or req.vendorAuth). */
+async function saveSessionDevice(auth, app, body) {
+  if (!auth.sessionId) return;
+  const { error } = await supabaseAdmin.from("auth_session_devices").upsert(
+    {
+      session_id: auth.sessionId,
+      auth_user_id: auth.authUserId,
+      app,
+      device_name: body.deviceName || null,
+      platform: body.platform || null,
+      os_version: body.osVersion || null,
+      app_version: body.appVersion || null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "session_id" },
+  );
+  if (error) throw error;
+}
+
+/**
+ * After a password change, sign out every other session of the account. Logged, not thrown: the
+ * password has already changed. Returns how many were signed out, or null when that failed.
+ */
+async function revokeOtherSessionsAfterPasswordChange(auth) {
+  try {
+    return await revokeAuthSessions(auth.authUserId, { exceptSessionId: auth.sessionId });
+  } catch (err) {
+    console.error("[Auth] Could not sign out other sessions after password change:", err?.message);
+    return null;
+  }
+}
+
+// ---------- Mail ----------
+
+/**
+ * Mail transport for MAIL_TRANSPORT: anything with send({ to, subject, text }).
+ * "smtp" goes through nodemailer with SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for
+ * implicit TLS, usually port 465) and optional SMTP_USER / SMTP_PASS; "log" prints the message.
+ */
+function createMailer(transport) {
+  if (transport === "smtp") {
+    const smtp = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+        : undefined,
+    });
+    return {
+      send: ({ to, subject, text }) => smtp.sendMail({ from: MAIL_FROM, to, subject, text }),
+    };
+  }
+  return {
+    send: async ({ to, subject, text }) => {
+      console.log(`[Mail] To: ${to} | Subject: ${subject}\n${text}`);
+    },
+  };
+}
+
+const mailer = createMailer(MAIL_TRANSPORT);
+
+// ---------- Account codes ----------
+
+// Emailed one-time codes (account_tokens.sql), keyed by purpose
+const ACCOUNT_CODE_MINUTES = {
+  password_reset: PASSWORD_RESET_CODE_MINUTES,
+  email_verification: EMAIL_VERIFICATION_CODE_MINUTES,
+};
+// Wrong guesses a code survives; then it is voided and a new one has to be requested
+const ACCOUNT_CODE_MAX_ATTEMPTS = 5;
+
+const hashAccountCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex");
+
+/** 6-digit code body field of the confirm routes. */
+const accountCodeValidator = body("code")
+  .trim().matches(/^\d{6}$/).withMessage("Enter the 6-digit code from the email");
+
+/**
+ * New code for an account (accountType "user" or "vendor"); voids the account's earlier unused
+ * codes for the same purpose. Returns { code, expiresInMinutes }.
+ */
+async function issueAccountCode(accountType, accountId, purpose) {
+  const now = new Date();
+  const { error: voidErr } = await supabaseAdmin
+    .from("account_tokens")
+    .update({ used_at: now.toISOString() })
+    .eq("account_type", accountType)
+    .eq("account_id", accountId)
+    .eq("purpose", purpose)
+    .is("used_at", null);
+  if (voidErr) throw voidErr;
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresInMinutes = ACCOUNT_CODE_MINUTES[purpose];
+  const { error } = await supabaseAdmin.from("account_tokens").insert({
+    account_type: accountType,
+    account_id: accountId,
+    purpose,
+    token_hash: hashAccountCode(code),
+    expires_at: new Date(now.getTime() + expiresInMinutes * 60 * 1000).toISOString(),
+  });
+  if (error) throw error;
+  return { code, expiresInMinutes };
+}
+
+/**
+ * Use the account's live code for `purpose`. True at most once per code; a wrong code counts
+ * against it (see ACCOUNT_CODE_MAX_ATTEMPTS). False for wrong, used, voided or expired codes.
+ */
+async function consumeAccountCode(accountType, accountId, purpose, code) {
+  const nowIso = new Date().toISOString();
+  const { data: token, error } = await supabaseAdmin
+    .from("account_tokens")
+    .select("id, token_hash, failed_attempts")
+    .eq("account_type", accountType)
+    .eq("account_id", accountId)
+    .eq("purpose", purpose)
+    .is("used_at", null)
+    .gt("expires_at", nowIso)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!token) return false;
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(token.token_hash, "hex"),
+    Buffer.from(hashAccountCode(code), "hex"),
+  );
+  if (!matches) {
+    const failedAttempts = token.failed_attempts + 1;
+    const { error: countErr } = await supabaseAdmin
+      .from("account_tokens")
+      .update({
+        failed_attempts: failedAttempts,
+        ...(failedAttempts >= ACCOUNT_CODE_MAX_ATTEMPTS ? { used_at: nowIso } : {}),
+      })
+      .eq("id", token.id)
+      .is("used_at", null);
+    if (countErr) throw countErr;
+    return false;
+  }
+
+  // Conditional on used_at so two requests with the same code cannot both succeed
+  const { data: used, error: useErr } = await supabaseAdmin
+    .from("account_tokens")
+    .update({ used_at: nowIso })
+    .eq("id", token.id)
+    .is("used_at", null)
+    .select("id")
+    .maybeSingle();
+  if (useErr) throw useErr;
+  return !!used;
+}
+
+/** Email a code from issueAccountCode. */
+async function sendAccountCodeEmail(to, purpose, { code, expiresInMinutes }) {
+  const validFor =
+    expiresInMinutes >= 60 && expiresInMinutes % 60 === 0
+      ? `${expiresInMinutes / 60} hour${expiresInMinutes === 60 ? "" : "s"}`
+      : `${expiresInMinutes} minutes`;
+  const message =
+    purpose === "password_reset"
+      ? {
+          subject: "Reset your Spotnere password",
+          text:
+            `Your Spotnere password reset code is ${code}.\n\n` +
+            `Enter it in the app to choose a new password. It is valid for ${validFor} and can be used once.\n\n` +
+            "If you did not ask to reset your password, ignore this email; your password stays the same.",
+        }
+      : {
+          subject: "Verify your Spotnere email",
+          text:
+            `Your Spotnere verification code is ${code}.\n\n` +
+            `Enter it in the app to confirm your email address. It is valid for ${validFor}.`,
+        };
+  await mailer.send({ to, ...message });
+}
+
+/**
+ * Email a customer a fresh verification code. Logged, not thrown: used right after sign-up, which
+ * has already succeeded (the app can ask for another code).
+ */
+async function sendUserVerificationCode(user) {
+  try {
+    const issued = await issueAccountCode("user", user.id, "email_verification");
+    await sendAccountCodeEmail(user.email, "email_verification", issued);
+    return true;
+  } catch (err) {
+    console.error("[Auth] Could not send verification email:", err?.message);
+    return false;
+  }
+}
+
+// ---------- Routes ----------
+app.get("/health", (_, res) => res.json({ ok: true }));
+
+/**
+ * GET /api/bookings/booked-slots?placeId=...&date=YYYY-MM-DD
+ * Calendar day is interpreted in the place's timezone.
+ * date: YYYY-MM-DD = local calendar date at the venue (not UTC date).
+ * slots: every grid slot of that day (slot_minutes apart from opening time; labels are the same
+ * strings as the booking modal grid) as { label, startMins, capacity, remaining, booked, available }
+ * (see computeDaySlots). For places with a guest_capacity, remaining is the number of guests the
+ * slot can still take; otherwise capacity and remaining are null.
+ * bookedSlots: labels of the booked (or, with a capacity, full) slots, for older app builds.
+ * Also returns blockedRanges: vendor blocks on that day as { startMins, endMins } (minutes since
+ * local midnight), which close the overlapping slots even for places that allow overlaps,
+ * slotSettings ({ slotMinutes, minDurationMinutes, maxDurationMinutes, bufferMinutes }) and
+ * guestCapacity (the place-wide capacity, or null).
+ * Places with resources (courts, lanes) also return resources: [{ ...formatResource, slots }] with
+ * each resource's own availability. With &resourceId=..., slots / bookedSlots / guestCapacity are
+ * that resource's; without it they describe "any resource" (see mergeResourceSlots).
+ */
+app.get("/api/bookings/booked-slots", async (req, res) => {
+  try {
+    const { placeId, date, resourceId } = req.query;
+    if (!placeId || !date) {
+      return res.status(400).json({ error: "placeId and date (YYYY-MM-DD) are required" });
+    }
+
+    const place = await fetchPlaceForBooking(placeId);
+    if (!isPlaceListed(place)) return res.status(404).json({ error: "Place not found" });
+    const tz = place.timezone || "UTC";
+
+    const dayStart = DateTime.fromISO(date, { zone: tz }).startOf("day");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayStart.isValid) {
+      return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    }
+    const dayEnd = dayStart.plus({ days: 1 });
+    const settings = getSlotSettings(place);
+
+    // Bookings that started the previous evening (or end within the buffer) can still reach this day
+    const { data: bookings, error } = await supabaseAdmin
+      .from("bookings")
+      .select("booking_date_time, duration_hours, duration_minutes, number_of_guests, resource_id")
+      .eq("place_id", placeId)
+      .gte(
+        "booking_date_time",
+        dayStart.minus({ minutes: MAX_BOOKING_MINUTES + settings.bufferMinutes }).toUTC().toISO(),
+      )
+      .lt("booking_date_time", dayEnd.plus({ minutes: settings.bufferMinutes }).toUTC().toISO())
+      .in("payment_status", SLOT_HOLDING_STATUSES);
+
+    if (error) {
+      console.error("booked-slots error:", error);
+      return res.status(500).json({ error: "Failed to fetch booked slots" });
+    }
+
+    const blocks = await fetchPlaceBlocks(
+      placeId,
+      dayStart.toUTC().toISO(),
+      dayEnd.toUTC().toISO(),
+    );
+    const blockedRanges = blocks
+      .map((b) => rangeToLocalDayMinutes(b.starts_at, b.ends_at, dayStart))
+      .filter(Boolean);
+
+    const resources = (await fetchPlaceResources(placeId)).map((r) => ({
+      ...formatResource(place, r),
+      slots: computeDaySlots(
+        placeForResource(place, r),
+        dayStart,
+        bookingsForResource(bookings, r.id),
+        blocks,
+      ),
+    }));
+    let slots;
+    let guestCapacity = getCapacitySettings(place).capacity;
+    if (resources.length === 0) {
+      slots = computeDaySlots(place, dayStart, bookings, blocks);
+    } else if (resourceId) {
+      const resource = resources.find((r) => r.id === resourceId);
+      if (!resource) return res.status(404).json({ error: "Resource not found" });
+      slots = resource.slots;
+      guestCapacity = resource.guestCapacity ?? guestCapacity;
+    } else {
+      slots = mergeResourceSlots(resources.map((r) => r.slots));
+    }
+
+    return res.json({
+      slots,
+      bookedSlots: slots.filter((s) => s.booked).map((s) => s.label),
+      blockedRanges,
+      slotSettings: settings,
+      guestCapacity,
+      ...(resources.length > 0 ? { resources } : {}),
+    });
+  } catch (err) {
+    console.error("booked-slots error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/bookings/quote
+ * body: { placeId, duration_minutes? (or legacy duration_hours), number_of_guests?, resource_id?,
+ *         bookingDateTimeLocal?, coupon_code? }
+ * Returns the server-computed price breakdown shown in the booking modal. bookingDateTimeLocal
+ * (venue-local "YYYY-MM-DDTHH:mm") lets peak / weekend / seasonal pricing rules apply. For places with
+ * resources it prices resource_id, or without it the cheapest resource (the first auto-assignment
+ * tries), and returns that resource as `resource`.
+ * With coupon_code the quote includes its discount; when the code cannot be used the quote is
+ * returned without it and `couponError` says why. Per-user limits are only checked at order creation.
+ */
+app.post("/api/bookings/quote", async (req, res) => {
+  try {
+    const {
+      placeId,
+      duration_minutes,
+      duration_hours,
+      number_of_guests,
+      resource_id,
+      bookingDateTimeLocal,
+      coupon_code,
+    } = req.body || {};
+    if (!placeId) return res.status(400).json({ error: "placeId is required" });
+
+    const place = await fetchPlaceForPricing(placeId);
+    if (!isPlaceListed(place)) return res.status(404).json({ error: "Place not found" });
+    let bookingStart = null;
+    if (bookingDateTimeLocal) {
+      bookingStart = localToUtc(String(bookingDateTimeLocal), place.timezone || "UTC");
+      if (!bookingStart) return res.status(400).json({ error: "Invalid bookingDateTimeLocal" });
+    }
+    const candidates = await bookingResourceCandidates(place, resource_id);
+    if (!candidates) return res.status(404).json({ error: "Resource not found" });
+    const resource = candidates[0];
+
+    const quoteOptions = {
+      durationMinutes: duration_minutes,
+      durationHours: duration_hours,
+      numberOfGuests: number_of_guests,
+      bookingStart,
+    };
+    let quote = computeBookingQuote(placeForResource(place, resource), quoteOptions);
+    let couponError = null;
+    if (coupon_code) {
+      const coupon = await fetchCouponForPlace(coupon_code, place.id);
+      couponError = coupon
+        ? couponRejection(coupon, { subtotal: quote.subtotal, ...(await countCouponUses(coupon.id)) })
+        : "This coupon code is not valid.";
+      if (!couponError) {
+        quote = computeBookingQuote(placeForResource(place, resource), { ...quoteOptions, coupon });
+      }
+    }
+    return res.json({
+      quote,
+      resource: resource ? { id: resource.id, name: resource.name } : null,
+      ...(couponError ? { couponError } : {}),
+    });
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message });
+    console.error("booking quote error:", err);
+    return res.status(500).json({ error: "Failed to compute price" });
+  }
+});
+
+/**
+ * POST /bookings/create-and-order
+ * Creates booking row (PENDING) + Razorpay order. Returns order details for checkout.
+ * The amount is always recomputed from the place row; a client `amountInr` that does not
+ * match the server quote is rejected with 409 and the current quote.
+ * The slot is validated against opening hours and reserved atomically; if another booking
+ * already holds any of the requested slots (or falls within the place's buffer) the response is
+ * 409 with `conflictingSlots`. For places with a guest capacity the 409 is sent when the guests
+ * would not fit, with `spotsLeft` (the fewest spots left across the conflicting slots).
+ * Places with resources (courts, lanes): resource_id books that resource; without it the booking
+ * goes on the cheapest resource that is free (see bookingResourceCandidates) and the response's
+ * `resource` says which.
+ * coupon_code applies a promo code (see coupons.sql); a code that cannot be used is rejected with
+ * 400 (409 when its usage limit was just reached) and `couponError: true`. The booking row records
+ * coupon_id, coupon_code and discount_amount.
+ * The customer must have verified their email first (403 with `emailVerificationRequired: true`).
+ * body: { userId, placeId, bookingDateTimeLocal, timezone, amountInr?, currency?, number_of_guests?,
+ *         duration_minutes? (or legacy duration_hours), resource_id?, coupon_code? }
+ *        OR legacy: { ..., bookingDateTime (UTC ISO string) }
+ * bookingDateTimeLocal: "2025-01-27T10:00:00" (venue local, no Z)
+ * timezone: IANA string e.g. "Asia/Kolkata"
+ */
+app.post("/bookings/create-and-order", requireUserAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const {
+      placeId,
+      bookingDateTimeLocal,
+      timezone,
+      bookingDateTime: legacyBookingDateTime,
+      amountInr,
+      currency,
+      number_of_guests,
+      duration_minutes,
+      duration_hours,
+      resource_id,
+      coupon_code,
+    } = req.body;
+
+    if (!placeId) {
+      return res.status(400).json({ error: "placeId is required" });
+    }
+    const place = await fetchPlaceForBooking(placeId);
+    if (!isPlaceListed(place)) {
+      return res.status(404).json({ error: "Place not found" });
+    }
+
+    let bookingDateTime = legacyBookingDateTime;
+    if (bookingDateTimeLocal) {
+      const venueTz = place.timezone || timezone || "UTC";
+      bookingDateTime = localToUtc(bookingDateTimeLocal, venueTz);
+      if (!bookingDateTime) {
+        return res.status(400).json({
+          error: "Invalid bookingDateTimeLocal or venue timezone",
+        });
+      }
+    }
+
+    if (!bookingDateTime) {
+      return res.status(400).json({
+        error: "bookingDateTimeLocal+timezone (or bookingDateTime) is required",
+      });
+    }
+
+    const candidates = await bookingResourceCandidates(place, resource_id);
+    if (!candidates) {
+      return res.status(404).json({ error: "Resource not found" });
+    }
+    const autoAssign = !resource_id && candidates[0] != null;
+
+    let coupon = null;
+    let couponUses = null;
+    if (coupon_code) {
+      coupon = await fetchCouponForPlace(coupon_code, placeId);
+      if (!coupon) {
+        return res.status(400).json({ error: "This coupon code is not valid.", couponError: true });
+      }
+      couponUses = await countCouponUses(coupon.id, userId);
+    }
+
+    // 1) Create booking row (payment_status = PENDING) on the requested resource, or on the first
+    //    free one when auto-assigning. Price and hours can differ per resource, so each is quoted
+    //    and checked on its own; a resource whose price differs from amountInr is never booked.
+    const bookingRefNumber = generateBookingRefNumber();
+    let rejection = null;
+    let changedQuote = null;
+    let reserved = null;
+    let anyConflict = false;
+    for (const resource of candidates) {
+      const bookingPlace = placeForResource(place, resource);
+      let quote;
+      try {
+        quote = computeBookingQuote(bookingPlace, {
+          durationMinutes: duration_minutes,
+          durationHours: duration_hours,
+          numberOfGuests: number_of_guests,
+          bookingStart: bookingDateTime,
+          coupon,
+        });
+      } catch (quoteErr) {
+        if (quoteErr?.status !== 400) throw quoteErr;
+        rejection ??= { status: 400, body: { error: quoteErr.message } };
+        continue;
+      }
+      if (coupon) {
+        const couponError = couponRejection(coupon, { subtotal: quote.subtotal, ...couponUses });
+        if (couponError) {
+          rejection ??= { status: 400, body: { error: couponError, couponError: true } };
+          continue;
+        }
+      }
+      if (currency && currency !== quote.currency) {
+        return res.status(400).json({ error: `Only ${quote.currency} payments are supported` });
+      }
+      if (
+        amountInr != null &&
+        Math.abs(inrToPaise(amountInr) - inrToPaise(quote.total)) > 0
+      ) {
+        changedQuote ??= quote;
+        continue;
+      }
+
+      const hoursError = checkBookingWithinOpeningHours(
+        bookingPlace,
+        bookingDateTime,
+        quote.durationMinutes,
+      );
+      if (hoursError) {
+        rejection ??= { status: 400, body: { error: hoursError } };
+        continue;
+      }
+
+      const insertPayload = {
+        user_id: userId,
+        place_id: placeId,
+        booking_date_time: bookingDateTime,
+        booking_ref_number: bookingRefNumber,
+        amount_paid: quote.total,
+        currency_paid: quote.currency,
+        payment_status: "PENDING",
+        hold_expires_at: new Date(
+          Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000,
+        ).toISOString(),
+        subtotal_amount: quote.subtotal,
+        service_fee_amount: quote.serviceFee,
+        tax_amount: quote.taxes,
+        number_of_guests: quote.guests,
+        duration_minutes: quote.durationMinutes,
+        // Legacy readers only; rounded up so it never understates the booked time
+        duration_hours: Math.ceil(quote.durationMinutes / 60),
+        ...(resource ? { resource_id: resource.id } : {}),
+        ...(coupon
+          ? { coupon_id: coupon.id, coupon_code: coupon.code, discount_amount: quote.discount }
+          : {}),
+      };
+      let reservation;
+      try {
+        reservation = await reserveBookingSlot(insertPayload);
+      } catch (insertError) {
+        console.error("create-booking error:", insertError);
+        return res.status(500).json({
+          error: "Failed to create booking",
+          details: insertError.message,
+        });
+      }
+      if (reservation.booking) {
+        reserved = { booking: reservation.booking, quote, resource };
+        break;
+      }
+      const couponConflict = reservation.conflicts.find((c) => c.kind === "coupon");
+      if (couponConflict) {
+        return res.status(409).json({
+          error: COUPON_LIMIT_MESSAGES[couponConflict.reason] || "This coupon can no longer be used.",
+          couponError: true,
+        });
+      }
+      anyConflict = true;
+      rejection ??= {
+        status: 409,
+        body: bookingConflictResponse(
+          bookingPlace,
+          bookingDateTime,
+          quote.durationMinutes,
+          reservation.conflicts,
+        ),
+      };
+    }
+
+    if (!reserved) {
+      if (changedQuote) {
+        return res.status(409).json({
+          error: "Price has changed. Please review the updated total.",
+          quote: changedQuote,
+        });
+      }
+      if (autoAssign && anyConflict) {
+        // Conflicts differ per resource, so there is no single list of slots to mark
+        return res.status(409).json({
+          error: "Nothing is free for the whole selected time. Please pick another time.",
+          conflictingSlots: [],
+        });
+      }
+      if (!rejection) {
+        // No candidate was tried or the reservation came back in an unexpected shape
+        console.error("create-booking error: no booking and no rejection for place", place.id);
+        return res.status(500).json({ error: "Failed to create booking" });
+      }
+      return res.status(rejection.status).json(rejection.body);
+    }
+    const { booking, quote, resource } = reserved;
+    const amountPaise = inrToPaise(quote.total);
+    const payCurrency = quote.currency;
+
+    // 2) Create Razorpay order (receipt max 40 chars); release the slot if it fails
+    let order;
+    try {
+      order = await razorpay.orders.create({
+        amount: amountPaise,
+        currency: payCurrency,
+        receipt: bookingRefNumber,
+        notes: { bookingId: booking.id },
+      });
+    } catch (orderErr) {
+      await supabaseAdmin.from("bookings").delete().eq("id", booking.id);
+      throw orderErr;
+    }
+
+    // 3) Update booking with razorpay_order_id
+    await updateBookingById(booking.id, {
+      razorpay_order_id: order.id,
+    });
+    await recordBookingEvent(booking.id, null, "PENDING", {
+      actor: "user",
+      actorId: userId,
+      note: "Booking created",
+    });
+
+    return res.json({
+      keyId: RAZORPAY_KEY_ID,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      bookingId: booking.id,
+      holdExpiresAt: booking.hold_expires_at,
+      quote,
+      resource: resource ? { id: resource.id, name: resource.name } : null,
+    });
+  } catch (err) {
+    console.error("create-and-order error:", err);
+    return res.status(500).json({
+      error: "Failed to create booking and order",
+      details: err?.message || String(err),
+    });
+  }
+});
+
+/**
+ * DELETE /bookings/:bookingId/cancel
+ * Releases the caller's own PENDING booking when they close checkout without paying: it becomes
+ * EXPIRED, like a hold the sweeper expires, so its slot is freed and its history kept. The order
+ * is checked with Razorpay first: a captured payment marks the booking paid instead, and an
+ * authorized one keeps the hold for the sweeper. A payment still made on the order later is a
+ * late capture (markBookingPaid). Paid bookings are cancelled via POST /api/bookings/:bookingId/cancel.
+ * Returns { cancelled, status }.
+ */
+app.delete("/bookings/:bookingId/cancel", requireUserAuth, [
+  v.uuidParam("bookingId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const { data: booking, error: fetchError } = await supabaseAdmin
+      .from("bookings")
+      .select("*")
+      .eq("id", bookingId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!booking || booking.user_id !== req.userAuth.userId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (normalizeBookingStatus(booking.payment_status) !== "PENDING") {
+      return res.status(400).json({
+        error: "Can only cancel PENDING bookings",
+      });
+    }
+
+    let payments = [];
+    if (booking.razorpay_order_id) {
+      try {
+        const rp = await razorpay.orders.fetchPayments(booking.razorpay_order_id);
+        payments = rp?.items || [];
+      } catch (rpErr) {
+        console.warn("cancel-booking: could not fetch payments", bookingId, rpErr?.message || rpErr);
+        return res.status(503).json({
+          error: "Could not check the payment. The booking will be released automatically.",
+        });
+      }
+    }
+
+    const captured = payments.find((p) => p.status === "captured");
+    if (captured) {
+      const paid = await markBookingPaid(booking, captured, {
+        actor: "razorpay",
+        note: "Paid before checkout was closed",
+        metadata: { paymentId: captured.id },
+      });
+      return res.json({
+        cancelled: false,
+        status: normalizeBookingStatus((paid || booking).payment_status),
+      });
+    }
+    if (payments.some((p) => p.status === "authorized")) {
+      return res.status(409).json({
+        error: "A payment for this booking is still being processed",
+      });
+    }
+
+    const released = await transitionBookingStatus(booking, "EXPIRED", {
+      patch: { payment_error: "Checkout closed without paying" },
+      actor: "user",
+      actorId: req.userAuth.userId,
+      note: "Customer closed checkout without paying",
+    });
+    if (!released) {
+      return res.status(409).json({ error: "The booking changed meanwhile. Please refresh." });
+    }
+
+    return res.json({ cancelled: true, status: "EXPIRED" });
+  } catch (err) {
+    console.error("cancel-booking error:", err);
+    return res.status(500).json({ error: "Failed to cancel booking" });
+  }
+});
+
+/** Load a booking owned by the caller together with its place's cancellation policy. */
+async function fetchOwnBookingWithPolicy(bookingId, userId) {
+  const { data: booking, error } = await supabaseAdmin
+    .from("bookings")
+    .select("*")
+    .eq("id", bookingId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!booking || booking.user_id !== userId) return { booking: null, place: null };
+  const { data: place } = await supabaseAdmin
+    .from("places")
+    .select("id, name, cancellation_policy")
+    .eq("id", booking.place_id)
+    .maybeSingle();
+  return { booking, place };
+}
+
+/**
+ * GET /api/bookings/:bookingId/cancellation
+ * Preview for the "Cancel booking" confirmation: whether cancelling is allowed and the refund.
+ */
+app.get("/api/bookings/:bookingId/cancellation", requireUserAuth, [
+  v.uuidParam("bookingId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { booking, place } = await fetchOwnBookingWithPolicy(
+      req.params.bookingId,
+      req.userAuth.userId,
+    );
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const policy = resolveCancellationPolicy(place);
+    const isUpcoming =
+      new Date(booking.booking_date_time).getTime() > Date.now();
+    const cancellable =
+      isUpcoming &&
+      CANCELLABLE_PAID_STATUSES.includes(normalizeBookingStatus(booking.payment_status));
+    return res.json({
+      cancellable,
+      policy,
+      ...computeCancellationRefund(booking, policy),
+      currency: booking.currency_paid || "INR",
+    });
+  } catch (err) {
+    console.error("cancellation preview error:", err);
+    return res.status(500).json({ error: "Failed to load cancellation details" });
+  }
+});
+
+/**
+ * POST /api/bookings/:bookingId/cancel
+ * body: { reason? }
+ * Cancels the caller's paid, upcoming booking, applies the place cancellation policy and
+ * issues a Razorpay refund. Resulting payment_status: CANCELLED (nothing refundable),
+ * REFUND_PENDING (refund created) or REFUNDED (refund processed immediately).
+ */
+app.post("/api/bookings/:bookingId/cancel", requireUserAuth, [
+  v.uuidParam("bookingId"),
+  v.longStr("reason", "Reason"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { booking, place } = await fetchOwnBookingWithPolicy(
+      req.params.bookingId,
+      req.userAuth.userId,
+    );
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const status = normalizeBookingStatus(booking.payment_status);
+    if (!CANCELLABLE_PAID_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `Bookings in status ${status || "UNKNOWN"} cannot be cancelled` });
+    }
+    if (new Date(booking.booking_date_time).getTime() <= Date.now()) {
+      return res.status(400).json({ error: "Past bookings cannot be cancelled" });
+    }
+
+    const policy = resolveCancellationPolicy(place);
+    const refund = computeCancellationRefund(booking, policy);
+    const now = new Date().toISOString();
+
+    // Claim the booking first so a double tap cannot issue two refunds
+    const claimed = await transitionBookingStatus(
+      booking,
+      refund.refundAmount > 0 ? "REFUND_PENDING" : "CANCELLED",
+      {
+        patch: {
+          cancelled_at: now,
+          cancellation_reason: req.body?.reason || null,
+          refund_percent: refund.refundPercent,
+          refund_amount: refund.refundAmount,
+        },
+        actor: "user",
+        actorId: req.userAuth.userId,
+        note: req.body?.reason || "Cancelled by the customer",
+        metadata: { refundPercent: refund.refundPercent, refundAmount: refund.refundAmount },
+      },
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: "Booking was updated. Please refresh." });
+    }
+
+    const updated =
+      refund.refundAmount > 0
+        ? await issueBookingRefund(claimed, refund.refundAmount, {
+            reason: "customer_cancellation",
+          })
+        : claimed;
+
+    try {
+      await notifyVendorAboutBooking(updated, {
+        type: "BOOKING_CANCELLED",
+        title: "Booking cancelled",
+        body: `The booking for ${formatBookingDateForVendor(updated)} was cancelled by the customer.`,
+      });
+    } catch (notifErr) {
+      console.warn("[Cancel] vendor notification failed (non-fatal):", notifErr?.message);
+    }
+
+    return res.json({
+      bookingId: updated.id,
+      status: updated.payment_status,
+      refundAmount: refund.refundAmount,
+      refundPercent: refund.refundPercent,
+      refundStatus: updated.refund_status || null,
+    });
+  } catch (err) {
+    console.error("cancel paid booking error:", err);
+    return res.status(500).json({ error: "Failed to cancel booking" });
+  }
+});
+
+/**
+ * GET /api/bookings/:bookingId/events
+ * Status history of the caller's booking, oldest first: { events: [formatBookingEvent] }.
+ */
+app.get("/api/bookings/:bookingId/events", requireUserAuth, [
+  v.uuidParam("bookingId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { data: booking, error } = await supabaseAdmin
+      .from("bookings")
+      .select("id, user_id")
+      .eq("id", req.params.bookingId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!booking || booking.user_id !== req.userAuth.userId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    const events = await fetchBookingEvents(booking.id);
+    return res.json({ events: events.map(formatBookingEvent) });
+  } catch (err) {
+    console.error("api/bookings events error:", err);
+    return res.status(500).json({ error: "Failed to load booking history" });
+  }
+});
+
+/**
+ * POST /payments/razorpay/create-order
+ * body: { bookingId }
+ * Creates Razorpay order for the amount already priced on the caller's booking + stores order id.
+ */
+app.post("/payments/razorpay/create-order", requireUserAuth, [
+  body("bookingId").isUUID().withMessage("bookingId must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from("bookings")
+      .select("id, user_id, amount_paid, currency_paid, payment_status")
+      .eq("id", bookingId)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!existing || existing.user_id !== req.userAuth.userId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    const status = normalizeBookingStatus(existing.payment_status);
+    if (status === "EXPIRED")
+      return res.status(409).json({ error: "Booking hold has expired. Please book again." });
+    if (status !== "PENDING" && status !== "FAILED")
+      return res.status(409).json({ error: "This booking is no longer awaiting payment" });
+    if (!existing.amount_paid || Number(existing.amount_paid) <= 0)
+      return res.status(400).json({ error: "Booking has no payable amount" });
+
+    const amountPaise = inrToPaise(existing.amount_paid);
+    const payCurrency = existing.currency_paid || "INR";
+
+    const receipt =
+      String(bookingId).length <= 40
+        ? `booking_${bookingId}`
+        : `bk_${String(bookingId).replace(/-/g, "").slice(0, 32)}`;
+    const order = await razorpay.orders.create({
+      amount: amountPaise,
+      currency: payCurrency,
+      receipt,
+      notes: { bookingId },
+    });
+
+    // Update booking row: set order id; a FAILED booking gave its slot up and takes it back (if
+    // still free) with a new hold for the new attempt
+    const orderPatch = { razorpay_order_id: order.id, payment_error: null };
+    let updated;
+    if (status === "FAILED") {
+      const retried = await reclaimBookingSlot(existing, "PENDING", {
+        patch: {
+          ...orderPatch,
+          hold_expires_at: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000).toISOString(),
+        },
+        actor: "user",
+        actorId: req.userAuth.userId,
+        note: "Payment retried",
+      });
+      if (retried.conflicts.length > 0) {
+        return res
+          .status(409)
+          .json({ error: "This slot was booked by someone else. Please book another time." });
+      }
+      updated = retried.booking;
+    } else {
+      updated = await updateBookingById(bookingId, orderPatch);
+    }
+    if (!updated) {
+      return res.status(409).json({ error: "This booking is no longer awaiting payment" });
+    }
+
+    return res.json({
+      keyId: RAZORPAY_KEY_ID,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      bookingId,
+    });
+  } catch (err) {
+    console.error("create-order error:", err);
+    return res.status(500).json({ error: "Failed to create order" });
+  }
+});
+
+/**
+ * POST /payments/razorpay/verify
+ * body: { bookingId, razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ * Verifies signature + fetches payment status from Razorpay + updates the caller's booking. The
+ * order must be the one create-order stored on the booking, so a payment for another booking
+ * cannot mark this one paid.
+ * The booking changes through transitionBookingStatus like the webhook, so whichever reports
+ * the payment first records it and notifies the vendor; the other leaves the booking as it is.
+ */
+app.post("/payments/razorpay/verify", requireUserAuth, [
+  body("bookingId").isUUID().withMessage("bookingId must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  const log = (msg, data) =>
+    console.log(
+      "[verify]",
+      msg,
+      data !== undefined ? JSON.stringify(data) : "",
+    );
+
+  try {
+    const {
+      bookingId,
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+    } = req.body;
+
+    log("request received", {
+      bookingId,
+      razorpay_order_id: razorpay_order_id || null,
+      razorpay_payment_id: razorpay_payment_id || null,
+      razorpay_signature: razorpay_signature
+        ? `present, length=${razorpay_signature.length}`
+        : "missing",
+    });
+
+    log("RAZORPAY_KEY_SECRET exists", {
+      exists: !!process.env.RAZORPAY_KEY_SECRET,
+    });
+
+    if (!bookingId) {
+      log("error: bookingId required");
+      return res.status(400).json({ error: "bookingId is required" });
+    }
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      log("error: missing Razorpay fields");
+      return res.status(400).json({ error: "Missing Razorpay fields" });
+    }
+
+    const { data: current, error: currentErr } = await supabaseAdmin
+      .from("bookings")
+      .select("*")
+      .eq("id", bookingId)
+      .maybeSingle();
+    if (currentErr) throw currentErr;
+    if (!current || current.user_id !== req.userAuth.userId) {
+      log("error: booking not found");
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (current.razorpay_order_id !== razorpay_order_id) {
+      log("error: order does not match booking");
+      return res.status(400).json({ error: "Order does not belong to this booking" });
+    }
+
+    // 1) Signature verify
+    const sigOk = verifyCheckoutSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
+    log("signature comparison result", { sigOk });
+
+    if (!sigOk) {
+      // Only a still-pending booking fails; a forged call cannot undo a paid one
+      await transitionBookingStatus(current, "FAILED", {
+        patch: {
+          razorpay_payment_id,
+          razorpay_signature,
+          transaction_id: razorpay_payment_id,
+          payment_error: "Signature mismatch",
+        },
+        actor: "user",
+        actorId: current.user_id,
+        note: "Checkout signature mismatch",
+      });
+      return res
+        .status(400)
+        .json({ status: "FAILED", reason: "Signature mismatch" });
+    }
+
+    // 2) Fetch payment from Razorpay (extra safety); if fetch fails, trust signature
+    let payment = null;
+    try {
+      payment = await razorpay.payments.fetch(razorpay_payment_id);
+      log("Razorpay fetch ok", { status: payment?.status });
+    } catch (fetchErr) {
+      log("Razorpay fetch failed (trusting signature)", {
+        message: fetchErr?.message,
+        code: fetchErr?.code,
+      });
+    }
+
+    const finalStatus = payment
+      ? payment.status === "captured"
+        ? "SUCCESS"
+        : payment.status === "failed"
+          ? "FAILED"
+          : "PENDING"
+      : "SUCCESS"; // signature valid => trust payment succeeded
+
+    log("updating booking", { finalStatus });
+
+    const fullPatch = {
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+      transaction_id: razorpay_payment_id,
+      payment_method: payment?.method || null,
+      paid_at: finalStatus === "SUCCESS" ? new Date().toISOString() : null,
+      payment_error:
+        finalStatus === "FAILED"
+          ? payment?.error_description || "Payment failed"
+          : null,
+    };
+
+    const verifyEvent = {
+      actor: "user",
+      actorId: current.user_id,
+      note: finalStatus === "SUCCESS" ? "Payment verified at checkout" : fullPatch.payment_error,
+      metadata: { paymentId: razorpay_payment_id },
+    };
+    // A capture goes through markBookingPaid, which also runs onBookingPaid
+    const applyFinalStatus = (patch) =>
+      finalStatus === "SUCCESS"
+        ? markBookingPaid(current, payment, { patch, ...verifyEvent })
+        : transitionBookingStatus(current, finalStatus, { patch, ...verifyEvent });
+    let booking;
+    try {
+      booking = await applyFinalStatus(fullPatch);
+    } catch (updateErr) {
+      log("DB update failed (full patch)", {
+        error: updateErr?.message,
+        code: updateErr?.code,
+        details: updateErr?.details,
+      });
+      try {
+        const minimalPatch = {
+          razorpay_order_id,
+          razorpay_payment_id,
+          transaction_id: razorpay_payment_id,
+        };
+        if (finalStatus === "SUCCESS") {
+          minimalPatch.paid_at = new Date().toISOString();
+        }
+        booking = await applyFinalStatus(minimalPatch);
+      } catch (minimalErr) {
+        log("DB update failed (minimal patch)", {
+          error: minimalErr?.message,
+          code: minimalErr?.code,
+          details: minimalErr?.details,
+        });
+        throw minimalErr;
+      }
+    }
+
+    if (!booking) {
+      log("booking unchanged", { from: current.payment_status, finalStatus });
+    }
+
+    // REFUND_PENDING / REFUNDED when the payment came too late to keep the slot
+    const status = booking ? normalizeBookingStatus(booking.payment_status) : finalStatus;
+    log("verify success", { finalStatus, status, bookingId });
+    return res.json({
+      status,
+      ...(REFUND_BOOKING_STATUSES.includes(status)
+        ? {
+            reason:
+              "This slot was booked by someone else before your payment arrived. The payment is being refunded in full.",
+          }
+        : {}),
+      bookingId,
+      razorpay_payment_id,
+      razorpay_order_id,
+      method: payment?.method,
+      gateway_status: payment?.status,
+    });
+  } catch (err) {
+    const errMsg = err?.message || String(err);
+    console.error("[verify] error:", errMsg);
+    console.error("[verify] stack:", err?.stack);
+    return res.status(500).json({
+      error: "Verification failed",
+      details: errMsg,
+    });
+  }
+});
+
+/**
+ * GET /payments/razorpay/status?bookingId=...
+ * Payment state of the caller's booking; the app polls it when verify did not confirm the payment.
+ */
+app.get("/payments/razorpay/status", requireUserAuth, [
+  query("bookingId").isUUID().withMessage("bookingId must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { bookingId } = req.query;
+
+    const { data, error } = await supabaseAdmin
+      .from("bookings")
+      .select(
+        "id,user_id,payment_status,razorpay_order_id,razorpay_payment_id,paid_at,payment_error",
+      )
+      .eq("id", bookingId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.user_id !== req.userAuth.userId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    const { user_id: _, ...status } = data;
+    return res.json({ ...status, payment_status: normalizeBookingStatus(status.payment_status) });
+  } catch (err) {
+    console.error("status error:", err);
+    return res.status(500).json({ error: "Failed to fetch status" });
+  }
+});
+
+// ---------- API Routes (moved from userapp) ----------
+
+/** Columns on `places` for booking/pricing rules (use in partial selects; full reads use select("*")). */
+const PLACE_BOOKING_PREF_COLUMNS =
+  "charge_per_guest, allow_multiple_hours_booking, allow_overlapping_bookings";
+
+/** Whether a place exists and is listed; the public sub-resource routes 404 otherwise. */
+async function isListedPlaceId(placeId) {
+  const { data, error } = await supabaseAdmin
+    .from("places")
+    .select("verification_status")
+    .eq("id", placeId)
+    .maybeSingle();
+  if (error) throw error;
+  return isPlaceListed(data);
+}
+
+/**
+ * GET /api/places?country=...
+ * Fetch approved places filtered by country.
+ * Rows include `charge_per_guest`, `allow_multiple_hours_booking`, `allow_overlapping_bookings` among all place columns.
+ */
+app.get("/api/places", async (req, res) => {
+  try {
+    const { country } = req.query;
+    let query = supabaseAdmin
+      .from("places")
+      .select("*")
+      .eq("verification_status", "APPROVED");
+    if (country) query = query.eq("country", country);
+    const { data, error } = await query;
+    if (error) throw error;
+    return res.json(data || []);
+  } catch (err) {
+    console.error("api/places error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch places" });
+  }
+});
+
+/**
+ * POST /api/places/by-ids
+ * body: { placeIds: string[], country?: string }
+ * Fetch places by IDs; places that are not approved are left out.
+ * Rows include booking preference columns on `places`.
+ */
+app.post("/api/places/by-ids", async (req, res) => {
+  try {
+    const { placeIds, country } = req.body || {};
+    if (!placeIds || !Array.isArray(placeIds) || placeIds.length === 0) {
+      return res.status(400).json({ error: "placeIds array is required" });
+    }
+    let query = supabaseAdmin
+      .from("places")
+      .select("*")
+      .in("id", placeIds)
+      .eq("verification_status", "APPROVED");
+    if (country) query = query.eq("country", country);
+    const { data, error } = await query;
+    if (error) throw error;
+    return res.json(data || []);
+  } catch (err) {
+    console.error("api/places/by-ids error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch places" });
+  }
+});
+
+/**
+ * GET /api/places/:placeId
+ * Fetch single place (all columns, including booking preference flags); 404 unless approved.
+ * `cancellation_policy` is the effective policy (default preset when the vendor has not set one).
+ */
+app.get("/api/places/:placeId", async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    const { data, error } = await supabaseAdmin
+      .from("places")
+      .select("*")
+      .eq("id", placeId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!isPlaceListed(data)) return res.status(404).json({ error: "Place not found" });
+    // Always send the effective policy so the app can show it without knowing the default
+    return res.json({
+      ...data,
+      cancellation_policy: resolveCancellationPolicy(data),
+    });
+  } catch (err) {
+    console.error("api/places/:placeId error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch place" });
+  }
+});
+
+/**
+ * GET /api/places/:placeId/reviews
+ * Fetch reviews for a place.
+ */
+app.get("/api/places/:placeId/reviews", async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    if (!(await isListedPlaceId(placeId))) {
+      return res.status(404).json({ error: "Place not found" });
+    }
+    const { data, error } = await supabaseAdmin
+      .from("reviews")
+      .select(
+        `
+        user_id,
+        place_id,
+        review,
+        rating,
+        created_at,
+        user:users!user_id(first_name, last_name)
+      `,
+      )
+      .eq("place_id", placeId)
+      .order("created_at", { ascending: false });
+    if (error) {
+      const { data: fallback } = await supabaseAdmin
+        .from("reviews")
+        .select("user_id, place_id, review, rating, created_at")
+        .eq("place_id", placeId)
+        .order("created_at", { ascending: false });
+      return res.json(fallback || []);
+    }
+    return res.json(data || []);
+  } catch (err) {
+    console.error("api/places/:placeId/reviews error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch reviews" });
+  }
+});
+
+/**
+ * GET /api/places/:placeId/gallery
+ * Fetch gallery images.
+ */
+app.get("/api/places/:placeId/gallery", async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    if (!(await isListedPlaceId(placeId))) {
+      return res.status(404).json({ error: "Place not found" });
+    }
+    const { data, error } = await supabaseAdmin
+      .from("gallery_images")
+      .select("id, gallery_image_url")
+      .eq("place_id", placeId)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return res.json(data || []);
+  } catch (err) {
+    console.error("api/places/:placeId/gallery error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch gallery" });
+  }
+});
+
+/**
+ * GET /api/places/:placeId/resources
+ * Active bookable resources (courts, lanes, rooms) with prices. Empty for places without any.
+ */
+app.get("/api/places/:placeId/resources", async (req, res) => {
+  try {
+    const place = await fetchPlaceForBooking(req.params.placeId);
+    if (!isPlaceListed(place)) return res.status(404).json({ error: "Place not found" });
+    const resources = await fetchPlaceResources(place.id);
+    return res.json({ resources: resources.map((r) => formatResource(place, r)) });
+  } catch (err) {
+    console.error("api/places/:placeId/resources error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch resources" });
+  }
+});
+
+/**
+ * GET /api/places/:placeId/vendor
+ * Public business contact of a place's vendor: { business_name, vendor_full_name, vendor_city,
+ * vendor_state }. No payout details, email, phone or personal address.
+ */
+app.get("/api/places/:placeId/vendor", async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    if (!(await isListedPlaceId(placeId))) {
+      return res.status(404).json({ error: "Place not found" });
+    }
+    const { data, error } = await supabaseAdmin
+      .from("vendors")
+      .select(
+        "business_name, vendor_full_name, vendor_city, vendor_state",
+      )
+      .eq("place_id", placeId)
+      .maybeSingle();
+    if (error) throw error;
+    return res.json(data || null);
+  } catch (err) {
+    console.error("api/places/:placeId/vendor error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch vendor" });
+  }
+});
+
+/** Recompute places.rating (average of its reviews, one decimal) after a review is added or removed. */
+async function refreshPlaceRating(placeId) {
+  const { data: allReviews } = await supabaseAdmin
+    .from("reviews")
+    .select("rating")
+    .eq("place_id", placeId);
+  const avgRating =
+    allReviews && allReviews.length > 0
+      ? allReviews.reduce((sum, r) => sum + parseFloat(r.rating ?? 0), 0) /
+        allReviews.length
+      : 0;
+  const roundedAvg = Math.round(avgRating * 10) / 10;
+  await supabaseAdmin
+    .from("places")
+    .update({ rating: roundedAvg })
+    .eq("id", placeId);
+  return roundedAvg;
+}
+
+/**
+ * POST /api/places/:placeId/reviews
+ * body: { userId, review, rating }
+ * Add review and update place rating.
+ */
+app.post("/api/places/:placeId/reviews", requireUserAuth, async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    const userId = req.userAuth.userId;
+    const { review, rating } = req.body || {};
+    if (!review || !rating) {
+      return res
+        .status(400)
+        .json({ error: "review and rating are required" });
+    }
+    if (!(await isListedPlaceId(placeId))) {
+      return res.status(404).json({ error: "Place not found" });
+    }
+    const insertPayload = {
+      user_id: userId,
+      place_id: placeId,
+      review: String(review).trim(),
+      rating: Number(rating),
+    };
+    const { data: inserted, error: insertError } = await supabaseAdmin
+      .from("reviews")
+      .insert([insertPayload])
+      .select()
+      .single();
+    if (insertError) throw insertError;
+
+    await refreshPlaceRating(placeId);
+
+    return res.json(inserted);
+  } catch (err) {
+    console.error("api/places/:placeId/reviews POST error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to add review" });
+  }
+});
+
+/**
+ * GET /api/favorites?userId=...
+ * Fetch favorite places that are still listed (full place rows include booking preference columns).
+ */
+app.get("/api/favorites", requireUserAuth, async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const { country } = req.query;
+    const { data: userPlaces, error: upError } = await supabaseAdmin
+      .from("user_places")
+      .select("fav_place_id")
+      .eq("user_id", userId);
+    if (upError) throw upError;
+    if (!userPlaces || userPlaces.length === 0) return res.json([]);
+    const favoriteIds = userPlaces.map((u) => u.fav_place_id);
+    let query = supabaseAdmin
+      .from("places")
+      .select("*")
+      .in("id", favoriteIds)
+      .eq("verification_status", "APPROVED");
+    if (country) query = query.eq("country", country);
+    const { data: places, error } = await query;
+    if (error) throw error;
+    return res.json(places || []);
+  } catch (err) {
+    console.error("api/favorites error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch favorites" });
+  }
+});
+
+/**
+ * POST /api/favorites
+ * body: { userId, placeId }
+ */
+app.post("/api/favorites", requireUserAuth, async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const { placeId } = req.body || {};
+    if (!placeId) {
+      return res.status(400).json({ error: "placeId is required" });
+    }
+    const { error } = await supabaseAdmin
+      .from("user_places")
+      .insert([{ user_id: userId, fav_place_id: placeId }]);
+    if (error) {
+      if (error.code === "23505") return res.json({ success: true });
+      throw error;
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/favorites POST error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to save favorite" });
+  }
+});
+
+/**
+ * DELETE /api/favorites
+ * body: { userId, placeId }
+ */
+app.delete("/api/favorites", requireUserAuth, async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
     const { placeId } = req.body || req.query || {};
     if (!placeId) {
       return res.status(400).json({ error: "placeId is required" });
     }
-    const { error } = await supabaseAdmin
-      .from("user_places")
+    const { error } = await supabaseAdmin
+      .from("user_places")
+      .delete()
+      .eq("user_id", userId)
+      .eq("fav_place_id", placeId);
+    if (error) throw error;
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/favorites DELETE error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to remove favorite" });
+  }
+});
+
+/**
+ * GET /api/favorites/check?userId=...&placeId=...
+ */
+app.get("/api/favorites/check", requireUserAuth, async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const { placeId } = req.query;
+    if (!placeId) return res.json({ favorited: false });
+    const { data, error } = await supabaseAdmin
+      .from("user_places")
+      .select("fav_place_id")
+      .eq("user_id", userId)
+      .eq("fav_place_id", placeId)
+      .maybeSingle();
+    if (error) throw error;
+    return res.json({ favorited: !!data });
+  } catch (err) {
+    console.error("api/favorites/check error:", err);
+    return res.json({ favorited: false });
+  }
+});
+
+/**
+ * GET /api/bookings?userId=...
+ * Fetch user bookings with place details.
+ */
+app.get("/api/bookings", requireUserAuth, async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const { data: bookingsWithPlaces, error: joinError } = await supabaseAdmin
+      .from("bookings")
+      .select(
+        `
+        id,
+        place_id,
+        booking_date_time,
+        booking_ref_number,
+        amount_paid,
+        currency_paid,
+        payment_status,
+        number_of_guests,
+        payment_method,
+        paid_at,
+        transaction_id,
+        cancelled_at,
+        refund_amount,
+        refund_status,
+        resource_id,
+        resource:place_resources!resource_id ( name ),
+        places!place_id (
+          id,
+          name,
+          banner_image_link,
+          avg_price,
+          rating,
+          country,
+          city,
+          address,
+          timezone,
+          charge_per_guest,
+          allow_multiple_hours_booking,
+          allow_overlapping_bookings
+        )
+      `,
+      )
+      .eq("user_id", userId)
+      .order("booking_date_time", { ascending: false });
+    if (!joinError && bookingsWithPlaces && bookingsWithPlaces.length > 0) {
+      const formatted = bookingsWithPlaces.map((b) => {
+        const place = b.places || b.place || {};
+        const tz = place.timezone || null;
+        const priceUnit =
+          place.charge_per_guest === true ? "per person" : "per hour";
+        const booking = formatInVenueTimezone(b.booking_date_time, tz);
+        const paidAtFmt = formatInVenueTimezone(b.paid_at, tz);
+        return {
+          id: b.id,
+          placeId: b.place_id || place.id,
+          title: place.name || "Place",
+          price: `$${place.avg_price || 0} ${priceUnit}`,
+          imageUri: place.banner_image_link,
+          isSmall: false,
+          country: place.country,
+          timezone: tz,
+          charge_per_guest: place.charge_per_guest ?? null,
+          allow_multiple_hours_booking:
+            place.allow_multiple_hours_booking ?? null,
+          allow_overlapping_bookings: place.allow_overlapping_bookings ?? null,
+          bookingRefNumber: b.booking_ref_number,
+          bookingDateTime: b.booking_date_time,
+          bookingDateFormatted: booking.dateFormatted,
+          bookingTimeFormatted: booking.timeFormatted
+            ? `${booking.timeFormatted} ${booking.tzAbbr || ""}`.trim()
+            : null,
+          amountPaid: b.amount_paid,
+          currencyPaid: b.currency_paid,
+          paymentStatus: normalizeBookingStatus(b.payment_status),
+          numberOfGuests: b.number_of_guests,
+          paymentMethod: b.payment_method,
+          paidAt: b.paid_at,
+          paidAtFormatted: paidAtFmt.dateFormatted && paidAtFmt.timeFormatted
+            ? `${paidAtFmt.dateFormatted} at ${paidAtFmt.timeFormatted} ${paidAtFmt.tzAbbr || ""}`.trim()
+            : null,
+          transactionId: b.transaction_id,
+          cancelledAt: b.cancelled_at ?? null,
+          refundAmount: b.refund_amount ?? null,
+          refundStatus: b.refund_status ?? null,
+          resourceName: b.resource?.name ?? null,
+        };
+      });
+      return res.json(formatted);
+    }
+    const { data: bookings, error } = await supabaseAdmin
+      .from("bookings")
+      .select(
+        "id, place_id, booking_date_time, booking_ref_number, amount_paid, currency_paid, payment_status, number_of_guests, payment_method, paid_at, transaction_id, cancelled_at, refund_amount, refund_status",
+      )
+      .eq("user_id", userId)
+      .order("booking_date_time", { ascending: false });
+    if (error) throw error;
+    if (!bookings || bookings.length === 0) return res.json([]);
+    const placeIds = [
+      ...new Set(bookings.map((b) => b.place_id).filter(Boolean)),
+    ];
+    const { data: places } = await supabaseAdmin
+      .from("places")
+      .select(
+        `id, name, banner_image_link, avg_price, rating, country, city, address, timezone, ${PLACE_BOOKING_PREF_COLUMNS}`,
+      )
+      .in("id", placeIds);
+    const placesMap = (places || []).reduce((acc, p) => {
+      acc[String(p.id)] = p;
+      return acc;
+    }, {});
+    const formatted = bookings.map((b) => {
+      const place = placesMap[String(b.place_id)] || {};
+      const tz = place.timezone || null;
+      const priceUnit =
+        place.charge_per_guest === true ? "per person" : "per hour";
+      const bkFmt = formatInVenueTimezone(b.booking_date_time, tz);
+      const paidAtFmt = formatInVenueTimezone(b.paid_at, tz);
+      return {
+        id: b.id,
+        placeId: b.place_id,
+        title: place.name || "Place",
+        price: `$${place.avg_price || 0} ${priceUnit}`,
+        imageUri: place.banner_image_link,
+        isSmall: false,
+        country: place.country,
+        timezone: tz,
+        charge_per_guest: place.charge_per_guest ?? null,
+        allow_multiple_hours_booking:
+          place.allow_multiple_hours_booking ?? null,
+        allow_overlapping_bookings: place.allow_overlapping_bookings ?? null,
+        bookingRefNumber: b.booking_ref_number,
+        bookingDateTime: b.booking_date_time,
+        bookingDateFormatted: bkFmt.dateFormatted,
+        bookingTimeFormatted: bkFmt.timeFormatted
+          ? `${bkFmt.timeFormatted} ${bkFmt.tzAbbr || ""}`.trim()
+          : null,
+        amountPaid: b.amount_paid,
+        currencyPaid: b.currency_paid,
+        paymentStatus: normalizeBookingStatus(b.payment_status),
+        numberOfGuests: b.number_of_guests,
+        paymentMethod: b.payment_method,
+        paidAt: b.paid_at,
+        paidAtFormatted: paidAtFmt.dateFormatted && paidAtFmt.timeFormatted
+          ? `${paidAtFmt.dateFormatted} at ${paidAtFmt.timeFormatted} ${paidAtFmt.tzAbbr || ""}`.trim()
+          : null,
+        transactionId: b.transaction_id,
+        cancelledAt: b.cancelled_at ?? null,
+        refundAmount: b.refund_amount ?? null,
+        refundStatus: b.refund_status ?? null,
+        resourceName: null,
+      };
+    });
+    return res.json(formatted);
+  } catch (err) {
+    console.error("api/bookings error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch bookings" });
+  }
+});
+
+// Auth helpers — bcrypt for new users, backward-compat with legacy SHA256 (salt:hash format)
+const USER_BCRYPT_ROUNDS = 12;
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const isLegacyUserHash = (storedHash) =>
+  storedHash && storedHash.includes(":") && !storedHash.startsWith("$2");
+
+const hashPassword = async (password) => {
+  return bcrypt.hash(password, USER_BCRYPT_ROUNDS);
+};
+
+const verifyPassword = async (password, storedHash) => {
+  if (!storedHash) return false;
+  if (storedHash.startsWith("$2")) {
+    return bcrypt.compare(password, storedHash);
+  }
+  if (!storedHash.includes(":")) return false;
+  const [salt, hash] = storedHash.split(":");
+  let h = password + salt;
+  for (let i = 0; i < 10000; i++) h = sha256(h);
+  return h === hash;
+};
+
+/**
+ * POST /api/auth/register
+ * body: { firstName, lastName, phoneNumber, email, password, address, city, state, country, postalCode }
+ * Emails a verification code (POST /api/auth/verify-email/confirm); the new user cannot book until
+ * it is confirmed. Returns { success, user, verificationEmailSent }.
+ */
+app.post("/api/auth/register", authLimiter, [
+  v.email,
+  v.password,
+  v.shortStr("firstName", "First name"),
+  v.shortStr("lastName", "Last name"),
+  v.phone("phoneNumber", "Phone number"),
+  v.medStr("address", "Address"),
+  v.shortStr("city", "City"),
+  v.shortStr("state", "State"),
+  v.shortStr("country", "Country"),
+  v.postalCode("postalCode"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const body = req.body || {};
+    const {
+      firstName,
+      lastName,
+      phoneNumber,
+      email,
+      password,
+      address,
+      city,
+      state,
+      country,
+      postalCode,
+    } = body;
+    if (!email || !password) {
+      return res.status(400).json({ error: "email and password are required" });
+    }
+    const { data: existing } = await supabaseAdmin
+      .from("users")
+      .select("*")
+      .eq("email", email)
+      .maybeSingle();
+    if (existing) {
+      return res
+        .status(400)
+        .json({ error: "User with this email already exists" });
+    }
+
+    // Create Supabase Auth user so user gets a real JWT for RLS. It is confirmed in Supabase Auth
+    // so the app can sign in right away; the address itself is verified with our own emailed code
+    // (users.email_verified_at), which is required before booking.
+    const { data: authData, error: authErr } =
+      await supabaseAdmin.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true,
+      });
+    if (authErr) {
+      console.error("[Auth] Failed to create Supabase Auth user:", authErr?.message);
+      if (authErr.message?.includes("already been registered")) {
+        return res.status(400).json({ error: "User with this email already exists" });
+      }
+      throw authErr;
+    }
+    const authUserId = authData.user.id;
+
+    const hashedPassword = await hashPassword(password);
+    const userData = {
+      first_name: firstName || "",
+      last_name: lastName || "",
+      phone_number: phoneNumber || "",
+      email,
+      password_hash: hashedPassword,
+      address: address || "",
+      city: city || "",
+      state: state || "",
+      country: country || "",
+      postal_code: postalCode || "",
+      auth_user_id: authUserId,
+      created_at: new Date().toISOString(),
+    };
+    const { data: newUser, error } = await supabaseAdmin
+      .from("users")
+      .insert([userData])
+      .select()
+      .single();
+    if (error) throw error;
+    const verificationEmailSent = await sendUserVerificationCode(newUser);
+    const formatted = {
+      id: newUser.id,
+      name: `${newUser.first_name} ${newUser.last_name}`,
+      firstName: newUser.first_name,
+      lastName: newUser.last_name,
+      email: newUser.email,
+      emailVerified: false,
+      phoneNumber: newUser.phone_number,
+      address: {
+        address: newUser.address,
+        city: newUser.city,
+        state: newUser.state,
+        country: newUser.country,
+        postalCode: newUser.postal_code,
+      },
+      createdAt: newUser.created_at,
+    };
+    return res.json({ success: true, user: formatted, verificationEmailSent });
+  } catch (err) {
+    console.error("api/auth/register error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to register" });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * body: { email, password }
+ */
+app.post("/api/auth/login", authLimiter, [
+  v.email,
+  body("password").notEmpty().withMessage("Password is required").isLength({ max: MAX_MEDIUM }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: "email and password are required" });
+    }
+    const { data: user, error } = await supabaseAdmin
+      .from("users")
+      .select("*")
+      .eq("email", email)
+      .single();
+    if (error || !user) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    if (!user.password_hash) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    const valid = await verifyPassword(password, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    // Lazy rehash: upgrade legacy SHA256 hash to bcrypt on login
+    if (isLegacyUserHash(user.password_hash)) {
+      try {
+        const bcryptHash = await bcrypt.hash(password, USER_BCRYPT_ROUNDS);
+        await supabaseAdmin
+          .from("users")
+          .update({ password_hash: bcryptHash })
+          .eq("id", user.id);
+        console.log("[Auth] Rehashed user password to bcrypt:", user.id);
+      } catch (rehashErr) {
+        console.warn("[Auth] User bcrypt rehash failed (non-fatal):", rehashErr?.message);
+      }
+    }
+
+    // Lazy migration: create Supabase Auth account if user doesn't have one
+    if (!user.auth_user_id) {
+      try {
+        let authUserId = null;
+
+        const { data: authData, error: authErr } =
+          await supabaseAdmin.auth.admin.createUser({
+            email: user.email,
+            password,
+            email_confirm: true,
+          });
+
+        if (!authErr && authData?.user) {
+          authUserId = authData.user.id;
+        } else if (authErr?.message?.includes("already been registered")) {
+          // Auth user exists from a previous attempt — look it up by email
+          const { data: listData } = await supabaseAdmin.auth.admin.listUsers({ perPage: 1000 });
+          const existingAuthUser = listData?.users?.find(
+            (u) => u.email?.toLowerCase() === user.email.toLowerCase()
+          );
+          if (existingAuthUser) {
+            authUserId = existingAuthUser.id;
+            // Also sync the password in case it changed
+            await supabaseAdmin.auth.admin.updateUserById(existingAuthUser.id, { password });
+          }
+        } else if (authErr) {
+          console.warn("[Auth] User Supabase Auth migration failed (non-fatal):", authErr?.message);
+        }
+
+        if (authUserId) {
+          const { error: updateErr } = await supabaseAdmin
+            .from("users")
+            .update({ auth_user_id: authUserId })
+            .eq("id", user.id);
+          if (updateErr) {
+            console.warn("[Auth] Failed to set auth_user_id on users row (non-fatal):", updateErr.message);
+          } else {
+            user.auth_user_id = authUserId;
+            console.log("[Auth] Lazy-migrated user to Supabase Auth:", user.id);
+          }
+        }
+      } catch (migrationErr) {
+        console.warn("[Auth] User auth migration error (non-fatal):", migrationErr?.message);
+      }
+    }
+
+    const formatted = {
+      id: user.id,
+      name: `${user.first_name} ${user.last_name}`,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      email: user.email,
+      emailVerified: !!user.email_verified_at,
+      phoneNumber: user.phone_number,
+      address: {
+        address: user.address,
+        city: user.city,
+        state: user.state,
+        country: user.country,
+        postalCode: user.postal_code,
+      },
+      createdAt: user.created_at,
+    };
+    return res.json({ success: true, user: formatted });
+  } catch (err) {
+    console.error("api/auth/login error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to login" });
+  }
+});
+
+/**
+ * POST /api/auth/password-reset/request
+ * body: { email }
+ * Emails a 6-digit reset code (valid PASSWORD_RESET_CODE_MINUTES, single use) if a customer has
+ * this email. Always { success: true }, so the response does not reveal whether an account exists.
+ */
+app.post("/api/auth/password-reset/request", authLimiter, [
+  v.email,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email } = req.body;
+    const { data: user, error } = await supabaseAdmin
+      .from("users")
+      .select("id, email")
+      .eq("email", email)
+      .maybeSingle();
+    if (error) throw error;
+    if (user) {
+      try {
+        const issued = await issueAccountCode("user", user.id, "password_reset");
+        await sendAccountCodeEmail(user.email, "password_reset", issued);
+      } catch (mailErr) {
+        console.error("[Auth] Could not send password reset email:", mailErr?.message);
+      }
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/auth/password-reset/request error:", err);
+    return res.status(500).json({ error: "Failed to start password reset" });
+  }
+});
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * body: { email, code, newPassword }
+ * Sets the new password with the emailed code and signs the account out on every device. Using the
+ * code also proves the email address, so it counts as verified.
+ */
+app.post("/api/auth/password-reset/confirm", authLimiter, [
+  v.email,
+  accountCodeValidator,
+  v.newPassword,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+    const { data: user, error } = await supabaseAdmin
+      .from("users")
+      .select("id, auth_user_id, email_verified_at")
+      .eq("email", email)
+      .maybeSingle();
+    if (error) throw error;
+    if (!user || !(await consumeAccountCode("user", user.id, "password_reset", code))) {
+      return res.status(400).json({ error: "This code is invalid or has expired. Request a new one." });
+    }
+
+    const nowIso = new Date().toISOString();
+    const { error: updateError } = await supabaseAdmin
+      .from("users")
+      .update({
+        password_hash: await hashPassword(newPassword),
+        ...(user.email_verified_at ? {} : { email_verified_at: nowIso }),
+        updated_at: nowIso,
+      })
+      .eq("id", user.id);
+    if (updateError) throw updateError;
+
+    if (user.auth_user_id) {
+      try {
+        await supabaseAdmin.auth.admin.updateUserById(user.auth_user_id, {
+          password: newPassword,
+        });
+      } catch (syncErr) {
+        console.warn("[Auth] User password sync to Supabase Auth failed (non-fatal):", syncErr?.message);
+      }
+      try {
+        await revokeAuthSessions(user.auth_user_id);
+      } catch (revokeErr) {
+        console.error("[Auth] Could not sign out sessions after password reset:", revokeErr?.message);
+      }
+    }
+
+    console.log("[Auth] User password reset:", user.id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/auth/password-reset/confirm error:", err);
+    return res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/request
+ * Emails the signed-in customer a new verification code (valid EMAIL_VERIFICATION_CODE_MINUTES).
+ * Returns { success, alreadyVerified }.
+ */
+app.post("/api/auth/verify-email/request", authLimiter, requireUserAuth, async (req, res) => {
+  try {
+    if (req.userAuth.emailVerified) {
+      return res.json({ success: true, alreadyVerified: true });
+    }
+    const issued = await issueAccountCode("user", req.userAuth.userId, "email_verification");
+    await sendAccountCodeEmail(req.userAuth.email, "email_verification", issued);
+    return res.json({ success: true, alreadyVerified: false });
+  } catch (err) {
+    console.error("api/auth/verify-email/request error:", err);
+    return res.status(500).json({ error: "Could not send the verification email. Please try again." });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/confirm
+ * body: { code }
+ * Marks the signed-in customer's email as verified. Returns { success, emailVerified: true }.
+ */
+app.post("/api/auth/verify-email/confirm", authLimiter, requireUserAuth, [
+  accountCodeValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    if (req.userAuth.emailVerified) {
+      return res.json({ success: true, emailVerified: true });
+    }
+    const { userId } = req.userAuth;
+    if (!(await consumeAccountCode("user", userId, "email_verification", req.body.code))) {
+      return res.status(400).json({ error: "This code is invalid or has expired. Request a new one." });
+    }
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq("id", userId);
+    if (error) throw error;
+    return res.json({ success: true, emailVerified: true });
+  } catch (err) {
+    console.error("api/auth/verify-email/confirm error:", err);
+    return res.status(500).json({ error: "Failed to verify email" });
+  }
+});
+
+/**
+ * PATCH /api/users/:userId
+ * body: { firstName, lastName, phoneNumber, email, address, city, state, country, postalCode }
+ * Changing the email marks it unverified and emails a new code. Returns { success, emailVerified }.
+ */
+app.patch("/api/users/profile", requireUserAuth, [
+  v.shortStr("firstName", "First name"),
+  v.shortStr("lastName", "Last name"),
+  v.phone("phoneNumber", "Phone number"),
+  v.medStr("address", "Address"),
+  v.shortStr("city", "City"),
+  v.shortStr("state", "State"),
+  v.shortStr("country", "Country"),
+  v.postalCode("postalCode"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const body = req.body || {};
+    const patch = {
+      updated_at: new Date().toISOString(),
+    };
+    if (body.firstName != null) patch.first_name = body.firstName;
+    else if (body.first_name != null) patch.first_name = body.first_name;
+    if (body.lastName != null) patch.last_name = body.lastName;
+    else if (body.last_name != null) patch.last_name = body.last_name;
+    if (body.phoneNumber != null) patch.phone_number = body.phoneNumber;
+    else if (body.phone_number != null) patch.phone_number = body.phone_number;
+    if (body.email != null) patch.email = body.email;
+    // A new address has to be verified again before the next booking
+    const emailChanged =
+      patch.email != null &&
+      String(patch.email).trim().toLowerCase() !== (req.userAuth.email || "").toLowerCase();
+    if (emailChanged) patch.email_verified_at = null;
+    if (body.address != null) patch.address = body.address;
+    if (body.city != null) patch.city = body.city;
+    if (body.state != null) patch.state = body.state;
+    if (body.country != null) patch.country = body.country;
+    if (body.postalCode != null) patch.postal_code = body.postalCode;
+    else if (body.postal_code != null) patch.postal_code = body.postal_code;
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update(patch)
+      .eq("id", userId);
+    if (error) throw error;
+    if (emailChanged) {
+      await sendUserVerificationCode({ id: userId, email: patch.email });
+    }
+    return res.json({ success: true, emailVerified: emailChanged ? false : req.userAuth.emailVerified });
+  } catch (err) {
+    console.error("api/users PATCH error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to update profile" });
+  }
+});
+
+/**
+ * PATCH /api/users/:userId/password
+ * body: { currentPassword, newPassword }
+ * Signs out the account's other sessions; returns { success, revokedSessions }.
+ */
+app.patch("/api/users/password", requireUserAuth, [
+  v.currentPassword,
+  v.newPassword,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const userId = req.userAuth.userId;
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "currentPassword and newPassword are required" });
+    }
+    const { data: dbUser, error: fetchError } = await supabaseAdmin
+      .from("users")
+      .select("password_hash, auth_user_id")
+      .eq("id", userId)
+      .single();
+    if (fetchError || !dbUser) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const valid = await verifyPassword(currentPassword, dbUser.password_hash);
+    if (!valid) {
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+    const hashedNew = await hashPassword(newPassword);
+    const { error: updateError } = await supabaseAdmin
+      .from("users")
+      .update({
+        password_hash: hashedNew,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", userId);
+    if (updateError) throw updateError;
+
+    // Sync to Supabase Auth so the JWT password stays in sync
+    if (dbUser.auth_user_id) {
+      try {
+        await supabaseAdmin.auth.admin.updateUserById(dbUser.auth_user_id, {
+          password: newPassword,
+        });
+      } catch (syncErr) {
+        console.warn("[Auth] User password sync to Supabase Auth failed (non-fatal):", syncErr?.message);
+      }
+    }
+
+    const revokedSessions = await revokeOtherSessionsAfterPasswordChange(req.userAuth);
+    return res.json({ success: true, revokedSessions });
+  } catch (err) {
+    console.error("api/users/password error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to update password" });
+  }
+});
+
+/**
+ * GET /api/users/sessions
+ * Signed-in devices of this account: { sessions: [{ id, current, app, deviceName, platform,
+ * osVersion, appVersion, ipAddress, createdAt, lastActiveAt }] }, most recently active first.
+ */
+app.get("/api/users/sessions", requireUserAuth, async (req, res) => {
+  try {
+    const sessions = await listAuthSessions(req.userAuth.authUserId, req.userAuth.sessionId);
+    return res.json({ sessions });
+  } catch (err) {
+    console.error("api/users/sessions error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to fetch sessions" });
+  }
+});
+
+/**
+ * POST /api/users/sessions/current
+ * Body: { deviceName?, platform?, osVersion?, appVersion? }
+ * Labels the calling session with its device; the app sends this after signing in.
+ */
+app.post("/api/users/sessions/current", requireUserAuth, [
+  ...sessionDeviceValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    await saveSessionDevice(req.userAuth, "user", req.body || {});
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/users/sessions/current error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to save session" });
+  }
+});
+
+/**
+ * DELETE /api/users/sessions/:sessionId
+ * Signs out another device of this account. Use logout for the current one.
+ */
+app.delete("/api/users/sessions/:sessionId", requireUserAuth, [
+  v.uuidParam("sessionId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (sessionId === req.userAuth.sessionId) {
+      return res.status(400).json({ error: "Log out to end the session on this device" });
+    }
+    const revoked = await revokeAuthSessions(req.userAuth.authUserId, { sessionIds: [sessionId] });
+    if (revoked === 0) return res.status(404).json({ error: "Session not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/users/sessions/:sessionId error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to sign out device" });
+  }
+});
+
+/**
+ * POST /api/users/sessions/logout-all
+ * Signs out every device of this account, this one included; the app then clears its local
+ * session. Returns { revoked } (number of sessions signed out).
+ */
+app.post("/api/users/sessions/logout-all", requireUserAuth, async (req, res) => {
+  try {
+    const revoked = await revokeAuthSessions(req.userAuth.authUserId);
+    return res.json({ success: true, revoked });
+  } catch (err) {
+    console.error("api/users/sessions/logout-all error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to sign out everywhere" });
+  }
+});
+
+// ---------- Vendor API Routes ----------
+
+const BCRYPT_ROUNDS = 12;
+
+// Legacy SHA256 hash verification (for existing vendors before bcrypt migration)
+const legacyVendorHashPassword = async (password, salt) => {
+  let h = password + salt;
+  for (let i = 0; i < 10000; i++) {
+    h = crypto.createHash("sha256").update(h).digest("hex");
+  }
+  return h;
+};
+
+const isLegacyHash = (storedHash) =>
+  storedHash && storedHash.includes(":") && !storedHash.startsWith("$2");
+
+const isBcryptHash = (storedHash) =>
+  storedHash && storedHash.startsWith("$2");
+
+/**
+ * Verify vendor password — supports both legacy (hash:salt) and bcrypt ($2b$...).
+ * Returns true if password matches.
+ */
+const vendorVerifyPassword = async (password, storedHash) => {
+  if (!storedHash) return false;
+  if (isBcryptHash(storedHash)) {
+    return bcrypt.compare(password, storedHash);
+  }
+  if (isLegacyHash(storedHash)) {
+    const [hashPart, salt] = storedHash.split(":");
+    const computed = await legacyVendorHashPassword(password, salt);
+    return computed === hashPart;
+  }
+  return false;
+};
+
+// Kept for registration (still stores legacy hash alongside bcrypt for rollback safety)
+const vendorHashPassword = async (password, salt) => {
+  let h = password + salt;
+  for (let i = 0; i < 10000; i++) {
+    h = crypto.createHash("sha256").update(h).digest("hex");
+  }
+  return h;
+};
+
+/**
+ * POST /api/vendor/auth/register
+ * Creates Supabase Auth user + place + vendor (with auth_user_id). The place starts as DRAFT and is
+ * listed once its verification documents are approved.
+ * Body: full registration form.
+ */
+app.post("/api/vendor/auth/register", authLimiter, [
+  v.email,
+  v.password,
+  v.medStr("businessName", "Business name"),
+  v.medStr("address", "Address"),
+  v.shortStr("country", "Country"),
+  v.shortStr("city", "City"),
+  v.shortStr("state", "State"),
+  v.postalCode("postalCode"),
+  v.phone("businessPhoneNumber", "Business phone"),
+  v.shortStr("businessCategory", "Category"),
+  v.shortStr("businessSubCategory", "Subcategory"),
+  v.medStr("vendorFullName", "Full name"),
+  v.phone("vendorPhoneNumber", "Vendor phone"),
+  v.medStr("vendorAddress", "Vendor address"),
+  v.shortStr("vendorCity", "Vendor city"),
+  v.shortStr("vendorState", "Vendor state"),
+  v.shortStr("vendorCountry", "Vendor country"),
+  v.postalCode("vendorPostalCode"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const body = req.body || {};
+    const email = (body.email || "").toLowerCase().trim();
+
+    // 1) Create Supabase Auth user (so vendor gets a real JWT for RLS)
+    const { data: authData, error: authErr } =
+      await supabaseAdmin.auth.admin.createUser({
+        email,
+        password: body.password,
+        email_confirm: true,
+      });
+    if (authErr) {
+      if (authErr.message?.includes("already been registered")) {
+        return res.status(400).json({
+          error:
+            "An account with this email already exists. Please sign in instead.",
+        });
+      }
+      throw authErr;
+    }
+    const authUserId = authData.user.id;
+
+    // 2) Create place row
+    const placeData = {
+      name: body.businessName,
+      address: body.address,
+      country: body.country,
+      city: body.city,
+      state: body.state,
+      postal_code: body.postalCode,
+      phone_number: body.businessPhoneNumber,
+      category: body.businessCategory,
+      sub_category: body.businessSubCategory || null,
+      // Hidden from customers until the vendor's documents are approved (places_verification.sql)
+      verification_status: "DRAFT",
+    };
+    const { data: place, error: placeErr } = await supabaseAdmin
+      .from("places")
+      .insert([placeData])
+      .select()
+      .single();
+    if (placeErr) throw placeErr;
+
+    // 3) Create vendor row with auth_user_id linked to Supabase Auth
+    const passwordHash = await bcrypt.hash(body.password, BCRYPT_ROUNDS);
+
+    const vendorData = {
+      business_name: body.businessName,
+      vendor_full_name: body.vendorFullName,
+      vendor_phone_number: body.vendorPhoneNumber,
+      vendor_email: email,
+      password_hash: passwordHash,
+      vendor_address: body.vendorAddress,
+      vendor_city: body.vendorCity,
+      vendor_state: body.vendorState,
+      vendor_country: body.vendorCountry,
+      vendor_postal_code: body.vendorPostalCode,
+      place_id: place.id,
+      auth_user_id: authUserId,
+    };
+    const { data: vendor, error: vendorErr } = await supabaseAdmin
+      .from("vendors")
+      .insert([vendorData])
+      .select(
+        "id, business_name, vendor_full_name, vendor_phone_number, vendor_email, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, place_id, auth_user_id, created_at, updated_at",
+      )
+      .single();
+    if (vendorErr) {
+      if (vendorErr.code === "23505") {
+        return res.status(400).json({
+          error:
+            "An account with this email already exists. Please sign in instead.",
+        });
+      }
+      throw vendorErr;
+    }
+
+    // 4) Create Razorpay contact for vendor (non-blocking)
+    const rawName = (vendor.vendor_full_name || "").trim();
+    const razorpayPayload = {
+      name: rawName.length >= 3 ? rawName : "Vendor",
+      email: (vendor.vendor_email || "").trim(),
+      contact: String(vendor.vendor_phone_number || "")
+        .replace(/\D/g, "")
+        .slice(0, 15),
+      type: "vendor",
+    };
+    if (razorpayPayload.name) {
+      try {
+        console.log(
+          "[Razorpay] Creating contact for vendor:",
+          vendor.id,
+          razorpayPayload,
+        );
+        const auth = Buffer.from(
+          `${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`,
+        ).toString("base64");
+        const rpRes = await fetch("https://api.razorpay.com/v1/contacts", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Basic ${auth}`,
+          },
+          body: JSON.stringify(razorpayPayload),
+        });
+        const rpData = await rpRes.json().catch(() => ({}));
+        console.log(
+          "[Razorpay] Response:",
+          rpRes.status,
+          JSON.stringify(rpData),
+        );
+        if (rpRes.ok && rpData?.id) {
+          const { error: updateErr } = await supabaseAdmin
+            .from("vendors")
+            .update({ razorpay_contact_ref: rpData.id })
+            .eq("id", vendor.id);
+          if (updateErr) {
+            console.error(
+              "[Razorpay] Failed to save razorpay_contact_ref to DB:",
+              updateErr.message,
+              "- Run migration: vendors_razorpay_contact_ref.sql",
+            );
+          } else {
+            vendor.razorpay_contact_ref = rpData.id;
+            console.log("[Razorpay] Contact created and saved:", rpData.id);
+          }
+        } else {
+          console.error(
+            "[Razorpay] Contact creation failed:",
+            rpRes.status,
+            rpData,
+          );
+        }
+      } catch (rpErr) {
+        console.error("[Razorpay] Contact creation error:", rpErr?.message);
+      }
+    } else {
+      console.warn("[Razorpay] Skipped - vendor name too short");
+    }
+
+    return res.json({ success: true, user: vendor });
+  } catch (err) {
+    console.error("api/vendor/auth/register error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to register" });
+  }
+});
+
+/**
+ * POST /api/vendor/auth/login
+ * Body: { email, password }
+ * Verifies password (bcrypt or legacy), lazily migrates to Supabase Auth
+ * and rehashes legacy passwords to bcrypt. 403 for a suspended vendor.
+ */
+app.post("/api/vendor/auth/login", authLimiter, [
+  v.email,
+  body("password").notEmpty().withMessage("Password is required").isLength({ max: MAX_MEDIUM }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: "email and password required" });
+    }
+    const { data: vendor, error } = await supabaseAdmin
+      .from("vendors")
+      .select(
+        "id, business_name, vendor_full_name, vendor_phone_number, vendor_email, password_hash, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, place_id, auth_user_id, suspended_at, created_at, updated_at",
+      )
+      .eq("vendor_email", (email || "").toLowerCase().trim())
+      .single();
+    if (error || !vendor) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    const valid = await vendorVerifyPassword(password, vendor.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    if (vendor.suspended_at) {
+      return res.status(403).json({ error: VENDOR_SUSPENDED_MESSAGE, suspended: true });
+    }
+
+    // Lazy rehash: upgrade legacy SHA256 hash to bcrypt
+    if (isLegacyHash(vendor.password_hash)) {
+      try {
+        const bcryptHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        await supabaseAdmin
+          .from("vendors")
+          .update({ password_hash: bcryptHash })
+          .eq("id", vendor.id);
+        console.log("[Auth] Rehashed vendor password to bcrypt:", vendor.id);
+      } catch (rehashErr) {
+        console.warn("[Auth] Bcrypt rehash failed (non-fatal):", rehashErr?.message);
+      }
+    }
+
+    // Lazy migration: create Supabase Auth account if vendor doesn't have one
+    if (!vendor.auth_user_id) {
+      try {
+        let authUserId = null;
+
+        const { data: authData, error: authErr } =
+          await supabaseAdmin.auth.admin.createUser({
+            email: vendor.vendor_email,
+            password,
+            email_confirm: true,
+          });
+
+        if (!authErr && authData?.user?.id) {
+          authUserId = authData.user.id;
+        } else if (authErr?.message?.includes("already been registered")) {
+          // Auth user exists from a previous attempt — look it up by email
+          const { data: listData } = await supabaseAdmin.auth.admin.listUsers({ perPage: 1000 });
+          const existingAuthUser = listData?.users?.find(
+            (u) => u.email?.toLowerCase() === vendor.vendor_email.toLowerCase()
+          );
+          if (existingAuthUser) {
+            authUserId = existingAuthUser.id;
+            await supabaseAdmin.auth.admin.updateUserById(existingAuthUser.id, { password });
+          }
+        } else if (authErr) {
+          console.warn("[Auth] Vendor lazy migration failed (non-fatal):", authErr.message);
+        }
+
+        if (authUserId) {
+          await supabaseAdmin
+            .from("vendors")
+            .update({ auth_user_id: authUserId })
+            .eq("id", vendor.id);
+          vendor.auth_user_id = authUserId;
+          console.log("[Auth] Lazy-migrated vendor to Supabase Auth:", vendor.id);
+        }
+      } catch (migrationErr) {
+        console.warn("[Auth] Vendor lazy migration error (non-fatal):", migrationErr?.message);
+      }
+    }
+
+    const { password_hash: _, suspended_at: __, ...safe } = vendor;
+    return res.json({ success: true, user: safe });
+  } catch (err) {
+    console.error("api/vendor/auth/login error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to login" });
+  }
+});
+
+/**
+ * POST /api/vendor/auth/password-reset/request
+ * Body: { email }
+ * Emails a 6-digit reset code (valid PASSWORD_RESET_CODE_MINUTES, single use) if a vendor has this
+ * email. Always { success: true }, so the response does not reveal whether an account exists.
+ */
+app.post("/api/vendor/auth/password-reset/request", authLimiter, [
+  v.email,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email } = req.body;
+    const { data: vendor, error } = await supabaseAdmin
+      .from("vendors")
+      .select("id, vendor_email")
+      .eq("vendor_email", email)
+      .maybeSingle();
+    if (error) throw error;
+    if (vendor) {
+      try {
+        const issued = await issueAccountCode("vendor", vendor.id, "password_reset");
+        await sendAccountCodeEmail(vendor.vendor_email, "password_reset", issued);
+      } catch (mailErr) {
+        console.error("[Auth] Could not send vendor password reset email:", mailErr?.message);
+      }
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/vendor/auth/password-reset/request error:", err);
+    return res.status(500).json({ error: "Failed to start password reset" });
+  }
+});
+
+/**
+ * POST /api/vendor/auth/password-reset/confirm
+ * Body: { email, code, newPassword }
+ * Sets the new password (custom hash and Supabase Auth) with the emailed code and signs the vendor
+ * out on every device.
+ */
+app.post("/api/vendor/auth/password-reset/confirm", authLimiter, [
+  v.email,
+  accountCodeValidator,
+  v.newPassword,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email, code, newPassword } = req.body;
+    const { data: vendor, error } = await supabaseAdmin
+      .from("vendors")
+      .select("id, auth_user_id")
+      .eq("vendor_email", email)
+      .maybeSingle();
+    if (error) throw error;
+    if (!vendor || !(await consumeAccountCode("vendor", vendor.id, "password_reset", code))) {
+      return res.status(400).json({ error: "This code is invalid or has expired. Request a new one." });
+    }
+
+    const { error: updateErr } = await supabaseAdmin
+      .from("vendors")
+      .update({
+        password_hash: await bcrypt.hash(newPassword, BCRYPT_ROUNDS),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", vendor.id);
+    if (updateErr) throw updateErr;
+
+    if (vendor.auth_user_id) {
+      try {
+        await supabaseAdmin.auth.admin.updateUserById(vendor.auth_user_id, {
+          password: newPassword,
+        });
+      } catch (syncErr) {
+        console.warn("[Auth] Password sync to Supabase Auth failed (non-fatal):", syncErr?.message);
+      }
+      try {
+        await revokeAuthSessions(vendor.auth_user_id);
+      } catch (revokeErr) {
+        console.error("[Auth] Could not sign out sessions after password reset:", revokeErr?.message);
+      }
+    }
+
+    console.log("[Auth] Vendor password reset:", vendor.id);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/vendor/auth/password-reset/confirm error:", err);
+    return res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+/**
+ * POST /api/admin/auth/login
+ * Body: { email, password }
+ * Uses Supabase Auth signInWithPassword; only accounts with an active admins row get in.
+ * Returns { success, user: { id, email, role }, session: { accessToken, refreshToken, expiresAt } };
+ * send accessToken as the Bearer token on /api/admin/* and renew it with /api/admin/auth/refresh.
+ */
+app.post("/api/admin/auth/login", authLimiter, [
+  v.email,
+  body("password").notEmpty().withMessage("Password is required").isLength({ max: MAX_MEDIUM }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    console.log(
+      "[Admin] Login attempt for:",
+      email ? `${email.slice(0, 3)}***` : "(no email)",
+    );
+    const { data, error } = await createSessionClient().auth.signInWithPassword({
+      email: (email || "").toLowerCase().trim(),
+      password,
+    });
+    if (error || !data?.user || !data?.session) {
+      console.warn("[Admin] Login failed:", error?.message || "no session in response");
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    const admin = await fetchActiveAdmin(data.user.id);
+    if (!admin) {
+      // A customer or vendor password is not an admin login; drop the session just created. "local"
+      // ends only that session: the default (global) would sign the person out of their apps too
+      await supabaseAdmin.auth.admin.signOut(data.session.access_token, "local").catch(() => {});
+      console.warn("[Admin] Login refused, not an admin:", data.user.id);
+      return res.status(403).json({ error: "This account does not have admin access" });
+    }
+
+    await supabaseAdmin
+      .from("admins")
+      .update({ last_login_at: new Date().toISOString() })
+      .eq("id", admin.id);
+    req.adminAuth = {
+      authUserId: data.user.id,
+      adminId: admin.id,
+      email: admin.email,
+      role: admin.role,
+    };
+    await recordAdminAction(req, "auth.login", { targetType: "admin", targetId: admin.id });
+
+    console.log("[Admin] Login success:", admin.email, admin.role);
+    return res.json({
+      success: true,
+      user: { id: admin.id, email: admin.email, role: admin.role },
+      session: formatAdminSession(data.session),
+    });
+  } catch (err) {
+    console.error("[Admin] Login error:", err?.message, err);
+    return res.status(500).json({ error: err?.message || "Failed to login" });
+  }
+});
+
+/**
+ * POST /api/admin/auth/refresh
+ * Body: { refreshToken }
+ * Swaps the refresh token from login for a new session while the account is still an active
+ * admin. Returns { user, session } like login.
+ */
+app.post("/api/admin/auth/refresh", authLimiter, [
+  body("refreshToken").isString().notEmpty().withMessage("refreshToken is required")
+    .isLength({ max: MAX_LONG }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { data, error } = await createSessionClient().auth.refreshSession({
+      refresh_token: req.body.refreshToken,
+    });
+    if (error || !data?.user || !data?.session) {
+      return res.status(401).json({ error: "Session expired, please log in again" });
+    }
+    const admin = await fetchActiveAdmin(data.user.id);
+    if (!admin) {
+      await supabaseAdmin.auth.admin.signOut(data.session.access_token, "local").catch(() => {});
+      return res.status(403).json({ error: "This account does not have admin access" });
+    }
+    return res.json({
+      user: { id: admin.id, email: admin.email, role: admin.role },
+      session: formatAdminSession(data.session),
+    });
+  } catch (err) {
+    console.error("[Admin] Refresh error:", err?.message);
+    return res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
+
+/**
+ * GET /api/admin/me
+ * The signed-in admin: { admin }.
+ */
+app.get("/api/admin/me", requireAdminAuth, async (req, res) => {
+  try {
+    const admin = await fetchActiveAdmin(req.adminAuth.authUserId);
+    if (!admin) return res.status(403).json({ error: "No admin account linked to this token" });
+    return res.json({ admin: formatAdmin(admin) });
+  } catch (err) {
+    console.error("[Admin] Me error:", err?.message);
+    return res.status(500).json({ error: "Failed to load admin account" });
+  }
+});
+
+/**
+ * GET /api/admin/dashboard/stats
+ * Returns dashboard metrics: vendors, places, places waiting for verification, bookings, revenue,
+ * reviews.
+ */
+app.get("/api/admin/dashboard/stats", requireAdminAuth, async (req, res) => {
+  try {
+    const [vendorsRes, placesRes, pendingRes, bookingsRes, revenueRes, reviewsRes] =
+      await Promise.all([
+        supabaseAdmin
+          .from("vendors")
+          .select("*", { count: "exact", head: true }),
+        supabaseAdmin
+          .from("places")
+          .select("*", { count: "exact", head: true }),
+        supabaseAdmin
+          .from("places")
+          .select("*", { count: "exact", head: true })
+          .eq("verification_status", "PENDING_REVIEW"),
+        supabaseAdmin
+          .from("bookings")
+          .select("*", { count: "exact", head: true }),
+        supabaseAdmin
+          .from("bookings")
+          .select("amount_paid")
+          .in("payment_status", PAID_BOOKING_STATUSES),
+        supabaseAdmin
+          .from("reviews")
+          .select("*", { count: "exact", head: true }),
+      ]);
+
+    const totalRevenue =
+      (revenueRes.data || []).reduce(
+        (sum, b) => sum + Number(b.amount_paid || 0),
+        0,
+      ) || 0;
+
+    return res.json({
+      vendorsCount: vendorsRes.count ?? 0,
+      placesCount: placesRes.count ?? 0,
+      pendingVerificationsCount: pendingRes.count ?? 0,
+      bookingsCount: bookingsRes.count ?? 0,
+      totalRevenue: Math.round(totalRevenue * 100) / 100,
+      reviewsCount: reviewsRes.count ?? 0,
+    });
+  } catch (err) {
+    console.error("[Admin] Dashboard stats error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch dashboard stats" });
+  }
+});
+
+/**
+ * GET /api/admin/dashboard/sales?period=daily|weekly|monthly
+ * Returns sales data for the line chart. Default: daily, last 14 days.
+ */
+app.get("/api/admin/dashboard/sales", requireAdminAuth, async (req, res) => {
+  try {
+    const period = (req.query.period || "daily").toLowerCase();
+    const daysBack = period === "monthly" ? 90 : period === "weekly" ? 42 : 14;
+    const fromDate = new Date();
+    fromDate.setDate(fromDate.getDate() - daysBack);
+    fromDate.setHours(0, 0, 0, 0);
+
+    const { data: bookings, error } = await supabaseAdmin
+      .from("bookings")
+      .select("amount_paid, paid_at, booking_date_time")
+      .in("payment_status", PAID_BOOKING_STATUSES)
+      .not("amount_paid", "is", null);
+
+    if (error) throw error;
+
+    const byKey = {};
+    const now = new Date();
+    const fmt = (d) => {
+      if (period === "monthly")
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+      if (period === "weekly") {
+        const weekStart = new Date(d);
+        weekStart.setDate(d.getDate() - d.getDay());
+        return `${weekStart.getFullYear()}-${String(weekStart.getMonth() + 1).padStart(2, "0")}-${String(weekStart.getDate()).padStart(2, "0")}`;
+      }
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+    };
+    const labelFmt = (d) => {
+      if (period === "monthly")
+        return `${["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][d.getMonth()]} ${d.getMonth() === 0 ? d.getFullYear() : ""}`.trim();
+      if (period === "weekly")
+        return `${["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][d.getMonth()]} ${d.getDate()}`;
+      return `${["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][d.getMonth()]} ${d.getDate()}`;
+    };
+
+    for (let i = 0; i <= daysBack; i++) {
+      const d = new Date(fromDate);
+      d.setDate(d.getDate() + i);
+      const key = fmt(d);
+      if (!byKey[key]) byKey[key] = { date: d, total: 0 };
+    }
+
+    (bookings || []).forEach((b) => {
+      const ts = b.paid_at || b.booking_date_time;
+      if (!ts) return;
+      const d = new Date(ts);
+      if (d < fromDate) return;
+      const key = fmt(d);
+      if (!byKey[key]) byKey[key] = { date: d, total: 0 };
+      byKey[key].total += Number(b.amount_paid || 0);
+    });
+
+    const keys = Object.keys(byKey).sort();
+    const labels = keys.map((k) => labelFmt(byKey[k].date));
+    const data = keys.map((k) => Math.round(byKey[k].total * 100) / 100);
+
+    return res.json({ labels, data });
+  } catch (err) {
+    console.error("[Admin] Dashboard sales error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch sales data" });
+  }
+});
+
+/** Validators shared by the admin and vendor coupon routes (POST when isCreate, else PATCH). */
+const couponBodyValidators = (isCreate) => [
+  (isCreate ? body("code") : body("code").optional())
+    .trim().toUpperCase()
+    .matches(COUPON_CODE_RE).withMessage("Code must be 3-30 letters, digits, - or _"),
+  v.medStr("description", "Description"),
+  (isCreate ? body("discount_type") : body("discount_type").optional())
+    .isIn(COUPON_DISCOUNT_TYPES).withMessage("discount_type must be percent or flat"),
+  (isCreate ? body("discount_value") : body("discount_value").optional())
+    .isFloat({ min: 0.01, max: 999999 }).withMessage("Invalid discount").toFloat(),
+  body("max_discount").optional({ values: "null" })
+    .isFloat({ min: 0.01, max: 999999 }).withMessage("Invalid maximum discount").toFloat(),
+  body("min_spend").optional({ values: "null" })
+    .isFloat({ min: 0, max: 999999 }).withMessage("Invalid minimum spend").toFloat(),
+  body("usage_limit").optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_COUPON_USES }).withMessage("Usage limit must be at least 1").toInt(),
+  body("per_user_limit").optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_COUPON_USES }).withMessage("Per-user limit must be at least 1").toInt(),
+  body("starts_at").optional({ values: "null" })
+    .isISO8601().withMessage("starts_at must be an ISO date-time"),
+  body("ends_at").optional({ values: "null" })
+    .isISO8601().withMessage("ends_at must be an ISO date-time"),
+  v.bool("is_active").toBoolean(),
+];
+
+/** coupons columns from a validated POST / PATCH body; only the fields that were sent. */
+function couponPatchFromBody(reqBody) {
+  const patch = {};
+  if (reqBody.code !== undefined) patch.code = reqBody.code;
+  if (reqBody.description !== undefined) patch.description = reqBody.description || null;
+  if (reqBody.discount_type !== undefined) patch.discount_type = reqBody.discount_type;
+  if (reqBody.discount_value !== undefined) patch.discount_value = reqBody.discount_value;
+  if (reqBody.max_discount !== undefined) patch.max_discount = reqBody.max_discount ?? null;
+  if (reqBody.min_spend !== undefined) patch.min_spend = reqBody.min_spend ?? 0;
+  if (reqBody.usage_limit !== undefined) patch.usage_limit = reqBody.usage_limit ?? null;
+  if (reqBody.per_user_limit !== undefined) patch.per_user_limit = reqBody.per_user_limit ?? null;
+  if (reqBody.starts_at !== undefined) patch.starts_at = reqBody.starts_at ?? null;
+  if (reqBody.ends_at !== undefined) patch.ends_at = reqBody.ends_at ?? null;
+  if (reqBody.is_active !== undefined) patch.is_active = reqBody.is_active;
+  return patch;
+}
+
+/** Duplicate-code response for a unique violation on coupons.code, else null. */
+const duplicateCouponResponse = (error) =>
+  error?.code === "23505" ? { error: "A coupon with this code already exists" } : null;
+
+/**
+ * Insert a coupon from a validated body. Returns { status, body } for the route to send.
+ */
+async function createCoupon(reqBody, placeId) {
+  const row = { ...couponPatchFromBody(reqBody), place_id: placeId };
+  const rowError = couponRowError(row);
+  if (rowError) return { status: 400, body: { error: rowError } };
+  const { data, error } = await supabaseAdmin
+    .from("coupons")
+    .insert(row)
+    .select(COUPON_COLUMNS)
+    .single();
+  if (duplicateCouponResponse(error)) return { status: 409, body: duplicateCouponResponse(error) };
+  if (error) throw error;
+  return { status: 201, body: { coupon: formatCoupon(data) } };
+}
+
+/**
+ * Apply a validated PATCH body to a coupon; `placeId` (undefined for admins) limits it to that
+ * place's codes. Returns { status, body } for the route to send.
+ */
+async function updateCoupon(couponId, reqBody, placeId) {
+  const patch = couponPatchFromBody(reqBody);
+  if (Object.keys(patch).length === 0) {
+    return { status: 400, body: { error: "Nothing to update" } };
+  }
+  let q = supabaseAdmin.from("coupons").select(COUPON_COLUMNS).eq("id", couponId);
+  if (placeId !== undefined) q = q.eq("place_id", placeId);
+  const { data: existing, error: fetchErr } = await q.maybeSingle();
+  if (fetchErr) throw fetchErr;
+  if (!existing) return { status: 404, body: { error: "Coupon not found" } };
+  const rowError = couponRowError({ ...existing, ...patch });
+  if (rowError) return { status: 400, body: { error: rowError } };
+
+  const { data, error } = await supabaseAdmin
+    .from("coupons")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", couponId)
+    .select(COUPON_COLUMNS)
+    .single();
+  if (duplicateCouponResponse(error)) return { status: 409, body: duplicateCouponResponse(error) };
+  if (error) throw error;
+  const uses = await countUsesByCoupon([couponId]);
+  return { status: 200, body: { coupon: formatCoupon(data, uses[couponId]) } };
+}
+
+/**
+ * Delete a coupon; `placeId` as in updateCoupon. Bookings that used it keep coupon_code and
+ * discount_amount. Returns { status, body } for the route to send.
+ */
+async function deleteCoupon(couponId, placeId) {
+  let q = supabaseAdmin.from("coupons").delete().eq("id", couponId);
+  if (placeId !== undefined) q = q.eq("place_id", placeId);
+  const { data, error } = await q.select("id");
+  if (error) throw error;
+  if (!data || data.length === 0) return { status: 404, body: { error: "Coupon not found" } };
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * GET /api/admin/coupons?placeId=&scope=platform|place
+ * All coupons, newest first, with their current uses. placeId limits to one place's codes;
+ * scope=platform to platform-wide codes.
+ */
+app.get("/api/admin/coupons", requireAdminAuth, requireAdminRole("finance"), [
+  query("placeId").optional().isUUID().withMessage("placeId must be a valid UUID"),
+  query("scope").optional().isIn(["platform", "place"]).withMessage("scope must be platform or place"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("coupons")
+      .select(COUPON_COLUMNS)
+      .order("created_at", { ascending: false });
+    if (req.query.placeId) q = q.eq("place_id", req.query.placeId);
+    else if (req.query.scope === "platform") q = q.is("place_id", null);
+    else if (req.query.scope === "place") q = q.not("place_id", "is", null);
+    const { data, error } = await q;
+    if (error) throw error;
+    const coupons = data || [];
+    const uses = await countUsesByCoupon(coupons.map((c) => c.id));
+    return res.json({ coupons: coupons.map((c) => formatCoupon(c, uses[c.id])) });
+  } catch (err) {
+    console.error("[Admin] Coupons error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch coupons" });
+  }
+});
+
+/**
+ * POST /api/admin/coupons
+ * Body: { code, discount_type: "percent" | "flat", discount_value, description?, max_discount?,
+ *         min_spend?, place_id? (omit for a platform-wide code), usage_limit?, per_user_limit?,
+ *         starts_at?, ends_at?, is_active? }. Returns 201 { coupon }; 409 when the code exists.
+ */
+app.post("/api/admin/coupons", requireAdminAuth, requireAdminRole("finance"), [
+  ...couponBodyValidators(true),
+  body("place_id").optional({ values: "null" }).isUUID().withMessage("place_id must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.body.place_id || null;
+    if (placeId) {
+      const place = await fetchPlaceForPricing(placeId);
+      if (!place) return res.status(404).json({ error: "Place not found" });
+    }
+    const result = await createCoupon(req.body, placeId);
+    if (result.body?.coupon) {
+      await recordAdminAction(req, "coupon.create", {
+        targetType: "coupon",
+        targetId: result.body.coupon.id,
+        details: { code: result.body.coupon.code, placeId },
+      });
+    }
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("[Admin] Create coupon error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to create coupon" });
+  }
+});
+
+/**
+ * PATCH /api/admin/coupons/:couponId
+ * Same fields as POST (except place_id), all optional.
+ */
+app.patch("/api/admin/coupons/:couponId", requireAdminAuth, requireAdminRole("finance"), [
+  v.uuidParam("couponId"),
+  ...couponBodyValidators(false),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await updateCoupon(req.params.couponId, req.body);
+    if (result.status === 200) {
+      await recordAdminAction(req, "coupon.update", {
+        targetType: "coupon",
+        targetId: req.params.couponId,
+        details: req.body,
+      });
+    }
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("[Admin] Update coupon error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to update coupon" });
+  }
+});
+
+/**
+ * DELETE /api/admin/coupons/:couponId
+ */
+app.delete("/api/admin/coupons/:couponId", requireAdminAuth, requireAdminRole("finance"), [
+  v.uuidParam("couponId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await deleteCoupon(req.params.couponId);
+    if (result.status === 200) {
+      await recordAdminAction(req, "coupon.delete", {
+        targetType: "coupon",
+        targetId: req.params.couponId,
+      });
+    }
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("[Admin] Delete coupon error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to delete coupon" });
+  }
+});
+
+/**
+ * GET /api/admin/commission-rates
+ * Returns { defaultPercent, rates: [{ id, vendorId, category, commissionPercent }] }.
+ */
+app.get("/api/admin/commission-rates", requireAdminAuth, requireAdminRole("finance"), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("commission_rates")
+      .select("id, vendor_id, category, commission_percent, updated_at")
+      .order("updated_at", { ascending: false });
+    if (error) throw error;
+    return res.json({
+      defaultPercent: PLATFORM_COMMISSION_PERCENT,
+      rates: (data || []).map((r) => ({
+        id: r.id,
+        vendorId: r.vendor_id,
+        category: r.category,
+        commissionPercent: Number(r.commission_percent),
+        updatedAt: r.updated_at,
+      })),
+    });
+  } catch (err) {
+    console.error("[Admin] Commission rates error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch commission rates" });
+  }
+});
+
+/**
+ * PUT /api/admin/commission-rates
+ * Body: { vendor_id, commission_percent } or { category, commission_percent }.
+ * Sets the commission for one vendor or one place category; applies to bookings paid from now on.
+ */
+app.put("/api/admin/commission-rates", requireAdminAuth, requireAdminRole("finance"), [
+  body("vendor_id").optional({ values: "null" }).isUUID().withMessage("vendor_id must be a valid UUID"),
+  body("category").optional({ values: "null" }).trim().toLowerCase()
+    .notEmpty().withMessage("category cannot be empty")
+    .isLength({ max: MAX_SHORT }).withMessage(`Category too long (max ${MAX_SHORT} chars)`),
+  body("commission_percent")
+    .isFloat({ min: 0, max: 100 }).withMessage("commission_percent must be between 0 and 100").toFloat(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { vendor_id: vendorId, category, commission_percent: percent } = req.body;
+    if (!vendorId === !category) {
+      return res.status(400).json({ error: "Send either vendor_id or category" });
+    }
+    const scope = vendorId ? { vendor_id: vendorId } : { category };
+    const { data: existing, error: findErr } = await supabaseAdmin
+      .from("commission_rates")
+      .select("id")
+      .match(scope)
+      .maybeSingle();
+    if (findErr) throw findErr;
+
+    const now = new Date().toISOString();
+    const { data, error } = existing
+      ? await supabaseAdmin
+          .from("commission_rates")
+          .update({ commission_percent: percent, updated_at: now })
+          .eq("id", existing.id)
+          .select("id, vendor_id, category, commission_percent")
+          .single()
+      : await supabaseAdmin
+          .from("commission_rates")
+          .insert({ ...scope, commission_percent: percent })
+          .select("id, vendor_id, category, commission_percent")
+          .single();
+    if (error?.code === "23503") return res.status(404).json({ error: "Vendor not found" });
+    if (error) throw error;
+    await recordAdminAction(req, "commission_rate.set", {
+      targetType: "commission_rate",
+      targetId: data.id,
+      details: { ...scope, commissionPercent: percent },
+    });
+    return res.json({
+      rate: {
+        id: data.id,
+        vendorId: data.vendor_id,
+        category: data.category,
+        commissionPercent: Number(data.commission_percent),
+      },
+    });
+  } catch (err) {
+    console.error("[Admin] Set commission rate error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to set commission rate" });
+  }
+});
+
+/**
+ * DELETE /api/admin/commission-rates/:rateId
+ * The vendor / category falls back to the next rate (category, then the platform default).
+ */
+app.delete("/api/admin/commission-rates/:rateId", requireAdminAuth, requireAdminRole("finance"), [
+  v.uuidParam("rateId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("commission_rates")
+      .delete()
+      .eq("id", req.params.rateId)
+      .select("id");
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Commission rate not found" });
+    }
+    await recordAdminAction(req, "commission_rate.delete", {
+      targetType: "commission_rate",
+      targetId: req.params.rateId,
+    });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[Admin] Delete commission rate error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to delete commission rate" });
+  }
+});
+
+/**
+ * GET /api/admin/ledger?vendorId=&status=pending|settled|refunded
+ * Ledger entries, newest first (at most 500), with their totals: { summary, entries }.
+ */
+app.get("/api/admin/ledger", requireAdminAuth, requireAdminRole("finance"), [
+  query("vendorId").optional().isUUID().withMessage("vendorId must be a valid UUID"),
+  query("status").optional().isIn(LEDGER_STATUSES).withMessage("Invalid status"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("vendor_ledger_entries")
+      .select(`${LEDGER_ENTRY_COLUMNS}, ${LEDGER_ENTRY_EMBEDS}`)
+      .order("captured_at", { ascending: false })
+      .limit(500);
+    if (req.query.vendorId) q = q.eq("vendor_id", req.query.vendorId);
+    if (req.query.status) q = q.eq("status", req.query.status);
+    const { data, error } = await q;
+    if (error) throw error;
+    const entries = data || [];
+    return res.json({
+      summary: summarizeLedger(entries),
+      entries: entries.map(formatLedgerEntry),
+    });
+  } catch (err) {
+    console.error("[Admin] Ledger error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch ledger" });
+  }
+});
+
+/**
+ * POST /api/admin/ledger/settle
+ * Body: { vendor_id, settlement_ref, entry_ids? }
+ * Records a payout made outside the app: marks the vendor's pending entries (or just entry_ids)
+ * settled, skipping entries already in a RazorpayX payout. Returns { settledCount, settledAmount }.
+ */
+app.post("/api/admin/ledger/settle", requireAdminAuth, requireAdminRole("finance"), [
+  body("vendor_id").isUUID().withMessage("vendor_id must be a valid UUID"),
+  body("settlement_ref").trim().stripLow(true)
+    .notEmpty().withMessage("settlement_ref is required")
+    .isLength({ max: MAX_MEDIUM }).withMessage(`settlement_ref too long (max ${MAX_MEDIUM} chars)`),
+  body("entry_ids").optional().isArray({ min: 1, max: 500 }).withMessage("entry_ids must be a non-empty array"),
+  body("entry_ids.*").isUUID().withMessage("entry_ids must be UUIDs"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { vendor_id: vendorId, settlement_ref: settlementRef, entry_ids: entryIds } = req.body;
+    const now = new Date().toISOString();
+    let q = supabaseAdmin
+      .from("vendor_ledger_entries")
+      .update({ status: "settled", settled_at: now, settlement_ref: settlementRef, updated_at: now })
+      .eq("vendor_id", vendorId)
+      .eq("status", "pending")
+      .is("payout_id", null);
+    if (entryIds) q = q.in("id", entryIds);
+    const { data, error } = await q.select("net_payable");
+    if (error) throw error;
+    const settled = data || [];
+    const summary = {
+      settledCount: settled.length,
+      settledAmount: roundMoney(settled.reduce((s, e) => s + Number(e.net_payable || 0), 0)),
+    };
+    await recordAdminAction(req, "ledger.settle", {
+      targetType: "vendor",
+      targetId: vendorId,
+      details: { settlementRef, entryIds: entryIds || null, ...summary },
+    });
+    return res.json(summary);
+  } catch (err) {
+    console.error("[Admin] Settle ledger error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to settle ledger entries" });
+  }
+});
+
+/**
+ * GET /api/admin/payouts?vendorId=&status=
+ * RazorpayX vendor payouts, newest first (at most 200): { payouts }.
+ */
+app.get("/api/admin/payouts", requireAdminAuth, requireAdminRole("finance"), [
+  query("vendorId").optional().isUUID().withMessage("vendorId must be a valid UUID"),
+  query("status").optional().isIn(PAYOUT_STATUSES).withMessage("Invalid status"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("vendor_payouts")
+      .select(PAYOUT_COLUMNS)
+      .order("created_at", { ascending: false })
+      .limit(200);
+    if (req.query.vendorId) q = q.eq("vendor_id", req.query.vendorId);
+    if (req.query.status) q = q.eq("status", req.query.status);
+    const { data, error } = await q;
+    if (error) throw error;
+    return res.json({ payouts: (data || []).map(formatPayout) });
+  } catch (err) {
+    console.error("[Admin] Payouts error:", err?.message);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch payouts" });
+  }
+});
+
+/**
+ * POST /api/admin/payouts/run
+ * Body: { vendor_id? }
+ * Runs the payout scheduler now. With vendor_id, pays that vendor even if it was paid this cycle.
+ * Returns { payouts } (the payouts created).
+ */
+app.post("/api/admin/payouts/run", requireAdminAuth, requireAdminRole("finance"), [
+  body("vendor_id").optional().isUUID().withMessage("vendor_id must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  if (!RAZORPAYX_ACCOUNT_NUMBER) {
+    return res.status(503).json({ error: "Payouts are not configured (RAZORPAYX_ACCOUNT_NUMBER)" });
+  }
+  if (payoutRunRunning) {
+    return res.status(409).json({ error: "A payout run is already in progress" });
+  }
+  const vendorId = req.body?.vendor_id || null;
+  const payouts = await runVendorPayouts({ vendorId, force: !!vendorId });
+  await recordAdminAction(req, "payouts.run", {
+    targetType: vendorId ? "vendor" : null,
+    targetId: vendorId,
+    details: { payoutIds: payouts.map((p) => p.id) },
+  });
+  return res.json({ payouts: payouts.map(formatPayout) });
+});
+
+/**
+ * GET /api/admin/admins
+ * Every admin account, newest first: { admins }. super_admin only.
+ */
+app.get("/api/admin/admins", requireAdminAuth, requireAdminRole(), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("admins")
+      .select(ADMIN_COLUMNS)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return res.json({ admins: (data || []).map(formatAdmin) });
+  } catch (err) {
+    console.error("[Admin] Admins error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch admins" });
+  }
+});
+
+/**
+ * POST /api/admin/admins
+ * Body: { email, role, password? }. Grants admin access to the Supabase Auth account with this
+ * email; with a password, creates that account when there is none. super_admin only.
+ * Returns 201 { admin }; 409 when the account is already an admin.
+ */
+app.post("/api/admin/admins", requireAdminAuth, requireAdminRole(), [
+  v.email,
+  body("role").isIn(ADMIN_ROLES).withMessage(`role must be one of ${ADMIN_ROLES.join(", ")}`),
+  v.password.optional(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { email, role, password } = req.body;
+    let authUserId = null;
+    if (password) {
+      const { data: created, error: createErr } = await supabaseAdmin.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true,
+      });
+      if (created?.user) authUserId = created.user.id;
+      else if (!createErr?.message?.includes("already been registered")) throw createErr;
+    }
+    if (!authUserId) {
+      const { data: listData } = await supabaseAdmin.auth.admin.listUsers({ perPage: 1000 });
+      authUserId =
+        listData?.users?.find((u) => u.email?.toLowerCase() === email)?.id || null;
+    }
+    if (!authUserId) {
+      return res.status(404).json({
+        error: "No account with this email. Send a password to create one.",
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("admins")
+      .insert({ auth_user_id: authUserId, email, role, created_by: req.adminAuth.adminId })
+      .select(ADMIN_COLUMNS)
+      .single();
+    if (error?.code === "23505") {
+      return res.status(409).json({ error: "This account is already an admin" });
+    }
+    if (error) throw error;
+    await recordAdminAction(req, "admin.create", {
+      targetType: "admin",
+      targetId: data.id,
+      details: { email, role, accountCreated: !!password },
+    });
+    return res.status(201).json({ admin: formatAdmin(data) });
+  } catch (err) {
+    console.error("[Admin] Create admin error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to create admin" });
+  }
+});
+
+/**
+ * PATCH /api/admin/admins/:adminId
+ * Body: { role?, is_active? }. Changes an admin's role or revokes / restores access (the session
+ * they hold stops working on the next request). Admins cannot change their own account.
+ * super_admin only.
+ */
+app.patch("/api/admin/admins/:adminId", requireAdminAuth, requireAdminRole(), [
+  v.uuidParam("adminId"),
+  body("role").optional().isIn(ADMIN_ROLES).withMessage(`role must be one of ${ADMIN_ROLES.join(", ")}`),
+  v.bool("is_active").toBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    if (adminId === req.adminAuth.adminId) {
+      return res.status(400).json({ error: "You cannot change your own admin account" });
+    }
+    const patch = {};
+    if (req.body.role !== undefined) patch.role = req.body.role;
+    if (req.body.is_active !== undefined) patch.is_active = req.body.is_active;
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ error: "Send role or is_active" });
+    }
+    const { data, error } = await supabaseAdmin
+      .from("admins")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", adminId)
+      .select(ADMIN_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Admin not found" });
+    await recordAdminAction(req, "admin.update", {
+      targetType: "admin",
+      targetId: adminId,
+      details: patch,
+    });
+    return res.json({ admin: formatAdmin(data) });
+  } catch (err) {
+    console.error("[Admin] Update admin error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to update admin" });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log?adminId=&action=&targetType=&targetId=&limit=
+ * Admin actions, newest first (limit defaults to 200, at most 500): { entries }. super_admin only.
+ */
+app.get("/api/admin/audit-log", requireAdminAuth, requireAdminRole(), [
+  query("adminId").optional().isUUID().withMessage("adminId must be a valid UUID"),
+  query("action").optional().trim().isLength({ max: MAX_SHORT }),
+  query("targetType").optional().trim().isLength({ max: MAX_SHORT }),
+  query("targetId").optional().trim().isLength({ max: MAX_SHORT }),
+  query("limit").optional().isInt({ min: 1, max: 500 }).withMessage("limit must be 1 to 500").toInt(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("admin_audit_log")
+      .select(ADMIN_AUDIT_COLUMNS)
+      .order("created_at", { ascending: false })
+      .limit(req.query.limit || 200);
+    if (req.query.adminId) q = q.eq("admin_id", req.query.adminId);
+    if (req.query.action) q = q.eq("action", req.query.action);
+    if (req.query.targetType) q = q.eq("target_type", req.query.targetType);
+    if (req.query.targetId) q = q.eq("target_id", req.query.targetId);
+    const { data, error } = await q;
+    if (error) throw error;
+    return res.json({ entries: (data || []).map(formatAdminAuditEntry) });
+  } catch (err) {
+    console.error("[Admin] Audit log error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch audit log" });
+  }
+});
+
+const ADMIN_VENDOR_COLUMNS =
+  "id, business_name, vendor_full_name, vendor_email, vendor_phone_number, vendor_city, vendor_state, vendor_country, place_id, suspended_at, suspension_reason, created_at";
+
+/** Free-text search for PostgREST or() filters, without the characters that delimit them. */
+const toSearchPattern = (search) => `%${String(search).replace(/[,()%*\\]/g, " ").trim()}%`;
+
+/**
+ * GET /api/admin/vendors?search=
+ * Vendors, newest first (at most 500), matched on business name, owner name or email: { vendors }.
+ */
+app.get("/api/admin/vendors", requireAdminAuth, requireAdminRole("support"), [
+  query("search").optional().trim().isLength({ max: MAX_SHORT }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("vendors")
+      .select(ADMIN_VENDOR_COLUMNS)
+      .order("created_at", { ascending: false })
+      .limit(500);
+    if (req.query.search) {
+      const pattern = toSearchPattern(req.query.search);
+      q = q.or(
+        `business_name.ilike.${pattern},vendor_full_name.ilike.${pattern},vendor_email.ilike.${pattern}`,
+      );
+    }
+    const { data, error } = await q;
+    if (error) throw error;
+    return res.json({ vendors: data || [] });
+  } catch (err) {
+    console.error("[Admin] Vendors error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch vendors" });
+  }
+});
+
+/**
+ * GET /api/admin/vendors/:vendorId
+ * One vendor with its place and masked payout details: { vendor, place }.
+ */
+app.get("/api/admin/vendors/:vendorId", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("vendorId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { data: vendor, error } = await supabaseAdmin
+      .from("vendors")
+      .select(
+        `${ADMIN_VENDOR_COLUMNS}, vendor_address, vendor_postal_code, payout_method, account_holder_name, account_number, ifsc_code, upi_id, updated_at`,
+      )
+      .eq("id", req.params.vendorId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!vendor) return res.status(404).json({ error: "Vendor not found" });
+    const { data: place } = vendor.place_id
+      ? await supabaseAdmin
+          .from("places")
+          .select("id, name, city, state, country, category, rating, verification_status, created_at")
+          .eq("id", vendor.place_id)
+          .maybeSingle()
+      : { data: null };
+    return res.json({
+      vendor: maskVendorPayoutDetails(decryptVendorFields(vendor)),
+      place: place || null,
+    });
+  } catch (err) {
+    console.error("[Admin] Vendor error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch vendor" });
+  }
+});
+
+// Supabase Auth ban for a suspended vendor: lifted on reactivation, so effectively indefinite
+const VENDOR_SUSPENSION_BAN_DURATION = "876000h";
+
+/**
+ * PATCH /api/admin/vendors/:vendorId/status
+ * Body: { suspended, reason } (reason required to suspend). Suspends a vendor: no vendor app
+ * sign-in or API calls, their Supabase Auth user banned and signed out everywhere, payouts held.
+ * Their place stays listed (reject its verification to take it down). suspended: false reactivates
+ * them. Returns { vendor }; 409 when the vendor already has that status.
+ */
+app.patch("/api/admin/vendors/:vendorId/status", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("vendorId"),
+  body("suspended").isBoolean().withMessage("suspended must be true or false").toBoolean(),
+  v.longStr("reason", "Reason"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    const { suspended, reason } = req.body;
+    if (suspended && !reason) {
+      return res.status(400).json({ error: "reason is required to suspend a vendor" });
+    }
+    const { data: vendor, error } = await supabaseAdmin
+      .from("vendors")
+      .select("id, auth_user_id, suspended_at")
+      .eq("id", vendorId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!vendor) return res.status(404).json({ error: "Vendor not found" });
+    if (!!vendor.suspended_at === suspended) {
+      return res.status(409).json({
+        error: suspended ? "Vendor is already suspended" : "Vendor is not suspended",
+      });
+    }
+
+    const { data: updated, error: updateErr } = await supabaseAdmin
+      .from("vendors")
+      .update({
+        suspended_at: suspended ? new Date().toISOString() : null,
+        suspension_reason: suspended ? reason : null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", vendorId)
+      .select(ADMIN_VENDOR_COLUMNS)
+      .single();
+    if (updateErr) throw updateErr;
+
+    // suspended_at already locks the vendor API; the ban and sign-out also stop direct Supabase
+    // access with the anon key. Logged, not thrown: the suspension has been saved.
+    if (vendor.auth_user_id) {
+      const { error: banErr } = await supabaseAdmin.auth.admin.updateUserById(vendor.auth_user_id, {
+        ban_duration: suspended ? VENDOR_SUSPENSION_BAN_DURATION : "none",
+      });
+      if (banErr) console.error("[Admin] Could not update vendor auth ban", vendorId, banErr.message);
+      if (suspended) {
+        await revokeAuthSessions(vendor.auth_user_id).catch((revokeErr) =>
+          console.error("[Admin] Could not sign out suspended vendor", vendorId, revokeErr?.message),
+        );
+      }
+    }
+
+    await recordAdminAction(req, suspended ? "vendor.suspend" : "vendor.reactivate", {
+      targetType: "vendor",
+      targetId: vendorId,
+      details: suspended ? { reason } : null,
+    });
+    return res.json({ vendor: updated });
+  } catch (err) {
+    console.error("[Admin] Vendor status error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to update vendor status" });
+  }
+});
+
+/**
+ * GET /api/admin/places?search=&city=
+ * Places, newest first (at most 500), matched on name or address: { places }.
+ */
+app.get("/api/admin/places", requireAdminAuth, requireAdminRole("support"), [
+  query("search").optional().trim().isLength({ max: MAX_SHORT }),
+  query("city").optional().trim().isLength({ max: MAX_SHORT }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("places")
+      .select("id, name, address, city, state, country, category, sub_category, rating, verification_status, created_at")
+      .order("created_at", { ascending: false })
+      .limit(500);
+    if (req.query.search) {
+      const pattern = toSearchPattern(req.query.search);
+      q = q.or(`name.ilike.${pattern},address.ilike.${pattern}`);
+    }
+    if (req.query.city) q = q.ilike("city", req.query.city);
+    const { data, error } = await q;
+    if (error) throw error;
+    return res.json({ places: data || [] });
+  } catch (err) {
+    console.error("[Admin] Places error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch places" });
+  }
+});
+
+const ADMIN_PLACE_FIELDS = [
+  "name",
+  "description",
+  "address",
+  "city",
+  "state",
+  "country",
+  "postal_code",
+  "phone_number",
+  "website",
+];
+
+/**
+ * PATCH /api/admin/places/:placeId
+ * Body: any of name, description, address, city, state, country, postal_code, phone_number,
+ * website. Corrects a listing on the vendor's behalf; booking settings stay with the vendor.
+ */
+app.patch("/api/admin/places/:placeId", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("placeId"),
+  v.medStr("name", "Place name"),
+  v.longStr("description", "Description"),
+  v.medStr("address", "Address"),
+  v.shortStr("city", "City"),
+  v.shortStr("state", "State"),
+  v.shortStr("country", "Country"),
+  v.postalCode("postal_code"),
+  v.phone("phone_number", "Phone number"),
+  v.url("website", "Website"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const patch = Object.fromEntries(
+      ADMIN_PLACE_FIELDS.filter((f) => req.body[f] !== undefined).map((f) => [f, req.body[f]]),
+    );
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+    const { data, error } = await supabaseAdmin
+      .from("places")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", req.params.placeId)
+      .select("id")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Place not found" });
+    await recordAdminAction(req, "place.update", {
+      targetType: "place",
+      targetId: req.params.placeId,
+      details: patch,
+    });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[Admin] Update place error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to update place" });
+  }
+});
+
+const ADMIN_BOOKING_COLUMNS =
+  "id, booking_ref_number, user_id, place_id, booking_source, booking_date_time, duration_hours, duration_minutes, number_of_guests, amount_paid, currency_paid, payment_status, payment_method, razorpay_payment_id, paid_at, refund_amount, refund_status, cancelled_at, cancellation_reason, created_at";
+
+/**
+ * GET /api/admin/bookings?placeId=&userId=&status=&from=&to=
+ * Bookings, latest booking time first (at most 500); from / to bound booking_date_time (ISO).
+ * Returns { bookings } with payment_status normalised.
+ */
+app.get("/api/admin/bookings", requireAdminAuth, requireAdminRole("support", "finance"), [
+  query("placeId").optional().isUUID().withMessage("placeId must be a valid UUID"),
+  query("userId").optional().isUUID().withMessage("userId must be a valid UUID"),
+  query("status").optional().toUpperCase().isIn(BOOKING_STATUSES).withMessage("Invalid status"),
+  query("from").optional().isISO8601().withMessage("from must be an ISO date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO date"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("bookings")
+      .select(ADMIN_BOOKING_COLUMNS)
+      .order("booking_date_time", { ascending: false })
+      .limit(500);
+    if (req.query.placeId) q = q.eq("place_id", req.query.placeId);
+    if (req.query.userId) q = q.eq("user_id", req.query.userId);
+    if (req.query.status) q = q.eq("payment_status", req.query.status);
+    if (req.query.from) q = q.gte("booking_date_time", req.query.from);
+    if (req.query.to) q = q.lt("booking_date_time", req.query.to);
+    const { data, error } = await q;
+    if (error) throw error;
+    return res.json({
+      bookings: (data || []).map((b) => ({
+        ...b,
+        payment_status: normalizeBookingStatus(b.payment_status),
+      })),
+    });
+  } catch (err) {
+    console.error("[Admin] Bookings error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch bookings" });
+  }
+});
+
+/**
+ * GET /api/admin/bookings/:bookingId
+ * One booking with its status history: { booking, events }.
+ */
+app.get("/api/admin/bookings/:bookingId", requireAdminAuth, requireAdminRole("support", "finance"), [
+  v.uuidParam("bookingId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { data: booking, error } = await supabaseAdmin
+      .from("bookings")
+      .select("*")
+      .eq("id", req.params.bookingId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+    const events = await fetchBookingEvents(booking.id);
+    return res.json({
+      booking: { ...booking, payment_status: normalizeBookingStatus(booking.payment_status) },
+      events: events.map(formatBookingEvent),
+    });
+  } catch (err) {
+    console.error("[Admin] Booking error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch booking" });
+  }
+});
+
+/** Statuses an admin may refund from: paid bookings, and cancellations that refunded nothing. */
+const ADMIN_REFUNDABLE_STATUSES = [...PAID_BOOKING_STATUSES, "CANCELLED"];
+
+/**
+ * POST /api/admin/bookings/:bookingId/refund
+ * Body: { reason, amount? } — amount in INR, default everything not yet refunded.
+ * Refunds a paid booking outside the cancellation policy, or retries a refund that Razorpay
+ * refused (REFUND_PENDING with refund_status=failed; amount is then the original refund).
+ * Returns { bookingId, status, refundAmount, refundStatus }.
+ */
+app.post("/api/admin/bookings/:bookingId/refund", requireAdminAuth, requireAdminRole("support", "finance"), [
+  v.uuidParam("bookingId"),
+  body("reason").trim().stripLow(true)
+    .notEmpty().withMessage("reason is required")
+    .isLength({ max: MAX_LONG }).withMessage(`Reason too long (max ${MAX_LONG} chars)`),
+  body("amount").optional().isFloat({ gt: 0 }).withMessage("amount must be more than 0").toFloat(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { reason, amount: requested } = req.body;
+    const { data: booking, error } = await supabaseAdmin
+      .from("bookings")
+      .select("*")
+      .eq("id", req.params.bookingId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!booking) return res.status(404).json({ error: "Booking not found" });
+
+    const status = normalizeBookingStatus(booking.payment_status);
+    const alreadyRefunded = Number(booking.refund_amount || 0);
+    const isRetry = status === "REFUND_PENDING" && booking.refund_status === "failed";
+    let amount;
+    let updated;
+
+    if (isRetry) {
+      if (requested !== undefined && roundMoney(requested) !== roundMoney(alreadyRefunded)) {
+        return res.status(400).json({ error: "A failed refund is retried for its original amount" });
+      }
+      amount = alreadyRefunded;
+      await recordBookingEvent(booking.id, status, status, {
+        actor: "admin",
+        actorId: req.adminAuth.adminId,
+        note: reason,
+        metadata: { retry: true, amount },
+      });
+      updated = await issueBookingRefund(booking, amount, {
+        reason: "admin_refund",
+        applyLedger: false,
+      });
+    } else if (ADMIN_REFUNDABLE_STATUSES.includes(status)) {
+      const refundable = roundMoney(Number(booking.amount_paid || 0) - alreadyRefunded);
+      amount = roundMoney(requested ?? refundable);
+      if (refundable <= 0) {
+        return res.status(400).json({ error: "Nothing left to refund on this booking" });
+      }
+      if (amount > refundable) {
+        return res.status(400).json({ error: `At most ₹${refundable} can be refunded` });
+      }
+      const totalRefunded = roundMoney(alreadyRefunded + amount);
+      const claimed = await transitionBookingStatus(booking, "REFUND_PENDING", {
+        patch: {
+          refund_amount: totalRefunded,
+          refund_percent: Math.round((totalRefunded / Number(booking.amount_paid)) * 100),
+          cancellation_reason: booking.cancellation_reason || reason,
+        },
+        actor: "admin",
+        actorId: req.adminAuth.adminId,
+        note: reason,
+        metadata: { amount },
+      });
+      if (!claimed) {
+        return res.status(409).json({ error: "Booking was updated. Please refresh." });
+      }
+      updated = await issueBookingRefund(claimed, amount, { reason: "admin_refund" });
+    } else {
+      return res.status(409).json({
+        error: `Bookings in status ${status || "UNKNOWN"} cannot be refunded`,
+      });
+    }
+
+    await recordAdminAction(req, "booking.refund", {
+      targetType: "booking",
+      targetId: booking.id,
+      details: { amount, reason, retry: isRetry, refundStatus: updated.refund_status || null },
+    });
+    return res.json({
+      bookingId: updated.id,
+      status: updated.payment_status,
+      refundAmount: amount,
+      refundStatus: updated.refund_status || null,
+    });
+  } catch (err) {
+    console.error("[Admin] Refund error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to refund booking" });
+  }
+});
+
+/**
+ * GET /api/admin/reviews?placeId=
+ * Reviews, newest first (at most 500), with the reviewer's name: { reviews }.
+ */
+app.get("/api/admin/reviews", requireAdminAuth, requireAdminRole("support"), [
+  query("placeId").optional().isUUID().withMessage("placeId must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let q = supabaseAdmin
+      .from("reviews")
+      .select("id, user_id, place_id, review, rating, created_at, user:users!user_id(first_name, last_name, email)")
+      .order("created_at", { ascending: false })
+      .limit(500);
+    if (req.query.placeId) q = q.eq("place_id", req.query.placeId);
+    const { data, error } = await q;
+    if (error) throw error;
+    return res.json({ reviews: data || [] });
+  } catch (err) {
+    console.error("[Admin] Reviews error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch reviews" });
+  }
+});
+
+/**
+ * DELETE /api/admin/reviews/:reviewId
+ * Body: { reason? }. Removes a review and recomputes the place's rating; the review text is kept
+ * in the audit log.
+ */
+app.delete("/api/admin/reviews/:reviewId", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("reviewId"),
+  v.longStr("reason", "Reason"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabaseAdmin
+      .from("reviews")
       .delete()
-      .eq("user_id", userId)
-      .eq("fav_place_id", placeId);
+      .eq("id", req.params.reviewId)
+      .select("id, user_id, place_id, review, rating")
+      .maybeSingle();
     if (error) throw error;
-    return res.json({ success: true });
+    if (!deleted) return res.status(404).json({ error: "Review not found" });
+    const rating = await refreshPlaceRating(deleted.place_id);
+    await recordAdminAction(req, "review.delete", {
+      targetType: "review",
+      targetId: deleted.id,
+      details: {
+        reason: req.body?.reason || null,
+        placeId: deleted.place_id,
+        userId: deleted.user_id,
+        rating: deleted.rating,
+        review: deleted.review,
+      },
+    });
+    return res.json({ success: true, placeRating: rating });
   } catch (err) {
-    console.error("api/favorites DELETE error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to remove favorite" });
+    console.error("[Admin] Delete review error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to delete review" });
   }
 });
 
 /**
- * GET /api/favorites/check?userId=...&placeId=...
+ * GET /api/admin/verifications?status=
+ * Places by verification status (default PENDING_REVIEW), longest waiting first (at most 200),
+ * with their vendor: { places: [{ id, name, city, category, status, submittedAt, reviewedAt, vendor }] }.
  */
-app.get("/api/favorites/check", requireUserAuth, async (req, res) => {
+app.get("/api/admin/verifications", requireAdminAuth, requireAdminRole("support"), [
+  query("status").optional().toUpperCase().isIn(PLACE_VERIFICATION_STATUSES)
+    .withMessage(`status must be one of ${PLACE_VERIFICATION_STATUSES.join(", ")}`),
+  handleValidationErrors,
+], async (req, res) => {
   try {
-    const userId = req.userAuth.userId;
-    const { placeId } = req.query;
-    if (!placeId) return res.json({ favorited: false });
-    const { data, error } = await supabaseAdmin
-      .from("user_places")
-      .select("fav_place_id")
-      .eq("user_id", userId)
-      .eq("fav_place_id", placeId)
+    const status = req.query.status || "PENDING_REVIEW";
+    const { data: places, error } = await supabaseAdmin
+      .from("places")
+      .select(`id, name, city, category, created_at, ${PLACE_VERIFICATION_COLUMNS}`)
+      .eq("verification_status", status)
+      .order("verification_submitted_at", { ascending: true, nullsFirst: false })
+      .limit(200);
+    if (error) throw error;
+    const placeIds = (places || []).map((p) => p.id);
+    const { data: vendors } = placeIds.length
+      ? await supabaseAdmin
+          .from("vendors")
+          .select("id, place_id, business_name, vendor_full_name, vendor_email")
+          .in("place_id", placeIds)
+      : { data: [] };
+    return res.json({
+      places: (places || []).map((p) => ({
+        id: p.id,
+        name: p.name,
+        city: p.city,
+        category: p.category,
+        status: p.verification_status,
+        submittedAt: p.verification_submitted_at ?? null,
+        reviewedAt: p.verification_reviewed_at ?? null,
+        createdAt: p.created_at,
+        vendor: (vendors || []).find((vd) => vd.place_id === p.id) || null,
+      })),
+    });
+  } catch (err) {
+    console.error("[Admin] Verifications error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch verifications" });
+  }
+});
+
+/**
+ * GET /api/admin/verifications/:placeId
+ * One place's verification with its vendor and documents; each uploaded document has a signed
+ * url valid for 10 minutes: { place, vendor, verification }.
+ */
+app.get("/api/admin/verifications/:placeId", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("placeId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    const { data: place, error } = await supabaseAdmin
+      .from("places")
+      .select(`id, name, address, city, state, country, postal_code, phone_number, category, sub_category, created_at, verification_reviewed_by, ${PLACE_VERIFICATION_COLUMNS}`)
+      .eq("id", placeId)
       .maybeSingle();
     if (error) throw error;
-    return res.json({ favorited: !!data });
+    if (!place) return res.status(404).json({ error: "Place not found" });
+    const { data: vendor } = await supabaseAdmin
+      .from("vendors")
+      .select(ADMIN_VENDOR_COLUMNS)
+      .eq("place_id", placeId)
+      .maybeSingle();
+    const documents = await fetchPlaceDocuments(placeId);
+    const signedUrls = await signPlaceDocuments(documents);
+    const {
+      verification_status: _status,
+      verification_submitted_at: _submitted,
+      verification_reviewed_at: _reviewed,
+      verification_rejection_reasons: _reasons,
+      ...placeFields
+    } = place;
+    return res.json({
+      place: placeFields,
+      vendor: vendor || null,
+      verification: formatPlaceVerification(place, documents, signedUrls),
+    });
   } catch (err) {
-    console.error("api/favorites/check error:", err);
-    return res.json({ favorited: false });
+    console.error("[Admin] Verification error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to fetch verification" });
   }
 });
 
 /**
- * GET /api/bookings?userId=...
- * Fetch user bookings with place details.
+ * POST /api/admin/verifications/:placeId/approve
+ * Body: { note? }. Approves a PENDING_REVIEW place, which lists it publicly, and notifies the
+ * vendor. Returns the verification state; 409 when the place is not waiting for review.
  */
-app.get("/api/bookings", requireUserAuth, async (req, res) => {
+app.post("/api/admin/verifications/:placeId/approve", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("placeId"),
+  v.longStr("note", "Note"),
+  handleValidationErrors,
+], async (req, res) => {
   try {
-    const userId = req.userAuth.userId;
-    const { data: bookingsWithPlaces, error: joinError } = await supabaseAdmin
+    const { placeId } = req.params;
+    const now = new Date().toISOString();
+    const { data: place, error } = await supabaseAdmin
+      .from("places")
+      .update({
+        verification_status: "APPROVED",
+        verification_reviewed_at: now,
+        verification_reviewed_by: req.adminAuth.adminId,
+        verification_rejection_reasons: null,
+        updated_at: now,
+      })
+      .eq("id", placeId)
+      .eq("verification_status", "PENDING_REVIEW")
+      .select(`id, name, ${PLACE_VERIFICATION_COLUMNS}`)
+      .maybeSingle();
+    if (error) throw error;
+    if (!place) {
+      return res.status(409).json({ error: "This place is not waiting for review" });
+    }
+    const { error: docErr } = await supabaseAdmin
+      .from("place_documents")
+      .update({ status: "accepted", rejection_reason: null, reviewed_at: now })
+      .eq("place_id", placeId);
+    if (docErr) console.error("[Admin] Could not mark documents accepted:", docErr.message);
+
+    await recordAdminAction(req, "place.approve", {
+      targetType: "place",
+      targetId: placeId,
+      details: { note: req.body?.note || null },
+    });
+    await notifyVendorOfPlace(placeId, {
+      type: "verification",
+      title: "Your place is live",
+      body: `${place.name} has been verified and now appears to customers on Spotnere.`,
+    });
+    return res.json(formatPlaceVerification(place, await fetchPlaceDocuments(placeId)));
+  } catch (err) {
+    console.error("[Admin] Approve place error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to approve place" });
+  }
+});
+
+/**
+ * POST /api/admin/verifications/:placeId/reject
+ * Body: { reasons: string[], documents?: { gst?, pan?, ownership_proof? } } — documents maps each
+ * document the vendor must upload again to why. Rejects a PENDING_REVIEW place and notifies the
+ * vendor, who sees the reasons in the app and can resubmit. Returns the verification state.
+ */
+app.post("/api/admin/verifications/:placeId/reject", requireAdminAuth, requireAdminRole("support"), [
+  v.uuidParam("placeId"),
+  body("reasons").isArray({ min: 1, max: 10 }).withMessage("reasons must be an array (1-10 items)"),
+  body("reasons.*").isString().trim().stripLow(true)
+    .notEmpty().withMessage("Each reason must be text")
+    .isLength({ max: MAX_MEDIUM }).withMessage(`Each reason must be at most ${MAX_MEDIUM} chars`),
+  body("documents").optional().isObject().withMessage("documents must be an object")
+    .custom((value) => {
+      for (const [type, reason] of Object.entries(value)) {
+        if (!PLACE_DOCUMENT_TYPES.includes(type)) throw new Error(`Unknown document ${type}`);
+        if (typeof reason !== "string" || !reason.trim() || reason.length > MAX_MEDIUM) {
+          throw new Error(`documents.${type} must be a reason (max ${MAX_MEDIUM} chars)`);
+        }
+      }
+      return true;
+    }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { placeId } = req.params;
+    const { reasons } = req.body;
+    const flagged = req.body.documents || {};
+    const now = new Date().toISOString();
+    const { data: place, error } = await supabaseAdmin
+      .from("places")
+      .update({
+        verification_status: "REJECTED",
+        verification_reviewed_at: now,
+        verification_reviewed_by: req.adminAuth.adminId,
+        verification_rejection_reasons: reasons,
+        updated_at: now,
+      })
+      .eq("id", placeId)
+      .eq("verification_status", "PENDING_REVIEW")
+      .select(`id, name, ${PLACE_VERIFICATION_COLUMNS}`)
+      .maybeSingle();
+    if (error) throw error;
+    if (!place) {
+      return res.status(409).json({ error: "This place is not waiting for review" });
+    }
+
+    const documents = await fetchPlaceDocuments(placeId);
+    await Promise.all(
+      documents.map(async (doc) => {
+        const reason = flagged[doc.doc_type]?.trim() || null;
+        const { error: docErr } = await supabaseAdmin
+          .from("place_documents")
+          .update({
+            status: reason ? "rejected" : "accepted",
+            rejection_reason: reason,
+            reviewed_at: now,
+          })
+          .eq("id", doc.id);
+        if (docErr) console.error("[Admin] Could not update document", doc.id, docErr.message);
+      }),
+    );
+
+    await recordAdminAction(req, "place.reject", {
+      targetType: "place",
+      targetId: placeId,
+      details: { reasons, documents: flagged },
+    });
+    await notifyVendorOfPlace(placeId, {
+      type: "verification",
+      title: "Verification needs changes",
+      body: `${place.name} could not be verified yet: ${reasons[0]}. Open the app to see what to fix.`,
+    });
+    return res.json(formatPlaceVerification(place, await fetchPlaceDocuments(placeId)));
+  } catch (err) {
+    console.error("[Admin] Reject place error:", err?.message);
+    return res.status(500).json({ error: err?.message || "Failed to reject place" });
+  }
+});
+
+/**
+ * GET /api/vendor/bookings
+ * Returns bookings with user details. placeId from JWT.
+ */
+app.get("/api/vendor/bookings", requireVendorAuth, async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const { data: bookings, error } = await supabaseAdmin
       .from("bookings")
-      .select(
-        `
-        id,
-        place_id,
-        booking_date_time,
-        booking_ref_number,
-        amount_paid,
-        currency_paid,
-        payment_status,
-        number_of_guests,
-        payment_method,
-        paid_at,
-        transaction_id,
-        places!place_id (
-          id,
-          name,
-          banner_image_link,
-          avg_price,
-          rating,
-          country,
-          city,
-          address,
-          timezone,
-          charge_per_guest,
-          allow_multiple_hours_booking,
-          allow_overlapping_bookings
-        )
-      `,
-      )
-      .eq("user_id", userId)
-      .order("booking_date_time", { ascending: false });
-    if (!joinError && bookingsWithPlaces && bookingsWithPlaces.length > 0) {
-      const formatted = bookingsWithPlaces.map((b) => {
-        const place = b.places || b.place || {};
-        const tz = place.timezone || null;
-        const priceUnit =
-          place.charge_per_guest === true ? "per person" : "per hour";
-        const booking = formatInVenueTimezone(b.booking_date_time, tz);
-        const paidAtFmt = formatInVenueTimezone(b.paid_at, tz);
-        return {
-          id: b.id,
-          placeId: b.place_id || place.id,
-          title: place.name || "Place",
-          price: `$${place.avg_price || 0} ${priceUnit}`,
-          imageUri: place.banner_image_link,
-          isSmall: false,
-          country: place.country,
-          timezone: tz,
-          charge_per_guest: place.charge_per_guest ?? null,
-          allow_multiple_hours_booking:
-            place.allow_multiple_hours_booking ?? null,
-          allow_overlapping_bookings: place.allow_overlapping_bookings ?? null,
-          bookingRefNumber: b.booking_ref_number,
-          bookingDateTime: b.booking_date_time,
-          bookingDateFormatted: booking.dateFormatted,
-          bookingTimeFormatted: booking.timeFormatted
-            ? `${booking.timeFormatted} ${booking.tzAbbr || ""}`.trim()
-            : null,
-          amountPaid: b.amount_paid,
-          currencyPaid: b.currency_paid,
-          paymentStatus: b.payment_status,
-          numberOfGuests: b.number_of_guests,
-          paymentMethod: b.payment_method,
-          paidAt: b.paid_at,
-          paidAtFormatted: paidAtFmt.dateFormatted && paidAtFmt.timeFormatted
-            ? `${paidAtFmt.dateFormatted} at ${paidAtFmt.timeFormatted} ${paidAtFmt.tzAbbr || ""}`.trim()
-            : null,
-          transactionId: b.transaction_id,
+      .select("*")
+      .eq("place_id", placeId);
+    if (error) throw error;
+    const list = bookings || [];
+    const withUsers = await Promise.all(
+      list.map(async (b) => {
+        if (!b.user_id) {
+          return {
+            ...b,
+            user_first_name: null,
+            user_last_name: null,
+            user_phone_number: null,
+            user_email: null,
+          };
+        }
+        const { data: u } = await supabaseAdmin
+          .from("users")
+          .select("first_name, last_name, phone_number, email")
+          .eq("id", b.user_id)
+          .single();
+        return {
+          ...b,
+          user_first_name: u?.first_name || null,
+          user_last_name: u?.last_name || null,
+          user_phone_number: u?.phone_number || null,
+          user_email: u?.email || null,
         };
-      });
-      return res.json(formatted);
-    }
+      }),
+    );
+    return res.json(withUsers);
+  } catch (err) {
+    console.error("api/vendor/bookings error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch bookings" });
+  }
+});
+
+const LOCAL_DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const MAX_BLOCK_DAYS = 31;
+
+/**
+ * GET /api/vendor/calendar?date=YYYY-MM-DD
+ * One venue-local day for the vendor calendar: opening window, slot settings, slot-holding bookings
+ * (app and manual) and blocks. Times are also given as minutes since local midnight for the timeline.
+ * slots is the per-slot availability from computeDaySlots (remaining guests for capacity-based places).
+ * Places with resources also get resources: [{ ...formatResource, slots }]; slots is then the
+ * "any resource" view and each booking carries its resourceId / resourceName.
+ */
+app.get("/api/vendor/calendar", requireVendorAuth, [
+  query("date").matches(/^\d{4}-\d{2}-\d{2}$/).withMessage("date must be YYYY-MM-DD"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
+
+    const tz = place.timezone || "UTC";
+    const dayStart = DateTime.fromISO(req.query.date, { zone: tz }).startOf("day");
+    if (!dayStart.isValid) return res.status(400).json({ error: "Invalid date" });
+    const dayEnd = dayStart.plus({ days: 1 });
+
     const { data: bookings, error } = await supabaseAdmin
       .from("bookings")
       .select(
-        "id, place_id, booking_date_time, booking_ref_number, amount_paid, currency_paid, payment_status, number_of_guests, payment_method, paid_at, transaction_id",
+        "id, user_id, booking_ref_number, booking_date_time, duration_hours, duration_minutes, number_of_guests, amount_paid, payment_status, booking_source, guest_name, guest_phone, booking_notes, resource_id",
       )
-      .eq("user_id", userId)
-      .order("booking_date_time", { ascending: false });
+      .eq("place_id", placeId)
+      .gte("booking_date_time", dayStart.toUTC().toISO())
+      .lt("booking_date_time", dayEnd.toUTC().toISO())
+      .in("payment_status", SLOT_HOLDING_STATUSES)
+      .order("booking_date_time", { ascending: true });
     if (error) throw error;
-    if (!bookings || bookings.length === 0) return res.json([]);
-    const placeIds = [
-      ...new Set(bookings.map((b) => b.place_id).filter(Boolean)),
-    ];
-    const { data: places } = await supabaseAdmin
-      .from("places")
-      .select(
-        `id, name, banner_image_link, avg_price, rating, country, city, address, timezone, ${PLACE_BOOKING_PREF_COLUMNS}`,
-      )
-      .in("id", placeIds);
-    const placesMap = (places || []).reduce((acc, p) => {
-      acc[String(p.id)] = p;
-      return acc;
-    }, {});
-    const formatted = bookings.map((b) => {
-      const place = placesMap[String(b.place_id)] || {};
-      const tz = place.timezone || null;
-      const priceUnit =
-        place.charge_per_guest === true ? "per person" : "per hour";
-      const bkFmt = formatInVenueTimezone(b.booking_date_time, tz);
-      const paidAtFmt = formatInVenueTimezone(b.paid_at, tz);
-      return {
+
+    const userIds = [...new Set((bookings || []).map((b) => b.user_id).filter(Boolean))];
+    const usersMap = {};
+    if (userIds.length > 0) {
+      const { data: users } = await supabaseAdmin
+        .from("users")
+        .select("id, first_name, last_name, phone_number")
+        .in("id", userIds);
+      (users || []).forEach((u) => {
+        usersMap[u.id] = u;
+      });
+    }
+
+    const blocks = await fetchPlaceBlocks(
+      placeId,
+      dayStart.toUTC().toISO(),
+      dayEnd.toUTC().toISO(),
+    );
+    // Archived resources still name their past bookings
+    const allResources = await fetchPlaceResources(placeId, { includeArchived: true });
+    const resourceNames = Object.fromEntries(allResources.map((r) => [r.id, r.name]));
+    const resources = allResources
+      .filter((r) => r.is_active)
+      .map((r) => ({
+        ...formatResource(place, r),
+        slots: computeDaySlots(
+          placeForResource(place, r),
+          dayStart,
+          bookingsForResource(bookings, r.id),
+          blocks,
+        ),
+      }));
+    return res.json({
+      date: dayStart.toISODate(),
+      timezone: tz,
+      openingWindow: getOpeningWindowForDate(place, dayStart),
+      hoursOverride: getHoursOverrideForDate(place, dayStart.toISODate()),
+      slotSettings: getSlotSettings(place),
+      guestCapacity: getCapacitySettings(place).capacity,
+      slots:
+        resources.length > 0
+          ? mergeResourceSlots(resources.map((r) => r.slots))
+          : computeDaySlots(place, dayStart, bookings, blocks),
+      resources,
+      bookings: (bookings || []).map((b) => {
+        const minutes = bookingDurationMinutes(b);
+        const start = DateTime.fromISO(b.booking_date_time, { zone: "utc" });
+        const u = usersMap[b.user_id];
+        return {
+          id: b.id,
+          bookingRefNumber: b.booking_ref_number,
+          bookingDateTime: b.booking_date_time,
+          durationMinutes: minutes,
+          numberOfGuests: b.number_of_guests,
+          amountPaid: b.amount_paid,
+          status: b.payment_status,
+          source: b.booking_source || "APP",
+          name: u
+            ? `${u.first_name || ""} ${u.last_name || ""}`.trim() || null
+            : b.guest_name || null,
+          phone: u ? u.phone_number || null : b.guest_phone || null,
+          notes: b.booking_notes || null,
+          resourceId: b.resource_id || null,
+          resourceName: resourceNames[b.resource_id] || null,
+          ...rangeToLocalDayMinutes(
+            b.booking_date_time,
+            start.plus({ minutes }).toISO(),
+            dayStart,
+          ),
+        };
+      }),
+      blocks: blocks.map((b) => ({
         id: b.id,
-        placeId: b.place_id,
-        title: place.name || "Place",
-        price: `$${place.avg_price || 0} ${priceUnit}`,
-        imageUri: place.banner_image_link,
-        isSmall: false,
-        country: place.country,
-        timezone: tz,
-        charge_per_guest: place.charge_per_guest ?? null,
-        allow_multiple_hours_booking:
-          place.allow_multiple_hours_booking ?? null,
-        allow_overlapping_bookings: place.allow_overlapping_bookings ?? null,
-        bookingRefNumber: b.booking_ref_number,
-        bookingDateTime: b.booking_date_time,
-        bookingDateFormatted: bkFmt.dateFormatted,
-        bookingTimeFormatted: bkFmt.timeFormatted
-          ? `${bkFmt.timeFormatted} ${bkFmt.tzAbbr || ""}`.trim()
-          : null,
-        amountPaid: b.amount_paid,
-        currencyPaid: b.currency_paid,
-        paymentStatus: b.payment_status,
-        numberOfGuests: b.number_of_guests,
-        paymentMethod: b.payment_method,
-        paidAt: b.paid_at,
-        paidAtFormatted: paidAtFmt.dateFormatted && paidAtFmt.timeFormatted
-          ? `${paidAtFmt.dateFormatted} at ${paidAtFmt.timeFormatted} ${paidAtFmt.tzAbbr || ""}`.trim()
-          : null,
-        transactionId: b.transaction_id,
-      };
+        startsAt: b.starts_at,
+        endsAt: b.ends_at,
+        reason: b.reason,
+        ...rangeToLocalDayMinutes(b.starts_at, b.ends_at, dayStart),
+      })),
     });
-    return res.json(formatted);
   } catch (err) {
-    console.error("api/bookings error:", err);
+    console.error("api/vendor/calendar error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to fetch bookings" });
+      .json({ error: err?.message || "Failed to fetch calendar" });
   }
 });
 
-// Auth helpers — bcrypt for new users, backward-compat with legacy SHA256 (salt:hash format)
-const USER_BCRYPT_ROUNDS = 12;
-const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
-
-const isLegacyUserHash = (storedHash) =>
-  storedHash && storedHash.includes(":") && !storedHash.startsWith("$2");
-
-const hashPassword = async (password) => {
-  return bcrypt.hash(password, USER_BCRYPT_ROUNDS);
-};
-
-const verifyPassword = async (password, storedHash) => {
-  if (!storedHash) return false;
-  if (storedHash.startsWith("$2")) {
-    return bcrypt.compare(password, storedHash);
+/**
+ * POST /api/vendor/bookings/manual
+ * Body: { bookingDateTimeLocal, duration_minutes? (or legacy duration_hours), number_of_guests?, guest_name,
+ *         guest_phone?, amount_paid?, notes?, resource_id? }
+ * Records a walk-in / phone booking paid outside the app (booking_source VENDOR, status CONFIRMED).
+ * The length must be whole slots but may ignore the customer-facing minimum and maximum.
+ * Goes through reserve_booking(), so it cannot double-book a slot, overfill a slot's guest capacity
+ * or land in a blocked range. Places with resources book resource_id, or the first free resource.
+ */
+app.post("/api/vendor/bookings/manual", requireVendorAuth, [
+  body("bookingDateTimeLocal").matches(LOCAL_DATE_TIME_RE)
+    .withMessage("bookingDateTimeLocal must be YYYY-MM-DDTHH:mm"),
+  body("duration_minutes").optional().isInt({ min: 1, max: MAX_BOOKING_MINUTES })
+    .withMessage(`duration_minutes must be between 1 and ${MAX_BOOKING_MINUTES}`),
+  body("duration_hours").optional().isInt({ min: 1, max: 24 })
+    .withMessage("duration_hours must be between 1 and 24"),
+  body("number_of_guests").optional().isInt({ min: 1, max: 1000 })
+    .withMessage("number_of_guests must be between 1 and 1000"),
+  body("guest_name").trim().stripLow(true).notEmpty().withMessage("Guest name is required")
+    .isLength({ max: MAX_SHORT }).withMessage(`Guest name too long (max ${MAX_SHORT} chars)`),
+  v.phone("guest_phone", "Guest phone"),
+  v.price("amount_paid"),
+  v.longStr("notes", "Notes"),
+  body("resource_id").optional({ values: "null" }).isUUID()
+    .withMessage("resource_id must be a valid UUID"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
+
+    const { bookingDateTimeLocal, guest_name, guest_phone, amount_paid, notes, resource_id } =
+      req.body;
+    const { slotMinutes, minDurationMinutes } = getSlotSettings(place);
+    const durationMinutes =
+      Number(req.body.duration_minutes) ||
+      Number(req.body.duration_hours) * 60 ||
+      minDurationMinutes;
+    if (durationMinutes % slotMinutes !== 0) {
+      return res.status(400).json({
+        error: `Duration must be a multiple of ${describeMinutes(slotMinutes)}`,
+      });
+    }
+    const bookingDateTime = localToUtc(bookingDateTimeLocal, place.timezone || "UTC");
+    if (!bookingDateTime) {
+      return res.status(400).json({ error: "Invalid bookingDateTimeLocal" });
+    }
+    const candidates = await bookingResourceCandidates(place, resource_id);
+    if (!candidates) return res.status(404).json({ error: "Resource not found" });
+
+    const bookingRefNumber = generateBookingRefNumber();
+    let hoursError = null;
+    let conflicts = [];
+    for (const resource of candidates) {
+      const resourceHoursError = checkBookingWithinOpeningHours(
+        placeForResource(place, resource),
+        bookingDateTime,
+        durationMinutes,
+        { allowStarted: true },
+      );
+      if (resourceHoursError) {
+        hoursError ??= resourceHoursError;
+        continue;
+      }
+      const reservation = await reserveBookingSlot({
+        user_id: null,
+        place_id: placeId,
+        booking_date_time: bookingDateTime,
+        booking_ref_number: bookingRefNumber,
+        amount_paid: amount_paid != null ? roundMoney(Number(amount_paid)) : 0,
+        currency_paid: "INR",
+        payment_status: "SUCCESS",
+        payment_method: "OFFLINE",
+        number_of_guests: Number(req.body.number_of_guests) || 1,
+        duration_minutes: durationMinutes,
+        duration_hours: Math.ceil(durationMinutes / 60),
+        booking_source: "VENDOR",
+        guest_name,
+        guest_phone: guest_phone || null,
+        booking_notes: notes || null,
+        ...(resource ? { resource_id: resource.id } : {}),
+      });
+      if (reservation.booking) {
+        await recordBookingEvent(reservation.booking.id, null, "SUCCESS", {
+          actor: "vendor",
+          actorId: req.vendorAuth.vendorId,
+          note: "Manual booking added",
+        });
+        return res.status(201).json({
+          booking: reservation.booking,
+          resource: resource ? { id: resource.id, name: resource.name } : null,
+        });
+      }
+      conflicts = conflicts.concat(reservation.conflicts);
+    }
+    if (conflicts.length === 0) return res.status(400).json({ error: hoursError });
+
+    const kinds = new Set(conflicts.map((c) => c.kind));
+    return res.status(409).json({
+      error: kinds.has("block")
+        ? "That time overlaps a blocked period"
+        : kinds.has("capacity")
+          ? "Not enough spots left at that time for this many guests"
+          : candidates.length > 1
+            ? "Nothing is free for that whole time"
+            : "That time overlaps an existing booking",
+      conflicts,
+    });
+  } catch (err) {
+    console.error("api/vendor/bookings/manual error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to create booking" });
   }
-  if (!storedHash.includes(":")) return false;
-  const [salt, hash] = storedHash.split(":");
-  let h = password + salt;
-  for (let i = 0; i < 10000; i++) h = sha256(h);
-  return h === hash;
-};
+});
 
 /**
- * POST /api/auth/register
- * body: { firstName, lastName, phoneNumber, email, password, address, city, state, country, postalCode }
+ * DELETE /api/vendor/bookings/:bookingId
+ * Cancels a manual (VENDOR) booking and frees its slot. App bookings are cancelled by the
+ * customer, since they carry a Razorpay payment and refund policy.
  */
-app.post("/api/auth/register", authLimiter, [
-  v.email,
-  v.password,
-  v.shortStr("firstName", "First name"),
-  v.shortStr("lastName", "Last name"),
-  v.phone("phoneNumber", "Phone number"),
-  v.medStr("address", "Address"),
-  v.shortStr("city", "City"),
-  v.shortStr("state", "State"),
-  v.shortStr("country", "Country"),
-  v.postalCode("postalCode"),
+app.delete("/api/vendor/bookings/:bookingId", requireVendorAuth, [
+  v.uuidParam("bookingId"),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const body = req.body || {};
-    const {
-      firstName,
-      lastName,
-      phoneNumber,
-      email,
-      password,
-      address,
-      city,
-      state,
-      country,
-      postalCode,
-    } = body;
-    if (!email || !password) {
-      return res.status(400).json({ error: "email and password are required" });
-    }
-    const { data: existing } = await supabaseAdmin
-      .from("users")
-      .select("*")
-      .eq("email", email)
+    const placeId = req.vendorAuth.placeId;
+    const { bookingId } = req.params;
+    const { data: booking, error: fetchErr } = await supabaseAdmin
+      .from("bookings")
+      .select("id, place_id, booking_source, payment_status")
+      .eq("id", bookingId)
       .maybeSingle();
-    if (existing) {
-      return res
-        .status(400)
-        .json({ error: "User with this email already exists" });
+    if (fetchErr) throw fetchErr;
+    if (!booking || booking.place_id !== placeId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    if (booking.booking_source !== "VENDOR") {
+      return res.status(400).json({ error: "Only manual bookings can be cancelled here" });
     }
 
-    // Create Supabase Auth user so user gets a real JWT for RLS
-    const { data: authData, error: authErr } =
-      await supabaseAdmin.auth.admin.createUser({
-        email,
-        password,
-        email_confirm: true,
+    const updated = await transitionBookingStatus(booking, "CANCELLED", {
+      patch: { cancelled_at: new Date().toISOString() },
+      actor: "vendor",
+      actorId: req.vendorAuth.vendorId,
+      note: "Manual booking cancelled",
+    });
+    if (!updated) {
+      return res.status(409).json({
+        error: `Booking cannot be cancelled (${normalizeBookingStatus(booking.payment_status).toLowerCase()})`,
       });
-    if (authErr) {
-      console.error("[Auth] Failed to create Supabase Auth user:", authErr?.message);
-      if (authErr.message?.includes("already been registered")) {
-        return res.status(400).json({ error: "User with this email already exists" });
-      }
-      throw authErr;
     }
-    const authUserId = authData.user.id;
-
-    const hashedPassword = await hashPassword(password);
-    const userData = {
-      first_name: firstName || "",
-      last_name: lastName || "",
-      phone_number: phoneNumber || "",
-      email,
-      password_hash: hashedPassword,
-      address: address || "",
-      city: city || "",
-      state: state || "",
-      country: country || "",
-      postal_code: postalCode || "",
-      auth_user_id: authUserId,
-      created_at: new Date().toISOString(),
-    };
-    const { data: newUser, error } = await supabaseAdmin
-      .from("users")
-      .insert([userData])
-      .select()
-      .single();
-    if (error) throw error;
-    const formatted = {
-      id: newUser.id,
-      name: `${newUser.first_name} ${newUser.last_name}`,
-      firstName: newUser.first_name,
-      lastName: newUser.last_name,
-      email: newUser.email,
-      phoneNumber: newUser.phone_number,
-      address: {
-        address: newUser.address,
-        city: newUser.city,
-        state: newUser.state,
-        country: newUser.country,
-        postalCode: newUser.postal_code,
-      },
-      createdAt: newUser.created_at,
-    };
-    return res.json({ success: true, user: formatted });
+    return res.json({ bookingId, status: updated.payment_status });
   } catch (err) {
-    console.error("api/auth/register error:", err);
+    console.error("api/vendor/bookings delete error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to register" });
+      .json({ error: err?.message || "Failed to cancel booking" });
+  }
+});
+
+const VENDOR_BOOKING_STATUSES = ["CHECKED_IN", "COMPLETED", "NO_SHOW"];
+
+/**
+ * Why the vendor cannot mark `booking` as `status` right now, or null. Guests can be checked in
+ * from BOOKING_CHECK_IN_EARLY_MINUTES before the start until the end; no-show and completed only
+ * once the booking has started.
+ */
+function vendorStatusTimingError(booking, status, now = DateTime.now()) {
+  const start = DateTime.fromISO(booking.booking_date_time);
+  const end = start.plus({ minutes: bookingDurationMinutes(booking) });
+  if (status === "CHECKED_IN") {
+    if (now < start.minus({ minutes: BOOKING_CHECK_IN_EARLY_MINUTES })) {
+      return `Guests can be checked in from ${describeMinutes(BOOKING_CHECK_IN_EARLY_MINUTES)} before the booking`;
+    }
+    if (now > end) return "This booking has already ended";
+    return null;
   }
-});
+  if (now < start) return "This booking has not started yet";
+  return null;
+}
 
 /**
- * POST /api/auth/login
- * body: { email, password }
+ * PATCH /api/vendor/bookings/:bookingId/status
+ * Body: { status: "CHECKED_IN" | "COMPLETED" | "NO_SHOW", note? }
+ * Marks a paid booking of the vendor's place as checked in, completed or a no-show. Returns 409
+ * when the booking's current status does not allow it (see BOOKING_STATUS_TRANSITIONS).
  */
-app.post("/api/auth/login", authLimiter, [
-  v.email,
-  body("password").notEmpty().withMessage("Password is required").isLength({ max: MAX_MEDIUM }),
+app.patch("/api/vendor/bookings/:bookingId/status", requireVendorAuth, [
+  v.uuidParam("bookingId"),
+  body("status").isIn(VENDOR_BOOKING_STATUSES).withMessage(`status must be one of ${VENDOR_BOOKING_STATUSES.join(", ")}`),
+  v.longStr("note", "Note"),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) {
-      return res.status(400).json({ error: "email and password are required" });
-    }
-    const { data: user, error } = await supabaseAdmin
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
-    if (error || !user) {
-      return res.status(401).json({ error: "Invalid email or password" });
-    }
-    if (!user.password_hash) {
-      return res.status(401).json({ error: "Invalid email or password" });
-    }
-    const valid = await verifyPassword(password, user.password_hash);
-    if (!valid) {
-      return res.status(401).json({ error: "Invalid email or password" });
+    const placeId = req.vendorAuth.placeId;
+    const { status, note } = req.body;
+    const { data: booking, error: fetchErr } = await supabaseAdmin
+      .from("bookings")
+      .select("id, place_id, payment_status, booking_date_time, duration_hours, duration_minutes")
+      .eq("id", req.params.bookingId)
+      .maybeSingle();
+    if (fetchErr) throw fetchErr;
+    if (!booking || booking.place_id !== placeId) {
+      return res.status(404).json({ error: "Booking not found" });
     }
 
-    // Lazy rehash: upgrade legacy SHA256 hash to bcrypt on login
-    if (isLegacyUserHash(user.password_hash)) {
-      try {
-        const bcryptHash = await bcrypt.hash(password, USER_BCRYPT_ROUNDS);
-        await supabaseAdmin
-          .from("users")
-          .update({ password_hash: bcryptHash })
-          .eq("id", user.id);
-        console.log("[Auth] Rehashed user password to bcrypt:", user.id);
-      } catch (rehashErr) {
-        console.warn("[Auth] User bcrypt rehash failed (non-fatal):", rehashErr?.message);
-      }
+    const current = normalizeBookingStatus(booking.payment_status);
+    if (!isBookingTransitionAllowed(current, status)) {
+      return res.status(409).json({
+        error: `A ${current.toLowerCase().replace(/_/g, " ")} booking cannot be marked ${status.toLowerCase().replace(/_/g, " ")}`,
+      });
     }
+    const timingError = vendorStatusTimingError(booking, status);
+    if (timingError) return res.status(400).json({ error: timingError });
 
-    // Lazy migration: create Supabase Auth account if user doesn't have one
-    if (!user.auth_user_id) {
-      try {
-        let authUserId = null;
-
-        const { data: authData, error: authErr } =
-          await supabaseAdmin.auth.admin.createUser({
-            email: user.email,
-            password,
-            email_confirm: true,
-          });
-
-        if (!authErr && authData?.user) {
-          authUserId = authData.user.id;
-        } else if (authErr?.message?.includes("already been registered")) {
-          // Auth user exists from a previous attempt — look it up by email
-          const { data: listData } = await supabaseAdmin.auth.admin.listUsers({ perPage: 1000 });
-          const existingAuthUser = listData?.users?.find(
-            (u) => u.email?.toLowerCase() === user.email.toLowerCase()
-          );
-          if (existingAuthUser) {
-            authUserId = existingAuthUser.id;
-            // Also sync the password in case it changed
-            await supabaseAdmin.auth.admin.updateUserById(existingAuthUser.id, { password });
-          }
-        } else if (authErr) {
-          console.warn("[Auth] User Supabase Auth migration failed (non-fatal):", authErr?.message);
-        }
-
-        if (authUserId) {
-          const { error: updateErr } = await supabaseAdmin
-            .from("users")
-            .update({ auth_user_id: authUserId })
-            .eq("id", user.id);
-          if (updateErr) {
-            console.warn("[Auth] Failed to set auth_user_id on users row (non-fatal):", updateErr.message);
-          } else {
-            user.auth_user_id = authUserId;
-            console.log("[Auth] Lazy-migrated user to Supabase Auth:", user.id);
-          }
-        }
-      } catch (migrationErr) {
-        console.warn("[Auth] User auth migration error (non-fatal):", migrationErr?.message);
-      }
+    const updated = await transitionBookingStatus(booking, status, {
+      actor: "vendor",
+      actorId: req.vendorAuth.vendorId,
+      note: note || null,
+    });
+    if (!updated) {
+      return res.status(409).json({ error: "Booking status changed, refresh and try again" });
     }
-
-    const formatted = {
-      id: user.id,
-      name: `${user.first_name} ${user.last_name}`,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      email: user.email,
-      phoneNumber: user.phone_number,
-      address: {
-        address: user.address,
-        city: user.city,
-        state: user.state,
-        country: user.country,
-        postalCode: user.postal_code,
-      },
-      createdAt: user.created_at,
-    };
-    return res.json({ success: true, user: formatted });
+    return res.json({ bookingId: updated.id, status: updated.payment_status });
   } catch (err) {
-    console.error("api/auth/login error:", err);
-    return res.status(500).json({ error: err?.message || "Failed to login" });
+    console.error("api/vendor/bookings status error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to update booking" });
   }
 });
 
 /**
- * PATCH /api/users/:userId
- * body: { firstName, lastName, phoneNumber, email, address, city, state, country, postalCode }
+ * GET /api/vendor/bookings/:bookingId/events
+ * Status history of a booking at the vendor's place, oldest first: { events: [formatBookingEvent] }.
  */
-app.patch("/api/users/profile", requireUserAuth, [
-  v.shortStr("firstName", "First name"),
-  v.shortStr("lastName", "Last name"),
-  v.phone("phoneNumber", "Phone number"),
-  v.medStr("address", "Address"),
-  v.shortStr("city", "City"),
-  v.shortStr("state", "State"),
-  v.shortStr("country", "Country"),
-  v.postalCode("postalCode"),
+app.get("/api/vendor/bookings/:bookingId/events", requireVendorAuth, [
+  v.uuidParam("bookingId"),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const userId = req.userAuth.userId;
-    const body = req.body || {};
-    const patch = {
-      updated_at: new Date().toISOString(),
-    };
-    if (body.firstName != null) patch.first_name = body.firstName;
-    else if (body.first_name != null) patch.first_name = body.first_name;
-    if (body.lastName != null) patch.last_name = body.lastName;
-    else if (body.last_name != null) patch.last_name = body.last_name;
-    if (body.phoneNumber != null) patch.phone_number = body.phoneNumber;
-    else if (body.phone_number != null) patch.phone_number = body.phone_number;
-    if (body.email != null) patch.email = body.email;
-    if (body.address != null) patch.address = body.address;
-    if (body.city != null) patch.city = body.city;
-    if (body.state != null) patch.state = body.state;
-    if (body.country != null) patch.country = body.country;
-    if (body.postalCode != null) patch.postal_code = body.postalCode;
-    else if (body.postal_code != null) patch.postal_code = body.postal_code;
-    const { error } = await supabaseAdmin
-      .from("users")
-      .update(patch)
-      .eq("id", userId);
+    const { data: booking, error } = await supabaseAdmin
+      .from("bookings")
+      .select("id, place_id")
+      .eq("id", req.params.bookingId)
+      .maybeSingle();
     if (error) throw error;
-    return res.json({ success: true });
+    if (!booking || booking.place_id !== req.vendorAuth.placeId) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    const events = await fetchBookingEvents(booking.id);
+    return res.json({ events: events.map(formatBookingEvent) });
   } catch (err) {
-    console.error("api/users PATCH error:", err);
-    return res
-      .status(500)
-      .json({ error: err?.message || "Failed to update profile" });
+    console.error("api/vendor/bookings events error:", err);
+    return res.status(500).json({ error: "Failed to load booking history" });
   }
 });
 
 /**
- * PATCH /api/users/:userId/password
- * body: { currentPassword, newPassword }
+ * POST /api/vendor/blocks
+ * Body: { startLocal, endLocal, reason? } — venue-local "YYYY-MM-DDTHH:mm".
+ * Blocks the range for all customers. Returns 409 with the overlapping bookings if any slot
+ * in the range is already booked.
  */
-app.patch("/api/users/password", requireUserAuth, [
-  v.currentPassword,
-  v.newPassword,
+app.post("/api/vendor/blocks", requireVendorAuth, [
+  body("startLocal").matches(LOCAL_DATE_TIME_RE).withMessage("startLocal must be YYYY-MM-DDTHH:mm"),
+  body("endLocal").matches(LOCAL_DATE_TIME_RE).withMessage("endLocal must be YYYY-MM-DDTHH:mm"),
+  v.medStr("reason", "Reason"),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const userId = req.userAuth.userId;
-    const { currentPassword, newPassword } = req.body || {};
-    if (!currentPassword || !newPassword) {
-      return res
-        .status(400)
-        .json({ error: "currentPassword and newPassword are required" });
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
+
+    const tz = place.timezone || "UTC";
+    const start = DateTime.fromISO(req.body.startLocal, { zone: tz });
+    const end = DateTime.fromISO(req.body.endLocal, { zone: tz });
+    if (!start.isValid || !end.isValid || end <= start) {
+      return res.status(400).json({ error: "End must be after start" });
     }
-    const { data: dbUser, error: fetchError } = await supabaseAdmin
-      .from("users")
-      .select("password_hash, auth_user_id")
-      .eq("id", userId)
-      .single();
-    if (fetchError || !dbUser) {
-      return res.status(404).json({ error: "User not found" });
+    if (end.diff(start, "days").days > MAX_BLOCK_DAYS) {
+      return res.status(400).json({ error: `Blocks can span at most ${MAX_BLOCK_DAYS} days` });
     }
-    const valid = await verifyPassword(currentPassword, dbUser.password_hash);
-    if (!valid) {
-      return res.status(400).json({ error: "Current password is incorrect" });
+    if (end <= DateTime.now()) {
+      return res.status(400).json({ error: "Block is entirely in the past" });
     }
-    const hashedNew = await hashPassword(newPassword);
-    const { error: updateError } = await supabaseAdmin
-      .from("users")
-      .update({
-        password_hash: hashedNew,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", userId);
-    if (updateError) throw updateError;
 
-    // Sync to Supabase Auth so the JWT password stays in sync
-    if (dbUser.auth_user_id) {
-      try {
-        await supabaseAdmin.auth.admin.updateUserById(dbUser.auth_user_id, {
-          password: newPassword,
-        });
-      } catch (syncErr) {
-        console.warn("[Auth] User password sync to Supabase Auth failed (non-fatal):", syncErr?.message);
-      }
+    const { block, conflicts } = await reservePlaceBlock({
+      place_id: placeId,
+      starts_at: start.toUTC().toISO(),
+      ends_at: end.toUTC().toISO(),
+      reason: req.body.reason || null,
+    });
+    if (!block) {
+      return res.status(409).json({
+        error: "Some of these hours are already booked. Cancel or move those bookings first.",
+        conflicts: conflicts.map((c) => ({
+          ...c,
+          ...formatInVenueTimezone(c.booking_date_time, tz),
+        })),
+      });
     }
-
-    return res.json({ success: true });
+    return res.status(201).json({ block });
   } catch (err) {
-    console.error("api/users/password error:", err);
+    console.error("api/vendor/blocks error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to update password" });
+      .json({ error: err?.message || "Failed to block time" });
   }
 });
 
-// ---------- Vendor API Routes ----------
-
-const BCRYPT_ROUNDS = 12;
-
-// Legacy SHA256 hash verification (for existing vendors before bcrypt migration)
-const legacyVendorHashPassword = async (password, salt) => {
-  let h = password + salt;
-  for (let i = 0; i < 10000; i++) {
-    h = crypto.createHash("sha256").update(h).digest("hex");
-  }
-  return h;
-};
-
-const isLegacyHash = (storedHash) =>
-  storedHash && storedHash.includes(":") && !storedHash.startsWith("$2");
-
-const isBcryptHash = (storedHash) =>
-  storedHash && storedHash.startsWith("$2");
-
 /**
- * Verify vendor password — supports both legacy (hash:salt) and bcrypt ($2b$...).
- * Returns true if password matches.
+ * DELETE /api/vendor/blocks/:blockId
  */
-const vendorVerifyPassword = async (password, storedHash) => {
-  if (!storedHash) return false;
-  if (isBcryptHash(storedHash)) {
-    return bcrypt.compare(password, storedHash);
-  }
-  if (isLegacyHash(storedHash)) {
-    const [hashPart, salt] = storedHash.split(":");
-    const computed = await legacyVendorHashPassword(password, salt);
-    return computed === hashPart;
+app.delete("/api/vendor/blocks/:blockId", requireVendorAuth, [
+  v.uuidParam("blockId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    const { data, error } = await supabaseAdmin
+      .from("place_blocks")
+      .delete()
+      .eq("id", req.params.blockId)
+      .eq("place_id", placeId)
+      .select("id");
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Block not found" });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/vendor/blocks delete error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to remove block" });
   }
-  return false;
-};
+});
 
-// Kept for registration (still stores legacy hash alongside bcrypt for rollback safety)
-const vendorHashPassword = async (password, salt) => {
-  let h = password + salt;
-  for (let i = 0; i < 10000; i++) {
-    h = crypto.createHash("sha256").update(h).digest("hex");
+/** Validators shared by POST and PATCH /api/vendor/resources. */
+const resourceBodyValidators = (requireName) => [
+  (requireName ? body("name") : body("name").optional())
+    .trim().stripLow(true)
+    .notEmpty().withMessage("Name is required")
+    .isLength({ max: MAX_SHORT }).withMessage(`Name too long (max ${MAX_SHORT} chars)`),
+  v.longStr("description", "Description"),
+  body("avg_price").optional({ values: "null" })
+    .isFloat({ min: 0.01, max: 999999 }).withMessage("Invalid price").toFloat(),
+  body("guest_capacity").optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_GUEST_CAPACITY })
+    .withMessage(`Guests per slot must be between 1 and ${MAX_GUEST_CAPACITY}`).toInt(),
+  body("hours").optional({ values: "null" }).custom((value) => {
+    normalizeResourceHours(value);
+    return true;
+  }),
+  body("sort_order").optional().isInt({ min: 0, max: 1000 }).withMessage("Invalid sort order").toInt(),
+];
+
+/** place_resources columns from a validated POST / PATCH body; only the fields that were sent. */
+function resourcePatchFromBody(reqBody) {
+  const patch = {};
+  if (reqBody.name !== undefined) patch.name = reqBody.name;
+  if (reqBody.description !== undefined) patch.description = reqBody.description || null;
+  if (reqBody.avg_price !== undefined) patch.avg_price = reqBody.avg_price ?? null;
+  if (reqBody.guest_capacity !== undefined) patch.guest_capacity = reqBody.guest_capacity ?? null;
+  if (reqBody.hours !== undefined) patch.hours = normalizeResourceHours(reqBody.hours);
+  if (reqBody.sort_order !== undefined) patch.sort_order = reqBody.sort_order;
+  return patch;
+}
+
+/**
+ * GET /api/vendor/resources
+ * The vendor's courts / lanes / rooms in display order. Returns { resources }.
+ */
+app.get("/api/vendor/resources", requireVendorAuth, async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
+    const resources = await fetchPlaceResources(placeId);
+    return res.json({ resources: resources.map((r) => formatResource(place, r)) });
+  } catch (err) {
+    console.error("api/vendor/resources error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch resources" });
   }
-  return h;
-};
+});
 
 /**
- * POST /api/vendor/auth/register
- * Creates Supabase Auth user + place + vendor (with auth_user_id).
- * Body: full registration form.
+ * POST /api/vendor/resources
+ * Body: { name, description?, avg_price?, guest_capacity?, hours?, sort_order? }.
+ * Omitted or null price / capacity / hours use the place's. New resources go last by default.
  */
-app.post("/api/vendor/auth/register", authLimiter, [
-  v.email,
-  v.password,
-  v.medStr("businessName", "Business name"),
-  v.medStr("address", "Address"),
-  v.shortStr("country", "Country"),
-  v.shortStr("city", "City"),
-  v.shortStr("state", "State"),
-  v.postalCode("postalCode"),
-  v.phone("businessPhoneNumber", "Business phone"),
-  v.shortStr("businessCategory", "Category"),
-  v.shortStr("businessSubCategory", "Subcategory"),
-  v.medStr("vendorFullName", "Full name"),
-  v.phone("vendorPhoneNumber", "Vendor phone"),
-  v.medStr("vendorAddress", "Vendor address"),
-  v.shortStr("vendorCity", "Vendor city"),
-  v.shortStr("vendorState", "Vendor state"),
-  v.shortStr("vendorCountry", "Vendor country"),
-  v.postalCode("vendorPostalCode"),
+app.post("/api/vendor/resources", requireVendorAuth, [
+  ...resourceBodyValidators(true),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const body = req.body || {};
-    const email = (body.email || "").toLowerCase().trim();
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
 
-    // 1) Create Supabase Auth user (so vendor gets a real JWT for RLS)
-    const { data: authData, error: authErr } =
-      await supabaseAdmin.auth.admin.createUser({
-        email,
-        password: body.password,
-        email_confirm: true,
-      });
-    if (authErr) {
-      if (authErr.message?.includes("already been registered")) {
-        return res.status(400).json({
-          error:
-            "An account with this email already exists. Please sign in instead.",
-        });
-      }
-      throw authErr;
+    const existing = await fetchPlaceResources(placeId);
+    if (existing.length >= MAX_PLACE_RESOURCES) {
+      return res
+        .status(400)
+        .json({ error: `A place can have at most ${MAX_PLACE_RESOURCES} resources` });
     }
-    const authUserId = authData.user.id;
-
-    // 2) Create place row
-    const placeData = {
-      name: body.businessName,
-      address: body.address,
-      country: body.country,
-      city: body.city,
-      state: body.state,
-      postal_code: body.postalCode,
-      phone_number: body.businessPhoneNumber,
-      category: body.businessCategory,
-      sub_category: body.businessSubCategory || null,
-    };
-    const { data: place, error: placeErr } = await supabaseAdmin
-      .from("places")
-      .insert([placeData])
-      .select()
-      .single();
-    if (placeErr) throw placeErr;
-
-    // 3) Create vendor row with auth_user_id linked to Supabase Auth
-    const passwordHash = await bcrypt.hash(body.password, BCRYPT_ROUNDS);
-
-    const vendorData = {
-      business_name: body.businessName,
-      vendor_full_name: body.vendorFullName,
-      vendor_phone_number: body.vendorPhoneNumber,
-      vendor_email: email,
-      password_hash: passwordHash,
-      vendor_address: body.vendorAddress,
-      vendor_city: body.vendorCity,
-      vendor_state: body.vendorState,
-      vendor_country: body.vendorCountry,
-      vendor_postal_code: body.vendorPostalCode,
-      place_id: place.id,
-      auth_user_id: authUserId,
+    const row = {
+      sort_order: existing.reduce((max, r) => Math.max(max, r.sort_order + 1), 0),
+      ...resourcePatchFromBody(req.body),
+      place_id: placeId,
     };
-    const { data: vendor, error: vendorErr } = await supabaseAdmin
-      .from("vendors")
-      .insert([vendorData])
-      .select(
-        "id, business_name, vendor_full_name, vendor_phone_number, vendor_email, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, place_id, auth_user_id, created_at, updated_at",
-      )
+    const { data, error } = await supabaseAdmin
+      .from("place_resources")
+      .insert(row)
+      .select(PLACE_RESOURCE_COLUMNS)
       .single();
-    if (vendorErr) {
-      if (vendorErr.code === "23505") {
-        return res.status(400).json({
-          error:
-            "An account with this email already exists. Please sign in instead.",
-        });
-      }
-      throw vendorErr;
-    }
-
-    // 4) Create Razorpay contact for vendor (non-blocking)
-    const rawName = (vendor.vendor_full_name || "").trim();
-    const razorpayPayload = {
-      name: rawName.length >= 3 ? rawName : "Vendor",
-      email: (vendor.vendor_email || "").trim(),
-      contact: String(vendor.vendor_phone_number || "")
-        .replace(/\D/g, "")
-        .slice(0, 15),
-      type: "vendor",
-    };
-    if (razorpayPayload.name) {
-      try {
-        console.log(
-          "[Razorpay] Creating contact for vendor:",
-          vendor.id,
-          razorpayPayload,
-        );
-        const auth = Buffer.from(
-          `${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`,
-        ).toString("base64");
-        const rpRes = await fetch("https://api.razorpay.com/v1/contacts", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Basic ${auth}`,
-          },
-          body: JSON.stringify(razorpayPayload),
-        });
-        const rpData = await rpRes.json().catch(() => ({}));
-        console.log(
-          "[Razorpay] Response:",
-          rpRes.status,
-          JSON.stringify(rpData),
-        );
-        if (rpRes.ok && rpData?.id) {
-          const { error: updateErr } = await supabaseAdmin
-            .from("vendors")
-            .update({ razorpay_contact_ref: rpData.id })
-            .eq("id", vendor.id);
-          if (updateErr) {
-            console.error(
-              "[Razorpay] Failed to save razorpay_contact_ref to DB:",
-              updateErr.message,
-              "- Run migration: vendors_razorpay_contact_ref.sql",
-            );
-          } else {
-            vendor.razorpay_contact_ref = rpData.id;
-            console.log("[Razorpay] Contact created and saved:", rpData.id);
-          }
-        } else {
-          console.error(
-            "[Razorpay] Contact creation failed:",
-            rpRes.status,
-            rpData,
-          );
-        }
-      } catch (rpErr) {
-        console.error("[Razorpay] Contact creation error:", rpErr?.message);
-      }
-    } else {
-      console.warn("[Razorpay] Skipped - vendor name too short");
-    }
-
-    return res.json({ success: true, user: vendor });
+    if (error) throw error;
+    return res.status(201).json({ resource: formatResource(place, data) });
   } catch (err) {
-    console.error("api/vendor/auth/register error:", err);
+    console.error("api/vendor/resources create error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to register" });
+      .json({ error: err?.message || "Failed to add resource" });
   }
 });
 
 /**
- * POST /api/vendor/auth/login
- * Body: { email, password }
- * Verifies password (bcrypt or legacy), lazily migrates to Supabase Auth
- * and rehashes legacy passwords to bcrypt.
+ * PATCH /api/vendor/resources/:resourceId
+ * Same fields as POST, all optional. Existing bookings keep their resource and price.
  */
-app.post("/api/vendor/auth/login", authLimiter, [
-  v.email,
-  body("password").notEmpty().withMessage("Password is required").isLength({ max: MAX_MEDIUM }),
+app.patch("/api/vendor/resources/:resourceId", requireVendorAuth, [
+  v.uuidParam("resourceId"),
+  ...resourceBodyValidators(false),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) {
-      return res.status(400).json({ error: "email and password required" });
-    }
-    const { data: vendor, error } = await supabaseAdmin
-      .from("vendors")
-      .select(
-        "id, business_name, vendor_full_name, vendor_phone_number, vendor_email, password_hash, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, place_id, auth_user_id, created_at, updated_at",
-      )
-      .eq("vendor_email", (email || "").toLowerCase().trim())
-      .single();
-    if (error || !vendor) {
-      return res.status(401).json({ error: "Invalid email or password" });
-    }
-    const valid = await vendorVerifyPassword(password, vendor.password_hash);
-    if (!valid) {
-      return res.status(401).json({ error: "Invalid email or password" });
-    }
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
 
-    // Lazy rehash: upgrade legacy SHA256 hash to bcrypt
-    if (isLegacyHash(vendor.password_hash)) {
-      try {
-        const bcryptHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
-        await supabaseAdmin
-          .from("vendors")
-          .update({ password_hash: bcryptHash })
-          .eq("id", vendor.id);
-        console.log("[Auth] Rehashed vendor password to bcrypt:", vendor.id);
-      } catch (rehashErr) {
-        console.warn("[Auth] Bcrypt rehash failed (non-fatal):", rehashErr?.message);
-      }
+    const patch = resourcePatchFromBody(req.body);
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
     }
+    const { data, error } = await supabaseAdmin
+      .from("place_resources")
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", req.params.resourceId)
+      .eq("place_id", placeId)
+      .eq("is_active", true)
+      .select(PLACE_RESOURCE_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Resource not found" });
+    return res.json({ resource: formatResource(place, data) });
+  } catch (err) {
+    console.error("api/vendor/resources update error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to update resource" });
+  }
+});
 
-    // Lazy migration: create Supabase Auth account if vendor doesn't have one
-    if (!vendor.auth_user_id) {
-      try {
-        let authUserId = null;
-
-        const { data: authData, error: authErr } =
-          await supabaseAdmin.auth.admin.createUser({
-            email: vendor.vendor_email,
-            password,
-            email_confirm: true,
-          });
-
-        if (!authErr && authData?.user?.id) {
-          authUserId = authData.user.id;
-        } else if (authErr?.message?.includes("already been registered")) {
-          // Auth user exists from a previous attempt — look it up by email
-          const { data: listData } = await supabaseAdmin.auth.admin.listUsers({ perPage: 1000 });
-          const existingAuthUser = listData?.users?.find(
-            (u) => u.email?.toLowerCase() === vendor.vendor_email.toLowerCase()
-          );
-          if (existingAuthUser) {
-            authUserId = existingAuthUser.id;
-            await supabaseAdmin.auth.admin.updateUserById(existingAuthUser.id, { password });
-          }
-        } else if (authErr) {
-          console.warn("[Auth] Vendor lazy migration failed (non-fatal):", authErr.message);
-        }
+/**
+ * DELETE /api/vendor/resources/:resourceId
+ * Archives the resource so past bookings keep its name. Refused with 409 while it still has
+ * upcoming bookings.
+ */
+app.delete("/api/vendor/resources/:resourceId", requireVendorAuth, [
+  v.uuidParam("resourceId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    const { resourceId } = req.params;
+    const { data: upcoming, error: upcomingErr } = await supabaseAdmin
+      .from("bookings")
+      .select("id")
+      .eq("place_id", placeId)
+      .eq("resource_id", resourceId)
+      .gte("booking_date_time", new Date().toISOString())
+      .in("payment_status", SLOT_HOLDING_STATUSES)
+      .limit(1);
+    if (upcomingErr) throw upcomingErr;
+    if (upcoming && upcoming.length > 0) {
+      return res.status(409).json({
+        error: "This resource has upcoming bookings. Cancel or move them before removing it.",
+      });
+    }
 
-        if (authUserId) {
-          await supabaseAdmin
-            .from("vendors")
-            .update({ auth_user_id: authUserId })
-            .eq("id", vendor.id);
-          vendor.auth_user_id = authUserId;
-          console.log("[Auth] Lazy-migrated vendor to Supabase Auth:", vendor.id);
-        }
-      } catch (migrationErr) {
-        console.warn("[Auth] Vendor lazy migration error (non-fatal):", migrationErr?.message);
-      }
+    const { data, error } = await supabaseAdmin
+      .from("place_resources")
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq("id", resourceId)
+      .eq("place_id", placeId)
+      .eq("is_active", true)
+      .select("id");
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Resource not found" });
     }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/vendor/resources delete error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to remove resource" });
+  }
+});
 
-    const { password_hash: _, ...safe } = vendor;
-    return res.json({ success: true, user: safe });
+/**
+ * GET /api/vendor/coupons
+ * The vendor's place-specific promo codes, newest first, with their current uses. Returns { coupons }.
+ */
+app.get("/api/vendor/coupons", requireVendorAuth, async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const { data, error } = await supabaseAdmin
+      .from("coupons")
+      .select(COUPON_COLUMNS)
+      .eq("place_id", placeId)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    const coupons = data || [];
+    const uses = await countUsesByCoupon(coupons.map((c) => c.id));
+    return res.json({ coupons: coupons.map((c) => formatCoupon(c, uses[c.id])) });
   } catch (err) {
-    console.error("api/vendor/auth/login error:", err);
-    return res.status(500).json({ error: err?.message || "Failed to login" });
+    console.error("api/vendor/coupons error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch coupons" });
   }
 });
 
 /**
- * POST /api/admin/auth/login
- * Body: { email, password }
- * Uses Supabase Auth signInWithPassword.
+ * POST /api/vendor/coupons
+ * Body: { code, discount_type: "percent" | "flat", discount_value, description?, max_discount?,
+ *         min_spend?, usage_limit?, per_user_limit?, starts_at?, ends_at?, is_active? }.
+ * The code only works at the vendor's place. Returns 201 { coupon }; 409 when the code exists.
  */
-app.post("/api/admin/auth/login", authLimiter, [
-  v.email,
-  body("password").notEmpty().withMessage("Password is required").isLength({ max: MAX_MEDIUM }),
+app.post("/api/vendor/coupons", requireVendorAuth, [
+  ...couponBodyValidators(true),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-    console.log(
-      "[Admin] Login attempt for:",
-      email ? `${email.slice(0, 3)}***` : "(no email)",
-    );
-    if (!email || !password) {
-      console.warn("[Admin] Login failed: missing email or password");
-      return res.status(400).json({ error: "email and password required" });
-    }
-    const { data, error } = await supabaseAdmin.auth.signInWithPassword({
-      email: (email || "").toLowerCase().trim(),
-      password,
-    });
-    if (error) {
-      console.warn("[Admin] Login failed:", error.message);
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const { count, error: countErr } = await supabaseAdmin
+      .from("coupons")
+      .select("id", { count: "exact", head: true })
+      .eq("place_id", placeId);
+    if (countErr) throw countErr;
+    if ((count || 0) >= MAX_PLACE_COUPONS) {
       return res
-        .status(401)
-        .json({ error: error.message || "Invalid email or password" });
-    }
-    const user = data?.user;
-    if (!user) {
-      console.warn("[Admin] Login failed: no user in response");
-      return res.status(401).json({ error: "Invalid email or password" });
+        .status(400)
+        .json({ error: `A place can have at most ${MAX_PLACE_COUPONS} coupons` });
     }
-    console.log("[Admin] Login success:", user.email);
-    return res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-      },
-    });
+    const result = await createCoupon(req.body, placeId);
+    return res.status(result.status).json(result.body);
   } catch (err) {
-    console.error("[Admin] Login error:", err?.message, err);
-    return res.status(500).json({ error: err?.message || "Failed to login" });
+    console.error("api/vendor/coupons create error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to add coupon" });
   }
 });
 
 /**
- * GET /api/admin/dashboard/stats
- * Returns dashboard metrics: vendors, places, bookings, revenue, reviews.
+ * PATCH /api/vendor/coupons/:couponId
+ * Same fields as POST, all optional. Bookings that already used the code keep their discount.
  */
-app.get("/api/admin/dashboard/stats", async (req, res) => {
+app.patch("/api/vendor/coupons/:couponId", requireVendorAuth, [
+  v.uuidParam("couponId"),
+  ...couponBodyValidators(false),
+  handleValidationErrors,
+], async (req, res) => {
   try {
-    const [vendorsRes, placesRes, bookingsRes, revenueRes, reviewsRes] =
-      await Promise.all([
-        supabaseAdmin
-          .from("vendors")
-          .select("*", { count: "exact", head: true }),
-        supabaseAdmin
-          .from("places")
-          .select("*", { count: "exact", head: true }),
-        supabaseAdmin
-          .from("bookings")
-          .select("*", { count: "exact", head: true }),
-        supabaseAdmin
-          .from("bookings")
-          .select("amount_paid")
-          .in("payment_status", [
-            "PAID",
-            "paid",
-            "COMPLETED",
-            "completed",
-            "SUCCESS",
-            "success",
-          ]),
-        supabaseAdmin
-          .from("reviews")
-          .select("*", { count: "exact", head: true }),
-      ]);
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const result = await updateCoupon(req.params.couponId, req.body, placeId);
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("api/vendor/coupons update error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to update coupon" });
+  }
+});
 
-    const totalRevenue =
-      (revenueRes.data || []).reduce(
-        (sum, b) => sum + Number(b.amount_paid || 0),
-        0,
-      ) || 0;
+/**
+ * DELETE /api/vendor/coupons/:couponId
+ * Bookings that used the code keep coupon_code and discount_amount.
+ */
+app.delete("/api/vendor/coupons/:couponId", requireVendorAuth, [
+  v.uuidParam("couponId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const result = await deleteCoupon(req.params.couponId, placeId);
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("api/vendor/coupons delete error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to remove coupon" });
+  }
+});
 
+/**
+ * GET /api/vendor/earnings?limit=&offset=
+ * Earnings statement from the ledger: { currency, summary: { pending, settled, refunded, gross,
+ * commission, bookingCount }, entries, hasMore }. pending is owed, settled has been paid out and
+ * refunded is the vendor's share of customer refunds. entries are newest first.
+ */
+app.get("/api/vendor/earnings", requireVendorAuth, [
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be 1-100").toInt(),
+  query("offset").optional().isInt({ min: 0 }).withMessage("offset must be 0 or more").toInt(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const vendorId = req.vendorAuth.vendorId;
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+    const [totalsRes, pageRes] = await Promise.all([
+      supabaseAdmin
+        .from("vendor_ledger_entries")
+        .select("status, entry_type, gross_amount, commission_amount, vendor_refund_amount, net_payable")
+        .eq("vendor_id", vendorId),
+      supabaseAdmin
+        .from("vendor_ledger_entries")
+        .select(`${LEDGER_ENTRY_COLUMNS}, ${LEDGER_ENTRY_EMBEDS}`)
+        .eq("vendor_id", vendorId)
+        .order("captured_at", { ascending: false })
+        .range(offset, offset + limit),
+    ]);
+    if (totalsRes.error) throw totalsRes.error;
+    if (pageRes.error) throw pageRes.error;
+    const page = pageRes.data || [];
     return res.json({
-      vendorsCount: vendorsRes.count ?? 0,
-      placesCount: placesRes.count ?? 0,
-      bookingsCount: bookingsRes.count ?? 0,
-      totalRevenue: Math.round(totalRevenue * 100) / 100,
-      reviewsCount: reviewsRes.count ?? 0,
+      currency: "INR",
+      summary: summarizeLedger(totalsRes.data || []),
+      entries: page.slice(0, limit).map(formatLedgerEntry),
+      hasMore: page.length > limit,
     });
   } catch (err) {
-    console.error("[Admin] Dashboard stats error:", err?.message);
+    console.error("api/vendor/earnings error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to fetch dashboard stats" });
+      .json({ error: err?.message || "Failed to fetch earnings" });
   }
 });
 
 /**
- * GET /api/admin/dashboard/sales?period=daily|weekly|monthly
- * Returns sales data for the line chart. Default: daily, last 14 days.
+ * GET /api/vendor/payouts?limit=&offset=
+ * Payout history, newest first: { currency, payouts, hasMore, schedule }. schedule describes the
+ * payout cycle: { enabled, fundAccountLinked, cycleDays, holdDays, minAmount }.
+ */
+app.get("/api/vendor/payouts", requireVendorAuth, [
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be 1-100").toInt(),
+  query("offset").optional().isInt({ min: 0 }).withMessage("offset must be 0 or more").toInt(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const vendorId = req.vendorAuth.vendorId;
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+    const [vendorRes, pageRes] = await Promise.all([
+      supabaseAdmin.from("vendors").select("razorpay_fa_ref").eq("id", vendorId).maybeSingle(),
+      supabaseAdmin
+        .from("vendor_payouts")
+        .select(PAYOUT_COLUMNS)
+        .eq("vendor_id", vendorId)
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit),
+    ]);
+    if (vendorRes.error) throw vendorRes.error;
+    if (pageRes.error) throw pageRes.error;
+    const page = pageRes.data || [];
+    return res.json({
+      currency: "INR",
+      payouts: page.slice(0, limit).map(formatPayout),
+      hasMore: page.length > limit,
+      schedule: {
+        enabled: !!RAZORPAYX_ACCOUNT_NUMBER,
+        fundAccountLinked: !!vendorRes.data?.razorpay_fa_ref,
+        cycleDays: VENDOR_PAYOUT_CYCLE_DAYS,
+        holdDays: VENDOR_PAYOUT_HOLD_DAYS,
+        minAmount: VENDOR_PAYOUT_MIN_AMOUNT,
+      },
+    });
+  } catch (err) {
+    console.error("api/vendor/payouts error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch payouts" });
+  }
+});
+
+/**
+ * GET /api/vendor/analytics/revenue?range=today|week|month|year
+ * SUCCESS bookings bucketed by paid_at (booking time as fallback) in the venue timezone.
+ * Returns { range, currency, labels, totals, counts, totalRevenue, bookingCount,
+ *           previousTotalRevenue, previousBookingCount, trendPercentage }.
+ * trendPercentage is null when the previous period had no revenue.
  */
-app.get("/api/admin/dashboard/sales", async (req, res) => {
+app.get("/api/vendor/analytics/revenue", requireVendorAuth, [
+  query("range").optional().isIn(Object.keys(REVENUE_RANGES))
+    .withMessage(`range must be one of ${Object.keys(REVENUE_RANGES).join(", ")}`),
+  handleValidationErrors,
+], async (req, res) => {
   try {
-    const period = (req.query.period || "daily").toLowerCase();
-    const daysBack = period === "monthly" ? 90 : period === "weekly" ? 42 : 14;
-    const fromDate = new Date();
-    fromDate.setDate(fromDate.getDate() - daysBack);
-    fromDate.setHours(0, 0, 0, 0);
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const range = req.query.range || "month";
+
+    const { data: place, error: placeErr } = await supabaseAdmin
+      .from("places")
+      .select("timezone")
+      .eq("id", placeId)
+      .maybeSingle();
+    if (placeErr) throw placeErr;
+    const tz = place?.timezone || "UTC";
 
+    const { buckets, start, end, previousStart } = buildAnalyticsBuckets(range, tz);
+    const fromIso = previousStart.toUTC().toISO();
     const { data: bookings, error } = await supabaseAdmin
       .from("bookings")
-      .select("amount_paid, paid_at, booking_date_time")
-      .in("payment_status", [
-        "PAID",
-        "paid",
-        "COMPLETED",
-        "completed",
-        "SUCCESS",
-        "success",
-      ])
-      .not("amount_paid", "is", null);
-
+      .select("amount_paid, currency_paid, paid_at, booking_date_time")
+      .eq("place_id", placeId)
+      .in("payment_status", PAID_BOOKING_STATUSES)
+      .or(`paid_at.gte.${fromIso},and(paid_at.is.null,booking_date_time.gte.${fromIso})`);
     if (error) throw error;
 
-    const byKey = {};
-    const now = new Date();
-    const fmt = (d) => {
-      if (period === "monthly")
-        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-      if (period === "weekly") {
-        const weekStart = new Date(d);
-        weekStart.setDate(d.getDate() - d.getDay());
-        return `${weekStart.getFullYear()}-${String(weekStart.getMonth() + 1).padStart(2, "0")}-${String(weekStart.getDate()).padStart(2, "0")}`;
-      }
-      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
-    };
-    const labelFmt = (d) => {
-      if (period === "monthly")
-        return `${["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][d.getMonth()]} ${d.getMonth() === 0 ? d.getFullYear() : ""}`.trim();
-      if (period === "weekly")
-        return `${["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][d.getMonth()]} ${d.getDate()}`;
-      return `${["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][d.getMonth()]} ${d.getDate()}`;
-    };
-
-    for (let i = 0; i <= daysBack; i++) {
-      const d = new Date(fromDate);
-      d.setDate(d.getDate() + i);
-      const key = fmt(d);
-      if (!byKey[key]) byKey[key] = { date: d, total: 0 };
-    }
+    const totals = buckets.map(() => 0);
+    const counts = buckets.map(() => 0);
+    let previousTotalRevenue = 0;
+    let previousBookingCount = 0;
+    let currency = "INR";
 
     (bookings || []).forEach((b) => {
       const ts = b.paid_at || b.booking_date_time;
-      if (!ts) return;
-      const d = new Date(ts);
-      if (d < fromDate) return;
-      const key = fmt(d);
-      if (!byKey[key]) byKey[key] = { date: d, total: 0 };
-      byKey[key].total += Number(b.amount_paid || 0);
+      const at = ts ? DateTime.fromISO(ts, { zone: "utc" }) : null;
+      if (!at?.isValid || at >= end) return;
+      const amount = Number(b.amount_paid || 0);
+      if (b.currency_paid) currency = b.currency_paid;
+      if (at < start) {
+        if (at >= previousStart) {
+          previousTotalRevenue += amount;
+          previousBookingCount += 1;
+        }
+        return;
+      }
+      const idx = buckets.findIndex((bk) => at >= bk.start && at < bk.end);
+      if (idx === -1) return;
+      totals[idx] += amount;
+      counts[idx] += 1;
     });
 
-    const keys = Object.keys(byKey).sort();
-    const labels = keys.map((k) => labelFmt(byKey[k].date));
-    const data = keys.map((k) => Math.round(byKey[k].total * 100) / 100);
-
-    return res.json({ labels, data });
+    const totalRevenue = roundMoney(totals.reduce((sum, n) => sum + n, 0));
+    return res.json({
+      range,
+      currency,
+      labels: buckets.map((bk) => bk.label),
+      totals: totals.map(roundMoney),
+      counts,
+      totalRevenue,
+      bookingCount: counts.reduce((sum, n) => sum + n, 0),
+      previousTotalRevenue: roundMoney(previousTotalRevenue),
+      previousBookingCount,
+      trendPercentage: percentChange(totalRevenue, previousTotalRevenue),
+    });
   } catch (err) {
-    console.error("[Admin] Dashboard sales error:", err?.message);
+    console.error("api/vendor/analytics/revenue error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to fetch sales data" });
+      .json({ error: err?.message || "Failed to fetch revenue analytics" });
   }
 });
 
 /**
- * GET /api/vendor/bookings
- * Returns bookings with user details. placeId from JWT.
+ * GET /api/vendor/analytics/occupancy?range=week|month|quarter
+ * Hourly slot utilisation from the place's opening hours and paid bookings (see computeOccupancy):
+ * per day, per weekday, per hour of day, a weekday × hour heatmap, and peak / dead slots.
  */
-app.get("/api/vendor/bookings", requireVendorAuth, async (req, res) => {
+app.get("/api/vendor/analytics/occupancy", requireVendorAuth, [
+  query("range").optional().isIn(Object.keys(OCCUPANCY_RANGE_DAYS))
+    .withMessage(`range must be one of ${Object.keys(OCCUPANCY_RANGE_DAYS).join(", ")}`),
+  handleValidationErrors,
+], async (req, res) => {
   try {
     const placeId = req.vendorAuth.placeId;
     if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const range = req.query.range || "month";
+    const days = OCCUPANCY_RANGE_DAYS[range];
+
+    const place = await fetchPlaceForBooking(placeId);
+    if (!place) return res.status(404).json({ error: "Place not found" });
+
+    // One extra day on each side so bookings near midnight survive the timezone shift
+    const tz = place.timezone || "UTC";
+    const today = DateTime.now().setZone(tz).startOf("day");
     const { data: bookings, error } = await supabaseAdmin
       .from("bookings")
-      .select("*")
-      .eq("place_id", placeId);
+      .select("booking_date_time, duration_hours, duration_minutes")
+      .eq("place_id", placeId)
+      .in("payment_status", OCCUPANCY_STATUSES)
+      .gte("booking_date_time", today.minus({ days: days + 1 }).toUTC().toISO())
+      .lt("booking_date_time", today.plus({ days: 2 }).toUTC().toISO());
     if (error) throw error;
-    const list = bookings || [];
-    const withUsers = await Promise.all(
-      list.map(async (b) => {
-        if (!b.user_id) {
-          return {
-            ...b,
-            user_first_name: null,
-            user_last_name: null,
-            user_phone_number: null,
-            user_email: null,
-          };
-        }
-        const { data: u } = await supabaseAdmin
-          .from("users")
-          .select("first_name, last_name, phone_number, email")
-          .eq("id", b.user_id)
-          .single();
-        return {
-          ...b,
-          user_first_name: u?.first_name || null,
-          user_last_name: u?.last_name || null,
-          user_phone_number: u?.phone_number || null,
-          user_email: u?.email || null,
-        };
-      }),
-    );
-    return res.json(withUsers);
+
+    return res.json({ range, ...computeOccupancy(place, bookings, days) });
   } catch (err) {
-    console.error("api/vendor/bookings error:", err);
+    console.error("api/vendor/analytics/occupancy error:", err);
     return res
       .status(500)
-      .json({ error: err?.message || "Failed to fetch bookings" });
+      .json({ error: err?.message || "Failed to fetch occupancy analytics" });
   }
 });
 
@@ -2406,7 +9171,11 @@ app.get("/api/vendor/place", requireVendorAuth, async (req, res) => {
       .eq("id", placeId)
       .single();
     if (error) throw error;
-    return res.json(data || null);
+    if (!data) return res.json(null);
+    return res.json({
+      ...data,
+      cancellation_policy: resolveCancellationPolicy(data),
+    });
   } catch (err) {
     console.error("api/vendor/place error:", err);
     return res
@@ -2418,6 +9187,14 @@ app.get("/api/vendor/place", requireVendorAuth, async (req, res) => {
 /**
  * PATCH /api/vendor/place
  * Body: { ...updateFields } — placeId from JWT
+ * cancellation_policy: { preset: flexible|moderate|strict|custom, tiers? } — validated and normalised.
+ * hours_overrides: [{ date, closed } | { date, open, close }] — see normalizeHoursOverrides.
+ * slot_minutes, min_duration_minutes, max_duration_minutes, buffer_minutes — checked together
+ * (with the stored values for any not sent) by normalizeSlotSettings.
+ * guest_capacity (null = no capacity), capacity_overrides: [{ start, end, capacity }] — checked
+ * together by normalizeCapacitySettings.
+ * pricing_rules: [{ label, days, start, end, from, to, min_guests, max_guests, type, value }] — see
+ * normalizePricingRules.
  */
 app.patch("/api/vendor/place", requireVendorAuth, [
   v.longStr("description", "Description"),
@@ -2434,12 +9211,57 @@ app.patch("/api/vendor/place", requireVendorAuth, [
   v.shortStr("country", "Country"),
   v.postalCode("postal_code"),
   v.phone("phone_number", "Phone number"),
+  body("cancellation_policy").optional().custom((value) => {
+    normalizeCancellationPolicy(value);
+    return true;
+  }),
+  body("hours_overrides").optional({ values: "null" }).custom((value) => {
+    normalizeHoursOverrides(value);
+    return true;
+  }),
+  body("pricing_rules").optional({ values: "null" }).custom((value) => {
+    normalizePricingRules(value);
+    return true;
+  }),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const placeId = req.vendorAuth.placeId;
     const { placeId: _clientPlaceId, ...patch } = req.body || {};
     if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    if (patch.cancellation_policy !== undefined) {
+      patch.cancellation_policy = normalizeCancellationPolicy(
+        patch.cancellation_policy,
+      );
+    }
+    if (patch.hours_overrides !== undefined) {
+      patch.hours_overrides = normalizeHoursOverrides(patch.hours_overrides);
+    }
+    if (patch.pricing_rules !== undefined) {
+      patch.pricing_rules = normalizePricingRules(patch.pricing_rules);
+    }
+    // Column groups validated together, with the stored values for any column not sent
+    for (const [columns, normalize] of [
+      [SLOT_SETTING_COLUMNS, normalizeSlotSettings],
+      [CAPACITY_SETTING_COLUMNS, normalizeCapacitySettings],
+    ]) {
+      const sent = columns.filter((k) => patch[k] !== undefined);
+      if (sent.length === 0) continue;
+      const { data: current, error: currentErr } = await supabaseAdmin
+        .from("places")
+        .select(columns.join(", "))
+        .eq("id", placeId)
+        .maybeSingle();
+      if (currentErr) throw currentErr;
+      try {
+        Object.assign(
+          patch,
+          normalize(Object.fromEntries(sent.map((k) => [k, patch[k]])), current || {}),
+        );
+      } catch (settingsErr) {
+        return res.status(400).json({ error: settingsErr.message });
+      }
+    }
     const { error } = await supabaseAdmin
       .from("places")
       .update({ ...patch, updated_at: new Date().toISOString() })
@@ -2587,6 +9409,9 @@ app.delete("/api/vendor/gallery", requireVendorAuth, [
 
 /**
  * GET /api/vendor/profile
+ * Payout details are masked (account_number "XXXX1234"); POST /api/vendor/payout-details/reveal
+ * returns them in full. fund_account_linked: payouts can be sent to the payout_method's RazorpayX
+ * fund account.
  */
 app.get("/api/vendor/profile", requireVendorAuth, async (req, res) => {
   try {
@@ -2594,12 +9419,17 @@ app.get("/api/vendor/profile", requireVendorAuth, async (req, res) => {
     const { data, error } = await supabaseAdmin
       .from("vendors")
       .select(
-        "id, business_name, vendor_full_name, vendor_phone_number, vendor_email, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, place_id, account_holder_name, account_number, ifsc_code, upi_id",
+        "id, business_name, vendor_full_name, vendor_phone_number, vendor_email, vendor_address, vendor_city, vendor_state, vendor_country, vendor_postal_code, place_id, account_holder_name, account_number, ifsc_code, upi_id, payout_method, bank_name, bank_branch, razorpay_fa_ref",
       )
       .eq("id", vendorId)
       .single();
     if (error) throw error;
-    return res.json(data || null);
+    if (!data) return res.json(null);
+    const { razorpay_fa_ref: faRef, ...profile } = data;
+    return res.json({
+      ...maskVendorPayoutDetails(decryptVendorFields(profile)),
+      fund_account_linked: !!faRef,
+    });
   } catch (err) {
     console.error("api/vendor/profile error:", err);
     return res
@@ -2608,10 +9438,61 @@ app.get("/api/vendor/profile", requireVendorAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/vendor/payout-details/reveal
+ * Body: { currentPassword }
+ * Unmasked payout details after re-authentication:
+ * { account_holder_name, account_number, ifsc_code, upi_id }.
+ */
+app.post("/api/vendor/payout-details/reveal", authLimiter, requireVendorAuth, [
+  body("currentPassword").optional().isString().isLength({ max: MAX_MEDIUM }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const vendorId = req.vendorAuth.vendorId;
+    const reauth = await checkVendorReauth(vendorId, req.body?.currentPassword);
+    if (reauth) return res.status(reauth.status).json(reauth.body);
+    const { data, error } = await supabaseAdmin
+      .from("vendors")
+      .select("account_holder_name, account_number, ifsc_code, upi_id")
+      .eq("id", vendorId)
+      .single();
+    if (error) throw error;
+    return res.json(decryptVendorFields(data));
+  } catch (err) {
+    console.error("api/vendor/payout-details/reveal error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch payout details" });
+  }
+});
+
+/**
+ * GET /api/vendor/ifsc/:code
+ * Bank and branch of an IFSC code from the bundled dataset (lookupIfsc). 400 for a malformed
+ * code; bank / branch are null when the dataset does not know them.
+ */
+app.get("/api/vendor/ifsc/:code", requireVendorAuth, [
+  param("code").trim().toUpperCase().matches(IFSC_RE)
+    .withMessage("Enter a valid IFSC code (e.g. HDFC0001234)"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    return res.json(await lookupIfsc(req.params.code));
+  } catch (err) {
+    console.error("api/vendor/ifsc error:", err);
+    return res.status(500).json({ error: "Failed to look up the IFSC code" });
+  }
+});
+
 /**
  * PATCH /api/vendor/profile
- * Body: { ...updateFields } — vendorId from JWT
- * After saving bank details (upi_id), creates Razorpay fund account for payouts.
+ * Body: { ...updateFields, payout_method? } — vendorId from JWT
+ * Saving payout details (upi_id, or account_holder_name / account_number / ifsc_code) creates
+ * RazorpayX fund accounts for them (syncVendorFundAccounts). payout_method ("upi" | "bank_account")
+ * picks the primary one and needs that method's details saved. Payout details are stored
+ * encrypted; once any are saved, changing them (or payout_method) needs currentPassword.
+ * Returns { success, payoutMethod?, fundAccountLinked? } (the last two after payout changes).
  */
 app.patch("/api/vendor/profile", requireVendorAuth, [
   v.medStr("vendor_full_name", "Full name"),
@@ -2622,80 +9503,74 @@ app.patch("/api/vendor/profile", requireVendorAuth, [
   v.shortStr("vendor_country", "Country"),
   v.postalCode("vendor_postal_code"),
   v.medStr("account_holder_name", "Account holder name"),
-  v.medStr("account_number", "Account number"),
-  v.shortStr("ifsc_code", "IFSC code"),
-  v.medStr("upi_id", "UPI ID"),
+  body("account_number").optional({ values: "falsy" }).trim()
+    .matches(ACCOUNT_NUMBER_RE).withMessage("Account number must be 9-18 digits"),
+  body("ifsc_code").optional({ values: "falsy" }).trim().toUpperCase()
+    .matches(IFSC_RE).withMessage("Enter a valid IFSC code (e.g. HDFC0001234)"),
+  body("upi_id").optional({ values: "falsy" }).trim()
+    .isLength({ max: MAX_MEDIUM }).withMessage(`UPI ID too long (max ${MAX_MEDIUM} chars)`)
+    .matches(UPI_RE).withMessage("Enter a valid UPI ID (e.g. name@okhdfcbank)"),
+  body("payout_method").optional().isIn(PAYOUT_METHODS)
+    .withMessage(`payout_method must be one of ${PAYOUT_METHODS.join(", ")}`),
+  body("currentPassword").optional().isString().isLength({ max: MAX_MEDIUM }),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const vendorId = req.vendorAuth.vendorId;
-    const { vendorId: _clientVendorId, ...patch } = req.body || {};
-    const { error } = await supabaseAdmin
-      .from("vendors")
-      .update({ ...patch, updated_at: new Date().toISOString() })
-      .eq("id", vendorId);
-    if (error) throw error;
+    const {
+      vendorId: _clientVendorId,
+      currentPassword,
+      // Set by the backend only
+      razorpay_contact_ref: _contactRef,
+      razorpay_fa_ref: _faRef,
+      razorpay_vpa_fa_ref: _vpaRef,
+      razorpay_bank_fa_ref: _bankRef,
+      bank_name: _bankName,
+      bank_branch: _bankBranch,
+      ...patch
+    } = req.body || {};
+    const payoutFields = [...BANK_ACCOUNT_FIELDS, "upi_id", "payout_method"].filter(
+      (f) => f in patch,
+    );
 
-    // Create Razorpay fund account when UPI is set (for bank details onboarding)
-    const hasBankUpdate = "upi_id" in patch || "account_holder_name" in patch;
-    if (hasBankUpdate && patch.upi_id) {
-      const { data: vendor } = await supabaseAdmin
+    if (payoutFields.length > 0) {
+      const { data: saved, error: currentErr } = await supabaseAdmin
         .from("vendors")
-        .select("razorpay_contact_ref, upi_id")
+        .select("account_holder_name, account_number, ifsc_code, upi_id")
         .eq("id", vendorId)
         .single();
-      if (vendor?.razorpay_contact_ref && vendor?.upi_id) {
-        try {
-          const auth = Buffer.from(
-            `${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`,
-          ).toString("base64");
-          const faPayload = {
-            account_type: "vpa",
-            contact_id: vendor.razorpay_contact_ref,
-            vpa: { address: String(vendor.upi_id).trim() },
-          };
-          const faRes = await fetch(
-            "https://api.razorpay.com/v1/fund_accounts",
-            {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-                Authorization: `Basic ${auth}`,
-              },
-              body: JSON.stringify(faPayload),
-            },
-          );
-          const faData = await faRes.json().catch(() => ({}));
-          if (faRes.ok && faData?.id) {
-            const { error: faUpdateErr } = await supabaseAdmin
-              .from("vendors")
-              .update({ razorpay_fa_ref: faData.id })
-              .eq("id", vendorId);
-            if (faUpdateErr) {
-              console.warn(
-                "[Razorpay] Failed to save razorpay_fa_id:",
-                faUpdateErr.message,
-              );
-            } else {
-              console.log(
-                "[Razorpay] Fund account created and saved:",
-                faData.id,
-              );
-            }
-          } else {
-            console.warn(
-              "[Razorpay] Fund account creation failed:",
-              faRes.status,
-              faData,
-            );
-          }
-        } catch (faErr) {
-          console.warn("[Razorpay] Fund account error:", faErr?.message);
-        }
+      if (currentErr) throw currentErr;
+      const current = decryptVendorFields(saved);
+      // First-time setup (onboarding) needs no password; changing saved details does
+      if (ENCRYPTED_VENDOR_FIELDS.some((f) => current[f])) {
+        const reauth = await checkVendorReauth(vendorId, currentPassword);
+        if (reauth) return res.status(reauth.status).json(reauth.body);
+      }
+      if (patch.payout_method) {
+        const missing = missingPayoutDetails(patch.payout_method, { ...current, ...patch });
+        if (missing) return res.status(400).json({ error: missing });
       }
     }
+    if ("ifsc_code" in patch) {
+      const ifsc = await lookupIfsc(patch.ifsc_code);
+      patch.bank_name = ifsc?.bank || null;
+      patch.bank_branch = ifsc?.branch || null;
+    }
 
-    return res.json({ success: true });
+    const { error } = await supabaseAdmin
+      .from("vendors")
+      .update({ ...encryptVendorFields(patch), updated_at: new Date().toISOString() })
+      .eq("id", vendorId);
+    if (error) throw error;
+
+    if (payoutFields.length === 0) return res.json({ success: true });
+    let payout = {};
+    try {
+      payout = await syncVendorFundAccounts(vendorId, payoutFields);
+    } catch (syncErr) {
+      console.warn("[Razorpay] Fund account sync failed:", syncErr?.message || syncErr);
+    }
+    return res.json({ success: true, ...payout });
   } catch (err) {
     console.error("api/vendor/profile PATCH error:", err);
     return res
@@ -2707,7 +9582,8 @@ app.patch("/api/vendor/profile", requireVendorAuth, [
 /**
  * PATCH /api/vendor/password
  * Body: { vendorId, currentPassword, newPassword }
- * Updates custom hash AND syncs to Supabase Auth.
+ * Updates custom hash AND syncs to Supabase Auth, then signs out the vendor's other sessions.
+ * Returns { success, revokedSessions }.
  */
 app.patch("/api/vendor/password", requireVendorAuth, [
   v.currentPassword,
@@ -2758,7 +9634,8 @@ app.patch("/api/vendor/password", requireVendorAuth, [
       }
     }
 
-    return res.json({ success: true });
+    const revokedSessions = await revokeOtherSessionsAfterPasswordChange(req.vendorAuth);
+    return res.json({ success: true, revokedSessions });
   } catch (err) {
     console.error("api/vendor/password error:", err);
     return res
@@ -2767,6 +9644,76 @@ app.patch("/api/vendor/password", requireVendorAuth, [
   }
 });
 
+/**
+ * GET /api/vendor/sessions
+ * Signed-in devices of this account: { sessions: [{ id, current, app, deviceName, platform,
+ * osVersion, appVersion, ipAddress, createdAt, lastActiveAt }] }, most recently active first.
+ */
+app.get("/api/vendor/sessions", requireVendorAuth, async (req, res) => {
+  try {
+    const sessions = await listAuthSessions(req.vendorAuth.authUserId, req.vendorAuth.sessionId);
+    return res.json({ sessions });
+  } catch (err) {
+    console.error("api/vendor/sessions error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to fetch sessions" });
+  }
+});
+
+/**
+ * POST /api/vendor/sessions/current
+ * Body: { deviceName?, platform?, osVersion?, appVersion? }
+ * Labels the calling session with its device; the app sends this after signing in.
+ */
+app.post("/api/vendor/sessions/current", requireVendorAuth, [
+  ...sessionDeviceValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    await saveSessionDevice(req.vendorAuth, "vendor", req.body || {});
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/vendor/sessions/current error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to save session" });
+  }
+});
+
+/**
+ * DELETE /api/vendor/sessions/:sessionId
+ * Signs out another device of this account. Use logout for the current one.
+ */
+app.delete("/api/vendor/sessions/:sessionId", requireVendorAuth, [
+  v.uuidParam("sessionId"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (sessionId === req.vendorAuth.sessionId) {
+      return res.status(400).json({ error: "Log out to end the session on this device" });
+    }
+    const revoked = await revokeAuthSessions(req.vendorAuth.authUserId, { sessionIds: [sessionId] });
+    if (revoked === 0) return res.status(404).json({ error: "Session not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("api/vendor/sessions/:sessionId error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to sign out device" });
+  }
+});
+
+/**
+ * POST /api/vendor/sessions/logout-all
+ * Signs out every device of this account, this one included; the app then clears its local
+ * session. Returns { revoked } (number of sessions signed out).
+ */
+app.post("/api/vendor/sessions/logout-all", requireVendorAuth, async (req, res) => {
+  try {
+    const revoked = await revokeAuthSessions(req.vendorAuth.authUserId);
+    return res.json({ success: true, revoked });
+  } catch (err) {
+    console.error("api/vendor/sessions/logout-all error:", err);
+    return res.status(500).json({ error: err?.message || "Failed to sign out everywhere" });
+  }
+});
+
 /**
  * PATCH /api/vendor/push-token
  * Body: { push_token }
@@ -2797,7 +9744,7 @@ app.patch("/api/vendor/push-token", requireVendorAuth, [
 
 /**
  * GET /api/vendor/onboarding-status
- * Returns { placeDetailsComplete, bankDetailsComplete }
+ * Returns { placeDetailsComplete, bankDetailsComplete, preferencesComplete, verificationStatus }
  */
 app.get("/api/vendor/onboarding-status", requireVendorAuth, async (req, res) => {
   try {
@@ -2814,12 +9761,13 @@ app.get("/api/vendor/onboarding-status", requireVendorAuth, async (req, res) =>
         placeDetailsComplete: false,
         bankDetailsComplete: false,
         preferencesComplete: false,
+        verificationStatus: null,
       });
     }
     const { data: place } = await supabaseAdmin
       .from("places")
       .select(
-        "description, website, hours, avg_price, amenities, location_map_link, allow_overlapping_bookings, allow_multiple_hours_booking, charge_per_guest",
+        "description, website, hours, avg_price, amenities, location_map_link, allow_overlapping_bookings, allow_multiple_hours_booking, charge_per_guest, verification_status",
       )
       .eq("id", vendor.place_id)
       .single();
@@ -2848,6 +9796,7 @@ app.get("/api/vendor/onboarding-status", requireVendorAuth, async (req, res) =>
       placeDetailsComplete: !!hasPlaceDetails,
       bankDetailsComplete: !!hasBankDetails,
       preferencesComplete: !!hasPreferences,
+      verificationStatus: place?.verification_status ?? null,
     });
   } catch (err) {
     console.error("api/vendor/onboarding-status error:", err);
@@ -2857,6 +9806,152 @@ app.get("/api/vendor/onboarding-status", requireVendorAuth, async (req, res) =>
   }
 });
 
+/**
+ * GET /api/vendor/verification
+ * Verification state of the vendor's place: { status, submittedAt, reviewedAt, rejectionReasons,
+ * documents: [{ type, label, uploaded, status, rejectionReason, uploadedAt }], canSubmit }.
+ */
+app.get("/api/vendor/verification", requireVendorAuth, async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const { data: place, error } = await supabaseAdmin
+      .from("places")
+      .select(PLACE_VERIFICATION_COLUMNS)
+      .eq("id", placeId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!place) return res.status(404).json({ error: "Place not found" });
+    const documents = await fetchPlaceDocuments(placeId);
+    return res.json(formatPlaceVerification(place, documents));
+  } catch (err) {
+    console.error("api/vendor/verification error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to fetch verification status" });
+  }
+});
+
+/**
+ * POST /api/vendor/verification/documents
+ * Body: { docType: gst | pan | ownership_proof, base64 } (JPEG photo or scan).
+ * Uploads the document to the private vendor_documents bucket, replacing any earlier upload of
+ * that type. Only while the place is DRAFT or REJECTED. Returns the verification state.
+ */
+app.post("/api/vendor/verification/documents", requireVendorAuth, [
+  body("docType").isIn(PLACE_DOCUMENT_TYPES)
+    .withMessage(`docType must be one of ${PLACE_DOCUMENT_TYPES.join(", ")}`),
+  v.base64("base64"),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const { docType, base64 } = req.body;
+    const { data: place, error: placeErr } = await supabaseAdmin
+      .from("places")
+      .select(PLACE_VERIFICATION_COLUMNS)
+      .eq("id", placeId)
+      .maybeSingle();
+    if (placeErr) throw placeErr;
+    if (!place) return res.status(404).json({ error: "Place not found" });
+    if (place.verification_status === "PENDING_REVIEW") {
+      return res.status(409).json({ error: "Your documents are being reviewed and cannot be changed now" });
+    }
+    if (place.verification_status === "APPROVED") {
+      return res.status(409).json({ error: "Your place is already verified" });
+    }
+
+    const existing = (await fetchPlaceDocuments(placeId)).find((d) => d.doc_type === docType);
+    const fileName = `${placeId}/${docType}-${Date.now()}.jpg`;
+    const { data: uploadData, error: uploadErr } = await supabaseAdmin.storage
+      .from(DOCUMENTS_BUCKET)
+      .upload(fileName, Buffer.from(base64, "base64"), {
+        contentType: "image/jpeg",
+        upsert: false,
+      });
+    if (uploadErr) throw uploadErr;
+
+    const { error: docErr } = await supabaseAdmin.from("place_documents").upsert(
+      {
+        place_id: placeId,
+        doc_type: docType,
+        storage_path: uploadData.path,
+        status: "submitted",
+        rejection_reason: null,
+        uploaded_at: new Date().toISOString(),
+        reviewed_at: null,
+      },
+      { onConflict: "place_id,doc_type" },
+    );
+    if (docErr) throw docErr;
+    if (existing?.storage_path && existing.storage_path !== uploadData.path) {
+      const { error: removeErr } = await supabaseAdmin.storage
+        .from(DOCUMENTS_BUCKET)
+        .remove([existing.storage_path]);
+      if (removeErr) console.warn("Could not remove old document:", removeErr.message);
+    }
+
+    const documents = await fetchPlaceDocuments(placeId);
+    return res.json(formatPlaceVerification(place, documents));
+  } catch (err) {
+    console.error("api/vendor/verification/documents error:", err);
+    return res.status(500).json({ error: err?.message || "Upload failed" });
+  }
+});
+
+/**
+ * POST /api/vendor/verification/submit
+ * Sends the uploaded documents for review (DRAFT or REJECTED → PENDING_REVIEW). Every document
+ * must be uploaded and none still flagged by the last review. Returns the verification state.
+ */
+app.post("/api/vendor/verification/submit", requireVendorAuth, async (req, res) => {
+  try {
+    const placeId = req.vendorAuth.placeId;
+    if (!placeId) return res.status(400).json({ error: "No place linked to vendor" });
+    const { data: place, error: placeErr } = await supabaseAdmin
+      .from("places")
+      .select(PLACE_VERIFICATION_COLUMNS)
+      .eq("id", placeId)
+      .maybeSingle();
+    if (placeErr) throw placeErr;
+    if (!place) return res.status(404).json({ error: "Place not found" });
+    const documents = await fetchPlaceDocuments(placeId);
+    const verification = formatPlaceVerification(place, documents);
+    if (!verification.canSubmit) {
+      const missing = verification.documents
+        .filter((d) => !d.uploaded || d.status === "rejected")
+        .map((d) => d.label);
+      return res.status(409).json({
+        error: missing.length > 0
+          ? `Upload ${missing.join(", ")} before submitting`
+          : "Your place has already been submitted",
+      });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from("places")
+      .update({
+        verification_status: "PENDING_REVIEW",
+        verification_submitted_at: new Date().toISOString(),
+        verification_rejection_reasons: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", placeId)
+      .eq("verification_status", place.verification_status)
+      .select(PLACE_VERIFICATION_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!updated) return res.status(409).json({ error: "Your place has already been submitted" });
+    return res.json(formatPlaceVerification(updated, documents));
+  } catch (err) {
+    console.error("api/vendor/verification/submit error:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message || "Failed to submit for review" });
+  }
+});
+
 // Storage upload: backend receives base64 and uploads to Supabase Storage
 const BUCKET = "places_images";
 app.post("/api/vendor/upload-banner", requireVendorAuth, [
@@ -2956,6 +10051,191 @@ app.post("/api/vendor/storage/remove", requireVendorAuth, [
   }
 });
 
+// ---------- Booking hold expiry ----------
+
+let holdSweepRunning = false;
+
+/**
+ * Expire PENDING bookings whose hold_expires_at has passed, releasing their slots (a PENDING
+ * booking keeps its slot until this runs). Each order is reconciled with Razorpay first: a
+ * captured payment marks the booking SUCCESS (late payment, e.g. the app crashed before verify),
+ * an authorized one extends the hold so capture can finish. Updates are conditional on payment_status still being PENDING so a
+ * concurrent webhook or verify call always wins.
+ */
+async function expireStaleBookingHolds() {
+  if (holdSweepRunning) return;
+  holdSweepRunning = true;
+  try {
+    const { data: stale, error } = await supabaseAdmin
+      .from("bookings")
+      .select("*")
+      .eq("payment_status", "PENDING")
+      .lt("hold_expires_at", new Date().toISOString())
+      .order("hold_expires_at", { ascending: true })
+      .limit(50);
+    if (error) throw error;
+
+    for (const booking of stale || []) {
+      try {
+        let payments = [];
+        if (booking.razorpay_order_id) {
+          const res = await razorpay.orders.fetchPayments(booking.razorpay_order_id);
+          payments = res?.items || [];
+        }
+
+        const captured = payments.find((p) => p.status === "captured");
+        if (captured) {
+          const paid = await markBookingPaid(booking, captured, {
+            note: "Late payment reconciled",
+            metadata: { paymentId: captured.id },
+          });
+          if (paid) console.log("[Holds] Late payment reconciled:", booking.id);
+          continue;
+        }
+
+        if (payments.some((p) => p.status === "authorized")) {
+          await supabaseAdmin
+            .from("bookings")
+            .update({
+              hold_expires_at: new Date(
+                Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000,
+              ).toISOString(),
+              updated_at: new Date().toISOString(),
+            })
+            .eq("id", booking.id)
+            .eq("payment_status", "PENDING");
+          continue;
+        }
+
+        const expired = await transitionBookingStatus(booking, "EXPIRED", {
+          patch: { payment_error: "Payment not completed before the hold expired" },
+          note: "Payment not completed before the hold expired",
+        });
+        if (expired) console.log("[Holds] Expired booking hold:", booking.id);
+      } catch (bookingErr) {
+        // Leave the row PENDING; it is retried on the next sweep
+        console.warn(
+          "[Holds] Could not reconcile booking",
+          booking.id,
+          bookingErr?.message || bookingErr,
+        );
+      }
+    }
+  } catch (err) {
+    console.error("[Holds] Sweep failed:", err?.message || err);
+  } finally {
+    holdSweepRunning = false;
+  }
+}
+
+/**
+ * Poll Razorpay for refunds still in flight and mark their bookings REFUNDED once processed.
+ */
+async function reconcilePendingRefunds() {
+  try {
+    const { data: pending, error } = await supabaseAdmin
+      .from("bookings")
+      .select("id, payment_status, razorpay_payment_id, razorpay_refund_id")
+      .eq("payment_status", "REFUND_PENDING")
+      .not("razorpay_refund_id", "is", null)
+      .limit(50);
+    if (error) throw error;
+
+    for (const booking of pending || []) {
+      try {
+        const rpRefund = await razorpay.payments.fetchRefund(
+          booking.razorpay_payment_id,
+          booking.razorpay_refund_id,
+        );
+        if (rpRefund?.status === "processed") {
+          await transitionBookingStatus(booking, "REFUNDED", {
+            patch: { refund_status: "processed", refunded_at: new Date().toISOString() },
+            note: "Refund processed",
+            metadata: { refundId: booking.razorpay_refund_id },
+          });
+        } else if (rpRefund?.status === "failed") {
+          await supabaseAdmin
+            .from("bookings")
+            .update({ refund_status: "failed", updated_at: new Date().toISOString() })
+            .eq("id", booking.id);
+        }
+      } catch (refundErr) {
+        console.warn(
+          "[Refunds] Could not fetch refund for booking",
+          booking.id,
+          refundErr?.message || refundErr,
+        );
+      }
+    }
+  } catch (err) {
+    console.error("[Refunds] Reconciliation failed:", err?.message || err);
+  }
+}
+
+/**
+ * Write ledger entries that the payment paths could not (recordLedgerEntrySafely logged an error):
+ * captured bookings whose amount_received_by_vendor is still NULL. Gateway fees are fetched from
+ * Razorpay when it answers.
+ */
+async function recordMissingLedgerEntries() {
+  try {
+    const { data: missing, error } = await supabaseAdmin
+      .from("bookings")
+      .select("*")
+      .in("payment_status", PAID_BOOKING_STATUSES)
+      .is("amount_received_by_vendor", null)
+      .not("razorpay_payment_id", "is", null)
+      .order("paid_at", { ascending: true })
+      .limit(50);
+    if (error) throw error;
+
+    for (const booking of missing || []) {
+      let payment = null;
+      try {
+        payment = await razorpay.payments.fetch(booking.razorpay_payment_id);
+      } catch (fetchErr) {
+        console.warn("[Ledger] Could not fetch payment for booking", booking.id, fetchErr?.message);
+      }
+      await recordLedgerEntrySafely(booking, payment);
+    }
+  } catch (err) {
+    console.error("[Ledger] Backfill failed:", err?.message || err);
+  }
+}
+
+/**
+ * Mark paid bookings COMPLETED once BOOKING_AUTO_COMPLETE_HOURS have passed since they ended, for
+ * vendors who do not check guests in or out. Bookings marked NO_SHOW are left alone.
+ */
+async function completeFinishedBookings() {
+  try {
+    const cutoff = DateTime.now().minus({ hours: BOOKING_AUTO_COMPLETE_HOURS });
+    // Started before the cutoff; whether they also ended before it depends on the duration
+    const { data: candidates, error } = await supabaseAdmin
+      .from("bookings")
+      .select("id, payment_status, booking_date_time, duration_hours, duration_minutes")
+      .in("payment_status", ["SUCCESS", "CHECKED_IN"])
+      .lt("booking_date_time", cutoff.toUTC().toISO())
+      .order("booking_date_time", { ascending: true })
+      .limit(100);
+    if (error) throw error;
+
+    for (const booking of candidates || []) {
+      const end = DateTime.fromISO(booking.booking_date_time).plus({
+        minutes: bookingDurationMinutes(booking),
+      });
+      if (end > cutoff) continue;
+      try {
+        await transitionBookingStatus(booking, "COMPLETED", { note: "Completed automatically" });
+      } catch (bookingErr) {
+        console.warn("[Bookings] Could not complete booking", booking.id, bookingErr?.message);
+      }
+    }
+  } catch (err) {
+    console.error("[Bookings] Auto-complete failed:", err?.message || err);
+  }
+}
+
 // ---------- Start ----------
 // 404 handler - helps debug Postman 404s
 app.use((req, res) => {
@@ -2971,29 +10251,47 @@ app.use((req, res) => {
 // 0.0.0.0 = accept connections from any interface (needed for Android/device testing)
 const HOST = process.env.HOST || "0.0.0.0";
 
-const server = app.listen(PORT, HOST, () => {
-  console.log(
-    `✅ Spotnere backend running on http://localhost:${PORT} (also http://192.168.x.x:${PORT} on network)`,
-  );
-});
+// Only `node server.js` listens and starts the sweeps; the tests (test/) import the app instead
+const isMainModule =
+  !!process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
 
-server.on("error", (err) => {
-  console.error("❌ Server error:", err);
-  if (err.code === "EADDRINUSE") {
-    console.error(`   Port ${PORT} is already in use. Try a different PORT.`);
-  } else if (err.code === "EACCES" || err.code === "EPERM") {
-    console.error(
-      `   Permission denied. Try PORT > 1024 or run with appropriate permissions.`,
+if (isMainModule) {
+  const server = app.listen(PORT, HOST, () => {
+    console.log(
+      `✅ Spotnere backend running on http://localhost:${PORT} (also http://192.168.x.x:${PORT} on network)`,
     );
-  }
-  process.exit(1);
-});
+    encryptLegacyVendorPayoutDetails();
+    setInterval(expireStaleBookingHolds, BOOKING_HOLD_SWEEP_INTERVAL_MS);
+    setInterval(reconcilePendingRefunds, BOOKING_HOLD_SWEEP_INTERVAL_MS * 5);
+    setInterval(recordMissingLedgerEntries, BOOKING_HOLD_SWEEP_INTERVAL_MS * 5);
+    setInterval(completeFinishedBookings, BOOKING_HOLD_SWEEP_INTERVAL_MS * 5);
+    if (RAZORPAYX_ACCOUNT_NUMBER) {
+      setInterval(runVendorPayouts, BOOKING_HOLD_SWEEP_INTERVAL_MS * 60);
+    } else {
+      console.warn("⚠️  RAZORPAYX_ACCOUNT_NUMBER not set: automated vendor payouts are off");
+    }
+  });
 
-// Prevent silent exit from uncaught errors
-process.on("uncaughtException", (err) => {
-  console.error("❌ Uncaught exception:", err);
-  process.exit(1);
-});
-process.on("unhandledRejection", (reason, p) => {
-  console.error("❌ Unhandled rejection:", reason);
-});
+  server.on("error", (err) => {
+    console.error("❌ Server error:", err);
+    if (err.code === "EADDRINUSE") {
+      console.error(`   Port ${PORT} is already in use. Try a different PORT.`);
+    } else if (err.code === "EACCES" || err.code === "EPERM") {
+      console.error(
+        `   Permission denied. Try PORT > 1024 or run with appropriate permissions.`,
+      );
+    }
+    process.exit(1);
+  });
+
+  // Prevent silent exit from uncaught errors
+  process.on("uncaughtException", (err) => {
+    console.error("❌ Uncaught exception:", err);
+    process.exit(1);
+  });
+  process.on("unhandledRejection", (reason, p) => {
+    console.error("❌ Unhandled rejection:", reason);
+  });
+}
+
+export { app, applyRazorpayPayout, handleRazorpayEvent, runVendorPayouts, submitVendorPayout };
@@ -0,0 +1,335 @@
+// Who may call what: the payment and booking routes only act on the caller's own booking, and
+// every /api/admin route checks the admin token and role before doing anything.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import { loadServer, listen } from "./helpers/loadServer.js";
+
+const USER_A = "aaaaaaaa-0000-4000-8000-000000000001";
+const USER_B = "bbbbbbbb-0000-4000-8000-000000000002";
+const BOOKING_A = "cccccccc-0000-4000-8000-000000000003";
+const SOME_ID = "dddddddd-0000-4000-8000-000000000004";
+const VENDOR_ID = "eeeeeeee-0000-4000-8000-000000000005";
+
+const TOKENS = {
+  userA: "token-user-a",
+  userB: "token-user-b",
+  vendor: "token-vendor",
+  superAdmin: "token-super-admin",
+  support: "token-support",
+  finance: "token-finance",
+  inactiveAdmin: "token-inactive-admin",
+};
+
+// Supabase Auth user id behind each token
+const AUTH_IDS = Object.fromEntries(
+  Object.keys(TOKENS).map((key, i) => [key, `00000000-0000-4000-a000-00000000000${i + 1}`]),
+);
+
+// Roles each admin route admits besides super_admin (null: any active admin). Every /api/admin
+// route except login and refresh must be listed, so a new route cannot skip this test.
+const ADMIN_ROUTES = {
+  "GET /api/admin/me": null,
+  "GET /api/admin/dashboard/stats": null,
+  "GET /api/admin/dashboard/sales": null,
+  "GET /api/admin/coupons": ["finance"],
+  "POST /api/admin/coupons": ["finance"],
+  "PATCH /api/admin/coupons/:couponId": ["finance"],
+  "DELETE /api/admin/coupons/:couponId": ["finance"],
+  "GET /api/admin/commission-rates": ["finance"],
+  "PUT /api/admin/commission-rates": ["finance"],
+  "DELETE /api/admin/commission-rates/:rateId": ["finance"],
+  "GET /api/admin/ledger": ["finance"],
+  "POST /api/admin/ledger/settle": ["finance"],
+  "GET /api/admin/payouts": ["finance"],
+  "POST /api/admin/payouts/run": ["finance"],
+  "GET /api/admin/admins": [],
+  "POST /api/admin/admins": [],
+  "PATCH /api/admin/admins/:adminId": [],
+  "GET /api/admin/audit-log": [],
+  "GET /api/admin/vendors": ["support"],
+  "GET /api/admin/vendors/:vendorId": ["support"],
+  "PATCH /api/admin/vendors/:vendorId/status": ["support"],
+  "GET /api/admin/places": ["support"],
+  "PATCH /api/admin/places/:placeId": ["support"],
+  "GET /api/admin/bookings": ["support", "finance"],
+  "GET /api/admin/bookings/:bookingId": ["support", "finance"],
+  "POST /api/admin/bookings/:bookingId/refund": ["support", "finance"],
+  "GET /api/admin/reviews": ["support"],
+  "DELETE /api/admin/reviews/:reviewId": ["support"],
+  "GET /api/admin/verifications": ["support"],
+  "GET /api/admin/verifications/:placeId": ["support"],
+  "POST /api/admin/verifications/:placeId/approve": ["support"],
+  "POST /api/admin/verifications/:placeId/reject": ["support"],
+};
+const PUBLIC_ADMIN_ROUTES = ["POST /api/admin/auth/login", "POST /api/admin/auth/refresh"];
+
+let server;
+let supabase;
+let http;
+const revokedSessionsOf = [];
+
+before(async () => {
+  ({ supabase, ...server } = await loadServer());
+  http = await listen(server.app);
+
+  for (const key of Object.keys(TOKENS)) {
+    supabase.addUser(TOKENS[key], {
+      id: AUTH_IDS[key],
+      email: `${key.toLowerCase()}@example.com`,
+      password: `pw-${key}`,
+    });
+  }
+
+  supabase.seed("users", [
+    { id: USER_A, auth_user_id: AUTH_IDS.userA, email: "a@example.com", email_verified_at: new Date().toISOString() },
+    { id: USER_B, auth_user_id: AUTH_IDS.userB, email: "b@example.com", email_verified_at: new Date().toISOString() },
+  ]);
+  supabase.seed("vendors", [
+    {
+      id: VENDOR_ID,
+      auth_user_id: AUTH_IDS.vendor,
+      vendor_email: "vendor@example.com",
+      password_hash: await bcrypt.hash("pw-vendor", 4),
+      suspended_at: null,
+    },
+  ]);
+  supabase.setRpc("revoke_auth_sessions", ({ p_auth_user_id }) => {
+    revokedSessionsOf.push(p_auth_user_id);
+    return 1;
+  });
+  supabase.seed("admins", [
+    { auth_user_id: AUTH_IDS.superAdmin, email: "root@example.com", role: "super_admin", is_active: true },
+    { auth_user_id: AUTH_IDS.support, email: "support@example.com", role: "support", is_active: true },
+    { auth_user_id: AUTH_IDS.finance, email: "finance@example.com", role: "finance", is_active: true },
+    { auth_user_id: AUTH_IDS.inactiveAdmin, email: "gone@example.com", role: "super_admin", is_active: false },
+  ]);
+  supabase.seed("bookings", [
+    {
+      id: BOOKING_A,
+      user_id: USER_A,
+      payment_status: "PENDING",
+      amount_paid: 500,
+      currency_paid: "INR",
+      razorpay_order_id: null,
+      hold_expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+    },
+  ]);
+});
+
+after(async () => {
+  await http.close();
+  await supabase.close();
+});
+
+async function call(method, path, token, body) {
+  const res = await fetch(`${http.baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+const bookingA = () => supabase.table("bookings").find((b) => b.id === BOOKING_A);
+
+// The caller's-booking routes, as [method, path, body]
+const BOOKING_ROUTES = [
+  ["POST", "/payments/razorpay/create-order", { bookingId: BOOKING_A }],
+  [
+    "POST",
+    "/payments/razorpay/verify",
+    {
+      bookingId: BOOKING_A,
+      razorpay_order_id: "order_x",
+      razorpay_payment_id: "pay_x",
+      razorpay_signature: "sig",
+    },
+  ],
+  ["GET", `/payments/razorpay/status?bookingId=${BOOKING_A}`],
+  ["DELETE", `/bookings/${BOOKING_A}/cancel`],
+];
+
+test("booking and payment routes need a valid user token", async () => {
+  for (const [method, path, body] of BOOKING_ROUTES) {
+    assert.equal((await call(method, path, null, body)).status, 401, `${method} ${path} without a token`);
+    assert.equal(
+      (await call(method, path, "not-a-real-token", body)).status,
+      401,
+      `${method} ${path} with an invalid token`,
+    );
+    assert.equal(
+      (await call(method, path, TOKENS.vendor, body)).status,
+      403,
+      `${method} ${path} with a vendor token`,
+    );
+  }
+});
+
+test("a Supabase outage answers 503, not 401, so the apps keep their sessions", async () => {
+  const checks = [
+    ["GET", `/payments/razorpay/status?bookingId=${BOOKING_A}`, TOKENS.userA],
+    ["GET", "/api/vendor/ifsc/HDFC0000001", TOKENS.vendor],
+    ["GET", "/api/admin/me", TOKENS.support],
+  ];
+  for (const service of ["auth", "rest"]) {
+    supabase.setOutage(service, 503);
+    try {
+      for (const [method, path, token] of checks) {
+        assert.equal((await call(method, path, token)).status, 503, `${method} ${path} during a ${service} outage`);
+      }
+    } finally {
+      supabase.setOutage(service, null);
+    }
+  }
+  for (const [method, path] of checks) {
+    assert.equal((await call(method, path, "not-a-real-token")).status, 401, `${method} ${path} with an invalid token`);
+  }
+});
+
+test("another user's booking is not found through any payment or booking route", async () => {
+  for (const [method, path, body] of BOOKING_ROUTES) {
+    const res = await call(method, path, TOKENS.userB, body);
+    assert.equal(res.status, 404, `${method} ${path} with another user's token`);
+    assert.equal(res.body.error, "Booking not found");
+  }
+  assert.equal(bookingA().payment_status, "PENDING");
+  assert.equal(supabase.table("booking_events").length, 0);
+});
+
+test("the owner's cancel releases the hold through the state machine and keeps the booking", async () => {
+  const res = await call("DELETE", `/bookings/${BOOKING_A}/cancel`, TOKENS.userA);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { cancelled: true, status: "EXPIRED" });
+  assert.equal(bookingA().payment_status, "EXPIRED");
+  const [event] = supabase.table("booking_events");
+  assert.equal(event.booking_id, BOOKING_A);
+  assert.equal(event.from_status, "PENDING");
+  assert.equal(event.to_status, "EXPIRED");
+  assert.equal(event.actor, "user");
+
+  // Only a PENDING booking can be released
+  assert.equal((await call("DELETE", `/bookings/${BOOKING_A}/cancel`, TOKENS.userA)).status, 400);
+});
+
+test("every admin route is covered by this test", () => {
+  const routes = server.app.router.stack
+    .filter((layer) => layer.route && String(layer.route.path).startsWith("/api/admin"))
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((m) => `${m.toUpperCase()} ${layer.route.path}`),
+    );
+  assert.deepEqual(
+    routes.filter((r) => !PUBLIC_ADMIN_ROUTES.includes(r)).sort(),
+    Object.keys(ADMIN_ROUTES).sort(),
+  );
+});
+
+test("admin routes need an active admin token with an allowed role", async () => {
+  for (const [route, roles] of Object.entries(ADMIN_ROUTES)) {
+    const [method, pattern] = route.split(" ");
+    const path = pattern.replace(/:\w+/g, SOME_ID);
+    const body = method === "GET" || method === "DELETE" ? undefined : {};
+
+    assert.equal((await call(method, path, null, body)).status, 401, `${route} without a token`);
+    assert.equal((await call(method, path, "not-a-real-token", body)).status, 401, `${route} with an invalid token`);
+    for (const key of ["userA", "vendor", "inactiveAdmin"]) {
+      assert.equal((await call(method, path, TOKENS[key], body)).status, 403, `${route} as ${key}`);
+    }
+    for (const role of ["support", "finance"]) {
+      const allowed = roles === null || roles.includes(role);
+      const { status } = await call(method, path, TOKENS[role], body);
+      if (allowed) {
+        assert.ok(status !== 401 && status !== 403, `${route} as ${role}: got ${status}`);
+      } else {
+        assert.equal(status, 403, `${route} as ${role}`);
+      }
+    }
+    const { status } = await call(method, path, TOKENS.superAdmin, body);
+    assert.ok(status !== 401 && status !== 403, `${route} as super_admin: got ${status}`);
+  }
+});
+
+test("the dashboard answers any active admin", async () => {
+  for (const key of ["support", "finance", "superAdmin"]) {
+    assert.equal((await call("GET", "/api/admin/dashboard/stats", TOKENS[key])).status, 200, key);
+    assert.equal((await call("GET", "/api/admin/dashboard/sales", TOKENS[key])).status, 200, key);
+  }
+  const me = await call("GET", "/api/admin/me", TOKENS.finance);
+  assert.equal(me.status, 200);
+});
+
+test("a non-admin account signing in to the admin panel only loses that one session", async () => {
+  const login = await call("POST", "/api/admin/auth/login", null, {
+    email: "usera@example.com",
+    password: "pw-userA",
+  });
+  assert.equal(login.status, 403);
+  const refresh = await call("POST", "/api/admin/auth/refresh", null, {
+    refreshToken: `refresh-${TOKENS.userA}`,
+  });
+  assert.equal(refresh.status, 403);
+
+  const logouts = supabase.authCalls.filter((c) => c.route === "/logout");
+  assert.equal(logouts.length, 2);
+  for (const logout of logouts) {
+    assert.equal(logout.token, TOKENS.userA);
+    assert.equal(logout.search, "?scope=local");
+  }
+});
+
+test("a suspended vendor is locked out until an admin reactivates them, and both are audited", async () => {
+  const ifsc = () => call("GET", "/api/vendor/ifsc/HDFC0000001", TOKENS.vendor);
+  const vendorLogin = () =>
+    call("POST", "/api/vendor/auth/login", null, { email: "vendor@example.com", password: "pw-vendor" });
+  const statusPath = `/api/admin/vendors/${VENDOR_ID}/status`;
+  const banOf = () =>
+    supabase.authCalls.filter((c) => c.method === "PUT" && c.route === `/admin/users/${AUTH_IDS.vendor}`)
+      .map((c) => c.body.ban_duration);
+  const audit = () => supabase.table("admin_audit_log").filter((e) => e.target_id === VENDOR_ID);
+
+  const lookup = await ifsc();
+  assert.equal(lookup.status, 200);
+  assert.equal(lookup.body.bank, "HDFC Bank");
+  assert.equal(lookup.body.branch, "Sandoz House");
+  assert.equal((await vendorLogin()).status, 200);
+
+  const noReason = await call("PATCH", statusPath, TOKENS.support, { suspended: true });
+  assert.equal(noReason.status, 400);
+
+  const suspend = await call("PATCH", statusPath, TOKENS.support, {
+    suspended: true,
+    reason: "Repeated no-show complaints",
+  });
+  assert.equal(suspend.status, 200);
+  assert.ok(suspend.body.vendor.suspended_at);
+  assert.equal(suspend.body.vendor.suspension_reason, "Repeated no-show complaints");
+  assert.deepEqual(banOf(), ["876000h"]);
+  assert.deepEqual(revokedSessionsOf, [AUTH_IDS.vendor]);
+
+  const refused = await ifsc();
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.suspended, true);
+  assert.equal((await vendorLogin()).status, 403);
+  assert.equal((await call("PATCH", statusPath, TOKENS.support, { suspended: true, reason: "x" })).status, 409);
+
+  const reactivate = await call("PATCH", statusPath, TOKENS.support, { suspended: false });
+  assert.equal(reactivate.status, 200);
+  assert.equal(reactivate.body.vendor.suspended_at, null);
+  assert.equal(reactivate.body.vendor.suspension_reason, null);
+  assert.deepEqual(banOf(), ["876000h", "none"]);
+  assert.equal((await ifsc()).status, 200);
+  assert.equal((await vendorLogin()).status, 200);
+
+  const entries = audit();
+  assert.deepEqual(
+    entries.map((e) => [e.action, e.target_type, e.admin_email, e.details]),
+    [
+      ["vendor.suspend", "vendor", "support@example.com", { reason: "Repeated no-show complaints" }],
+      ["vendor.reactivate", "vendor", "support@example.com", null],
+    ],
+  );
+});
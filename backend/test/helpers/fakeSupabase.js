@@ -0,0 +1,426 @@
+// In-memory stand-in for the parts of Supabase the backend talks to, served over HTTP so the real
+// supabase-js client is exercised:
+//   * PostgREST (/rest/v1/<table>): select with filters (eq, neq, gt, gte, lt, lte, is, in, like,
+//     ilike, not.*, or=(...)), order, limit/offset, count, insert, upsert (on_conflict), update,
+//     delete, and rpc (/rest/v1/rpc/<fn>, handlers registered by the test);
+//   * Auth: GET /auth/v1/user (tokens registered by the test), password and refresh-token sign-in
+//     (POST /auth/v1/token) for users registered with a password, POST /auth/v1/logout and the
+//     /auth/v1/admin/* calls, which are recorded in `authCalls`.
+// Embedded resources in select (e.g. booking:bookings!booking_id(...)) are resolved through the
+// hinted column when it holds an id of the embedded table, and are null otherwise. setOutage makes
+// either service answer every request with an error status.
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+/** Split on commas that are not inside parentheses or double quotes. */
+function splitTopLevel(str) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+  for (const ch of str) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === "(") depth++;
+    if (!quoted && ch === ")") depth--;
+    if (!quoted && depth === 0 && ch === ",") {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current !== "") parts.push(current);
+  return parts.map((p) => p.trim());
+}
+
+const unquote = (v) => (v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1) : v);
+
+function compare(a, b) {
+  if (typeof a === "number" || typeof b === "number") return Number(a) - Number(b);
+  if (ISO_DATE.test(String(a)) && ISO_DATE.test(String(b))) {
+    return Date.parse(a) - Date.parse(b);
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function equals(value, raw) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "boolean") return String(value) === raw;
+  if (typeof value === "number") return value === Number(raw);
+  if (ISO_DATE.test(String(value)) && ISO_DATE.test(raw)) return Date.parse(value) === Date.parse(raw);
+  return String(value) === raw;
+}
+
+function likePattern(pattern, flags) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/[*%]/g, ".*");
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+/** Does `row` pass `op.value` (PostgREST filter syntax) on `column`? */
+function matchesFilter(row, column, expr) {
+  if (expr.startsWith("not.")) return !matchesFilter(row, column, expr.slice(4));
+  const dot = expr.indexOf(".");
+  const op = expr.slice(0, dot);
+  const raw = expr.slice(dot + 1);
+  const value = row[column];
+  switch (op) {
+    case "eq":
+      return equals(value, unquote(raw));
+    case "neq":
+      return value !== null && value !== undefined && !equals(value, unquote(raw));
+    case "gt":
+      return value != null && compare(value, raw) > 0;
+    case "gte":
+      return value != null && compare(value, raw) >= 0;
+    case "lt":
+      return value != null && compare(value, raw) < 0;
+    case "lte":
+      return value != null && compare(value, raw) <= 0;
+    case "is":
+      if (raw === "null") return value === null || value === undefined;
+      return value === (raw === "true");
+    case "in":
+      return splitTopLevel(raw.slice(1, -1)).some((v) => equals(value, unquote(v)));
+    case "like":
+      return value != null && likePattern(raw, "").test(String(value));
+    case "ilike":
+      return value != null && likePattern(raw, "i").test(String(value));
+    default:
+      throw new Error(`Fake Supabase: unsupported filter operator "${op}"`);
+  }
+}
+
+/** `a.eq.1,b.is.null` (the inside of or=(...)) against a row. */
+function matchesAny(row, list) {
+  return splitTopLevel(list).some((cond) => {
+    if (cond.startsWith("and(")) return matchesAll(row, cond.slice(4, -1));
+    const dot = cond.indexOf(".");
+    return matchesFilter(row, cond.slice(0, dot), cond.slice(dot + 1));
+  });
+}
+
+function matchesAll(row, list) {
+  return splitTopLevel(list).every((cond) => {
+    if (cond.startsWith("or(")) return matchesAny(row, cond.slice(3, -1));
+    const dot = cond.indexOf(".");
+    return matchesFilter(row, cond.slice(0, dot), cond.slice(dot + 1));
+  });
+}
+
+const RESERVED_PARAMS = new Set(["select", "order", "limit", "offset", "on_conflict", "columns"]);
+
+function applyFilters(rows, params) {
+  return rows.filter((row) => {
+    for (const [key, expr] of params) {
+      if (RESERVED_PARAMS.has(key)) continue;
+      if (key === "or") {
+        if (!matchesAny(row, expr.slice(1, -1))) return false;
+      } else if (key === "and") {
+        if (!matchesAll(row, expr.slice(1, -1))) return false;
+      } else if (!matchesFilter(row, key, expr)) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+function applyOrder(rows, order) {
+  if (!order) return rows;
+  const keys = splitTopLevel(order).map((part) => {
+    const [column, ...mods] = part.split(".");
+    return { column, desc: mods.includes("desc"), nullsFirst: mods.includes("nullsfirst") };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, desc, nullsFirst } of keys) {
+      const av = a[column];
+      const bv = b[column];
+      if (av == null && bv == null) continue;
+      if (av == null) return nullsFirst ? -1 : 1;
+      if (bv == null) return nullsFirst ? 1 : -1;
+      const c = compare(av, bv);
+      if (c !== 0) return desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+export function createFakeSupabase() {
+  const tables = new Map();
+  const defaults = new Map();
+  const uniques = new Map();
+  const rpcs = new Map();
+  const usersByToken = new Map();
+  const authCalls = [];
+  const outages = new Map(); // "auth" | "rest" → HTTP status every request gets
+  const restCalls = [];
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  /** Requested columns of a row; embeds resolved as described at the top of this file. */
+  function project(row, select) {
+    if (!select || select === "*") return { ...row };
+    const out = {};
+    for (const item of splitTopLevel(select.replace(/\s+/g, ""))) {
+      const embed = item.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/);
+      if (embed) {
+        const [, alias, target, hint, inner] = embed;
+        const fkColumn = hint || (tables.has(target) ? null : target);
+        const targetRows = tables.has(target) ? tables.get(target) : null;
+        const fk = fkColumn ? row[fkColumn] : null;
+        const found = fk && targetRows ? targetRows.find((r) => r.id === fk) : null;
+        out[alias || target] = found ? project(found, inner) : null;
+      } else if (item === "*") {
+        Object.assign(out, row);
+      } else {
+        const [alias, column] = item.includes(":") ? item.split(":") : [item, item];
+        out[alias] = row[column] === undefined ? null : row[column];
+      }
+    }
+    return out;
+  }
+
+  function uniqueViolation(name, row, ignoreRow = null) {
+    for (const columns of uniques.get(name) || []) {
+      if (columns.some((c) => row[c] === null || row[c] === undefined)) continue;
+      const clash = table(name).find(
+        (r) => r !== ignoreRow && columns.every((c) => String(r[c]) === String(row[c])),
+      );
+      if (clash) return { clash, columns };
+    }
+    return null;
+  }
+
+  function withDefaults(name, row) {
+    const now = new Date().toISOString();
+    const base = { id: crypto.randomUUID(), created_at: now, updated_at: now };
+    const tableDefaults = defaults.get(name) || {};
+    const resolved = Object.fromEntries(
+      Object.entries(tableDefaults).map(([k, v]) => [k, typeof v === "function" ? v() : v]),
+    );
+    return { ...base, ...resolved, ...row };
+  }
+
+  async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString("utf8");
+    return text ? JSON.parse(text) : null;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  }
+
+  /** Respond with rows the way PostgREST does for the request's Accept and Prefer headers. */
+  function sendRows(req, res, rows, { status = 200, total = null } = {}) {
+    const prefer = req.headers.prefer || "";
+    const headers = {};
+    if (/count=/.test(prefer)) {
+      headers["Content-Range"] = `${rows.length ? `0-${rows.length - 1}` : "*"}/${total ?? rows.length}`;
+    }
+    if (req.method === "HEAD") return send(res, 200, undefined, headers);
+    if (req.method !== "GET" && !/return=representation/.test(prefer)) {
+      return send(res, status === 200 ? 204 : status, undefined, headers);
+    }
+    if ((req.headers.accept || "").includes("application/vnd.pgrst.object+json")) {
+      if (rows.length !== 1) {
+        return send(res, 406, {
+          code: "PGRST116",
+          details: `The result contains ${rows.length} rows`,
+          hint: null,
+          message: "JSON object requested, multiple (or no) rows returned",
+        });
+      }
+      return send(res, status, rows[0], headers);
+    }
+    return send(res, status, rows, headers);
+  }
+
+  async function handleRest(req, res, url) {
+    const name = decodeURIComponent(url.pathname.slice("/rest/v1/".length));
+    const params = [...url.searchParams];
+    const param = (key) => url.searchParams.get(key);
+    restCalls.push({ method: req.method, table: name, search: url.search });
+
+    if (name.startsWith("rpc/")) {
+      const fn = rpcs.get(name.slice(4));
+      if (!fn) return send(res, 404, { code: "PGRST202", message: `Fake Supabase: no rpc ${name}` });
+      try {
+        const result = await fn((await readBody(req)) || {}, { table });
+        return send(res, 200, result === undefined ? null : result);
+      } catch (err) {
+        return send(res, 400, { code: err.code || "P0001", message: err.message });
+      }
+    }
+
+    const rows = table(name);
+    const select = param("select");
+
+    if (req.method === "GET" || req.method === "HEAD") {
+      const matched = applyOrder(applyFilters(rows, params), param("order"));
+      const offset = Number(param("offset")) || 0;
+      const limit = param("limit") != null ? Number(param("limit")) : matched.length;
+      const page = matched.slice(offset, offset + limit);
+      return sendRows(req, res, page.map((r) => project(r, select)), { total: matched.length });
+    }
+
+    if (req.method === "POST") {
+      const body = await readBody(req);
+      const incoming = Array.isArray(body) ? body : [body];
+      const prefer = req.headers.prefer || "";
+      const onConflict = param("on_conflict");
+      const written = [];
+      for (const input of incoming) {
+        if (/resolution=/.test(prefer)) {
+          const columns = onConflict ? onConflict.split(",") : ["id"];
+          const existing = rows.find((r) => columns.every((c) => String(r[c]) === String(input[c])));
+          if (existing) {
+            if (/resolution=merge-duplicates/.test(prefer)) {
+              Object.assign(existing, input);
+              written.push(existing);
+            }
+            continue;
+          }
+        }
+        const row = withDefaults(name, input);
+        const violation = uniqueViolation(name, row);
+        if (violation) {
+          return send(res, 409, {
+            code: "23505",
+            details: `Key (${violation.columns.join(", ")}) already exists.`,
+            hint: null,
+            message: `duplicate key value violates unique constraint on ${name}`,
+          });
+        }
+        rows.push(row);
+        written.push(row);
+      }
+      return sendRows(req, res, written.map((r) => project(r, select)), { status: 201 });
+    }
+
+    if (req.method === "PATCH") {
+      const patch = (await readBody(req)) || {};
+      const matched = applyFilters(rows, params);
+      for (const row of matched) {
+        const violation = uniqueViolation(name, { ...row, ...patch }, row);
+        if (violation) {
+          return send(res, 409, { code: "23505", message: `duplicate key value on ${name}` });
+        }
+      }
+      matched.forEach((row) => Object.assign(row, patch));
+      return sendRows(req, res, matched.map((r) => project(r, select)));
+    }
+
+    if (req.method === "DELETE") {
+      const matched = applyFilters(rows, params);
+      tables.set(name, rows.filter((r) => !matched.includes(r)));
+      return sendRows(req, res, matched.map((r) => project(r, select)));
+    }
+
+    return send(res, 405, { message: `Fake Supabase: ${req.method} not supported` });
+  }
+
+  async function handleAuth(req, res, url) {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const route = url.pathname.slice("/auth/v1".length);
+    if (route === "/user" && req.method === "GET") {
+      const user = usersByToken.get(token);
+      if (!user) return send(res, 401, { code: 401, error_code: "bad_jwt", msg: "invalid JWT" });
+      const { password: _, ...publicUser } = user;
+      return send(res, 200, publicUser);
+    }
+    const body = req.method === "GET" ? null : await readBody(req);
+    authCalls.push({ method: req.method, route, search: url.search, token, body });
+    if (route === "/logout") return send(res, 204);
+    if (route === "/token") {
+      const grant = url.searchParams.get("grant_type");
+      const found = [...usersByToken].find(([accessToken, u]) =>
+        grant === "password"
+          ? u.email === body?.email && u.password && u.password === body?.password
+          : `refresh-${accessToken}` === body?.refresh_token,
+      );
+      if (!found) {
+        return send(res, 400, { code: 400, error_code: "invalid_credentials", msg: "Invalid login credentials" });
+      }
+      const [accessToken, { password: _, ...user }] = found;
+      return send(res, 200, {
+        access_token: accessToken,
+        refresh_token: `refresh-${accessToken}`,
+        token_type: "bearer",
+        expires_in: 3600,
+        expires_at: Math.floor(Date.now() / 1000) + 3600,
+        user,
+      });
+    }
+    const userMatch = route.match(/^\/admin\/users\/([^/]+)$/);
+    if (userMatch) {
+      const user = [...usersByToken.values()].find((u) => u.id === userMatch[1]) || { id: userMatch[1] };
+      return send(res, 200, { ...user, ...(body?.email ? { email: body.email } : {}) });
+    }
+    return send(res, 404, { code: 404, msg: `Fake Supabase: no auth route ${route}` });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const outage = outages.get(url.pathname.split("/")[1]);
+    if (outage) return send(res, outage, { message: "Fake Supabase: service unavailable" });
+    try {
+      if (url.pathname.startsWith("/rest/v1/")) return await handleRest(req, res, url);
+      if (url.pathname.startsWith("/auth/v1/")) return await handleAuth(req, res, url);
+      return send(res, 404, { message: `Fake Supabase: no route ${url.pathname}` });
+    } catch (err) {
+      return send(res, 500, { message: err.message });
+    }
+  });
+
+  return {
+    /** Rows of a table (live: the test may read or change them). */
+    table,
+    /** Replace a table's rows. */
+    seed(name, rows) {
+      tables.set(name, rows.map((row) => withDefaults(name, row)));
+      return tables.get(name);
+    },
+    /** Column values new rows of `name` get when the insert leaves them out (values or functions). */
+    setDefaults(name, values) {
+      defaults.set(name, values);
+    },
+    /** Reject inserts and updates that repeat `columns` of an existing row, like a unique index. */
+    addUnique(name, columns) {
+      uniques.set(name, [...(uniques.get(name) || []), columns]);
+    },
+    /** Handle POST /rest/v1/rpc/<name> with fn(args, { table }). */
+    setRpc(name, fn) {
+      rpcs.set(name, fn);
+    },
+    /**
+     * Accept `token` as an access token for the auth user `user` ({ id, email, password?, ... });
+     * with a password, signing in as them returns `token` and the refresh token `refresh-<token>`.
+     */
+    addUser(token, user) {
+      usersByToken.set(token, { aud: "authenticated", role: "authenticated", ...user });
+    },
+    /** Answer every request to `service` ("auth" or "rest") with `status`; null ends the outage. */
+    setOutage(service, status) {
+      if (status) outages.set(service, status);
+      else outages.delete(service);
+    },
+    authCalls,
+    restCalls,
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
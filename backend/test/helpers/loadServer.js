@@ -0,0 +1,52 @@
+// Starts the fake Supabase (and any other stand-ins the test passes in env), points the backend at
+// them and imports server.js. node --test runs each test file in its own process, so every file
+// gets a fresh module with its own config.
+
+import crypto from "node:crypto";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { gzipSync } from "node:zlib";
+import { createFakeSupabase } from "./fakeSupabase.js";
+
+/** A one-branch IFSC dataset in the layout of npm run build:ifsc; returns its directory. */
+function writeIfscFixture() {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "spotnere-ifsc-"));
+  writeFileSync(path.join(dir, "index.json"), JSON.stringify({ release: "test", banks: { HDFC: 1 } }));
+  writeFileSync(
+    path.join(dir, "HDFC.json.gz"),
+    gzipSync(JSON.stringify({ HDFC0000001: ["Sandoz House", "MUMBAI", "MAHARASHTRA", "Dr A B Road, Worli"] })),
+  );
+  return dir;
+}
+
+export async function loadServer(env = {}) {
+  const supabase = createFakeSupabase();
+  const supabaseUrl = await supabase.start();
+
+  Object.assign(process.env, {
+    RAZORPAY_KEY_ID: "rzp_test_key",
+    RAZORPAY_KEY_SECRET: "rzp_test_secret",
+    RAZORPAY_WEBHOOK_SECRET: "rzp_test_webhook_secret",
+    SUPABASE_URL: supabaseUrl,
+    SUPABASE_SERVICE_ROLE_KEY: "service-role-key",
+    VENDOR_DATA_ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64"),
+    MAIL_TRANSPORT: "log",
+    IFSC_BRANCHES_DIR: writeIfscFixture(),
+    ...env,
+  });
+
+  const server = await import("../../server.js");
+  return { ...server, supabase };
+}
+
+/** Listen on a free port; resolves to { baseUrl, close }. */
+export async function listen(app) {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
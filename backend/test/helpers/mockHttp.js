@@ -0,0 +1,45 @@
+// A local JSON HTTP server for stubbing third-party APIs (e.g. RazorpayX via RAZORPAY_API_URL).
+// Every request is recorded in `requests`; `respond(req)` returns { status, body } (status defaults
+// to 200) and can be swapped per test with `setHandler`.
+
+import http from "node:http";
+
+export function createMockHttp(respond = () => ({ status: 404, body: {} })) {
+  let handler = respond;
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString("utf8");
+    const recorded = {
+      method: req.method,
+      path: req.url,
+      headers: req.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+    requests.push(recorded);
+    try {
+      const { status = 200, body } = (await handler(recorded)) ?? {};
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body ?? {}));
+    } catch (err) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { description: err.message } }));
+    }
+  });
+
+  return {
+    requests,
+    setHandler(fn) {
+      handler = fn;
+    },
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
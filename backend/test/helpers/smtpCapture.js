@@ -0,0 +1,103 @@
+// Local SMTP stand-in that accepts every message and keeps it, for the backend's smtp mail
+// transport. Speaks just enough SMTP for nodemailer without TLS or AUTH (EHLO, MAIL, RCPT, DATA,
+// RSET, NOOP, QUIT); captured messages are { from, to, subject, text }.
+
+import net from "node:net";
+
+/** Body of a message as sent, quoted-printable decoded when the headers say so. */
+function parseMessage(raw) {
+  const split = raw.indexOf("\r\n\r\n");
+  const head = split === -1 ? raw : raw.slice(0, split);
+  let body = split === -1 ? "" : raw.slice(split + 4);
+  const headers = {};
+  for (const line of head.replace(/\r\n[ \t]+/g, " ").split("\r\n")) {
+    const colon = line.indexOf(":");
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  if (/quoted-printable/i.test(headers["content-transfer-encoding"] || "")) {
+    body = Buffer.from(
+      body
+        .replace(/=\r\n/g, "")
+        .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+      "latin1",
+    ).toString("utf8");
+  }
+  return { subject: headers.subject || "", text: body.replace(/\r\n/g, "\n").trim() };
+}
+
+export function createSmtpCapture() {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.setEncoding("utf8");
+
+    let envelope = { from: null, to: [] };
+    let buffer = "";
+    let data = null; // message lines while inside DATA
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let eol;
+      while ((eol = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+
+        if (data) {
+          if (line === ".") {
+            messages.push({ ...envelope, ...parseMessage(data.join("\r\n")) });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply("250 OK: queued");
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const verb = line.slice(0, 4).toUpperCase();
+        const address = () => (line.match(/<([^>]*)>/) || [])[1] || "";
+        if (verb === "EHLO" || verb === "HELO") {
+          reply("250 localhost");
+        } else if (verb === "MAIL") {
+          envelope = { from: address(), to: [] };
+          reply("250 OK");
+        } else if (verb === "RCPT") {
+          envelope.to.push(address());
+          reply("250 OK");
+        } else if (verb === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "RSET") {
+          envelope = { from: null, to: [] };
+          reply("250 OK");
+        } else if (verb === "NOOP") {
+          reply("250 OK");
+        } else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else {
+          reply("502 Command not implemented");
+        }
+      }
+    });
+    reply("220 localhost SMTP capture");
+  });
+
+  return {
+    messages,
+    /** Listen on a free port; resolves to the port. */
+    start: () =>
+      new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+      }),
+    close: () =>
+      new Promise((resolve) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(resolve);
+      }),
+  };
+}
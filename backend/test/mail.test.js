@@ -0,0 +1,201 @@
+// Emailed one-time codes end to end: each request route mails a code over SMTP (to a local
+// capture server, MAIL_TRANSPORT=smtp) and the matching confirm route accepts that code once.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import bcrypt from "bcrypt";
+import { createSmtpCapture } from "./helpers/smtpCapture.js";
+import { loadServer, listen } from "./helpers/loadServer.js";
+
+const USER_ID = "aaaaaaaa-0000-4000-8000-000000000001";
+const USER_AUTH_ID = "00000000-0000-4000-a000-000000000001";
+const VENDOR_ID = "eeeeeeee-0000-4000-8000-000000000005";
+const VENDOR_AUTH_ID = "00000000-0000-4000-a000-000000000002";
+const USER_TOKEN = "token-user";
+
+const smtp = createSmtpCapture();
+let server;
+let supabase;
+let http;
+const revokedSessionsOf = [];
+
+before(async () => {
+  const smtpPort = await smtp.start();
+  ({ supabase, ...server } = await loadServer({
+    MAIL_TRANSPORT: "smtp",
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtpPort),
+    MAIL_FROM: "Spotnere <no-reply@example.com>",
+  }));
+  http = await listen(server.app);
+
+  supabase.addUser(USER_TOKEN, { id: USER_AUTH_ID, email: "user@example.com" });
+  supabase.seed("users", [
+    {
+      id: USER_ID,
+      auth_user_id: USER_AUTH_ID,
+      email: "user@example.com",
+      password_hash: await bcrypt.hash("old-password-1", 4),
+      email_verified_at: null,
+    },
+  ]);
+  supabase.seed("vendors", [
+    {
+      id: VENDOR_ID,
+      auth_user_id: VENDOR_AUTH_ID,
+      vendor_email: "vendor@example.com",
+      password_hash: await bcrypt.hash("old-password-1", 4),
+      suspended_at: null,
+    },
+  ]);
+  supabase.seed("account_tokens", []);
+  supabase.setDefaults("account_tokens", { used_at: null, failed_attempts: 0 });
+  supabase.setRpc("revoke_auth_sessions", ({ p_auth_user_id }) => {
+    revokedSessionsOf.push(p_auth_user_id);
+    return 1;
+  });
+});
+
+after(async () => {
+  await http.close();
+  await supabase.close();
+  await smtp.close();
+});
+
+async function call(method, path, body, token) {
+  const res = await fetch(`${http.baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+/** The one message captured since `count` messages, and the 6-digit code in it. */
+function codeMailedSince(count) {
+  assert.equal(smtp.messages.length, count + 1, "expected exactly one email");
+  const message = smtp.messages[count];
+  const code = message.text.match(/\b(\d{6})\b/)?.[1];
+  assert.ok(code, `no code in: ${message.text}`);
+  return { message, code };
+}
+
+const otherCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, "0");
+
+test("customer password reset: the emailed code sets the new password once", async () => {
+  const sent = smtp.messages.length;
+  assert.equal(
+    (await call("POST", "/api/auth/password-reset/request", { email: "user@example.com" })).status,
+    200,
+  );
+  const { message, code } = codeMailedSince(sent);
+  assert.deepEqual(message.to, ["user@example.com"]);
+  assert.equal(message.from, "no-reply@example.com");
+  assert.equal(message.subject, "Reset your Spotnere password");
+
+  const wrong = await call("POST", "/api/auth/password-reset/confirm", {
+    email: "user@example.com",
+    code: otherCode(code),
+    newPassword: "new-Password-2",
+  });
+  assert.equal(wrong.status, 400);
+
+  const confirm = { email: "user@example.com", code, newPassword: "new-Password-2" };
+  assert.equal((await call("POST", "/api/auth/password-reset/confirm", confirm)).status, 200);
+  const login = await call("POST", "/api/auth/login", { email: "user@example.com", password: "new-Password-2" });
+  assert.equal(login.status, 200);
+  // Resetting with the emailed code also proves the address
+  assert.ok(supabase.table("users")[0].email_verified_at);
+  assert.ok(revokedSessionsOf.includes(USER_AUTH_ID));
+
+  // Single use
+  assert.equal((await call("POST", "/api/auth/password-reset/confirm", confirm)).status, 400);
+});
+
+test("a reset request for an unknown email sends nothing and looks the same", async () => {
+  const sent = smtp.messages.length;
+  const res = await call("POST", "/api/auth/password-reset/request", { email: "nobody@example.com" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { success: true });
+  assert.equal(smtp.messages.length, sent);
+});
+
+test("email verification: the emailed code confirms the signed-in customer's address", async () => {
+  supabase.table("users")[0].email_verified_at = null;
+  const sent = smtp.messages.length;
+  const request = await call("POST", "/api/auth/verify-email/request", undefined, USER_TOKEN);
+  assert.equal(request.status, 200);
+  assert.equal(request.body.alreadyVerified, false);
+  const { message, code } = codeMailedSince(sent);
+  assert.deepEqual(message.to, ["user@example.com"]);
+  assert.equal(message.subject, "Verify your Spotnere email");
+
+  const confirm = await call("POST", "/api/auth/verify-email/confirm", { code }, USER_TOKEN);
+  assert.equal(confirm.status, 200);
+  assert.equal(confirm.body.emailVerified, true);
+  assert.ok(supabase.table("users")[0].email_verified_at);
+});
+
+test("vendor password reset: the emailed code sets the new password and signs the vendor out", async () => {
+  const sent = smtp.messages.length;
+  assert.equal(
+    (await call("POST", "/api/vendor/auth/password-reset/request", { email: "vendor@example.com" })).status,
+    200,
+  );
+  const { message, code } = codeMailedSince(sent);
+  assert.deepEqual(message.to, ["vendor@example.com"]);
+  assert.equal(message.subject, "Reset your Spotnere password");
+
+  const confirm = await call("POST", "/api/vendor/auth/password-reset/confirm", {
+    email: "vendor@example.com",
+    code,
+    newPassword: "new-Password-2",
+  });
+  assert.equal(confirm.status, 200);
+  const login = await call("POST", "/api/vendor/auth/login", {
+    email: "vendor@example.com",
+    password: "new-Password-2",
+  });
+  assert.equal(login.status, 200);
+  assert.ok(
+    supabase.authCalls.some(
+      (c) => c.method === "PUT" && c.route === `/admin/users/${VENDOR_AUTH_ID}` && c.body?.password === "new-Password-2",
+    ),
+  );
+  assert.ok(revokedSessionsOf.includes(VENDOR_AUTH_ID));
+});
+
+test("the server does not start without SMTP_HOST unless the log transport is asked for", () => {
+  const start = (env) =>
+    spawnSync(process.execPath, [fileURLToPath(new URL("../server.js", import.meta.url))], {
+      // Set, even if empty, so nothing in a local .env fills them in
+      env: {
+        PATH: process.env.PATH,
+        MAIL_TRANSPORT: "",
+        SMTP_HOST: "",
+        SUPABASE_URL: "",
+        SUPABASE_SERVICE_ROLE_KEY: "",
+        RAZORPAY_KEY_ID: "rzp_test_key",
+        RAZORPAY_KEY_SECRET: "rzp_test_secret",
+        VENDOR_DATA_ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64"),
+        ...env,
+      },
+      encoding: "utf8",
+      timeout: 20000,
+    });
+
+  const unset = start({});
+  assert.equal(unset.status, 1);
+  assert.match(unset.stderr, /Missing SMTP_HOST/);
+  // With MAIL_TRANSPORT=log it gets past the mail check (and stops at the missing Supabase config)
+  const log = start({ MAIL_TRANSPORT: "log" });
+  assert.equal(log.status, 1);
+  assert.doesNotMatch(log.stderr, /SMTP_HOST/);
+  assert.match(log.stderr, /SUPABASE_URL/);
+});
@@ -0,0 +1,232 @@
+// Vendor payouts (runVendorPayouts → createVendorPayout → submitVendorPayout, applyRazorpayPayout)
+// against a local RazorpayX mock and the fake Supabase.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMockHttp } from "./helpers/mockHttp.js";
+import { loadServer } from "./helpers/loadServer.js";
+
+const VENDOR_ID = "11111111-1111-4111-8111-111111111111";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const razorpayX = createMockHttp();
+let server;
+let supabase;
+
+before(async () => {
+  const apiUrl = await razorpayX.start();
+  ({ supabase, ...server } = await loadServer({
+    RAZORPAY_API_URL: apiUrl,
+    RAZORPAYX_ACCOUNT_NUMBER: "2323230000000000",
+    VENDOR_PAYOUT_HOLD_DAYS: "2",
+    VENDOR_PAYOUT_MIN_AMOUNT: "100",
+  }));
+  supabase.setDefaults("vendor_payouts", {
+    status: "created",
+    amount: 0,
+    currency: "INR",
+    entry_count: 0,
+    razorpay_payout_id: null,
+    utr: null,
+    failure_reason: null,
+    processed_at: null,
+  });
+  supabase.setDefaults("vendor_ledger_entries", {
+    status: "pending",
+    entry_type: "booking",
+    payout_id: null,
+    settled_at: null,
+    settlement_ref: null,
+  });
+});
+
+after(async () => {
+  await supabase.close();
+  await razorpayX.close();
+});
+
+beforeEach(() => {
+  razorpayX.requests.length = 0;
+  supabase.seed("vendors", [
+    { id: VENDOR_ID, razorpay_fa_ref: "fa_vendor1", payout_method: "upi" },
+  ]);
+  supabase.seed("vendor_payouts", []);
+  supabase.seed("vendor_ledger_entries", [
+    { vendor_id: VENDOR_ID, booking_id: "b1", net_payable: 400, captured_at: daysAgo(5) },
+    { vendor_id: VENDOR_ID, booking_id: "b2", net_payable: 250.5, captured_at: daysAgo(3) },
+    // Still inside the hold period: not paid in this cycle
+    { vendor_id: VENDOR_ID, booking_id: "b3", net_payable: 900, captured_at: daysAgo(1) },
+  ]);
+});
+
+/** RazorpayX answering POST /payouts with a payout in `status`. */
+function acceptPayouts(status = "processing") {
+  razorpayX.setHandler((req) => {
+    if (req.method === "POST" && req.path === "/payouts") {
+      return {
+        body: { id: "pout_1", entity: "payout", status, reference_id: req.body.reference_id, utr: null },
+      };
+    }
+    return { status: 404, body: { error: { description: "Not found" } } };
+  });
+}
+
+const entries = (bookingIds) =>
+  supabase.table("vendor_ledger_entries").filter((e) => bookingIds.includes(e.booking_id));
+
+test("a due vendor is paid their held entries and the payout settles them when processed", async () => {
+  acceptPayouts("processing");
+
+  const created = await server.runVendorPayouts();
+  assert.equal(created.length, 1);
+  const [payout] = created;
+  assert.equal(payout.status, "processing");
+  assert.equal(payout.razorpay_payout_id, "pout_1");
+  assert.equal(payout.amount, 650.5);
+  assert.equal(payout.entry_count, 2);
+
+  const [request] = razorpayX.requests;
+  assert.equal(request.body.amount, 65050);
+  assert.equal(request.body.fund_account_id, "fa_vendor1");
+  assert.equal(request.body.mode, "UPI");
+  assert.equal(request.body.reference_id, payout.id);
+  assert.equal(request.headers["x-payout-idempotency"], payout.id);
+  for (const entry of entries(["b1", "b2"])) {
+    assert.equal(entry.payout_id, payout.id);
+    assert.equal(entry.status, "pending");
+  }
+  assert.equal(entries(["b3"])[0].payout_id, null);
+
+  // payout.processed webhook
+  const processed = await server.applyRazorpayPayout({
+    id: "pout_1",
+    status: "processed",
+    utr: "UTR123",
+    reference_id: payout.id,
+  });
+  assert.equal(processed.status, "processed");
+  assert.equal(processed.utr, "UTR123");
+  assert.ok(processed.processed_at);
+  for (const entry of entries(["b1", "b2"])) {
+    assert.equal(entry.status, "settled");
+    assert.equal(entry.settlement_ref, "UTR123");
+  }
+  assert.equal(entries(["b3"])[0].status, "pending");
+
+  // A late duplicate of an earlier event changes nothing
+  assert.equal(
+    await server.applyRazorpayPayout({ id: "pout_1", status: "processing", reference_id: payout.id }),
+    null,
+  );
+});
+
+test("a payout Razorpay refuses (4xx) fails and releases its entries to the next cycle", async () => {
+  razorpayX.setHandler(() => ({
+    status: 400,
+    body: { error: { code: "BAD_REQUEST_ERROR", description: "The fund account is not active" } },
+  }));
+
+  const [payout] = await server.runVendorPayouts();
+  assert.equal(payout.status, "failed");
+  assert.equal(payout.failure_reason, "The fund account is not active");
+  for (const entry of entries(["b1", "b2"])) {
+    assert.equal(entry.payout_id, null);
+    assert.equal(entry.status, "pending");
+  }
+
+  // A failed payout does not block the vendor's next run
+  acceptPayouts("processing");
+  const [retry] = await server.runVendorPayouts();
+  assert.equal(retry.status, "processing");
+  assert.equal(retry.amount, 650.5);
+});
+
+test("a network or 5xx error leaves the payout created for the next run", async () => {
+  razorpayX.setHandler(() => ({ status: 503, body: { error: { description: "Unavailable" } } }));
+
+  const [payout] = await server.runVendorPayouts();
+  assert.equal(payout.status, "created");
+  assert.equal(entries(["b1"])[0].payout_id, payout.id);
+
+  acceptPayouts("queued");
+  const submitted = await server.submitVendorPayout(payout);
+  assert.equal(submitted.status, "queued");
+  // Both attempts used the payout id as the idempotency key
+  assert.deepEqual(
+    razorpayX.requests.map((r) => r.headers["x-payout-idempotency"]),
+    [payout.id, payout.id],
+  );
+});
+
+test("a reversed payout puts its settled entries back to pending and unclaimed", async () => {
+  acceptPayouts("processed");
+
+  const [payout] = await server.runVendorPayouts();
+  assert.equal(payout.status, "processed");
+  assert.equal(entries(["b1"])[0].status, "settled");
+
+  const reversed = await server.applyRazorpayPayout({
+    id: "pout_1",
+    status: "reversed",
+    reference_id: payout.id,
+    status_details: { description: "Beneficiary bank rejected the transfer" },
+  });
+  assert.equal(reversed.status, "reversed");
+  assert.equal(reversed.failure_reason, "Beneficiary bank rejected the transfer");
+  for (const entry of entries(["b1", "b2"])) {
+    assert.equal(entry.status, "pending");
+    assert.equal(entry.payout_id, null);
+    assert.equal(entry.settled_at, null);
+    assert.equal(entry.settlement_ref, null);
+  }
+
+  // Only a processed payout can be reversed
+  assert.equal(
+    await server.applyRazorpayPayout({ id: "pout_1", status: "reversed", reference_id: payout.id }),
+    null,
+  );
+});
+
+test("a refund adjustment is netted off the next payout", async () => {
+  const [paidEntry] = entries(["b1"]);
+  supabase.table("vendor_ledger_entries").push({
+    id: "adj-1",
+    vendor_id: VENDOR_ID,
+    booking_id: null,
+    entry_type: "refund_adjustment",
+    adjusts_entry_id: paidEntry.id,
+    net_payable: -150,
+    status: "pending",
+    payout_id: null,
+    captured_at: daysAgo(10),
+    created_at: daysAgo(1),
+    updated_at: daysAgo(1),
+  });
+  acceptPayouts("processing");
+
+  const [payout] = await server.runVendorPayouts();
+  assert.equal(payout.amount, 500.5);
+  assert.equal(payout.entry_count, 3);
+  assert.equal(razorpayX.requests[0].body.amount, 50050);
+});
+
+test("nothing is paid while the held total is under the minimum", async () => {
+  supabase.seed("vendor_ledger_entries", [
+    { vendor_id: VENDOR_ID, booking_id: "b1", net_payable: 60, captured_at: daysAgo(5) },
+  ]);
+  acceptPayouts("processing");
+
+  assert.deepEqual(await server.runVendorPayouts(), []);
+  assert.equal(razorpayX.requests.length, 0);
+  assert.equal(supabase.table("vendor_payouts").length, 0);
+});
+
+test("a suspended vendor's payouts are held", async () => {
+  supabase.table("vendors")[0].suspended_at = daysAgo(1);
+  acceptPayouts("processing");
+
+  assert.deepEqual(await server.runVendorPayouts(), []);
+  assert.equal(razorpayX.requests.length, 0);
+  assert.equal(entries(["b1"])[0].payout_id, null);
+});
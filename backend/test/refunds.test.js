@@ -0,0 +1,92 @@
+// Razorpay refund.* events for refunds issued outside the app (e.g. from the Razorpay dashboard):
+// a full refund cancels the booking and frees its slot, a partial one only records the refund.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers/loadServer.js";
+
+const BOOKING_ID = "cccccccc-0000-4000-8000-000000000003";
+
+let server;
+let supabase;
+
+before(async () => {
+  ({ supabase, ...server } = await loadServer());
+});
+
+after(async () => {
+  await supabase.close();
+});
+
+beforeEach(() => {
+  supabase.seed("bookings", [
+    {
+      id: BOOKING_ID,
+      payment_status: "SUCCESS",
+      amount_paid: 1000,
+      currency_paid: "INR",
+      razorpay_payment_id: "pay_1",
+      razorpay_refund_id: null,
+      refund_amount: null,
+      refund_status: null,
+    },
+  ]);
+  supabase.seed("vendor_ledger_entries", [
+    {
+      booking_id: BOOKING_ID,
+      entry_type: "booking",
+      status: "pending",
+      payout_id: null,
+      gross_amount: 1000,
+      vendor_earnings: 900,
+      net_payable: 900,
+      refunded_amount: 0,
+      vendor_refund_amount: 0,
+    },
+  ]);
+  supabase.seed("booking_events", []);
+});
+
+/** A refund.* webhook event for an outside refund of `rupees` of pay_1. */
+const refundEvent = (event, id, rupees) => ({
+  event,
+  payload: {
+    refund: { entity: { id, entity: "refund", payment_id: "pay_1", amount: rupees * 100, currency: "INR", notes: [] } },
+  },
+});
+
+const booking = () => supabase.table("bookings")[0];
+const ledgerEntry = () => supabase.table("vendor_ledger_entries")[0];
+
+test("a partial outside refund is recorded but the booking stays confirmed", async () => {
+  assert.equal(await server.handleRazorpayEvent(refundEvent("refund.created", "rfnd_1", 200)), "processed");
+  assert.equal(booking().payment_status, "SUCCESS");
+  assert.equal(booking().refund_amount, 200);
+  assert.equal(booking().refund_status, "pending");
+  assert.equal(ledgerEntry().refunded_amount, 200);
+  assert.equal(ledgerEntry().net_payable, 720);
+  const [event] = supabase.table("booking_events");
+  assert.equal(event.from_status, "SUCCESS");
+  assert.equal(event.to_status, "SUCCESS");
+
+  // Its processed event only moves the refund forward; the amount is not counted twice
+  assert.equal(await server.handleRazorpayEvent(refundEvent("refund.processed", "rfnd_1", 200)), "processed");
+  assert.equal(booking().payment_status, "SUCCESS");
+  assert.equal(booking().refund_status, "processed");
+  assert.equal(booking().refund_amount, 200);
+  assert.equal(ledgerEntry().refunded_amount, 200);
+  // A late created event does not move it back
+  assert.equal(await server.handleRazorpayEvent(refundEvent("refund.created", "rfnd_1", 200)), "ignored");
+  assert.equal(booking().refund_status, "processed");
+});
+
+test("outside refunds that add up to the payment cancel the booking", async () => {
+  await server.handleRazorpayEvent(refundEvent("refund.processed", "rfnd_1", 400));
+  assert.equal(booking().payment_status, "SUCCESS");
+
+  assert.equal(await server.handleRazorpayEvent(refundEvent("refund.processed", "rfnd_2", 600)), "processed");
+  assert.equal(booking().payment_status, "REFUNDED");
+  assert.equal(booking().refund_amount, 1000);
+  assert.equal(ledgerEntry().refunded_amount, 1000);
+  assert.equal(ledgerEntry().status, "refunded");
+});
@@ -31,6 +31,7 @@ import BottomNavBar from "./components/BottomNavBar";
 import PlaceDetailScreen from "./screens/PlaceDetailScreen";
 import BookingDetailScreen from "./screens/BookingDetailScreen";
 import ProfileScreen from "./screens/ProfileScreen";
+import { onSessionEnded } from "./api/client";
 import { BookingsProvider } from "./context/BookingsContext";
 import { ThemeProvider, useTheme } from "./context/ThemeContext";
 import { colors as staticColors } from "./constants/colors";
@@ -127,6 +128,8 @@ function AppContent() {
   const [activeTab, setActiveTab] = useState("home");
   const [selectedPlaceId, setSelectedPlaceId] = useState(null);
   const [selectedBooking, setSelectedBooking] = useState(null);
+  // Set when the session ended on its own (revoked, expired); the profile tab opens on sign-in
+  const [sessionEnded, setSessionEnded] = useState(false);
   const [activeCategory, setActiveCategory] = useState("All");
   const [showFilterModal, setShowFilterModal] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
@@ -151,6 +154,18 @@ function AppContent() {
   const slideAnim = useRef(new Animated.Value(height)).current;
   const lastBackPress = useRef(0);
 
+  // Session revoked or expired (utils/auth already cleared the stored user): open sign-in
+  useEffect(
+    () =>
+      onSessionEnded(() => {
+        setSelectedBooking(null);
+        setSelectedPlaceId(null);
+        setActiveTab("profile");
+        setSessionEnded(true);
+      }),
+    [],
+  );
+
   // Android back button: navigate back instead of exiting app
   useEffect(() => {
     if (Platform.OS !== "android") return;
@@ -598,8 +613,12 @@ function AppContent() {
               />
             ) : activeTab === "profile" ? (
               <ProfileScreen
+                // Remounts when the session ends, and again after signing back in
+                key={sessionEnded ? "signed-out" : "profile"}
+                startWithLogin={sessionEnded}
                 onLoginSuccess={(userData) => {
                   // Handle successful login - user data is stored in auth utility
+                  setSessionEnded(false);
                 }}
                 onBack={() => setActiveTab("home")}
                 onTripPress={setSelectedBooking}
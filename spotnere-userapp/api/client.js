@@ -22,6 +22,56 @@ async function getAccessToken() {
   }
 }
 
+// Told when this device's session ends without the user logging out here: the backend
+// answered 401 to a signed-in request, or Supabase signed the session out (refresh token
+// revoked, "Log out all devices" on another device)
+const sessionEndedListeners = new Set();
+let endingSession = false;
+let loggingOut = false;
+
+/**
+ * Run listener() whenever the session ends (see above); the auth utilities clear the stored
+ * user and the app routes back to sign-in. Returns a function that unsubscribes.
+ */
+export function onSessionEnded(listener) {
+  sessionEndedListeners.add(listener);
+  return () => sessionEndedListeners.delete(listener);
+}
+
+/** Sign this device out on purpose (logout), which is not reported as an ended session. */
+export async function signOutLocally() {
+  loggingOut = true;
+  try {
+    // Local scope: only this device; other devices stay signed in (see Password & Security)
+    await supabase.auth.signOut({ scope: "local" });
+  } finally {
+    loggingOut = false;
+  }
+}
+
+async function endSession() {
+  if (endingSession) return;
+  endingSession = true;
+  try {
+    // Drop the dead tokens too; the SIGNED_OUT this emits is ignored below
+    await supabase.auth.signOut({ scope: "local" }).catch(() => {});
+    for (const listener of sessionEndedListeners) {
+      try {
+        await listener();
+      } catch (err) {
+        console.warn("[API] Session-ended listener failed:", err?.message);
+      }
+    }
+  } finally {
+    endingSession = false;
+  }
+}
+
+supabase.auth.onAuthStateChange((event) => {
+  // Deferred: Supabase must not be called from inside its own auth callback
+  if (event === "SIGNED_OUT" && !loggingOut && !endingSession) setTimeout(endSession, 0);
+});
+
 async function request(method, path, body = null, query = null) {
   let url = `${API_BASE}${path}`;
   if (query && Object.keys(query).length > 0) {
@@ -48,6 +98,8 @@ async function request(method, path, body = null, query = null) {
   const res = await fetch(url, opts);
   const data = await res.json().catch(() => ({}));
   if (!res.ok) {
+    // A token the backend no longer accepts: the session is over on this device
+    if (res.status === 401 && token) endSession();
     const err = new Error(data?.error || `Request failed: ${res.status}`);
     err.status = res.status;
     err.data = data;
@@ -65,6 +117,7 @@ export const api = {
   getPlaceReviews: (placeId) => request("GET", `/api/places/${placeId}/reviews`),
   getPlaceGallery: (placeId) => request("GET", `/api/places/${placeId}/gallery`),
   getPlaceVendor: (placeId) => request("GET", `/api/places/${placeId}/vendor`),
+  getPlaceResources: (placeId) => request("GET", `/api/places/${placeId}/resources`),
   addReview: (placeId, payload) =>
     request("POST", `/api/places/${placeId}/reviews`, payload),
 
@@ -80,6 +133,29 @@ export const api = {
 
   // Bookings (auth required — userId derived from JWT on backend)
   getBookings: () => request("GET", "/api/bookings"),
+  getCancellationPreview: (bookingId) =>
+    request("GET", `/api/bookings/${bookingId}/cancellation`),
+  cancelBooking: (bookingId, reason) =>
+    request("POST", `/api/bookings/${bookingId}/cancel`, reason ? { reason } : {}),
+  // Status history of the user's booking, oldest first
+  getBookingEvents: (bookingId) => request("GET", `/api/bookings/${bookingId}/events`),
+  // Server-computed price breakdown (public)
+  getBookingQuote: ({
+    placeId,
+    durationMinutes,
+    numberOfGuests,
+    resourceId,
+    bookingDateTimeLocal,
+    couponCode,
+  }) =>
+    request("POST", "/api/bookings/quote", {
+      placeId,
+      duration_minutes: durationMinutes,
+      number_of_guests: numberOfGuests,
+      resource_id: resourceId || undefined,
+      bookingDateTimeLocal: bookingDateTimeLocal || undefined,
+      coupon_code: couponCode || undefined,
+    }),
 
   // Auth
   register: (formData) =>
@@ -98,6 +174,16 @@ export const api = {
   login: (email, password) =>
     request("POST", "/api/auth/login", { email, password }),
 
+  // Forgot password (no auth) and email verification (auth required); codes arrive by email
+  requestPasswordReset: (email) =>
+    request("POST", "/api/auth/password-reset/request", { email }),
+  confirmPasswordReset: (email, code, newPassword) =>
+    request("POST", "/api/auth/password-reset/confirm", { email, code, newPassword }),
+  requestEmailVerification: () =>
+    request("POST", "/api/auth/verify-email/request"),
+  confirmEmailVerification: (code) =>
+    request("POST", "/api/auth/verify-email/confirm", { code }),
+
   // Users (auth required — userId derived from JWT on backend)
   updateProfile: (formData) =>
     request("PATCH", "/api/users/profile", {
@@ -116,4 +202,14 @@ export const api = {
       currentPassword,
       newPassword,
     }),
+
+  // Signed-in devices (Supabase Auth sessions)
+  getSessions: () =>
+    request("GET", "/api/users/sessions"),
+  registerSession: (device) =>
+    request("POST", "/api/users/sessions/current", device),
+  revokeSession: (sessionId) =>
+    request("DELETE", `/api/users/sessions/${sessionId}`),
+  logoutAllSessions: () =>
+    request("POST", "/api/users/sessions/logout-all"),
 };
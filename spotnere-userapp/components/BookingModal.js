@@ -18,11 +18,18 @@ import Constants from "expo-constants";
 import { useTheme } from "../context/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { getCurrentUser } from "../utils/auth";
+import EmailVerificationModal from "./EmailVerificationModal";
 import { supabase } from "../config/supabase";
 import { useBookings } from "../context/BookingsContext";
 import { NativeModules } from "react-native";
 import RazorpayCheckout from "react-native-razorpay";
-import { resolvePlaceHours } from "../utils/placeHours";
+import {
+  formatTimeTo12Hour,
+  getHoursOverrideForDate,
+  resolvePlaceHours,
+} from "../utils/placeHours";
+import { api } from "../api/client";
+import { formatMinutes, getSlotSettings } from "../utils/slotSettings";
 
 const { width, height } = Dimensions.get("window");
 
@@ -51,7 +58,34 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
   const [paymentFailedMessage, setPaymentFailedMessage] = useState("");
   const [showPaymentCancelled, setShowPaymentCancelled] = useState(false);
   const [bookedSlots, setBookedSlots] = useState([]);
+  // Vendor-blocked periods for the selected day: [{ startMins, endMins }] in venue-local minutes
+  const [blockedRanges, setBlockedRanges] = useState([]);
+  const [slotsRefreshKey, setSlotsRefreshKey] = useState(0);
+  // Resolved slot settings from booked-slots; until they arrive, derive them from the place row
+  const [serverSlotSettings, setServerSlotSettings] = useState(null);
+  // Capacity-based places: { [minutes since midnight]: guests the slot can still take }
+  const [spotsLeftByMinutes, setSpotsLeftByMinutes] = useState({});
+  // Hourly price of each slot after the place's pricing rules: { [minutes since midnight]: price }
+  const [slotPriceByMinutes, setSlotPriceByMinutes] = useState({});
   const [loadingSlots, setLoadingSlots] = useState(false);
+  /** Price breakdown from POST /api/bookings/quote; the server is the only source of totals. */
+  const [quote, setQuote] = useState(null);
+  const [loadingQuote, setLoadingQuote] = useState(false);
+  const [quoteError, setQuoteError] = useState("");
+  // Courts / lanes / rooms (GET /api/places/:id/resources); empty for places booked as a whole
+  const [resources, setResources] = useState([]);
+  // null = "Any available": the backend assigns the cheapest free resource
+  const [selectedResourceId, setSelectedResourceId] = useState(null);
+  // Per-resource availability for the selected day, from booked-slots: [{ id, slots }]
+  const [resourceDaySlots, setResourceDaySlots] = useState([]);
+  // Grid for places with resources: the booked-slots slots for the selected resource or "any"
+  const [serverSlots, setServerSlots] = useState(null);
+  // Promo code: what is typed, the code sent with each quote, and why the server refused it
+  const [couponInput, setCouponInput] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState("");
+  // Email to verify when the backend refuses to book an unverified account (null = hidden)
+  const [verificationEmail, setVerificationEmail] = useState(null);
 
   useEffect(() => {
     if (!visible) {
@@ -63,9 +97,41 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
       setGuests("");
       setShowBreakdown(false);
       setBookedSlots([]);
+      setBlockedRanges([]);
+      setServerSlotSettings(null);
+      setSpotsLeftByMinutes({});
+      setSlotPriceByMinutes({});
+      setQuote(null);
+      setQuoteError("");
+      setSelectedResourceId(null);
+      setResourceDaySlots([]);
+      setServerSlots(null);
+      setCouponInput("");
+      setAppliedCoupon(null);
+      setCouponError("");
     }
   }, [visible]);
 
+  const placeIdForResources = placeDetails?.id || placeDetails?.place_id;
+  useEffect(() => {
+    if (!visible || !placeIdForResources) return;
+    let cancelled = false;
+    api
+      .getPlaceResources(placeIdForResources)
+      .then((data) => {
+        if (!cancelled) setResources(data?.resources || []);
+      })
+      .catch(() => {
+        if (!cancelled) setResources([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, placeIdForResources]);
+
+  const hasResources = resources.length > 0;
+  const selectedResource = resources.find((r) => r.id === selectedResourceId) || null;
+
   // Parse time string (e.g. "9:00 AM", "10:30 PM", "09:00", "21:00", "06:00:00") to minutes since midnight
   const parseTimeToMinutes = (str) => {
     if (!str || typeof str !== "string") return 0;
@@ -103,6 +169,13 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
   const isSlotBooked = (timeSlot) =>
     bookedSlotMinutesSet.has(parseTimeToMinutes(timeSlot));
 
+  /** A slot is blocked when any part of it falls inside a vendor block. */
+  const isSlotBlocked = (timeSlot) => {
+    const start = parseTimeToMinutes(timeSlot);
+    const end = start + slotMinutes;
+    return blockedRanges.some((r) => start < r.endMins && end > r.startMins);
+  };
+
   // Parse opening hours and return set of closed day indices (0=Sun, 1=Mon, ..., 6=Sat)
   const getClosedDayIndices = () => {
     const closed = new Set();
@@ -201,15 +274,34 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
     return { openMins, closeMins };
   };
 
-  // Generate 1-hour slots from opening through closing (last slot starts strictly before close time)
-  const SLOT_INTERVAL_MINUTES = 60;
+  // Slot length and booking length limits (places.slot_minutes etc.)
+  const { slotMinutes, minDurationMinutes, maxDurationMinutes } =
+    serverSlotSettings || getSlotSettings(placeDetails);
+  const minSlotCount = minDurationMinutes / slotMinutes;
+  const maxSlotCount = maxDurationMinutes / slotMinutes;
+
+  // Generate slots from opening time, slotMinutes apart; every slot ends by closing time
   const DEFAULT_OPEN = 9 * 60; // 9:00 AM
   const DEFAULT_CLOSE = 22 * 60; // 10:00 PM
+  // Holiday / special-hours override for a date, if the vendor set one
+  const getOverrideForDate = (date) =>
+    getHoursOverrideForDate(placeDetails, date);
+
   const getTimeSlotsForSelectedDate = () => {
     if (!selectedDate) return [];
-    const dayIndex = selectedDate.getDay();
-    if (closedDayIndices?.has(dayIndex)) return [];
-    let range = getHoursForDay(dayIndex);
+    const override = getOverrideForDate(selectedDate);
+    let range;
+    if (override) {
+      if (override.closed) return [];
+      const openMins = parseTimeToMinutes(override.open);
+      const closeMins = parseTimeToMinutes(override.close);
+      if (closeMins <= openMins) return [];
+      range = { openMins, closeMins };
+    } else {
+      const dayIndex = selectedDate.getDay();
+      if (closedDayIndices?.has(dayIndex)) return [];
+      range = getHoursForDay(dayIndex);
+    }
     if (!range) {
       // No hours data: use default 9 AM - 10 PM
       range = { openMins: DEFAULT_OPEN, closeMins: DEFAULT_CLOSE };
@@ -217,40 +309,94 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
     const slots = [];
     for (
       let m = range.openMins;
-      m < range.closeMins;
-      m += SLOT_INTERVAL_MINUTES
+      m + slotMinutes <= range.closeMins;
+      m += slotMinutes
     ) {
       slots.push(minutesToTimeStr(m));
     }
     return slots;
   };
 
-  const timeSlots = getTimeSlotsForSelectedDate();
+  // Resources may keep their own hours, so their grid comes from the server once loaded
+  const timeSlots =
+    hasResources && serverSlots
+      ? serverSlots.map((slot) => slot.label)
+      : getTimeSlotsForSelectedDate();
+  const selectedOverride = selectedDate ? getOverrideForDate(selectedDate) : null;
 
-  const allowMultipleHours =
-    placeDetails?.allow_multiple_hours_booking === true;
+  // Variable-length bookings; otherwise every booking is exactly the minimum length
+  const allowMultipleHours = maxSlotCount > minSlotCount;
 
   const chargePerGuest = placeDetails?.charge_per_guest === true;
 
   const allowOverlapping =
     placeDetails?.allow_overlapping_bookings === true;
 
-  /** Guests affect price only when charge_per_guest; otherwise field is read-only / grayed. */
+  // Shared venues take several bookings per slot until their guests fill places.guest_capacity
+  // (or the chosen resource's own guest capacity)
+  const capacityBased = selectedResource
+    ? Number(selectedResource.guestCapacity ?? placeDetails?.guest_capacity) > 0
+    : Number(placeDetails?.guest_capacity) > 0 ||
+      resources.some((r) => Number(r.guestCapacity) > 0);
+
+  /** Spots left in a slot for capacity-based places, or null when the place has no capacity. */
+  const getSpotsLeft = (timeSlot) => {
+    if (!capacityBased) return null;
+    return spotsLeftByMinutes[parseTimeToMinutes(timeSlot)] ?? null;
+  };
+
+  /** Most guests the selected slots can all still take (null = no capacity limit). */
+  const maxGuestsForSelection = useMemo(() => {
+    if (!capacityBased || selectedTimeSlots.length === 0) return null;
+    const left = selectedTimeSlots
+      .map((t) => spotsLeftByMinutes[parseTimeToMinutes(t)])
+      .filter((n) => n != null);
+    return left.length > 0 ? Math.min(...left) : null;
+  }, [capacityBased, selectedTimeSlots, spotsLeftByMinutes]);
+
+  // Guests count towards capacity even when they do not change the price
+  const usesGuests = chargePerGuest || capacityBased;
+
+  // Prices differ across the day (peak / weekend rules): show each slot's hourly price in the grid
+  const dayPrices = Object.values(slotPriceByMinutes);
+  const showSlotPrices = dayPrices.some((price) => price !== dayPrices[0]);
+
+  /** Guests matter for price (charge_per_guest) or capacity; otherwise field is read-only / grayed. */
   const guestsFieldDisabled =
-    !selectedDate || selectedTimeSlots.length === 0 || !chargePerGuest;
+    !selectedDate || selectedTimeSlots.length === 0 || !usesGuests;
+
+  // Keep the guest count within the spots left for the current selection
+  useEffect(() => {
+    if (maxGuestsForSelection == null) return;
+    const n = parseInt(guests, 10);
+    if (n > maxGuestsForSelection) setGuests(String(maxGuestsForSelection));
+  }, [maxGuestsForSelection, guests]);
+
+  const handleGuestsChange = (text) => {
+    const digits = text.replace(/\D/g, "");
+    const n = parseInt(digits, 10);
+    if (maxGuestsForSelection != null && n > maxGuestsForSelection) {
+      setGuests(String(maxGuestsForSelection));
+      return;
+    }
+    setGuests(digits);
+  };
 
   /**
-   * Load booked 1-hour slots for this place + calendar day.
+   * Load slot availability and vendor blocks for this place + calendar day.
    * Backend reads bookings (UTC), converts to place timezone, returns labels matching the grid.
-   * When allow_overlapping_bookings is false, those slots are disabled / grayed out.
+   * When allow_overlapping_bookings is false, booked slots are disabled / grayed out; for
+   * capacity-based places, slots are disabled once full and show the spots left.
+   * Blocked ranges are always unavailable.
    */
   useEffect(() => {
-    if (!visible) {
-      setBookedSlots([]);
-      return;
-    }
-    if (!selectedDate || allowOverlapping) {
+    if (!visible || !selectedDate) {
       setBookedSlots([]);
+      setBlockedRanges([]);
+      setSpotsLeftByMinutes({});
+      setSlotPriceByMinutes({});
+      setResourceDaySlots([]);
+      setServerSlots(null);
       return;
     }
     const placeId = placeDetails?.id || placeDetails?.place_id;
@@ -265,15 +411,46 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
     setLoadingSlots(true);
 
     fetch(
-      `${API_BASE}/api/bookings/booked-slots?placeId=${encodeURIComponent(placeId)}&date=${encodeURIComponent(dateStr)}`,
+      `${API_BASE}/api/bookings/booked-slots?placeId=${encodeURIComponent(placeId)}&date=${encodeURIComponent(dateStr)}` +
+        (selectedResourceId
+          ? `&resourceId=${encodeURIComponent(selectedResourceId)}`
+          : ""),
       { headers: { "ngrok-skip-browser-warning": "true" } },
     )
       .then((r) => r.json())
       .then((data) => {
-        if (!cancelled) setBookedSlots(data.bookedSlots || []);
+        if (cancelled) return;
+        // With a capacity, bookedSlots lists the full slots, which are unavailable either way
+        setBookedSlots(
+          allowOverlapping && !capacityBased ? [] : data.bookedSlots || [],
+        );
+        setBlockedRanges(data.blockedRanges || []);
+        setSpotsLeftByMinutes(
+          Object.fromEntries(
+            (data.slots || [])
+              .filter((slot) => slot.remaining != null)
+              .map((slot) => [slot.startMins, slot.remaining]),
+          ),
+        );
+        setSlotPriceByMinutes(
+          Object.fromEntries(
+            (data.slots || [])
+              .filter((slot) => slot.price != null)
+              .map((slot) => [slot.startMins, slot.price]),
+          ),
+        );
+        if (data.slotSettings) setServerSlotSettings(data.slotSettings);
+        setResourceDaySlots(data.resources || []);
+        setServerSlots(data.resources ? data.slots || [] : null);
       })
       .catch(() => {
-        if (!cancelled) setBookedSlots([]);
+        if (cancelled) return;
+        setBookedSlots([]);
+        setBlockedRanges([]);
+        setSpotsLeftByMinutes({});
+        setSlotPriceByMinutes({});
+        setResourceDaySlots([]);
+        setServerSlots(null);
       })
       .finally(() => {
         if (!cancelled) setLoadingSlots(false);
@@ -282,19 +459,27 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
     return () => {
       cancelled = true;
     };
-  }, [visible, selectedDate, allowOverlapping, placeDetails]);
+  }, [
+    visible,
+    selectedDate,
+    allowOverlapping,
+    capacityBased,
+    placeDetails,
+    selectedResourceId,
+    slotsRefreshKey,
+  ]);
 
   const sortSlotsByTime = (slots) =>
     [...slots].sort((a, b) => parseTimeToMinutes(a) - parseTimeToMinutes(b));
 
-  /** Slots are 1 hour apart; selected block must be consecutive with no gaps. */
-  const areHourSlotsConsecutive = (slots) => {
+  /** Slots are slotMinutes apart; selected block must be consecutive with no gaps. */
+  const areSlotsConsecutive = (slots) => {
     if (slots.length <= 1) return true;
     const sorted = sortSlotsByTime(slots);
     for (let i = 1; i < sorted.length; i++) {
       if (
         parseTimeToMinutes(sorted[i]) - parseTimeToMinutes(sorted[i - 1]) !==
-        SLOT_INTERVAL_MINUTES
+        slotMinutes
       ) {
         return false;
       }
@@ -339,6 +524,9 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
 
   const isDateClosed = (date) => {
     if (!date) return false;
+    // A date override wins either way: it can close an open weekday or open a closed one
+    const override = getOverrideForDate(date);
+    if (override) return override.closed === true;
     return closedDayIndices?.has(date.getDay()) ?? false;
   };
 
@@ -349,19 +537,78 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
     setGuests("");
   };
 
+  const isSlotAvailable = (timeSlot) => {
+    if (isSlotBlocked(timeSlot)) return false;
+    if (serverSlots) {
+      const mins = parseTimeToMinutes(timeSlot);
+      return serverSlots.some((slot) => slot.startMins === mins && slot.available);
+    }
+    if (capacityBased) return getSpotsLeft(timeSlot) !== 0 && !isSlotBooked(timeSlot);
+    return allowOverlapping || !isSlotBooked(timeSlot);
+  };
+
+  /**
+   * Whether consecutive slots can be booked together. With "Any available", every slot being free
+   * on some resource is not enough: one booking goes on a single resource, so one must have them all.
+   */
+  const isRunAvailable = (run) => {
+    if (!run.every(isSlotAvailable)) return false;
+    if (!hasResources || selectedResourceId || resourceDaySlots.length === 0) return true;
+    const minutes = run.map(parseTimeToMinutes);
+    return resourceDaySlots.some((r) =>
+      minutes.every((mins) =>
+        r.slots.some((slot) => slot.startMins === mins && slot.available),
+      ),
+    );
+  };
+
+  const handleResourcePress = (resourceId) => {
+    if (resourceId === selectedResourceId) return;
+    setSelectedResourceId(resourceId);
+    setSelectedTimeSlots([]);
+    setGuests("");
+  };
+
+  /**
+   * Tapping a slot starts a booking there of the minimum length; tapping the slot right after the
+   * selection extends it (up to the maximum), and tapping either end of a longer selection trims it.
+   */
   const handleTimeSlotPress = (timeSlot) => {
-    if (!selectedDate) return;
-    if (!allowOverlapping && isSlotBooked(timeSlot)) return;
-    if (!allowMultipleHours) {
-      setSelectedTimeSlots([timeSlot]);
+    if (!selectedDate || !isSlotAvailable(timeSlot)) return;
+    const index = timeSlots.indexOf(timeSlot);
+    const sorted = sortSlotsByTime(selectedTimeSlots);
+    const first = timeSlots.indexOf(sorted[0]);
+    const last = timeSlots.indexOf(sorted[sorted.length - 1]);
+
+    if (sorted.length > 0 && allowMultipleHours) {
+      if (
+        index === last + 1 &&
+        sorted.length < maxSlotCount &&
+        isRunAvailable([...sorted, timeSlot])
+      ) {
+        setSelectedTimeSlots([...sorted, timeSlot]);
+        return;
+      }
+      if ((index === first || index === last) && sorted.length > minSlotCount) {
+        setSelectedTimeSlots(sorted.filter((t) => t !== timeSlot));
+        return;
+      }
+    }
+    if (sorted.length > 0 && index === first && sorted.length === minSlotCount) {
+      setSelectedTimeSlots([]);
       return;
     }
-    setSelectedTimeSlots((prev) => {
-      if (prev.includes(timeSlot)) {
-        return prev.filter((t) => t !== timeSlot);
-      }
-      return [...prev, timeSlot];
-    });
+
+    const run = timeSlots.slice(index, index + minSlotCount);
+    if (run.length < minSlotCount || !isRunAvailable(run)) {
+      Alert.alert(
+        "Not enough time",
+        `Bookings here are at least ${formatMinutes(minDurationMinutes)}. Please pick an earlier start time.`,
+        [{ text: "OK" }],
+      );
+      return;
+    }
+    setSelectedTimeSlots(run);
   };
 
   const navigateMonth = (direction) => {
@@ -374,38 +621,117 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
     );
   };
 
-  const calculateTotal = () => {
-    const hourCount = selectedTimeSlots.length;
+  /** Venue-local wall time of the selection's start, e.g. "2025-01-27T10:00:00" (null when empty). */
+  const selectionStartLocal = (() => {
+    if (!selectedDate || selectedTimeSlots.length === 0) return null;
+    const startSlot = sortSlotsByTime(selectedTimeSlots)[0];
+    const y = selectedDate.getFullYear();
+    const mo = String(selectedDate.getMonth() + 1).padStart(2, "0");
+    const d = String(selectedDate.getDate()).padStart(2, "0");
+    const mins = parseTimeToMinutes(startSlot);
+    const hh = String(Math.floor(mins / 60) % 24).padStart(2, "0");
+    const mm = String(mins % 60).padStart(2, "0");
+    return `${y}-${mo}-${d}T${hh}:${mm}:00`;
+  })();
+
+  /**
+   * Re-price whenever the selection changes; totals shown in the modal come only from the backend.
+   * The start time is sent so peak / weekend / seasonal pricing rules apply. An applied coupon the
+   * server refuses (e.g. under its minimum spend) leaves the quote undiscounted with couponError set;
+   * it applies by itself once the selection qualifies.
+   */
+  const placeIdForQuote = placeDetails?.id || placeDetails?.place_id;
+  const durationMinutesForQuote = selectedTimeSlots.length * slotMinutes;
+  useEffect(() => {
     if (
-      !placeDetails ||
+      !visible ||
+      !placeIdForQuote ||
       !selectedDate ||
-      hourCount === 0 ||
-      (chargePerGuest && !guests)
+      durationMinutesForQuote === 0 ||
+      (usesGuests && !(parseInt(guests, 10) > 0))
     ) {
-      return { subtotal: 0, serviceFee: 0, total: 0, hourCount: 0 };
+      setQuote(null);
+      setQuoteError("");
+      return;
     }
 
-    const basePrice = parseFloat(
-      placeDetails.price_per_night ||
-        placeDetails.avg_price ||
-        placeDetails.price ||
-        0,
-    );
-
-    const numGuests = parseInt(guests, 10) || 1;
-
-    let subtotal = basePrice * hourCount;
-    if (chargePerGuest) subtotal *= numGuests;
+    let cancelled = false;
+    setLoadingQuote(true);
+    api
+      .getBookingQuote({
+        placeId: placeIdForQuote,
+        durationMinutes: durationMinutesForQuote,
+        numberOfGuests: usesGuests ? parseInt(guests, 10) : 1,
+        resourceId: selectedResourceId,
+        bookingDateTimeLocal: selectionStartLocal,
+        couponCode: appliedCoupon,
+      })
+      .then((data) => {
+        if (cancelled) return;
+        setQuote(data?.quote || null);
+        setQuoteError("");
+        if (appliedCoupon) setCouponError(data?.couponError || "");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setQuote(null);
+        setQuoteError(err?.message || "Could not calculate price");
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingQuote(false);
+      });
 
-    const serviceFee = 0;
-    const total = subtotal + serviceFee;
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    visible,
+    placeIdForQuote,
+    selectedDate,
+    durationMinutesForQuote,
+    guests,
+    usesGuests,
+    selectedResourceId,
+    selectionStartLocal,
+    appliedCoupon,
+  ]);
+
+  const handleApplyCoupon = () => {
+    const code = couponInput.trim().toUpperCase();
+    setCouponError("");
+    setAppliedCoupon(code || null);
+  };
 
-    return { subtotal, serviceFee, total, hourCount };
+  const handleRemoveCoupon = () => {
+    setCouponInput("");
+    setCouponError("");
+    setAppliedCoupon(null);
   };
 
   const days = getDaysInMonth(currentMonth);
   const weekDays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-  const bookingTotal = calculateTotal();
+  const bookingTotal = quote
+    ? {
+        unitPrice: quote.unitPrice,
+        subtotal: quote.subtotal,
+        discount: quote.discount || 0,
+        couponCode: quote.couponCode || null,
+        serviceFee: quote.serviceFee,
+        taxes: quote.taxes,
+        total: quote.total,
+        hourCount: quote.hourCount,
+        priceVaries: quote.priceVaries === true,
+      }
+    : {
+        unitPrice: 0,
+        subtotal: 0,
+        discount: 0,
+        couponCode: null,
+        serviceFee: 0,
+        taxes: 0,
+        total: 0,
+        hourCount: 0,
+      };
 
   const handlePayAndBook = async () => {
     if (!selectedDate || selectedTimeSlots.length === 0) {
@@ -416,29 +742,31 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
       );
       return;
     }
-    if (chargePerGuest && !guests) {
+    if (usesGuests && !guests) {
       Alert.alert("Incomplete Booking", "Please enter the number of guests.", [
         { text: "OK" },
       ]);
       return;
     }
 
-    if (allowMultipleHours && !areHourSlotsConsecutive(selectedTimeSlots)) {
+    if (!areSlotsConsecutive(selectedTimeSlots)) {
       Alert.alert(
-        "Select consecutive hours",
-        "Please choose adjacent time slots (e.g. 6:00 PM, 7:00 PM, 8:00 PM) with no gaps.",
+        "Select consecutive slots",
+        "Please choose adjacent time slots with no gaps.",
         [{ text: "OK" }],
       );
       return;
     }
 
-    const total = bookingTotal.total;
-    if (total <= 0) {
-      Alert.alert("Invalid Amount", "Please check your booking details.", [
-        { text: "OK" },
-      ]);
+    if (!quote || loadingQuote) {
+      Alert.alert(
+        "Price unavailable",
+        quoteError || "Please wait while we calculate your total.",
+        [{ text: "OK" }],
+      );
       return;
     }
+    const total = quote.total;
 
     const user = await getCurrentUser();
     if (!user?.id) {
@@ -455,17 +783,10 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
       }
 
       // Venue-local wall time (e.g. IST). Backend loads places.timezone, converts to UTC, stores in DB.
-      const startSlot = sortSlotsByTime(selectedTimeSlots)[0];
-      const y = selectedDate.getFullYear();
-      const mo = String(selectedDate.getMonth() + 1).padStart(2, "0");
-      const d = String(selectedDate.getDate()).padStart(2, "0");
-      const mins = parseTimeToMinutes(startSlot);
-      const hh = String(Math.floor(mins / 60) % 24).padStart(2, "0");
-      const mm = String(mins % 60).padStart(2, "0");
-      const bookingDateTimeLocal = `${y}-${mo}-${d}T${hh}:${mm}:00`;
+      const bookingDateTimeLocal = selectionStartLocal;
       const venueTimezone = placeDetails?.timezone || "UTC";
 
-      const numberOfGuests = chargePerGuest ? parseInt(guests, 10) || 0 : 1;
+      const numberOfGuests = usesGuests ? parseInt(guests, 10) || 0 : 1;
 
       const { data: { session } } = await supabase.auth.getSession();
       const accessToken = session?.access_token || "";
@@ -484,12 +805,74 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
           amountInr: total,
           currency: "INR",
           number_of_guests: numberOfGuests,
-          duration_hours: Math.max(1, selectedTimeSlots.length),
+          duration_minutes: selectedTimeSlots.length * slotMinutes,
+          resource_id: selectedResourceId || undefined,
+          // Only a code the quote accepted, so the total matches amountInr
+          coupon_code: quote.couponCode || undefined,
         }),
       });
 
       const data = await res.json();
 
+      if (res.status === 403 && data.emailVerificationRequired) {
+        setPaying(false);
+        setVerificationEmail(user.email || "");
+        return;
+      }
+
+      if (data.couponError) {
+        // Code expired or ran out since it was applied; re-price without it.
+        setAppliedCoupon(null);
+        setCouponError(data.error || "This coupon can no longer be used.");
+        setPaying(false);
+        Alert.alert(
+          "Coupon not applied",
+          `${data.error || "This coupon can no longer be used."}\nPlease review the updated total.`,
+          [{ text: "OK" }],
+        );
+        return;
+      }
+
+      if (res.status === 409 && data.quote) {
+        // Server re-priced the booking (e.g. vendor changed the rate); show the new total first.
+        setQuote(data.quote);
+        setPaying(false);
+        Alert.alert(
+          "Price updated",
+          `${data.error || "The price has changed."}\nNew total: ₹${Number(data.quote.total).toFixed(2)}`,
+          [{ text: "OK" }],
+        );
+        return;
+      }
+
+      if (res.status === 409 && data.spotsLeft != null) {
+        // Capacity-based place filled up meanwhile; reload the spots left and let the user adjust.
+        setSlotsRefreshKey((k) => k + 1);
+        setPaying(false);
+        Alert.alert(
+          "Not enough spots",
+          data.error || "The selected time does not have enough spots left.",
+          [{ text: "OK" }],
+        );
+        return;
+      }
+
+      if (res.status === 409 && Array.isArray(data.conflictingSlots)) {
+        // Another booking (or a vendor block) took these hours; mark them and let the user re-pick.
+        setBookedSlots((prev) => [
+          ...new Set([...(prev || []), ...data.conflictingSlots]),
+        ]);
+        setSlotsRefreshKey((k) => k + 1);
+        setSelectedTimeSlots([]);
+        setPaying(false);
+        Alert.alert(
+          "Slot no longer available",
+          data.error || "Some of the selected hours were just booked.",
+          [{ text: "OK" }],
+        );
+        return;
+      }
+
       if (!res.ok) {
         const msg = data.details
           ? `${data.error}: ${data.details}`
@@ -517,22 +900,38 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
           amount: data.amount,
           currency: data.currency,
           order_id: data.orderId,
+          // Close checkout before the server-side slot hold expires
+          ...(data.holdExpiresAt
+            ? {
+                timeout: Math.max(
+                  60,
+                  Math.floor(
+                    (new Date(data.holdExpiresAt).getTime() - Date.now()) / 1000,
+                  ),
+                ),
+              }
+            : {}),
           description: `Booking - ${placeDetails?.name || placeDetails?.title || "Place"}`,
           name: "Spotnere",
         });
       } catch (razorpayErr) {
         setShowPaymentProcessing(false);
         const err = razorpayErr?.error || razorpayErr;
+        // A failed payment keeps the hold: Razorpay may still retry or capture it, and the
+        // webhook / sweeper settle the booking. Only a dismissed checkout releases the slot.
         const isUserCancelled =
-          razorpayErr?.code === 2 ||
-          err?.code === 2 ||
-          err?.reason === "payment_error" ||
-          err?.source === "customer";
+          err?.reason !== "payment_error" &&
+          (razorpayErr?.code === 2 || err?.code === 2 || err?.source === "customer");
         if (isUserCancelled) {
           try {
             await fetch(`${API_BASE}/bookings/${data.bookingId}/cancel`, {
               method: "DELETE",
-              headers: { "ngrok-skip-browser-warning": "true" },
+              headers: {
+                "ngrok-skip-browser-warning": "true",
+                ...(accessToken
+                  ? { Authorization: `Bearer ${accessToken}` }
+                  : {}),
+              },
             });
           } catch {
             /* ignore */
@@ -568,6 +967,7 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
         headers: {
           "Content-Type": "application/json",
           "ngrok-skip-browser-warning": "true",
+          ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
         },
         body: JSON.stringify(payload),
       });
@@ -591,7 +991,12 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
           await new Promise((r) => setTimeout(r, 1500));
           const statusRes = await fetch(
             `${API_BASE}/payments/razorpay/status?bookingId=${data.bookingId}`,
-            { headers: { "ngrok-skip-browser-warning": "true" } },
+            {
+              headers: {
+                "ngrok-skip-browser-warning": "true",
+                ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+              },
+            },
           );
           if (statusRes.ok) {
             statusData = await statusRes.json();
@@ -831,6 +1236,55 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                   </View>
                 </View>
 
+                {/* Resource picker - courts / lanes / rooms, or let the backend assign one */}
+                {hasResources && (
+                  <View style={styles.timeSlotContainer}>
+                    <Text style={styles.timeSlotTitle}>Choose where</Text>
+                    <Text style={styles.timeSlotSub}>
+                      Pick one, or take any that is free for your time (cheapest first).
+                    </Text>
+                    <ScrollView
+                      horizontal
+                      showsHorizontalScrollIndicator={false}
+                      contentContainerStyle={styles.resourceChips}
+                    >
+                      {[{ id: null, name: "Any available" }, ...resources].map((r) => {
+                        const isSelected = selectedResourceId === r.id;
+                        return (
+                          <TouchableOpacity
+                            key={r.id || "any"}
+                            style={[
+                              styles.resourceChip,
+                              isSelected && styles.timeSlotButtonSelected,
+                            ]}
+                            onPress={() => handleResourcePress(r.id)}
+                            activeOpacity={0.7}
+                          >
+                            <Text
+                              style={[
+                                styles.timeSlotText,
+                                isSelected && styles.timeSlotTextSelected,
+                              ]}
+                            >
+                              {r.name}
+                            </Text>
+                            {r.id && (
+                              <Text
+                                style={[
+                                  styles.timeSlotSpotsLabel,
+                                  isSelected && styles.timeSlotTextSelected,
+                                ]}
+                              >
+                                ₹{r.price}
+                              </Text>
+                            )}
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </ScrollView>
+                  </View>
+                )}
+
                 {/* Time Slot Selection - Only show slots when place is open on selected date */}
                 <View style={styles.timeSlotContainer}>
                   <Text
@@ -841,17 +1295,28 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                   >
                     {allowMultipleHours ? "Select hours" : "Select time"}
                   </Text>
-                  {allowMultipleHours &&
-                  selectedDate &&
-                  timeSlots.length > 0 ? (
+                  {selectedDate && timeSlots.length > 0 ? (
+                    <Text style={styles.timeSlotSub}>
+                      {allowMultipleHours
+                        ? `Tap a start time, then the following slots to book ${formatMinutes(minDurationMinutes)} to ${formatMinutes(maxDurationMinutes)}. Selected: ${formatMinutes(selectedTimeSlots.length * slotMinutes)}`
+                        : `Each booking is ${formatMinutes(minDurationMinutes)}.`}
+                    </Text>
+                  ) : null}
+                  {selectedOverride && !selectedOverride.closed ? (
                     <Text style={styles.timeSlotSub}>
-                      Tap consecutive 1-hour slots to book multiple hours.
-                      Selected: {selectedTimeSlots.length}
+                      Special hours
+                      {selectedOverride.label
+                        ? ` (${selectedOverride.label})`
+                        : ""}
+                      : {formatTimeTo12Hour(selectedOverride.open)} -{" "}
+                      {formatTimeTo12Hour(selectedOverride.close)}
                     </Text>
                   ) : null}
                   {selectedDate && timeSlots.length === 0 ? (
                     <Text style={styles.timeSlotClosedText}>
-                      Place is closed on this day
+                      {selectedOverride?.closed && selectedOverride.label
+                        ? `Closed for ${selectedOverride.label}`
+                        : "Place is closed on this day"}
                     </Text>
                   ) : loadingSlots ? (
                     <ActivityIndicator
@@ -863,8 +1328,12 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                     <View style={styles.timeSlotGrid}>
                       {timeSlots.map((timeSlot, index) => {
                         const isSelected = selectedTimeSlots.includes(timeSlot);
-                        const isBooked =
-                          !allowOverlapping && isSlotBooked(timeSlot);
+                        const isBlocked = isSlotBlocked(timeSlot);
+                        const spotsLeft = getSpotsLeft(timeSlot);
+                        const slotPrice = showSlotPrices
+                          ? slotPriceByMinutes[parseTimeToMinutes(timeSlot)]
+                          : null;
+                        const isBooked = !isSlotAvailable(timeSlot);
                         const isDisabled = !selectedDate || isBooked;
                         return (
                           <TouchableOpacity
@@ -901,7 +1370,31 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                             </Text>
                             {isBooked && (
                               <Text style={styles.timeSlotBookedLabel}>
-                                Booked
+                                {isBlocked
+                                  ? "Unavailable"
+                                  : capacityBased
+                                    ? "Full"
+                                    : "Booked"}
+                              </Text>
+                            )}
+                            {!isBooked && spotsLeft != null && (
+                              <Text
+                                style={[
+                                  styles.timeSlotSpotsLabel,
+                                  isSelected && styles.timeSlotTextSelected,
+                                ]}
+                              >
+                                {spotsLeft} spot{spotsLeft === 1 ? "" : "s"} left
+                              </Text>
+                            )}
+                            {!isBooked && slotPrice != null && (
+                              <Text
+                                style={[
+                                  styles.timeSlotSpotsLabel,
+                                  isSelected && styles.timeSlotTextSelected,
+                                ]}
+                              >
+                                ₹{slotPrice}/hr
                               </Text>
                             )}
                           </TouchableOpacity>
@@ -940,23 +1433,82 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                         guestsFieldDisabled && styles.guestsInputDisabled,
                       ]}
                       placeholder={
-                        chargePerGuest
+                        usesGuests
                           ? "Enter number of guests"
                           : "Not used for pricing"
                       }
                       placeholderTextColor={colors.textSecondary}
-                      value={chargePerGuest ? guests : ""}
-                      onChangeText={setGuests}
+                      value={usesGuests ? guests : ""}
+                      onChangeText={handleGuestsChange}
                       keyboardType="numeric"
                       editable={
                         !!(
                           selectedDate &&
                           selectedTimeSlots.length > 0 &&
-                          chargePerGuest
+                          usesGuests
                         )
                       }
                     />
                   </View>
+                  {maxGuestsForSelection != null && (
+                    <Text style={styles.guestsHint}>
+                      Up to {maxGuestsForSelection} guest
+                      {maxGuestsForSelection === 1 ? "" : "s"} for the selected
+                      time
+                    </Text>
+                  )}
+                </View>
+
+                {/* Apply Coupon */}
+                <View style={styles.couponContainer}>
+                  <Text style={styles.guestsTitle}>Apply coupon</Text>
+                  <View style={styles.couponRow}>
+                    <View style={[styles.guestsInputContainer, styles.couponInputContainer]}>
+                      <Ionicons
+                        name="pricetag-outline"
+                        size={20}
+                        color={colors.textSecondary}
+                        style={styles.guestsIcon}
+                      />
+                      <TextInput
+                        style={styles.guestsInput}
+                        placeholder="Promo code"
+                        placeholderTextColor={colors.textSecondary}
+                        value={couponInput}
+                        onChangeText={(text) =>
+                          setCouponInput(text.toUpperCase().replace(/[^A-Z0-9_-]/g, ""))
+                        }
+                        editable={!appliedCoupon}
+                        autoCapitalize="characters"
+                        autoCorrect={false}
+                        maxLength={30}
+                        returnKeyType="done"
+                        onSubmitEditing={handleApplyCoupon}
+                      />
+                    </View>
+                    <TouchableOpacity
+                      style={styles.couponButton}
+                      onPress={appliedCoupon ? handleRemoveCoupon : handleApplyCoupon}
+                      disabled={!appliedCoupon && !couponInput.trim()}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={styles.couponButtonText}>
+                        {appliedCoupon ? "Remove" : "Apply"}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                  {couponError ? (
+                    <Text style={styles.couponError}>{couponError}</Text>
+                  ) : bookingTotal.discount > 0 ? (
+                    <Text style={styles.couponApplied}>
+                      {bookingTotal.couponCode} applied: you save ₹
+                      {bookingTotal.discount.toFixed(2)}
+                    </Text>
+                  ) : appliedCoupon && !quote ? (
+                    <Text style={styles.guestsHint}>
+                      Select a time to see your discount.
+                    </Text>
+                  ) : null}
                 </View>
               </ScrollView>
 
@@ -985,7 +1537,7 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                   disabled={paying}
                 >
                   <View style={styles.payButtonContent}>
-                    {paying ? (
+                    {paying || loadingQuote ? (
                       <ActivityIndicator color="#fff" size="small" />
                     ) : (
                       <>
@@ -1058,11 +1610,8 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                     <View style={styles.breakdownDetails}>
                       <View style={styles.breakdownRow}>
                         <Text style={styles.breakdownLabel}>
-                          ₹
-                          {placeDetails?.price_per_night ||
-                            placeDetails?.avg_price ||
-                            placeDetails?.price ||
-                            0}{" "}
+                          ₹{bookingTotal.unitPrice || 0}
+                          {bookingTotal.priceVaries ? " avg." : ""}{" "}
                           × {bookingTotal.hourCount || 0} hour
                           {(bookingTotal.hourCount || 0) !== 1 ? "s" : ""}
                           {chargePerGuest
@@ -1073,12 +1622,31 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
                           ₹{bookingTotal.subtotal.toFixed(2)}
                         </Text>
                       </View>
+                      {bookingTotal.discount > 0 && (
+                        <View style={styles.breakdownRow}>
+                          <Text style={styles.breakdownLabel}>
+                            Coupon {bookingTotal.couponCode}
+                          </Text>
+                          <Text style={[styles.breakdownValue, styles.breakdownDiscount]}>
+                            −₹{bookingTotal.discount.toFixed(2)}
+                          </Text>
+                        </View>
+                      )}
                       <View style={styles.breakdownRow}>
                         <Text style={styles.breakdownLabel}>Service fee</Text>
                         <Text style={styles.breakdownValue}>
                           ₹{bookingTotal.serviceFee.toFixed(2)}
                         </Text>
                       </View>
+                      <View style={styles.breakdownRow}>
+                        <Text style={styles.breakdownLabel}>Taxes</Text>
+                        <Text style={styles.breakdownValue}>
+                          ₹{bookingTotal.taxes.toFixed(2)}
+                        </Text>
+                      </View>
+                      {quoteError ? (
+                        <Text style={styles.breakdownError}>{quoteError}</Text>
+                      ) : null}
                       <View
                         style={[styles.breakdownRow, styles.breakdownTotalRow]}
                       >
@@ -1095,6 +1663,14 @@ const BookingModal = ({ visible, onClose, placeDetails, vendor }) => {
           </BlurContainer>
         </View>
       </Modal>
+
+      <EmailVerificationModal
+        visible={verificationEmail !== null}
+        email={verificationEmail}
+        sendCodeOnOpen
+        onClose={() => setVerificationEmail(null)}
+        onVerified={() => setVerificationEmail(null)}
+      />
     </Modal>
   );
 };
@@ -1426,6 +2002,26 @@ const createStyles = (colors) => StyleSheet.create({
     color: colors.error,
     marginTop: 2,
   },
+  timeSlotSpotsLabel: {
+    fontSize: 10,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  resourceChips: {
+    paddingHorizontal: 15,
+  },
+  resourceChip: {
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginHorizontal: 5,
+    alignItems: "center",
+    justifyContent: "center",
+  },
   guestsContainer: {
     paddingHorizontal: 20,
     paddingTop: 20,
@@ -1468,6 +2064,48 @@ const createStyles = (colors) => StyleSheet.create({
   guestsInputDisabled: {
     color: colors.textSecondary,
   },
+  guestsHint: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 8,
+  },
+  couponContainer: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  couponRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  couponInputContainer: {
+    flex: 1,
+  },
+  couponButton: {
+    marginLeft: 10,
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  couponButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
+  couponError: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 8,
+  },
+  couponApplied: {
+    fontSize: 12,
+    fontFamily: fonts.semiBold,
+    color: colors.success || "#1E8E3E",
+    marginTop: 8,
+  },
   footer: {
     paddingHorizontal: 20,
     paddingTop: 16,
@@ -1583,6 +2221,15 @@ const createStyles = (colors) => StyleSheet.create({
     fontFamily: fonts.regular,
     color: colors.text,
   },
+  breakdownDiscount: {
+    color: colors.success || "#1E8E3E",
+  },
+  breakdownError: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginBottom: 12,
+  },
   breakdownTotalLabel: {
     fontSize: 16,
     fontFamily: fonts.bold,
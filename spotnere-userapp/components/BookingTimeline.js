@@ -0,0 +1,172 @@
+/**
+ * BookingTimeline — Status history of a booking (GET /api/bookings/:id/events), oldest first.
+ * Reloads when `status` changes, e.g. after the user cancels from BookingDetailScreen.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { StyleSheet, Text, View, ActivityIndicator, Platform } from "react-native";
+import { useTheme } from "../context/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { bookingStatusColor, bookingStatusLabel } from "../utils/bookingStatus";
+
+const ACTOR_LABELS = {
+  user: "You",
+  vendor: "Venue",
+  admin: "Spotnere support",
+  razorpay: "Payment",
+  system: "Spotnere",
+};
+
+const formatEventTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "";
+
+const BookingTimeline = ({ bookingId, status }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!bookingId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .getBookingEvents(bookingId)
+      .then((data) => {
+        if (!cancelled) setEvents(data?.events || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || "Could not load history");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [bookingId, status]);
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>History</Text>
+      {loading ? (
+        <ActivityIndicator size="small" color={colors.primary} />
+      ) : error ? (
+        <Text style={styles.emptyText}>{error}</Text>
+      ) : events.length === 0 ? (
+        <Text style={styles.emptyText}>No history yet</Text>
+      ) : (
+        events.map((event, index) => {
+          const dotColor = bookingStatusColor(event.toStatus, colors);
+          const isLast = index === events.length - 1;
+          return (
+            <View key={event.id} style={styles.eventRow}>
+              <View style={styles.rail}>
+                <View style={[styles.dot, { backgroundColor: dotColor }]} />
+                {!isLast && <View style={styles.line} />}
+              </View>
+              <View style={[styles.eventContent, !isLast && styles.eventSpacing]}>
+                <Text style={styles.eventTitle}>{bookingStatusLabel(event.toStatus)}</Text>
+                <Text style={styles.eventMeta}>
+                  {formatEventTime(event.createdAt)}
+                  {ACTOR_LABELS[event.actor] ? ` · ${ACTOR_LABELS[event.actor]}` : ""}
+                </Text>
+                {event.note ? <Text style={styles.eventNote}>{event.note}</Text> : null}
+              </View>
+            </View>
+          );
+        })
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginTop: 20,
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: 20,
+    borderWidth: 1,
+    borderColor: colors.border,
+    ...Platform.select({
+      ios: {
+        shadowColor: colors.shadow,
+        shadowOpacity: 0.06,
+        shadowRadius: 10,
+        shadowOffset: { width: 0, height: 4 },
+      },
+      android: { elevation: 2 },
+    }),
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 16,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  eventRow: {
+    flexDirection: "row",
+  },
+  rail: {
+    width: 20,
+    alignItems: "center",
+  },
+  dot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 5,
+  },
+  line: {
+    flex: 1,
+    width: 2,
+    marginTop: 4,
+    backgroundColor: colors.border,
+  },
+  eventContent: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  eventSpacing: {
+    paddingBottom: 16,
+  },
+  eventTitle: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  eventMeta: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  eventNote: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    marginTop: 4,
+  },
+});
+
+export default BookingTimeline;
@@ -0,0 +1,226 @@
+/**
+ * Email Verification Modal
+ * Confirms the signed-in customer's email with the 6-digit code the backend emails at sign-up (or on
+ * "Send a new code"). Booking needs a verified email; onVerified runs once it is confirmed and the
+ * stored user has emailVerified: true.
+ */
+
+import React, { useState, useMemo, useEffect } from "react";
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../context/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { getCurrentUser, updateUserData } from "../utils/auth";
+import { rules } from "../utils/validate";
+
+const EmailVerificationModal = ({ visible, email, sendCodeOnOpen = false, onClose, onVerified }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [code, setCode] = useState("");
+  const [error, setError] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const markVerified = async () => {
+    const user = await getCurrentUser();
+    if (user) {
+      await updateUserData({ ...user, emailVerified: true });
+    }
+    setCode("");
+    if (onVerified) onVerified();
+  };
+
+  const sendCode = async () => {
+    setIsSending(true);
+    setError(null);
+    try {
+      const result = await api.requestEmailVerification();
+      if (result?.alreadyVerified) {
+        await markVerified();
+      }
+    } catch (err) {
+      setError(err?.data?.error || err.message || "Could not send the code.");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      setCode("");
+      setError(null);
+      if (sendCodeOnOpen) sendCode();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible]);
+
+  const handleVerify = async () => {
+    const codeError = rules.emailCode(code);
+    if (codeError) {
+      setError(codeError);
+      return;
+    }
+    setIsVerifying(true);
+    try {
+      await api.confirmEmailVerification(code.trim());
+      await markVerified();
+      Alert.alert("Email verified", "Thanks! You can now book places.");
+    } catch (err) {
+      setError(err?.data?.error || err.message || "Failed to verify email");
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={22} color={colors.textSecondary} />
+          </TouchableOpacity>
+          <Ionicons name="mail-unread-outline" size={40} color={colors.primary} />
+          <Text style={styles.title}>Verify your email</Text>
+          <Text style={styles.message}>
+            {isSending
+              ? "Sending a code..."
+              : `Enter the 6-digit code we emailed to ${email || "you"}.`}
+          </Text>
+
+          <TextInput
+            style={[styles.codeInput, error && styles.codeInputError]}
+            value={code}
+            onChangeText={(text) => {
+              setCode(text.replace(/\D/g, ""));
+              if (error) setError(null);
+            }}
+            placeholder="000000"
+            placeholderTextColor={colors.textSecondary}
+            keyboardType="number-pad"
+            maxLength={6}
+          />
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <TouchableOpacity
+            style={[styles.verifyButton, isVerifying && styles.buttonDisabled]}
+            onPress={handleVerify}
+            disabled={isVerifying}
+            activeOpacity={0.8}
+          >
+            {isVerifying ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.verifyButtonText}>Verify</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={sendCode} disabled={isSending || isVerifying}>
+            <Text style={[styles.resendText, isSending && styles.buttonDisabled]}>
+              Send a new code
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    paddingHorizontal: 24,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: 24,
+    alignItems: "center",
+  },
+  closeButton: {
+    position: "absolute",
+    top: 12,
+    right: 12,
+    padding: 4,
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+  codeInput: {
+    alignSelf: "stretch",
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 12,
+    paddingVertical: 14,
+    fontSize: 22,
+    letterSpacing: 8,
+    textAlign: "center",
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    backgroundColor: colors.surface,
+  },
+  codeInputError: {
+    borderColor: colors.error,
+  },
+  errorText: {
+    alignSelf: "stretch",
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 6,
+    textAlign: "center",
+  },
+  verifyButton: {
+    alignSelf: "stretch",
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+    marginTop: 20,
+    marginBottom: 16,
+  },
+  verifyButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+  },
+  resendText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default EmailVerificationModal;
@@ -15,7 +15,7 @@ import { fonts } from "../constants/fonts";
 import { loginUser } from "../utils/auth";
 import { rules, collectErrors } from "../utils/validate";
 
-const LoginForm = ({ onLoginSuccess, onSwitchToRegister }) => {
+const LoginForm = ({ onLoginSuccess, onSwitchToRegister, onForgotPassword }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
 
@@ -145,6 +145,14 @@ const LoginForm = ({ onLoginSuccess, onSwitchToRegister }) => {
           {errors.password && (
             <Text style={styles.errorText}>{errors.password}</Text>
           )}
+          {onForgotPassword && (
+            <TouchableOpacity
+              style={styles.forgotPasswordButton}
+              onPress={() => onForgotPassword(email)}
+            >
+              <Text style={styles.forgotPasswordText}>Forgot password?</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Login Button */}
@@ -248,6 +256,16 @@ const createStyles = (colors) => StyleSheet.create({
     marginTop: 4,
     marginLeft: 4,
   },
+  forgotPasswordButton: {
+    alignSelf: "flex-end",
+    marginTop: 10,
+    padding: 2,
+  },
+  forgotPasswordText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
   loginButton: {
     backgroundColor: colors.primary,
     borderRadius: 12,
@@ -0,0 +1,296 @@
+/**
+ * Signed-In Devices Component
+ * Lists the devices signed in to this account (GET /api/users/sessions), signs out a single
+ * device, or logs out everywhere. Shown inside PasswordSecurityScreen; `reloadKey` reloads the
+ * list (e.g. after a password change signed the other devices out).
+ */
+
+import React, { useMemo, useState, useEffect, useCallback } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../context/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+
+const PLATFORM_LABELS = { ios: "iOS", android: "Android", web: "Web" };
+
+const formatLastActive = (iso) => {
+  if (!iso) return "";
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 2) return "Active now";
+  if (minutes < 60) return `Active ${minutes} min ago`;
+  if (minutes < 24 * 60) return `Active ${Math.floor(minutes / 60)} h ago`;
+  return `Active ${new Date(iso).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  })}`;
+};
+
+const describeSession = (session) =>
+  [
+    PLATFORM_LABELS[session.platform] || session.platform,
+    session.app === "vendor" ? "Vendor app" : null,
+    formatLastActive(session.lastActiveAt),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const SignedInDevices = ({ reloadKey, onLoggedOutEverywhere }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+  const [isLoggingOutAll, setIsLoggingOutAll] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const { sessions: list } = await api.getSessions();
+      setSessions(list || []);
+    } catch (error) {
+      console.error("Error loading sessions:", error);
+      setLoadError(error.message || "Could not load your devices");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions, reloadKey]);
+
+  const handleRevoke = (session) => {
+    Alert.alert(
+      "Sign out device",
+      `Sign out ${session.deviceName || "this device"}? It will need your password to sign in again.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Sign out",
+          style: "destructive",
+          onPress: async () => {
+            setRevokingId(session.id);
+            try {
+              await api.revokeSession(session.id);
+              setSessions((prev) => prev.filter((s) => s.id !== session.id));
+            } catch (error) {
+              console.error("Error revoking session:", error);
+              Alert.alert("Error", error.message || "Could not sign out that device.");
+            } finally {
+              setRevokingId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleLogoutEverywhere = () => {
+    Alert.alert(
+      "Log out everywhere",
+      "This signs you out on every device, including this one.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Log out everywhere",
+          style: "destructive",
+          onPress: async () => {
+            setIsLoggingOutAll(true);
+            try {
+              await api.logoutAllSessions();
+              if (onLoggedOutEverywhere) {
+                await onLoggedOutEverywhere();
+              }
+            } catch (error) {
+              console.error("Error logging out everywhere:", error);
+              Alert.alert("Error", error.message || "Could not log out everywhere.");
+              setIsLoggingOutAll(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSession = (session, index) => (
+    <View key={session.id}>
+      {index > 0 && <View style={styles.divider} />}
+      <View style={styles.sessionRow}>
+        <Ionicons
+          name={session.platform === "web" ? "desktop-outline" : "phone-portrait-outline"}
+          size={22}
+          color={colors.textSecondary}
+        />
+        <View style={styles.sessionInfo}>
+          <Text style={styles.sessionName} numberOfLines={1}>
+            {session.deviceName || "Unknown device"}
+          </Text>
+          <Text style={styles.sessionMeta} numberOfLines={1}>
+            {describeSession(session)}
+          </Text>
+        </View>
+        {session.current ? (
+          <View style={styles.currentBadge}>
+            <Text style={styles.currentBadgeText}>This device</Text>
+          </View>
+        ) : (
+          <TouchableOpacity
+            onPress={() => handleRevoke(session)}
+            disabled={!!revokingId || isLoggingOutAll}
+            style={styles.revokeButton}
+            activeOpacity={0.7}
+          >
+            {revokingId === session.id ? (
+              <ActivityIndicator size="small" color={colors.error} />
+            ) : (
+              <Text style={styles.revokeButtonText}>Sign out</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Signed-in Devices</Text>
+      <View style={styles.card}>
+        {isLoading ? (
+          <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />
+        ) : loadError ? (
+          <TouchableOpacity onPress={loadSessions} style={styles.messageRow}>
+            <Text style={styles.messageText}>{loadError}. Tap to retry.</Text>
+          </TouchableOpacity>
+        ) : sessions.length === 0 ? (
+          <View style={styles.messageRow}>
+            <Text style={styles.messageText}>No signed-in devices</Text>
+          </View>
+        ) : (
+          sessions.map(renderSession)
+        )}
+      </View>
+
+      <TouchableOpacity
+        style={styles.logoutAllButton}
+        onPress={handleLogoutEverywhere}
+        activeOpacity={0.7}
+        disabled={isLoggingOutAll}
+      >
+        {isLoggingOutAll ? (
+          <ActivityIndicator size="small" color={colors.error} />
+        ) : (
+          <>
+            <Ionicons name="log-out-outline" size={20} color={colors.error} />
+            <Text style={styles.logoutAllButtonText}>Log Out Everywhere</Text>
+          </>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  section: {
+    marginTop: 32,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: colors.text,
+    marginBottom: 12,
+    fontFamily: fonts.regular,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 16,
+  },
+  loader: {
+    paddingVertical: 8,
+  },
+  messageRow: {
+    alignItems: "center",
+  },
+  messageText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontFamily: fonts.regular,
+  },
+  sessionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  sessionInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  sessionName: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: colors.text,
+    fontFamily: fonts.regular,
+  },
+  sessionMeta: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+    fontFamily: fonts.regular,
+  },
+  currentBadge: {
+    backgroundColor: colors.badgeBackground,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  currentBadgeText: {
+    fontSize: 12,
+    fontWeight: "500",
+    color: colors.primary,
+    fontFamily: fonts.regular,
+  },
+  revokeButton: {
+    minWidth: 64,
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  revokeButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: colors.error,
+    fontFamily: fonts.regular,
+  },
+  divider: {
+    height: 1,
+    backgroundColor: colors.border,
+    marginVertical: 12,
+  },
+  logoutAllButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 12,
+    paddingVertical: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  logoutAllButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: colors.error,
+    marginLeft: 8,
+    fontFamily: fonts.regular,
+  },
+});
+
+export default SignedInDevices;
@@ -15,29 +15,14 @@ import { Image as ExpoImage } from "expo-image";
 import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../context/ThemeContext";
 import { fonts } from "../constants/fonts";
-
-const getStatusColor = (status, colors) => {
-  switch ((status || "").toUpperCase()) {
-    case "PAID":
-    case "SUCCESS":
-    case "CONFIRMED":
-      return colors.success;
-    case "PENDING":
-      return colors.warning;
-    case "FAILED":
-    case "CANCELLED":
-      return colors.error;
-    default:
-      return colors.textSecondary;
-  }
-};
+import { bookingStatusColor, bookingStatusLabel } from "../utils/bookingStatus";
 
 const TripCard = ({ trip, onPress }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
   const dateStr = trip.bookingDateFormatted || "—";
   const timeStr = trip.bookingTimeFormatted || "";
-  const statusColor = getStatusColor(trip.paymentStatus, colors);
+  const statusColor = bookingStatusColor(trip.paymentStatus, colors);
 
   return (
     <TouchableOpacity
@@ -118,7 +103,7 @@ const TripCard = ({ trip, onPress }) => {
             ]}
           >
             <Text style={[styles.statusText, { color: statusColor }]}>
-              {(trip.paymentStatus || "—").toUpperCase()}
+              {bookingStatusLabel(trip.paymentStatus).toUpperCase()}
             </Text>
           </View>
           {trip.amountPaid != null && trip.amountPaid > 0 && (
@@ -11,7 +11,7 @@ import React, {
   useEffect,
   useCallback,
 } from "react";
-import { api } from "../api/client";
+import { api, onSessionEnded } from "../api/client";
 import { getCurrentUser } from "../utils/auth";
 import {
   getCachedBookings,
@@ -98,6 +98,18 @@ export const BookingsProvider = ({ children }) => {
     fetchBookings();
   }, [fetchBookings]);
 
+  // Signed out by the backend or Supabase: the stored user is already gone, so drop every cache
+  useEffect(
+    () =>
+      onSessionEnded(async () => {
+        await clearBookingsCache();
+        setBookings([]);
+        setLastFetchedUserId(null);
+        setHasUser(false);
+      }),
+    [],
+  );
+
   const value = {
     bookings,
     loading,
@@ -4,7 +4,7 @@
  * Date/time strings are pre-formatted by the backend in the venue's timezone.
  */
 
-import React, { useMemo } from "react";
+import React, { useMemo, useState } from "react";
 import {
   StyleSheet,
   Text,
@@ -14,17 +14,34 @@ import {
   Dimensions,
   Platform,
   StatusBar,
+  Alert,
+  ActivityIndicator,
 } from "react-native";
 import { Image as ExpoImage } from "expo-image";
 import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../context/ThemeContext";
 import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { useBookings } from "../context/BookingsContext";
+import BookingTimeline from "../components/BookingTimeline";
+import {
+  CANCELLED_STATUSES,
+  bookingStatusLabel,
+  normalizeBookingStatus,
+} from "../utils/bookingStatus";
 
 const { width } = Dimensions.get("window");
 
-const BookingDetailScreen = ({ booking, onClose, onViewPlace }) => {
+const CANCELLABLE_STATUSES = ["SUCCESS"];
+
+const formatInr = (amount) => `₹${Number(amount || 0).toLocaleString()}`;
+
+const BookingDetailScreen = ({ booking: initialBooking, onClose, onViewPlace }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
+  const { refreshBookings } = useBookings();
+  const [booking, setBooking] = useState(initialBooking);
+  const [cancelling, setCancelling] = useState(false);
 
   const DetailRow = ({ icon, label, value }) => (
     <View style={styles.detailRow}>
@@ -52,6 +69,62 @@ const BookingDetailScreen = ({ booking, onClose, onViewPlace }) => {
   const dateStr = booking.bookingDateFormatted || "—";
   const timeStr = booking.bookingTimeFormatted || "—";
   const paidAtStr = booking.paidAtFormatted || "—";
+  const status = normalizeBookingStatus(booking.paymentStatus);
+  const isCancelled = CANCELLED_STATUSES.includes(status);
+  const canCancel =
+    CANCELLABLE_STATUSES.includes(status) &&
+    !!booking.bookingDateTime &&
+    new Date(booking.bookingDateTime).getTime() > Date.now();
+
+  const confirmCancel = async () => {
+    setCancelling(true);
+    try {
+      const result = await api.cancelBooking(booking.id);
+      setBooking((prev) => ({
+        ...prev,
+        paymentStatus: result.status,
+        refundAmount: result.refundAmount,
+        refundStatus: result.refundStatus,
+        cancelledAt: new Date().toISOString(),
+      }));
+      await refreshBookings();
+      Alert.alert(
+        "Booking cancelled",
+        result.refundAmount > 0
+          ? `A refund of ${formatInr(result.refundAmount)} has been initiated. It may take 5–7 business days to reach your account.`
+          : "Your booking has been cancelled. No refund applies under this place's cancellation policy.",
+      );
+    } catch (err) {
+      Alert.alert("Could not cancel", err?.message || "Please try again.");
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const handleCancelPress = async () => {
+    setCancelling(true);
+    let preview = null;
+    try {
+      preview = await api.getCancellationPreview(booking.id);
+    } catch (err) {
+      setCancelling(false);
+      Alert.alert("Could not cancel", err?.message || "Please try again.");
+      return;
+    }
+    setCancelling(false);
+    if (!preview?.cancellable) {
+      Alert.alert("Cannot cancel", "This booking can no longer be cancelled.");
+      return;
+    }
+    const refundLine =
+      preview.refundAmount > 0
+        ? `You will be refunded ${formatInr(preview.refundAmount)} (${preview.refundPercent}% of the amount paid).`
+        : "Under this place's cancellation policy, no refund applies at this time.";
+    Alert.alert("Cancel booking?", refundLine, [
+      { text: "Keep booking", style: "cancel" },
+      { text: "Cancel booking", style: "destructive", onPress: confirmCancel },
+    ]);
+  };
 
   return (
     <View style={styles.container}>
@@ -113,8 +186,8 @@ const BookingDetailScreen = ({ booking, onClose, onViewPlace }) => {
           />
           <DetailRow
             icon="checkmark-circle-outline"
-            label="Payment Status"
-            value={(booking.paymentStatus || "—").toUpperCase()}
+            label="Status"
+            value={bookingStatusLabel(status).toUpperCase()}
           />
         </View>
 
@@ -146,8 +219,39 @@ const BookingDetailScreen = ({ booking, onClose, onViewPlace }) => {
             label="Transaction ID"
             value={booking.transactionId || "—"}
           />
+          {isCancelled && (
+            <DetailRow
+              icon="return-down-back-outline"
+              label="Refund"
+              value={
+                booking.refundAmount > 0
+                  ? `${formatInr(booking.refundAmount)} · ${status === "REFUNDED" ? "Refunded" : "Processing"}`
+                  : "No refund"
+              }
+            />
+          )}
         </View>
 
+        <BookingTimeline bookingId={booking.id} status={status} />
+
+        {canCancel && (
+          <TouchableOpacity
+            style={styles.cancelButton}
+            onPress={handleCancelPress}
+            activeOpacity={0.85}
+            disabled={cancelling}
+          >
+            {cancelling ? (
+              <ActivityIndicator color={colors.error} size="small" />
+            ) : (
+              <>
+                <Ionicons name="close-circle-outline" size={22} color={colors.error} />
+                <Text style={styles.cancelButtonText}>Cancel booking</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+
         {/* View Place Button */}
         {booking.placeId && onViewPlace && (
           <TouchableOpacity
@@ -297,6 +401,23 @@ const createStyles = (colors) => StyleSheet.create({
     fontFamily: fonts.semiBold,
     color: "#fff",
   },
+  cancelButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 10,
+    marginHorizontal: 16,
+    marginTop: 24,
+    paddingVertical: 16,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: colors.error,
+  },
   errorText: {
     fontSize: 16,
     color: colors.textSecondary,
@@ -72,7 +72,11 @@ const FavoriteScreen = ({ userCountry, onPlacePress, onBack }) => {
       const formatted = places.map((place) => ({
         id: place.id,
         title: place.title || place.name || place.place_name || "Place",
-        price: formatListingPrice(place.avg_price, place.charge_per_guest),
+        price: formatListingPrice(
+          place.avg_price,
+          place.charge_per_guest,
+          place.pricing_rules,
+        ),
         rating: parseFloat(place.rating || place.average_rating || 0) || 0,
         ratingString:
           place.rating?.toString() || place.average_rating?.toString() || "0",
@@ -150,7 +150,7 @@ const ManageProfileScreen = ({ userData: initialUserData, onBack }) => {
         return;
       }
 
-      await api.updateProfile({
+      const result = await api.updateProfile({
         firstName: formData.firstName,
         lastName: formData.lastName,
         phoneNumber: formData.phoneNumber,
@@ -169,6 +169,7 @@ const ManageProfileScreen = ({ userData: initialUserData, onBack }) => {
         lastName: formData.lastName,
         name: `${formData.firstName} ${formData.lastName}`,
         email: formData.email,
+        emailVerified: result?.emailVerified ?? userData.emailVerified,
         phoneNumber: formData.phoneNumber,
         address: {
           address: formData.address,
@@ -186,7 +187,12 @@ const ManageProfileScreen = ({ userData: initialUserData, onBack }) => {
       setUserData(updatedUserData);
       setIsEditing(false);
 
-      Alert.alert("Success", "Profile updated successfully");
+      Alert.alert(
+        "Success",
+        userData.emailVerified !== false && updatedUserData.emailVerified === false
+          ? "Profile updated successfully. We emailed a code to your new address; verify it from your profile before your next booking."
+          : "Profile updated successfully"
+      );
     } catch (error) {
       Alert.alert("Error", error?.data?.error || error.message || "Failed to save profile");
     } finally {
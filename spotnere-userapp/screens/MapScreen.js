@@ -133,7 +133,11 @@ const formatPlacesForCarousel = (allPlaces) => {
       title: place.title || place.name || place.place_name || "Place",
       /** Short label for map pins (e.g. "$508") */
       pinLabel: `$${Math.round(avg)}`,
-      price: formatListingPrice(place.avg_price, place.charge_per_guest),
+      price: formatListingPrice(
+        place.avg_price,
+        place.charge_per_guest,
+        place.pricing_rules,
+      ),
       rating: parseFloat(place.rating || place.average_rating || 0) || 0,
       ratingString:
         place.rating?.toString() || place.average_rating?.toString() || "0",
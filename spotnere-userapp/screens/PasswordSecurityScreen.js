@@ -15,8 +15,9 @@ import { fonts } from "../constants/fonts";
 import { api } from "../api/client";
 import { getCurrentUser } from "../utils/auth";
 import { rules, collectErrors } from "../utils/validate";
+import SignedInDevices from "../components/SignedInDevices";
 
-const PasswordSecurityScreen = ({ onBack }) => {
+const PasswordSecurityScreen = ({ onBack, onLoggedOut }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
 
@@ -30,6 +31,7 @@ const PasswordSecurityScreen = ({ onBack }) => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSaving, setIsSaving] = useState(false);
+  const [devicesReloadKey, setDevicesReloadKey] = useState(0);
 
   const validateForm = () => {
     const errs = collectErrors({
@@ -58,8 +60,9 @@ const PasswordSecurityScreen = ({ onBack }) => {
         return;
       }
 
+      let result;
       try {
-        await api.updatePassword(
+        result = await api.updatePassword(
           formData.currentPassword,
           formData.newPassword
         );
@@ -80,8 +83,15 @@ const PasswordSecurityScreen = ({ onBack }) => {
         confirmPassword: "",
       });
       setErrors({});
+      setDevicesReloadKey((key) => key + 1);
 
-      Alert.alert("Success", "Password updated successfully");
+      const revoked = result?.revokedSessions || 0;
+      Alert.alert(
+        "Success",
+        revoked > 0
+          ? `Password updated successfully. You were signed out on ${revoked} other device${revoked === 1 ? "" : "s"}.`
+          : "Password updated successfully"
+      );
     } catch (error) {
       Alert.alert("Error", error.message || "Failed to save password");
     } finally {
@@ -209,6 +219,11 @@ const PasswordSecurityScreen = ({ onBack }) => {
           )}
         </TouchableOpacity>
       </View>
+
+      <SignedInDevices
+        reloadKey={devicesReloadKey}
+        onLoggedOutEverywhere={onLoggedOut}
+      />
     </ScrollView>
   );
 };
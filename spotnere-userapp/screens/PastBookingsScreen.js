@@ -21,11 +21,10 @@ import SkeletonCard from "../components/SkeletonCard";
 import { useTheme } from "../context/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { useBookings } from "../context/BookingsContext";
+import { PAID_STATUSES, normalizeBookingStatus } from "../utils/bookingStatus";
 
 const { height } = Dimensions.get("window");
 
-const PAID_STATUSES = ["PAID", "SUCCESS", "CONFIRMED"];
-
 const PastBookingsScreen = ({ onTripPress, onBack }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
@@ -35,7 +34,7 @@ const PastBookingsScreen = ({ onTripPress, onBack }) => {
   const past = bookings.filter(
     (b) =>
       b.bookingDateTime < now &&
-      PAID_STATUSES.includes((b.paymentStatus || "").toUpperCase())
+      PAID_STATUSES.includes(normalizeBookingStatus(b.paymentStatus))
   );
 
   if (loading) {
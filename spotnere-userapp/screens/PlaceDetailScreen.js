@@ -47,7 +47,9 @@ import { getPriceUnitLabel } from "../utils/placePrice";
 import {
   resolvePlaceHours,
   formatOpeningHoursValue,
+  getUpcomingHoursOverrides,
 } from "../utils/placeHours";
+import { describeCancellationPolicy } from "../utils/cancellationPolicy";
 
 const { width, height } = Dimensions.get("window");
 
@@ -376,6 +378,44 @@ const PlaceDetailScreen = ({ placeId, onClose }) => {
     Linking.openURL(`https://www.google.com/maps/search/?api=1&query=${q}`);
   };
 
+  // Upcoming holidays / special hours set by the vendor
+  const renderSpecialHours = (place) => {
+    const overrides = getUpcomingHoursOverrides(place);
+    if (overrides.length === 0) return null;
+    return (
+      <View style={styles.specialHours}>
+        <Text style={styles.specialHoursTitle}>Special hours</Text>
+        {overrides.map((o) => {
+          const [y, m, d] = o.date.split("-").map(Number);
+          const dateLabel = new Date(y, m - 1, d).toLocaleDateString("en-US", {
+            weekday: "short",
+            month: "short",
+            day: "numeric",
+          });
+          const value = o.closed
+            ? "Closed"
+            : formatOpeningHoursValue({ open: o.open, close: o.close });
+          return (
+            <View key={o.date} style={styles.row}>
+              <Text style={styles.rowLabel}>
+                {dateLabel}
+                {o.label ? ` · ${o.label}` : ""}
+              </Text>
+              <Text
+                style={[
+                  styles.rowValue,
+                  o.closed && styles.rowValueClosed,
+                ]}
+              >
+                {value}
+              </Text>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   const callPhone = () => {
     const phone =
       placeDetails.phone ||
@@ -807,8 +847,31 @@ const PlaceDetailScreen = ({ placeId, onClose }) => {
             <View style={{ paddingTop: 2 }}>
               {renderOpeningHours(placeDetails)}
             </View>
+            {renderSpecialHours(placeDetails)}
           </View>
 
+          {/* Cancellation policy card */}
+          {placeDetails.cancellation_policy?.tiers?.length ? (
+            <View style={styles.card}>
+              <View style={styles.cardHeader}>
+                <Text style={styles.cardTitle}>Cancellation policy</Text>
+              </View>
+              {describeCancellationPolicy(placeDetails.cancellation_policy).map(
+                (line) => (
+                  <View key={line} style={styles.policyRow}>
+                    <Ionicons
+                      name="ellipse"
+                      size={6}
+                      color={colors.textSecondary}
+                      style={styles.policyBullet}
+                    />
+                    <Text style={styles.policyText}>{line}</Text>
+                  </View>
+                ),
+              )}
+            </View>
+          ) : null}
+
           {/* Reviews */}
           <View style={styles.reviewsHeader}>
             <Text style={styles.sectionTitle}>Reviews</Text>
@@ -1015,54 +1078,14 @@ const PlaceDetailScreen = ({ placeId, onClose }) => {
                 </Text>
               </View>
 
-              {/* {vendor.vendor_phone_number ? (
-                <TouchableOpacity
-                  style={styles.row}
-                  onPress={() =>
-                    Linking.openURL(`tel:${vendor.vendor_phone_number}`)
-                  }
-                  activeOpacity={0.85}
-                >
-                  <Text style={styles.rowLabel}>Phone</Text>
-                  <View style={styles.rowRight}>
-                    <Text style={[styles.rowValue, styles.linkText]}>
-                      {vendor.vendor_phone_number}
-                    </Text>
-                    <Ionicons
-                      name="chevron-forward"
-                      size={16}
-                      color={colors.textSecondary}
-                    />
-                  </View>
-                </TouchableOpacity>
-              ) : null} */}
-
-              {vendor.vendor_email ? (
-                <TouchableOpacity
-                  style={[styles.row, styles.rowLast]}
-                  onPress={() =>
-                    Linking.openURL(`mailto:${vendor.vendor_email}`)
-                  }
-                  activeOpacity={0.85}
-                >
-                  <Text style={styles.rowLabel}>Email</Text>
-                  <View style={styles.rowRight}>
-                    {/* <Text
-                      style={[styles.rowValue, styles.linkText]}
-                      numberOfLines={1}
-                    >
-                      {vendor.vendor_email}
-                    </Text> */}
-                    <Ionicons
-                      name="chevron-forward"
-                      size={16}
-                      color={colors.textSecondary}
-                    />
-                  </View>
-                </TouchableOpacity>
-              ) : (
-                <View style={styles.rowLast} />
-              )}
+              <View style={[styles.row, styles.rowLast]}>
+                <Text style={styles.rowLabel}>Location</Text>
+                <Text style={styles.rowValue}>
+                  {[vendor.vendor_city, vendor.vendor_state]
+                    .filter(Boolean)
+                    .join(", ") || "—"}
+                </Text>
+              </View>
             </View>
           ) : null}
 
@@ -1384,6 +1407,20 @@ const createStyles = (colors) => StyleSheet.create({
     lineHeight: 22,
   },
 
+  policyRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    paddingVertical: 4,
+  },
+  policyBullet: { marginTop: 8, marginRight: 10 },
+  policyText: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    lineHeight: 20,
+  },
+
   // Cards
   card: {
     backgroundColor: colors.cardBackground,
@@ -1448,6 +1485,14 @@ const createStyles = (colors) => StyleSheet.create({
   },
   rowValueToday: { fontFamily: fonts.semiBold, color: colors.text },
   rowValueClosed: { fontFamily: fonts.bold, color: colors.error },
+  specialHours: { marginTop: 14 },
+  specialHoursTitle: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.textSecondary,
+    textTransform: "uppercase",
+    letterSpacing: 0.4,
+  },
   rowRight: {
     flexDirection: "row",
     alignItems: "center",
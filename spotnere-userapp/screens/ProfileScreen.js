@@ -18,9 +18,11 @@ import LoginForm from "../components/LoginForm";
 import LoginScreen from "./LoginScreen";
 import ManageProfileScreen from "./ManageProfileScreen";
 import PasswordSecurityScreen from "./PasswordSecurityScreen";
+import ForgotPasswordScreen from "./ForgotPasswordScreen";
 import AboutUsScreen from "./AboutUsScreen";
 import HelpCenterScreen from "./HelpCenterScreen";
 import UpcomingBookingsScreen from "./UpcomingBookingsScreen";
+import EmailVerificationModal from "../components/EmailVerificationModal";
 import PastBookingsScreen from "./PastBookingsScreen";
 import { getCurrentUser, logout } from "../utils/auth";
 import { useBookings } from "../context/BookingsContext";
@@ -32,16 +34,19 @@ import {
 
 const { width } = Dimensions.get("window");
 
-const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
+const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress, startWithLogin = false }) => {
   const { colors, theme: selectedTheme, setTheme: setSelectedTheme } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
   const { refreshBookings, clearBookings } = useBookings();
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [userData, setUserData] = useState(null);
-  const [showLoginForm, setShowLoginForm] = useState(false);
+  const [showLoginForm, setShowLoginForm] = useState(startWithLogin);
   const [showRegisterForm, setShowRegisterForm] = useState(false);
   const [showManageProfile, setShowManageProfile] = useState(false);
   const [showPasswordSecurity, setShowPasswordSecurity] = useState(false);
+  // null = hidden; otherwise the email typed on the sign-in form (may be "")
+  const [forgotPasswordEmail, setForgotPasswordEmail] = useState(null);
+  const [showEmailVerification, setShowEmailVerification] = useState(false);
   const [showAboutUs, setShowAboutUs] = useState(false);
   const [showHelpCenter, setShowHelpCenter] = useState(false);
   const [showThemeModal, setShowThemeModal] = useState(false);
@@ -95,6 +100,10 @@ const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
     setIsLoggedIn(true);
     setUserData(userData);
     setShowRegisterForm(false);
+    // Sign-up emailed a verification code; ask for it now (it can also wait until booking)
+    if (userData?.emailVerified === false) {
+      setShowEmailVerification(true);
+    }
     await refreshBookings();
     if (onLoginSuccess) {
       onLoginSuccess(userData);
@@ -268,7 +277,13 @@ const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
   // Show password & security screen
   if (showPasswordSecurity) {
     return (
-      <PasswordSecurityScreen onBack={() => setShowPasswordSecurity(false)} />
+      <PasswordSecurityScreen
+        onBack={() => setShowPasswordSecurity(false)}
+        onLoggedOut={async () => {
+          setShowPasswordSecurity(false);
+          await handleLogout();
+        }}
+      />
     );
   }
 
@@ -286,6 +301,20 @@ const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
     );
   }
 
+  // Show forgot password screen
+  if (forgotPasswordEmail !== null) {
+    return (
+      <ForgotPasswordScreen
+        initialEmail={forgotPasswordEmail}
+        onBack={() => setForgotPasswordEmail(null)}
+        onDone={() => {
+          setForgotPasswordEmail(null);
+          setShowLoginForm(true);
+        }}
+      />
+    );
+  }
+
   // Show registration form
   if (showRegisterForm) {
     return (
@@ -328,6 +357,7 @@ const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
             setShowLoginForm(false);
             setShowRegisterForm(true);
           }}
+          onForgotPassword={(email) => setForgotPasswordEmail(email || "")}
         />
       </ScrollView>
     );
@@ -456,6 +486,24 @@ const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
         </View>
       </View>
 
+      {/* Unverified email: booking needs a verified address */}
+      {userData?.emailVerified === false && (
+        <TouchableOpacity
+          style={styles.verifyEmailBanner}
+          onPress={() => setShowEmailVerification(true)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="mail-unread-outline" size={22} color={colors.primary} />
+          <View style={styles.verifyEmailTextContainer}>
+            <Text style={styles.verifyEmailTitle}>Verify your email</Text>
+            <Text style={styles.verifyEmailText}>
+              You need a verified email address to book places.
+            </Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+        </TouchableOpacity>
+      )}
+
       {/* Bookings Section */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Bookings</Text>
@@ -657,6 +705,16 @@ const ProfileScreen = ({ onLoginSuccess, onBack, onTripPress }) => {
           </View>
         </View>
       </Modal>
+
+      <EmailVerificationModal
+        visible={showEmailVerification}
+        email={userData?.email}
+        onClose={() => setShowEmailVerification(false)}
+        onVerified={() => {
+          setShowEmailVerification(false);
+          setUserData((prev) => (prev ? { ...prev, emailVerified: true } : prev));
+        }}
+      />
     </ScrollView>
   );
 };
@@ -753,6 +811,30 @@ const createStyles = (colors) => StyleSheet.create({
     color: colors.textSecondary,
     fontFamily: fonts.regular,
   },
+  verifyEmailBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.badgeBackground,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+  },
+  verifyEmailTextContainer: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  verifyEmailTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: colors.text,
+    fontFamily: fonts.regular,
+  },
+  verifyEmailText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+    fontFamily: fonts.regular,
+  },
   section: {
     marginBottom: 24,
   },
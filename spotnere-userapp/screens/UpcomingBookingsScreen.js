@@ -21,10 +21,16 @@ import SkeletonCard from "../components/SkeletonCard";
 import { useTheme } from "../context/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { useBookings } from "../context/BookingsContext";
+import {
+  PAID_STATUSES,
+  CANCELLED_STATUSES,
+  normalizeBookingStatus,
+} from "../utils/bookingStatus";
 
 const { height } = Dimensions.get("window");
 
-const PAID_STATUSES = ["PAID", "SUCCESS", "CONFIRMED"];
+// Cancelled upcoming bookings stay listed so the refund state is visible
+const LISTED_STATUSES = [...PAID_STATUSES, ...CANCELLED_STATUSES];
 
 const UpcomingBookingsScreen = ({ onTripPress, onBack }) => {
   const { colors } = useTheme();
@@ -35,7 +41,7 @@ const UpcomingBookingsScreen = ({ onTripPress, onBack }) => {
   const upcoming = bookings.filter(
     (b) =>
       b.bookingDateTime >= now &&
-      PAID_STATUSES.includes((b.paymentStatus || "").toUpperCase())
+      LISTED_STATUSES.includes(normalizeBookingStatus(b.paymentStatus))
   );
 
   if (loading) {
@@ -3,9 +3,11 @@
  * Manages user authentication state using AsyncStorage and backend API
  */
 
+import { Platform } from "react-native";
+import Constants from "expo-constants";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as Crypto from "expo-crypto";
-import { api } from "../api/client";
+import { api, onSessionEnded, signOutLocally } from "../api/client";
 import { supabase } from "../config/supabase";
 
 // Password hashing utility functions
@@ -74,6 +76,26 @@ export const verifyPassword = async (password, storedHash) => {
 const AUTH_KEY = "@spotnere_user";
 const USER_DATA_KEY = "@spotnere_user_data";
 
+// The session ended elsewhere (401 from the backend, signed out by Supabase): forget the user here
+onSessionEnded(() => AsyncStorage.multiRemove([AUTH_KEY, USER_DATA_KEY]));
+
+/**
+ * Label this device's Supabase Auth session so it shows up by name under
+ * Password & Security → Signed-in devices. Non-fatal; safe to call again.
+ */
+export async function registerCurrentDevice() {
+  try {
+    await api.registerSession({
+      deviceName: Constants.deviceName || null,
+      platform: Platform.OS,
+      osVersion: String(Platform.Version ?? ""),
+      appVersion: Constants.expoConfig?.version || null,
+    });
+  } catch (err) {
+    console.warn("[Auth] Could not register device (non-fatal):", err?.message);
+  }
+}
+
 /**
  * Establish a Supabase Auth session (client-side JWT for RLS + Bearer token)
  */
@@ -82,7 +104,9 @@ async function establishSupabaseSession(email, password) {
     const { error } = await supabase.auth.signInWithPassword({ email, password });
     if (error) {
       console.warn("[Auth] Supabase session failed (non-fatal):", error.message);
+      return;
     }
+    await registerCurrentDevice();
   } catch (err) {
     console.warn("[Auth] Supabase session error (non-fatal):", err?.message);
   }
@@ -216,7 +240,7 @@ export const login = async (userData) => {
  */
 export const logout = async () => {
   try {
-    await supabase.auth.signOut();
+    await signOutLocally();
     await AsyncStorage.removeItem(AUTH_KEY);
     await AsyncStorage.removeItem(USER_DATA_KEY);
     return true;
@@ -0,0 +1,55 @@
+/**
+ * Booking statuses as returned by the backend (bookings.payment_status, see booking_events.sql).
+ * Older bookings may still say PAID / CONFIRMED; both mean SUCCESS.
+ */
+
+/** Paid and not cancelled: the booking stands. */
+export const PAID_STATUSES = ["SUCCESS", "CHECKED_IN", "COMPLETED", "NO_SHOW"];
+
+/** Cancelled by the customer, with or without a refund. */
+export const CANCELLED_STATUSES = ["CANCELLED", "REFUND_PENDING", "REFUNDED"];
+
+const LEGACY_STATUSES = { PAID: "SUCCESS", CONFIRMED: "SUCCESS" };
+
+const STATUS_LABELS = {
+  PENDING: "Awaiting payment",
+  SUCCESS: "Confirmed",
+  FAILED: "Payment failed",
+  EXPIRED: "Expired",
+  CHECKED_IN: "Checked in",
+  COMPLETED: "Completed",
+  NO_SHOW: "No-show",
+  CANCELLED: "Cancelled",
+  REFUND_PENDING: "Cancelled · Refund pending",
+  REFUNDED: "Cancelled · Refunded",
+};
+
+export function normalizeBookingStatus(status) {
+  const upper = (status || "").toUpperCase();
+  return LEGACY_STATUSES[upper] || upper;
+}
+
+export function bookingStatusLabel(status) {
+  const normalized = normalizeBookingStatus(status);
+  return STATUS_LABELS[normalized] || normalized || "—";
+}
+
+/** Theme color for a status badge. */
+export function bookingStatusColor(status, colors) {
+  switch (normalizeBookingStatus(status)) {
+    case "SUCCESS":
+    case "CHECKED_IN":
+    case "COMPLETED":
+      return colors.success;
+    case "PENDING":
+    case "REFUND_PENDING":
+      return colors.warning;
+    case "FAILED":
+    case "CANCELLED":
+    case "EXPIRED":
+    case "NO_SHOW":
+      return colors.error;
+    default:
+      return colors.textSecondary;
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Cancellation policy copy from places.cancellation_policy.
+ * The backend always returns a resolved { preset, tiers } policy (defaulting to moderate).
+ */
+
+/** "48 hours" / "7 days" */
+export function formatHoursBefore(hours) {
+  const h = Number(hours) || 0;
+  if (h >= 48 && h % 24 === 0) return `${h / 24} days`;
+  return `${h} hour${h === 1 ? "" : "s"}`;
+}
+
+/** Human-readable lines, one per tier, ending with the no-refund window. */
+export function describeCancellationPolicy(policy) {
+  const tiers = [...(policy?.tiers || [])].sort(
+    (a, b) => b.hours_before - a.hours_before,
+  );
+  const lines = tiers.map((t) =>
+    t.hours_before === 0
+      ? `${t.refund_percent}% refund up to the start time`
+      : `${t.refund_percent}% refund if cancelled ${formatHoursBefore(t.hours_before)} or more before`,
+  );
+  const last = tiers[tiers.length - 1];
+  if (last && last.hours_before > 0) {
+    lines.push(`No refund within ${formatHoursBefore(last.hours_before)} of the start time`);
+  }
+  return lines;
+}
@@ -93,3 +93,32 @@ export function formatOpeningHoursValue(raw) {
   }
   return "Closed";
 }
+
+/** Local calendar date → "YYYY-MM-DD" (matches places.hours_overrides keys). */
+export function toIsoDateString(date) {
+  const y = date.getFullYear();
+  const mo = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${mo}-${d}`;
+}
+
+/**
+ * Date-specific override (holiday / special hours) for a calendar day, or null.
+ * Shape: { date, closed, open?, close?, label? } — see places.hours_overrides.
+ */
+export function getHoursOverrideForDate(place, date) {
+  const list = Array.isArray(place?.hours_overrides) ? place.hours_overrides : [];
+  if (!date || list.length === 0) return null;
+  const key = typeof date === "string" ? date : toIsoDateString(date);
+  return list.find((o) => o?.date === key) || null;
+}
+
+/** Overrides from today onwards, soonest first (for "Special hours" listings). */
+export function getUpcomingHoursOverrides(place, limit = 5) {
+  const list = Array.isArray(place?.hours_overrides) ? place.hours_overrides : [];
+  const today = toIsoDateString(new Date());
+  return list
+    .filter((o) => o?.date && o.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(0, limit);
+}
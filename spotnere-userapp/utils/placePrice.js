@@ -7,8 +7,26 @@ export function getPriceUnitLabel(chargePerGuest) {
   return chargePerGuest === true ? "per person per hour" : "per hour";
 }
 
-/** Home / favorites / reels listings use $ prefix */
-export function formatListingPrice(avgPrice, chargePerGuest) {
+/**
+ * Lowest hourly price a place can charge: avg_price, or less when one of its pricing rules
+ * (places.pricing_rules) is cheaper. Rules only ever matter here when they lower the price.
+ */
+export function getFromPrice(avgPrice, pricingRules) {
+  const base = Number(avgPrice) || 0;
+  const rulePrices = (Array.isArray(pricingRules) ? pricingRules : [])
+    .map((rule) =>
+      rule?.type === "fixed" ? Number(rule.value) : base * Number(rule?.value),
+    )
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return Math.round(Math.min(base, ...rulePrices) * 100) / 100;
+}
+
+/** Home / favorites / reels listings use $ prefix; "from" when pricing rules can make it cheaper */
+export function formatListingPrice(avgPrice, chargePerGuest, pricingRules) {
   const n = avgPrice ?? 0;
+  const from = getFromPrice(n, pricingRules);
+  if (from > 0 && from < Number(n)) {
+    return `from $${from} ${getPriceUnitLabel(chargePerGuest)}`;
+  }
   return `$${n} ${getPriceUnitLabel(chargePerGuest)}`;
 }
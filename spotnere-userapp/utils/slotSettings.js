@@ -0,0 +1,46 @@
+/**
+ * Booking slot settings from a place row (slot_minutes, min/max_duration_minutes, buffer_minutes).
+ * Mirrors getSlotSettings in the backend; /api/bookings/booked-slots also returns the resolved
+ * settings, which take precedence when available.
+ */
+
+export const DEFAULT_SLOT_MINUTES = 60;
+const MAX_BOOKING_MINUTES = 24 * 60;
+
+/** { slotMinutes, minDurationMinutes, maxDurationMinutes, bufferMinutes } with defaults applied. */
+export function getSlotSettings(place) {
+  const configured = Number(place?.slot_minutes);
+  const slotMinutes =
+    Number.isInteger(configured) && configured >= 15 && configured % 15 === 0
+      ? configured
+      : DEFAULT_SLOT_MINUTES;
+  const minDurationMinutes = Math.max(
+    slotMinutes,
+    Math.ceil((Number(place?.min_duration_minutes) || slotMinutes) / slotMinutes) *
+      slotMinutes,
+  );
+  const maxDurationMinutes =
+    place?.allow_multiple_hours_booking === true
+      ? Math.max(
+          minDurationMinutes,
+          Math.floor(
+            Math.min(
+              MAX_BOOKING_MINUTES,
+              Number(place?.max_duration_minutes) || MAX_BOOKING_MINUTES,
+            ) / slotMinutes,
+          ) * slotMinutes,
+        )
+      : minDurationMinutes;
+  const bufferMinutes = Math.max(0, Number(place?.buffer_minutes) || 0);
+  return { slotMinutes, minDurationMinutes, maxDurationMinutes, bufferMinutes };
+}
+
+/** 30 → "30 min", 60 → "1 hr", 90 → "1 hr 30 min", 120 → "2 hrs" */
+export function formatMinutes(mins) {
+  const m = Number(mins) || 0;
+  if (m < 60) return `${m} min`;
+  const h = Math.floor(m / 60);
+  const rest = m % 60;
+  const hours = `${h} hr${h === 1 ? "" : "s"}`;
+  return rest ? `${hours} ${rest} min` : hours;
+}
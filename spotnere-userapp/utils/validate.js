@@ -44,6 +44,14 @@ export const rules = {
     return null;
   },
 
+  // 6-digit code from a password reset or verification email
+  emailCode: (value) => {
+    const v = clean(value);
+    if (!v) return "Code is required";
+    if (!/^\d{6}$/.test(v)) return "Enter the 6-digit code from the email";
+    return null;
+  },
+
   phone: (value, label = "Phone number") => {
     const v = clean(value);
     if (!v) return `${label} is required`;
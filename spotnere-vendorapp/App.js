@@ -17,11 +17,14 @@ import BottomNavBar from "./components/BottomNavBar";
 import PlaceDetailsOnboarding from "./components/PlaceDetailsOnboarding";
 import PlacePreferencesOnboarding from "./components/PlacePreferencesOnboarding";
 import BankDetailsOnboarding from "./components/BankDetailsOnboarding";
+import VerificationOnboarding from "./components/VerificationOnboarding";
 import ReviewsScreen from "./screens/ReviewsScreen";
 import NotificationsScreen from "./screens/NotificationsScreen";
 import { isLoggedIn } from "./utils/auth";
+import { onSessionEnded } from "./api/client";
+import { needsVerificationAction } from "./utils/verification";
 import { AppProvider, useApp } from "./contexts/AppContext";
-import { ToastProvider } from "./contexts/ToastContext";
+import { ToastProvider, useToast } from "./contexts/ToastContext";
 import { ThemeProvider, useTheme } from "./contexts/ThemeContext";
 import {
   registerAndStorePushToken,
@@ -47,6 +50,7 @@ function AppContent() {
   const { colors, isDark } = useTheme();
   const { user, refreshData, clearCache, markAllNotificationsAsRead } =
     useApp();
+  const { showToast } = useToast();
 
   const [fontsLoaded] = useFonts({
     "Parkinsans-Light": require("./assets/fonts/Parkinsans-Light.ttf"),
@@ -63,6 +67,8 @@ function AppContent() {
   const [showPreferencesOnboarding, setShowPreferencesOnboarding] =
     useState(false);
   const [showBankOnboarding, setShowBankOnboarding] = useState(false);
+  const [showVerificationOnboarding, setShowVerificationOnboarding] =
+    useState(false);
   const [checkingOnboarding, setCheckingOnboarding] = useState(false);
   const [activeTab, setActiveTab] = useState("home");
   const [showReviewsScreen, setShowReviewsScreen] = useState(false);
@@ -72,6 +78,24 @@ function AppContent() {
     checkAuthStatus();
   }, []);
 
+  // Session revoked, expired or suspended (utils/auth already cleared the stored vendor): back to login
+  useEffect(
+    () =>
+      onSessionEnded(async () => {
+        await clearCache();
+        setShowPlaceOnboarding(false);
+        setShowPreferencesOnboarding(false);
+        setShowBankOnboarding(false);
+        setShowVerificationOnboarding(false);
+        setShowReviewsScreen(false);
+        setShowNotificationsScreen(false);
+        setActiveTab("home");
+        setIsAuthenticated(false);
+        showToast("You've been signed out. Please log in again.");
+      }),
+    [clearCache, showToast],
+  );
+
   // Handle Android back button
   useEffect(() => {
     if (Platform.OS !== "android") {
@@ -79,6 +103,11 @@ function AppContent() {
     }
 
     const backAction = () => {
+      // Verification can be finished later, so back leaves it
+      if (showVerificationOnboarding) {
+        handleVerificationOnboardingComplete();
+        return true;
+      }
       // If NotificationsScreen is showing, go back
       if (showNotificationsScreen) {
         handleBackFromNotifications();
@@ -113,6 +142,7 @@ function AppContent() {
     activeTab,
     showReviewsScreen,
     showNotificationsScreen,
+    showVerificationOnboarding,
     handleBackFromNotifications,
   ]);
 
@@ -124,7 +154,8 @@ function AppContent() {
       !checkingOnboarding &&
       !showPlaceOnboarding &&
       !showPreferencesOnboarding &&
-      !showBankOnboarding
+      !showBankOnboarding &&
+      !showVerificationOnboarding
     ) {
       checkOnboardingStatus();
     }
@@ -177,21 +208,27 @@ function AppContent() {
       }
 
       const { api } = require("./api/client");
-      const { placeDetailsComplete, bankDetailsComplete, preferencesComplete } =
-        await api.getOnboardingStatus();
+      const {
+        placeDetailsComplete,
+        bankDetailsComplete,
+        preferencesComplete,
+        verificationStatus,
+      } = await api.getOnboardingStatus();
 
       const prefsDone = await isPreferencesOnboardingDone(
         currentUser.id,
         preferencesComplete,
       );
 
-      // Show bank onboarding first, then place details, then preferences
+      // Show bank onboarding first, then place details, then preferences, then verification
       if (!bankDetailsComplete) {
         setShowBankOnboarding(true);
       } else if (!placeDetailsComplete) {
         setShowPlaceOnboarding(true);
       } else if (!prefsDone) {
         setShowPreferencesOnboarding(true);
+      } else if (needsVerificationAction(verificationStatus)) {
+        setShowVerificationOnboarding(true);
       }
     } catch (error) {
       console.error("Error checking onboarding status:", error);
@@ -209,7 +246,7 @@ function AppContent() {
     const currentUser = await getCurrentUser();
     if (currentUser?.id) {
       try {
-        const { bankDetailsComplete, preferencesComplete } =
+        const { bankDetailsComplete, preferencesComplete, verificationStatus } =
           await api.getOnboardingStatus();
         const prefsDone = await isPreferencesOnboardingDone(
           currentUser.id,
@@ -219,6 +256,8 @@ function AppContent() {
           setTimeout(() => setShowBankOnboarding(true), 100);
         } else if (!prefsDone) {
           setTimeout(() => setShowPreferencesOnboarding(true), 100);
+        } else if (needsVerificationAction(verificationStatus)) {
+          setTimeout(() => setShowVerificationOnboarding(true), 100);
         }
       } catch (e) {
         console.warn("Could not check next onboarding step:", e);
@@ -238,6 +277,20 @@ function AppContent() {
     }
     setShowPreferencesOnboarding(false);
     await refreshData();
+    try {
+      const { api } = require("./api/client");
+      const { verificationStatus } = await api.getOnboardingStatus();
+      if (needsVerificationAction(verificationStatus)) {
+        setTimeout(() => setShowVerificationOnboarding(true), 100);
+      }
+    } catch (e) {
+      console.warn("Could not check next onboarding step:", e);
+    }
+  };
+
+  const handleVerificationOnboardingComplete = async () => {
+    setShowVerificationOnboarding(false);
+    await refreshData();
   };
 
   const handleBankOnboardingComplete = async () => {
@@ -248,7 +301,7 @@ function AppContent() {
     const currentUser = await getCurrentUser();
     if (currentUser?.id) {
       try {
-        const { placeDetailsComplete, preferencesComplete } =
+        const { placeDetailsComplete, preferencesComplete, verificationStatus } =
           await api.getOnboardingStatus();
         const prefsDone = await isPreferencesOnboardingDone(
           currentUser.id,
@@ -258,6 +311,8 @@ function AppContent() {
           setTimeout(() => setShowPlaceOnboarding(true), 100);
         } else if (!prefsDone) {
           setTimeout(() => setShowPreferencesOnboarding(true), 100);
+        } else if (needsVerificationAction(verificationStatus)) {
+          setTimeout(() => setShowVerificationOnboarding(true), 100);
         }
       } catch (e) {
         console.warn("Could not check next onboarding step:", e);
@@ -325,6 +380,7 @@ function AppContent() {
             onNavigateToBookings={handleNavigateToBookings}
             onNavigateToReviews={handleNavigateToReviews}
             onNavigateToNotifications={handleNavigateToNotifications}
+            onNavigateToVerification={() => setShowVerificationOnboarding(true)}
           />
         );
       case "bookings":
@@ -339,6 +395,7 @@ function AppContent() {
             onNavigateToBookings={handleNavigateToBookings}
             onNavigateToReviews={handleNavigateToReviews}
             onNavigateToNotifications={handleNavigateToNotifications}
+            onNavigateToVerification={() => setShowVerificationOnboarding(true)}
           />
         );
     }
@@ -380,6 +437,10 @@ function AppContent() {
                 <BankDetailsOnboarding
                   onComplete={handleBankOnboardingComplete}
                 />
+              ) : showVerificationOnboarding ? (
+                <VerificationOnboarding
+                  onComplete={handleVerificationOnboardingComplete}
+                />
               ) : (
                 <>
                   {renderScreen()}
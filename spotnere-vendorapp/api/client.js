@@ -22,6 +22,56 @@ async function getAccessToken() {
   }
 }
 
+// Told when this device's session ends without the user logging out here: the backend
+// answered 401 to a signed-in request, or Supabase signed the session out (refresh token
+// revoked, "Log out all devices" on another device, vendor suspended by an admin)
+const sessionEndedListeners = new Set();
+let endingSession = false;
+let loggingOut = false;
+
+/**
+ * Run listener() whenever the session ends (see above); the auth utilities clear the stored
+ * user and the app routes back to sign-in. Returns a function that unsubscribes.
+ */
+export function onSessionEnded(listener) {
+  sessionEndedListeners.add(listener);
+  return () => sessionEndedListeners.delete(listener);
+}
+
+/** Sign this device out on purpose (logout), which is not reported as an ended session. */
+export async function signOutLocally() {
+  loggingOut = true;
+  try {
+    // Local scope: only this device; other devices stay signed in (see Password & Security)
+    await supabase.auth.signOut({ scope: "local" });
+  } finally {
+    loggingOut = false;
+  }
+}
+
+async function endSession() {
+  if (endingSession) return;
+  endingSession = true;
+  try {
+    // Drop the dead tokens too; the SIGNED_OUT this emits is ignored below
+    await supabase.auth.signOut({ scope: "local" }).catch(() => {});
+    for (const listener of sessionEndedListeners) {
+      try {
+        await listener();
+      } catch (err) {
+        console.warn("[API] Session-ended listener failed:", err?.message);
+      }
+    }
+  } finally {
+    endingSession = false;
+  }
+}
+
+supabase.auth.onAuthStateChange((event) => {
+  // Deferred: Supabase must not be called from inside its own auth callback
+  if (event === "SIGNED_OUT" && !loggingOut && !endingSession) setTimeout(endSession, 0);
+});
+
 async function request(method, path, body = null, query = null) {
   let url = `${API_BASE}${path}`;
   if (query && Object.keys(query).length > 0) {
@@ -45,6 +95,8 @@ async function request(method, path, body = null, query = null) {
   const res = await fetch(url, opts);
   const data = await res.json().catch(() => ({}));
   if (!res.ok) {
+    // A token the backend no longer accepts, or a suspended vendor: the session is over here
+    if ((res.status === 401 || data?.suspended) && token) endSession();
     const err = new Error(data?.error || `Request failed: ${res.status}`);
     err.status = res.status;
     err.data = data;
@@ -79,11 +131,60 @@ export const api = {
   vendorLogin: (email, password) =>
     request("POST", "/api/vendor/auth/login", { email, password }),
 
+  // Forgot password (no auth); the code arrives by email
+  requestPasswordReset: (email) =>
+    request("POST", "/api/vendor/auth/password-reset/request", { email }),
+  confirmPasswordReset: (email, code, newPassword) =>
+    request("POST", "/api/vendor/auth/password-reset/confirm", { email, code, newPassword }),
+
   // All routes below are JWT-protected — vendorId/placeId come from the token
 
   // Bookings
   getVendorBookings: () =>
     request("GET", "/api/vendor/bookings"),
+  // status: CHECKED_IN | COMPLETED | NO_SHOW
+  updateBookingStatus: (bookingId, status, note) =>
+    request("PATCH", `/api/vendor/bookings/${bookingId}/status`, note ? { status, note } : { status }),
+  getBookingEvents: (bookingId) =>
+    request("GET", `/api/vendor/bookings/${bookingId}/events`),
+
+  // Calendar: manual bookings & blocked time
+  getVendorCalendar: (date) =>
+    request("GET", "/api/vendor/calendar", null, { date }),
+  createManualBooking: (booking) =>
+    request("POST", "/api/vendor/bookings/manual", booking),
+  cancelManualBooking: (bookingId) =>
+    request("DELETE", `/api/vendor/bookings/${bookingId}`),
+  createBlock: ({ startLocal, endLocal, reason }) =>
+    request("POST", "/api/vendor/blocks", { startLocal, endLocal, reason }),
+  deleteBlock: (blockId) =>
+    request("DELETE", `/api/vendor/blocks/${blockId}`),
+
+  // Bookable resources (courts, lanes, rooms)
+  getVendorResources: () =>
+    request("GET", "/api/vendor/resources"),
+  createVendorResource: (resource) =>
+    request("POST", "/api/vendor/resources", resource),
+  updateVendorResource: (resourceId, changes) =>
+    request("PATCH", `/api/vendor/resources/${resourceId}`, changes),
+  archiveVendorResource: (resourceId) =>
+    request("DELETE", `/api/vendor/resources/${resourceId}`),
+
+  // Promo codes for this place
+  getVendorCoupons: () =>
+    request("GET", "/api/vendor/coupons"),
+  createVendorCoupon: (coupon) =>
+    request("POST", "/api/vendor/coupons", coupon),
+  updateVendorCoupon: (couponId, changes) =>
+    request("PATCH", `/api/vendor/coupons/${couponId}`, changes),
+  deleteVendorCoupon: (couponId) =>
+    request("DELETE", `/api/vendor/coupons/${couponId}`),
+
+  // Analytics
+  getRevenueAnalytics: (range) =>
+    request("GET", "/api/vendor/analytics/revenue", null, { range }),
+  getOccupancyAnalytics: (range) =>
+    request("GET", "/api/vendor/analytics/occupancy", null, { range }),
 
   // Reviews
   getVendorReviews: () =>
@@ -114,6 +215,18 @@ export const api = {
     request("GET", "/api/vendor/profile"),
   updateVendorProfile: (patch) =>
     request("PATCH", "/api/vendor/profile", patch),
+  revealPayoutDetails: (currentPassword) =>
+    request("POST", "/api/vendor/payout-details/reveal", { currentPassword }),
+  lookupIfsc: (code) =>
+    request("GET", `/api/vendor/ifsc/${encodeURIComponent(code)}`),
+
+  // Earnings statement (payout ledger)
+  getVendorEarnings: ({ limit = 20, offset = 0 } = {}) =>
+    request("GET", "/api/vendor/earnings", null, { limit, offset }),
+
+  // Payout history and schedule
+  getVendorPayouts: ({ limit = 20, offset = 0 } = {}) =>
+    request("GET", "/api/vendor/payouts", null, { limit, offset }),
 
   // Password
   updateVendorPassword: (currentPassword, newPassword) =>
@@ -122,6 +235,16 @@ export const api = {
       newPassword,
     }),
 
+  // Signed-in devices (Supabase Auth sessions)
+  getSessions: () =>
+    request("GET", "/api/vendor/sessions"),
+  registerSession: (device) =>
+    request("POST", "/api/vendor/sessions/current", device),
+  revokeSession: (sessionId) =>
+    request("DELETE", `/api/vendor/sessions/${sessionId}`),
+  logoutAllSessions: () =>
+    request("POST", "/api/vendor/sessions/logout-all"),
+
   // Push token
   updatePushToken: (push_token) =>
     request("PATCH", "/api/vendor/push-token", { push_token }),
@@ -130,6 +253,14 @@ export const api = {
   getOnboardingStatus: () =>
     request("GET", "/api/vendor/onboarding-status"),
 
+  // Place verification (KYC): docType gst | pan | ownership_proof, base64 JPEG
+  getVerification: () =>
+    request("GET", "/api/vendor/verification"),
+  uploadVerificationDocument: (docType, base64) =>
+    request("POST", "/api/vendor/verification/documents", { docType, base64 }),
+  submitVerification: () =>
+    request("POST", "/api/vendor/verification/submit"),
+
   // Uploads (base64)
   uploadBanner: (base64) =>
     request("POST", "/api/vendor/upload-banner", { base64 }),
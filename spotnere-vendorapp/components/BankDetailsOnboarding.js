@@ -1,7 +1,7 @@
 /**
  * Bank Details Onboarding Component
- * Page to collect vendor bank account details
- * Shown after PlaceDetailsOnboarding for new users
+ * Page to collect vendor payout details: the primary payout method (UPI or bank account) and
+ * its details. Shown after PlaceDetailsOnboarding for new users
  */
 
 import React, { useState, useMemo } from "react";
@@ -22,19 +22,20 @@ import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { api } from "../api/client";
 import { useApp } from "../contexts/AppContext";
-import { rules, collectErrors } from "../utils/validate";
+import {
+  payoutFormFromProfile,
+  validatePayoutForm,
+  payoutFormToBody,
+} from "../utils/payoutDetails";
+import PayoutMethodPicker from "./PayoutMethodPicker";
+import IfscBankInfo from "./IfscBankInfo";
 
 const BankDetailsOnboarding = ({ onComplete }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
   const { user, refreshData } = useApp();
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [formData, setFormData] = useState({
-    account_holder_name: "",
-    account_number: "",
-    ifsc_code: "",
-    upi_id: "",
-  });
+  const [formData, setFormData] = useState(() => payoutFormFromProfile(null));
   const [errors, setErrors] = useState({});
 
   const handleInputChange = (field, value) => {
@@ -46,12 +47,7 @@ const BankDetailsOnboarding = ({ onComplete }) => {
   };
 
   const validateForm = () => {
-    const newErrors = collectErrors({
-      account_holder_name: rules.medStr(formData.account_holder_name, "Account holder name"),
-      account_number: rules.accountNumber(formData.account_number),
-      ifsc_code: rules.ifsc(formData.ifsc_code),
-      upi_id: rules.upi(formData.upi_id),
-    });
+    const newErrors = validatePayoutForm(formData);
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -74,14 +70,7 @@ const BankDetailsOnboarding = ({ onComplete }) => {
     setIsSubmitting(true);
 
     try {
-      const updateData = {
-        account_holder_name: formData.account_holder_name.trim(),
-        account_number: formData.account_number.trim(),
-        ifsc_code: formData.ifsc_code.trim().toUpperCase(),
-        upi_id: formData.upi_id.trim(),
-      };
-
-      await api.updateVendorProfile(updateData);
+      await api.updateVendorProfile(payoutFormToBody(formData));
 
       // Refresh user data
       await refreshData();
@@ -107,7 +96,8 @@ const BankDetailsOnboarding = ({ onComplete }) => {
     placeholder,
     keyboardType = "default",
     icon = null,
-    maxLength = null
+    maxLength = null,
+    footer = null
   ) => {
     const hasError = errors[field];
     const value = formData[field] || "";
@@ -132,15 +122,20 @@ const BankDetailsOnboarding = ({ onComplete }) => {
           <TextInput
             style={styles.input}
             value={value}
-            onChangeText={(text) => handleInputChange(field, text)}
+            onChangeText={(text) =>
+              handleInputChange(field, field === "ifsc_code" ? text.toUpperCase() : text)
+            }
             placeholder={placeholder}
             placeholderTextColor={colors.textSecondary}
             keyboardType={keyboardType}
             maxLength={maxLength}
-            autoCapitalize={field === "ifsc_code" ? "characters" : "words"}
+            autoCapitalize={
+              field === "ifsc_code" ? "characters" : field === "upi_id" ? "none" : "words"
+            }
           />
         </View>
         {hasError && <Text style={styles.errorText}>{errors[field]}</Text>}
+        {footer}
       </View>
     );
   };
@@ -165,43 +160,60 @@ const BankDetailsOnboarding = ({ onComplete }) => {
           </View>
           <Text style={styles.title}>Bank Account Details</Text>
           <Text style={styles.subtitle}>
-            Add your bank account information to receive payments
+            Choose how you want to receive payouts and add the details
           </Text>
         </View>
 
         {/* Form Fields */}
         <View style={styles.formContainer}>
-          {renderInputField(
-            "account_holder_name",
-            "Account Holder Name",
-            "Enter account holder name",
-            "default",
-            "person-outline"
-          )}
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Receive Payouts By</Text>
+            <PayoutMethodPicker
+              value={formData.payout_method}
+              onChange={(method) => {
+                setFormData((prev) => ({ ...prev, payout_method: method }));
+                setErrors({});
+              }}
+            />
+          </View>
 
-          {renderInputField(
-            "account_number",
-            "Account Number",
-            "Enter account number",
-            "numeric",
-            "keypad-outline"
-          )}
+          {formData.payout_method === "bank_account" ? (
+            <>
+              {renderInputField(
+                "account_holder_name",
+                "Account Holder Name",
+                "Enter account holder name",
+                "default",
+                "person-outline"
+              )}
 
-          {renderInputField(
-            "ifsc_code",
-            "IFSC Code",
-            "Enter IFSC code (e.g., ABCD0123456)",
-            "default",
-            "code-outline",
-            11
-          )}
+              {renderInputField(
+                "account_number",
+                "Account Number",
+                "Enter account number",
+                "numeric",
+                "keypad-outline",
+                18
+              )}
 
-          {renderInputField(
-            "upi_id",
-            "UPI ID",
-            "Enter UPI ID (e.g., name@paytm)",
-            "email-address",
-            "wallet-outline"
+              {renderInputField(
+                "ifsc_code",
+                "IFSC Code",
+                "Enter IFSC code (e.g., HDFC0001234)",
+                "default",
+                "code-outline",
+                11,
+                <IfscBankInfo code={formData.ifsc_code} />
+              )}
+            </>
+          ) : (
+            renderInputField(
+              "upi_id",
+              "UPI ID",
+              "Enter UPI ID (e.g., name@okhdfcbank)",
+              "email-address",
+              "wallet-outline"
+            )
           )}
         </View>
 
@@ -0,0 +1,954 @@
+/**
+ * Booking Calendar Screen Component
+ * Day view of the venue's hours with app bookings, manual (walk-in / phone) bookings and
+ * blocked time. Vendors add manual bookings and block or unblock hours from here.
+ * Venues with resources (courts, lanes, rooms) see which resource each booking is on.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert,
+  ActivityIndicator,
+  Switch,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { useApp } from "../contexts/AppContext";
+
+const DAYS_AHEAD = 60;
+// Used until the calendar response brings the place's slot settings
+const DEFAULT_SLOT_MINUTES = 60;
+const MAX_MANUAL_MINUTES = 12 * 60;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Local calendar date → "YYYY-MM-DD" */
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/** Minutes since midnight → "9:00 AM" */
+const minutesToLabel = (mins) => {
+  const h = Math.floor(mins / 60) % 24;
+  const m = mins % 60;
+  const period = h >= 12 ? "PM" : "AM";
+  const hour = h === 0 ? 12 : h > 12 ? h - 12 : h;
+  return `${hour}:${pad(m)} ${period}`;
+};
+
+/** "YYYY-MM-DD" + minutes (may be 1440 = next midnight) → "YYYY-MM-DDTHH:mm" */
+const toLocalDateTime = (dateKey, mins) => {
+  if (mins >= 24 * 60) {
+    const [y, mo, d] = dateKey.split("-").map(Number);
+    return `${toDateKey(new Date(y, mo - 1, d + 1))}T00:00`;
+  }
+  return `${dateKey}T${pad(Math.floor(mins / 60))}:${pad(mins % 60)}`;
+};
+
+/** 90 → "1 hr 30 min" */
+const formatDuration = (mins) => {
+  if (mins < 60) return `${mins} min`;
+  const h = Math.floor(mins / 60);
+  const rest = mins % 60;
+  return `${h} hr${h === 1 ? "" : "s"}${rest ? ` ${rest} min` : ""}`;
+};
+
+const overlaps = (start, end, item) => start < item.endMins && end > item.startMins;
+
+const EMPTY_BOOKING_FORM = {
+  type: "booking",
+  startMins: null,
+  minutes: null,
+  guests: "1",
+  name: "",
+  phone: "",
+  amount: "",
+  notes: "",
+  resourceId: null,
+};
+
+const BookingCalendarScreen = ({ onBack }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const { loadBookings } = useApp();
+
+  const dates = useMemo(() => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Array.from({ length: DAYS_AHEAD }, (_, i) => {
+      const d = new Date(today);
+      d.setDate(today.getDate() + i);
+      return d;
+    });
+  }, []);
+
+  const [selectedDate, setSelectedDate] = React.useState(dates[0]);
+  const [dayData, setDayData] = React.useState(null);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [form, setForm] = React.useState(null);
+  const [submitting, setSubmitting] = React.useState(false);
+
+  const dateKey = toDateKey(selectedDate);
+
+  const loadDay = React.useCallback(async (key) => {
+    setLoading(true);
+    setError(null);
+    try {
+      setDayData(await api.getVendorCalendar(key));
+    } catch (err) {
+      console.error("Error loading calendar:", err);
+      setError(err.message || "Failed to load calendar");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDay(dateKey);
+  }, [dateKey, loadDay]);
+
+  const slotMinutes = dayData?.slotSettings?.slotMinutes ?? DEFAULT_SLOT_MINUTES;
+  const minDurationMinutes = dayData?.slotSettings?.minDurationMinutes ?? slotMinutes;
+  const maxManualMinutes = Math.max(
+    slotMinutes,
+    Math.floor(MAX_MANUAL_MINUTES / slotMinutes) * slotMinutes,
+  );
+
+  // Same grid as the user app: slots slotMinutes apart from opening time, each ending by close
+  const slotStarts = useMemo(() => {
+    const window = dayData?.openingWindow;
+    if (!window) return [];
+    const out = [];
+    for (let m = window.openMins; m + slotMinutes <= window.closeMins; m += slotMinutes) {
+      out.push(m);
+    }
+    return out;
+  }, [dayData, slotMinutes]);
+
+  const closeMins = dayData?.openingWindow?.closeMins ?? 24 * 60;
+  const resources = dayData?.resources || [];
+
+  const refreshAfterChange = async () => {
+    await loadDay(dateKey);
+    loadBookings(true);
+  };
+
+  const describeBooking = (b) =>
+    (b.resourceName ? `${b.resourceName}\n` : "") +
+    `${minutesToLabel(b.startMins)} – ${minutesToLabel(b.endMins)}` +
+    (b.numberOfGuests ? ` · ${b.numberOfGuests} guest${b.numberOfGuests === 1 ? "" : "s"}` : "") +
+    (b.phone ? `\n${b.phone}` : "") +
+    (b.notes ? `\n${b.notes}` : "");
+
+  const handleBookingPress = (booking) => {
+    const title = booking.name || "Guest";
+    if (booking.source !== "VENDOR") {
+      Alert.alert(title, `${describeBooking(booking)}\nBooked in the app`);
+      return;
+    }
+    Alert.alert(title, `${describeBooking(booking)}\nManual booking`, [
+      { text: "Close", style: "cancel" },
+      {
+        text: "Cancel booking",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await api.cancelManualBooking(booking.id);
+            await refreshAfterChange();
+          } catch (err) {
+            Alert.alert("Error", err.message || "Failed to cancel booking");
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleBlockPress = (block) => {
+    Alert.alert(
+      block.reason || "Blocked",
+      `${minutesToLabel(block.startMins)} – ${minutesToLabel(block.endMins)}`,
+      [
+        { text: "Close", style: "cancel" },
+        {
+          text: "Remove block",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await api.deleteBlock(block.id);
+              await refreshAfterChange();
+            } catch (err) {
+              Alert.alert("Error", err.message || "Failed to remove block");
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const openBookingForm = (startMins = slotStarts[0] ?? null) =>
+    setForm({ ...EMPTY_BOOKING_FORM, startMins, minutes: minDurationMinutes });
+
+  const openBlockForm = (startMins = slotStarts[0] ?? null) =>
+    setForm({
+      type: "block",
+      startMins,
+      endMins: startMins != null ? Math.min(startMins + slotMinutes, closeMins) : null,
+      wholeDay: false,
+      reason: "",
+    });
+
+  const handleFreeSlotPress = (mins) => {
+    Alert.alert(minutesToLabel(mins), "What would you like to do?", [
+      { text: "Add booking", onPress: () => openBookingForm(mins) },
+      { text: "Block this slot", onPress: () => openBlockForm(mins) },
+      { text: "Cancel", style: "cancel" },
+    ]);
+  };
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const handleSubmit = async () => {
+    if (!form) return;
+    setSubmitting(true);
+    try {
+      if (form.type === "booking") {
+        if (form.startMins == null) throw new Error("Pick a start time");
+        if (!form.name.trim()) throw new Error("Enter the guest's name");
+        await api.createManualBooking({
+          bookingDateTimeLocal: toLocalDateTime(dateKey, form.startMins),
+          duration_minutes: form.minutes,
+          number_of_guests: Math.max(1, parseInt(form.guests, 10) || 1),
+          guest_name: form.name.trim(),
+          guest_phone: form.phone.trim() || undefined,
+          amount_paid: form.amount ? Number(form.amount) : undefined,
+          notes: form.notes.trim() || undefined,
+          resource_id: form.resourceId || undefined,
+        });
+      } else {
+        const start = form.wholeDay ? 0 : form.startMins;
+        const end = form.wholeDay ? 24 * 60 : form.endMins;
+        if (start == null || end == null || end <= start) {
+          throw new Error("End time must be after start time");
+        }
+        await api.createBlock({
+          startLocal: toLocalDateTime(dateKey, start),
+          endLocal: toLocalDateTime(dateKey, end),
+          reason: form.reason.trim() || undefined,
+        });
+      }
+      setForm(null);
+      await refreshAfterChange();
+    } catch (err) {
+      const conflicts = err.data?.conflicts;
+      const detail =
+        form.type === "block" && Array.isArray(conflicts) && conflicts.length
+          ? `\n\n${conflicts
+              .map((c) => `${c.timeFormatted || ""} · ${c.booking_ref_number || "booking"}`)
+              .join("\n")}`
+          : "";
+      Alert.alert("Couldn't save", `${err.message || "Please try again."}${detail}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderSlot = (mins) => {
+    const end = mins + slotMinutes;
+    const block = dayData.blocks.find((b) => overlaps(mins, end, b));
+    const bookings = dayData.bookings.filter((b) => overlaps(mins, end, b));
+    // Capacity-based places keep taking bookings in a slot until its guests fill it
+    const slotInfo = (dayData.slots || []).find((s) => s.startMins === mins);
+    const spotsLeft = slotInfo?.capacity != null ? slotInfo.remaining : null;
+    // With resources, a slot stays bookable while any of them is free
+    const freeResources = resources.length > 0 ? slotInfo?.freeResources ?? 0 : null;
+    return (
+      <View key={mins} style={styles.slotRow}>
+        <Text style={styles.slotTime}>{minutesToLabel(mins)}</Text>
+        <View style={styles.slotBody}>
+          {block ? (
+            <TouchableOpacity
+              style={[styles.slotCard, styles.slotCardBlocked]}
+              onPress={() => handleBlockPress(block)}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="lock-closed" size={14} color={colors.error} />
+              <Text style={[styles.slotCardText, styles.slotCardTextBlocked]} numberOfLines={1}>
+                {block.reason || "Blocked"}
+              </Text>
+            </TouchableOpacity>
+          ) : bookings.length > 0 ? (
+            bookings.map((b) => (
+              <TouchableOpacity
+                key={b.id}
+                style={[
+                  styles.slotCard,
+                  b.source === "VENDOR" ? styles.slotCardManual : styles.slotCardApp,
+                ]}
+                onPress={() => handleBookingPress(b)}
+                activeOpacity={0.8}
+              >
+                <Ionicons
+                  name={b.source === "VENDOR" ? "walk-outline" : "phone-portrait-outline"}
+                  size={14}
+                  color={colors.primary}
+                />
+                <Text style={styles.slotCardText} numberOfLines={1}>
+                  {b.resourceName ? `${b.resourceName} · ` : ""}
+                  {b.name || "Guest"}
+                  {spotsLeft != null ? ` · ${b.numberOfGuests || 1} guests` : ""}
+                  {b.status === "PENDING" ? " · awaiting payment" : ""}
+                </Text>
+              </TouchableOpacity>
+            ))
+          ) : null}
+          {!block && bookings.length > 0 && spotsLeft == null && freeResources != null && (
+            <TouchableOpacity
+              style={[styles.slotCard, styles.slotCardFree]}
+              onPress={() => openBookingForm(mins)}
+              disabled={freeResources === 0}
+              activeOpacity={0.8}
+            >
+              <Ionicons
+                name={freeResources > 0 ? "add" : "grid"}
+                size={14}
+                color={colors.textSecondary}
+              />
+              <Text style={[styles.slotCardText, styles.slotCardTextFree]}>
+                {freeResources > 0
+                  ? `${freeResources} of ${resources.length} free`
+                  : "All booked"}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {!block && bookings.length > 0 && spotsLeft != null && (
+            <TouchableOpacity
+              style={[styles.slotCard, styles.slotCardFree]}
+              onPress={() => openBookingForm(mins)}
+              disabled={spotsLeft === 0}
+              activeOpacity={0.8}
+            >
+              <Ionicons
+                name={spotsLeft > 0 ? "add" : "people"}
+                size={14}
+                color={colors.textSecondary}
+              />
+              <Text style={[styles.slotCardText, styles.slotCardTextFree]}>
+                {spotsLeft > 0
+                  ? `${spotsLeft} of ${slotInfo.capacity} spots left`
+                  : `Full · ${slotInfo.capacity} guests`}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {!block && bookings.length === 0 && (
+            <TouchableOpacity
+              style={[styles.slotCard, styles.slotCardFree]}
+              onPress={() => handleFreeSlotPress(mins)}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="add" size={14} color={colors.textSecondary} />
+              <Text style={[styles.slotCardText, styles.slotCardTextFree]}>
+                {spotsLeft != null ? `Free · ${spotsLeft} spots` : "Free"}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderTimeChips = (options, value, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipScroll}>
+      {options.map((mins) => {
+        const active = value === mins;
+        return (
+          <TouchableOpacity
+            key={mins}
+            style={[styles.chip, active && styles.chipActive]}
+            onPress={() => onSelect(mins)}
+          >
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>
+              {mins >= 24 * 60 ? "Midnight" : minutesToLabel(mins)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
+  const renderForm = () => {
+    if (!form) return null;
+    const isBooking = form.type === "booking";
+    const endOptions = [
+      ...slotStarts.filter((m) => m > (form.startMins ?? -1)),
+      closeMins,
+    ].filter((m, i, arr) => arr.indexOf(m) === i);
+    return (
+      <Modal visible transparent animationType="slide" onRequestClose={() => setForm(null)}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+        >
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {isBooking ? "Add manual booking" : "Block time"}
+              </Text>
+              <TouchableOpacity onPress={() => setForm(null)}>
+                <Ionicons name="close" size={24} color={colors.text} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalDate}>
+                {selectedDate.toLocaleDateString("en-US", {
+                  weekday: "long",
+                  month: "long",
+                  day: "numeric",
+                })}
+              </Text>
+
+              {!isBooking && (
+                <View style={styles.switchRow}>
+                  <Text style={styles.fieldLabel}>Whole day</Text>
+                  <Switch
+                    value={form.wholeDay}
+                    onValueChange={(wholeDay) => updateForm({ wholeDay })}
+                    trackColor={{ false: colors.border, true: colors.primary + "60" }}
+                    thumbColor={form.wholeDay ? colors.primary : "#f4f3f4"}
+                    ios_backgroundColor={colors.border}
+                  />
+                </View>
+              )}
+
+              {(isBooking || !form.wholeDay) && (
+                <>
+                  <Text style={styles.fieldLabel}>Start</Text>
+                  {renderTimeChips(slotStarts, form.startMins, (startMins) =>
+                    updateForm(
+                      isBooking
+                        ? { startMins }
+                        : {
+                            startMins,
+                            endMins: Math.min(startMins + slotMinutes, closeMins),
+                          },
+                    ),
+                  )}
+                </>
+              )}
+
+              {isBooking ? (
+                <>
+                  <Text style={styles.fieldLabel}>Duration</Text>
+                  <View style={styles.stepperRow}>
+                    <TouchableOpacity
+                      style={styles.stepperButton}
+                      onPress={() =>
+                        updateForm({ minutes: Math.max(slotMinutes, form.minutes - slotMinutes) })
+                      }
+                    >
+                      <Ionicons name="remove" size={18} color={colors.text} />
+                    </TouchableOpacity>
+                    <Text style={styles.stepperValue}>{formatDuration(form.minutes)}</Text>
+                    <TouchableOpacity
+                      style={styles.stepperButton}
+                      onPress={() =>
+                        updateForm({
+                          minutes: Math.min(maxManualMinutes, form.minutes + slotMinutes),
+                        })
+                      }
+                    >
+                      <Ionicons name="add" size={18} color={colors.text} />
+                    </TouchableOpacity>
+                  </View>
+
+                  {resources.length > 0 && (
+                    <>
+                      <Text style={styles.fieldLabel}>Resource</Text>
+                      <ScrollView
+                        horizontal
+                        showsHorizontalScrollIndicator={false}
+                        style={styles.chipScroll}
+                      >
+                        {[{ id: null, name: "First free" }, ...resources].map((r) => {
+                          const active = form.resourceId === r.id;
+                          return (
+                            <TouchableOpacity
+                              key={r.id || "auto"}
+                              style={[styles.chip, active && styles.chipActive]}
+                              onPress={() => updateForm({ resourceId: r.id })}
+                            >
+                              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                                {r.name}
+                              </Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+                      </ScrollView>
+                    </>
+                  )}
+
+                  <Text style={styles.fieldLabel}>Guest name</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.name}
+                    onChangeText={(name) => updateForm({ name })}
+                    placeholder="Name"
+                    placeholderTextColor={colors.textSecondary}
+                  />
+                  <Text style={styles.fieldLabel}>Phone (optional)</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.phone}
+                    onChangeText={(phone) => updateForm({ phone })}
+                    placeholder="+91 98765 43210"
+                    placeholderTextColor={colors.textSecondary}
+                    keyboardType="phone-pad"
+                  />
+                  <View style={styles.inlineFields}>
+                    <View style={styles.inlineField}>
+                      <Text style={styles.fieldLabel}>Guests</Text>
+                      <TextInput
+                        style={styles.input}
+                        value={form.guests}
+                        onChangeText={(guests) =>
+                          updateForm({ guests: guests.replace(/\D/g, "") })
+                        }
+                        keyboardType="number-pad"
+                      />
+                    </View>
+                    <View style={styles.inlineField}>
+                      <Text style={styles.fieldLabel}>Amount collected (₹)</Text>
+                      <TextInput
+                        style={styles.input}
+                        value={form.amount}
+                        onChangeText={(amount) =>
+                          updateForm({ amount: amount.replace(/[^\d.]/g, "") })
+                        }
+                        placeholder="0"
+                        placeholderTextColor={colors.textSecondary}
+                        keyboardType="decimal-pad"
+                      />
+                    </View>
+                  </View>
+                  <Text style={styles.fieldLabel}>Notes (optional)</Text>
+                  <TextInput
+                    style={[styles.input, styles.inputMultiline]}
+                    value={form.notes}
+                    onChangeText={(notes) => updateForm({ notes })}
+                    multiline
+                  />
+                </>
+              ) : (
+                <>
+                  {!form.wholeDay && (
+                    <>
+                      <Text style={styles.fieldLabel}>End</Text>
+                      {renderTimeChips(endOptions, form.endMins, (endMins) =>
+                        updateForm({ endMins }),
+                      )}
+                    </>
+                  )}
+                  <Text style={styles.fieldLabel}>Reason (optional)</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.reason}
+                    onChangeText={(reason) => updateForm({ reason })}
+                    placeholder="Maintenance, private event…"
+                    placeholderTextColor={colors.textSecondary}
+                  />
+                </>
+              )}
+            </ScrollView>
+
+            <TouchableOpacity
+              style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+              onPress={handleSubmit}
+              disabled={submitting}
+              activeOpacity={0.85}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.submitButtonText}>
+                  {isBooking ? "Save booking" : "Block time"}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        {onBack && (
+          <TouchableOpacity onPress={onBack} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+        )}
+        <Text style={styles.title}>Calendar</Text>
+      </View>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.dateStrip}
+        contentContainerStyle={styles.dateStripContent}
+      >
+        {dates.map((d) => {
+          const active = toDateKey(d) === dateKey;
+          return (
+            <TouchableOpacity
+              key={toDateKey(d)}
+              style={[styles.dateChip, active && styles.dateChipActive]}
+              onPress={() => setSelectedDate(d)}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.dateChipDay, active && styles.dateChipTextActive]}>
+                {d.toLocaleDateString("en-US", { weekday: "short" })}
+              </Text>
+              <Text style={[styles.dateChipDate, active && styles.dateChipTextActive]}>
+                {d.getDate()}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <View style={styles.actionsRow}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => openBookingForm()}
+          disabled={!slotStarts.length}
+        >
+          <Ionicons name="person-add-outline" size={16} color={colors.primary} />
+          <Text style={styles.actionButtonText}>Add booking</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => openBlockForm()}
+          disabled={!slotStarts.length}
+        >
+          <Ionicons name="lock-closed-outline" size={16} color={colors.primary} />
+          <Text style={styles.actionButtonText}>Block time</Text>
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : error ? (
+        <TouchableOpacity style={styles.centered} onPress={() => loadDay(dateKey)}>
+          <Ionicons name="refresh" size={24} color={colors.textSecondary} />
+          <Text style={styles.emptyText}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      ) : slotStarts.length === 0 ? (
+        <View style={styles.centered}>
+          <Ionicons name="moon-outline" size={40} color={colors.textSecondary} />
+          <Text style={styles.emptyText}>
+            {dayData?.hoursOverride?.label
+              ? `Closed for ${dayData.hoursOverride.label}`
+              : "Closed on this day"}
+          </Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.slotList}>
+          {slotStarts.map(renderSlot)}
+        </ScrollView>
+      )}
+
+      {renderForm()}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 10,
+    paddingTop: 20,
+    paddingBottom: 10,
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  title: {
+    fontSize: 28,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  dateStrip: {
+    flexGrow: 0,
+  },
+  dateStripContent: {
+    paddingHorizontal: 10,
+    gap: 8,
+  },
+  dateChip: {
+    width: 54,
+    paddingVertical: 10,
+    borderRadius: 14,
+    alignItems: "center",
+    backgroundColor: colors.cardBackground,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  dateChipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  dateChipDay: {
+    fontSize: 11,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  dateChipDate: {
+    fontSize: 18,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginTop: 2,
+  },
+  dateChipTextActive: {
+    color: "#FFFFFF",
+  },
+  actionsRow: {
+    flexDirection: "row",
+    gap: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 12,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "10",
+  },
+  actionButtonText: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  centered: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 12,
+    textAlign: "center",
+  },
+  slotList: {
+    paddingHorizontal: 10,
+    paddingBottom: 100,
+  },
+  slotRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border + "40",
+  },
+  slotTime: {
+    width: 72,
+    paddingTop: 10,
+    fontSize: 12,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  slotBody: {
+    flex: 1,
+    gap: 6,
+  },
+  slotCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  slotCardFree: {
+    borderColor: colors.border,
+    borderStyle: "dashed",
+    backgroundColor: "transparent",
+  },
+  slotCardApp: {
+    borderColor: colors.primary + "40",
+    backgroundColor: colors.primary + "15",
+  },
+  slotCardManual: {
+    borderColor: colors.success + "40",
+    backgroundColor: colors.success + "15",
+  },
+  slotCardBlocked: {
+    borderColor: colors.error + "40",
+    backgroundColor: colors.error + "10",
+  },
+  slotCardText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  slotCardTextFree: {
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  slotCardTextBlocked: {
+    color: colors.error,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: colors.cardBackground,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 20,
+    maxHeight: "85%",
+  },
+  modalHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  modalDate: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  chipScroll: {
+    flexGrow: 0,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: 8,
+    backgroundColor: colors.background,
+  },
+  chipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "15",
+  },
+  chipText: {
+    fontSize: 12,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  chipTextActive: {
+    color: colors.primary,
+    fontFamily: fonts.semiBold,
+  },
+  stepperRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  stepperButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  stepperValue: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginHorizontal: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    backgroundColor: colors.background,
+  },
+  inputMultiline: {
+    minHeight: 70,
+    textAlignVertical: "top",
+  },
+  inlineFields: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  inlineField: {
+    flex: 1,
+  },
+  submitButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+    marginTop: 16,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+  },
+});
+
+export default BookingCalendarScreen;
@@ -1,6 +1,8 @@
 /**
  * Booking Details Screen Component
- * Displays detailed information about a specific booking
+ * Displays detailed information about a specific booking, lets the vendor check the guest in or
+ * mark the booking completed / no-show, and shows its status history.
+ * `onStatusChange(booking)` is called after a status update so the list can refresh.
  */
 
 import React, { useMemo } from "react";
@@ -11,14 +13,45 @@ import {
   ScrollView,
   TouchableOpacity,
   Linking,
+  Alert,
+  ActivityIndicator,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import BookingTimeline from "./BookingTimeline";
+import {
+  bookingStatusColor,
+  bookingStatusLabel,
+  normalizeBookingStatus,
+  vendorStatusActions,
+} from "../utils/bookingStatus";
 
-const BookingDetailsScreen = ({ booking, onBack }) => {
+const STATUS_ACTIONS = {
+  CHECKED_IN: {
+    label: "Check in",
+    icon: "log-in-outline",
+    confirm: "Mark the guest as arrived?",
+  },
+  COMPLETED: {
+    label: "Mark completed",
+    icon: "checkmark-done-outline",
+    confirm: "Mark this booking as completed?",
+  },
+  NO_SHOW: {
+    label: "Mark no-show",
+    icon: "close-circle-outline",
+    confirm: "Mark this booking as a no-show? The guest did not arrive.",
+    destructive: true,
+  },
+};
+
+const BookingDetailsScreen = ({ booking: initialBooking, onBack, onStatusChange }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
+  const [booking, setBooking] = React.useState(initialBooking);
+  const [updatingStatus, setUpdatingStatus] = React.useState(null);
 
   if (!booking) {
     return (
@@ -70,9 +103,40 @@ const BookingDetailsScreen = ({ booking, onBack }) => {
   };
 
   const status = getBookingStatus();
+  // Manual (walk-in / phone) bookings carry the guest's details on the booking itself
+  const phoneNumber = booking.user_phone_number || booking.guest_phone;
   const isUpcoming = status === "upcoming";
   const isToday = status === "today";
 
+  const bookingStatus = normalizeBookingStatus(booking.payment_status);
+  const statusActions = vendorStatusActions(booking);
+
+  const updateStatus = async (nextStatus) => {
+    setUpdatingStatus(nextStatus);
+    try {
+      const result = await api.updateBookingStatus(booking.id, nextStatus);
+      const updated = { ...booking, payment_status: result.status };
+      setBooking(updated);
+      onStatusChange?.(updated);
+    } catch (err) {
+      Alert.alert("Error", err.message || "Failed to update booking");
+    } finally {
+      setUpdatingStatus(null);
+    }
+  };
+
+  const handleStatusAction = (nextStatus) => {
+    const action = STATUS_ACTIONS[nextStatus];
+    Alert.alert(action.label, action.confirm, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: action.label,
+        style: action.destructive ? "destructive" : "default",
+        onPress: () => updateStatus(nextStatus),
+      },
+    ]);
+  };
+
   const handleReceiptPress = () => {
     if (booking.receipt_url) {
       Linking.openURL(booking.receipt_url).catch((err) =>
@@ -122,7 +186,9 @@ const BookingDetailsScreen = ({ booking, onBack }) => {
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Customer Information</Text>
         <View style={styles.card}>
-          {(booking.user_first_name || booking.user_last_name) && (
+          {(booking.user_first_name ||
+            booking.user_last_name ||
+            booking.guest_name) && (
             <>
               <View style={styles.detailRow}>
                 <View style={styles.detailItem}>
@@ -131,12 +197,14 @@ const BookingDetailsScreen = ({ booking, onBack }) => {
                     <Text style={styles.detailValue}>
                       {`${booking.user_first_name || ""} ${
                         booking.user_last_name || ""
-                      }`.trim() || "N/A"}
+                      }`.trim() ||
+                        booking.guest_name ||
+                        "N/A"}
                     </Text>
                   </View>
                 </View>
               </View>
-              {(booking.user_email || booking.user_phone_number) && (
+              {(booking.user_email || phoneNumber) && (
                 <View style={styles.divider} />
               )}
             </>
@@ -151,17 +219,15 @@ const BookingDetailsScreen = ({ booking, onBack }) => {
                   </View>
                 </View>
               </View>
-              {booking.user_phone_number && <View style={styles.divider} />}
+              {phoneNumber && <View style={styles.divider} />}
             </>
           )}
-          {booking.user_phone_number && (
+          {phoneNumber && (
             <View style={styles.detailRow}>
               <View style={styles.detailItem}>
                 <View style={styles.detailTextContainer}>
                   <Text style={styles.detailLabel}>Phone Number</Text>
-                  <Text style={styles.detailValue}>
-                    {booking.user_phone_number}
-                  </Text>
+                  <Text style={styles.detailValue}>{phoneNumber}</Text>
                 </View>
               </View>
             </View>
@@ -194,6 +260,50 @@ const BookingDetailsScreen = ({ booking, onBack }) => {
               </View>
             </View>
           </View>
+          <View style={styles.divider} />
+          <View style={styles.detailRow}>
+            <View style={styles.detailItem}>
+              <View style={styles.detailTextContainer}>
+                <Text style={styles.detailLabel}>Status</Text>
+                <Text
+                  style={[
+                    styles.detailValue,
+                    { color: bookingStatusColor(bookingStatus, colors) },
+                  ]}
+                >
+                  {bookingStatusLabel(bookingStatus)}
+                </Text>
+              </View>
+            </View>
+          </View>
+          {statusActions.length > 0 && (
+            <View style={styles.actionsRow}>
+              {statusActions.map((nextStatus) => {
+                const action = STATUS_ACTIONS[nextStatus];
+                const tint = action.destructive ? colors.error : colors.primary;
+                return (
+                  <TouchableOpacity
+                    key={nextStatus}
+                    style={[styles.actionButton, { borderColor: tint }]}
+                    onPress={() => handleStatusAction(nextStatus)}
+                    disabled={!!updatingStatus}
+                    activeOpacity={0.7}
+                  >
+                    {updatingStatus === nextStatus ? (
+                      <ActivityIndicator size="small" color={tint} />
+                    ) : (
+                      <>
+                        <Ionicons name={action.icon} size={18} color={tint} />
+                        <Text style={[styles.actionButtonText, { color: tint }]}>
+                          {action.label}
+                        </Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          )}
         </View>
       </View>
 
@@ -257,6 +367,8 @@ const BookingDetailsScreen = ({ booking, onBack }) => {
           )}
         </View>
       </View>
+
+      <BookingTimeline bookingId={booking.id} status={bookingStatus} />
     </ScrollView>
   );
 };
@@ -406,6 +518,28 @@ const createStyles = (colors) => StyleSheet.create({
     color: colors.text,
     marginBottom: 4,
   },
+  actionsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 12,
+  },
+  actionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    minWidth: 120,
+    flexGrow: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  actionButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+  },
   divider: {
     height: 1,
     backgroundColor: colors.border,
@@ -0,0 +1,183 @@
+/**
+ * Booking Timeline Component
+ * Status history of a booking, oldest first. Loads GET /api/vendor/bookings/:id/events itself and
+ * reloads when `status` changes; shown inside BookingDetailsScreen.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import { StyleSheet, View, Text, TouchableOpacity, ActivityIndicator } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { bookingStatusColor, bookingStatusLabel } from "../utils/bookingStatus";
+
+const ACTOR_LABELS = {
+  user: "Customer",
+  vendor: "You",
+  admin: "Spotnere support",
+  razorpay: "Payment",
+  system: "Automatic",
+};
+
+const formatEventTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "";
+
+const BookingTimeline = ({ bookingId, status }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [events, setEvents] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+
+  const loadEvents = React.useCallback(async () => {
+    if (!bookingId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await api.getBookingEvents(bookingId);
+      setEvents(data?.events || []);
+    } catch (err) {
+      console.error("Error loading booking history:", err);
+      setError(err.message || "Failed to load history");
+    } finally {
+      setLoading(false);
+    }
+  }, [bookingId]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents, status]);
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>History</Text>
+      <View style={styles.card}>
+        {loading ? (
+          <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />
+        ) : error ? (
+          <TouchableOpacity style={styles.retry} onPress={loadEvents}>
+            <Ionicons name="refresh" size={18} color={colors.textSecondary} />
+            <Text style={styles.emptyText}>{error} · Tap to retry</Text>
+          </TouchableOpacity>
+        ) : events.length === 0 ? (
+          <Text style={styles.emptyText}>No history yet.</Text>
+        ) : (
+          events.map((event, index) => {
+            const isLast = index === events.length - 1;
+            return (
+              <View key={event.id} style={styles.eventRow}>
+                <View style={styles.rail}>
+                  <View
+                    style={[styles.dot, { backgroundColor: bookingStatusColor(event.toStatus, colors) }]}
+                  />
+                  {!isLast && <View style={styles.line} />}
+                </View>
+                <View style={[styles.eventContent, !isLast && styles.eventSpacing]}>
+                  <Text style={styles.eventTitle}>{bookingStatusLabel(event.toStatus)}</Text>
+                  <Text style={styles.eventMeta}>
+                    {formatEventTime(event.createdAt)}
+                    {ACTOR_LABELS[event.actor] ? ` · ${ACTOR_LABELS[event.actor]}` : ""}
+                  </Text>
+                  {event.note ? <Text style={styles.eventNote}>{event.note}</Text> : null}
+                </View>
+              </View>
+            );
+          })
+        )}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 18,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: colors.border,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.06,
+    shadowRadius: 16,
+    elevation: 2,
+  },
+  loader: {
+    marginVertical: 12,
+  },
+  retry: {
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginVertical: 8,
+  },
+  eventRow: {
+    flexDirection: "row",
+  },
+  rail: {
+    width: 20,
+    alignItems: "center",
+  },
+  dot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginTop: 5,
+  },
+  line: {
+    flex: 1,
+    width: 2,
+    marginTop: 4,
+    backgroundColor: colors.border,
+  },
+  eventContent: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  eventSpacing: {
+    paddingBottom: 16,
+  },
+  eventTitle: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  eventMeta: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  eventNote: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    marginTop: 4,
+  },
+});
+
+export default BookingTimeline;
@@ -22,7 +22,7 @@ const BookingsListScreen = ({ onBack }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
 
-  const { bookingsData } = useApp();
+  const { bookingsData, loadBookings } = useApp();
   const [selectedBooking, setSelectedBooking] = React.useState(null);
 
   // Sort all bookings by date in descending order (newest first)
@@ -89,6 +89,7 @@ const BookingsListScreen = ({ onBack }) => {
       <BookingDetailsScreen
         booking={selectedBooking}
         onBack={handleBackFromDetails}
+        onStatusChange={() => loadBookings(true)}
       />
     );
   }
@@ -0,0 +1,253 @@
+/**
+ * Cancellation Policy Editor Component
+ * Preset picker (flexible / moderate / strict) plus editable custom refund tiers.
+ * Controlled: `value` is { preset, tiers }, `onChange` receives the next policy.
+ */
+
+import React, { useMemo } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import {
+  CANCELLATION_PRESETS,
+  MAX_CANCELLATION_TIERS,
+  describeCancellationPolicy,
+  validateCustomTiers,
+} from "../utils/cancellationPolicy";
+
+const PRESET_KEYS = [...Object.keys(CANCELLATION_PRESETS), "custom"];
+
+const CancellationPolicyEditor = ({ value, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const preset = value?.preset || "moderate";
+  const tiers = value?.tiers || [];
+  const customError = preset === "custom" ? validateCustomTiers(tiers) : null;
+
+  const selectPreset = (key) => {
+    if (key === "custom") {
+      // Start custom editing from whatever tiers are currently shown
+      onChange({ preset: "custom", tiers: tiers.map((t) => ({ ...t })) });
+    } else {
+      onChange({ preset: key, tiers: CANCELLATION_PRESETS[key].tiers });
+    }
+  };
+
+  const updateTier = (index, field, text) => {
+    const num = parseInt(text.replace(/\D/g, ""), 10);
+    const next = tiers.map((t, i) =>
+      i === index ? { ...t, [field]: Number.isNaN(num) ? 0 : num } : t,
+    );
+    onChange({ preset: "custom", tiers: next });
+  };
+
+  const addTier = () => {
+    if (tiers.length >= MAX_CANCELLATION_TIERS) return;
+    const lowest = tiers.length
+      ? Math.min(...tiers.map((t) => t.hours_before))
+      : 48;
+    onChange({
+      preset: "custom",
+      tiers: [
+        ...tiers,
+        { hours_before: Math.max(0, Math.floor(lowest / 2)), refund_percent: 0 },
+      ],
+    });
+  };
+
+  const removeTier = (index) => {
+    onChange({ preset: "custom", tiers: tiers.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <View>
+      <View style={styles.presetRow}>
+        {PRESET_KEYS.map((key) => {
+          const active = preset === key;
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[styles.presetChip, active && styles.presetChipActive]}
+              onPress={() => selectPreset(key)}
+              activeOpacity={0.7}
+            >
+              <Text
+                style={[styles.presetText, active && styles.presetTextActive]}
+              >
+                {key === "custom" ? "Custom" : CANCELLATION_PRESETS[key].label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {preset === "custom" && (
+        <View style={styles.tiersContainer}>
+          {tiers.map((tier, index) => (
+            <View key={index} style={styles.tierRow}>
+              <TextInput
+                style={styles.tierInput}
+                value={String(tier.hours_before)}
+                onChangeText={(t) => updateTier(index, "hours_before", t)}
+                keyboardType="number-pad"
+                maxLength={3}
+              />
+              <Text style={styles.tierLabel}>hrs before →</Text>
+              <TextInput
+                style={styles.tierInput}
+                value={String(tier.refund_percent)}
+                onChangeText={(t) => updateTier(index, "refund_percent", t)}
+                keyboardType="number-pad"
+                maxLength={3}
+              />
+              <Text style={styles.tierLabel}>% refund</Text>
+              <TouchableOpacity
+                onPress={() => removeTier(index)}
+                style={styles.removeButton}
+                disabled={tiers.length <= 1}
+              >
+                <Ionicons
+                  name="trash-outline"
+                  size={18}
+                  color={tiers.length <= 1 ? colors.border : colors.error}
+                />
+              </TouchableOpacity>
+            </View>
+          ))}
+          {tiers.length < MAX_CANCELLATION_TIERS && (
+            <TouchableOpacity style={styles.addButton} onPress={addTier}>
+              <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+              <Text style={styles.addButtonText}>Add tier</Text>
+            </TouchableOpacity>
+          )}
+          {customError ? (
+            <Text style={styles.errorText}>{customError}</Text>
+          ) : null}
+        </View>
+      )}
+
+      <View style={styles.summary}>
+        {describeCancellationPolicy({ tiers }).map((line) => (
+          <View key={line} style={styles.summaryRow}>
+            <Ionicons
+              name="ellipse"
+              size={6}
+              color={colors.textSecondary}
+              style={styles.summaryBullet}
+            />
+            <Text style={styles.summaryText}>{line}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  presetRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 12,
+  },
+  presetChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  presetChipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "15",
+  },
+  presetText: {
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  presetTextActive: {
+    color: colors.primary,
+    fontFamily: fonts.semiBold,
+  },
+  tiersContainer: {
+    marginBottom: 12,
+  },
+  tierRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  tierInput: {
+    width: 52,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    fontSize: 14,
+    fontFamily: fonts.medium,
+    color: colors.text,
+    backgroundColor: colors.background,
+    textAlign: "center",
+  },
+  tierLabel: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginHorizontal: 6,
+  },
+  removeButton: {
+    marginLeft: "auto",
+    padding: 6,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  addButtonText: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  errorText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 4,
+  },
+  summary: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 12,
+  },
+  summaryRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    marginBottom: 4,
+  },
+  summaryBullet: {
+    marginTop: 7,
+    marginRight: 8,
+  },
+  summaryText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    lineHeight: 19,
+  },
+});
+
+export default CancellationPolicyEditor;
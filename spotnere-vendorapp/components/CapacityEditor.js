@@ -0,0 +1,214 @@
+/**
+ * Capacity Editor Component
+ * Guests per slot for shared venues, plus optional capacities for parts of the day.
+ * Controlled: `value` is { guest_capacity, capacity_overrides }, `onChange` receives the next
+ * settings. An empty capacity means one booking per slot (or unlimited with overlapping bookings).
+ */
+
+import React, { useMemo } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import {
+  MAX_CAPACITY_OVERRIDES,
+  validateCapacitySettings,
+} from "../utils/guestCapacity";
+
+const toCount = (text) => {
+  const num = parseInt(text.replace(/\D/g, ""), 10);
+  return Number.isNaN(num) ? null : num;
+};
+
+const CapacityEditor = ({ value, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const capacity = value?.guest_capacity ?? null;
+  const overrides = value?.capacity_overrides || [];
+  const error = validateCapacitySettings(value);
+
+  const setCapacity = (text) => {
+    const next = toCount(text);
+    // Per-slot capacities only apply on top of a place-wide capacity
+    onChange({
+      guest_capacity: next,
+      capacity_overrides: next == null ? [] : overrides,
+    });
+  };
+
+  const updateOverride = (index, changes) => {
+    onChange({
+      ...value,
+      capacity_overrides: overrides.map((o, i) =>
+        i === index ? { ...o, ...changes } : o,
+      ),
+    });
+  };
+
+  const addOverride = () => {
+    if (overrides.length >= MAX_CAPACITY_OVERRIDES) return;
+    onChange({
+      ...value,
+      capacity_overrides: [
+        ...overrides,
+        { start: "12:00", end: "14:00", capacity: capacity ?? 0 },
+      ],
+    });
+  };
+
+  const removeOverride = (index) => {
+    onChange({
+      ...value,
+      capacity_overrides: overrides.filter((_, i) => i !== index),
+    });
+  };
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.countInput}
+          value={capacity == null ? "" : String(capacity)}
+          onChangeText={setCapacity}
+          placeholder="—"
+          placeholderTextColor={colors.textSecondary}
+          keyboardType="number-pad"
+          maxLength={5}
+        />
+        <Text style={styles.label}>guests per slot</Text>
+      </View>
+      <Text style={styles.hint}>
+        {capacity == null
+          ? "Leave empty to take one booking per slot."
+          : "Each slot takes bookings until their guests reach this number."}
+      </Text>
+
+      {capacity != null && (
+        <View style={styles.overrides}>
+          {overrides.map((o, index) => (
+            <View key={index} style={styles.row}>
+              <TextInput
+                style={styles.timeInput}
+                value={o.start}
+                onChangeText={(t) => updateOverride(index, { start: t.trim() })}
+                placeholder="HH:mm"
+                placeholderTextColor={colors.textSecondary}
+                maxLength={5}
+              />
+              <Text style={styles.label}>–</Text>
+              <TextInput
+                style={styles.timeInput}
+                value={o.end}
+                onChangeText={(t) => updateOverride(index, { end: t.trim() })}
+                placeholder="HH:mm"
+                placeholderTextColor={colors.textSecondary}
+                maxLength={5}
+              />
+              <Text style={styles.label}>→</Text>
+              <TextInput
+                style={styles.countInput}
+                value={o.capacity == null ? "" : String(o.capacity)}
+                onChangeText={(t) => updateOverride(index, { capacity: toCount(t) })}
+                keyboardType="number-pad"
+                maxLength={5}
+              />
+              <Text style={styles.label}>guests</Text>
+              <TouchableOpacity
+                onPress={() => removeOverride(index)}
+                style={styles.removeButton}
+              >
+                <Ionicons name="trash-outline" size={18} color={colors.error} />
+              </TouchableOpacity>
+            </View>
+          ))}
+          {overrides.length < MAX_CAPACITY_OVERRIDES && (
+            <TouchableOpacity style={styles.addButton} onPress={addOverride}>
+              <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+              <Text style={styles.addButtonText}>Different capacity for a time range</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  countInput: {
+    width: 60,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    fontSize: 14,
+    fontFamily: fonts.medium,
+    color: colors.text,
+    backgroundColor: colors.background,
+    textAlign: "center",
+  },
+  timeInput: {
+    width: 60,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 6,
+    fontSize: 14,
+    fontFamily: fonts.medium,
+    color: colors.text,
+    backgroundColor: colors.background,
+    textAlign: "center",
+  },
+  label: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginHorizontal: 6,
+  },
+  hint: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  overrides: {
+    marginTop: 4,
+  },
+  removeButton: {
+    marginLeft: "auto",
+    padding: 6,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  addButtonText: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  errorText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 4,
+  },
+});
+
+export default CapacityEditor;
@@ -0,0 +1,519 @@
+/**
+ * Coupons Screen Component
+ * Promo codes that only work at this venue: percentage or flat discounts with optional minimum
+ * spend, usage limits and validity dates. Customers enter them in the booking sheet.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert,
+  ActivityIndicator,
+  Switch,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import {
+  couponFormFromCoupon,
+  validateCouponForm,
+  couponFormToBody,
+  describeCoupon,
+  describeCouponUsage,
+} from "../utils/coupons";
+
+const CouponsScreen = ({ onBack }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [coupons, setCoupons] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  // { id: string | null, ...couponFormFromCoupon() } while the add / edit sheet is open
+  const [form, setForm] = React.useState(null);
+  const [submitting, setSubmitting] = React.useState(false);
+
+  const loadCoupons = React.useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await api.getVendorCoupons();
+      setCoupons(data?.coupons || []);
+    } catch (err) {
+      console.error("Error loading coupons:", err);
+      setError(err.message || "Failed to load coupons");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const handleSubmit = async () => {
+    const problem = validateCouponForm(form);
+    if (problem) {
+      Alert.alert("Check the details", problem);
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const body = couponFormToBody(form);
+      if (form.id) {
+        await api.updateVendorCoupon(form.id, body);
+      } else {
+        await api.createVendorCoupon(body);
+      }
+      setForm(null);
+      await loadCoupons();
+    } catch (err) {
+      Alert.alert("Couldn't save", err.message || "Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = (coupon) => {
+    Alert.alert(
+      `Delete ${coupon.code}?`,
+      "Customers will no longer be able to use it. Bookings that used it keep their discount.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await api.deleteVendorCoupon(coupon.id);
+              setForm(null);
+              await loadCoupons();
+            } catch (err) {
+              Alert.alert("Couldn't delete", err.message || "Please try again.");
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const renderInput = (field, placeholder, props = {}) => (
+    <TextInput
+      style={styles.input}
+      value={form[field]}
+      onChangeText={(text) => updateForm({ [field]: text.trim() })}
+      placeholder={placeholder}
+      placeholderTextColor={colors.textSecondary}
+      {...props}
+    />
+  );
+
+  const renderForm = () => {
+    if (!form) return null;
+    return (
+      <Modal visible transparent animationType="slide" onRequestClose={() => setForm(null)}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+        >
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{form.id ? "Edit coupon" : "Add coupon"}</Text>
+              <TouchableOpacity onPress={() => setForm(null)}>
+                <Ionicons name="close" size={24} color={colors.text} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={styles.fieldLabel}>Code</Text>
+              <TextInput
+                style={styles.input}
+                value={form.code}
+                onChangeText={(code) =>
+                  updateForm({ code: code.toUpperCase().replace(/[^A-Z0-9_-]/g, "") })
+                }
+                placeholder="WEEKEND20"
+                placeholderTextColor={colors.textSecondary}
+                autoCapitalize="characters"
+                autoCorrect={false}
+                maxLength={30}
+              />
+              <Text style={styles.fieldLabel}>Description (optional)</Text>
+              <TextInput
+                style={styles.input}
+                value={form.description}
+                onChangeText={(description) => updateForm({ description })}
+                placeholder="20% off weekend games"
+                placeholderTextColor={colors.textSecondary}
+                maxLength={255}
+              />
+
+              <Text style={styles.fieldLabel}>Discount</Text>
+              <View style={styles.typeRow}>
+                {[
+                  { type: "percent", label: "% off" },
+                  { type: "flat", label: "₹ off" },
+                ].map((opt) => {
+                  const active = form.discountType === opt.type;
+                  return (
+                    <TouchableOpacity
+                      key={opt.type}
+                      style={[styles.typeChip, active && styles.typeChipActive]}
+                      onPress={() => updateForm({ discountType: opt.type })}
+                    >
+                      <Text style={[styles.typeChipText, active && styles.typeChipTextActive]}>
+                        {opt.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <View style={styles.inlineFields}>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>
+                    {form.discountType === "percent" ? "Percent" : "Amount (₹)"}
+                  </Text>
+                  {renderInput("discountValue", form.discountType === "percent" ? "20" : "200", {
+                    keyboardType: "decimal-pad",
+                    maxLength: 8,
+                  })}
+                </View>
+                {form.discountType === "percent" && (
+                  <View style={styles.inlineField}>
+                    <Text style={styles.fieldLabel}>Up to (₹)</Text>
+                    {renderInput("maxDiscount", "No cap", { keyboardType: "decimal-pad", maxLength: 8 })}
+                  </View>
+                )}
+              </View>
+              <Text style={styles.fieldLabel}>Minimum spend (₹, before fees)</Text>
+              {renderInput("minSpend", "None", { keyboardType: "decimal-pad", maxLength: 8 })}
+
+              <View style={styles.inlineFields}>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>Total uses</Text>
+                  {renderInput("usageLimit", "Unlimited", { keyboardType: "number-pad", maxLength: 7 })}
+                </View>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>Uses per customer</Text>
+                  {renderInput("perUserLimit", "Unlimited", { keyboardType: "number-pad", maxLength: 7 })}
+                </View>
+              </View>
+              <View style={styles.inlineFields}>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>First day</Text>
+                  {renderInput("startDate", "YYYY-MM-DD", { maxLength: 10 })}
+                </View>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>Last day</Text>
+                  {renderInput("endDate", "YYYY-MM-DD", { maxLength: 10 })}
+                </View>
+              </View>
+              <Text style={styles.hint}>Leave dates empty to start now and never expire.</Text>
+
+              <View style={styles.switchRow}>
+                <Text style={styles.fieldLabel}>Active</Text>
+                <Switch
+                  value={form.isActive}
+                  onValueChange={(isActive) => updateForm({ isActive })}
+                  trackColor={{ false: colors.border, true: colors.primary + "60" }}
+                  thumbColor={form.isActive ? colors.primary : "#f4f3f4"}
+                  ios_backgroundColor={colors.border}
+                />
+              </View>
+
+              {form.id && (
+                <TouchableOpacity
+                  style={styles.removeButton}
+                  onPress={() => handleDelete(form)}
+                >
+                  <Ionicons name="trash-outline" size={16} color={colors.error} />
+                  <Text style={styles.removeButtonText}>Delete coupon</Text>
+                </TouchableOpacity>
+              )}
+            </ScrollView>
+
+            <TouchableOpacity
+              style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+              onPress={handleSubmit}
+              disabled={submitting}
+              activeOpacity={0.85}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.submitButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        {onBack && (
+          <TouchableOpacity onPress={onBack} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+        )}
+        <Text style={styles.title}>Coupons</Text>
+      </View>
+      <Text style={styles.description}>
+        Promo codes for your venue. The discount comes off the booking price before fees and taxes.
+      </Text>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : error ? (
+        <TouchableOpacity style={styles.centered} onPress={loadCoupons}>
+          <Ionicons name="refresh" size={24} color={colors.textSecondary} />
+          <Text style={styles.emptyText}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      ) : (
+        <ScrollView contentContainerStyle={styles.list}>
+          {coupons.length === 0 && (
+            <Text style={styles.emptyText}>No coupons yet.</Text>
+          )}
+          {coupons.map((c) => (
+            <TouchableOpacity
+              key={c.id}
+              style={styles.card}
+              onPress={() => setForm({ id: c.id, ...couponFormFromCoupon(c) })}
+              activeOpacity={0.8}
+            >
+              <View style={styles.cardText}>
+                <Text style={[styles.cardTitle, !c.isActive && styles.cardTitleInactive]}>
+                  {c.code}
+                </Text>
+                <Text style={styles.cardSubtitle}>{describeCoupon(c)}</Text>
+                <Text style={styles.cardSubtitle}>{describeCouponUsage(c)}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={18} color={colors.textSecondary} />
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={() => setForm({ id: null, ...couponFormFromCoupon(null) })}
+          >
+            <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+            <Text style={styles.addButtonText}>Add coupon</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+
+      {renderForm()}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 10,
+    paddingTop: 20,
+    paddingBottom: 4,
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  title: {
+    fontSize: 28,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  description: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    paddingHorizontal: 10,
+    marginBottom: 12,
+  },
+  centered: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginVertical: 12,
+    textAlign: "center",
+  },
+  list: {
+    paddingHorizontal: 10,
+    paddingBottom: 100,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+    marginBottom: 10,
+  },
+  cardText: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 4,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 8,
+  },
+  addButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: colors.cardBackground,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 20,
+    maxHeight: "85%",
+  },
+  modalHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    backgroundColor: colors.background,
+  },
+  inlineFields: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  inlineField: {
+    flex: 1,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  typeRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  typeChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  typeChipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "15",
+  },
+  typeChipText: {
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  typeChipTextActive: {
+    color: colors.primary,
+    fontFamily: fonts.semiBold,
+  },
+  cardTitleInactive: {
+    color: colors.textSecondary,
+  },
+  hint: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  removeButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 8,
+    marginTop: 12,
+  },
+  removeButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.error,
+    marginLeft: 6,
+  },
+  submitButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+    marginTop: 16,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+  },
+});
+
+export default CouponsScreen;
@@ -0,0 +1,390 @@
+/**
+ * Earnings Statement Component
+ * The vendor's payout ledger: what is still owed (pending), what has been paid out (settled) and
+ * what went back to customers as refunds, plus how each booking's money was split. A refund made
+ * after a booking was paid out shows as a refund adjustment, taken off the next payout.
+ * Loads GET /api/vendor/earnings itself; shown inside PaymentInfoScreen.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import { StyleSheet, View, Text, TouchableOpacity, ActivityIndicator } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+
+const PAGE_SIZE = 20;
+
+const formatAmount = (n) =>
+  `₹${Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })
+    : "";
+
+const STATUS_LABELS = { pending: "Pending", settled: "Settled", refunded: "Refunded" };
+
+const EarningsStatement = () => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [summary, setSummary] = React.useState(null);
+  const [entries, setEntries] = React.useState([]);
+  const [hasMore, setHasMore] = React.useState(false);
+  const [loading, setLoading] = React.useState(true);
+  const [loadingMore, setLoadingMore] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const [expandedId, setExpandedId] = React.useState(null);
+
+  const loadEarnings = React.useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await api.getVendorEarnings({ limit: PAGE_SIZE, offset: 0 });
+      setSummary(data?.summary || null);
+      setEntries(data?.entries || []);
+      setHasMore(!!data?.hasMore);
+    } catch (err) {
+      console.error("Error loading earnings:", err);
+      setError(err.message || "Failed to load earnings");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEarnings();
+  }, [loadEarnings]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await api.getVendorEarnings({ limit: PAGE_SIZE, offset: entries.length });
+      setEntries((prev) => [...prev, ...(data?.entries || [])]);
+      setHasMore(!!data?.hasMore);
+    } catch (err) {
+      console.error("Error loading more earnings:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const statusStyle = (status) =>
+    status === "settled"
+      ? styles.statusSettled
+      : status === "refunded"
+        ? styles.statusRefunded
+        : styles.statusPending;
+
+  const renderBreakdownRow = (label, amount, negative = false) => (
+    <View style={styles.breakdownRow}>
+      <Text style={styles.breakdownLabel}>{label}</Text>
+      <Text style={styles.breakdownValue}>
+        {negative ? "−" : ""}
+        {formatAmount(amount)}
+      </Text>
+    </View>
+  );
+
+  const renderAdjustment = (entry, expanded) => (
+    <TouchableOpacity
+      key={entry.id}
+      style={styles.entry}
+      onPress={() => setExpandedId(expanded ? null : entry.id)}
+      activeOpacity={0.8}
+    >
+      <View style={styles.entryHeader}>
+        <View style={styles.entryText}>
+          <Text style={styles.entryTitle} numberOfLines={1}>
+            Refund adjustment{entry.bookingRef ? ` · ${entry.bookingRef}` : ""}
+          </Text>
+          <Text style={styles.entrySubtitle}>
+            {entry.status === "settled"
+              ? `Deducted from a payout${entry.settledAt ? ` on ${formatDate(entry.settledAt)}` : ""}`
+              : "Deducted from your next payout"}
+          </Text>
+        </View>
+        <View style={styles.entryRight}>
+          <Text style={styles.entryAmount}>−{formatAmount(Math.abs(entry.netPayable))}</Text>
+          <Text style={[styles.statusBadge, statusStyle(entry.status)]}>
+            {STATUS_LABELS[entry.status] || entry.status}
+          </Text>
+        </View>
+      </View>
+      {expanded && (
+        <View style={styles.breakdown}>
+          <Text style={styles.breakdownNote}>
+            Your share of a refund the customer got after this booking was paid out to you.
+          </Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderEntry = (entry) => {
+    const expanded = expandedId === entry.id;
+    if (entry.entryType === "refund_adjustment") return renderAdjustment(entry, expanded);
+    return (
+      <TouchableOpacity
+        key={entry.id}
+        style={styles.entry}
+        onPress={() => setExpandedId(expanded ? null : entry.id)}
+        activeOpacity={0.8}
+      >
+        <View style={styles.entryHeader}>
+          <View style={styles.entryText}>
+            <Text style={styles.entryTitle} numberOfLines={1}>
+              {entry.bookingRef || "Booking"}
+            </Text>
+            <Text style={styles.entrySubtitle}>
+              Paid {formatDate(entry.capturedAt)}
+              {entry.bookingDateTime ? ` · for ${formatDate(entry.bookingDateTime)}` : ""}
+            </Text>
+          </View>
+          <View style={styles.entryRight}>
+            <Text style={styles.entryAmount}>{formatAmount(entry.netPayable)}</Text>
+            <Text style={[styles.statusBadge, statusStyle(entry.status)]}>
+              {STATUS_LABELS[entry.status] || entry.status}
+            </Text>
+          </View>
+        </View>
+        {expanded && (
+          <View style={styles.breakdown}>
+            {renderBreakdownRow("Booking amount", entry.bookingAmount)}
+            {entry.discountFundedBy === "vendor" &&
+              renderBreakdownRow("Your coupon discount", entry.discountAmount, true)}
+            {renderBreakdownRow(`Commission (${entry.commissionPercent}%)`, entry.commissionAmount, true)}
+            {entry.vendorRefundAmount > 0 &&
+              renderBreakdownRow("Refunded to customer", entry.vendorRefundAmount, true)}
+            {renderBreakdownRow("Your earnings", entry.vendorEarnings - entry.vendorRefundAmount)}
+            <Text style={styles.breakdownNote}>
+              Customer paid {formatAmount(entry.grossAmount)} including fees and taxes.
+              {entry.settlementRef ? ` Payout ref: ${entry.settlementRef}.` : ""}
+            </Text>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.sectionCard}>
+      <View style={styles.iconRow}>
+        <View style={styles.iconCircle}>
+          <Ionicons name="wallet-outline" size={28} color={colors.primary} />
+        </View>
+        <View style={styles.iconTextContainer}>
+          <Text style={styles.sectionTitle}>Earnings</Text>
+          <Text style={styles.sectionSubtitle}>
+            Your share of each booking after the platform commission.
+          </Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />
+      ) : error ? (
+        <TouchableOpacity style={styles.retry} onPress={loadEarnings}>
+          <Ionicons name="refresh" size={18} color={colors.textSecondary} />
+          <Text style={styles.emptyText}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      ) : (
+        <>
+          <View style={styles.summaryRow}>
+            {[
+              { key: "pending", label: "Pending" },
+              { key: "settled", label: "Settled" },
+              { key: "refunded", label: "Refunded" },
+            ].map(({ key, label }) => (
+              <View key={key} style={styles.summaryTile}>
+                <Text style={styles.summaryLabel}>{label}</Text>
+                <Text style={styles.summaryValue} numberOfLines={1} adjustsFontSizeToFit>
+                  {formatAmount(summary?.[key])}
+                </Text>
+              </View>
+            ))}
+          </View>
+
+          {entries.length === 0 ? (
+            <Text style={styles.emptyText}>No paid bookings yet.</Text>
+          ) : (
+            entries.map(renderEntry)
+          )}
+          {hasMore && (
+            <TouchableOpacity style={styles.moreButton} onPress={loadMore} disabled={loadingMore}>
+              {loadingMore ? (
+                <ActivityIndicator size="small" color={colors.primary} />
+              ) : (
+                <Text style={styles.moreButtonText}>Show more</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  sectionCard: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  iconRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  iconCircle: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: colors.badgeBackground,
+    justifyContent: "center",
+    alignItems: "center",
+    marginRight: 12,
+  },
+  iconTextContainer: {
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 2,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  retry: {
+    alignItems: "center",
+    paddingVertical: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginVertical: 12,
+  },
+  summaryRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginBottom: 12,
+  },
+  summaryTile: {
+    flex: 1,
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  summaryValue: {
+    fontSize: 15,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginTop: 4,
+  },
+  entry: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  entryHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  entryText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  entryTitle: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  entrySubtitle: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  entryRight: {
+    alignItems: "flex-end",
+  },
+  entryAmount: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  statusBadge: {
+    fontSize: 11,
+    fontFamily: fonts.semiBold,
+    marginTop: 2,
+  },
+  statusPending: {
+    color: colors.warning,
+  },
+  statusSettled: {
+    color: colors.success,
+  },
+  statusRefunded: {
+    color: colors.textSecondary,
+  },
+  breakdown: {
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: colors.background,
+  },
+  breakdownRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 3,
+  },
+  breakdownLabel: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  breakdownValue: {
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.text,
+  },
+  breakdownNote: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 6,
+  },
+  moreButton: {
+    alignItems: "center",
+    paddingVertical: 12,
+  },
+  moreButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
+});
+
+export default EarningsStatement;
@@ -0,0 +1,334 @@
+/**
+ * Forgot Password Screen
+ * Requests a reset code for the vendor's business email, then sets a new password with it
+ * (POST /api/vendor/auth/password-reset/*). onDone(email) runs after the reset; every device,
+ * including any still signed in, has been signed out by then.
+ */
+
+import React, { useState, useMemo } from "react";
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { rules, collectErrors } from "../utils/validate";
+
+const ForgotPasswordScreen = ({ initialEmail = "", onBack, onDone }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [step, setStep] = useState("request"); // "request" or "confirm"
+  const [formData, setFormData] = useState({
+    email: initialEmail,
+    code: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const sendCode = async () => {
+    const errs = collectErrors({ email: rules.email(formData.email) });
+    setErrors(errs);
+    if (Object.keys(errs).length > 0) return;
+
+    setIsSubmitting(true);
+    try {
+      await api.requestPasswordReset(formData.email.trim().toLowerCase());
+      setStep("confirm");
+    } catch (error) {
+      Alert.alert("Error", error?.data?.error || error.message || "Could not send the code.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const resetPassword = async () => {
+    const errs = collectErrors({
+      code: rules.emailCode(formData.code),
+      newPassword: rules.password(formData.newPassword),
+      confirmPassword: rules.confirmPassword(formData.confirmPassword, formData.newPassword),
+    });
+    setErrors(errs);
+    if (Object.keys(errs).length > 0) return;
+
+    setIsSubmitting(true);
+    try {
+      const email = formData.email.trim().toLowerCase();
+      await api.confirmPasswordReset(email, formData.code.trim(), formData.newPassword);
+      Alert.alert(
+        "Password reset",
+        "Your password was changed and you were signed out on all devices. Sign in with your new password.",
+        [{ text: "OK", onPress: () => onDone && onDone(email) }]
+      );
+    } catch (error) {
+      const msg = error?.data?.error || error.message || "Failed to reset password";
+      if (error.status === 400) {
+        setErrors({ code: msg });
+      } else {
+        Alert.alert("Error", msg);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderField = (field, label, placeholder, icon, inputProps = {}) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <View
+        style={[
+          styles.inputWrapper,
+          errors[field] && styles.inputWrapperError,
+          formData[field] && !errors[field] && styles.inputWrapperFilled,
+        ]}
+      >
+        <Ionicons
+          name={icon}
+          size={20}
+          color={errors[field] ? colors.error : colors.textSecondary}
+          style={styles.inputIcon}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder={placeholder}
+          placeholderTextColor={colors.textSecondary}
+          value={formData[field]}
+          onChangeText={(text) => handleInputChange(field, text)}
+          autoCapitalize="none"
+          autoCorrect={false}
+          {...inputProps}
+        />
+        {inputProps.secureTextEntry !== undefined && (
+          <TouchableOpacity
+            onPress={() => setShowPassword(!showPassword)}
+            style={styles.eyeIcon}
+          >
+            <Ionicons
+              name={showPassword ? "eye-outline" : "eye-off-outline"}
+              size={20}
+              color={colors.textSecondary}
+            />
+          </TouchableOpacity>
+        )}
+      </View>
+      {errors[field] && <Text style={styles.errorText}>{errors[field]}</Text>}
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.backButton} onPress={onBack}>
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Reset Password</Text>
+        </View>
+
+        {step === "request" ? (
+          <>
+            <Text style={styles.subtitle}>
+              Enter your business email and we'll send you a code to reset your
+              password.
+            </Text>
+            {renderField("email", "Business Email", "Enter your business email address", "mail-outline", {
+              keyboardType: "email-address",
+            })}
+          </>
+        ) : (
+          <>
+            <Text style={styles.subtitle}>
+              If an account exists for {formData.email.trim()}, we've emailed it
+              a 6-digit code. Enter it below with your new password.
+            </Text>
+            {renderField("code", "Code", "6-digit code", "keypad-outline", {
+              keyboardType: "number-pad",
+              maxLength: 6,
+            })}
+            {renderField("newPassword", "New Password", "Enter a new password", "lock-closed-outline", {
+              secureTextEntry: !showPassword,
+            })}
+            {renderField("confirmPassword", "Confirm New Password", "Re-enter the new password", "lock-closed-outline", {
+              secureTextEntry: !showPassword,
+            })}
+          </>
+        )}
+
+        <TouchableOpacity
+          style={[styles.submitButton, isSubmitting && styles.submitButtonDisabled]}
+          onPress={step === "request" ? sendCode : resetPassword}
+          disabled={isSubmitting}
+          activeOpacity={0.8}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={styles.submitButtonText}>
+              {step === "request" ? "Send Code" : "Reset Password"}
+            </Text>
+          )}
+        </TouchableOpacity>
+
+        {step === "confirm" && (
+          <View style={styles.footer}>
+            <Text style={styles.footerText}>Didn't get the email? </Text>
+            <TouchableOpacity onPress={sendCode} disabled={isSubmitting}>
+              <Text style={styles.footerLink}>Send a new code</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 10,
+    paddingTop: Platform.OS === "ios" ? 50 : 30,
+    paddingBottom: 30,
+  },
+  header: {
+    alignItems: "center",
+    marginBottom: 16,
+    position: "relative",
+  },
+  backButton: {
+    position: "absolute",
+    left: 0,
+    top: 0,
+    width: 40,
+    height: 40,
+    justifyContent: "center",
+    alignItems: "center",
+    zIndex: 10,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  subtitle: {
+    fontSize: 15,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    lineHeight: 21,
+    marginBottom: 28,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  inputWrapperFilled: {
+    borderColor: colors.primary,
+  },
+  inputWrapperError: {
+    borderColor: colors.error,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    padding: 0,
+  },
+  eyeIcon: {
+    marginLeft: 8,
+    padding: 4,
+  },
+  errorText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 4,
+    marginLeft: 4,
+  },
+  submitButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 18,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+  },
+  footer: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  footerText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  footerLink: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
+});
+
+export default ForgotPasswordScreen;
@@ -0,0 +1,84 @@
+/**
+ * IFSC Bank Info Component
+ * Bank and branch of the IFSC code being typed, looked up once the code is well-formed, so the
+ * vendor can spot a wrong code before saving. Unknown banks are a warning, not an error: the
+ * bundled dataset does not list every bank.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import { StyleSheet, View, Text, ActivityIndicator } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import { isIfscFormat } from "../utils/payoutDetails";
+
+const LOOKUP_DELAY_MS = 400;
+
+const IfscBankInfo = ({ code }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const ifsc = (code || "").trim().toUpperCase();
+  const [info, setInfo] = React.useState(null);
+  const [loading, setLoading] = React.useState(false);
+
+  useEffect(() => {
+    setInfo(null);
+    if (!isIfscFormat(ifsc)) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await api.lookupIfsc(ifsc);
+        if (!cancelled) setInfo(data);
+      } catch (err) {
+        console.error("Error looking up IFSC:", err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, LOOKUP_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [ifsc]);
+
+  if (loading) {
+    return <ActivityIndicator size="small" color={colors.primary} style={styles.row} />;
+  }
+  if (!info) return null;
+
+  const place = [info.branch, info.city].filter(Boolean).join(", ");
+  return (
+    <View style={styles.row}>
+      <Ionicons
+        name={info.bank ? "checkmark-circle" : "alert-circle-outline"}
+        size={16}
+        color={info.bank ? colors.success : colors.warning}
+      />
+      <Text style={styles.text} numberOfLines={2}>
+        {info.bank
+          ? `${info.bank}${place ? ` · ${place}` : ""}`
+          : "Bank not recognised. Please double-check the IFSC code."}
+      </Text>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+    marginLeft: 4,
+  },
+  text: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginLeft: 6,
+  },
+});
+
+export default IfscBankInfo;
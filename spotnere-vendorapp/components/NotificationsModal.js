@@ -42,6 +42,8 @@ const NotificationsModal = ({
         return "star-outline";
       case "cancellation":
         return "close-circle-outline";
+      case "verification":
+        return "shield-checkmark-outline";
       case "info":
         return "information-circle-outline";
       default:
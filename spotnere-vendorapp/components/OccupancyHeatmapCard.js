@@ -0,0 +1,392 @@
+/**
+ * Occupancy Heatmap Card
+ * Weekday × hour utilisation grid for the vendor dashboard, with peak and dead hours.
+ * Loads /api/vendor/analytics/occupancy for the selected range.
+ */
+
+import React, { useMemo } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+
+const OCCUPANCY_RANGES = [
+  { label: "Past week", value: "week", subtitle: "Last 7 days" },
+  { label: "Past month", value: "month", subtitle: "Last 4 weeks" },
+  { label: "Past quarter", value: "quarter", subtitle: "Last 13 weeks" },
+];
+
+// Show every Nth hour label so the header row stays readable on narrow screens
+const COLUMN_LABEL_EVERY = 3;
+
+const percent = (ratio) => `${Math.round((ratio || 0) * 100)}%`;
+
+/** Primary colour with opacity scaled by utilisation (0–1). */
+const heatColor = (base, value) => {
+  const alpha = Math.round((0.12 + 0.88 * value) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return base + alpha;
+};
+
+const OccupancyHeatmapCard = ({ placeId }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [range, setRange] = React.useState("month");
+  const [data, setData] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  const load = React.useCallback(async (r) => {
+    setData(null);
+    setError(null);
+    try {
+      setData(await api.getOccupancyAnalytics(r));
+    } catch (err) {
+      console.error("Error loading occupancy analytics:", err);
+      setError(err.message || "Failed to load occupancy");
+    }
+  }, []);
+
+  React.useEffect(() => {
+    if (placeId) load(range);
+  }, [placeId, range, load]);
+
+  const subtitle = OCCUPANCY_RANGES.find((r) => r.value === range)?.subtitle;
+
+  const renderHeatmap = () => {
+    const { rows, columns, values } = data.heatmap;
+    if (columns.length === 0) {
+      return (
+        <Text style={styles.emptyText}>
+          Set your opening hours to see occupancy.
+        </Text>
+      );
+    }
+    return (
+      <View>
+        <View style={styles.heatRow}>
+          <View style={styles.rowLabelCell} />
+          {columns.map((col, i) => (
+            <View key={col} style={styles.columnLabelCell}>
+              {i % COLUMN_LABEL_EVERY === 0 ? (
+                <Text style={styles.columnLabel} numberOfLines={1}>
+                  {col.replace(" ", "")}
+                </Text>
+              ) : null}
+            </View>
+          ))}
+        </View>
+        {rows.map((row, r) => (
+          <View key={row} style={styles.heatRow}>
+            <View style={styles.rowLabelCell}>
+              <Text style={styles.rowLabel}>{row}</Text>
+            </View>
+            {values[r].map((value, c) => (
+              <View
+                key={c}
+                style={[
+                  styles.heatCell,
+                  value == null
+                    ? styles.heatCellClosed
+                    : { backgroundColor: heatColor(colors.primary, value) },
+                ]}
+              />
+            ))}
+          </View>
+        ))}
+        <View style={styles.legendRow}>
+          <View style={[styles.legendSwatch, styles.heatCellClosed]} />
+          <Text style={styles.legendText}>Closed</Text>
+          <View
+            style={[
+              styles.legendSwatch,
+              { backgroundColor: heatColor(colors.primary, 0) },
+            ]}
+          />
+          <Text style={styles.legendText}>Empty</Text>
+          <View
+            style={[
+              styles.legendSwatch,
+              { backgroundColor: heatColor(colors.primary, 1) },
+            ]}
+          />
+          <Text style={styles.legendText}>Always booked</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderSlotList = (title, icon, tint, slots) => (
+    <View style={styles.slotList}>
+      <View style={styles.slotListHeader}>
+        <Ionicons name={icon} size={14} color={tint} />
+        <Text style={styles.slotListTitle}>{title}</Text>
+      </View>
+      {slots.length === 0 ? (
+        <Text style={styles.slotEmpty}>—</Text>
+      ) : (
+        slots.map((slot) => (
+          <View key={slot.label} style={styles.slotRow}>
+            <Text style={styles.slotLabel}>{slot.label}</Text>
+            <Text style={[styles.slotValue, { color: tint }]}>
+              {percent(slot.utilisation)}
+            </Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.cardTitle}>Occupancy</Text>
+          <Text style={styles.cardSubtitle}>{subtitle}</Text>
+        </View>
+        <View style={styles.headerRight}>
+          <Text style={styles.total}>
+            {data ? percent(data.utilisation) : "—"}
+          </Text>
+          <Text style={styles.cardSubtitle}>
+            {data ? `${data.bookedSlots}/${data.openSlots} hours booked` : ""}
+          </Text>
+        </View>
+      </View>
+
+      {data ? (
+        <>
+          {renderHeatmap()}
+          <View style={styles.slotLists}>
+            {renderSlotList(
+              "Peak hours",
+              "flame-outline",
+              colors.success,
+              data.peakSlots,
+            )}
+            {renderSlotList(
+              "Dead hours",
+              "moon-outline",
+              colors.textSecondary,
+              data.deadSlots,
+            )}
+          </View>
+        </>
+      ) : error ? (
+        <TouchableOpacity
+          style={styles.placeholder}
+          onPress={() => load(range)}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="refresh" size={18} color={colors.textSecondary} />
+          <Text style={styles.placeholderText}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      ) : (
+        <View style={styles.placeholder}>
+          <ActivityIndicator size="small" color={colors.primary} />
+          <Text style={styles.placeholderText}>Loading occupancy…</Text>
+        </View>
+      )}
+
+      <View style={styles.rangeRow}>
+        {OCCUPANCY_RANGES.map((r) => {
+          const active = range === r.value;
+          return (
+            <TouchableOpacity
+              key={r.value}
+              style={[styles.rangeBtn, active && styles.rangeBtnActive]}
+              onPress={() => setRange(r.value)}
+              activeOpacity={0.85}
+            >
+              <Text
+                style={[styles.rangeBtnText, active && styles.rangeBtnTextActive]}
+              >
+                {r.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 18,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: 14,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.06,
+    shadowRadius: 16,
+    elevation: 2,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    marginBottom: 12,
+  },
+  headerRight: { alignItems: "flex-end" },
+  cardTitle: {
+    fontSize: 18,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  total: {
+    fontSize: 18,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginBottom: 2,
+  },
+  heatRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 3,
+  },
+  rowLabelCell: { width: 34 },
+  rowLabel: {
+    fontSize: 10,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  columnLabelCell: {
+    flex: 1,
+    overflow: "visible",
+  },
+  columnLabel: {
+    fontSize: 9,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    width: 32,
+  },
+  heatCell: {
+    flex: 1,
+    height: 18,
+    borderRadius: 4,
+    marginHorizontal: 1.5,
+  },
+  heatCellClosed: {
+    backgroundColor: colors.border + "40",
+  },
+  legendRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 10,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginRight: 12,
+  },
+  emptyText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    paddingVertical: 24,
+  },
+  slotLists: {
+    flexDirection: "row",
+    gap: 12,
+    marginTop: 14,
+  },
+  slotList: {
+    flex: 1,
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 10,
+  },
+  slotListHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  slotListTitle: {
+    fontSize: 12,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginLeft: 6,
+  },
+  slotRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 2,
+  },
+  slotLabel: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.text,
+  },
+  slotValue: {
+    fontSize: 12,
+    fontFamily: fonts.semiBold,
+  },
+  slotEmpty: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  placeholder: {
+    height: 160,
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+  },
+  placeholderText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  rangeRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    gap: 8,
+    marginTop: 14,
+  },
+  rangeBtn: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 12,
+    alignItems: "center",
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  rangeBtnActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  rangeBtnText: {
+    fontSize: 11,
+    fontFamily: fonts.semiBold,
+    color: colors.textSecondary,
+  },
+  rangeBtnTextActive: { color: "#fff" },
+});
+
+export default OccupancyHeatmapCard;
@@ -20,8 +20,9 @@ import { fonts } from "../constants/fonts";
 import { useApp } from "../contexts/AppContext";
 import { api } from "../api/client";
 import { rules, collectErrors } from "../utils/validate";
+import SignedInDevices from "./SignedInDevices";
 
-const PasswordSecurityScreen = ({ onBack }) => {
+const PasswordSecurityScreen = ({ onBack, onLoggedOut }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
   const { user } = useApp();
@@ -61,9 +62,14 @@ const PasswordSecurityScreen = ({ onBack }) => {
 
     setIsSaving(true);
     try {
-      await api.updateVendorPassword(currentPassword, newPassword);
+      const result = await api.updateVendorPassword(currentPassword, newPassword);
 
-      Alert.alert("Success", "Password updated successfully", [
+      const revoked = result?.revokedSessions || 0;
+      const message =
+        revoked > 0
+          ? `Password updated successfully. You were signed out on ${revoked} other device${revoked === 1 ? "" : "s"}.`
+          : "Password updated successfully";
+      Alert.alert("Success", message, [
         {
           text: "OK",
           onPress: () => {
@@ -277,6 +283,8 @@ const PasswordSecurityScreen = ({ onBack }) => {
             )}
           </TouchableOpacity>
         </View>
+
+        <SignedInDevices onLoggedOutEverywhere={onLoggedOut} />
       </ScrollView>
     </View>
   );
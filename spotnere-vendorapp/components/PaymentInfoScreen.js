@@ -1,6 +1,8 @@
 /**
  * Payment Info Screen Component
- * Displays vendor bank/payment details
+ * Displays and edits the vendor's payout details and primary payout method, with the earnings
+ * statement and payout history below. Saved details arrive masked; showing them in full or editing
+ * them asks for the vendor's password first (ReauthModal).
  */
 
 import React, { useMemo } from "react";
@@ -12,12 +14,24 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   TextInput,
+  Alert,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { useApp } from "../contexts/AppContext";
 import { api } from "../api/client";
+import EarningsStatement from "./EarningsStatement";
+import PayoutHistory from "./PayoutHistory";
+import PayoutMethodPicker from "./PayoutMethodPicker";
+import IfscBankInfo from "./IfscBankInfo";
+import ReauthModal from "./ReauthModal";
+import {
+  payoutFormFromProfile,
+  validatePayoutForm,
+  payoutFormToBody,
+  payoutMethodLabel,
+} from "../utils/payoutDetails";
 
 const PaymentInfoScreen = ({ onBack }) => {
   const { colors } = useTheme();
@@ -28,13 +42,12 @@ const PaymentInfoScreen = ({ onBack }) => {
   const [error, setError] = React.useState(null);
   const [isEditing, setIsEditing] = React.useState(false);
   const [isSaving, setIsSaving] = React.useState(false);
-  const [editForm, setEditForm] = React.useState({
-    account_holder_name: "",
-    account_number: "",
-    ifsc_code: "",
-    upi_id: "",
-  });
+  const [editForm, setEditForm] = React.useState(() => payoutFormFromProfile(null));
   const [formErrors, setFormErrors] = React.useState({});
+  // Unmasked details and the password that revealed them, kept until the edit is saved or hidden
+  const [revealed, setRevealed] = React.useState(null);
+  const [reauthPassword, setReauthPassword] = React.useState(null);
+  const [reauthPurpose, setReauthPurpose] = React.useState(null); // "reveal" | "edit"
 
   React.useEffect(() => {
     const loadPaymentInfo = async () => {
@@ -49,12 +62,7 @@ const PaymentInfoScreen = ({ onBack }) => {
 
         const info = (await api.getVendorProfile()) || {};
         setPaymentInfo(info);
-        setEditForm({
-          account_holder_name: info.account_holder_name || "",
-          account_number: info.account_number || "",
-          ifsc_code: info.ifsc_code || "",
-          upi_id: info.upi_id || "",
-        });
+        setEditForm(payoutFormFromProfile(info));
       } catch (err) {
         console.error("Error loading payment info:", err);
         setError(err.message || "Failed to load payment info");
@@ -66,45 +74,60 @@ const PaymentInfoScreen = ({ onBack }) => {
     loadPaymentInfo();
   }, [user?.id]);
 
-  const maskAccountNumber = (value) => {
-    if (!value) return "Not added";
-    const str = String(value);
-    if (str.length <= 4) return str;
-    return `•••• ${str.slice(-4)}`;
-  };
+  const hasSavedDetails = !!(
+    paymentInfo?.account_number ||
+    paymentInfo?.ifsc_code ||
+    paymentInfo?.upi_id
+  );
+  const shownInfo = revealed ? { ...paymentInfo, ...revealed } : paymentInfo;
 
-  const handleInputChange = (field, value) => {
-    setEditForm((prev) => ({ ...prev, [field]: value }));
-    if (formErrors[field]) {
-      setFormErrors((prev) => ({ ...prev, [field]: null }));
-    }
+  const hideDetails = () => {
+    setRevealed(null);
+    setReauthPassword(null);
   };
 
-  const validateForm = () => {
-    const errors = {};
+  const openEditor = (details) => {
+    setEditForm(payoutFormFromProfile({ ...paymentInfo, ...details }));
+    setFormErrors({});
+    setIsEditing(true);
+  };
 
-    if (!editForm.account_holder_name.trim()) {
-      errors.account_holder_name = "Account holder name is required";
+  const handleEditPress = () => {
+    if (hasSavedDetails && !reauthPassword) {
+      setReauthPurpose("edit");
+      return;
     }
+    openEditor(revealed);
+  };
 
-    if (!editForm.account_number.trim()) {
-      errors.account_number = "Account number is required";
-    } else if (!/^\d{6,20}$/.test(editForm.account_number.trim())) {
-      errors.account_number = "Enter a valid account number";
+  const handleRevealPress = () => {
+    if (revealed) {
+      hideDetails();
+      return;
     }
+    setReauthPurpose("reveal");
+  };
 
-    if (!editForm.ifsc_code.trim()) {
-      errors.ifsc_code = "IFSC code is required";
-    } else if (!/^[A-Z]{4}0[A-Z0-9]{6}$/i.test(editForm.ifsc_code.trim())) {
-      errors.ifsc_code = "Enter a valid IFSC code";
+  // Rejections are shown by ReauthModal (wrong password, too many attempts)
+  const handleReauth = async (password) => {
+    const details = await api.revealPayoutDetails(password);
+    setRevealed(details);
+    setReauthPassword(password);
+    if (reauthPurpose === "edit") {
+      openEditor(details);
     }
+    setReauthPurpose(null);
+  };
 
-    if (!editForm.upi_id.trim()) {
-      errors.upi_id = "UPI ID is required";
-    } else if (!/^[\w.\-]{2,}@[a-zA-Z]{2,}$/.test(editForm.upi_id.trim())) {
-      errors.upi_id = "Enter a valid UPI ID (e.g., name@paytm)";
+  const handleInputChange = (field, value) => {
+    setEditForm((prev) => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors((prev) => ({ ...prev, [field]: null }));
     }
+  };
 
+  const validateForm = () => {
+    const errors = validatePayoutForm(editForm);
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -119,27 +142,20 @@ const PaymentInfoScreen = ({ onBack }) => {
 
     try {
       setIsSaving(true);
-      const updateData = {
-        account_holder_name: editForm.account_holder_name.trim(),
-        account_number: editForm.account_number.trim(),
-        ifsc_code: editForm.ifsc_code.trim().toUpperCase(),
-        upi_id: editForm.upi_id.trim(),
-      };
-
-      const { error: updateError } = await supabase
-        .from("vendors")
-        .update(updateData)
-        .eq("id", user.id);
-
-      if (updateError) {
-        throw updateError;
-      }
+      await api.updateVendorProfile({
+        ...payoutFormToBody(editForm),
+        ...(reauthPassword && { currentPassword: reauthPassword }),
+      });
+      hideDetails();
 
-      setPaymentInfo(updateData);
+      // Reload for the bank name and fund account status the backend worked out
+      const info = (await api.getVendorProfile()) || {};
+      setPaymentInfo(info);
+      setEditForm(payoutFormFromProfile(info));
       setIsEditing(false);
     } catch (err) {
       console.error("Error updating payment info:", err);
-      setError(err.message || "Failed to update payment info");
+      Alert.alert("Error", err.message || "Failed to update payment info");
     } finally {
       setIsSaving(false);
     }
@@ -147,35 +163,24 @@ const PaymentInfoScreen = ({ onBack }) => {
 
   const handleCancelEdit = () => {
     if (paymentInfo) {
-      setEditForm({
-        account_holder_name: paymentInfo.account_holder_name || "",
-        account_number: paymentInfo.account_number || "",
-        ifsc_code: paymentInfo.ifsc_code || "",
-        upi_id: paymentInfo.upi_id || "",
-      });
+      setEditForm(payoutFormFromProfile(paymentInfo));
     }
     setFormErrors({});
     setIsEditing(false);
+    hideDetails();
   };
 
-  const renderField = (label, value, options = {}) => {
-    const display =
-      options.type === "account"
-        ? maskAccountNumber(value)
-        : value || "Not added";
-
-    return (
-      <View style={styles.fieldRow}>
-        <Text style={styles.fieldLabel}>{label}</Text>
-        <Text
-          style={[styles.fieldValue, !value && styles.fieldValuePlaceholder]}
-          numberOfLines={1}
-        >
-          {display}
-        </Text>
-      </View>
-    );
-  };
+  const renderField = (label, value) => (
+    <View style={styles.fieldRow}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <Text
+        style={[styles.fieldValue, !value && styles.fieldValuePlaceholder]}
+        numberOfLines={1}
+      >
+        {value || "Not added"}
+      </Text>
+    </View>
+  );
 
   if (loading) {
     return (
@@ -237,9 +242,21 @@ const PaymentInfoScreen = ({ onBack }) => {
           <Text style={styles.title}>Payment Info</Text>
         </View>
         <View style={styles.headerRight}>
+          {!isEditing && hasSavedDetails && (
+            <TouchableOpacity
+              onPress={handleRevealPress}
+              style={[styles.editButton, styles.revealButton]}
+            >
+              <Ionicons
+                name={revealed ? "eye-off-outline" : "eye-outline"}
+                size={20}
+                color={colors.primary}
+              />
+            </TouchableOpacity>
+          )}
           {!isEditing && (
             <TouchableOpacity
-              onPress={() => setIsEditing(true)}
+              onPress={handleEditPress}
               style={styles.editButton}
             >
               <Ionicons
@@ -266,7 +283,7 @@ const PaymentInfoScreen = ({ onBack }) => {
             <View style={styles.iconTextContainer}>
               <Text style={styles.sectionTitle}>Bank Details</Text>
               <Text style={styles.sectionSubtitle}>
-                These details are used to send your payouts.
+                Payouts go to your primary payout method.
               </Text>
             </View>
           </View>
@@ -274,6 +291,17 @@ const PaymentInfoScreen = ({ onBack }) => {
           <View style={styles.fieldsContainer}>
             {isEditing ? (
               <>
+                <View style={styles.inputGroup}>
+                  <Text style={styles.fieldLabel}>Primary Payout Method</Text>
+                  <PayoutMethodPicker
+                    value={editForm.payout_method}
+                    onChange={(method) => {
+                      handleInputChange("payout_method", method);
+                      setFormErrors({});
+                    }}
+                  />
+                </View>
+
                 <View style={styles.inputGroup}>
                   <Text style={styles.fieldLabel}>Account Holder Name</Text>
                   <TextInput
@@ -309,6 +337,7 @@ const PaymentInfoScreen = ({ onBack }) => {
                     placeholder="Enter account number"
                     placeholderTextColor={colors.textSecondary}
                     keyboardType="numeric"
+                    maxLength={18}
                   />
                   {formErrors.account_number && (
                     <Text style={styles.errorText}>
@@ -328,13 +357,15 @@ const PaymentInfoScreen = ({ onBack }) => {
                     onChangeText={(text) =>
                       handleInputChange("ifsc_code", text.toUpperCase())
                     }
-                    placeholder="Enter IFSC code (e.g., ABCD0123456)"
+                    placeholder="Enter IFSC code (e.g., HDFC0001234)"
                     placeholderTextColor={colors.textSecondary}
                     autoCapitalize="characters"
+                    maxLength={11}
                   />
                   {formErrors.ifsc_code && (
                     <Text style={styles.errorText}>{formErrors.ifsc_code}</Text>
                   )}
+                  <IfscBankInfo code={editForm.ifsc_code} />
                 </View>
 
                 <View style={styles.inputGroup}>
@@ -358,15 +389,26 @@ const PaymentInfoScreen = ({ onBack }) => {
               </>
             ) : (
               <>
+                {renderField(
+                  "Payout Method",
+                  paymentInfo?.payout_method && payoutMethodLabel(paymentInfo.payout_method),
+                )}
+                {paymentInfo?.payout_method && !paymentInfo?.fund_account_linked && (
+                  <Text style={styles.warningText}>
+                    Not linked for payouts yet. Check the details and save them again.
+                  </Text>
+                )}
                 {renderField(
                   "Account Holder Name",
-                  paymentInfo?.account_holder_name,
+                  shownInfo?.account_holder_name,
                 )}
-                {renderField("Account Number", paymentInfo?.account_number, {
-                  type: "account",
-                })}
-                {renderField("IFSC Code", paymentInfo?.ifsc_code)}
-                {renderField("UPI ID", paymentInfo?.upi_id)}
+                {renderField("Account Number", shownInfo?.account_number)}
+                {renderField("IFSC Code", shownInfo?.ifsc_code)}
+                {renderField(
+                  "Bank",
+                  [paymentInfo?.bank_name, paymentInfo?.bank_branch].filter(Boolean).join(" · "),
+                )}
+                {renderField("UPI ID", shownInfo?.upi_id)}
               </>
             )}
           </View>
@@ -394,7 +436,21 @@ const PaymentInfoScreen = ({ onBack }) => {
             </View>
           )}
         </View>
+
+        <EarningsStatement />
+        <PayoutHistory />
       </ScrollView>
+
+      <ReauthModal
+        visible={!!reauthPurpose}
+        message={
+          reauthPurpose === "edit"
+            ? "Enter your password to change your payout details."
+            : "Enter your password to see your full payout details."
+        }
+        onCancel={() => setReauthPurpose(null)}
+        onConfirm={handleReauth}
+      />
     </View>
   );
 };
@@ -423,7 +479,12 @@ const createStyles = (colors) => StyleSheet.create({
   },
   headerRight: {
     minWidth: 40,
-    alignItems: "flex-end",
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+  },
+  revealButton: {
+    marginRight: 8,
   },
   editButton: {
     padding: 6,
@@ -462,6 +523,12 @@ const createStyles = (colors) => StyleSheet.create({
     marginTop: 16,
     textAlign: "center",
   },
+  warningText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.warning,
+    marginBottom: 8,
+  },
   sectionCard: {
     backgroundColor: colors.cardBackground,
     borderRadius: 12,
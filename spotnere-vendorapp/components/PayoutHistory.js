@@ -0,0 +1,269 @@
+/**
+ * Payout History Component
+ * Transfers of the vendor's earnings to its payout account, newest first, and how often they
+ * happen. Loads GET /api/vendor/payouts itself; shown inside PaymentInfoScreen.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import { StyleSheet, View, Text, TouchableOpacity, ActivityIndicator } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+
+const PAGE_SIZE = 20;
+
+const formatAmount = (n) =>
+  `₹${Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })
+    : "";
+
+const STATUS_LABELS = {
+  created: "Scheduled",
+  queued: "Queued",
+  pending: "In progress",
+  processing: "In progress",
+  processed: "Paid",
+  failed: "Failed",
+  rejected: "Failed",
+  cancelled: "Cancelled",
+  reversed: "Reversed",
+};
+
+/** Line under the title describing the payout cycle, or why payouts are not happening. */
+function describeSchedule(schedule) {
+  if (!schedule) return "";
+  if (!schedule.enabled) return "Automatic payouts are not enabled yet.";
+  if (!schedule.fundAccountLinked) return "Add your payout details in Bank Details to receive payouts.";
+  const every = schedule.cycleDays === 1 ? "every day" : `every ${schedule.cycleDays} days`;
+  return `Paid ${every} once ${formatAmount(schedule.minAmount)} or more is due.`;
+}
+
+const PayoutHistory = () => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [schedule, setSchedule] = React.useState(null);
+  const [payouts, setPayouts] = React.useState([]);
+  const [hasMore, setHasMore] = React.useState(false);
+  const [loading, setLoading] = React.useState(true);
+  const [loadingMore, setLoadingMore] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const loadPayouts = React.useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await api.getVendorPayouts({ limit: PAGE_SIZE, offset: 0 });
+      setSchedule(data?.schedule || null);
+      setPayouts(data?.payouts || []);
+      setHasMore(!!data?.hasMore);
+    } catch (err) {
+      console.error("Error loading payouts:", err);
+      setError(err.message || "Failed to load payouts");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPayouts();
+  }, [loadPayouts]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await api.getVendorPayouts({ limit: PAGE_SIZE, offset: payouts.length });
+      setPayouts((prev) => [...prev, ...(data?.payouts || [])]);
+      setHasMore(!!data?.hasMore);
+    } catch (err) {
+      console.error("Error loading more payouts:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const statusStyle = (status) =>
+    status === "processed"
+      ? styles.statusPaid
+      : ["failed", "rejected", "cancelled", "reversed"].includes(status)
+        ? styles.statusFailed
+        : styles.statusOpen;
+
+  const renderPayout = (payout) => (
+    <View key={payout.id} style={styles.entry}>
+      <View style={styles.entryText}>
+        <Text style={styles.entryTitle}>
+          {formatDate(payout.processedAt || payout.createdAt)}
+        </Text>
+        <Text style={styles.entrySubtitle} numberOfLines={2}>
+          {payout.entryCount} booking{payout.entryCount === 1 ? "" : "s"}
+          {payout.utr ? ` · UTR ${payout.utr}` : ""}
+          {payout.failureReason ? ` · ${payout.failureReason}` : ""}
+        </Text>
+      </View>
+      <View style={styles.entryRight}>
+        <Text style={styles.entryAmount}>{formatAmount(payout.amount)}</Text>
+        <Text style={[styles.statusBadge, statusStyle(payout.status)]}>
+          {STATUS_LABELS[payout.status] || payout.status}
+        </Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.sectionCard}>
+      <View style={styles.iconRow}>
+        <View style={styles.iconCircle}>
+          <Ionicons name="swap-horizontal-outline" size={28} color={colors.primary} />
+        </View>
+        <View style={styles.iconTextContainer}>
+          <Text style={styles.sectionTitle}>Payouts</Text>
+          <Text style={styles.sectionSubtitle}>
+            {loading ? "Transfers of your earnings to you." : describeSchedule(schedule)}
+          </Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />
+      ) : error ? (
+        <TouchableOpacity style={styles.retry} onPress={loadPayouts}>
+          <Ionicons name="refresh" size={18} color={colors.textSecondary} />
+          <Text style={styles.emptyText}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      ) : (
+        <>
+          {payouts.length === 0 ? (
+            <Text style={styles.emptyText}>No payouts yet.</Text>
+          ) : (
+            payouts.map(renderPayout)
+          )}
+          {hasMore && (
+            <TouchableOpacity style={styles.moreButton} onPress={loadMore} disabled={loadingMore}>
+              {loadingMore ? (
+                <ActivityIndicator size="small" color={colors.primary} />
+              ) : (
+                <Text style={styles.moreButtonText}>Show more</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  sectionCard: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 16,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  iconRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  iconCircle: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: colors.badgeBackground,
+    justifyContent: "center",
+    alignItems: "center",
+    marginRight: 12,
+  },
+  iconTextContainer: {
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 2,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  retry: {
+    alignItems: "center",
+    paddingVertical: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginVertical: 12,
+  },
+  entry: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  entryText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  entryTitle: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  entrySubtitle: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  entryRight: {
+    alignItems: "flex-end",
+  },
+  entryAmount: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  statusBadge: {
+    fontSize: 11,
+    fontFamily: fonts.semiBold,
+    marginTop: 2,
+  },
+  statusOpen: {
+    color: colors.warning,
+  },
+  statusPaid: {
+    color: colors.success,
+  },
+  statusFailed: {
+    color: colors.error,
+  },
+  moreButton: {
+    alignItems: "center",
+    paddingVertical: 12,
+  },
+  moreButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
+});
+
+export default PayoutHistory;
@@ -0,0 +1,76 @@
+/**
+ * Payout Method Picker Component
+ * Choice of the primary payout method (UPI or bank account). Controlled: `value` is the method,
+ * `onChange` receives the chosen one.
+ */
+
+import React, { useMemo } from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { PAYOUT_METHOD_OPTIONS } from "../utils/payoutDetails";
+
+const PayoutMethodPicker = ({ value, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  return (
+    <View style={styles.row}>
+      {PAYOUT_METHOD_OPTIONS.map((opt) => {
+        const active = value === opt.value;
+        return (
+          <TouchableOpacity
+            key={opt.value}
+            style={[styles.option, active && styles.optionActive]}
+            onPress={() => onChange(opt.value)}
+            activeOpacity={0.8}
+          >
+            <Ionicons
+              name={opt.icon}
+              size={18}
+              color={active ? colors.primary : colors.textSecondary}
+            />
+            <Text style={[styles.optionText, active && styles.optionTextActive]}>
+              {opt.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  option: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+  optionActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "15",
+  },
+  optionText: {
+    fontSize: 14,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+    marginLeft: 8,
+  },
+  optionTextActive: {
+    color: colors.primary,
+    fontFamily: fonts.semiBold,
+  },
+});
+
+export default PayoutMethodPicker;
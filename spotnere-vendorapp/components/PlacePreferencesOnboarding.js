@@ -21,6 +21,11 @@ import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { api } from "../api/client";
 import { useApp } from "../contexts/AppContext";
+import CancellationPolicyEditor from "./CancellationPolicyEditor";
+import {
+  DEFAULT_CANCELLATION_POLICY,
+  validateCustomTiers,
+} from "../utils/cancellationPolicy";
 
 const PREFERENCE_OPTIONS = [
   {
@@ -56,6 +61,9 @@ const PlacePreferencesOnboarding = ({ onComplete }) => {
     allow_multiple_hours_booking: false,
     charge_per_guest: false,
   });
+  const [cancellationPolicy, setCancellationPolicy] = useState(
+    DEFAULT_CANCELLATION_POLICY
+  );
 
   const togglePreference = (key) => {
     setPreferences((prev) => ({ ...prev, [key]: !prev[key] }));
@@ -67,12 +75,21 @@ const PlacePreferencesOnboarding = ({ onComplete }) => {
       return;
     }
 
+    if (cancellationPolicy.preset === "custom") {
+      const policyError = validateCustomTiers(cancellationPolicy.tiers);
+      if (policyError) {
+        Alert.alert("Cancellation Policy", policyError);
+        return;
+      }
+    }
+
     setIsSubmitting(true);
     try {
       await api.updateVendorPlace({
         allow_overlapping_bookings: preferences.allow_overlapping_bookings,
         allow_multiple_hours_booking: preferences.allow_multiple_hours_booking,
         charge_per_guest: preferences.charge_per_guest,
+        cancellation_policy: cancellationPolicy,
       });
       await loadPlace(true);
       onComplete?.();
@@ -164,6 +181,29 @@ const PlacePreferencesOnboarding = ({ onComplete }) => {
           ))}
         </View>
 
+        {/* Cancellation Policy */}
+        <View style={styles.policyCard}>
+          <View style={styles.policyHeader}>
+            <View style={styles.optionIconContainer}>
+              <Ionicons
+                name="return-down-back-outline"
+                size={24}
+                color={colors.textSecondary}
+              />
+            </View>
+            <View style={styles.policyHeaderText}>
+              <Text style={styles.optionTitle}>Cancellation Policy</Text>
+              <Text style={styles.optionDescription}>
+                How much guests get back when they cancel a paid booking.
+              </Text>
+            </View>
+          </View>
+          <CancellationPolicyEditor
+            value={cancellationPolicy}
+            onChange={setCancellationPolicy}
+          />
+        </View>
+
         {/* Submit Button */}
         <TouchableOpacity
           style={[
@@ -286,6 +326,23 @@ const createStyles = (colors) => StyleSheet.create({
     color: colors.textSecondary,
     lineHeight: 19,
   },
+  policyCard: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: colors.border,
+    padding: 20,
+    marginBottom: 24,
+  },
+  policyHeader: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    marginBottom: 16,
+  },
+  policyHeaderText: {
+    flex: 1,
+    marginLeft: 12,
+  },
   submitButton: {
     flexDirection: "row",
     alignItems: "center",
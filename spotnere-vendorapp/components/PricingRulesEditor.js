@@ -0,0 +1,282 @@
+/**
+ * Pricing Rules Editor Component
+ * Peak hours, weekends, seasons and group sizes priced differently from the base price.
+ * Controlled: `value` is the rules list from pricingRulesFromPlace, `onChange` receives the next
+ * list. Rules are checked top to bottom and the first match prices a slot, so order matters.
+ */
+
+import React, { useMemo } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import {
+  MAX_PRICING_RULES,
+  NEW_PRICING_RULE,
+  WEEKDAY_SHORT,
+  validatePricingRules,
+} from "../utils/pricingRules";
+
+const PricingRulesEditor = ({ value, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const rules = value || [];
+  const error = validatePricingRules(rules);
+
+  const updateRule = (index, changes) =>
+    onChange(rules.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+
+  const toggleDay = (index, day) => {
+    const days = rules[index].days;
+    updateRule(index, {
+      days: days.includes(day)
+        ? days.filter((d) => d !== day)
+        : [...days, day].sort((a, b) => a - b),
+    });
+  };
+
+  const moveUp = (index) => {
+    if (index === 0) return;
+    const next = [...rules];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    onChange(next);
+  };
+
+  const addRule = () => {
+    if (rules.length >= MAX_PRICING_RULES) return;
+    onChange([...rules, { ...NEW_PRICING_RULE, days: [] }]);
+  };
+
+  const removeRule = (index) => onChange(rules.filter((_, i) => i !== index));
+
+  const renderInput = (index, field, placeholder, props = {}) => (
+    <TextInput
+      style={styles.input}
+      value={rules[index][field]}
+      onChangeText={(t) => updateRule(index, { [field]: t.trim() })}
+      placeholder={placeholder}
+      placeholderTextColor={colors.textSecondary}
+      {...props}
+    />
+  );
+
+  return (
+    <View>
+      {rules.map((rule, index) => (
+        <View key={index} style={styles.card}>
+          <View style={styles.cardHeader}>
+            <TextInput
+              style={styles.labelInput}
+              value={rule.label}
+              onChangeText={(label) => updateRule(index, { label })}
+              placeholder={`Rule ${index + 1}, e.g. Weekend evenings`}
+              placeholderTextColor={colors.textSecondary}
+              maxLength={60}
+            />
+            {index > 0 && (
+              <TouchableOpacity onPress={() => moveUp(index)} style={styles.iconButton}>
+                <Ionicons name="arrow-up" size={18} color={colors.textSecondary} />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => removeRule(index)} style={styles.iconButton}>
+              <Ionicons name="trash-outline" size={18} color={colors.error} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.row}>
+            {WEEKDAY_SHORT.map((letter, day) => {
+              const active = rule.days.includes(day);
+              return (
+                <TouchableOpacity
+                  key={day}
+                  style={[styles.dayChip, active && styles.dayChipActive]}
+                  onPress={() => toggleDay(index, day)}
+                >
+                  <Text style={[styles.dayChipText, active && styles.dayChipTextActive]}>
+                    {letter}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.hint}>
+            {rule.days.length === 0 ? "Every day" : "Only on the selected days"}
+          </Text>
+
+          <View style={styles.row}>
+            <Text style={styles.fieldLabel}>Time</Text>
+            {renderInput(index, "start", "HH:mm", { maxLength: 5 })}
+            <Text style={styles.dash}>–</Text>
+            {renderInput(index, "end", "HH:mm", { maxLength: 5 })}
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.fieldLabel}>Dates</Text>
+            {renderInput(index, "from", "YYYY-MM-DD", { maxLength: 10 })}
+            <Text style={styles.dash}>–</Text>
+            {renderInput(index, "to", "YYYY-MM-DD", { maxLength: 10 })}
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.fieldLabel}>Guests</Text>
+            {renderInput(index, "min_guests", "min", { keyboardType: "number-pad", maxLength: 4 })}
+            <Text style={styles.dash}>–</Text>
+            {renderInput(index, "max_guests", "max", { keyboardType: "number-pad", maxLength: 4 })}
+          </View>
+
+          <View style={styles.row}>
+            <Text style={styles.fieldLabel}>Price</Text>
+            {[
+              { type: "multiplier", label: "× base" },
+              { type: "fixed", label: "Fixed ₹/hr" },
+            ].map((opt) => {
+              const active = rule.type === opt.type;
+              return (
+                <TouchableOpacity
+                  key={opt.type}
+                  style={[styles.typeChip, active && styles.dayChipActive]}
+                  onPress={() => updateRule(index, { type: opt.type })}
+                >
+                  <Text style={[styles.dayChipText, active && styles.dayChipTextActive]}>
+                    {opt.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+            {renderInput(index, "value", rule.type === "fixed" ? "500" : "1.5", {
+              keyboardType: "decimal-pad",
+              maxLength: 8,
+            })}
+          </View>
+        </View>
+      ))}
+
+      {rules.length < MAX_PRICING_RULES && (
+        <TouchableOpacity style={styles.addButton} onPress={addRule}>
+          <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+          <Text style={styles.addButtonText}>Add pricing rule</Text>
+        </TouchableOpacity>
+      )}
+      {rules.length > 1 && (
+        <Text style={styles.hint}>The first rule that matches a time slot sets its price.</Text>
+      )}
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 10,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  labelInput: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    paddingVertical: 4,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  fieldLabel: {
+    width: 52,
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  input: {
+    minWidth: 60,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 6,
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.text,
+    backgroundColor: colors.background,
+    textAlign: "center",
+  },
+  dash: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginHorizontal: 6,
+  },
+  dayChip: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: "center",
+    justifyContent: "center",
+    marginRight: 6,
+  },
+  typeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: 6,
+  },
+  dayChipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "15",
+  },
+  dayChipText: {
+    fontSize: 12,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  dayChipTextActive: {
+    color: colors.primary,
+    fontFamily: fonts.semiBold,
+  },
+  hint: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  addButtonText: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  errorText: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 4,
+  },
+});
+
+export default PricingRulesEditor;
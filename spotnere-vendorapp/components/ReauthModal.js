@@ -0,0 +1,193 @@
+/**
+ * Reauth Modal Component
+ * Asks for the vendor's password again before sensitive details are shown or changed.
+ * `onConfirm(password)` does the protected call; if it rejects, its message is shown and the
+ * modal stays open.
+ */
+
+import React, { useMemo } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+
+const ReauthModal = ({ visible, message, onCancel, onConfirm }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [password, setPassword] = React.useState("");
+  const [error, setError] = React.useState(null);
+  const [submitting, setSubmitting] = React.useState(false);
+
+  React.useEffect(() => {
+    if (!visible) {
+      setPassword("");
+      setError(null);
+    }
+  }, [visible]);
+
+  const handleConfirm = async () => {
+    if (!password) {
+      setError("Password is required");
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onConfirm(password);
+    } catch (err) {
+      setError(err.message || "Could not verify your password");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.card}>
+          <View style={styles.iconCircle}>
+            <Ionicons name="lock-closed-outline" size={24} color={colors.primary} />
+          </View>
+          <Text style={styles.title}>Confirm it's you</Text>
+          <Text style={styles.message}>
+            {message || "Enter your password to continue."}
+          </Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={password}
+            onChangeText={(text) => {
+              setPassword(text);
+              if (error) setError(null);
+            }}
+            placeholder="Password"
+            placeholderTextColor={colors.textSecondary}
+            secureTextEntry
+            autoCapitalize="none"
+            autoFocus
+            onSubmitEditing={handleConfirm}
+          />
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          <View style={styles.actionsRow}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.cancelButton]}
+              onPress={onCancel}
+              disabled={submitting}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.confirmButton]}
+              onPress={handleConfirm}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.confirmButtonText}>Continue</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    paddingHorizontal: 24,
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 16,
+    padding: 20,
+    alignItems: "center",
+  },
+  iconCircle: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.badgeBackground,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 6,
+  },
+  message: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginBottom: 16,
+  },
+  input: {
+    alignSelf: "stretch",
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 15,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    backgroundColor: colors.background,
+  },
+  inputError: {
+    borderColor: colors.error,
+  },
+  errorText: {
+    alignSelf: "stretch",
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 6,
+  },
+  actionsRow: {
+    flexDirection: "row",
+    alignSelf: "stretch",
+    gap: 12,
+    marginTop: 20,
+  },
+  actionButton: {
+    flex: 1,
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  cancelButton: {
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  confirmButton: {
+    backgroundColor: colors.primary,
+  },
+  confirmButtonText: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+  },
+});
+
+export default ReauthModal;
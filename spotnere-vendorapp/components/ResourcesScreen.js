@@ -0,0 +1,545 @@
+/**
+ * Resources Screen Component
+ * Courts, lanes or rooms that customers book one at a time. Each resource can have its own price,
+ * weekly hours and guests per slot; anything left empty uses the venue's settings.
+ */
+
+import React, { useMemo, useEffect } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert,
+  ActivityIndicator,
+  Switch,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import {
+  RESOURCE_WEEKDAYS,
+  resourceFormFromResource,
+  validateResourceForm,
+  resourceFormToBody,
+} from "../utils/resources";
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+const ResourcesScreen = ({ onBack }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+
+  const [resources, setResources] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  // { id: string | null, ...resourceFormFromResource() } while the add / edit sheet is open
+  const [form, setForm] = React.useState(null);
+  const [submitting, setSubmitting] = React.useState(false);
+
+  const loadResources = React.useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await api.getVendorResources();
+      setResources(data?.resources || []);
+    } catch (err) {
+      console.error("Error loading resources:", err);
+      setError(err.message || "Failed to load resources");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadResources();
+  }, [loadResources]);
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+
+  const updateDay = (day, patch) =>
+    setForm((prev) => ({
+      ...prev,
+      hours: { ...prev.hours, [day]: patch && { ...prev.hours[day], ...patch } },
+    }));
+
+  const handleSubmit = async () => {
+    const problem = validateResourceForm(form);
+    if (problem) {
+      Alert.alert("Check the details", problem);
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const body = resourceFormToBody(form);
+      if (form.id) {
+        await api.updateVendorResource(form.id, body);
+      } else {
+        await api.createVendorResource(body);
+      }
+      setForm(null);
+      await loadResources();
+    } catch (err) {
+      Alert.alert("Couldn't save", err.message || "Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemove = (resource) => {
+    Alert.alert(
+      `Remove ${resource.name}?`,
+      "Customers will no longer be able to book it. Past bookings keep its name.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await api.archiveVendorResource(resource.id);
+              setForm(null);
+              await loadResources();
+            } catch (err) {
+              Alert.alert("Couldn't remove", err.message || "Please try again.");
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const describeResource = (r) =>
+    [
+      `₹${r.price}${r.ownPrice == null ? " (venue price)" : ""}`,
+      r.guestCapacity != null ? `${r.guestCapacity} guests per slot` : null,
+      r.hours ? "Own hours" : "Venue hours",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  const renderForm = () => {
+    if (!form) return null;
+    return (
+      <Modal visible transparent animationType="slide" onRequestClose={() => setForm(null)}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+        >
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{form.id ? "Edit resource" : "Add resource"}</Text>
+              <TouchableOpacity onPress={() => setForm(null)}>
+                <Ionicons name="close" size={24} color={colors.text} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={styles.fieldLabel}>Name</Text>
+              <TextInput
+                style={styles.input}
+                value={form.name}
+                onChangeText={(name) => updateForm({ name })}
+                placeholder="Court 1"
+                placeholderTextColor={colors.textSecondary}
+                maxLength={100}
+              />
+              <Text style={styles.fieldLabel}>Description (optional)</Text>
+              <TextInput
+                style={[styles.input, styles.inputMultiline]}
+                value={form.description}
+                onChangeText={(description) => updateForm({ description })}
+                placeholder="Indoor, wooden floor…"
+                placeholderTextColor={colors.textSecondary}
+                multiline
+              />
+              <View style={styles.inlineFields}>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>Price (₹)</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.price}
+                    onChangeText={(price) => updateForm({ price: price.replace(/[^\d.]/g, "") })}
+                    placeholder="Venue price"
+                    placeholderTextColor={colors.textSecondary}
+                    keyboardType="decimal-pad"
+                  />
+                </View>
+                <View style={styles.inlineField}>
+                  <Text style={styles.fieldLabel}>Guests per slot</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.guestCapacity}
+                    onChangeText={(guestCapacity) =>
+                      updateForm({ guestCapacity: guestCapacity.replace(/\D/g, "") })
+                    }
+                    placeholder="Venue setting"
+                    placeholderTextColor={colors.textSecondary}
+                    keyboardType="number-pad"
+                    maxLength={5}
+                  />
+                </View>
+              </View>
+
+              <View style={styles.switchRow}>
+                <Text style={styles.fieldLabel}>Own opening hours</Text>
+                <Switch
+                  value={form.ownHours}
+                  onValueChange={(ownHours) => updateForm({ ownHours })}
+                  trackColor={{ false: colors.border, true: colors.primary + "60" }}
+                  thumbColor={form.ownHours ? colors.primary : "#f4f3f4"}
+                  ios_backgroundColor={colors.border}
+                />
+              </View>
+              {form.ownHours ? (
+                RESOURCE_WEEKDAYS.map((day) => {
+                  const h = form.hours[day];
+                  return (
+                    <View key={day} style={styles.dayRow}>
+                      <Text style={styles.dayLabel}>{capitalize(day).slice(0, 3)}</Text>
+                      {h ? (
+                        <>
+                          <TextInput
+                            style={styles.timeInput}
+                            value={h.open}
+                            onChangeText={(t) => updateDay(day, { open: t.trim() })}
+                            placeholder="HH:mm"
+                            placeholderTextColor={colors.textSecondary}
+                            maxLength={5}
+                          />
+                          <Text style={styles.dayDash}>–</Text>
+                          <TextInput
+                            style={styles.timeInput}
+                            value={h.close}
+                            onChangeText={(t) => updateDay(day, { close: t.trim() })}
+                            placeholder="HH:mm"
+                            placeholderTextColor={colors.textSecondary}
+                            maxLength={5}
+                          />
+                        </>
+                      ) : (
+                        <Text style={styles.dayClosed}>Closed</Text>
+                      )}
+                      <Switch
+                        style={styles.daySwitch}
+                        value={!!h}
+                        onValueChange={(open) =>
+                          updateDay(day, open ? { open: "09:00", close: "22:00" } : null)
+                        }
+                        trackColor={{ false: colors.border, true: colors.primary + "60" }}
+                        thumbColor={h ? colors.primary : "#f4f3f4"}
+                        ios_backgroundColor={colors.border}
+                      />
+                    </View>
+                  );
+                })
+              ) : (
+                <Text style={styles.hint}>Open whenever the venue is open.</Text>
+              )}
+
+              {form.id && (
+                <TouchableOpacity
+                  style={styles.removeButton}
+                  onPress={() => handleRemove(form)}
+                >
+                  <Ionicons name="trash-outline" size={16} color={colors.error} />
+                  <Text style={styles.removeButtonText}>Remove resource</Text>
+                </TouchableOpacity>
+              )}
+            </ScrollView>
+
+            <TouchableOpacity
+              style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+              onPress={handleSubmit}
+              disabled={submitting}
+              activeOpacity={0.85}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.submitButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        {onBack && (
+          <TouchableOpacity onPress={onBack} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color={colors.text} />
+          </TouchableOpacity>
+        )}
+        <Text style={styles.title}>Resources</Text>
+      </View>
+      <Text style={styles.description}>
+        Courts, lanes or rooms booked separately. Customers pick one or let us assign the
+        cheapest free one.
+      </Text>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : error ? (
+        <TouchableOpacity style={styles.centered} onPress={loadResources}>
+          <Ionicons name="refresh" size={24} color={colors.textSecondary} />
+          <Text style={styles.emptyText}>{error} · Tap to retry</Text>
+        </TouchableOpacity>
+      ) : (
+        <ScrollView contentContainerStyle={styles.list}>
+          {resources.length === 0 && (
+            <Text style={styles.emptyText}>
+              No resources yet. The whole venue is booked as one.
+            </Text>
+          )}
+          {resources.map((r) => (
+            <TouchableOpacity
+              key={r.id}
+              style={styles.card}
+              onPress={() => setForm({ id: r.id, ...resourceFormFromResource(r) })}
+              activeOpacity={0.8}
+            >
+              <View style={styles.cardText}>
+                <Text style={styles.cardTitle}>{r.name}</Text>
+                <Text style={styles.cardSubtitle}>{describeResource(r)}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={18} color={colors.textSecondary} />
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={() => setForm({ id: null, ...resourceFormFromResource(null) })}
+          >
+            <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+            <Text style={styles.addButtonText}>Add resource</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+
+      {renderForm()}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 10,
+    paddingTop: 20,
+    paddingBottom: 4,
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  title: {
+    fontSize: 28,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  description: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    paddingHorizontal: 10,
+    marginBottom: 12,
+  },
+  centered: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginVertical: 12,
+    textAlign: "center",
+  },
+  list: {
+    paddingHorizontal: 10,
+    paddingBottom: 100,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+    marginBottom: 10,
+  },
+  cardText: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 4,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 8,
+  },
+  addButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: colors.cardBackground,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 20,
+    maxHeight: "85%",
+  },
+  modalHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontFamily: fonts.bold,
+    color: colors.text,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    backgroundColor: colors.background,
+  },
+  inputMultiline: {
+    minHeight: 60,
+    textAlignVertical: "top",
+  },
+  inlineFields: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  inlineField: {
+    flex: 1,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  hint: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  dayRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  dayLabel: {
+    width: 44,
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.text,
+  },
+  timeInput: {
+    width: 64,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 6,
+    fontSize: 14,
+    fontFamily: fonts.medium,
+    color: colors.text,
+    backgroundColor: colors.background,
+    textAlign: "center",
+  },
+  dayDash: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginHorizontal: 6,
+  },
+  dayClosed: {
+    fontSize: 13,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  daySwitch: {
+    marginLeft: "auto",
+  },
+  removeButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 8,
+    marginTop: 12,
+  },
+  removeButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.error,
+    marginLeft: 6,
+  },
+  submitButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+    marginTop: 16,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+  },
+});
+
+export default ResourcesScreen;
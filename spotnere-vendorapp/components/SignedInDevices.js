@@ -0,0 +1,304 @@
+/**
+ * Signed-In Devices Component
+ * Lists the devices signed in to this vendor account (GET /api/vendor/sessions), signs out a single
+ * device, or logs out everywhere. Shown inside PasswordSecurityScreen; `reloadKey` reloads the
+ * list (e.g. after a password change signed the other devices out).
+ */
+
+import React, { useMemo, useState, useEffect, useCallback } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { useApp } from "../contexts/AppContext";
+import { api } from "../api/client";
+import { clearPushToken } from "../utils/pushNotifications";
+
+const PLATFORM_LABELS = { ios: "iOS", android: "Android", web: "Web" };
+
+const formatLastActive = (iso) => {
+  if (!iso) return "";
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 2) return "Active now";
+  if (minutes < 60) return `Active ${minutes} min ago`;
+  if (minutes < 24 * 60) return `Active ${Math.floor(minutes / 60)} h ago`;
+  return `Active ${new Date(iso).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  })}`;
+};
+
+const describeSession = (session) =>
+  [
+    PLATFORM_LABELS[session.platform] || session.platform,
+    session.app === "user" ? "Customer app" : null,
+    formatLastActive(session.lastActiveAt),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const SignedInDevices = ({ reloadKey, onLoggedOutEverywhere }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const { user } = useApp();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+  const [isLoggingOutAll, setIsLoggingOutAll] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const { sessions: list } = await api.getSessions();
+      setSessions(list || []);
+    } catch (error) {
+      console.error("Error loading sessions:", error);
+      setLoadError(error.message || "Could not load your devices");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions, reloadKey]);
+
+  const handleRevoke = (session) => {
+    Alert.alert(
+      "Sign out device",
+      `Sign out ${session.deviceName || "this device"}? It will need your password to sign in again.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Sign out",
+          style: "destructive",
+          onPress: async () => {
+            setRevokingId(session.id);
+            try {
+              await api.revokeSession(session.id);
+              setSessions((prev) => prev.filter((s) => s.id !== session.id));
+            } catch (error) {
+              console.error("Error revoking session:", error);
+              Alert.alert("Error", error.message || "Could not sign out that device.");
+            } finally {
+              setRevokingId(null);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const handleLogoutEverywhere = () => {
+    Alert.alert(
+      "Log out everywhere",
+      "This signs you out on every device, including this one.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Log out everywhere",
+          style: "destructive",
+          onPress: async () => {
+            setIsLoggingOutAll(true);
+            try {
+              // Stop pushes to this vendor's devices while the session still works
+              if (user?.id) await clearPushToken(user.id);
+              await api.logoutAllSessions();
+              if (onLoggedOutEverywhere) {
+                await onLoggedOutEverywhere();
+              }
+            } catch (error) {
+              console.error("Error logging out everywhere:", error);
+              Alert.alert("Error", error.message || "Could not log out everywhere.");
+              setIsLoggingOutAll(false);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const renderSession = (session, index) => (
+    <View key={session.id}>
+      {index > 0 && <View style={styles.divider} />}
+      <View style={styles.sessionRow}>
+        <Ionicons
+          name={session.platform === "web" ? "desktop-outline" : "phone-portrait-outline"}
+          size={22}
+          color={colors.textSecondary}
+        />
+        <View style={styles.sessionInfo}>
+          <Text style={styles.sessionName} numberOfLines={1}>
+            {session.deviceName || "Unknown device"}
+          </Text>
+          <Text style={styles.sessionMeta} numberOfLines={1}>
+            {describeSession(session)}
+          </Text>
+        </View>
+        {session.current ? (
+          <View style={styles.currentBadge}>
+            <Text style={styles.currentBadgeText}>This device</Text>
+          </View>
+        ) : (
+          <TouchableOpacity
+            onPress={() => handleRevoke(session)}
+            disabled={!!revokingId || isLoggingOutAll}
+            style={styles.revokeButton}
+          >
+            {revokingId === session.id ? (
+              <ActivityIndicator size="small" color={colors.error} />
+            ) : (
+              <Text style={styles.revokeButtonText}>Sign out</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Signed-in Devices</Text>
+      <View style={styles.sectionCard}>
+        {isLoading ? (
+          <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />
+        ) : loadError ? (
+          <TouchableOpacity onPress={loadSessions} style={styles.messageRow}>
+            <Text style={styles.messageText}>{loadError}. Tap to retry.</Text>
+          </TouchableOpacity>
+        ) : sessions.length === 0 ? (
+          <View style={styles.messageRow}>
+            <Text style={styles.messageText}>No signed-in devices</Text>
+          </View>
+        ) : (
+          sessions.map(renderSession)
+        )}
+      </View>
+
+      <TouchableOpacity
+        onPress={handleLogoutEverywhere}
+        style={styles.logoutAllButton}
+        disabled={isLoggingOutAll}
+      >
+        {isLoggingOutAll ? (
+          <ActivityIndicator size="small" color={colors.error} />
+        ) : (
+          <>
+            <Ionicons name="log-out-outline" size={20} color={colors.error} />
+            <Text style={styles.logoutAllButtonText}>Log Out Everywhere</Text>
+          </>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  sectionCard: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    padding: 10,
+    overflow: "hidden",
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  loader: {
+    paddingVertical: 16,
+  },
+  messageRow: {
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  messageText: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
+  sessionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  sessionInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  sessionName: {
+    fontSize: 15,
+    fontFamily: fonts.medium,
+    color: colors.text,
+  },
+  sessionMeta: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  currentBadge: {
+    backgroundColor: colors.badgeBackground,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  currentBadgeText: {
+    fontSize: 12,
+    fontFamily: fonts.medium,
+    color: colors.primary,
+  },
+  revokeButton: {
+    minWidth: 64,
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  revokeButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.error,
+  },
+  divider: {
+    height: 1,
+    backgroundColor: colors.border,
+    marginVertical: 8,
+  },
+  logoutAllButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 12,
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.error,
+    backgroundColor: colors.surface,
+  },
+  logoutAllButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: colors.error,
+    marginLeft: 8,
+  },
+});
+
+export default SignedInDevices;
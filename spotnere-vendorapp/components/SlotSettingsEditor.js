@@ -0,0 +1,136 @@
+/**
+ * Slot Settings Editor Component
+ * Slot length, minimum / maximum booking length and buffer between bookings.
+ * Controlled: `value` is { slot_minutes, min_duration_minutes, max_duration_minutes, buffer_minutes },
+ * `onChange` receives the next settings. The maximum only applies when `allowMultiple` is on.
+ */
+
+import React, { useMemo } from "react";
+import { StyleSheet, View, Text, ScrollView, TouchableOpacity } from "react-native";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import {
+  BUFFER_OPTIONS,
+  SLOT_LENGTH_OPTIONS,
+  durationOptions,
+  formatMinutes,
+} from "../utils/slotSettings";
+
+const SlotSettingsEditor = ({ value, onChange, allowMultiple }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const slot = value.slot_minutes;
+  const minDuration = value.min_duration_minutes ?? slot;
+  const lengths = durationOptions(slot);
+
+  const selectSlot = (slotMinutes) => {
+    // Keep limits that still fit the new grid; reset the rest to their defaults
+    const fits = (m) => (m != null && m % slotMinutes === 0 ? m : null);
+    onChange({
+      ...value,
+      slot_minutes: slotMinutes,
+      min_duration_minutes: fits(value.min_duration_minutes),
+      max_duration_minutes: fits(value.max_duration_minutes),
+    });
+  };
+
+  const selectMin = (mins) => {
+    const max = value.max_duration_minutes;
+    onChange({
+      ...value,
+      min_duration_minutes: mins === slot ? null : mins,
+      max_duration_minutes: max != null && max < mins ? mins : max,
+    });
+  };
+
+  const renderChips = (options, selected, onSelect, label) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+      <View style={styles.chipRow}>
+        {options.map((option) => {
+          const active = option === selected;
+          return (
+            <TouchableOpacity
+              key={String(option)}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => onSelect(option)}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                {label(option)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </ScrollView>
+  );
+
+  return (
+    <View>
+      <Text style={styles.fieldLabel}>Slot length</Text>
+      {renderChips(SLOT_LENGTH_OPTIONS, slot, selectSlot, formatMinutes)}
+
+      <Text style={styles.fieldLabel}>
+        {allowMultiple ? "Minimum booking" : "Booking length"}
+      </Text>
+      {renderChips(lengths, minDuration, selectMin, formatMinutes)}
+
+      {allowMultiple && (
+        <>
+          <Text style={styles.fieldLabel}>Maximum booking</Text>
+          {renderChips(
+            [null, ...lengths.filter((m) => m >= minDuration)],
+            value.max_duration_minutes,
+            (max_duration_minutes) => onChange({ ...value, max_duration_minutes }),
+            (m) => (m == null ? "No limit" : formatMinutes(m)),
+          )}
+        </>
+      )}
+
+      <Text style={styles.fieldLabel}>Buffer between bookings</Text>
+      {renderChips(
+        BUFFER_OPTIONS,
+        value.buffer_minutes,
+        (buffer_minutes) => onChange({ ...value, buffer_minutes }),
+        (m) => (m === 0 ? "None" : formatMinutes(m)),
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  fieldLabel: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+  chipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "15",
+  },
+  chipText: {
+    fontSize: 13,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+  chipTextActive: {
+    color: colors.primary,
+    fontFamily: fonts.semiBold,
+  },
+});
+
+export default SlotSettingsEditor;
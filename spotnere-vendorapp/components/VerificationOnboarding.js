@@ -0,0 +1,486 @@
+/**
+ * Verification Onboarding Component
+ * Page to upload the place's business documents (GST certificate, PAN card, proof of ownership or
+ * lease) and submit them for review. Shows the review status and, after a rejection, the reasons
+ * and which documents to upload again. Shown after the other onboarding steps while the place is
+ * DRAFT or REJECTED, and from the verification banner on HomeScreen.
+ */
+
+import React, { useState, useMemo, useEffect, useCallback } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as ImagePicker from "expo-image-picker";
+import { useTheme } from "../contexts/ThemeContext";
+import { fonts } from "../constants/fonts";
+import { api } from "../api/client";
+import {
+  verificationStatusLabel,
+  verificationStatusMessage,
+  verificationStatusColor,
+  verificationStatusIcon,
+  needsVerificationAction,
+} from "../utils/verification";
+
+const formatUploadedAt = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      })
+    : "";
+
+const VerificationOnboarding = ({ onComplete }) => {
+  const { colors } = useTheme();
+  const styles = useMemo(() => createStyles(colors), [colors]);
+  const [verification, setVerification] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [uploadingType, setUploadingType] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadVerification = useCallback(async () => {
+    try {
+      setVerification(await api.getVerification());
+    } catch (error) {
+      console.error("Error loading verification status:", error);
+      Alert.alert("Error", error.message || "Could not load verification status.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadVerification();
+  }, [loadVerification]);
+
+  const status = verification?.status;
+  const canEdit = needsVerificationAction(status);
+  const statusColor = verificationStatusColor(status, colors);
+
+  const handleUpload = async (doc) => {
+    const { status: permission } =
+      await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permission !== "granted") {
+      Alert.alert(
+        "Permission required",
+        "Please allow access to your photo library to upload a photo or scan of the document.",
+      );
+      return;
+    }
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ["images"],
+      quality: 0.8,
+      base64: true,
+    });
+    if (result.canceled || !result.assets?.[0]?.base64) return;
+
+    setUploadingType(doc.type);
+    try {
+      setVerification(
+        await api.uploadVerificationDocument(doc.type, result.assets[0].base64),
+      );
+    } catch (error) {
+      console.error("Document upload error:", error);
+      Alert.alert(
+        "Upload failed",
+        error.message || `Could not upload your ${doc.label}. Please try again.`,
+      );
+    } finally {
+      setUploadingType(null);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      setVerification(await api.submitVerification());
+    } catch (error) {
+      console.error("Verification submit error:", error);
+      Alert.alert("Error", error.message || "Failed to submit. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderDocument = (doc) => {
+    const flagged = doc.status === "rejected";
+    const isUploading = uploadingType === doc.type;
+    const iconName = flagged
+      ? "alert-circle"
+      : doc.uploaded
+        ? "checkmark-circle"
+        : "ellipse-outline";
+    const iconColor = flagged
+      ? colors.error
+      : doc.uploaded
+        ? colors.success
+        : colors.textSecondary;
+
+    return (
+      <View
+        key={doc.type}
+        style={[styles.documentCard, flagged && styles.documentCardFlagged]}
+      >
+        <Ionicons name={iconName} size={22} color={iconColor} />
+        <View style={styles.documentInfo}>
+          <Text style={styles.documentLabel}>{doc.label}</Text>
+          <Text style={styles.documentMeta}>
+            {flagged
+              ? "Please upload again"
+              : doc.uploaded
+                ? `Uploaded ${formatUploadedAt(doc.uploadedAt)}`
+                : "Not uploaded"}
+          </Text>
+          {flagged && doc.rejectionReason ? (
+            <Text style={styles.documentReason}>{doc.rejectionReason}</Text>
+          ) : null}
+        </View>
+        {canEdit && (
+          <TouchableOpacity
+            style={styles.uploadButton}
+            onPress={() => handleUpload(doc)}
+            disabled={!!uploadingType || isSubmitting}
+            activeOpacity={0.8}
+          >
+            {isUploading ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : (
+              <Text style={styles.uploadButtonText}>
+                {doc.uploaded ? "Replace" : "Upload"}
+              </Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={[styles.container, styles.loadingContainer]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <View style={styles.iconContainer}>
+            <Ionicons
+              name={verificationStatusIcon(status)}
+              size={48}
+              color={colors.primary}
+            />
+          </View>
+          <Text style={styles.title}>Verify Your Place</Text>
+          <Text style={styles.subtitle}>{verificationStatusMessage(status)}</Text>
+        </View>
+
+        {/* Status */}
+        {verification && (
+          <View style={styles.statusRow}>
+            <View style={[styles.statusBadge, { borderColor: statusColor }]}>
+              <View style={[styles.statusDot, { backgroundColor: statusColor }]} />
+              <Text style={[styles.statusText, { color: statusColor }]}>
+                {verificationStatusLabel(status)}
+              </Text>
+            </View>
+          </View>
+        )}
+
+        {/* Rejection feedback */}
+        {status === "REJECTED" && verification.rejectionReasons.length > 0 && (
+          <View style={styles.feedbackCard}>
+            <Text style={styles.feedbackTitle}>What to fix</Text>
+            {verification.rejectionReasons.map((reason, i) => (
+              <View key={i} style={styles.feedbackRow}>
+                <Text style={styles.feedbackBullet}>•</Text>
+                <Text style={styles.feedbackText}>{reason}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Documents */}
+        <View style={styles.documentsContainer}>
+          <Text style={styles.sectionLabel}>Documents</Text>
+          {(verification?.documents || []).map(renderDocument)}
+          {canEdit && (
+            <Text style={styles.hint}>
+              Upload a clear photo or scan of each document. Only the Spotnere team can see them.
+            </Text>
+          )}
+        </View>
+
+        {/* Submit Button */}
+        {canEdit && (
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              (!verification?.canSubmit || isSubmitting || !!uploadingType) &&
+                styles.submitButtonDisabled,
+            ]}
+            onPress={handleSubmit}
+            disabled={!verification?.canSubmit || isSubmitting || !!uploadingType}
+            activeOpacity={0.8}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <>
+                <Text style={styles.submitButtonText}>Submit for Review</Text>
+                <Ionicons name="arrow-forward" size={20} color="#FFFFFF" />
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={onComplete}
+          disabled={isSubmitting}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.secondaryButtonText}>
+            {canEdit ? "I'll do this later" : "Continue to Dashboard"}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  loadingContainer: {
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingTop: Platform.OS === "ios" ? 60 : 40,
+    paddingBottom: 40,
+  },
+  header: {
+    alignItems: "center",
+    marginBottom: 24,
+  },
+  iconContainer: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: colors.cardBackground,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 16,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  title: {
+    fontSize: 24,
+    fontFamily: fonts.bold,
+    color: colors.text,
+    marginBottom: 8,
+    textAlign: "center",
+  },
+  subtitle: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    textAlign: "center",
+    paddingHorizontal: 20,
+    lineHeight: 20,
+  },
+  statusRow: {
+    alignItems: "center",
+    marginBottom: 24,
+  },
+  statusBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  statusText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+  },
+  feedbackCard: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.error,
+    padding: 16,
+    marginBottom: 24,
+  },
+  feedbackTitle: {
+    fontSize: 16,
+    fontFamily: fonts.semiBold,
+    color: colors.error,
+    marginBottom: 8,
+  },
+  feedbackRow: {
+    flexDirection: "row",
+    marginTop: 4,
+  },
+  feedbackBullet: {
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    marginRight: 8,
+  },
+  feedbackText: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: fonts.regular,
+    color: colors.text,
+    lineHeight: 20,
+  },
+  documentsContainer: {
+    marginBottom: 24,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.text,
+    marginBottom: 8,
+  },
+  documentCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  documentCardFlagged: {
+    borderColor: colors.error,
+  },
+  documentInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  documentLabel: {
+    fontSize: 16,
+    fontFamily: fonts.medium,
+    color: colors.text,
+  },
+  documentMeta: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  documentReason: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.error,
+    marginTop: 4,
+  },
+  uploadButton: {
+    minWidth: 72,
+    alignItems: "center",
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginLeft: 12,
+  },
+  uploadButtonText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
+  hint: {
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+    marginTop: 4,
+    lineHeight: 18,
+  },
+  submitButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    paddingVertical: 16,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 18,
+    fontFamily: fonts.semiBold,
+    color: "#FFFFFF",
+    marginRight: 8,
+  },
+  secondaryButton: {
+    alignItems: "center",
+    paddingVertical: 14,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontFamily: fonts.medium,
+    color: colors.textSecondary,
+  },
+});
+
+export default VerificationOnboarding;
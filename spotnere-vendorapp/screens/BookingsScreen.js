@@ -19,6 +19,7 @@ import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { useApp } from "../contexts/AppContext";
 import BookingDetailsScreen from "../components/BookingDetailsScreen";
+import BookingCalendarScreen from "../components/BookingCalendarScreen";
 
 const BookingsScreen = () => {
   const { colors } = useTheme();
@@ -26,6 +27,7 @@ const BookingsScreen = () => {
 
   const { bookingsData, loadBookings } = useApp();
   const [selectedBooking, setSelectedBooking] = React.useState(null);
+  const [showCalendar, setShowCalendar] = React.useState(false);
 
   // Fetch fresh bookings when screen loads (force refresh, update cache)
   useEffect(() => {
@@ -50,14 +52,15 @@ const BookingsScreen = () => {
     });
   }, [bookingsData?.bookings]);
 
-  // Handle Android back button when BookingDetailsScreen is showing
+  // Handle Android back button when BookingDetailsScreen or the calendar is showing
   useEffect(() => {
-    if (Platform.OS !== "android" || !selectedBooking) {
+    if (Platform.OS !== "android" || (!selectedBooking && !showCalendar)) {
       return;
     }
 
     const backAction = () => {
       setSelectedBooking(null);
+      setShowCalendar(false);
       return true; // Prevent default back behavior
     };
 
@@ -69,7 +72,7 @@ const BookingsScreen = () => {
     return () => {
       backHandler.remove();
     };
-  }, [selectedBooking]);
+  }, [selectedBooking, showCalendar]);
 
   const formatDate = (dateString) => {
     if (!dateString) return "Date not available";
@@ -111,12 +114,17 @@ const BookingsScreen = () => {
     setSelectedBooking(null);
   };
 
+  if (showCalendar) {
+    return <BookingCalendarScreen onBack={() => setShowCalendar(false)} />;
+  }
+
   // Show BookingDetailsScreen if a booking is selected
   if (selectedBooking) {
     return (
       <BookingDetailsScreen
         booking={selectedBooking}
         onBack={handleBackFromDetails}
+        onStatusChange={() => loadBookings(true)}
       />
     );
   }
@@ -165,8 +173,11 @@ const BookingsScreen = () => {
                 ? `${item.user_first_name || ""} ${
                     item.user_last_name || ""
                   }`.trim()
-                : "Guest User"}
+                : item.guest_name || "Guest User"}
             </Text>
+            {item.booking_source === "VENDOR" && (
+              <Text style={styles.bookingDate}>Manual booking</Text>
+            )}
             <Text style={styles.bookingDate}>
               {formatDate(item.booking_date_time)}
             </Text>
@@ -222,6 +233,14 @@ const BookingsScreen = () => {
           Browse your bookings and manage your reservations
         </Text>
       </View>
+      <TouchableOpacity
+        style={styles.calendarButton}
+        onPress={() => setShowCalendar(true)}
+        activeOpacity={0.8}
+      >
+        <Ionicons name="calendar-outline" size={18} color={colors.primary} />
+        <Text style={styles.calendarButtonText}>Calendar</Text>
+      </TouchableOpacity>
     </View>
   );
 
@@ -275,6 +294,8 @@ const createStyles = (colors) => StyleSheet.create({
     backgroundColor: colors.background,
   },
   header: {
+    flexDirection: "row",
+    alignItems: "flex-start",
     paddingHorizontal: 10,
     paddingTop: 20,
     paddingBottom: 10,
@@ -283,6 +304,24 @@ const createStyles = (colors) => StyleSheet.create({
   headerContent: {
     flex: 1,
   },
+  calendarButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + "10",
+    marginTop: 6,
+    marginLeft: 8,
+  },
+  calendarButtonText: {
+    fontSize: 13,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+    marginLeft: 6,
+  },
   title: {
     fontSize: 28,
     fontFamily: fonts.bold,
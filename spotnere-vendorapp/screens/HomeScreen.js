@@ -2,7 +2,9 @@
  * HomeScreen (Redesigned Vendor Dashboard)
  * - Cleaner header + quick stat chips
  * - Revenue card with modern graph (NO X/Y axis labels)
+ * - Occupancy heatmap with peak / dead hours
  * - Compact metric cards (Bookings / Rating / Avg. Price)
+ * - Verification banner until the place is approved
  * - Keeps your existing data flow (useApp)
  */
 
@@ -25,7 +27,14 @@ import { LinearGradient } from "expo-linear-gradient";
 import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { useApp } from "../contexts/AppContext";
+import { api } from "../api/client";
 import NotificationsModal from "../components/NotificationsModal";
+import OccupancyHeatmapCard from "../components/OccupancyHeatmapCard";
+import {
+  verificationStatusLabel,
+  verificationStatusColor,
+  verificationStatusIcon,
+} from "../utils/verification";
 
 const { width: screenWidth } = Dimensions.get("window");
 
@@ -37,6 +46,14 @@ const currencyCompact = (n) => {
   return `₹${Math.round(num)}`;
 };
 
+/** Dashboard range buttons → ?range= values of /api/vendor/analytics/revenue */
+const REVENUE_RANGES = [
+  { label: "Today", value: "today" },
+  { label: "Past week", value: "week" },
+  { label: "Past month", value: "month" },
+  { label: "Past Year", value: "year" },
+];
+
 const getTrendMeta = (pct, colors) => {
   const p = Number(pct || 0);
   if (p === 0) return { icon: "remove", color: colors.textSecondary };
@@ -48,6 +65,7 @@ const HomeScreen = ({
   onNavigateToBookings,
   onNavigateToReviews,
   onNavigateToNotifications,
+  onNavigateToVerification,
 }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
@@ -62,8 +80,9 @@ const HomeScreen = ({
     loadReviews,
   } = useApp();
 
-  const [revenueTimeRange, setRevenueTimeRange] = React.useState("Past month");
+  const [revenueTimeRange, setRevenueTimeRange] = React.useState("month");
   const [revenueData, setRevenueData] = React.useState(null);
+  const [revenueError, setRevenueError] = React.useState(null);
   const [selectedDataPoint, setSelectedDataPoint] = React.useState(null);
 
   const [showNotificationsModal, setShowNotificationsModal] =
@@ -87,104 +106,54 @@ const HomeScreen = ({
     reviewsData.summary?.count != null ? reviewsData.summary.count : 0;
   const ratingLoading = reviewsData.loading;
 
-  const generateRevenueData = React.useCallback((timeRange) => {
-    let labels = [];
-    let data = [];
-    let totalRevenue = 0;
-    let trendPercentage = 0;
-
-    const now = new Date();
-    const maxDataPoints = 8;
-
-    switch (timeRange) {
-      case "Today": {
-        const hoursPerPoint = 24 / maxDataPoints;
-        labels = Array.from({ length: maxDataPoints }, (_, i) => {
-          const hour = Math.floor(i * hoursPerPoint);
-          return hour.toString().padStart(2, "0") + ":00";
-        });
-        data = Array.from(
-          { length: maxDataPoints },
-          () => Math.random() * 2000 + 500,
-        );
-        break;
-      }
-      case "Past week": {
-        labels = Array.from({ length: maxDataPoints }, (_, i) => {
-          const date = new Date(now);
-          date.setDate(date.getDate() - (maxDataPoints - 1 - i));
-          return date.toLocaleDateString("en-US", { weekday: "short" });
-        });
-        data = Array.from(
-          { length: maxDataPoints },
-          () => Math.random() * 2000 + 1000,
-        );
-        break;
-      }
-      case "Past month": {
-        labels = Array.from(
-          { length: maxDataPoints },
-          (_, i) => `Week ${i + 1}`,
-        );
-        data = Array.from(
-          { length: maxDataPoints },
-          () => Math.random() * 2000 + 1500,
-        );
-        break;
-      }
-      case "Past Year": {
-        labels = Array.from({ length: maxDataPoints }, (_, i) => {
-          const date = new Date(now);
-          date.setMonth(date.getMonth() - (maxDataPoints - 1 - i) * 2);
-          return date.toLocaleDateString("en-US", { month: "short" });
-        });
-        data = Array.from(
-          { length: maxDataPoints },
-          () => Math.random() * 2000 + 2000,
-        );
-        break;
-      }
-      default: {
-        labels = ["Jan", "Feb", "Mar", "Apr", "May", "Jun"];
-        data = [1200, 1500, 1400, 1600, 1800, 1700];
-      }
+  const loadRevenueData = React.useCallback(async (range) => {
+    setRevenueData(null);
+    setRevenueError(null);
+    try {
+      const res = await api.getRevenueAnalytics(range);
+      setRevenueData({
+        labels: res.labels,
+        // chart-kit needs at least one non-empty dataset to draw
+        datasets: [{ data: res.totals.length ? res.totals : [0] }],
+        totalRevenue: res.totalRevenue,
+        trendPercentage: res.trendPercentage,
+        bookingCount: res.bookingCount,
+        counts: res.counts,
+      });
+    } catch (error) {
+      console.error("Error loading revenue analytics:", error);
+      setRevenueError(error.message || "Failed to load revenue");
     }
-
-    totalRevenue = data.reduce((sum, v) => sum + v, 0);
-    trendPercentage = ((data[data.length - 1] - data[0]) / data[0]) * 100;
-
-    setRevenueData({
-      labels,
-      datasets: [{ data }],
-      totalRevenue,
-      trendPercentage,
-      yAxisMax: 2500,
-    });
   }, []);
 
   React.useEffect(() => {
-    generateRevenueData(revenueTimeRange);
-  }, [revenueTimeRange, generateRevenueData]);
+    if (user?.place_id) loadRevenueData(revenueTimeRange);
+  }, [user?.place_id, revenueTimeRange, loadRevenueData]);
 
   const handleMetricPress = (title, subtitle) => Alert.alert(title, subtitle);
 
   const handleNotificationPress = () => setShowNotificationsModal(true);
 
   const rangeLabel =
-    revenueTimeRange === "Today"
+    revenueTimeRange === "today"
       ? new Date().toLocaleDateString("en-US", {
           month: "long",
           day: "numeric",
           year: "numeric",
         })
-      : revenueTimeRange === "Past week"
+      : revenueTimeRange === "week"
         ? "Last 7 days"
-        : revenueTimeRange === "Past month"
+        : revenueTimeRange === "month"
           ? "Last 4 weeks"
           : "Last 12 months";
 
   const trendMeta = getTrendMeta(revenueData?.trendPercentage, colors);
 
+  const verificationStatus = placeData?.verification_status;
+  const showVerificationBanner =
+    !!verificationStatus && verificationStatus !== "APPROVED";
+  const verificationColor = verificationStatusColor(verificationStatus, colors);
+
   // Chart config: NO X axis, NO Y axis labels
   const chartConfig = {
     backgroundColor: colors.cardBackground,
@@ -277,6 +246,32 @@ const HomeScreen = ({
         </View>
       </View>
 
+      {/* VERIFICATION */}
+      {showVerificationBanner && (
+        <TouchableOpacity
+          style={[styles.card, styles.verificationBanner, { borderColor: verificationColor }]}
+          onPress={onNavigateToVerification}
+          activeOpacity={0.8}
+        >
+          <Ionicons
+            name={verificationStatusIcon(verificationStatus)}
+            size={22}
+            color={verificationColor}
+          />
+          <View style={styles.verificationBannerText}>
+            <Text style={styles.cardTitle}>
+              Verification: {verificationStatusLabel(verificationStatus)}
+            </Text>
+            <Text style={styles.cardSubtitle}>
+              {verificationStatus === "PENDING_REVIEW"
+                ? "Customers will see your place once it is verified"
+                : "Your place is hidden from customers. Tap to finish verification"}
+            </Text>
+          </View>
+          <Ionicons name="chevron-forward" size={18} color={colors.textSecondary} />
+        </TouchableOpacity>
+      )}
+
       {/* REVENUE */}
       <View style={styles.card}>
         <View style={styles.revenueTop}>
@@ -293,15 +288,20 @@ const HomeScreen = ({
                 color={trendMeta.color}
               />
               <Text style={[styles.trendText, { color: trendMeta.color }]}>
-                {revenueData
-                  ? Math.abs(revenueData.trendPercentage).toFixed(1)
+                {revenueData?.trendPercentage != null
+                  ? `${Math.abs(revenueData.trendPercentage).toFixed(1)}%`
                   : "—"}
-                %
               </Text>
             </View>
             <Text style={styles.revenueTotal}>
               {currencyCompact(revenueData?.totalRevenue)}
             </Text>
+            {revenueData ? (
+              <Text style={styles.revenueCount}>
+                {revenueData.bookingCount} booking
+                {revenueData.bookingCount === 1 ? "" : "s"}
+              </Text>
+            ) : null}
           </View>
         </View>
 
@@ -326,6 +326,7 @@ const HomeScreen = ({
                     value: Math.round(dp.value),
                     index: dp.index,
                     label: revenueData.labels[dp.index],
+                    count: revenueData.counts[dp.index] ?? 0,
                   });
                   setTimeout(() => setSelectedDataPoint(null), 2500);
                 }}
@@ -339,9 +340,24 @@ const HomeScreen = ({
                   <Text style={styles.tooltipValue}>
                     ₹{selectedDataPoint.value.toLocaleString()}
                   </Text>
+                  <Text style={styles.tooltipLabel}>
+                    {selectedDataPoint.count} booking
+                    {selectedDataPoint.count === 1 ? "" : "s"}
+                  </Text>
                 </View>
               )}
             </>
+          ) : revenueError ? (
+            <TouchableOpacity
+              style={styles.chartLoading}
+              onPress={() => loadRevenueData(revenueTimeRange)}
+              activeOpacity={0.8}
+            >
+              <Ionicons name="refresh" size={18} color={colors.textSecondary} />
+              <Text style={styles.chartLoadingText}>
+                {revenueError} · Tap to retry
+              </Text>
+            </TouchableOpacity>
           ) : (
             <View style={styles.chartLoading}>
               <ActivityIndicator size="small" color={colors.primary} />
@@ -351,13 +367,13 @@ const HomeScreen = ({
         </View>
 
         <View style={styles.rangeRow}>
-          {["Today", "Past week", "Past month", "Past Year"].map((range) => {
-            const active = revenueTimeRange === range;
+          {REVENUE_RANGES.map((range) => {
+            const active = revenueTimeRange === range.value;
             return (
               <TouchableOpacity
-                key={range}
+                key={range.value}
                 style={[styles.rangeBtn, active && styles.rangeBtnActive]}
-                onPress={() => setRevenueTimeRange(range)}
+                onPress={() => setRevenueTimeRange(range.value)}
                 activeOpacity={0.85}
               >
                 <Text
@@ -366,7 +382,7 @@ const HomeScreen = ({
                     active && styles.rangeBtnTextActive,
                   ]}
                 >
-                  {range}
+                  {range.label}
                 </Text>
               </TouchableOpacity>
             );
@@ -374,6 +390,9 @@ const HomeScreen = ({
         </View>
       </View>
 
+      {/* OCCUPANCY */}
+      <OccupancyHeatmapCard placeId={user?.place_id} />
+
       {/* METRICS GRID */}
       <View style={styles.grid}>
         {/* Bookings */}
@@ -667,6 +686,12 @@ const createStyles = (colors) => StyleSheet.create({
     color: colors.textSecondary,
   },
 
+  verificationBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  verificationBannerText: { flex: 1, marginHorizontal: 12 },
+
   revenueRight: { alignItems: "flex-end" },
   revenueTotal: {
     marginTop: 8,
@@ -674,6 +699,12 @@ const createStyles = (colors) => StyleSheet.create({
     fontFamily: fonts.bold,
     color: colors.text,
   },
+  revenueCount: {
+    marginTop: 2,
+    fontSize: 12,
+    fontFamily: fonts.regular,
+    color: colors.textSecondary,
+  },
 
   trendPill: {
     flexDirection: "row",
@@ -16,6 +16,7 @@ import { useTheme } from "../contexts/ThemeContext";
 import { fonts } from "../constants/fonts";
 import { loginUser } from "../utils/auth";
 import RegistrationPage from "../components/RegistrationPage";
+import ForgotPasswordScreen from "../components/ForgotPasswordScreen";
 import { rules, collectErrors } from "../utils/validate";
 
 const { width, height } = Dimensions.get("window");
@@ -24,7 +25,7 @@ const LoginScreen = ({ onLoginSuccess, onBack }) => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
 
-  const [mode, setMode] = useState("signIn"); // "signIn" or "signUp"
+  const [mode, setMode] = useState("signIn"); // "signIn", "signUp" or "forgotPassword"
 
   const [formData, setFormData] = useState({
     email: "",
@@ -175,6 +176,19 @@ const LoginScreen = ({ onLoginSuccess, onBack }) => {
     );
   }
 
+  if (mode === "forgotPassword") {
+    return (
+      <ForgotPasswordScreen
+        initialEmail={formData.email}
+        onBack={() => setMode("signIn")}
+        onDone={(email) => {
+          setFormData({ email, password: "" });
+          setMode("signIn");
+        }}
+      />
+    );
+  }
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -219,6 +233,12 @@ const LoginScreen = ({ onLoginSuccess, onBack }) => {
               true,
               true,
             )}
+            <TouchableOpacity
+              style={styles.forgotPasswordButton}
+              onPress={() => setMode("forgotPassword")}
+            >
+              <Text style={styles.forgotPasswordText}>Forgot password?</Text>
+            </TouchableOpacity>
           </>
         </View>
 
@@ -351,6 +371,16 @@ const createStyles = (colors) => StyleSheet.create({
     marginTop: 4,
     marginLeft: 4,
   },
+  forgotPasswordButton: {
+    alignSelf: "flex-end",
+    marginTop: -8,
+    padding: 2,
+  },
+  forgotPasswordText: {
+    fontSize: 14,
+    fontFamily: fonts.semiBold,
+    color: colors.primary,
+  },
   submitButton: {
     backgroundColor: colors.primary,
     borderRadius: 12,
@@ -39,6 +39,8 @@ const NotificationsScreen = ({ onBack }) => {
         return "star-outline";
       case "cancellation":
         return "close-circle-outline";
+      case "verification":
+        return "shield-checkmark-outline";
       case "info":
         return "information-circle-outline";
       default:
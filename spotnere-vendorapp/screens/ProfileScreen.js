@@ -177,7 +177,10 @@ const ProfileScreen = ({ onLogout }) => {
   // Show PasswordSecurityScreen if selected
   if (showPasswordSecurity) {
     return (
-      <PasswordSecurityScreen onBack={handleBackFromPasswordSecurity} />
+      <PasswordSecurityScreen
+        onBack={handleBackFromPasswordSecurity}
+        onLoggedOut={onLogout}
+      />
     );
   }
 
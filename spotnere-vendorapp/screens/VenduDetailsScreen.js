@@ -17,6 +17,8 @@ import {
   Modal,
   FlatList,
   Switch,
+  Platform,
+  BackHandler,
 } from "react-native";
 import { Image } from "expo-image";
 import { Ionicons } from "@expo/vector-icons";
@@ -27,6 +29,35 @@ import { api } from "../api/client";
 import { Country, State, City } from "country-state-city";
 import { useApp } from "../contexts/AppContext";
 import { rules, collectErrors } from "../utils/validate";
+import CancellationPolicyEditor from "../components/CancellationPolicyEditor";
+import SlotSettingsEditor from "../components/SlotSettingsEditor";
+import CapacityEditor from "../components/CapacityEditor";
+import ResourcesScreen from "../components/ResourcesScreen";
+import CouponsScreen from "../components/CouponsScreen";
+import PricingRulesEditor from "../components/PricingRulesEditor";
+import {
+  DEFAULT_CANCELLATION_POLICY,
+  policyFromPlace,
+  policiesEqual,
+  validateCustomTiers,
+} from "../utils/cancellationPolicy";
+import {
+  DEFAULT_SLOT_SETTINGS,
+  slotSettingsFromPlace,
+  slotSettingsEqual,
+} from "../utils/slotSettings";
+import {
+  DEFAULT_CAPACITY_SETTINGS,
+  capacitySettingsFromPlace,
+  capacitySettingsEqual,
+  validateCapacitySettings,
+} from "../utils/guestCapacity";
+import {
+  pricingRulesFromPlace,
+  pricingRulesEqual,
+  pricingRulesToBody,
+  validatePricingRules,
+} from "../utils/pricingRules";
 
 const { width } = Dimensions.get("window");
 
@@ -58,6 +89,33 @@ const generateTimeOptions = () => {
 
 const TIME_OPTIONS = generateTimeOptions();
 
+// Special dates (places.hours_overrides) share the time modal with the weekly rows;
+// their modal key is prefixed so selectTime can tell them apart.
+const SPECIAL_DATE_KEY_PREFIX = "date:";
+const SPECIAL_DATE_WINDOW_DAYS = 180;
+
+const toIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate(),
+  ).padStart(2, "0")}`;
+
+const formatSpecialDate = (isoDate) => {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+const buildEditOverridesFromPlace = (overrides) =>
+  (Array.isArray(overrides) ? overrides : []).map((o) => ({
+    date: o.date,
+    open: o.closed ? "closed" : o.open || "",
+    close: o.closed ? "closed" : o.close || "",
+    label: o.label || "",
+  }));
+
 const VenduDetailsScreen = () => {
   const { colors } = useTheme();
   const styles = useMemo(() => createStyles(colors), [colors]);
@@ -85,6 +143,9 @@ const VenduDetailsScreen = () => {
   const [isDeleteMode, setIsDeleteMode] = React.useState(false);
   const [selectedImageIds, setSelectedImageIds] = React.useState([]);
   const [editHours, setEditHours] = React.useState({});
+  const [editOverrides, setEditOverrides] = React.useState([]);
+  const [showSpecialDateModal, setShowSpecialDateModal] =
+    React.useState(false);
   const [showTimeModal, setShowTimeModal] = React.useState({
     day: null,
     type: null,
@@ -99,16 +160,38 @@ const VenduDetailsScreen = () => {
     allow_multiple_hours_booking: false,
     charge_per_guest: false,
   });
+  const [cancellationPolicy, setCancellationPolicy] = React.useState(
+    DEFAULT_CANCELLATION_POLICY
+  );
+  const [savedCancellationPolicy, setSavedCancellationPolicy] =
+    React.useState(DEFAULT_CANCELLATION_POLICY);
+  const [slotSettings, setSlotSettings] = React.useState(DEFAULT_SLOT_SETTINGS);
+  const [savedSlotSettings, setSavedSlotSettings] =
+    React.useState(DEFAULT_SLOT_SETTINGS);
+  const [capacitySettings, setCapacitySettings] = React.useState(
+    DEFAULT_CAPACITY_SETTINGS
+  );
+  const [savedCapacitySettings, setSavedCapacitySettings] = React.useState(
+    DEFAULT_CAPACITY_SETTINGS
+  );
+  const [pricingRules, setPricingRules] = React.useState([]);
+  const [savedPricingRules, setSavedPricingRules] = React.useState([]);
   const [isSavingPreferences, setIsSavingPreferences] = React.useState(false);
   const [editAmenities, setEditAmenities] = React.useState([]);
   const [amenityInput, setAmenityInput] = React.useState("");
+  // "resources" | "coupons" while one of those screens is showing
+  const [subScreen, setSubScreen] = React.useState(null);
 
   const preferencesChanged =
     preferences.allow_overlapping_bookings !==
       savedPreferences.allow_overlapping_bookings ||
     preferences.allow_multiple_hours_booking !==
       savedPreferences.allow_multiple_hours_booking ||
-    preferences.charge_per_guest !== savedPreferences.charge_per_guest;
+    preferences.charge_per_guest !== savedPreferences.charge_per_guest ||
+    !policiesEqual(cancellationPolicy, savedCancellationPolicy) ||
+    !slotSettingsEqual(slotSettings, savedSlotSettings) ||
+    !capacitySettingsEqual(capacitySettings, savedCapacitySettings) ||
+    !pricingRulesEqual(pricingRules, savedPricingRules);
 
   // Helper function to format time value (e.g., "09:00" to "9:00 AM")
   const formatTimeValue = (timeValue) => {
@@ -139,6 +222,16 @@ const VenduDetailsScreen = () => {
     }
   }, [user?.place_id, loadPlace]);
 
+  // Handle Android back button while the resources or coupons screen is showing
+  React.useEffect(() => {
+    if (Platform.OS !== "android" || !subScreen) return;
+    const backHandler = BackHandler.addEventListener("hardwareBackPress", () => {
+      setSubScreen(null);
+      return true;
+    });
+    return () => backHandler.remove();
+  }, [subScreen]);
+
   React.useEffect(() => {
     if (placeData?.id) {
       loadBannerImage();
@@ -191,6 +284,7 @@ const VenduDetailsScreen = () => {
         amenities: normalizeAmenities(placeData.amenities),
       });
       setEditHours(buildEditHoursFromPlace(placeData.hours));
+      setEditOverrides(buildEditOverridesFromPlace(placeData.hours_overrides));
       const prefs = {
         allow_overlapping_bookings: !!placeData.allow_overlapping_bookings,
         allow_multiple_hours_booking: !!placeData.allow_multiple_hours_booking,
@@ -198,6 +292,18 @@ const VenduDetailsScreen = () => {
       };
       setPreferences(prefs);
       setSavedPreferences(prefs);
+      const policy = policyFromPlace(placeData);
+      setCancellationPolicy(policy);
+      setSavedCancellationPolicy(policy);
+      const slots = slotSettingsFromPlace(placeData);
+      setSlotSettings(slots);
+      setSavedSlotSettings(slots);
+      const capacity = capacitySettingsFromPlace(placeData);
+      setCapacitySettings(capacity);
+      setSavedCapacitySettings(capacity);
+      const rules = pricingRulesFromPlace(placeData);
+      setPricingRules(rules);
+      setSavedPricingRules(rules);
       const amenitiesArr = Array.isArray(placeData.amenities)
         ? placeData.amenities.filter(Boolean)
         : placeData.amenities && typeof placeData.amenities === "string"
@@ -503,6 +609,7 @@ const VenduDetailsScreen = () => {
         amenities: normalizeAmenities(placeData.amenities),
       });
       setEditHours(buildEditHoursFromPlace(placeData.hours));
+      setEditOverrides(buildEditOverridesFromPlace(placeData.hours_overrides));
       const amenitiesArr = Array.isArray(placeData.amenities)
         ? placeData.amenities.filter(Boolean)
         : placeData.amenities && typeof placeData.amenities === "string"
@@ -557,6 +664,20 @@ const VenduDetailsScreen = () => {
       return;
     }
 
+    const incompleteOverride = editOverrides.find(
+      (o) =>
+        o.open !== "closed" && (!o.open || !o.close || o.close <= o.open),
+    );
+    if (incompleteOverride) {
+      Alert.alert(
+        "Validation Error",
+        `Set opening and closing times for ${formatSpecialDate(
+          incompleteOverride.date,
+        )} (closing must be after opening), or mark it closed.`,
+      );
+      return;
+    }
+
     setIsSaving(true);
     try {
       // Prepare update data, converting strings to numbers where needed
@@ -598,6 +719,17 @@ const VenduDetailsScreen = () => {
           });
           return Object.keys(hoursJsonb).length > 0 ? hoursJsonb : null;
         })(),
+        hours_overrides: editOverrides.map((o) =>
+          o.open === "closed"
+            ? { date: o.date, closed: true, label: o.label.trim() || null }
+            : {
+                date: o.date,
+                closed: false,
+                open: o.open,
+                close: o.close,
+                label: o.label.trim() || null,
+              },
+        ),
         amenities: editAmenities.length > 0 ? editAmenities : null,
       };
 
@@ -766,14 +898,40 @@ const VenduDetailsScreen = () => {
     const placeId = user?.place_id || placeData?.id;
     if (!placeId || !preferencesChanged) return;
 
+    if (cancellationPolicy.preset === "custom") {
+      const policyError = validateCustomTiers(cancellationPolicy.tiers);
+      if (policyError) {
+        Alert.alert("Cancellation Policy", policyError);
+        return;
+      }
+    }
+    const capacityError = validateCapacitySettings(capacitySettings);
+    if (capacityError) {
+      Alert.alert("Guest Capacity", capacityError);
+      return;
+    }
+    const pricingError = validatePricingRules(pricingRules);
+    if (pricingError) {
+      Alert.alert("Pricing Rules", pricingError);
+      return;
+    }
+
     setIsSavingPreferences(true);
     try {
       await api.updateVendorPlace({
         allow_overlapping_bookings: preferences.allow_overlapping_bookings,
         allow_multiple_hours_booking: preferences.allow_multiple_hours_booking,
         charge_per_guest: preferences.charge_per_guest,
+        cancellation_policy: cancellationPolicy,
+        ...slotSettings,
+        ...capacitySettings,
+        pricing_rules: pricingRulesToBody(pricingRules),
       });
       setSavedPreferences({ ...preferences });
+      setSavedCancellationPolicy(cancellationPolicy);
+      setSavedSlotSettings(slotSettings);
+      setSavedCapacitySettings(capacitySettings);
+      setSavedPricingRules(pricingRules);
       Alert.alert("Success", "Preferences updated successfully!");
       await loadPlace(true);
     } catch (error) {
@@ -791,8 +949,63 @@ const VenduDetailsScreen = () => {
     }));
   };
 
+  const updateOverride = (date, changes) => {
+    setEditOverrides((prev) =>
+      prev.map((o) => (o.date === date ? { ...o, ...changes } : o)),
+    );
+  };
+
+  const handleOverrideTimeChange = (date, type, value) => {
+    if (value === "closed") {
+      updateOverride(date, { open: "closed", close: "closed" });
+      return;
+    }
+    const current = editOverrides.find((o) => o.date === date);
+    // Picking a time on a closed date reopens it; the other side must be chosen again
+    const reopening = current?.open === "closed";
+    updateOverride(date, {
+      open: reopening ? "" : current?.open,
+      close: reopening ? "" : current?.close,
+      [type]: value,
+    });
+  };
+
+  const addSpecialDate = (date) => {
+    // New special dates default to closed (the common holiday case)
+    setEditOverrides((prev) =>
+      [...prev, { date, open: "closed", close: "closed", label: "" }].sort(
+        (a, b) => a.date.localeCompare(b.date),
+      ),
+    );
+    setShowSpecialDateModal(false);
+  };
+
+  const removeSpecialDate = (date) => {
+    setEditOverrides((prev) => prev.filter((o) => o.date !== date));
+  };
+
+  const specialDateOptions = useMemo(() => {
+    if (!showSpecialDateModal) return [];
+    const taken = new Set(editOverrides.map((o) => o.date));
+    const options = [];
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    for (let i = 0; i < SPECIAL_DATE_WINDOW_DAYS; i++) {
+      const iso = toIsoDate(day);
+      if (!taken.has(iso)) options.push(iso);
+      day.setDate(day.getDate() + 1);
+    }
+    return options;
+  }, [showSpecialDateModal, editOverrides]);
+
   const selectTime = (timeValue) => {
-    if (showTimeModal.day && showTimeModal.type) {
+    if (showTimeModal.day?.startsWith(SPECIAL_DATE_KEY_PREFIX)) {
+      handleOverrideTimeChange(
+        showTimeModal.day.slice(SPECIAL_DATE_KEY_PREFIX.length),
+        showTimeModal.type,
+        timeValue,
+      );
+    } else if (showTimeModal.day && showTimeModal.type) {
       if (timeValue === "closed") {
         setEditHours((prev) => ({
           ...prev,
@@ -841,8 +1054,12 @@ const VenduDetailsScreen = () => {
 
     const hoursObj = formatHoursForDisplay();
 
-    const renderEditHoursRow = (day) => {
-      const dayHours = editHours[day] || { open: "", close: "" };
+    const renderEditHoursRow = (
+      day,
+      dayHours = editHours[day] || { open: "", close: "" },
+      dayLabel = day.substring(0, 3),
+      modalKey = day,
+    ) => {
       const isClosed =
         dayHours.open === "closed" && dayHours.close === "closed";
 
@@ -862,14 +1079,14 @@ const VenduDetailsScreen = () => {
       return (
         <View key={day} style={styles.editHoursRow}>
           <View style={styles.editHoursDayCol}>
-            <Text style={styles.editHoursDayText}>{day.substring(0, 3)}</Text>
+            <Text style={styles.editHoursDayText}>{dayLabel}</Text>
           </View>
           <TouchableOpacity
             style={[
               styles.editHoursTimeCol,
               isClosed && styles.editHoursTimeColClosed,
             ]}
-            onPress={() => setShowTimeModal({ day, type: "open" })}
+            onPress={() => setShowTimeModal({ day: modalKey, type: "open" })}
           >
             <Text
               style={[
@@ -891,7 +1108,7 @@ const VenduDetailsScreen = () => {
               styles.editHoursTimeCol,
               isClosed && styles.editHoursTimeColClosed,
             ]}
-            onPress={() => setShowTimeModal({ day, type: "close" })}
+            onPress={() => setShowTimeModal({ day: modalKey, type: "close" })}
           >
             <Text
               style={[
@@ -912,6 +1129,96 @@ const VenduDetailsScreen = () => {
       );
     };
 
+    // Date-specific exceptions to the weekly schedule (places.hours_overrides)
+    const renderSpecialDates = () => {
+      if (isEditing) {
+        return (
+          <View style={styles.specialDates}>
+            <Text style={styles.specialDatesTitle}>Special dates</Text>
+            <Text style={styles.specialDatesHint}>
+              Holidays or one-off hours. These replace the weekly hours on that
+              date.
+            </Text>
+            {editOverrides.length > 0 && (
+              <View style={styles.editHoursTable}>
+                {editOverrides.map((o) => (
+                  <View key={o.date} style={styles.specialDateRow}>
+                    <View style={styles.specialDateRowTop}>
+                      <View style={styles.specialDateRowHours}>
+                        {renderEditHoursRow(
+                          o.date,
+                          o,
+                          formatSpecialDate(o.date),
+                          SPECIAL_DATE_KEY_PREFIX + o.date,
+                        )}
+                      </View>
+                      <TouchableOpacity
+                        onPress={() => removeSpecialDate(o.date)}
+                        style={styles.specialDateRemove}
+                      >
+                        <Ionicons
+                          name="trash-outline"
+                          size={18}
+                          color={colors.error}
+                        />
+                      </TouchableOpacity>
+                    </View>
+                    <TextInput
+                      style={styles.specialDateLabelInput}
+                      value={o.label}
+                      onChangeText={(label) => updateOverride(o.date, { label })}
+                      placeholder="Label (e.g., Diwali)"
+                      placeholderTextColor={colors.textSecondary}
+                      maxLength={100}
+                    />
+                  </View>
+                ))}
+              </View>
+            )}
+            <TouchableOpacity
+              style={styles.specialDateAddButton}
+              onPress={() => setShowSpecialDateModal(true)}
+            >
+              <Ionicons
+                name="add-circle-outline"
+                size={18}
+                color={colors.primary}
+              />
+              <Text style={styles.specialDateAddText}>Add special date</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      }
+
+      const today = toIsoDate(new Date());
+      const upcoming = (placeData?.hours_overrides || []).filter(
+        (o) => o.date >= today,
+      );
+      if (upcoming.length === 0) return null;
+      return (
+        <View style={styles.specialDates}>
+          <Text style={styles.specialDatesTitle}>Special dates</Text>
+          <View style={styles.hoursTable}>
+            {upcoming.map((o) => (
+              <View key={o.date} style={styles.hoursRow}>
+                <Text style={styles.hoursDay}>
+                  {formatSpecialDate(o.date)}
+                  {o.label ? ` · ${o.label}` : ""}
+                </Text>
+                <Text
+                  style={[styles.hoursTime, o.closed && styles.hoursTimeClosed]}
+                >
+                  {o.closed
+                    ? "Closed"
+                    : `${formatTimeValue(o.open)} - ${formatTimeValue(o.close)}`}
+                </Text>
+              </View>
+            ))}
+          </View>
+        </View>
+      );
+    };
+
     return (
       <View style={styles.detailRow}>
         <Ionicons name="time-outline" size={20} color={colors.primary} />
@@ -961,6 +1268,7 @@ const VenduDetailsScreen = () => {
               Add details
             </Text>
           )}
+          {renderSpecialDates()}
         </View>
       </View>
     );
@@ -1195,6 +1503,13 @@ const VenduDetailsScreen = () => {
     );
   };
 
+  if (subScreen === "resources") {
+    return <ResourcesScreen onBack={() => setSubScreen(null)} />;
+  }
+  if (subScreen === "coupons") {
+    return <CouponsScreen onBack={() => setSubScreen(null)} />;
+  }
+
   return (
     <ScrollView
       style={styles.container}
@@ -1614,7 +1929,7 @@ const VenduDetailsScreen = () => {
               key: "allow_multiple_hours_booking",
               title: "Allow Multiple Hours Booking",
               description:
-                "Guests can book consecutive hours in a single reservation.",
+                "Guests can book several consecutive slots in a single reservation.",
               icon: "time-outline",
             },
             {
@@ -1653,6 +1968,113 @@ const VenduDetailsScreen = () => {
               />
             </View>
           ))}
+          <View style={styles.policyContainer}>
+            <View style={styles.prefLeft}>
+              <Ionicons name="timer-outline" size={22} color={colors.primary} />
+              <View style={styles.prefTextContainer}>
+                <Text style={styles.prefTitle}>Booking Slots</Text>
+                <Text style={styles.prefDescription}>
+                  How long each slot is, how long guests can book, and the
+                  gap kept free between bookings.
+                </Text>
+              </View>
+            </View>
+            <View style={styles.policyEditor}>
+              <SlotSettingsEditor
+                value={slotSettings}
+                onChange={setSlotSettings}
+                allowMultiple={preferences.allow_multiple_hours_booking}
+              />
+            </View>
+          </View>
+          <View style={styles.policyContainer}>
+            <View style={styles.prefLeft}>
+              <Ionicons name="people-circle-outline" size={22} color={colors.primary} />
+              <View style={styles.prefTextContainer}>
+                <Text style={styles.prefTitle}>Guest Capacity</Text>
+                <Text style={styles.prefDescription}>
+                  For shared venues: how many guests each slot can hold across
+                  all bookings.
+                </Text>
+              </View>
+            </View>
+            <View style={styles.policyEditor}>
+              <CapacityEditor
+                value={capacitySettings}
+                onChange={setCapacitySettings}
+              />
+            </View>
+          </View>
+          <View style={styles.policyContainer}>
+            <View style={styles.prefLeft}>
+              <Ionicons name="trending-up-outline" size={22} color={colors.primary} />
+              <View style={styles.prefTextContainer}>
+                <Text style={styles.prefTitle}>Pricing Rules</Text>
+                <Text style={styles.prefDescription}>
+                  Charge more at peak hours, weekends or in season, or less for
+                  quiet times and large groups.
+                </Text>
+              </View>
+            </View>
+            <View style={styles.policyEditor}>
+              <PricingRulesEditor value={pricingRules} onChange={setPricingRules} />
+            </View>
+          </View>
+          <TouchableOpacity
+            style={styles.prefRow}
+            onPress={() => setSubScreen("resources")}
+            activeOpacity={0.8}
+          >
+            <View style={styles.prefLeft}>
+              <Ionicons name="grid-outline" size={22} color={colors.primary} />
+              <View style={styles.prefTextContainer}>
+                <Text style={styles.prefTitle}>Courts, Lanes & Rooms</Text>
+                <Text style={styles.prefDescription}>
+                  Let guests book separate resources, each with its own price,
+                  hours and capacity.
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.prefRow}
+            onPress={() => setSubScreen("coupons")}
+            activeOpacity={0.8}
+          >
+            <View style={styles.prefLeft}>
+              <Ionicons name="pricetag-outline" size={22} color={colors.primary} />
+              <View style={styles.prefTextContainer}>
+                <Text style={styles.prefTitle}>Coupons</Text>
+                <Text style={styles.prefDescription}>
+                  Create promo codes with discounts, usage limits and
+                  validity dates for your venue.
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
+          <View style={styles.policyContainer}>
+            <View style={styles.prefLeft}>
+              <Ionicons
+                name="return-down-back-outline"
+                size={22}
+                color={colors.primary}
+              />
+              <View style={styles.prefTextContainer}>
+                <Text style={styles.prefTitle}>Cancellation Policy</Text>
+                <Text style={styles.prefDescription}>
+                  Refund guests receive when cancelling a paid booking.
+                </Text>
+              </View>
+            </View>
+            <View style={styles.policyEditor}>
+              <CancellationPolicyEditor
+                value={cancellationPolicy}
+                onChange={setCancellationPolicy}
+              />
+            </View>
+          </View>
         </View>
       </View>
 
@@ -1704,6 +2126,43 @@ const VenduDetailsScreen = () => {
         </View>
       </Modal>
 
+      {/* Special Date Selection Modal */}
+      <Modal
+        visible={showSpecialDateModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowSpecialDateModal(false)}
+      >
+        <View style={styles.timeModalOverlay}>
+          <View style={styles.timeModalContent}>
+            <View style={styles.timeModalHeader}>
+              <Text style={styles.timeModalTitle}>Select Date</Text>
+              <TouchableOpacity
+                onPress={() => setShowSpecialDateModal(false)}
+                style={styles.timeModalCloseButton}
+              >
+                <Ionicons name="close" size={24} color={colors.text} />
+              </TouchableOpacity>
+            </View>
+            <FlatList
+              data={specialDateOptions}
+              keyExtractor={(item) => item}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={styles.timeModalItem}
+                  onPress={() => addSpecialDate(item)}
+                >
+                  <Text style={styles.timeModalItemText}>
+                    {formatSpecialDate(item)}
+                  </Text>
+                </TouchableOpacity>
+              )}
+              style={styles.timeModalList}
+            />
+          </View>
+        </View>
+      </Modal>
+
       {/* Gallery Preview Modal */}
       <Modal
         visible={showGalleryPreviewModal}
@@ -2187,6 +2646,61 @@ const createStyles = (colors) =>
       color: colors.error,
       fontFamily: fonts.semiBold,
     },
+    specialDates: {
+      marginTop: 16,
+    },
+    specialDatesTitle: {
+      fontSize: 14,
+      fontFamily: fonts.semiBold,
+      color: colors.text,
+    },
+    specialDatesHint: {
+      fontSize: 12,
+      fontFamily: fonts.regular,
+      color: colors.textSecondary,
+      marginTop: 2,
+    },
+    specialDateRow: {
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border + "50",
+      paddingBottom: 10,
+    },
+    specialDateRowTop: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    specialDateRowHours: {
+      flex: 1,
+    },
+    specialDateRemove: {
+      paddingRight: 12,
+      paddingLeft: 4,
+    },
+    specialDateLabelInput: {
+      marginHorizontal: 12,
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      backgroundColor: colors.background,
+      fontSize: 13,
+      fontFamily: fonts.regular,
+      color: colors.text,
+    },
+    specialDateAddButton: {
+      flexDirection: "row",
+      alignItems: "center",
+      alignSelf: "flex-start",
+      paddingVertical: 8,
+      marginTop: 4,
+    },
+    specialDateAddText: {
+      fontSize: 13,
+      fontFamily: fonts.semiBold,
+      color: colors.primary,
+      marginLeft: 6,
+    },
     timeModalOverlay: {
       flex: 1,
       backgroundColor: "rgba(0, 0, 0, 0.5)",
@@ -2272,6 +2786,13 @@ const createStyles = (colors) =>
       color: colors.textSecondary,
       lineHeight: 17,
     },
+    policyContainer: {
+      paddingVertical: 14,
+      paddingHorizontal: 4,
+    },
+    policyEditor: {
+      marginTop: 12,
+    },
     amenitiesContainer: {
       flexDirection: "row",
       flexWrap: "wrap",
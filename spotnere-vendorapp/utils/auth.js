@@ -4,13 +4,36 @@
  * Client establishes a Supabase Auth session afterward for RLS-protected queries.
  */
 
+import { Platform } from "react-native";
+import Constants from "expo-constants";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import { api } from "../api/client";
+import { api, onSessionEnded, signOutLocally } from "../api/client";
 import { supabase } from "../config/supabase";
 
 const AUTH_STORAGE_KEY = "@spotnere_vendor_auth";
 const USER_STORAGE_KEY = "@spotnere_vendor_user";
 
+// The session ended elsewhere (401 or suspension from the backend, signed out by Supabase):
+// forget the vendor here
+onSessionEnded(() => AsyncStorage.multiRemove([AUTH_STORAGE_KEY, USER_STORAGE_KEY]));
+
+/**
+ * Label this device's Supabase Auth session so it shows up by name under
+ * Password & Security → Signed-in devices. Non-fatal; safe to call again.
+ */
+export async function registerCurrentDevice() {
+  try {
+    await api.registerSession({
+      deviceName: Constants.deviceName || null,
+      platform: Platform.OS,
+      osVersion: String(Platform.Version ?? ""),
+      appVersion: Constants.expoConfig?.version || null,
+    });
+  } catch (err) {
+    console.warn("[Auth] Could not register device (non-fatal):", err?.message);
+  }
+}
+
 /**
  * Establish a Supabase Auth session on the client.
  * Called after backend confirms credentials so the Supabase client
@@ -21,7 +44,9 @@ async function establishSupabaseSession(email, password) {
     const { error } = await supabase.auth.signInWithPassword({ email, password });
     if (error) {
       console.warn("[Auth] Supabase session failed (non-fatal):", error.message);
+      return;
     }
+    await registerCurrentDevice();
   } catch (err) {
     console.warn("[Auth] Supabase session error (non-fatal):", err?.message);
   }
@@ -81,7 +106,7 @@ export const loginUser = async (email, password) => {
  */
 export const logout = async () => {
   try {
-    await supabase.auth.signOut();
+    await signOutLocally();
     await AsyncStorage.removeItem(AUTH_STORAGE_KEY);
     await AsyncStorage.removeItem(USER_STORAGE_KEY);
   } catch (error) {
@@ -0,0 +1,80 @@
+/**
+ * Booking statuses as returned by the backend (bookings.payment_status, see booking_events.sql),
+ * and which of them the vendor can set from BookingDetailsScreen.
+ * Older bookings may still say PAID / CONFIRMED; both mean SUCCESS.
+ */
+
+// Default of BOOKING_CHECK_IN_EARLY_MINUTES on the backend, which has the final say
+const CHECK_IN_EARLY_MINUTES = 60;
+
+const LEGACY_STATUSES = { PAID: "SUCCESS", CONFIRMED: "SUCCESS" };
+
+const STATUS_LABELS = {
+  PENDING: "Awaiting payment",
+  SUCCESS: "Confirmed",
+  FAILED: "Payment failed",
+  EXPIRED: "Expired",
+  CHECKED_IN: "Checked in",
+  COMPLETED: "Completed",
+  NO_SHOW: "No-show",
+  CANCELLED: "Cancelled",
+  REFUND_PENDING: "Refund pending",
+  REFUNDED: "Refunded",
+};
+
+export function normalizeBookingStatus(status) {
+  const upper = (status || "").toUpperCase();
+  return LEGACY_STATUSES[upper] || upper;
+}
+
+export function bookingStatusLabel(status) {
+  const normalized = normalizeBookingStatus(status);
+  return STATUS_LABELS[normalized] || normalized || "Unknown";
+}
+
+/** Theme color for a status. */
+export function bookingStatusColor(status, colors) {
+  switch (normalizeBookingStatus(status)) {
+    case "SUCCESS":
+    case "CHECKED_IN":
+    case "COMPLETED":
+      return colors.success;
+    case "PENDING":
+    case "REFUND_PENDING":
+      return colors.warning;
+    case "FAILED":
+    case "EXPIRED":
+    case "NO_SHOW":
+    case "CANCELLED":
+    case "REFUNDED":
+      return colors.error;
+    default:
+      return colors.textSecondary;
+  }
+}
+
+const bookingMinutes = (booking) => {
+  const minutes = Number(booking?.duration_minutes);
+  if (Number.isInteger(minutes) && minutes > 0) return minutes;
+  return Math.max(1, Number(booking?.duration_hours) || 1) * 60;
+};
+
+/**
+ * Statuses the vendor can move `booking` to now: check-in from an hour before the start until the
+ * end, no-show and completed once it has started.
+ */
+export function vendorStatusActions(booking, now = Date.now()) {
+  const status = normalizeBookingStatus(booking?.payment_status);
+  if (!booking?.booking_date_time || !["SUCCESS", "CHECKED_IN"].includes(status)) return [];
+  const start = new Date(booking.booking_date_time).getTime();
+  const end = start + bookingMinutes(booking) * 60 * 1000;
+  const actions = [];
+  if (status === "SUCCESS" && now >= start - CHECK_IN_EARLY_MINUTES * 60 * 1000 && now <= end) {
+    actions.push("CHECKED_IN");
+  }
+  if (now >= start) {
+    actions.push("COMPLETED");
+    if (status === "SUCCESS") actions.push("NO_SHOW");
+  }
+  return actions;
+}
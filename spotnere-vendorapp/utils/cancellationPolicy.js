@@ -0,0 +1,96 @@
+/**
+ * Cancellation policy presets and helpers for the vendor app.
+ * Presets match CANCELLATION_POLICY_PRESETS in the backend, which re-validates every save.
+ */
+
+export const MAX_CANCELLATION_TIERS = 5;
+export const MAX_CANCELLATION_HOURS_BEFORE = 720;
+
+export const CANCELLATION_PRESETS = {
+  flexible: {
+    label: "Flexible",
+    tiers: [{ hours_before: 2, refund_percent: 100 }],
+  },
+  moderate: {
+    label: "Moderate",
+    tiers: [
+      { hours_before: 24, refund_percent: 100 },
+      { hours_before: 6, refund_percent: 50 },
+    ],
+  },
+  strict: {
+    label: "Strict",
+    tiers: [
+      { hours_before: 168, refund_percent: 100 },
+      { hours_before: 48, refund_percent: 50 },
+    ],
+  },
+};
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  preset: "moderate",
+  tiers: CANCELLATION_PRESETS.moderate.tiers,
+};
+
+/** Policy from a place row, falling back to the default preset. */
+export function policyFromPlace(place) {
+  const p = place?.cancellation_policy;
+  if (p && Array.isArray(p.tiers) && p.tiers.length > 0) {
+    return { preset: p.preset || "custom", tiers: p.tiers };
+  }
+  return DEFAULT_CANCELLATION_POLICY;
+}
+
+/** "48 hours" / "7 days" */
+export function formatHoursBefore(hours) {
+  const h = Number(hours) || 0;
+  if (h >= 48 && h % 24 === 0) return `${h / 24} days`;
+  return `${h} hour${h === 1 ? "" : "s"}`;
+}
+
+/** Human-readable lines, one per tier, ending with the no-refund window. */
+export function describeCancellationPolicy(policy) {
+  const tiers = [...(policy?.tiers || [])].sort(
+    (a, b) => b.hours_before - a.hours_before,
+  );
+  const lines = tiers.map((t) =>
+    t.hours_before === 0
+      ? `${t.refund_percent}% refund up to the start time`
+      : `${t.refund_percent}% refund if cancelled ${formatHoursBefore(t.hours_before)} or more before`,
+  );
+  const last = tiers[tiers.length - 1];
+  if (last && last.hours_before > 0) {
+    lines.push(`No refund within ${formatHoursBefore(last.hours_before)} of the start time`);
+  }
+  return lines;
+}
+
+/** Client-side check mirroring the backend; returns an error message or null. */
+export function validateCustomTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return "Add at least one refund tier";
+  }
+  if (tiers.length > MAX_CANCELLATION_TIERS) {
+    return `Use at most ${MAX_CANCELLATION_TIERS} tiers`;
+  }
+  const sorted = [...tiers].sort((a, b) => b.hours_before - a.hours_before);
+  for (let i = 0; i < sorted.length; i++) {
+    const { hours_before: h, refund_percent: p } = sorted[i];
+    if (!Number.isInteger(h) || h < 0 || h > MAX_CANCELLATION_HOURS_BEFORE) {
+      return `Hours must be a whole number from 0 to ${MAX_CANCELLATION_HOURS_BEFORE}`;
+    }
+    if (!Number.isInteger(p) || p < 0 || p > 100) {
+      return "Refund must be a whole percentage from 0 to 100";
+    }
+    if (i > 0 && h === sorted[i - 1].hours_before) {
+      return "Each tier must use a different number of hours";
+    }
+    if (i > 0 && p > sorted[i - 1].refund_percent) {
+      return "Refunds cannot increase closer to the booking time";
+    }
+  }
+  return null;
+}
+
+export const policiesEqual = (a, b) =>
+  JSON.stringify(a || null) === JSON.stringify(b || null);
@@ -0,0 +1,116 @@
+/**
+ * Promo codes for the vendor's place (coupons with a place_id) in the vendor app.
+ * The backend re-validates every save (couponBodyValidators and couponRowError).
+ * Validity dates are edited as device-local YYYY-MM-DD: the code works from the start of the
+ * first day to the end of the last.
+ */
+
+const CODE_RE = /^[A-Z0-9_-]{3,30}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toText = (v) => (v == null ? "" : String(v));
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Device-local YYYY-MM-DD of an ISO timestamp. */
+function isoToLocalDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Start of a device-local YYYY-MM-DD as an ISO timestamp, `days` later. */
+function localDateToIso(date, days = 0) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(y, m - 1, d + days).toISOString();
+}
+
+const isValidDate = (s) => DATE_RE.test(s) && !Number.isNaN(new Date(`${s}T00:00:00`).getTime());
+
+/** Edit form for a coupon from the API ({ code, discountType, discountValue, ... }). */
+export function couponFormFromCoupon(coupon) {
+  return {
+    code: coupon?.code || "",
+    description: coupon?.description || "",
+    discountType: coupon?.discountType === "flat" ? "flat" : "percent",
+    discountValue: toText(coupon?.discountValue),
+    maxDiscount: toText(coupon?.maxDiscount),
+    minSpend: coupon?.minSpend ? String(coupon.minSpend) : "",
+    usageLimit: toText(coupon?.usageLimit),
+    perUserLimit: toText(coupon?.perUserLimit),
+    startDate: isoToLocalDate(coupon?.startsAt),
+    // endsAt is the start of the day after the last valid day
+    endDate: coupon?.endsAt ? isoToLocalDate(new Date(new Date(coupon.endsAt).getTime() - 1)) : "",
+    isActive: coupon ? coupon.isActive !== false : true,
+  };
+}
+
+/** First problem with the form as a user-facing message, or null when valid. */
+export function validateCouponForm(form) {
+  if (!CODE_RE.test(form.code)) return "Code must be 3-30 letters, digits, - or _.";
+  const value = Number(form.discountValue);
+  if (!(value > 0)) return "Enter the discount.";
+  if (form.discountType === "percent" && value > 100) {
+    return "A percentage discount cannot be more than 100.";
+  }
+  if (form.maxDiscount !== "" && !(Number(form.maxDiscount) > 0)) {
+    return "Maximum discount must be more than 0.";
+  }
+  if (form.minSpend !== "" && !(Number(form.minSpend) >= 0)) return "Enter a valid minimum spend.";
+  for (const limit of [form.usageLimit, form.perUserLimit]) {
+    if (limit !== "" && !(Number.isInteger(Number(limit)) && Number(limit) >= 1)) {
+      return "Usage limits must be whole numbers of at least 1.";
+    }
+  }
+  for (const date of [form.startDate, form.endDate]) {
+    if (date && !isValidDate(date)) return "Enter dates as YYYY-MM-DD.";
+  }
+  if (form.startDate && form.endDate && form.endDate < form.startDate) {
+    return "End date is before start date.";
+  }
+  return null;
+}
+
+/** POST / PATCH body for a valid form. */
+export function couponFormToBody(form) {
+  return {
+    code: form.code,
+    description: form.description.trim() || null,
+    discount_type: form.discountType,
+    discount_value: Number(form.discountValue),
+    max_discount:
+      form.discountType === "percent" && form.maxDiscount !== "" ? Number(form.maxDiscount) : null,
+    min_spend: form.minSpend === "" ? 0 : Number(form.minSpend),
+    usage_limit: form.usageLimit === "" ? null : Number(form.usageLimit),
+    per_user_limit: form.perUserLimit === "" ? null : Number(form.perUserLimit),
+    starts_at: form.startDate ? localDateToIso(form.startDate) : null,
+    ends_at: form.endDate ? localDateToIso(form.endDate, 1) : null,
+    is_active: form.isActive,
+  };
+}
+
+/** One-line summary for the coupon list, e.g. "20% off (up to ₹500) · min ₹1000". */
+export function describeCoupon(coupon) {
+  const discount =
+    coupon.discountType === "percent"
+      ? `${coupon.discountValue}% off${coupon.maxDiscount != null ? ` (up to ₹${coupon.maxDiscount})` : ""}`
+      : `₹${coupon.discountValue} off`;
+  return [discount, coupon.minSpend > 0 ? `min ₹${coupon.minSpend}` : null]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/** Usage and validity line, e.g. "3 / 100 used · until 2026-12-31". */
+export function describeCouponUsage(coupon) {
+  const used = `${coupon.uses}${coupon.usageLimit != null ? ` / ${coupon.usageLimit}` : ""} used`;
+  const now = Date.now();
+  let status = null;
+  if (!coupon.isActive) status = "Paused";
+  else if (coupon.endsAt && new Date(coupon.endsAt).getTime() <= now) status = "Expired";
+  else if (coupon.startsAt && new Date(coupon.startsAt).getTime() > now) {
+    status = `from ${isoToLocalDate(coupon.startsAt)}`;
+  } else if (coupon.endsAt) {
+    status = `until ${isoToLocalDate(new Date(new Date(coupon.endsAt).getTime() - 1))}`;
+  }
+  return [used, status].filter(Boolean).join(" · ");
+}
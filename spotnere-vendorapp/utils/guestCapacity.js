@@ -0,0 +1,52 @@
+/**
+ * Guest capacity (places.guest_capacity, capacity_overrides) for the vendor app.
+ * The backend's normalizeCapacitySettings re-validates every save.
+ */
+
+export const MAX_GUEST_CAPACITY = 10000;
+export const MAX_CAPACITY_OVERRIDES = 24;
+
+const HH_MM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const DEFAULT_CAPACITY_SETTINGS = {
+  guest_capacity: null,
+  capacity_overrides: [],
+};
+
+export function capacitySettingsFromPlace(place) {
+  return {
+    guest_capacity: place?.guest_capacity ?? null,
+    capacity_overrides: Array.isArray(place?.capacity_overrides)
+      ? place.capacity_overrides.map((o) => ({ ...o }))
+      : [],
+  };
+}
+
+/** First problem with the capacity settings as a user-facing message, or null when valid. */
+export function validateCapacitySettings(value) {
+  const capacity = value?.guest_capacity;
+  const overrides = value?.capacity_overrides || [];
+  if (capacity == null) return null;
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_GUEST_CAPACITY) {
+    return `Guests per slot must be between 1 and ${MAX_GUEST_CAPACITY}.`;
+  }
+  for (const o of overrides) {
+    if (!HH_MM_RE.test(o.start || "") || !HH_MM_RE.test(o.end || "")) {
+      return "Enter times as HH:mm, e.g. 14:00.";
+    }
+    if (o.end <= o.start) return `${o.start}–${o.end} must end after it starts.`;
+    if (!Number.isInteger(o.capacity) || o.capacity < 0 || o.capacity > MAX_GUEST_CAPACITY) {
+      return `Capacity for ${o.start}–${o.end} must be between 0 and ${MAX_GUEST_CAPACITY}.`;
+    }
+  }
+  const sorted = [...overrides].sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) {
+      return `${sorted[i - 1].start}–${sorted[i - 1].end} and ${sorted[i].start}–${sorted[i].end} overlap.`;
+    }
+  }
+  return null;
+}
+
+export const capacitySettingsEqual = (a, b) =>
+  JSON.stringify(a || null) === JSON.stringify(b || null);
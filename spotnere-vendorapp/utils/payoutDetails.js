@@ -0,0 +1,63 @@
+/**
+ * Payout details (UPI ID and bank account) and the primary payout method in the vendor app.
+ * The backend re-validates every save and creates a RazorpayX fund account per method; payouts go
+ * to the one for payout_method.
+ */
+
+import { rules, collectErrors } from "./validate";
+
+export const PAYOUT_METHOD_OPTIONS = [
+  { value: "upi", label: "UPI", icon: "wallet-outline" },
+  { value: "bank_account", label: "Bank account", icon: "business-outline" },
+];
+
+const BANK_FIELDS = ["account_holder_name", "account_number", "ifsc_code"];
+
+/** Edit form from GET /api/vendor/profile; vendors without a saved method start on the one they filled in. */
+export function payoutFormFromProfile(profile) {
+  const fallbackMethod = !profile?.upi_id && profile?.account_number ? "bank_account" : "upi";
+  return {
+    payout_method: profile?.payout_method || fallbackMethod,
+    account_holder_name: profile?.account_holder_name || "",
+    account_number: profile?.account_number || "",
+    ifsc_code: profile?.ifsc_code || "",
+    upi_id: profile?.upi_id || "",
+  };
+}
+
+/**
+ * Field errors for the form. The primary method's details are required; the other method's are
+ * only checked once the vendor starts filling them in.
+ */
+export function validatePayoutForm(form) {
+  const checkBank =
+    form.payout_method === "bank_account" || BANK_FIELDS.some((f) => form[f].trim());
+  const checkUpi = form.payout_method === "upi" || !!form.upi_id.trim();
+  return collectErrors({
+    account_holder_name: checkBank
+      ? rules.medStr(form.account_holder_name, "Account holder name")
+      : null,
+    account_number: checkBank ? rules.accountNumber(form.account_number) : null,
+    ifsc_code: checkBank ? rules.ifsc(form.ifsc_code) : null,
+    upi_id: checkUpi ? rules.upi(form.upi_id) : null,
+  });
+}
+
+/** PATCH /api/vendor/profile body for a valid form. */
+export function payoutFormToBody(form) {
+  return {
+    payout_method: form.payout_method,
+    account_holder_name: form.account_holder_name.trim(),
+    account_number: form.account_number.trim(),
+    ifsc_code: form.ifsc_code.trim().toUpperCase(),
+    upi_id: form.upi_id.trim(),
+  };
+}
+
+/** Whether a code is a well-formed IFSC (worth looking up). */
+export const isIfscFormat = (code) => !rules.ifsc(code);
+
+/** Label of a payout method value, e.g. "Bank account". */
+export function payoutMethodLabel(method) {
+  return PAYOUT_METHOD_OPTIONS.find((o) => o.value === method)?.label || "Not set";
+}
@@ -0,0 +1,99 @@
+/**
+ * Pricing rules (places.pricing_rules) for the vendor app: peak hours, weekends, seasons and
+ * group sizes on top of the base price. The first matching rule prices a slot.
+ * The backend's normalizePricingRules re-validates every save.
+ * The editor keeps every field as text; pricingRulesToBody converts them for the API.
+ */
+
+export const MAX_PRICING_RULES = 30;
+export const WEEKDAY_SHORT = ["S", "M", "T", "W", "T", "F", "S"];
+
+const HH_MM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const NEW_PRICING_RULE = {
+  label: "",
+  days: [],
+  start: "",
+  end: "",
+  from: "",
+  to: "",
+  min_guests: "",
+  max_guests: "",
+  type: "multiplier",
+  value: "1.5",
+};
+
+const toText = (v) => (v == null ? "" : String(v));
+
+export function pricingRulesFromPlace(place) {
+  const list = Array.isArray(place?.pricing_rules) ? place.pricing_rules : [];
+  return list.map((r) => ({
+    label: r.label || "",
+    days: Array.isArray(r.days) ? [...r.days] : [],
+    start: toText(r.start),
+    end: toText(r.end),
+    from: toText(r.from),
+    to: toText(r.to),
+    min_guests: toText(r.min_guests),
+    max_guests: toText(r.max_guests),
+    type: r.type === "fixed" ? "fixed" : "multiplier",
+    value: toText(r.value),
+  }));
+}
+
+const isValidDate = (s) => DATE_RE.test(s) && !Number.isNaN(new Date(`${s}T00:00:00Z`).getTime());
+
+/** First problem with the rules as a user-facing message, or null when valid. */
+export function validatePricingRules(rules) {
+  for (let i = 0; i < rules.length; i++) {
+    const r = rules[i];
+    const name = r.label.trim() || `Rule ${i + 1}`;
+    if (!!r.start !== !!r.end) return `${name}: set both times, or leave both empty for all day.`;
+    if (r.start) {
+      if (!HH_MM_RE.test(r.start) || !HH_MM_RE.test(r.end)) {
+        return `${name}: enter times as HH:mm, e.g. 18:00.`;
+      }
+      if (r.end <= r.start) return `${name}: end time must be after start time.`;
+    }
+    for (const date of [r.from, r.to]) {
+      if (date && !isValidDate(date)) return `${name}: enter dates as YYYY-MM-DD.`;
+    }
+    if (r.from && r.to && r.to < r.from) return `${name}: end date is before start date.`;
+    const minGuests = r.min_guests === "" ? null : Number(r.min_guests);
+    const maxGuests = r.max_guests === "" ? null : Number(r.max_guests);
+    for (const n of [minGuests, maxGuests]) {
+      if (n != null && (!Number.isInteger(n) || n < 1 || n > 1000)) {
+        return `${name}: guests must be between 1 and 1000.`;
+      }
+    }
+    if (minGuests != null && maxGuests != null && maxGuests < minGuests) {
+      return `${name}: maximum guests is below minimum guests.`;
+    }
+    const value = Number(r.value);
+    if (r.type === "multiplier" && !(value >= 0.1 && value <= 10)) {
+      return `${name}: multiplier must be between 0.1 and 10.`;
+    }
+    if (r.type === "fixed" && !(value > 0)) return `${name}: price must be more than 0.`;
+  }
+  return null;
+}
+
+/** API payload for valid rules. */
+export function pricingRulesToBody(rules) {
+  return rules.map((r) => ({
+    label: r.label.trim() || null,
+    days: r.days,
+    start: r.start || null,
+    end: r.end || null,
+    from: r.from || null,
+    to: r.to || null,
+    min_guests: r.min_guests === "" ? null : Number(r.min_guests),
+    max_guests: r.max_guests === "" ? null : Number(r.max_guests),
+    type: r.type,
+    value: Number(r.value),
+  }));
+}
+
+export const pricingRulesEqual = (a, b) =>
+  JSON.stringify(a || []) === JSON.stringify(b || []);
@@ -0,0 +1,83 @@
+/**
+ * Bookable resources (place_resources: courts, lanes, rooms) for the vendor app.
+ * The backend re-validates every save (normalizeResourceHours and the route validators).
+ */
+
+import { MAX_GUEST_CAPACITY } from "./guestCapacity";
+
+export const RESOURCE_WEEKDAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+const HH_MM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_DAY = { open: "09:00", close: "22:00" };
+
+/** Edit form for a resource from the API ({ id, name, price, hours, guestCapacity, ... }). */
+export function resourceFormFromResource(resource) {
+  const ownHours = !!resource?.hours;
+  return {
+    name: resource?.name || "",
+    description: resource?.description || "",
+    // Empty price / capacity fall back to the venue's
+    price: resource?.ownPrice != null ? String(resource.ownPrice) : "",
+    guestCapacity: resource?.guestCapacity != null ? String(resource.guestCapacity) : "",
+    ownHours,
+    // Per day { open, close } or null when closed
+    hours: Object.fromEntries(
+      RESOURCE_WEEKDAYS.map((day) => {
+        if (!ownHours) return [day, { ...DEFAULT_DAY }];
+        const raw = resource.hours[day];
+        if (!raw || raw.open === "closed" || raw.close === "closed") return [day, null];
+        return [day, { open: raw.open, close: raw.close }];
+      }),
+    ),
+  };
+}
+
+/** First problem with the form as a user-facing message, or null when valid. */
+export function validateResourceForm(form) {
+  if (!form.name.trim()) return "Enter a name, e.g. Court 1.";
+  if (form.price !== "" && !(Number(form.price) > 0)) return "Price must be more than 0.";
+  if (form.guestCapacity !== "") {
+    const capacity = Number(form.guestCapacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_GUEST_CAPACITY) {
+      return `Guests per slot must be between 1 and ${MAX_GUEST_CAPACITY}.`;
+    }
+  }
+  if (form.ownHours) {
+    for (const day of RESOURCE_WEEKDAYS) {
+      const h = form.hours[day];
+      if (!h) continue;
+      if (!HH_MM_RE.test(h.open) || !HH_MM_RE.test(h.close)) {
+        return `Enter ${day}'s times as HH:mm, e.g. 09:00.`;
+      }
+      if (h.close <= h.open) return `On ${day}, closing time must be after opening time.`;
+    }
+  }
+  return null;
+}
+
+/** POST / PATCH body for a valid form. */
+export function resourceFormToBody(form) {
+  return {
+    name: form.name.trim(),
+    description: form.description.trim() || null,
+    avg_price: form.price === "" ? null : Number(form.price),
+    guest_capacity: form.guestCapacity === "" ? null : Number(form.guestCapacity),
+    hours: form.ownHours
+      ? Object.fromEntries(
+          RESOURCE_WEEKDAYS.map((day) => [
+            day,
+            form.hours[day] || { open: "closed", close: "closed" },
+          ]),
+        )
+      : null,
+  };
+}
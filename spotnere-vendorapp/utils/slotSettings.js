@@ -0,0 +1,45 @@
+/**
+ * Booking slot settings (places.slot_minutes, min/max_duration_minutes, buffer_minutes) for the
+ * vendor app. The backend's normalizeSlotSettings re-validates every save.
+ */
+
+export const SLOT_LENGTH_OPTIONS = [15, 30, 45, 60, 90, 120];
+export const BUFFER_OPTIONS = [0, 5, 10, 15, 30, 60];
+export const MAX_BOOKING_MINUTES = 24 * 60;
+
+export const DEFAULT_SLOT_SETTINGS = {
+  slot_minutes: 60,
+  min_duration_minutes: null,
+  max_duration_minutes: null,
+  buffer_minutes: 0,
+};
+
+export function slotSettingsFromPlace(place) {
+  return {
+    slot_minutes: place?.slot_minutes || DEFAULT_SLOT_SETTINGS.slot_minutes,
+    min_duration_minutes: place?.min_duration_minutes ?? null,
+    max_duration_minutes: place?.max_duration_minutes ?? null,
+    buffer_minutes: place?.buffer_minutes ?? 0,
+  };
+}
+
+/** 30 → "30 min", 60 → "1 hr", 90 → "1 hr 30 min" */
+export function formatMinutes(mins) {
+  const m = Number(mins) || 0;
+  if (m < 60) return `${m} min`;
+  const h = Math.floor(m / 60);
+  const rest = m % 60;
+  return `${h} hr${h === 1 ? "" : "s"}${rest ? ` ${rest} min` : ""}`;
+}
+
+/** Booking lengths offered for min/max: 1–8 slots, capped at 24 hours. */
+export function durationOptions(slotMinutes) {
+  const out = [];
+  for (let n = 1; n <= 8 && n * slotMinutes <= MAX_BOOKING_MINUTES; n++) {
+    out.push(n * slotMinutes);
+  }
+  return out;
+}
+
+export const slotSettingsEqual = (a, b) =>
+  JSON.stringify(a || null) === JSON.stringify(b || null);
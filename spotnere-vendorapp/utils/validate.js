@@ -14,7 +14,8 @@ const PHONE_RE = /^[+\d\s()-]*$/;
 const POSTAL_RE = /^[\w\s-]*$/;
 const URL_RE = /^https?:\/\/.+/;
 const IFSC_RE = /^[A-Z]{4}0[A-Z0-9]{6}$/;
-const UPI_RE = /^[\w.-]+@[\w]+$/;
+const UPI_RE = /^[\w.-]{2,}@[a-zA-Z]{2,}$/;
+const ACCOUNT_NUMBER_RE = /^\d{9,18}$/;
 
 // Strip ASCII control characters (matches backend stripLow)
 const clean = (val) =>
@@ -48,6 +49,14 @@ export const rules = {
     return null;
   },
 
+  // 6-digit code from a password reset or verification email
+  emailCode: (value) => {
+    const v = clean(value);
+    if (!v) return "Code is required";
+    if (!/^\d{6}$/.test(v)) return "Enter the 6-digit code from the email";
+    return null;
+  },
+
   phone: (value, label = "Phone number") => {
     const v = clean(value);
     if (!v) return `${label} is required`;
@@ -150,7 +159,7 @@ export const rules = {
     const v = clean(value);
     if (!v) return "Account number is required";
     if (!/^\d+$/.test(v)) return "Account number must contain only numbers";
-    if (v.length > MAX_MEDIUM) return "Account number is too long";
+    if (!ACCOUNT_NUMBER_RE.test(v)) return "Account number must be 9-18 digits";
     return null;
   },
 };
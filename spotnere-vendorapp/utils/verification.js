@@ -0,0 +1,61 @@
+/**
+ * Place verification statuses as returned by the backend (places.verification_status, see
+ * places_verification.sql). Only APPROVED places are shown to customers.
+ */
+
+const STATUS_LABELS = {
+  DRAFT: "Not submitted",
+  PENDING_REVIEW: "Under review",
+  APPROVED: "Verified",
+  REJECTED: "Changes needed",
+};
+
+const STATUS_MESSAGES = {
+  DRAFT:
+    "Upload your business documents and submit them for review. Customers will see your place once it is verified.",
+  PENDING_REVIEW:
+    "Thanks! Our team is checking your documents, which usually takes 1–2 business days. Your place goes live once it is verified.",
+  APPROVED: "Your place is verified and visible to customers.",
+  REJECTED:
+    "We could not verify your place yet. Fix the points below, re-upload any flagged documents and submit again.",
+};
+
+export function verificationStatusLabel(status) {
+  return STATUS_LABELS[status] || status || "Unknown";
+}
+
+export function verificationStatusMessage(status) {
+  return STATUS_MESSAGES[status] || "";
+}
+
+/** Theme color for a status. */
+export function verificationStatusColor(status, colors) {
+  switch (status) {
+    case "APPROVED":
+      return colors.success;
+    case "PENDING_REVIEW":
+      return colors.info;
+    case "REJECTED":
+      return colors.error;
+    default:
+      return colors.warning;
+  }
+}
+
+export function verificationStatusIcon(status) {
+  switch (status) {
+    case "APPROVED":
+      return "shield-checkmark-outline";
+    case "PENDING_REVIEW":
+      return "time-outline";
+    case "REJECTED":
+      return "alert-circle-outline";
+    default:
+      return "document-text-outline";
+  }
+}
+
+/** Whether the vendor still has to upload or resubmit documents (the onboarding step applies). */
+export function needsVerificationAction(status) {
+  return status === "DRAFT" || status === "REJECTED";
+}